@@ -8,12 +8,14 @@ require('dotenv').config();
 const config = require('./config');
 // 【修改】只引入 Service Container (它是新的唯一真神)
 const initializeServices = require('./services/service-container'); 
+const { scheduleDaily, scheduleInterval } = require('./utils/job-scheduler');
 
 // ❌ 移除舊的服務載入器
 // const initializeBusinessServices = require('./services'); 
 
 // --- 引入中介軟體和路由 ---
 const { globalErrorHandler } = require('./middleware/error.middleware');
+const { requestContext } = require('./middleware/request-context.middleware');
 const allApiRoutes = require('./routes'); 
 
 const app = express();
@@ -22,6 +24,8 @@ const app = express();
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
+// 產生 Request ID 並建立請求上下文 (供稽核軌跡取得操作者)
+app.use(requestContext);
 
 // 靜態資源目錄
 app.use(express.static(path.join(__dirname, 'public')));
@@ -62,7 +66,22 @@ async function startServer() {
             res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
         });
 
-        // 5. 全局錯誤處理
+        // 5. 背景排程
+        // 回收桶保留期清除 (永久刪除超過 TRASH.RETENTION_DAYS 的軟刪除資料)
+        scheduleDaily('trash-retention-purge', { hour: config.TRASH.PURGE_HOUR }, () => services.trashService.purgeExpired());
+        // Pipeline Forecast 每日快照 (供 /api/sales/forecast 與前一筆比較)
+        scheduleDaily('sales-forecast-snapshot', { hour: config.FORECAST.SNAPSHOT_HOUR }, () => services.forecastService.captureSnapshot());
+        // Pipeline 明細快照 (GET /api/sales/pipeline-snapshots/diff 與週報「本週變化」)
+        scheduleDaily('pipeline-snapshot', { hour: config.PIPELINE_SNAPSHOT.HOUR, minute: config.PIPELINE_SNAPSHOT.MINUTE }, () => services.pipelineSnapshotService.captureSnapshot());
+        // LINE 名片補分派 (建檔時未分派或由其他管道寫入的名片)
+        scheduleInterval('lead-routing', config.LEAD_ROUTING.INTERVAL_MINUTES, () => services.leadRoutingService.routeNewLeads());
+
+        // 客戶健康度每日重算 (公司列表 / 詳細頁與趨勢下滑標記)
+        scheduleDaily('account-health', { hour: config.ACCOUNT_HEALTH.HOUR, minute: config.ACCOUNT_HEALTH.MINUTE }, () => services.accountHealthService.captureSnapshot());
+        // Google Calendar 雙向同步 (改期 / 取消回寫互動紀錄與週間業務)
+        scheduleInterval('calendar-sync', config.CALENDAR_SYNC.INTERVAL_MINUTES, () => services.calendarSyncService.sync());
+
+        // 6. 全局錯誤處理
         app.use(globalErrorHandler);
 
         // ==================== 伺服器啟動 ====================
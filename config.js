@@ -1,11 +1,24 @@
 /**
  * config.js
  * 系統核心設定檔
- * @version 5.2.0 (Phase 8.4 Internal Ops Support)
- * @date 2026-04-20
+ * @version 5.13.1 (Account Health)
+ * @date 2026-10-19
  * @description 定義全域環境變數、Sheet ID 路由表、資料源切換開關與系統常數。
  * 本次重構新增 IDS 與 DATA_SOURCES 物件以支援多資料源架構。
  * * Changelog:
+ * - [V5.13.1] Replaced EVENT_REPORT.PDF_FONT (reader-provided MSung-Light) with PDF_FONTS: embedded TTF/OTF files, defaulting to the bundled Noto Sans TC.
+ * - [V5.13.0] Added ACCOUNT_HEALTH (factor weights, targets, subscription status ratios, trend thresholds and nightly schedule) for company health scores.
+ * - [V5.12.0] Added CONTACT_FIELDS 25-28 (ASSIGNED_TO, ASSIGNED_TIME, ASSIGNMENT_RULE, FIRST_RESPONSE_TIME) and LEAD_ROUTING (rule order, SLA hours, auto-routing window, scheduled routing interval) for LINE lead assignment.
+ * - [V5.11.0] Added LEAD_SCORING (factor weights, title seniority tiers, company type ratios) for RAW lead prioritization.
+ * - [V5.10.0] Added CARD_OCR (engine selection, Drive folder and upload limits) for the business-card intake endpoint.
+ * - [V5.9.0] Added IMPORT row limit and insert batch size for the CSV/XLSX import wizard.
+ * - [V5.8.0] Added DUPLICATE score threshold and candidate cap for contact/company duplicate detection.
+ * - [V5.7.0] Added QUOTE price tier mapping (sales model -> product catalog price column).
+ * - [V5.6.0] Added CURRENCY.BASE (analytics normalize opportunity values into this currency).
+ * - [V5.5.0] Added PIPELINE_SNAPSHOT schedule and listing window.
+ * - [V5.4.0] Added FORECAST category thresholds and daily snapshot hour.
+ * - [V5.3.1] Added CONSTANTS.CLOSE_STAGES (canonical won / lost stage values written by the close flow, plus legacy values still read from old rows).
+ * - [V5.3.0] Added TRASH retention settings for the soft-delete recycle bin purge job.
  * - [V5.2.0] Added INTERNAL_OPS tracking fields and Google Sheet definitions.
  * - [V5.1.0] Repurposed CONTACT_FIELDS index 17 to EXHIBITION_NAME and index 18 to IS_EXHIBITION.
  * This enables the Fallback Auto-Tag feature safely within the A-Z column constraint.
@@ -165,8 +178,10 @@ module.exports = {
 
     // 原始名片資料欄位對應
     // [V5.1.0] Repurposed indexes 17 and 18 safely within 0-25 boundary limits
+    // [V5.12.0] 25-28 (Z:AC) 名片分派欄位，僅由 ContactWriter.writeLeadAssignment 寫入
     CONTACT_FIELDS: {
-        TIME: 0, NAME: 1, COMPANY: 2, POSITION: 3, DEPARTMENT: 4, PHONE: 5, MOBILE: 6, FAX: 7, EMAIL: 8, WEBSITE: 9, ADDRESS: 10, CONFIDENCE: 11, PROCESSING_TIME: 12, DRIVE_LINK: 13, SMART_FILENAME: 14, LOCAL_PATH: 15, RAW_TEXT: 16, EXHIBITION_NAME: 17, IS_EXHIBITION: 18, DATA_SOURCE: 19, LINE_USER_ID: 20, USER_NICKNAME: 21, USER_TAG: 22, ORIGINAL_ID: 23, STATUS: 24
+        TIME: 0, NAME: 1, COMPANY: 2, POSITION: 3, DEPARTMENT: 4, PHONE: 5, MOBILE: 6, FAX: 7, EMAIL: 8, WEBSITE: 9, ADDRESS: 10, CONFIDENCE: 11, PROCESSING_TIME: 12, DRIVE_LINK: 13, SMART_FILENAME: 14, LOCAL_PATH: 15, RAW_TEXT: 16, EXHIBITION_NAME: 17, IS_EXHIBITION: 18, DATA_SOURCE: 19, LINE_USER_ID: 20, USER_NICKNAME: 21, USER_TAG: 22, ORIGINAL_ID: 23, STATUS: 24,
+        ASSIGNED_TO: 25, ASSIGNED_TIME: 26, ASSIGNMENT_RULE: 27, FIRST_RESPONSE_TIME: 28
     },
     
     // 互動紀錄工作表欄位
@@ -248,12 +263,207 @@ module.exports = {
         DAYS_THRESHOLD: 7,
         ACTIVE_STAGES: ['01_初步接觸', '02_需求確認', '03_提案報價', '04_談判修正']
     },
+
+    // 待辦任務 (tasks)：指派、到期日、週期與關聯機會 / 公司 / 聯絡人
+    TASKS: {
+        STATUS_LABELS: { open: '待處理', in_progress: '進行中', done: '已完成', cancelled: '已取消' },
+        RECURRENCE_LABELS: { none: '不重複', daily: '每天', weekly: '每週', monthly: '每月' },
+        MAX_RECURRENCE_INTERVAL: 12,
+        UPCOMING_DAYS: 7 // 儀表板「我的待辦」另列未來幾天內到期的數量
+    },
+
+    // 週報草稿 (依本週 CRM 活動自動產生週間業務摘要)
+    WEEKLY_DRAFT: {
+        USE_AI: process.env.WEEKLY_DRAFT_USE_AI !== 'false', // false 時一律使用固定範本
+        MAX_ITEMS_PER_SECTION: 10, // 範本每一區塊最多列出的筆數
+        MAX_PROMPT_CHARS: 12000    // 送給 AI 的活動資料上限 (超過時截斷)
+    },
+
+    // 週報發布 (固定版本的 HTML / PDF 摘要，可 Email 寄送)
+    WEEKLY_DIGEST: {
+        DEFAULT_RECIPIENTS: (process.env.WEEKLY_DIGEST_RECIPIENTS || '').split(',').map(s => s.trim()).filter(Boolean),
+        MAX_RECIPIENTS: 50,
+        SUBJECT_FORMAT: '[週報] {title} {dateRange} v{version}',
+        MAX_DEAL_ITEMS: 15 // 每一類機會異動最多列出的筆數
+    },
+
+    // 外寄郵件 (SMTP)；開發環境預設指向本機 mail catcher (Mailpit / MailHog: localhost:1025)
+    SMTP: {
+        HOST: process.env.SMTP_HOST || 'localhost',
+        PORT: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        SECURE: process.env.SMTP_SECURE === 'true',           // true: 直接 TLS (465)；false: 伺服器支援時自動 STARTTLS
+        REQUIRE_TLS: process.env.SMTP_REQUIRE_TLS === 'true',
+        USER: process.env.SMTP_USER || '',
+        PASS: process.env.SMTP_PASS || '',
+        FROM: process.env.SMTP_FROM || 'TFC CRM <crm@localhost>',
+        TIMEOUT_MS: 15000
+    },
+    
+    // 回收桶 (軟刪除) 設定
+    TRASH: {
+        RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30, // 超過天數的刪除項目將被永久清除
+        PURGE_HOUR: 3 // 每日清除排程執行時間 (伺服器當地時間)
+    },
+
+    // Pipeline Forecast 設定 (下單機率門檻為百分比)
+    FORECAST: {
+        COMMIT_MIN_PROBABILITY: 75,    // >= 75% 列為 commit
+        BEST_CASE_MIN_PROBABILITY: 40, // 40% ~ 75% 列為 best case，其餘為 pipeline
+        SNAPSHOT_HOUR: 1               // 每日預測快照排程時間 (伺服器當地時間)
+    },
+
+    // 多幣別：分析與統計一律換算為本位幣 (匯率表 fx_rates 以「1 外幣 = ? 本位幣」儲存)
+    CURRENCY: {
+        BASE: 'TWD'
+    },
+
+    // 機會報價單：依機會的銷售模式決定採用商品目錄的哪一個價格欄位
+    QUOTE: {
+        PRICE_TIER_BY_SALES_MODEL: {
+            '經由MTB販售': 'priceMtb',
+            '經由SI販售': 'priceSi',
+            '直接販售': 'priceMtu'
+        },
+        DEFAULT_PRICE_TIER: 'priceMtu', // 銷售模式未設定或未對應時
+        PRICE_TIER_LABELS: {
+            priceMtb: 'MTB 價',
+            priceSi: 'SI 價',
+            priceMtu: 'MTU 價 (直販)'
+        },
+        VALID_DAYS: 30 // 新報價預設有效天數
+    },
+
+    // 重複資料偵測 (正式聯絡人 / 公司)：分數 0~100
+    DUPLICATE: {
+        MIN_SCORE: 50,       // 列為候選的最低分數
+        MAX_CANDIDATES: 200  // 全體掃描最多回傳的候選組合數
+    },
+
+    // 批次匯入 (CSV / XLSX)
+    IMPORT: {
+        MAX_ROWS: 2000,   // 單次匯入的資料列上限 (不含標題列)
+        BATCH_SIZE: 500   // 每次 insert 的筆數
+    },
+
+    // 名片辨識 (POST /api/contacts/cards、POST /api/line/cards)
+    CARD_OCR: {
+        ENGINE: process.env.CARD_OCR_ENGINE || 'gemini', // gemini | stub (本機測試，不呼叫外部服務)
+        DRIVE_FOLDER_ID: process.env.CARD_DRIVE_FOLDER_ID || process.env.DRIVE_FOLDER_ID, // 名片原圖上傳資料夾
+        // 圖片以 base64 放在 JSON body (app.js 上限 10mb)，base64 約膨脹 4/3：
+        // 2 張 × 3MB × 4/3 ≈ 8MB，保留欄位與 JSON 包裝的餘裕；調整時需一併確認 express.json 的 limit
+        MAX_FILES: 2,                // 單次上傳張數
+        MAX_FILE_SIZE_MB: 3,         // 解碼後單檔上限 (前端先縮圖至 1600px，一般遠小於此值)
+        ALLOWED_MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/heic']
+    },
+
+    // 潛在客戶 (RAW 名片) 評分：各因子 0~1 × 權重，權重合計 100
+    // 系統設定「名片評分」可覆寫權重 (value = 因子 key，note = 分數)
+    LEAD_SCORING: {
+        WEIGHTS: {
+            seniority: 30,       // 職稱層級
+            companyType: 15,     // 公司類型 (系統設定「公司類型」)
+            companySize: 10,     // 公司規模 (進行中機會的設備規模；無機會時依公司型態推估)
+            exhibition: 10,      // 展會名片
+            openOpportunity: 20, // 公司已有進行中機會
+            completeness: 15     // 資料完整度
+        },
+        // 由上而下比對，第一個符合的層級生效
+        SENIORITY_TIERS: [
+            { label: '高階主管', ratio: 1, pattern: '董事長(?!特助|秘書|助理)|(?<!副)總經理(?!特助|秘書|助理)|執行長|總裁|負責人|創辦人|\\bCEO\\b|\\bCOO\\b|\\bCTO\\b|(?<!Vice )President|Founder|Owner' },
+            { label: '中高階主管', ratio: 0.75, pattern: '副總|協理|廠長|處長|總監|特助|\\bVP\\b|Vice President|Director' },
+            { label: '主管', ratio: 0.5, pattern: '經理|主任|課長|組長|主管|Manager|Head' },
+            { label: '專業人員', ratio: 0.25, pattern: '工程師|專員|業務|採購|研究員|Engineer|Specialist|Sales|Buyer' }
+        ],
+        COMPANY_TYPE_RATIOS: [
+            { pattern: '^MTU$|終端', ratio: 1 },
+            { pattern: 'SI|系統整合|System Integrator', ratio: 0.7 },
+            { pattern: 'MTB|經銷|代理', ratio: 0.5 }
+        ],
+        OTHER_COMPANY_TYPE_RATIO: 0.3, // 已建檔但類型未列於上方
+        SCORE_BANDS: { HIGH: 70, MEDIUM: 40 } // 前端顯示用 (高 / 中 / 低)
+    },
+
+    // LINE 名片分派 (潛在客戶 → 負責業務)
+    // 分派對象與對照表由系統設定維護：名片分派業務 (輪流名單)、名片分派區域 (縣市 → 業務)、
+    // 名片分派展會 (展會名稱 → 業務)、名片分派管理員 (可改派)；業務以 LINE User ID 識別
+    LEAD_ROUTING: {
+        RULE_ORDER: ['exhibition', 'territory', 'round_robin'], // 依序套用，第一個有結果的規則生效
+        SLA_HOURS: 24,     // 分派後需在此時數內首次處理 (LIFF 編輯名片)
+        LOOKBACK_DAYS: 7,  // 只自動分派此天數內建立的名片，避免上線時一次分派全部歷史資料
+        INTERVAL_MINUTES: 5 // 排程補分派 (非經 CardIntakeService 寫入的 LINE 名片)
+    },
+
+    // Pipeline 明細快照 (趨勢與「本週變化」比較用)
+    PIPELINE_SNAPSHOT: {
+        HOUR: 1,
+        MINUTE: 15,
+        LIST_DAYS: 90 // GET /api/sales/pipeline-snapshots 列出的天數
+    },
+
+    // 客戶健康度：每日排程計算 (company_health_scores)，各因子 0~1 × 權重，換算為 0~100 分
+    // 公司沒有訂閱資料時不計訂閱因子 (以其餘因子換算)
+    ACCOUNT_HEALTH: {
+        HOUR: 2,
+        MINUTE: 30,
+        WEIGHTS: {
+            engagement: 30,   // 互動頻率
+            recency: 20,      // 最近事件紀錄
+            pipeline: 20,     // 進行中機會金額
+            wonHistory: 15,   // 成交紀錄
+            subscription: 15  // 訂閱狀態 (內部運營「訂閱制管理」)
+        },
+        ENGAGEMENT_WINDOW_DAYS: 90,
+        ENGAGEMENT_TARGET: 6,             // 期間內互動達此次數得滿分
+        RECENCY_FULL_DAYS: 30,            // 最近事件紀錄在此天數內得滿分
+        RECENCY_ZERO_DAYS: 180,           // 超過此天數 (或無紀錄) 得 0 分
+        PIPELINE_TARGET_VALUE: 3000000,   // 進行中機會金額 (本位幣) 達此值得滿分
+        WON_WINDOW_DAYS: 730,
+        WON_TARGET: 2,                    // 期間內成交達此件數得滿分
+        SUBSCRIPTION_STATUS_RATIOS: [     // 依序比對訂閱狀態，第一個符合者生效
+            { pattern: '取消|終止|停用|流失|cancel|churn|terminat', ratio: 0 },
+            { pattern: '逾期|暫停|待續約|催繳|overdue|suspend|pause', ratio: 0.3 },
+            { pattern: '試用|trial|poc', ratio: 0.6 },
+            { pattern: '使用中|訂閱中|續約|正常|active', ratio: 1 }
+        ],
+        OTHER_SUBSCRIPTION_RATIO: 0.5,    // 有訂閱但狀態無法判斷
+        SCORE_BANDS: { HEALTHY: 70, WATCH: 40 }, // >= 70 健康、>= 40 觀察，其餘為風險
+        TREND_LOOKBACK_DAYS: 14,          // 與此天數前的分數比較
+        TREND_DROP_POINTS: 10,            // 下降達此分數標記為「趨勢下滑」
+        HISTORY_DAYS: 90                  // 公司詳細頁顯示的歷史天數
+    },
+
+    // 事件紀錄拜訪報告 (GET /api/events/:eventId/report.pdf | report.docx) 的信頭與字型
+    EVENT_REPORT: {
+        LETTERHEAD: {
+            COMPANY_NAME: process.env.REPORT_COMPANY_NAME || 'TFC',
+            ADDRESS: process.env.REPORT_COMPANY_ADDRESS || '',
+            PHONE: process.env.REPORT_COMPANY_PHONE || '',
+            WEBSITE: process.env.REPORT_COMPANY_WEBSITE || ''
+        },
+        ACCENT_COLOR: '#1f4e79',
+        PDF_FONTS: {                      // PDF 內嵌字型檔 (TTF / OTF 路徑)，未設定時使用 Noto Sans TC
+            REGULAR: process.env.REPORT_PDF_FONT_REGULAR || '',
+            BOLD: process.env.REPORT_PDF_FONT_BOLD || ''
+        },
+        DOCX_FONT: 'Microsoft JhengHei'
+    },
     
     // Calendar 事件命名格式
     CALENDAR_EVENT: {
         TITLE_FORMAT: '[{assignee}][{stage}] {company} - {description}',
-        DEFAULT_DURATION: 60,
-        REMINDER_MINUTES: 15
+        DEFAULT_DURATION: 60,         // 定時會議預設長度 (分鐘)
+        REMINDER_MINUTES: 15,         // 未指定提醒時的預設提醒 (開始前分鐘數)
+        REMINDER_METHOD: 'popup',     // 'popup' | 'email'
+        MAX_REMINDER_MINUTES: 40320,  // Google Calendar 上限 (4 週)
+        SEND_UPDATES: 'all'           // 有與會者時寄送邀請：'all' | 'externalOnly' | 'none'
+    },
+
+    // Google Calendar 雙向同步 (改期 / 取消回寫互動紀錄與週間業務)
+    CALENDAR_SYNC: {
+        CLIENT: process.env.CALENDAR_CLIENT || 'google', // 'google' | 'fake' (本機模擬日曆，測試用)
+        INTERVAL_MINUTES: 15,
+        LOOKBACK_DAYS: 30,                               // 無 sync token 時完整同步的回溯天數
+        CANCELLED_PREFIX: '[已取消] '
     },
     
     // 系統常數
@@ -267,6 +477,14 @@ module.exports = {
         CONTACT_STATUS: {
             UPGRADED: '已升級'
         },
+        // 結案階段：只能經由結案流程 (POST /api/opportunities/:id/close) 寫入
+        CLOSE_STAGES: {
+            WON: '受注',
+            LOST: '已結案(失敗)',
+            // 舊版結案流程曾寫入「已成交」，僅供判讀未記錄 close_result 的舊資料
+            LEGACY_WON: ['受注', '已成交'],
+            LEGACY_LOST: ['已結案(失敗)']
+        },
         DEFAULT_VALUES: {
             OPPORTUNITY_VALUE: '',
             OPPORTUNITY_STAGE: null,
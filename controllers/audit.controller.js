@@ -0,0 +1,35 @@
+// controllers/audit.controller.js
+/**
+ * AuditController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 稽核軌跡查詢控制器 (唯讀)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class AuditController {
+    /**
+     * @param {AuditService} auditService 
+     */
+    constructor(auditService) {
+        this.auditService = auditService;
+    }
+
+    // GET /api/audit?entity=opportunity&id=OPP...
+    getAuditTrail = async (req, res) => {
+        try {
+            const { entity, id } = req.query;
+            if (!entity || !this.auditService.isSupportedEntity(entity)) {
+                return res.status(400).json({ success: false, error: `不支援的 entity 參數: ${entity || '(空白)'}` });
+            }
+
+            const data = await this.auditService.getAuditTrail(entity, id);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Audit Trail');
+        }
+    };
+}
+
+module.exports = AuditController;
@@ -0,0 +1,34 @@
+// controllers/card-intake.controller.js
+/**
+ * CardIntakeController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 網頁端名片上傳辨識 (POST /api/contacts/cards)。LINE LIFF 端見 LineLeadsController.uploadCards。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class CardIntakeController {
+    /**
+     * @param {CardIntakeService} cardIntakeService
+     */
+    constructor(cardIntakeService) {
+        this.cardIntakeService = cardIntakeService;
+    }
+
+    // POST /api/contacts/cards  body: { files: [{ fileName, mimeType, content(base64) }] }
+    uploadCards = async (req, res) => {
+        try {
+            const result = await this.cardIntakeService.intakeCards(req.body?.files, {
+                source: 'WEB',
+                userNickname: req.user?.name || req.user?.username || 'System'
+            });
+            // 全部名片都辨識 / 寫入失敗時回 422，內容仍包含各檔失敗原因
+            res.status(result.success ? 201 : 422).json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Upload Business Cards');
+        }
+    };
+}
+
+module.exports = CardIntakeController;
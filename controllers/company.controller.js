@@ -1,22 +1,28 @@
 /**
  * controllers/company.controller.js
  * 公司模組控制器
- * * @version 8.0.0 (Phase 8: ID-based Operations)
- * * @date 2026-02-10
+ * * @version 8.3.0 (Account Health)
+ * * @date 2026-10-19
  * * @description
+ * * 0. [Feature] recalculateHealth：手動重算客戶健康度 (與每日排程相同)。
+ * * 0. [Feature] getCompanyDetails 支援 ?rollup=false (僅本公司，不合併下層公司資料)。
  * * 1. [Contract] getCompanyDetails, updateCompany, deleteCompany 改為接收 companyId。
  * * 2. [Refactor] 移除 decodeURIComponent (ID 不需解碼)。
+ * * 3. [Feature] updateCompany 讀取 If-Match 版本並傳入 Service (版本衝突回 409)。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { readExpectedVersion } = require('../utils/concurrency');
 
 class CompanyController {
     /**
      * 建構子：透過依賴注入取得 CompanyService
      * @param {CompanyService} companyService 
+     * @param {AccountHealthService} [accountHealthService]
      */
-    constructor(companyService) {
+    constructor(companyService, accountHealthService = null) {
         this.companyService = companyService;
+        this.accountHealthService = accountHealthService;
     }
 
     /**
@@ -63,8 +69,8 @@ class CompanyController {
     };
 
     /**
-     * 取得公司詳細資料 (含關聯資料)
-     * GET /api/companies/:companyId/details
+     * 取得公司詳細資料 (含關聯資料，預設合併所有下層公司)
+     * GET /api/companies/:companyId/details?rollup=false
      */
     getCompanyDetails = async (req, res) => {
         try {
@@ -72,7 +78,9 @@ class CompanyController {
             const companyId = req.params.companyId;
             
             // [Note] Service 必須支援 ID 查詢 (Phase 7+ default)
-            const result = await this.companyService.getCompanyDetails(companyId);
+            const result = await this.companyService.getCompanyDetails(companyId, {
+                rollup: req.query.rollup !== 'false'
+            });
             res.json({ success: true, data: result });
         } catch (error) {
             handleApiError(res, error, 'Get Company Details');
@@ -82,16 +90,19 @@ class CompanyController {
     /**
      * 更新公司資料
      * PUT /api/companies/:companyId
+     * 支援樂觀鎖：If-Match: <lastUpdateTime>，版本不符回傳 409
      */
     updateCompany = async (req, res) => {
         try {
             const companyId = req.params.companyId;
+            const expectedUpdatedTime = readExpectedVersion(req);
             
             // 呼叫 Service 更新邏輯
             const result = await this.companyService.updateCompany(
                 companyId, 
                 req.body, 
-                req.user
+                req.user,
+                { expectedUpdatedTime }
             );
             
             res.json(result);
@@ -118,6 +129,20 @@ class CompanyController {
             handleApiError(res, error, 'Delete Company');
         }
     };
+
+    /**
+     * 立即重算全部公司的客戶健康度 (平時由每日排程執行)
+     * POST /api/companies/health/recalculate
+     */
+    recalculateHealth = async (req, res) => {
+        try {
+            if (!this.accountHealthService) throw new Error('AccountHealthService 尚未初始化');
+            const result = await this.accountHealthService.captureSnapshot();
+            res.json({ success: true, data: result });
+        } catch (error) {
+            handleApiError(res, error, 'Recalculate Account Health');
+        }
+    };
 }
 
-module.exports = CompanyController;
\ No newline at end of file
+module.exports = CompanyController;
@@ -1,9 +1,11 @@
 /**
  * controllers/contact.controller.js
  * 聯絡人模組控制器
- * * @version 8.3.0
- * * @date 2026-04-19
+ * * @version 8.5.0
+ * * @date 2026-10-19
  * * @description 負責處理聯絡人相關的 HTTP 請求，驗證參數，並呼叫對應的 Service。
+ * * [Feature] searchContacts returns scored RAW leads (`leadScore`) and accepts `sort=score` / `minScore`.
+ * * [Feature] updateContact reads the If-Match version for optimistic concurrency (409 on conflict).
  * * [Feature] Handled `limit` parameter for searchContactList to enable dynamic CORE pagination sizing.
  * * [Feature] Handled `sort` and `order` parameters for searchContactList to enable dynamic CORE sorting.
  * * [Feature] Added deleteRawContact for physical Google Sheet row deletion.
@@ -33,6 +35,7 @@
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { readExpectedVersion } = require('../utils/concurrency');
 
 class ContactController {
     /**
@@ -48,11 +51,12 @@ class ContactController {
 
     /**
      * [ZONE: RAW / POTENTIAL]
-     * GET /api/contacts
+     * GET /api/contacts?sort=score&minScore=60
      */
     searchContacts = async (req, res) => {
         try {
-            const result = await this.contactService.getPotentialContacts();
+            const { sort, minScore } = req.query;
+            const result = await this.contactService.getScoredPotentialContacts({ sort, minScore });
             res.json({ data: result });
         } catch (error) {
             handleApiError(res, error, 'Get Potential Contacts');
@@ -121,16 +125,19 @@ class ContactController {
     /**
      * [ZONE: CORE / OFFICIAL]
      * PUT /api/contacts/:contactId
+     * 支援樂觀鎖：If-Match: <updatedTime>，版本不符回傳 409
      */
     updateContact = async (req, res) => {
         try {
             const contactId = req.params.contactId;
             const user = req.user ? req.user.name : 'System';
+            const expectedUpdatedTime = readExpectedVersion(req);
 
             const result = await this.contactService.updateContact(
                 contactId, 
                 req.body, 
-                user
+                user,
+                { expectedUpdatedTime }
             );
             res.json(result);
         } catch (error) {
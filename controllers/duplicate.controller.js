@@ -0,0 +1,113 @@
+// controllers/duplicate.controller.js
+/**
+ * DuplicateController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 正式聯絡人 / 公司的重複候選與合併 (掛載於 /api/contacts 與 /api/companies，見各自的 routes)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class DuplicateController {
+    /**
+     * @param {DuplicateService} duplicateService
+     */
+    constructor(duplicateService) {
+        this.duplicateService = duplicateService;
+    }
+
+    // GET /api/contacts/duplicates?minScore=
+    getContactDuplicates = async (req, res) => {
+        try {
+            const data = await this.duplicateService.findContactDuplicates({ minScore: req.query.minScore });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Contact Duplicates');
+        }
+    };
+
+    // POST /api/contacts/duplicates/check
+    checkContact = async (req, res) => {
+        try {
+            const { excludeId, minScore, ...draft } = req.body || {};
+            const data = await this.duplicateService.checkContact(draft, { excludeId, minScore });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Check Contact Duplicates');
+        }
+    };
+
+    // POST /api/contacts/merge
+    mergeContacts = async (req, res) => {
+        try {
+            const { survivorId, mergedIds } = req.body || {};
+            const result = await this.duplicateService.mergeContacts(survivorId, mergedIds, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Merge Contacts');
+        }
+    };
+
+    // GET /api/companies/duplicates?minScore=
+    getCompanyDuplicates = async (req, res) => {
+        try {
+            const data = await this.duplicateService.findCompanyDuplicates({ minScore: req.query.minScore });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Company Duplicates');
+        }
+    };
+
+    // POST /api/companies/duplicates/check
+    checkCompany = async (req, res) => {
+        try {
+            const { excludeId, minScore, ...draft } = req.body || {};
+            if (!draft.companyName) {
+                return res.status(400).json({ success: false, error: 'Company name is required' });
+            }
+            const data = await this.duplicateService.checkCompany(draft, { excludeId, minScore });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Check Company Duplicates');
+        }
+    };
+
+    // POST /api/companies/merge
+    mergeCompanies = async (req, res) => {
+        try {
+            const { survivorId, mergedIds } = req.body || {};
+            const result = await this.duplicateService.mergeCompanies(survivorId, mergedIds, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Merge Companies');
+        }
+    };
+
+    // GET /api/contacts/merges?recordId=
+    getContactMerges = async (req, res) => {
+        try {
+            const data = await this.duplicateService.getMergeHistory({ entityType: 'contact', recordId: req.query.recordId });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Contact Merges');
+        }
+    };
+
+    // GET /api/companies/merges?recordId=
+    getCompanyMerges = async (req, res) => {
+        try {
+            const data = await this.duplicateService.getMergeHistory({ entityType: 'company', recordId: req.query.recordId });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Company Merges');
+        }
+    };
+}
+
+module.exports = DuplicateController;
@@ -1,8 +1,14 @@
 /**
  * controllers/event.controller.js
- * @version Phase 8.3f (Phase A - Interaction Logging Patch)
- * @date 2026-04-16
+ * @version Phase 8.6 (Calendar Sync)
+ * @date 2026-10-19
  * @description
+ * [Phase 8.6]
+ * - Added two-way calendar sync endpoints (POST /api/calendar/sync for admins, GET /api/calendar/sync/status).
+ * [Phase 8.5]
+ * - Added server-side visit report downloads (GET /api/events/:eventId/report.pdf | report.docx).
+ * [Phase 8.4]
+ * - Added event type schema endpoints (GET /api/events/schemas; PUT / DELETE limited to admins).
  * [Phase A Patch]
  * - Added system interaction logging for Update and Delete Event Log.
  * - Safely buffers existing event context prior to execution to maintain data integrity.
@@ -95,6 +101,25 @@ exports.getEventLogById = async (req, res) => {
   }
 };
 
+// GET /api/events/:eventId/report.pdf | /api/events/:eventId/report.docx
+exports.getEventReport = async (req, res) => {
+  try {
+    const { eventReportService } = getServices(req);
+    const result = await eventReportService.renderReport(req.params.eventId, req.params.format);
+    if (!result) {
+      return res.status(404).json({ success: false, error: `找不到事件紀錄: ${req.params.eventId}` });
+    }
+
+    // filename 為 ASCII 後備，filename* 帶中文檔名；?inline=1 供瀏覽器直接預覽 PDF
+    const disposition = req.query.inline === '1' ? 'inline' : 'attachment';
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="event_report_${req.params.eventId}.${req.params.format}"; filename*=UTF-8''${encodeURIComponent(result.fileName)}`);
+    res.send(result.content);
+  } catch (error) {
+    handleApiError(res, error, 'Get Event Report');
+  }
+};
+
 // PUT /api/events/:eventId
 exports.updateEventLog = async (req, res) => {
   try {
@@ -200,6 +225,46 @@ exports.deleteEventLog = async (req, res) => {
   }
 };
 
+// ==========================================
+// Part 1b: 事件類型欄位設定 (Event Type Schemas)
+// ==========================================
+
+// GET /api/events/schemas?includeInactive=true
+exports.getEventSchemas = async (req, res) => {
+  try {
+    const { eventSchemaService } = getServices(req);
+    const data = await eventSchemaService.getSchemas({ includeInactive: req.query.includeInactive === 'true' });
+    res.json({ success: true, data });
+  } catch (error) {
+    handleApiError(res, error, 'Get Event Schemas');
+  }
+};
+
+// PUT /api/events/schemas/:eventType
+exports.saveEventSchema = async (req, res) => {
+  try {
+    const { eventSchemaService } = getServices(req);
+    const result = await eventSchemaService.saveSchema(req.params.eventType, req.body, { displayName: req.user.name });
+    res.json(result);
+  } catch (error) {
+    handleApiError(res, error, 'Save Event Schema');
+  }
+};
+
+// DELETE /api/events/schemas/:eventType
+exports.deleteEventSchema = async (req, res) => {
+  try {
+    const { eventSchemaService } = getServices(req);
+    const result = await eventSchemaService.deleteSchema(req.params.eventType);
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    handleApiError(res, error, 'Delete Event Schema');
+  }
+};
+
 // ==========================================
 // Part 2: 日曆 (Calendar) 與 自動同步功能
 // ==========================================
@@ -221,4 +286,24 @@ exports.getThisWeekEvents = async (req, res) => {
   } catch (error) {
     handleApiError(res, error, 'Get Week Events');
   }
-};
\ No newline at end of file
+};
+// POST /api/calendar/sync (管理員手動觸發；排程見 app.js)
+exports.syncCalendar = async (req, res) => {
+  try {
+    const { calendarSyncService } = getServices(req);
+    const data = await calendarSyncService.sync();
+    res.json({ success: true, data });
+  } catch (error) {
+    handleApiError(res, error, 'Sync Calendar');
+  }
+};
+
+// GET /api/calendar/sync/status
+exports.getCalendarSyncStatus = async (req, res) => {
+  try {
+    const { calendarSyncService } = getServices(req);
+    res.json({ success: true, data: await calendarSyncService.getStatus() });
+  } catch (error) {
+    handleApiError(res, error, 'Get Calendar Sync Status');
+  }
+};
@@ -0,0 +1,56 @@
+// controllers/export.controller.js
+/**
+ * ExportController
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description 列表資料匯出 (CSV / XLSX / JSON)，以附件下載回傳。
+ * - [1.0.1] 市場商品匯出與 GET /api/products 相同僅限管理員 (非管理員回傳 403)。
+ */
+
+const config = require('../config');
+const { handleApiError } = require('../middleware/error.middleware');
+
+// URL 使用複數資源名稱 (與各列表 API 路徑一致)
+const ENTITY_BY_PATH = {
+    contacts: 'contact',
+    companies: 'company',
+    opportunities: 'opportunity',
+    interactions: 'interaction',
+    events: 'event',
+    weekly: 'weekly',
+    products: 'product'
+};
+
+class ExportController {
+    /**
+     * @param {ExportService} exportService
+     */
+    constructor(exportService) {
+        this.exportService = exportService;
+    }
+
+    // GET /api/export/:entity?format=csv|xlsx|json&q=...&<列表篩選條件>
+    exportList = async (req, res) => {
+        try {
+            const entity = ENTITY_BY_PATH[req.params.entity] || req.params.entity;
+
+            // 權限檢查 (與 ProductController 相同)
+            if (entity === 'product' && req.user?.role !== 'admin') {
+                return res.status(403).json({ success: false, error: config.ERROR_MESSAGES.ADMIN_ONLY });
+            }
+
+            const result = await this.exportService.exportList(entity, req.query, req.user);
+
+            // filename 為 ASCII 後備，filename* 帶中文檔名
+            const asciiName = `export_${entity}.${result.fileName.split('.').pop()}`;
+            res.setHeader('Content-Type', result.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(result.fileName)}`);
+            res.setHeader('X-Export-Count', String(result.count));
+            res.send(result.content);
+        } catch (error) {
+            handleApiError(res, error, 'Export List');
+        }
+    };
+}
+
+module.exports = ExportController;
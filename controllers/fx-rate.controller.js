@@ -0,0 +1,66 @@
+// controllers/fx-rate.controller.js
+/**
+ * FxRateController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 匯率表維護 (讀取開放，異動限管理員，見 routes/fx-rate.routes.js)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class FxRateController {
+    /**
+     * @param {CurrencyService} currencyService
+     */
+    constructor(currencyService) {
+        this.currencyService = currencyService;
+    }
+
+    // GET /api/fx-rates
+    getRates = async (req, res) => {
+        try {
+            const data = await this.currencyService.getRates();
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get FX Rates');
+        }
+    };
+
+    // POST /api/fx-rates
+    createRate = async (req, res) => {
+        try {
+            const result = await this.currencyService.saveRate(req.body, req.user);
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Create FX Rate');
+        }
+    };
+
+    // PUT /api/fx-rates/:rateId
+    updateRate = async (req, res) => {
+        try {
+            const result = await this.currencyService.updateRate(req.params.rateId, req.body, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Update FX Rate');
+        }
+    };
+
+    // DELETE /api/fx-rates/:rateId
+    deleteRate = async (req, res) => {
+        try {
+            const result = await this.currencyService.deleteRate(req.params.rateId);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Delete FX Rate');
+        }
+    };
+}
+
+module.exports = FxRateController;
@@ -0,0 +1,67 @@
+// controllers/import.controller.js
+/**
+ * ImportController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description CSV / XLSX 批次匯入精靈 (欄位對應 → dry-run 驗證 → 批次寫入)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+// URL 使用複數資源名稱
+const ENTITY_BY_PATH = { contacts: 'contact', companies: 'company', opportunities: 'opportunity' };
+
+class ImportController {
+    /**
+     * @param {ImportService} importService
+     */
+    constructor(importService) {
+        this.importService = importService;
+    }
+
+    _entity(req) {
+        return ENTITY_BY_PATH[req.params.entity] || req.params.entity;
+    }
+
+    // GET /api/imports/:entity/fields
+    getFields = async (req, res) => {
+        try {
+            const data = this.importService.getFields(this._entity(req));
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Import Fields');
+        }
+    };
+
+    // POST /api/imports/:entity/preview
+    previewImport = async (req, res) => {
+        try {
+            const data = await this.importService.previewImport(this._entity(req), req.body);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Preview Import');
+        }
+    };
+
+    // POST /api/imports/:entity/validate
+    validateImport = async (req, res) => {
+        try {
+            const data = await this.importService.validateImport(this._entity(req), req.body);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Validate Import');
+        }
+    };
+
+    // POST /api/imports/:entity/commit
+    commitImport = async (req, res) => {
+        try {
+            const result = await this.importService.commitImport(this._entity(req), req.body, req.user);
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Commit Import');
+        }
+    };
+}
+
+module.exports = ImportController;
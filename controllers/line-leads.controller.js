@@ -1,8 +1,10 @@
 /**
  * File: controllers/line-leads.controller.js
- * Version: 7.4.0
- * Date: 2026-03-22
+ * Version: 7.6.0
+ * Date: 2026-10-19
  * Changelog: 
+ * - [V7.6.0] Lead routing: getAllLeads returns assignment / SLA info (read-only; new LINE leads are assigned at card intake and by the lead-routing schedule) plus the routing roster; assignees may edit their leads (first edit records the SLA response); added assignLead (PUT /api/line/leads/:rowIndex/assign) for routing admins.
+ * - [V7.5.0] Added uploadCards (POST /api/line/cards): LIFF card photos go through the shared CardIntakeService, owned by the LINE user.
  * - [V7.4.0] Implemented backend ownership enforcement for updateLead and added deleteLead endpoint.
  * - [V7.3.1] Restored CRM Whitelist authorization gate in getAllLeads and updateLead, and ensured authorization executes before data access.
  * - [V7.3.0] Exposed 4 new exhibition theme config keys (triangle color/opacity, bar color/opacity) to the frontend via the getAllLeads response payload.
@@ -20,10 +22,14 @@ class LineLeadsController {
      * @param {ContactService} contactService 
      * @param {AuthService} authService 
      * @param {SystemService} systemService - Injected to fetch Exhibition Config deterministically
+     * @param {CardIntakeService} [cardIntakeService] - Business card OCR intake (shared with the web UI)
+     * @param {LeadRoutingService} [leadRoutingService] - Lead assignment and SLA
      */
-    constructor(contactService, authService, systemService) {
+    constructor(contactService, authService, systemService, cardIntakeService = null, leadRoutingService = null) {
         this.contactService = contactService;
         this.authService = authService;
+        this.cardIntakeService = cardIntakeService;
+        this.leadRoutingService = leadRoutingService;
         
         // Ensure deterministic access for config exposure
         if (!systemService) {
@@ -102,13 +108,26 @@ class LineLeadsController {
                 throw new Error('ContactService not initialized in Controller');
             }
 
-            const leads = await this.contactService.getPotentialContacts(3000);
+            let leads = await this.contactService.getPotentialContacts(3000);
+
+            // 5. 名片分派：附上負責業務與 SLA (分派於建檔與排程進行，讀取不寫回)
+            let routing = null;
+            if (this.leadRoutingService) {
+                const described = await this.leadRoutingService.describeAssignments(leads);
+                leads = described.leads;
+                routing = {
+                    isAdmin: token === 'TEST_LOCAL_TOKEN' || described.admins.has(user.sub),
+                    salespeople: described.salespeople,
+                    slaHours: this.leadRoutingService.config.LEAD_ROUTING.SLA_HOURS
+                };
+            }
 
             // 包裹回傳格式以符合前端 result.success 檢查
             res.json({
                 success: true,
                 data: leads,
-                exhibitionConfig // Safely pass config to UI layer
+                exhibitionConfig, // Safely pass config to UI layer
+                routing
             });
 
         } catch (error) {
@@ -126,6 +145,8 @@ class LineLeadsController {
             if (!token) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
             const rowIndex = parseInt(req.params.rowIndex);
+            let targetLead = null;
+            let editorId = null;
 
             if (token !== 'TEST_LOCAL_TOKEN') {
                 const user = await this.authService.verifyLineIdToken(token);
@@ -141,14 +162,15 @@ class LineLeadsController {
                     }
                 }
 
-                // --- Ownership Authorization Gate ---
-                const targetLead = await this.contactService.getPotentialContactByRow(rowIndex);
+                // --- Ownership Authorization Gate (上傳者或負責業務) ---
+                targetLead = await this.contactService.getPotentialContactByRow(rowIndex);
                 if (!targetLead) {
                     return res.status(404).json({ success: false, message: '找不到該名片資料' });
                 }
-                if (targetLead.lineUserId !== user.sub) {
+                if (targetLead.lineUserId !== user.sub && targetLead.assignedTo !== user.sub) {
                     return res.status(403).json({ success: false, message: '無權限修改他人的名片' });
                 }
+                editorId = user.sub;
             }
 
             // 2. 執行更新
@@ -160,6 +182,15 @@ class LineLeadsController {
             // L2：寫入統一委派至 ContactService（移除 Writer 直接依賴）
             await this.contactService.updatePotentialContact(rowIndex, updateData, modifier);
 
+            // 負責業務首次處理 → 記錄 SLA 回應時間
+            if (this.leadRoutingService && targetLead) {
+                try {
+                    await this.leadRoutingService.recordFirstResponse(targetLead, editorId);
+                } catch (slaErr) {
+                    console.warn('[LineLeadsController] Failed to record first response:', slaErr.message);
+                }
+            }
+
             res.json({ success: true, message: '更新成功' });
 
         } catch (error) {
@@ -167,6 +198,84 @@ class LineLeadsController {
         }
     };
 
+    // PUT /api/line/leads/:rowIndex/assign  body: { assignedTo } (空字串 = 取消分派)
+    assignLead = async (req, res) => {
+        try {
+            const authHeader = req.headers['authorization'];
+            const token = authHeader && authHeader.split(' ')[1];
+            if (!token) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            if (!this.leadRoutingService) {
+                throw new Error('LeadRoutingService not initialized in Controller');
+            }
+
+            if (token !== 'TEST_LOCAL_TOKEN') {
+                const user = await this.authService.verifyLineIdToken(token);
+                if (!user) return res.status(401).json({ success: false, message: 'Invalid Token' });
+
+                // --- Routing Admin Gate (名片分派管理員) ---
+                const isAdmin = await this.leadRoutingService.isRoutingAdmin(user.sub);
+                if (!isAdmin) {
+                    return res.status(403).json({ success: false, message: '僅分派管理員可以改派名片' });
+                }
+            }
+
+            const rowIndex = parseInt(req.params.rowIndex);
+            const targetLead = await this.contactService.getPotentialContactByRow(rowIndex);
+            if (!targetLead) {
+                return res.status(404).json({ success: false, message: '找不到該名片資料' });
+            }
+
+            const assignment = await this.leadRoutingService.reassignLead(targetLead, req.body?.assignedTo);
+            res.json({
+                success: true,
+                message: assignment.assignedTo ? '已改派名片' : '已取消分派',
+                data: assignment
+            });
+
+        } catch (error) {
+            handleApiError(res, error, 'Assign Lead');
+        }
+    };
+
+    // POST /api/line/cards  body: { files: [{ fileName, mimeType, content(base64) }], userTag? }
+    uploadCards = async (req, res) => {
+        try {
+            const authHeader = req.headers['authorization'];
+            const token = authHeader && authHeader.split(' ')[1];
+            if (!token) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const user = await this.authService.verifyLineIdToken(token);
+            if (!user) return res.status(401).json({ success: false, message: 'Invalid Token' });
+
+            // --- Whitelist Authorization Gate ---
+            if (token !== 'TEST_LOCAL_TOKEN' && this.systemService) {
+                const sysConfig = await this.systemService.getSystemConfig();
+                const whitelist = sysConfig['LINE白名單'] || [];
+                const isAllowed = whitelist.some(w => w.value && w.value.trim() === user.sub);
+                if (!isAllowed) {
+                    return res.status(403).json({ success: false, message: '未授權的帳號', yourUserId: user.sub });
+                }
+            }
+
+            if (!this.cardIntakeService) {
+                throw new Error('CardIntakeService not initialized in Controller');
+            }
+
+            // lineUserId 決定名片擁有者 (updateLead / deleteLead 的 Ownership Gate)
+            const result = await this.cardIntakeService.intakeCards(req.body?.files, {
+                source: 'LINE',
+                lineUserId: user.sub,
+                userNickname: user.name || '',
+                userTag: req.body?.userTag || ''
+            });
+            res.status(result.success ? 201 : 422).json(result);
+
+        } catch (error) {
+            handleApiError(res, error, 'Upload Line Cards');
+        }
+    };
+
     // DELETE /api/line/leads/:rowIndex
     deleteLead = async (req, res) => {
         try {
@@ -1,12 +1,16 @@
 // controllers/opportunity.controller.js
 /**
  * OpportunityController
- * * @version 6.2.0 (Phase 9 - Metadata Decoupling)
- * @date 2026-04-15
+ * * @version 6.3.0 (Optimistic Concurrency)
+ * @date 2026-10-19
  * @description 機會案件控制器，擴展支援獨立的 Metadata API Fetch。
+ * updateOpportunity 讀取 If-Match 版本，版本衝突時回 409。
+ * 新增 getStageReachability (階段流程規則，供 Stepper 反灰)。
+ * 新增 closeOpportunity (成交 / 失敗結案，需附原因代碼、競爭對手與說明)。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { readExpectedVersion } = require('../utils/concurrency');
 
 class OpportunityController {
     /**
@@ -114,13 +118,41 @@ class OpportunityController {
         }
     };
 
+    // POST /api/opportunities/:opportunityId/close
+    closeOpportunity = async (req, res) => {
+        try {
+            const { result, reasonCode, competitor, note } = req.body;
+            const data = await this.workflowService.closeOpportunity(
+                req.params.opportunityId,
+                { result, reasonCode, competitor, note },
+                req.user
+            );
+            res.json(data);
+        } catch (error) {
+            handleApiError(res, error, 'Close Opportunity');
+        }
+    };
+
+    // GET /api/opportunities/:opportunityId/pipeline
+    getStageReachability = async (req, res) => {
+        try {
+            const data = await this.opportunityService.getStageReachability(req.params.opportunityId);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Stage Reachability');
+        }
+    };
+
     // PUT /api/opportunities/:opportunityId
+    // 支援樂觀鎖：If-Match: <lastUpdateTime>，版本不符回傳 409 與伺服器目前資料
     updateOpportunity = async (req, res) => {
         try {
+            const expectedUpdatedTime = readExpectedVersion(req);
             const result = await this.opportunityService.updateOpportunity(
                 req.params.opportunityId, 
                 req.body, 
-                req.user
+                req.user,
+                { expectedUpdatedTime }
             );
             res.json(result);
         } catch (error) {
@@ -0,0 +1,113 @@
+// controllers/quote.controller.js
+/**
+ * QuoteController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 機會報價單 (掛載於 /api/opportunities/:opportunityId/quotes，見 routes/opportunity.routes.js)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class QuoteController {
+    /**
+     * @param {QuoteService} quoteService
+     */
+    constructor(quoteService) {
+        this.quoteService = quoteService;
+    }
+
+    // GET /api/opportunities/:opportunityId/quotes
+    getQuotes = async (req, res) => {
+        try {
+            const data = await this.quoteService.getQuotes(req.params.opportunityId);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Quotes');
+        }
+    };
+
+    // GET /api/opportunities/:opportunityId/quotes/catalog
+    getCatalog = async (req, res) => {
+        try {
+            const data = await this.quoteService.getCatalog(req.params.opportunityId);
+            if (!data) {
+                return res.status(404).json({ success: false, error: '找不到指定的機會' });
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Quote Catalog');
+        }
+    };
+
+    // GET /api/opportunities/:opportunityId/quotes/:quoteId
+    getQuote = async (req, res) => {
+        try {
+            const data = await this.quoteService.getQuote(req.params.opportunityId, req.params.quoteId);
+            if (!data) {
+                return res.status(404).json({ success: false, error: '找不到指定的報價單' });
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Quote');
+        }
+    };
+
+    // POST /api/opportunities/:opportunityId/quotes
+    createQuote = async (req, res) => {
+        try {
+            const result = await this.quoteService.createQuote(req.params.opportunityId, req.body, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Create Quote');
+        }
+    };
+
+    // PUT /api/opportunities/:opportunityId/quotes/:quoteId
+    updateQuote = async (req, res) => {
+        try {
+            const result = await this.quoteService.updateQuote(req.params.opportunityId, req.params.quoteId, req.body, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Update Quote');
+        }
+    };
+
+    // POST /api/opportunities/:opportunityId/quotes/:quoteId/accept
+    acceptQuote = async (req, res) => {
+        try {
+            const result = await this.quoteService.acceptQuote(
+                req.params.opportunityId,
+                req.params.quoteId,
+                { applyToOpportunity: req.body?.applyToOpportunity === true },
+                req.user
+            );
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Accept Quote');
+        }
+    };
+
+    // DELETE /api/opportunities/:opportunityId/quotes/:quoteId
+    deleteQuote = async (req, res) => {
+        try {
+            const result = await this.quoteService.deleteQuote(req.params.opportunityId, req.params.quoteId);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Delete Quote');
+        }
+    };
+}
+
+module.exports = QuoteController;
@@ -14,4 +14,120 @@ exports.getSalesAnalysis = async (req, res) => {
     } catch (error) { 
         handleApiError(res, error, 'Sales Analysis'); 
     }
-};
\ No newline at end of file
+};
+
+// GET /api/sales/forecast
+exports.getForecast = async (req, res) => {
+    try {
+        const { forecastService } = getServices(req);
+        const forecast = await forecastService.getForecast();
+        res.json({ success: true, data: forecast });
+    } catch (error) {
+        handleApiError(res, error, 'Sales Forecast');
+    }
+};
+
+// GET /api/sales/pipeline-snapshots
+exports.getPipelineSnapshotDates = async (req, res) => {
+    try {
+        const { pipelineSnapshotService } = getServices(req);
+        const dates = await pipelineSnapshotService.getSnapshotDates();
+        res.json({ success: true, data: dates });
+    } catch (error) {
+        handleApiError(res, error, 'Pipeline Snapshot Dates');
+    }
+};
+
+// GET /api/sales/pipeline-snapshots/diff?from=&to=
+exports.getPipelineSnapshotDiff = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!datePattern.test(from || '') || (to && !datePattern.test(to))) {
+            return res.status(400).json({ success: false, error: 'from / to 需為 YYYY-MM-DD 格式' });
+        }
+
+        const { pipelineSnapshotService } = getServices(req);
+        const diff = await pipelineSnapshotService.diffSnapshots(from, to || undefined);
+        if (!diff) {
+            return res.status(404).json({ success: false, error: '指定日期之前沒有 Pipeline 快照' });
+        }
+        res.json({ success: true, data: diff });
+    } catch (error) {
+        handleApiError(res, error, 'Pipeline Snapshot Diff');
+    }
+};
+
+// GET /api/sales/quotas?assignee=&periodType=
+exports.getQuotas = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const { assignee, periodType } = req.query;
+        const quotas = await quotaService.getQuotas({ assignee, periodType });
+        res.json({ success: true, data: quotas });
+    } catch (error) {
+        handleApiError(res, error, 'Get Sales Quotas');
+    }
+};
+
+// POST /api/sales/quotas
+exports.createQuota = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const result = await quotaService.saveQuota(req.body, req.user);
+        res.json(result);
+    } catch (error) {
+        handleApiError(res, error, 'Create Sales Quota');
+    }
+};
+
+// PUT /api/sales/quotas/:quotaId
+exports.updateQuota = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const result = await quotaService.updateQuota(req.params.quotaId, req.body, req.user);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        handleApiError(res, error, 'Update Sales Quota');
+    }
+};
+
+// DELETE /api/sales/quotas/:quotaId
+exports.deleteQuota = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const result = await quotaService.deleteQuota(req.params.quotaId);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        handleApiError(res, error, 'Delete Sales Quota');
+    }
+};
+
+// GET /api/sales/quotas/attainment?startDate=&endDate=&assignee=
+exports.getQuotaAttainment = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const { startDate, endDate, assignee } = req.query;
+        const data = await quotaService.getAttainment({ startDate, endDate, assignee });
+        res.json({ success: true, data });
+    } catch (error) {
+        handleApiError(res, error, 'Sales Quota Attainment');
+    }
+};
+
+// GET /api/sales/quotas/me
+exports.getMyQuotaAttainment = async (req, res) => {
+    try {
+        const { quotaService } = getServices(req);
+        const data = await quotaService.getMyAttainment(req.user);
+        res.json({ success: true, data });
+    } catch (error) {
+        handleApiError(res, error, 'My Sales Quota Attainment');
+    }
+};
@@ -3,9 +3,10 @@
 // ============================================================================
 /**
  * controllers/system.controller.js
- * @version 2.8.2 Phase C-2.5 (Patch: Tooltip Lazy Load)
- * @date 2026-04-24
+ * @version 2.9.0 (Company Hierarchy)
+ * @date 2026-10-19
  * @changelog
+ * - Dashboard and company-activity-details accept ?groupLevel=true (MTU/SI stats counted per company group).
  * - Added getDashboardCompanyActivityDetails for lazy fetching MTU/SI activity details.
  * - Added hook to invalidate DashboardService RAW contact cache on force refresh.
  * - [PHASE D-2] backend dashboard range support added for safe analytical sections
@@ -86,7 +87,8 @@ class SystemController {
             const options = {
                 range: req.query.range,
                 start: req.query.start,
-                end: req.query.end
+                end: req.query.end,
+                groupLevel: req.query.groupLevel === 'true'
             };
 
             const data = await this.dashboardService.getDashboardData(options);
@@ -114,7 +116,9 @@ class SystemController {
             if (type !== 'mtu' && type !== 'si') {
                 return res.status(400).json({ success: false, message: 'Invalid type' });
             }
-            const data = await this.dashboardService.getCompanyActivityDetails(type);
+            const data = await this.dashboardService.getCompanyActivityDetails(type, {
+                groupLevel: req.query.groupLevel === 'true'
+            });
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Get Company Activity Details');
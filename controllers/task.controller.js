@@ -0,0 +1,89 @@
+// controllers/task.controller.js
+/**
+ * TaskController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 待辦任務 CRUD 與儀表板「我的待辦」(見 routes/task.routes.js)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class TaskController {
+    /**
+     * @param {TaskService} taskService
+     */
+    constructor(taskService) {
+        this.taskService = taskService;
+    }
+
+    // GET /api/tasks?assignee=&status=&opportunityId=&companyId=&contactId=&dueOnOrBefore=
+    getTasks = async (req, res) => {
+        try {
+            const data = await this.taskService.getTasks(req.query);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Tasks');
+        }
+    };
+
+    // GET /api/tasks/me
+    getMyTasks = async (req, res) => {
+        try {
+            const data = await this.taskService.getMyTasks(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get My Tasks');
+        }
+    };
+
+    // GET /api/tasks/:taskId
+    getTask = async (req, res) => {
+        try {
+            const data = await this.taskService.getTask(req.params.taskId);
+            if (!data) {
+                return res.status(404).json({ success: false, error: '找不到指定的任務' });
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Task');
+        }
+    };
+
+    // POST /api/tasks
+    createTask = async (req, res) => {
+        try {
+            const result = await this.taskService.createTask(req.body, req.user);
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Create Task');
+        }
+    };
+
+    // PUT /api/tasks/:taskId
+    updateTask = async (req, res) => {
+        try {
+            const result = await this.taskService.updateTask(req.params.taskId, req.body, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Update Task');
+        }
+    };
+
+    // DELETE /api/tasks/:taskId
+    deleteTask = async (req, res) => {
+        try {
+            const result = await this.taskService.deleteTask(req.params.taskId);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Delete Task');
+        }
+    };
+}
+
+module.exports = TaskController;
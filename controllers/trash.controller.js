@@ -0,0 +1,53 @@
+// controllers/trash.controller.js
+/**
+ * TrashController
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 回收桶控制器 (列出 / 還原軟刪除資料)，僅限管理員。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class TrashController {
+    /**
+     * @param {TrashService} trashService 
+     */
+    constructor(trashService) {
+        this.trashService = trashService;
+    }
+
+    // GET /api/trash?entity=opportunity
+    getTrashItems = async (req, res) => {
+        try {
+            const { entity } = req.query;
+            if (entity && !this.trashService.isSupportedEntity(entity)) {
+                return res.status(400).json({ success: false, error: `不支援的 entity 參數: ${entity}` });
+            }
+
+            const data = await this.trashService.getTrashItems(entity);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Trash Items');
+        }
+    };
+
+    // POST /api/trash/:entity/:id/restore
+    restoreItem = async (req, res) => {
+        try {
+            const { entity, id } = req.params;
+            if (!this.trashService.isSupportedEntity(entity)) {
+                return res.status(400).json({ success: false, error: `不支援的 entity 參數: ${entity}` });
+            }
+
+            const result = await this.trashService.restoreItem(entity, id, req.user);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Restore Trash Item');
+        }
+    };
+}
+
+module.exports = TrashController;
@@ -4,10 +4,12 @@
 /**
  * controllers/weekly.controller.js
  * 週間業務控制器 (Controller Layer)
- * * @version 6.0.2 (Refactored to Class & DI & Service Method Fix)
- * @date 2026-01-14
+ * * @version 6.2.0 (Weekly Digest)
+ * @date 2026-10-19
  * @description 負責接收 HTTP 請求，驗證參數，並呼叫 WeeklyBusinessService。
  * 已移除業務邏輯，僅保留路由轉發。
+ * - [v6.2.0] 週報發布 (WeeklyDigestService)：預覽、發布版本、版本列表、HTML / PDF 輸出與 Email 寄送。
+ * - [v6.1.0] generateDraft：依本週 CRM 活動產生週報草稿 (WeeklyDraftService)。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
@@ -15,9 +17,13 @@ const { handleApiError } = require('../middleware/error.middleware');
 class WeeklyController {
     /**
      * @param {WeeklyBusinessService} weeklyBusinessService - 注入的業務服務
+     * @param {WeeklyDraftService} weeklyDraftService - 週報草稿
+     * @param {WeeklyDigestService} weeklyDigestService - 週報發布
      */
-    constructor(weeklyBusinessService) {
+    constructor(weeklyBusinessService, weeklyDraftService, weeklyDigestService) {
         this.weeklyBusinessService = weeklyBusinessService;
+        this.weeklyDraftService = weeklyDraftService;
+        this.weeklyDigestService = weeklyDigestService;
     }
 
     /**
@@ -61,6 +67,103 @@ class WeeklyController {
         }
     };
 
+    /**
+     * POST /api/business/weekly/draft/:weekId
+     * 產生週報草稿 (不寫入；body.useAi = false 時只使用範本)
+     */
+    generateDraft = async (req, res) => {
+        try {
+            const { weekId } = req.params;
+            const options = {};
+            if (req.body && req.body.useAi !== undefined) options.useAi = req.body.useAi !== false && req.body.useAi !== 'false';
+            const data = await this.weeklyDraftService.generateDraft(weekId, options);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Generate Weekly Draft');
+        }
+    };
+
+    /**
+     * GET /api/business/weekly/digest/:weekId/preview
+     * 預覽尚未發布的週報 (HTML)
+     */
+    previewDigest = async (req, res) => {
+        try {
+            const html = await this.weeklyDigestService.previewHtml(req.params.weekId, req.user);
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.send(html);
+        } catch (error) {
+            handleApiError(res, error, 'Preview Weekly Digest');
+        }
+    };
+
+    /**
+     * GET /api/business/weekly/digest/:weekId/versions
+     * 已發布的版本與寄送紀錄
+     */
+    getDigestVersions = async (req, res) => {
+        try {
+            const data = await this.weeklyDigestService.getVersions(req.params.weekId);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Weekly Digest Versions');
+        }
+    };
+
+    /**
+     * POST /api/business/weekly/digest/:weekId/publish
+     * 發布新版本；body: { send, recipients }
+     */
+    publishDigest = async (req, res) => {
+        try {
+            const { send, recipients } = req.body || {};
+            const data = await this.weeklyDigestService.publish(req.params.weekId, { send: send === true, recipients }, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Publish Weekly Digest');
+        }
+    };
+
+    /**
+     * GET /api/business/weekly/digests/:digestId.(html|pdf)
+     * 已發布版本的內容 (?download=1 以附件下載)
+     */
+    getDigestFile = async (req, res) => {
+        try {
+            const { digestId, format } = req.params;
+            const result = await this.weeklyDigestService.renderDigest(digestId, format);
+            if (!result) {
+                return res.status(404).json({ success: false, error: `找不到週報版本: ${digestId}` });
+            }
+            const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+            res.setHeader('Content-Type', result.contentType);
+            res.setHeader('Content-Disposition', `${disposition}; filename="weekly_digest_${digestId}.${format}"; filename*=UTF-8''${encodeURIComponent(result.fileName)}`);
+            res.send(result.content);
+        } catch (error) {
+            handleApiError(res, error, 'Get Weekly Digest File');
+        }
+    };
+
+    /**
+     * POST /api/business/weekly/digests/:digestId/send
+     * 寄送已發布版本；body: { recipients } (未指定時使用預設收件者)
+     */
+    sendDigest = async (req, res) => {
+        try {
+            const { digestId } = req.params;
+            const delivery = await this.weeklyDigestService.sendDigest(digestId, (req.body || {}).recipients, req.user);
+            if (!delivery) {
+                return res.status(404).json({ success: false, error: `找不到週報版本: ${digestId}` });
+            }
+            if (delivery.status !== 'sent') {
+                return res.status(502).json({ success: false, error: `寄送失敗: ${delivery.error}`, data: delivery });
+            }
+            res.json({ success: true, data: delivery });
+        } catch (error) {
+            handleApiError(res, error, 'Send Weekly Digest');
+        }
+    };
+
     /**
      * POST /api/business/weekly
      * 建立週報
@@ -0,0 +1,76 @@
+/**
+ * data/audit-log-sql-reader.js
+ * 稽核軌跡 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: audit_logs (由 AuditLogSqlWriter 寫入)
+ * - 提供依實體類型 / 實體 ID 查詢變更歷程，新到舊排序。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class AuditLogSqlReader {
+
+    constructor() {
+        this.tableName = 'audit_logs';
+    }
+
+    /**
+     * 查詢稽核紀錄
+     * @param {Object} filters
+     * @param {string} filters.entityType
+     * @param {string} [filters.entityId]
+     * @param {number} [filters.limit=200]
+     * @returns {Promise<Array<Object>>} Audit Log DTOs
+     */
+    async getAuditLogs({ entityType, entityId, limit = 200 }) {
+        if (!entityType) throw new Error('AuditLogSqlReader: entityType is required');
+
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('entity_type', entityType);
+
+            if (entityId) query = query.eq('entity_id', String(entityId));
+
+            const { data, error } = await query
+                .order('created_time', { ascending: false })
+                .limit(limit);
+
+            if (error) {
+                throw new Error(`[AuditLogSqlReader] DB Error: ${error.message}`);
+            }
+
+            return (data || []).map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[AuditLogSqlReader] getAuditLogs Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Maps Raw SQL Row to DTO
+     * snake_case -> camelCase (before/after 快照維持 DB 原始欄位)
+     */
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            auditId: row.audit_id,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            action: row.action,
+            before: row.before_data || null,
+            after: row.after_data || null,
+            changedFields: row.changed_fields || [],
+            actor: row.actor,
+            requestId: row.request_id,
+            createdTime: row.created_time
+        };
+    }
+}
+
+module.exports = AuditLogSqlReader;
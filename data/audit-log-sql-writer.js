@@ -0,0 +1,106 @@
+/**
+ * data/audit-log-sql-writer.js
+ * 稽核軌跡 SQL Writer (Audit Trail)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 負責將 CORE SQL Writers 的 create/update/delete 前後快照寫入 'audit_logs' 資料表。
+ * - Locked Schema: audit_id, entity_type, entity_id, action, before_data (jsonb), after_data (jsonb),
+ * changed_fields (text[]), actor, request_id, created_time.
+ * - 操作者與 Request ID 取自 request-context middleware；非 HTTP 情境則退回呼叫端傳入的 modifier。
+ * - [Contract] 稽核寫入失敗「絕不」中斷業務寫入，只記錄警告。
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+const { getRequestContext } = require('../middleware/request-context.middleware');
+
+// 每次更新必定變動的欄位，不列入 changed_fields 以免淹沒真正的差異
+const IGNORED_DIFF_FIELDS = ['updated_time', 'updated_by', 'last_modified_time', 'edit_count'];
+
+class AuditLogSqlWriter {
+    constructor() {
+        this.tableName = 'audit_logs';
+    }
+
+    /**
+     * 解析操作者名稱
+     * @param {Object|null} contextUser - req.user (JWT payload)
+     * @param {Object|string} fallback - Writer 呼叫端傳入的 creator/modifier
+     */
+    _resolveActor(contextUser, fallback) {
+        if (contextUser) {
+            return contextUser.displayName || contextUser.name || contextUser.username || contextUser.userId || 'Unknown';
+        }
+        if (fallback && typeof fallback === 'object') {
+            return fallback.displayName || fallback.name || fallback.username || 'System';
+        }
+        return fallback || 'System';
+    }
+
+    /**
+     * 比對前後快照，回傳有變動的欄位名稱
+     * @param {Object|null} before
+     * @param {Object|null} after
+     * @returns {string[]}
+     */
+    _diffFields(before, after) {
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changed = [];
+
+        keys.forEach(key => {
+            if (IGNORED_DIFF_FIELDS.includes(key)) return;
+            const oldVal = before ? before[key] : undefined;
+            const newVal = after ? after[key] : undefined;
+            if (JSON.stringify(oldVal ?? null) !== JSON.stringify(newVal ?? null)) {
+                changed.push(key);
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * 寫入一筆稽核紀錄
+     * @param {Object} entry
+     * @param {string} entry.entityType - contact | company | opportunity | event | interaction | weekly
+     * @param {string} entry.entityId
+     * @param {string} entry.action - create | update | delete
+     * @param {Object|null} entry.before - 變更前的 DB Row
+     * @param {Object|null} entry.after - 變更後的 DB Row
+     * @param {Object|string} [entry.modifier] - 非 HTTP 情境時使用的操作者
+     */
+    async logChange({ entityType, entityId, action, before = null, after = null, modifier }) {
+        try {
+            const changedFields = this._diffFields(before, after);
+
+            // 更新但實際沒有任何欄位變動時不留紀錄
+            if (action === 'update' && before && after && changedFields.length === 0) return;
+
+            const { requestId, user } = getRequestContext();
+
+            const payload = {
+                audit_id: uuidv4(),
+                entity_type: entityType,
+                entity_id: String(entityId),
+                action,
+                before_data: before,
+                after_data: after,
+                changed_fields: changedFields,
+                actor: this._resolveActor(user, modifier),
+                request_id: requestId,
+                created_time: new Date().toISOString()
+            };
+
+            const { error } = await supabase
+                .from(this.tableName)
+                .insert([payload]);
+
+            if (error) throw error;
+        } catch (error) {
+            console.warn(`⚠️ [AuditLogSqlWriter] 稽核紀錄寫入失敗 (${entityType}:${entityId} ${action}):`, error.message);
+        }
+    }
+}
+
+module.exports = AuditLogSqlWriter;
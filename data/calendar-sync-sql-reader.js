@@ -0,0 +1,117 @@
+/**
+ * data/calendar-sync-sql-reader.js
+ * 日曆雙向同步 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: calendar_sync_links (CRM 建立的日曆活動 ↔ 互動紀錄 / 週間業務，取代「日曆整合工作表」)
+ * - Table: calendar_sync_state (各日曆的 Google sync token)
+ * - Schema 見 CalendarSyncSqlWriter。
+ */
+
+const { supabase } = require('../config/supabase');
+
+// .in() 查詢單次 ID 數量上限 (避免 URL 過長)
+const ID_BATCH_SIZE = 200;
+
+class CalendarSyncSqlReader {
+
+    constructor() {
+        this.linkTable = 'calendar_sync_links';
+        this.stateTable = 'calendar_sync_state';
+    }
+
+    /**
+     * 依日曆活動 ID 取得關聯
+     * @param {string} calendarId
+     * @param {Array<string>} eventIds
+     * @returns {Promise<Map<string, Object>>} eventId → link DTO
+     */
+    async getLinksByEventIds(calendarId, eventIds) {
+        const links = new Map();
+        const ids = [...new Set(eventIds.filter(Boolean))];
+        try {
+            for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+                const { data, error } = await supabase
+                    .from(this.linkTable)
+                    .select('*')
+                    .eq('calendar_id', calendarId)
+                    .in('calendar_event_id', ids.slice(i, i + ID_BATCH_SIZE));
+
+                if (error) throw new Error(`[CalendarSyncSqlReader] DB Error: ${error.message}`);
+                (data || []).forEach(row => links.set(row.calendar_event_id, this._mapLinkRow(row)));
+            }
+            return links;
+        } catch (error) {
+            console.error('[CalendarSyncSqlReader] getLinksByEventIds Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 最近異動的關聯 (同步狀態頁)
+     * @param {number} [limit=50]
+     */
+    async getRecentLinks(limit = 50) {
+        try {
+            const { data, error } = await supabase
+                .from(this.linkTable)
+                .select('*')
+                .order('updated_time', { ascending: false })
+                .limit(limit);
+
+            if (error) throw new Error(`[CalendarSyncSqlReader] DB Error: ${error.message}`);
+            return (data || []).map(row => this._mapLinkRow(row));
+        } catch (error) {
+            console.error('[CalendarSyncSqlReader] getRecentLinks Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} calendarId
+     * @returns {Promise<{calendarId, syncToken, lastSyncedTime, lastResult}|null>}
+     */
+    async getSyncState(calendarId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.stateTable)
+                .select('*')
+                .eq('calendar_id', calendarId)
+                .maybeSingle();
+
+            if (error) throw new Error(`[CalendarSyncSqlReader] DB Error: ${error.message}`);
+            if (!data) return null;
+
+            return {
+                calendarId: data.calendar_id,
+                syncToken: data.sync_token || null,
+                lastSyncedTime: data.last_synced_time,
+                lastResult: data.last_result || null
+            };
+        } catch (error) {
+            console.error('[CalendarSyncSqlReader] getSyncState Error:', error);
+            throw error;
+        }
+    }
+
+    _mapLinkRow(row) {
+        return {
+            calendarEventId: row.calendar_event_id,
+            calendarId: row.calendar_id,
+            opportunityId: row.opportunity_id,
+            interactionId: row.interaction_id,
+            weeklyRecordId: row.weekly_record_id,
+            eventTitle: row.event_title,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            isAllDay: row.is_all_day === true,
+            status: row.status,
+            createdBy: row.created_by,
+            createdTime: row.created_time,
+            updatedTime: row.updated_time
+        };
+    }
+}
+
+module.exports = CalendarSyncSqlReader;
@@ -0,0 +1,107 @@
+/**
+ * data/calendar-sync-sql-writer.js
+ * 日曆雙向同步 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: calendar_sync_links
+ *   Locked Schema: calendar_event_id (text), calendar_id (text), opportunity_id (text, null), interaction_id (text, null),
+ *   weekly_record_id (text, null), event_title (text), start_time (timestamptz), end_time (timestamptz),
+ *   is_all_day (boolean), status (text: confirmed | cancelled), created_by, created_time, updated_time.
+ *   PK = (calendar_id, calendar_event_id)
+ * - Table: calendar_sync_state
+ *   Locked Schema: calendar_id (text, PK), sync_token (text, null), last_synced_time (timestamptz), last_result (jsonb, null)
+ */
+
+const { supabase } = require('../config/supabase');
+
+class CalendarSyncSqlWriter {
+    constructor() {
+        this.linkTable = 'calendar_sync_links';
+        this.stateTable = 'calendar_sync_state';
+    }
+
+    /**
+     * 建立日曆活動關聯
+     * @param {Object} link - { calendarEventId, calendarId, opportunityId, interactionId, weeklyRecordId, eventTitle, startTime, endTime, isAllDay }
+     * @param {string} creator
+     */
+    async createLink(link, creator) {
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from(this.linkTable)
+            .insert([{
+                calendar_event_id: link.calendarEventId,
+                calendar_id: link.calendarId,
+                opportunity_id: link.opportunityId || null,
+                interaction_id: link.interactionId || null,
+                weekly_record_id: link.weeklyRecordId || null,
+                event_title: link.eventTitle || '',
+                start_time: link.startTime,
+                end_time: link.endTime,
+                is_all_day: link.isAllDay === true,
+                status: 'confirmed',
+                created_by: creator,
+                created_time: now,
+                updated_time: now
+            }]);
+
+        if (error) {
+            console.error('[CalendarSyncSqlWriter] createLink Error:', error);
+            throw new Error(`[CalendarSyncSqlWriter] DB Error: ${error.message}`);
+        }
+        return { success: true };
+    }
+
+    /**
+     * 更新關聯 (改期 / 取消後)
+     * @param {string} calendarId
+     * @param {string} calendarEventId
+     * @param {Object} updates - { startTime, endTime, isAllDay, status, eventTitle }
+     */
+    async updateLink(calendarId, calendarEventId, updates) {
+        const payload = { updated_time: new Date().toISOString() };
+        if (updates.startTime !== undefined) payload.start_time = updates.startTime;
+        if (updates.endTime !== undefined) payload.end_time = updates.endTime;
+        if (updates.isAllDay !== undefined) payload.is_all_day = updates.isAllDay;
+        if (updates.status !== undefined) payload.status = updates.status;
+        if (updates.eventTitle !== undefined) payload.event_title = updates.eventTitle;
+
+        const { error } = await supabase
+            .from(this.linkTable)
+            .update(payload)
+            .eq('calendar_id', calendarId)
+            .eq('calendar_event_id', calendarEventId);
+
+        if (error) {
+            console.error('[CalendarSyncSqlWriter] updateLink Error:', error);
+            throw new Error(`[CalendarSyncSqlWriter] DB Error: ${error.message}`);
+        }
+        return { success: true };
+    }
+
+    /**
+     * 儲存同步進度 (syncToken 為 null 代表下次需完整同步)
+     * @param {string} calendarId
+     * @param {string|null} syncToken
+     * @param {Object} [lastResult]
+     */
+    async saveSyncState(calendarId, syncToken, lastResult = null) {
+        const { error } = await supabase
+            .from(this.stateTable)
+            .upsert({
+                calendar_id: calendarId,
+                sync_token: syncToken,
+                last_synced_time: new Date().toISOString(),
+                last_result: lastResult
+            }, { onConflict: 'calendar_id' });
+
+        if (error) {
+            console.error('[CalendarSyncSqlWriter] saveSyncState Error:', error);
+            throw new Error(`[CalendarSyncSqlWriter] DB Error: ${error.message}`);
+        }
+        return { success: true };
+    }
+}
+
+module.exports = CalendarSyncSqlWriter;
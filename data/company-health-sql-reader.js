@@ -0,0 +1,121 @@
+/**
+ * data/company-health-sql-reader.js
+ * 客戶健康度 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: company_health_scores (由 CompanyHealthSqlWriter 寫入)
+ */
+
+const { supabase } = require('../config/supabase');
+
+// Supabase 單次查詢上限為 1000 筆，需分頁讀取
+const PAGE_SIZE = 1000;
+
+class CompanyHealthSqlReader {
+
+    constructor() {
+        this.tableName = 'company_health_scores';
+    }
+
+    /**
+     * 分頁讀取全部符合條件的資料列
+     * @param {Function} buildQuery - () => Supabase query builder
+     */
+    async _selectAll(buildQuery) {
+        const rows = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+            if (error) throw new Error(`[CompanyHealthSqlReader] DB Error: ${error.message}`);
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+        return rows;
+    }
+
+    /**
+     * 取得指定日期 (含) 之前最近一次計算的日期
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<string|null>}
+     */
+    async getLatestSnapshotDateOnOrBefore(date) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('snapshot_date')
+                .lte('snapshot_date', date)
+                .order('snapshot_date', { ascending: false })
+                .limit(1);
+
+            if (error) throw new Error(`[CompanyHealthSqlReader] DB Error: ${error.message}`);
+
+            return data && data.length > 0 ? data[0].snapshot_date : null;
+        } catch (error) {
+            console.error('[CompanyHealthSqlReader] getLatestSnapshotDateOnOrBefore Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 取得指定日期的全部公司分數
+     * @param {string} snapshotDate - YYYY-MM-DD
+     * @returns {Promise<Array<Object>>} Health score DTOs
+     */
+    async getScores(snapshotDate) {
+        try {
+            const data = await this._selectAll(() => supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('snapshot_date', snapshotDate)
+                .order('company_id', { ascending: true }));
+
+            return data.map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[CompanyHealthSqlReader] getScores Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 取得單一公司的分數歷史 (舊到新)
+     * @param {string} companyId
+     * @param {string} sinceDate - YYYY-MM-DD
+     * @returns {Promise<Array<Object>>} Health score DTOs
+     */
+    async getCompanyHistory(companyId, sinceDate) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('company_id', companyId)
+                .gte('snapshot_date', sinceDate)
+                .order('snapshot_date', { ascending: true });
+
+            if (error) throw new Error(`[CompanyHealthSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[CompanyHealthSqlReader] getCompanyHistory Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+        return {
+            snapshotDate: row.snapshot_date,
+            companyId: row.company_id,
+            score: Number(row.score) || 0,
+            band: row.band,
+            previousScore: toNumberOrNull(row.previous_score),
+            scoreDelta: toNumberOrNull(row.score_delta),
+            trend: row.trend,
+            breakdown: row.breakdown || []
+        };
+    }
+}
+
+module.exports = CompanyHealthSqlReader;
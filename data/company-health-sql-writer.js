@@ -0,0 +1,66 @@
+/**
+ * data/company-health-sql-writer.js
+ * 客戶健康度 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: company_health_scores
+ * - Locked Schema: snapshot_date (date), company_id, score (numeric), band, previous_score (numeric, null),
+ * score_delta (numeric, null), trend, breakdown (jsonb), created_time. PK = (snapshot_date, company_id)
+ * - 每日一組；同日重跑時先刪除當日資料再寫入。
+ */
+
+const { supabase } = require('../config/supabase');
+
+// 單次 insert 筆數上限，避免公司數量多時 payload 過大
+const INSERT_BATCH_SIZE = 500;
+
+class CompanyHealthSqlWriter {
+    constructor() {
+        this.tableName = 'company_health_scores';
+    }
+
+    /**
+     * 儲存 (覆寫) 指定日期的健康度分數
+     * @param {string} snapshotDate - YYYY-MM-DD
+     * @param {Array<Object>} items - AccountHealthService 產生的分數項目
+     */
+    async saveScores(snapshotDate, items) {
+        const { error: deleteError } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('snapshot_date', snapshotDate);
+
+        if (deleteError) {
+            console.error('[CompanyHealthSqlWriter] Delete Error:', deleteError);
+            throw new Error(`[CompanyHealthSqlWriter] DB Error: ${deleteError.message}`);
+        }
+
+        if (items.length === 0) return { success: true, snapshotDate, count: 0 };
+
+        const createdTime = new Date().toISOString();
+        const rows = items.map(item => ({
+            snapshot_date: snapshotDate,
+            company_id: item.companyId,
+            score: item.score,
+            band: item.band,
+            previous_score: item.previousScore ?? null,
+            score_delta: item.scoreDelta ?? null,
+            trend: item.trend,
+            breakdown: item.breakdown,
+            created_time: createdTime
+        }));
+
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+            const { error } = await supabase.from(this.tableName).insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+            if (error) {
+                console.error('[CompanyHealthSqlWriter] Insert Error:', error);
+                throw new Error(`[CompanyHealthSqlWriter] DB Error: ${error.message}`);
+            }
+        }
+
+        return { success: true, snapshotDate, count: rows.length };
+    }
+}
+
+module.exports = CompanyHealthSqlWriter;
@@ -6,9 +6,13 @@
  * - Table: companies
  * - Schema: Strict adherence to provided JSON schema
  * - Constraints: No rowIndex, No guessing, No update/delete
- * - Version: 1.3.0 (Phase 11 - Company List DB-First lastActivity)
- * - Date: 2026-04-15
+ * - Version: 1.5.1 (Company Hierarchy)
+ * - Date: 2026-10-19
  * - Changelog: 
+ * - [TASKS] Added getCompaniesByIds() for batched name lookups (task lists).
+ * - [HIERARCHY] Maps parent_company_id → parentCompanyId (view must expose parent_company_id).
+ * - [SOFT DELETE] Table and view queries exclude tombstoned rows (view must expose deleted_time).
+ * - [SOFT DELETE] getTargetCompanyEventActivities excludes tombstoned events (event_logs view must expose deleted_time).
  * - [PHASE 11] Added View-first read path ('v_companies_summary') with graceful fallback to table.
  * - [PHASE 10] Migrated opportunityCount to backend.
  */
@@ -45,6 +49,7 @@ class CompanySqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .eq('company_id', companyId)
                 .single();
 
@@ -66,6 +71,40 @@ class CompanySqlReader {
         }
     }
 
+    /**
+     * Batch lookup by IDs (chunked for PostgREST URL length limits)
+     * @param {Array<string>} companyIds
+     * @returns {Promise<Array<Object>>} Company DTOs; missing or deleted IDs are omitted
+     */
+    async getCompaniesByIds(companyIds) {
+        const ids = [...new Set((companyIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const chunkSize = 200;
+            let rows = [];
+
+            for (let i = 0; i < ids.length; i += chunkSize) {
+                const { data, error } = await supabase
+                    .from(this.tableName)
+                    .select('*')
+                    .is('deleted_time', null)
+                    .in('company_id', ids.slice(i, i + chunkSize));
+
+                if (error) {
+                    throw new Error(`[CompanySqlReader] DB Error: ${error.message}`);
+                }
+                if (data) rows = rows.concat(data);
+            }
+
+            return rows.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[CompanySqlReader] getCompaniesByIds Error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get all companies
      * @returns {Promise<Array<Object>>} Array of Company DTOs
@@ -73,7 +112,7 @@ class CompanySqlReader {
     async getCompanies() {
         try {
             // --- STAGE 1: DB-First View Path ---
-            const viewRes = await supabase.from(this.viewName).select('*');
+            const viewRes = await supabase.from(this.viewName).select('*').is('deleted_time', null);
             if (!viewRes.error && viewRes.data) {
                 return viewRes.data.map(row => this._mapRowToDto(row));
             }
@@ -87,7 +126,8 @@ class CompanySqlReader {
             // --- STAGE 2: Legacy Fallback ---
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('*');
+                .select('*')
+                .is('deleted_time', null);
 
             if (error) {
                 throw new Error(`[CompanySqlReader] DB Error: ${error.message}`);
@@ -122,7 +162,8 @@ class CompanySqlReader {
                 const { data, error } = await supabase
                     .from('event_logs')
                     .select('company_id, created_time')
-                    .in('company_id', chunk);
+                    .in('company_id', chunk)
+                    .is('deleted_time', null);
 
                 if (error) {
                     throw new Error(`[CompanySqlReader] DB Error fetching event activities: ${error.message}`);
@@ -152,6 +193,7 @@ class CompanySqlReader {
             // Identity
             companyId: row.company_id,
             companyName: row.company_name,
+            parentCompanyId: row.parent_company_id || '',
 
             // Contact Info
             phone: row.phone,
@@ -1,39 +1,61 @@
 /**
  * data/company-sql-writer.js
  * Company SQL Writer (Native Implementation)
- * * @version 1.0.0
- * * @date 2026-02-05
+ * * @version 1.5.0
+ * * @date 2026-10-19
  * * @description
+ * * 0. [Hierarchy] parentCompanyId ↔ parent_company_id (空值寫入 null)。
+ * * 0. [Batch Import] createCompaniesBatch：匯入精靈以單一 insert 寫入多筆。
+ * * 0. [Optimistic Lock] updateCompany 支援 options.expectedUpdatedTime，版本不符回傳 { conflict: true }。
+ * * 0. [Soft Delete] deleteCompany 僅標記 deleted_time/deleted_by；新增 restoreCompany / purgeCompany。
+ * * 0. [Audit] create/update/delete 皆透過 AuditLogSqlWriter 記錄前後快照。
  * * 1. [Phase 7] Write Authority Migration (SQL Only).
  * * 2. [Strict] No RowIndex, No UUID generation (ID provided by Service).
  * * 3. [Schema] Matches Supabase schema strictly.
  */
 
 const { supabase } = require('../config/supabase');
+const { isSameVersion } = require('../utils/concurrency');
 
 class CompanySqlWriter {
 
-    constructor() {
+    /**
+     * @param {AuditLogSqlWriter} [auditLogWriter] - 稽核軌跡 Writer (選用)
+     */
+    constructor(auditLogWriter = null) {
         this.tableName = 'companies';
+        this.auditLogWriter = auditLogWriter;
     }
 
     /**
-     * 建立新公司
-     * @param {Object} companyData 完整公司資料 (含 companyId)
-     * @param {string} creator 建立者
-     * @returns {Object} Result object
+     * 讀取目前 DB Row (稽核前快照 / 樂觀鎖版本比對)
+     * @param {string} companyId
      */
-    async createCompany(companyData, creator) {
-        if (!companyData.companyId) {
-            throw new Error('[CompanySqlWriter] companyId is required for creation.');
-        }
+    async _fetchRow(companyId) {
+        const { data } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('company_id', companyId)
+            .maybeSingle();
+        return data || null;
+    }
 
-        const now = new Date().toISOString();
+    async _audit(action, companyId, before, after, modifier) {
+        if (!this.auditLogWriter) return;
+        await this.auditLogWriter.logChange({
+            entityType: 'company', entityId: companyId, action, before, after, modifier
+        });
+    }
 
+    /**
+     * DTO → companies 資料列 (新增用)
+     */
+    _toInsertPayload(companyData, creator, now) {
         // Map DTO to SQL Columns (Snake Case)
-        const payload = {
+        return {
             company_id: companyData.companyId,
             company_name: companyData.companyName,
+            parent_company_id: companyData.parentCompanyId || null,
             phone: companyData.phone || '',
             address: companyData.address || '',
             city: companyData.county || '', // Mapping: county -> city
@@ -50,6 +72,22 @@ class CompanySqlWriter {
             created_time: now,
             updated_time: now
         };
+    }
+
+    /**
+     * 建立新公司
+     * @param {Object} companyData 完整公司資料 (含 companyId)
+     * @param {string} creator 建立者
+     * @returns {Object} Result object
+     */
+    async createCompany(companyData, creator) {
+        if (!companyData.companyId) {
+            throw new Error('[CompanySqlWriter] companyId is required for creation.');
+        }
+
+        const now = new Date().toISOString();
+
+        const payload = this._toInsertPayload(companyData, creator, now);
 
         try {
             const { data, error } = await supabase
@@ -60,6 +98,8 @@ class CompanySqlWriter {
 
             if (error) throw error;
 
+            await this._audit('create', data.company_id, null, data, creator);
+
             return {
                 success: true,
                 data: {
@@ -73,13 +113,52 @@ class CompanySqlWriter {
         }
     }
 
+    /**
+     * 批次建立公司 (單一 insert)
+     * @param {Array<Object>} list 公司資料 (皆須含 companyId)
+     * @param {string} creator 建立者
+     * @returns {Object} { success: true, ids: Array<string> }
+     */
+    async createCompaniesBatch(list, creator) {
+        if (!list || list.length === 0) return { success: true, ids: [] };
+
+        const now = new Date().toISOString();
+        const payloads = list.map(companyData => {
+            if (!companyData.companyId) {
+                throw new Error('[CompanySqlWriter] companyId is required for creation.');
+            }
+            return this._toInsertPayload(companyData, creator, now);
+        });
+
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .insert(payloads)
+                .select();
+
+            if (error) throw error;
+
+            for (const row of data || []) {
+                await this._audit('create', row.company_id, null, row, creator);
+            }
+
+            return { success: true, ids: (data || []).map(r => r.company_id) };
+        } catch (error) {
+            console.error('[CompanySqlWriter] Batch Create Error:', error);
+            throw error;
+        }
+    }
+
     /**
      * 更新公司
      * @param {string} companyId 公司 ID
      * @param {Object} updateData 更新資料
      * @param {string} modifier 修改者
+     * @param {Object} [options]
+     * @param {string} [options.expectedUpdatedTime] 樂觀鎖：前端讀取時的 updated_time
+     * @returns {Object} { success: true, updatedTime } 或版本不符時 { success: false, conflict: true }
      */
-    async updateCompany(companyId, updateData, modifier) {
+    async updateCompany(companyId, updateData, modifier, options = {}) {
         if (!companyId) throw new Error('[CompanySqlWriter] companyId is required for update.');
 
         const now = new Date().toISOString();
@@ -90,6 +169,7 @@ class CompanySqlWriter {
 
         // Map updates (Only include fields that are present)
         if (updateData.companyName !== undefined) payload.company_name = updateData.companyName;
+        if (updateData.parentCompanyId !== undefined) payload.parent_company_id = updateData.parentCompanyId || null;
         if (updateData.phone !== undefined) payload.phone = updateData.phone;
         if (updateData.address !== undefined) payload.address = updateData.address;
         if (updateData.county !== undefined) payload.city = updateData.county;
@@ -101,14 +181,33 @@ class CompanySqlWriter {
         if (updateData.engagementRating !== undefined) payload.interaction_rating = updateData.engagementRating;
 
         try {
-            const { error } = await supabase
+            const before = await this._fetchRow(companyId);
+
+            // [Optimistic Lock] 先比對版本，再以同一版本作為更新條件
+            const expected = options.expectedUpdatedTime;
+            if (expected && (!before || !isSameVersion(expected, before.updated_time))) {
+                return { success: false, conflict: true };
+            }
+
+            let query = supabase
                 .from(this.tableName)
                 .update(payload)
                 .eq('company_id', companyId);
+            if (expected) query = query.eq('updated_time', before.updated_time);
+
+            const { data: updated, error } = await query.select();
 
             if (error) throw error;
 
-            return { success: true };
+            if (!updated || updated.length === 0) {
+                // 比對與寫入之間被其他人搶先更新
+                if (expected) return { success: false, conflict: true };
+                return { success: true };
+            }
+
+            await this._audit('update', companyId, before, updated[0], modifier);
+
+            return { success: true, updatedTime: updated[0].updated_time };
         } catch (error) {
             console.error('[CompanySqlWriter] Update Error:', error);
             throw error;
@@ -116,26 +215,93 @@ class CompanySqlWriter {
     }
 
     /**
-     * 刪除公司
+     * 刪除公司 (軟刪除：移入回收桶)
      * @param {string} companyId 公司 ID
+     * @param {string} [modifier] 操作者
      */
-    async deleteCompany(companyId) {
+    async deleteCompany(companyId, modifier) {
         if (!companyId) throw new Error('[CompanySqlWriter] companyId is required for deletion.');
 
         try {
-            const { error } = await supabase
+            const before = await this._fetchRow(companyId);
+
+            const { data: deleted, error } = await supabase
                 .from(this.tableName)
-                .delete()
-                .eq('company_id', companyId);
+                .update({ deleted_time: new Date().toISOString(), deleted_by: modifier || 'System' })
+                .eq('company_id', companyId)
+                .is('deleted_time', null)
+                .select();
 
             if (error) throw error;
 
+            if (deleted && deleted.length > 0) {
+                await this._audit('delete', companyId, before, deleted[0], modifier);
+            }
+
             return { success: true };
         } catch (error) {
             console.error('[CompanySqlWriter] Delete Error:', error);
             throw error;
         }
     }
+
+    /**
+     * 從回收桶還原公司
+     * @param {string} companyId 公司 ID
+     * @param {string} modifier 操作者
+     */
+    async restoreCompany(companyId, modifier) {
+        if (!companyId) throw new Error('[CompanySqlWriter] companyId is required for restore.');
+
+        try {
+            const before = await this._fetchRow(companyId);
+
+            const { data: restored, error } = await supabase
+                .from(this.tableName)
+                .update({ deleted_time: null, deleted_by: null, updated_time: new Date().toISOString(), updated_by: modifier })
+                .eq('company_id', companyId)
+                .not('deleted_time', 'is', null)
+                .select();
+
+            if (error) throw error;
+
+            if (!restored || restored.length === 0) {
+                return { success: false, error: '回收桶中找不到此公司' };
+            }
+
+            await this._audit('restore', companyId, before, restored[0], modifier);
+            return { success: true };
+        } catch (error) {
+            console.error('[CompanySqlWriter] Restore Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 永久刪除公司 (僅限已在回收桶中的資料)
+     * @param {string} companyId 公司 ID
+     */
+    async purgeCompany(companyId) {
+        try {
+            const { data: purged, error } = await supabase
+                .from(this.tableName)
+                .delete()
+                .eq('company_id', companyId)
+                .not('deleted_time', 'is', null)
+                .select();
+
+            if (error) throw error;
+
+            if (purged && purged.length > 0) {
+                await this._audit('purge', companyId, purged[0], null, 'System');
+            }
+
+            return { success: true, purged: (purged || []).length };
+        } catch (error) {
+            console.error('[CompanySqlWriter] Purge Error:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = CompanySqlWriter;
\ No newline at end of file
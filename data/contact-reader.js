@@ -1,8 +1,8 @@
 /**
  * data/contact-reader.js
  * 專門負責讀取所有與「聯絡人」相關資料的類別
- * @version 7.1.0
- * @date 2026-03-21
+ * @version 7.2.1
+ * @date 2026-10-19
  * @description 
  * [SQL-Ready Refactor]
  * 1. 移除所有業務邏輯 (Filter, Sort, Pagination, Join)。
@@ -10,6 +10,8 @@
  * 3. 確保回傳 rowIndex，供 Service 傳遞給 Writer 進行 Update。
  * 4. 僅保留 Raw Data Access 方法。
  * * Changelog:
+ * - [V7.2.1] Added getContactRow(rowIndex): uncached single-row read of the RAW sheet (lead routing verifies the target row before writing).
+ * - [V7.2.0] Extended the RAW range to A:AC and parsed the lead assignment columns (assignedTo, assignedTime, assignmentRule, firstResponseTime).
  * - [V7.1.0] Updated rowParser to explicitly extract EXHIBITION_NAME and IS_EXHIBITION from repurposed indexes 17 and 18.
  * This enables safe verification of existing tags for the Fallback Auto-Tag mechanism.
  */
@@ -31,46 +33,68 @@ class ContactReader extends BaseReader {
      */
     async getContacts() {
         const cacheKey = 'contacts';
-        const range = `${this.config.SHEETS.CONTACTS}!A:Y`;
+        const range = `${this.config.SHEETS.CONTACTS}!A:AC`;
 
-        const rowParser = (row, index) => {
-            const driveLink = row[this.config.CONTACT_FIELDS.DRIVE_LINK] || '';
-            
-            return {
-                // [Critical] 用於 Service -> Writer 的定位
-                rowIndex: index + 2,
-                
-                // 基礎資料欄位
-                createdTime: row[this.config.CONTACT_FIELDS.TIME] || '',
-                name: row[this.config.CONTACT_FIELDS.NAME] || '',
-                company: row[this.config.CONTACT_FIELDS.COMPANY] || '',
-                position: row[this.config.CONTACT_FIELDS.POSITION] || '',
-                department: row[this.config.CONTACT_FIELDS.DEPARTMENT] || '',
-                phone: row[this.config.CONTACT_FIELDS.PHONE] || '',
-                mobile: row[this.config.CONTACT_FIELDS.MOBILE] || '',
-                email: row[this.config.CONTACT_FIELDS.EMAIL] || '',
-                website: row[this.config.CONTACT_FIELDS.WEBSITE] || '',
-                address: row[this.config.CONTACT_FIELDS.ADDRESS] || '',
-                confidence: row[this.config.CONTACT_FIELDS.CONFIDENCE] || '',
-                status: row[this.config.CONTACT_FIELDS.STATUS] || '',
-                notes: row[this.config.CONTACT_FIELDS.NOTES] || '', 
-                
-                // [Fallback Auto-Tag] Safely read the repurposed fields
-                exhibition_name: row[this.config.CONTACT_FIELDS.EXHIBITION_NAME] || '',
-                is_exhibition: row[this.config.CONTACT_FIELDS.IS_EXHIBITION] || '',
-
-                // 圖片連結
-                driveLink: driveLink,
-                cardImage: driveLink,
-                
-                // LINE 整合資訊
-                lineUserId: row[this.config.CONTACT_FIELDS.LINE_USER_ID] || '',
-                userNickname: row[this.config.CONTACT_FIELDS.USER_NICKNAME] || ''
-            };
-        };
-        
         // 移除所有 sorter 與 slice
-        return this._fetchAndCache(cacheKey, range, rowParser);
+        return this._fetchAndCache(cacheKey, range, (row, index) => this._parseContactRow(row, index + 2));
+    }
+
+    /**
+     * 讀取 RAW Sheet 的單一列 (不經快取)
+     * @param {number} rowIndex - Sheet 列號 (資料自第 2 列開始)
+     * @returns {Promise<object|null>} 該列為空白時回傳 null
+     */
+    async getContactRow(rowIndex) {
+        const response = await this._executeWithRetry(() =>
+            this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.targetSpreadsheetId,
+                range: `${this.config.SHEETS.CONTACTS}!A${rowIndex}:AC${rowIndex}`
+            })
+        );
+        const [row] = response.data.values || [];
+        return row ? this._parseContactRow(row, rowIndex) : null;
+    }
+
+    _parseContactRow(row, rowIndex) {
+        const driveLink = row[this.config.CONTACT_FIELDS.DRIVE_LINK] || '';
+
+        return {
+            // [Critical] 用於 Service -> Writer 的定位
+            rowIndex,
+
+            // 基礎資料欄位
+            createdTime: row[this.config.CONTACT_FIELDS.TIME] || '',
+            name: row[this.config.CONTACT_FIELDS.NAME] || '',
+            company: row[this.config.CONTACT_FIELDS.COMPANY] || '',
+            position: row[this.config.CONTACT_FIELDS.POSITION] || '',
+            department: row[this.config.CONTACT_FIELDS.DEPARTMENT] || '',
+            phone: row[this.config.CONTACT_FIELDS.PHONE] || '',
+            mobile: row[this.config.CONTACT_FIELDS.MOBILE] || '',
+            email: row[this.config.CONTACT_FIELDS.EMAIL] || '',
+            website: row[this.config.CONTACT_FIELDS.WEBSITE] || '',
+            address: row[this.config.CONTACT_FIELDS.ADDRESS] || '',
+            confidence: row[this.config.CONTACT_FIELDS.CONFIDENCE] || '',
+            status: row[this.config.CONTACT_FIELDS.STATUS] || '',
+            notes: row[this.config.CONTACT_FIELDS.NOTES] || '', 
+
+            // [Fallback Auto-Tag] Safely read the repurposed fields
+            exhibition_name: row[this.config.CONTACT_FIELDS.EXHIBITION_NAME] || '',
+            is_exhibition: row[this.config.CONTACT_FIELDS.IS_EXHIBITION] || '',
+
+            // 圖片連結
+            driveLink: driveLink,
+            cardImage: driveLink,
+
+            // LINE 整合資訊
+            lineUserId: row[this.config.CONTACT_FIELDS.LINE_USER_ID] || '',
+            userNickname: row[this.config.CONTACT_FIELDS.USER_NICKNAME] || '',
+
+            // 名片分派 (LeadRoutingService)
+            assignedTo: row[this.config.CONTACT_FIELDS.ASSIGNED_TO] || '',
+            assignedTime: row[this.config.CONTACT_FIELDS.ASSIGNED_TIME] || '',
+            assignmentRule: row[this.config.CONTACT_FIELDS.ASSIGNMENT_RULE] || '',
+            firstResponseTime: row[this.config.CONTACT_FIELDS.FIRST_RESPONSE_TIME] || ''
+        };
     }
 
     /**
@@ -6,9 +6,11 @@
  * - Table: contacts
  * - Schema: Strict adherence to provided JSON schema
  * - Constraints: No rowIndex, No guessing, No update/delete
- * - Version: 1.6.1 (Phase 8.2 Safe Delete Validation)
- * - Date: 2026-03-13
+ * - Version: 1.7.1 (Soft Delete)
+ * - Date: 2026-10-19
  * - Changelog: 
+ * - [TASKS] Added getContactsByIds() for batched name lookups (task lists).
+ * - [SOFT DELETE] All contact queries exclude tombstoned rows (deleted_time IS NOT NULL).
  * - Added checkContactHasLinks to support conditional delete validation.
  * - Removed Supabase relational join in getContactsByOpportunityId to fix schema cache crash.
  * - Implemented strict 2-step application-level join logic.
@@ -64,6 +66,7 @@ class ContactSqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .order('created_time', { ascending: false })
                 .limit(limit);
 
@@ -102,8 +105,8 @@ class ContactSqlReader {
             const startIso = startOfMonth.toISOString();
 
             const [totalRes, monthRes] = await Promise.all([
-                supabase.from(this.tableName).select('*', { count: 'exact', head: true }),
-                supabase.from(this.tableName).select('*', { count: 'exact', head: true }).gte('created_time', startIso)
+                supabase.from(this.tableName).select('*', { count: 'exact', head: true }).is('deleted_time', null),
+                supabase.from(this.tableName).select('*', { count: 'exact', head: true }).is('deleted_time', null).gte('created_time', startIso)
             ]);
 
             if (totalRes.error) throw new Error(`[ContactSqlReader] DB Error (total): ${totalRes.error.message}`);
@@ -131,6 +134,7 @@ class ContactSqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .eq('contact_id', contactId)
                 .single();
 
@@ -152,6 +156,40 @@ class ContactSqlReader {
         }
     }
 
+    /**
+     * Batch lookup by IDs (chunked for PostgREST URL length limits)
+     * @param {Array<string>} contactIds
+     * @returns {Promise<Array<Object>>} Contact DTOs; missing or deleted IDs are omitted
+     */
+    async getContactsByIds(contactIds) {
+        const ids = [...new Set((contactIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const chunkSize = 200;
+            let rows = [];
+
+            for (let i = 0; i < ids.length; i += chunkSize) {
+                const { data, error } = await supabase
+                    .from(this.tableName)
+                    .select('*')
+                    .is('deleted_time', null)
+                    .in('contact_id', ids.slice(i, i + chunkSize));
+
+                if (error) {
+                    throw new Error(`[ContactSqlReader] DB Error: ${error.message}`);
+                }
+                if (data) rows = rows.concat(data);
+            }
+
+            return rows.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[ContactSqlReader] getContactsByIds Error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get contacts by company ID
      * @param {string} companyId 
@@ -164,6 +202,7 @@ class ContactSqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .eq('company_id', companyId);
 
             if (error) {
@@ -213,6 +252,7 @@ class ContactSqlReader {
             const { data: contactsData, error: contactsError } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .in('contact_id', contactIds);
 
             if (contactsError) {
@@ -250,7 +290,8 @@ class ContactSqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('*');
+                .select('*')
+                .is('deleted_time', null);
 
             if (error) {
                 throw new Error(`[ContactSqlReader] DB Error: ${error.message}`);
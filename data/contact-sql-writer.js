@@ -2,12 +2,16 @@
 /**
  * data/contact-sql-writer.js
  * [Phase 7] SQL Writer for Official Contacts
- * @version 8.0.0 (Phase 8: World Model Annotation)
- * @date 2026-02-10
+ * @version 8.4.0 (Batch Import)
+ * @date 2026-10-19
  * @description 
+ * - [FEAT] createContactsBatch: 匯入精靈以單一 insert 寫入多筆 (呼叫端提供 contactId)。
+ * - [FEAT] Optimistic lock: updateContact accepts options.expectedUpdatedTime and reports { conflict: true } on version mismatch.
+ * - [FEAT] Soft delete: deleteContact only tombstones the row (deleted_time/deleted_by); restoreContact / purgeContact added.
+ * - [FEAT] Every create/update/delete records a before/after snapshot via the injected AuditLogSqlWriter.
  * - Handles Create/Update/Delete for 'contacts' table.
  * - STRICT SCHEMA: No invention of columns.
- * - Locked Schema: contact_id, source_id, name, company_id, department, job_title, mobile, phone, email, created/updated_time/by.
+ * - Locked Schema: contact_id, source_id, name, company_id, department, job_title, mobile, phone, email, created/updated_time/by, deleted_time/by.
  * * WORLD MODEL (PERSISTENCE LAYER):
  * 1. Scope:
  * - This writer is EXCLUSIVE to the CORE Contact entity (SQL).
@@ -19,27 +23,44 @@
  */
 
 const { supabase } = require('../config/supabase');
+const { isSameVersion } = require('../utils/concurrency');
 
 class ContactSqlWriter {
-    constructor() {
+    /**
+     * @param {AuditLogSqlWriter} [auditLogWriter] - 稽核軌跡 Writer (選用)
+     */
+    constructor(auditLogWriter = null) {
         this.tableName = 'contacts';
+        this.auditLogWriter = auditLogWriter;
     }
 
     /**
-     * Create Contact (SQL Only)
-     * @param {Object} data - Contact DTO
-     * @param {string} user - Creator name
-     * @returns {Promise<Object>} { success: true, id: string }
+     * 讀取目前 DB Row (稽核前快照 / 樂觀鎖版本比對)
+     * @param {string} contactId
+     * @returns {Promise<Object|null>}
      */
-    async createContact(data, user) {
-        // [Contract] Generate ID if missing. Pattern: C + Timestamp
-        const contactId = data.contactId || data.id || `C${Date.now()}`;
-        const now = new Date().toISOString();
+    async _fetchRow(contactId) {
+        const { data } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('contact_id', contactId)
+            .maybeSingle();
+        return data || null;
+    }
 
-        console.log(`👤 [ContactSqlWriter] Creating contact: ${data.name || 'Unnamed'} (ID: ${contactId})`);
+    async _audit(action, contactId, before, after, user) {
+        if (!this.auditLogWriter) return;
+        await this.auditLogWriter.logChange({
+            entityType: 'contact', entityId: contactId, action, before, after, modifier: user
+        });
+    }
 
+    /**
+     * DTO → contacts 資料列 (新增用)
+     */
+    _toInsertPayload(contactId, data, user, now) {
         // STRICT SCHEMA MAPPING
-        const payload = {
+        return {
             contact_id: contactId,
             source_id: data.sourceId || 'MANUAL', // Ref to RAW contact if applicable
             name: data.name,
@@ -54,26 +75,83 @@ class ContactSqlWriter {
             created_time: now,
             updated_time: now
         };
+    }
 
-        const { error } = await supabase
+    /**
+     * Create Contact (SQL Only)
+     * @param {Object} data - Contact DTO
+     * @param {string} user - Creator name
+     * @returns {Promise<Object>} { success: true, id: string }
+     */
+    async createContact(data, user) {
+        // [Contract] Generate ID if missing. Pattern: C + Timestamp
+        const contactId = data.contactId || data.id || `C${Date.now()}`;
+        const now = new Date().toISOString();
+
+        console.log(`👤 [ContactSqlWriter] Creating contact: ${data.name || 'Unnamed'} (ID: ${contactId})`);
+
+        const payload = this._toInsertPayload(contactId, data, user, now);
+
+        const { data: created, error } = await supabase
             .from(this.tableName)
-            .insert([payload]);
+            .insert([payload])
+            .select()
+            .single();
 
         if (error) {
             console.error('[ContactSqlWriter] Create Failed:', error);
             throw new Error(`[ContactSqlWriter] Create Error: ${error.message}`);
         }
 
+        await this._audit('create', contactId, null, created, user);
+
         return { success: true, id: contactId };
     }
 
+    /**
+     * Batch Create Contacts (SQL Only) - 單一 insert 寫入多筆
+     * @param {Array<Object>} list - Contact DTOs (each with contactId)
+     * @param {string} user - Creator name
+     * @returns {Promise<Object>} { success: true, ids: Array<string> }
+     */
+    async createContactsBatch(list, user) {
+        if (!list || list.length === 0) return { success: true, ids: [] };
+
+        const now = new Date().toISOString();
+        const payloads = list.map(data => {
+            if (!data.contactId) throw new Error('[ContactSqlWriter] contactId is required for batch creation.');
+            return this._toInsertPayload(data.contactId, data, user, now);
+        });
+
+        console.log(`👤 [ContactSqlWriter] Batch creating ${payloads.length} contacts by ${user}`);
+
+        const { data: created, error } = await supabase
+            .from(this.tableName)
+            .insert(payloads)
+            .select();
+
+        if (error) {
+            console.error('[ContactSqlWriter] Batch Create Failed:', error);
+            throw new Error(`[ContactSqlWriter] Batch Create Error: ${error.message}`);
+        }
+
+        for (const row of created || []) {
+            await this._audit('create', row.contact_id, null, row, user);
+        }
+
+        return { success: true, ids: (created || []).map(r => r.contact_id) };
+    }
+
     /**
      * Update Contact (SQL Only)
      * @param {string} contactId 
      * @param {Object} data - Partial update DTO
      * @param {string} user - Modifier name
+     * @param {Object} [options]
+     * @param {string} [options.expectedUpdatedTime] - Optimistic lock: client's last-seen updated_time
+     * @returns {Promise<Object>} { success: true, updatedTime } or { success: false, conflict: true }
      */
-    async updateContact(contactId, data, user) {
+    async updateContact(contactId, data, user, options = {}) {
         console.log(`👤 [ContactSqlWriter] Updating contact ${contactId} by ${user}`);
 
         const now = new Date().toISOString();
@@ -105,39 +183,122 @@ class ContactSqlWriter {
         
         if (data.email !== undefined) payload.email = data.email;
 
-        // Execute Update
-        const { error } = await supabase
+        const before = await this._fetchRow(contactId);
+
+        // [Optimistic Lock] Version check before write
+        const expected = options.expectedUpdatedTime;
+        if (expected && (!before || !isSameVersion(expected, before.updated_time))) {
+            return { success: false, conflict: true };
+        }
+
+        // Execute Update (conditional on the version we just verified)
+        let query = supabase
             .from(this.tableName)
             .update(payload)
             .eq('contact_id', contactId);
+        if (expected) query = query.eq('updated_time', before.updated_time);
+
+        const { data: updated, error } = await query.select();
 
         if (error) {
             console.error('[ContactSqlWriter] Update Failed:', error);
             throw new Error(`[ContactSqlWriter] Update Error: ${error.message}`);
         }
 
-        return { success: true };
+        if (!updated || updated.length === 0) {
+            // Another write slipped in between the check and the update
+            if (expected) return { success: false, conflict: true };
+            return { success: true };
+        }
+
+        await this._audit('update', contactId, before, updated[0], user);
+
+        return { success: true, updatedTime: updated[0].updated_time };
     }
 
     /**
-     * Delete Contact (SQL Only)
+     * Delete Contact (SQL Only) - Soft Delete
+     * 僅標記 deleted_time / deleted_by (移入回收桶)，實體刪除由 purgeContact 執行。
      * @param {string} contactId 
+     * @param {string} [user] - Operator name
      */
-    async deleteContact(contactId) {
-        console.log(`🗑️ [ContactSqlWriter] Deleting contact ${contactId}`);
+    async deleteContact(contactId, user) {
+        console.log(`🗑️ [ContactSqlWriter] Moving contact ${contactId} to trash by ${user || 'System'}`);
 
-        const { error } = await supabase
+        const before = await this._fetchRow(contactId);
+
+        const { data: deleted, error } = await supabase
             .from(this.tableName)
-            .delete()
-            .eq('contact_id', contactId);
+            .update({ deleted_time: new Date().toISOString(), deleted_by: user || 'System' })
+            .eq('contact_id', contactId)
+            .is('deleted_time', null)
+            .select();
 
         if (error) {
             console.error('[ContactSqlWriter] Delete Failed:', error);
             throw new Error(`[ContactSqlWriter] Delete Error: ${error.message}`);
         }
 
+        if (deleted && deleted.length > 0) {
+            await this._audit('delete', contactId, before, deleted[0], user);
+        }
+
         return { success: true };
     }
+
+    /**
+     * Restore Contact from trash
+     * @param {string} contactId 
+     * @param {string} user - Operator name
+     */
+    async restoreContact(contactId, user) {
+        console.log(`♻️ [ContactSqlWriter] Restoring contact ${contactId} by ${user}`);
+
+        const before = await this._fetchRow(contactId);
+
+        const { data: restored, error } = await supabase
+            .from(this.tableName)
+            .update({ deleted_time: null, deleted_by: null, updated_time: new Date().toISOString(), updated_by: user })
+            .eq('contact_id', contactId)
+            .not('deleted_time', 'is', null)
+            .select();
+
+        if (error) {
+            console.error('[ContactSqlWriter] Restore Failed:', error);
+            throw new Error(`[ContactSqlWriter] Restore Error: ${error.message}`);
+        }
+
+        if (!restored || restored.length === 0) {
+            return { success: false, error: '回收桶中找不到此聯絡人' };
+        }
+
+        await this._audit('restore', contactId, before, restored[0], user);
+        return { success: true };
+    }
+
+    /**
+     * Purge Contact (Physical Delete) - only rows already in trash
+     * @param {string} contactId 
+     */
+    async purgeContact(contactId) {
+        const { data: purged, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('contact_id', contactId)
+            .not('deleted_time', 'is', null)
+            .select();
+
+        if (error) {
+            console.error('[ContactSqlWriter] Purge Failed:', error);
+            throw new Error(`[ContactSqlWriter] Purge Error: ${error.message}`);
+        }
+
+        if (purged && purged.length > 0) {
+            await this._audit('purge', contactId, purged[0], null, 'System');
+        }
+
+        return { success: true, purged: (purged || []).length };
+    }
 }
 
 module.exports = ContactSqlWriter;
\ No newline at end of file
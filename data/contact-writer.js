@@ -1,8 +1,8 @@
 /**
  * data/contact-writer.js
  * 聯絡人資料寫入器
- * @version 7.2.0 (Phase 8.3 Exhibition Auto-Tag Support)
- * @date 2026-03-21
+ * @version 7.4.0 (Lead Routing)
+ * @date 2026-10-19
  * @description 
  * [SQL-Ready Refactor]
  * 1. 嚴格禁止呼叫 values.get (No Read)。
@@ -10,6 +10,8 @@
  * 3. 使用 batchUpdate 實現精確的欄位更新。
  * 4. [Feature] 支援 deletePotentialContactRow 實現物理列刪除。
  * * Changelog:
+ * - [V7.4.0] Added writeLeadAssignment for the lead routing columns (Z:AC).
+ * - [V7.3.0] Added appendPotentialContactRow for the in-CRM business card OCR intake (append only, returns the new rowIndex).
  * - [V7.2.0] Safely appended pushUpdate checks for repurposed EXHIBITION_NAME and IS_EXHIBITION 
  * within writePotentialContactRow. Core column logic strictly unmodified.
  */
@@ -67,6 +69,55 @@ class ContactWriter extends BaseWriter {
         }
     }
 
+    /**
+     * [Pure Write] 新增潛在客戶 (原始名片資料) - Append Only
+     * 欄位順序依 CONTACT_FIELDS (A:AC)。
+     * @param {Object} data - 已由 Service 整理完成的名片資料
+     * @returns {Promise<number|null>} 新列的 rowIndex (無法由回應解析時為 null)
+     */
+    async appendPotentialContactRow(data) {
+        const F = this.config.CONTACT_FIELDS;
+        const row = new Array(Math.max(...Object.values(F)) + 1).fill('');
+
+        row[F.TIME] = data.createdTime || new Date().toISOString();
+        row[F.NAME] = data.name || '';
+        row[F.COMPANY] = data.company || '';
+        row[F.POSITION] = data.position || '';
+        row[F.DEPARTMENT] = data.department || '';
+        row[F.PHONE] = data.phone || '';
+        row[F.MOBILE] = data.mobile || '';
+        row[F.FAX] = data.fax || '';
+        row[F.EMAIL] = data.email || '';
+        row[F.WEBSITE] = data.website || '';
+        row[F.ADDRESS] = data.address || '';
+        row[F.CONFIDENCE] = data.confidence ?? '';
+        row[F.PROCESSING_TIME] = data.processingTime || '';
+        row[F.DRIVE_LINK] = data.driveLink || '';
+        row[F.SMART_FILENAME] = data.smartFilename || '';
+        row[F.RAW_TEXT] = data.rawText || '';
+        row[F.DATA_SOURCE] = data.dataSource || '';
+        row[F.LINE_USER_ID] = data.lineUserId || '';
+        row[F.USER_NICKNAME] = data.userNickname || '';
+        row[F.USER_TAG] = data.userTag || '';
+        row[F.ORIGINAL_ID] = data.originalId || '';
+
+        // RAW 欄位皆為字串，避免 USER_ENTERED 把電話的開頭 0 或 +886 轉成數字
+        const response = await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: this.SHEET_POTENTIAL,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: [row] }
+        });
+
+        if (this.contactReader) this.contactReader.invalidateCache('contacts');
+
+        const updatedRange = response?.data?.updates?.updatedRange || '';
+        const match = updatedRange.match(/![A-Z]+(\d+)/);
+        console.log(`✅ [ContactWriter] Appended potential contact: ${data.name || data.company || '(未辨識)'}`);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
     /**
      * [Pure Write] 更新潛在客戶
      * 接收完整/部分資料，使用 batchUpdate 寫入指定欄位。
@@ -126,6 +177,52 @@ class ContactWriter extends BaseWriter {
         return true;
     }
 
+    /**
+     * [Pure Write] 寫入名片分派欄位 (負責業務、分派時間、分派規則、首次處理時間)
+     * 只寫入有提供的欄位；傳入空字串代表清除。
+     * @param {number} rowIndex
+     * @param {Object} assignment - { assignedTo, assignedTime, assignmentRule, firstResponseTime }
+     */
+    async writeLeadAssignment(rowIndex, assignment) {
+        if (isNaN(parseInt(rowIndex)) || rowIndex <= 1) {
+            throw new Error(`無效的 rowIndex: ${rowIndex}`);
+        }
+
+        const F = this.config.CONTACT_FIELDS;
+        const columns = {
+            assignedTo: F.ASSIGNED_TO,
+            assignedTime: F.ASSIGNED_TIME,
+            assignmentRule: F.ASSIGNMENT_RULE,
+            firstResponseTime: F.FIRST_RESPONSE_TIME
+        };
+
+        // 分派欄位超過 Z，需轉為兩碼欄名 (AA、AB...)
+        const columnLetter = (index) => index < 26
+            ? String.fromCharCode(65 + index)
+            : String.fromCharCode(64 + Math.floor(index / 26)) + String.fromCharCode(65 + (index % 26));
+
+        const updates = Object.entries(columns)
+            .filter(([key]) => assignment[key] !== undefined)
+            .map(([key, colIndex]) => ({
+                range: `${this.SHEET_POTENTIAL}!${columnLetter(colIndex)}${rowIndex}`,
+                values: [[assignment[key]]]
+            }));
+
+        if (updates.length === 0) return false;
+
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data: updates
+            }
+        });
+
+        if (this.contactReader) this.contactReader.invalidateCache('contacts');
+        console.log(`✅ [ContactWriter] Wrote lead assignment for row ${rowIndex}`);
+        return true;
+    }
+
     /**
      * [Pure Write] 刪除潛在客戶 (物理刪除 Row)
      * 利用 BaseWriter 提供的 _deleteRow 進行整列刪除
@@ -1,8 +1,8 @@
 /**
  * data/event-log-sql-reader.js
- * @version Phase 8.6
- * @date 2026-03-11
- * @purpose Phase 8.4 Fix: Add frontend-prefixed aliases to DTO for Editor compatibility. Phase 8.5: Add getEventLogsByOpportunityId for scoped queries. Phase 1 SQL Aggregation: Added getEventLogStats cross-partition counts.
+ * @version Phase 8.8
+ * @date 2026-10-19
+ * @purpose Event Type Schemas: DTO carries payload and spreads its schema-defined field values; general-table rows report event_type (admin-defined types). Soft Delete: rows with deleted_time (recycle bin) are hidden from every query. Phase 8.4 Fix: Add frontend-prefixed aliases to DTO for Editor compatibility. Phase 8.5: Add getEventLogsByOpportunityId for scoped queries. Phase 1 SQL Aggregation: Added getEventLogStats cross-partition counts.
  */
 
 const { supabase } = require('../config/supabase');
@@ -20,6 +20,15 @@ class EventLogSqlReader {
         };
     }
 
+    /**
+     * 套用軟刪除過濾 (回收桶中的事件不對外顯示)
+     * summary 表非 EventLogSqlWriter 管轄，無 deleted_time 欄位，維持原查詢。
+     */
+    _excludeDeleted(query, tableName) {
+        if (tableName === this.tables.summary) return query;
+        return query.is('deleted_time', null);
+    }
+
     /**
      * Get event log statistics (Total and This Month) across all partitioned tables
      * Phase 1 SQL Aggregation: Combines parallel head exact counts to bypass full table download.
@@ -36,8 +45,8 @@ class EventLogSqlReader {
 
             const queries = Object.values(this.tables).map(async (tableName) => {
                 const [totalRes, monthRes] = await Promise.all([
-                    supabase.from(tableName).select('*', { count: 'exact', head: true }),
-                    supabase.from(tableName).select('*', { count: 'exact', head: true }).gte('created_time', startIso)
+                    this._excludeDeleted(supabase.from(tableName).select('*', { count: 'exact', head: true }), tableName),
+                    this._excludeDeleted(supabase.from(tableName).select('*', { count: 'exact', head: true }), tableName).gte('created_time', startIso)
                 ]);
 
                 if (totalRes.error) throw new Error(`[EventLogSqlReader] DB Error in ${tableName} (total): ${totalRes.error.message}`);
@@ -69,9 +78,9 @@ class EventLogSqlReader {
         try {
             // 並行查詢所有分表
             const queries = Object.entries(this.tables).map(async ([type, tableName]) => {
-                const { data, error } = await supabase
+                const { data, error } = await this._excludeDeleted(supabase
                     .from(tableName)
-                    .select('*')
+                    .select('*'), tableName)
                     .eq('event_id', eventId)
                     .maybeSingle(); // [Phase 8.2a] Use maybeSingle to avoid throw on not-found
 
@@ -106,9 +115,9 @@ class EventLogSqlReader {
 
         try {
             const queries = Object.entries(this.tables).map(async ([type, tableName]) => {
-                const { data, error } = await supabase
+                const { data, error } = await this._excludeDeleted(supabase
                     .from(tableName)
-                    .select('*')
+                    .select('*'), tableName)
                     .eq('opportunity_id', opportunityId);
 
                 if (error) {
@@ -137,9 +146,9 @@ class EventLogSqlReader {
     async getEventLogs() {
         try {
             const queries = Object.entries(this.tables).map(async ([type, tableName]) => {
-                const { data, error } = await supabase
+                const { data, error } = await this._excludeDeleted(supabase
                     .from(tableName)
-                    .select('*');
+                    .select('*'), tableName);
 
                 if (error) {
                     throw new Error(`[EventLogSqlReader] DB Error in ${tableName}: ${error.message}`);
@@ -190,7 +199,10 @@ class EventLogSqlReader {
         };
 
         // Common Base Fields (Available in most schemas)
+        // [Phase 8.8] Schema-defined fields live in payload; spread first so real columns always win.
         const baseDto = {
+            ...payloadObj,
+
             // Hard Rules
             rowIndex: null, 
             eventType: type,
@@ -212,13 +224,15 @@ class EventLogSqlReader {
             ourParticipants: row.our_participants,
             clientParticipants: row.client_participants,
             clientQuestions: row.client_questions,
-            clientIntelligence: row.client_intelligence
+            clientIntelligence: row.client_intelligence,
+            payload: payloadObj
         };
 
         // Type Specific Mapping (Strict Schema Adherence)
         switch (type) {
             case 'general':
-                return baseDto;
+                // Admin-defined event types share the general table
+                return { ...baseDto, eventType: row.event_type || type };
 
             case 'iot': {
                 // Resolve values once
@@ -8,11 +8,31 @@
  * - Same-type edit: Update current table.
  * - Type change: Move event (Read -> Merge -> Delete Old -> Clean Target -> Insert New).
  * - Payload normalization to schema columns.
+ * - [2026-10-19] Soft delete: deleteEventLog tombstones the row (deleted_time/deleted_by); restoreEventLog / purgeEventLog added.
+ * - [2026-10-19] Audit trail: create/update/delete record before/after rows via the injected AuditLogSqlWriter.
+ * - [2026-10-19] Event type schemas: payload (jsonb) is written to every table; admin-defined types
+ *   (no dedicated table) are stored in event_logs_general with event_type = type key.
+ *   Migration: ALTER TABLE event_logs_general ADD COLUMN event_type text;
+ *   ALTER TABLE event_logs_{general,iot,dt,dx} ADD COLUMN IF NOT EXISTS payload jsonb DEFAULT '{}'::jsonb;
  */
 
 const { supabase } = require('../config/supabase');
 
 class EventLogSqlWriter {
+  /**
+   * @param {AuditLogSqlWriter} [auditLogWriter] - Audit trail writer (optional)
+   */
+  constructor(auditLogWriter = null) {
+    this.auditLogWriter = auditLogWriter;
+  }
+
+  async _audit(action, eventId, before, after, modifier) {
+    if (!this.auditLogWriter) return;
+    await this.auditLogWriter.logChange({
+      entityType: 'event', entityId: eventId, action, before, after, modifier
+    });
+  }
+
   async createEventLog(payload) {
     try {
       // STEP 1 — Detect Target Table
@@ -41,7 +61,8 @@ class EventLogSqlWriter {
         'client_questions',
         'client_intelligence',
         'event_notes',
-        'edit_count'
+        'edit_count',
+        'payload'
       ];
 
       const IOT_COLS = [
@@ -64,7 +85,7 @@ class EventLogSqlWriter {
       ];
 
       const DX_COLS = [...COMMON_COLS];
-      const GENERAL_COLS = [...COMMON_COLS];
+      const GENERAL_COLS = [...COMMON_COLS, 'event_type'];
 
       const colMap = {
         'event_logs_general': GENERAL_COLS,
@@ -93,7 +114,7 @@ class EventLogSqlWriter {
 
       Object.keys(payload).forEach(key => {
         // Remove meta keys
-        if (['eventType', 'event_type', 'payload'].includes(key)) return;
+        if (['eventType', 'event_type'].includes(key)) return;
 
         // Normalize key
         const dbKey = keyMap[key] || key;
@@ -108,6 +129,9 @@ class EventLogSqlWriter {
         }
       });
 
+      // Custom (schema-defined) types share the general table
+      if (targetTable === 'event_logs_general') insertData.event_type = eventType;
+
       // STEP 4 — Forensic Logs
       console.log(`[EventLogSqlWriter][FORensics][CREATE] targetTable=${targetTable}`);
       console.log(`[EventLogSqlWriter][FORensics][CREATE] normalized keys=${Object.keys(insertData).join(',')}`);
@@ -116,10 +140,12 @@ class EventLogSqlWriter {
       const { data, error } = await supabase
         .from(targetTable)
         .insert([insertData])
-        .select('event_id')
+        .select()
         .single();
 
       if (error) throw error;
+
+      await this._audit('create', data.event_id, null, data, payload.creator);
       return { success: true, id: data.event_id };
 
     } catch (error) {
@@ -181,7 +207,8 @@ class EventLogSqlWriter {
         'client_questions',
         'client_intelligence',
         'event_notes',
-        'edit_count'
+        'edit_count',
+        'payload'
       ];
 
       const IOT_COLS = [
@@ -204,7 +231,7 @@ class EventLogSqlWriter {
       ];
 
       const DX_COLS = [...COMMON_COLS];
-      const GENERAL_COLS = [...COMMON_COLS];
+      const GENERAL_COLS = [...COMMON_COLS, 'event_type'];
 
       const colMap = {
         'event_logs_general': GENERAL_COLS,
@@ -233,7 +260,7 @@ class EventLogSqlWriter {
 
       Object.keys(payload).forEach(key => {
         // Remove meta keys
-        if (['eventType', 'event_type', 'payload'].includes(key)) return;
+        if (['eventType', 'event_type'].includes(key)) return;
 
         // Map or keep original
         const dbKey = keyMap[key] || key;
@@ -263,6 +290,7 @@ class EventLogSqlWriter {
         
         // Remove event_id from update payload (PK)
         delete updateData.event_id;
+        if (targetTable === 'event_logs_general') updateData.event_type = eventType;
 
         filteredKeys = Object.keys(updateData);
         console.log(`[EventLogSqlWriter][FORensics] filtered keys=${filteredKeys.join(',')}`);
@@ -272,7 +300,7 @@ class EventLogSqlWriter {
           .from(currentTable)
           .update(updateData)
           .eq('event_id', eventId)
-          .select('event_id');
+          .select();
 
         if (error) throw error;
         
@@ -280,6 +308,8 @@ class EventLogSqlWriter {
            return { success: false, message: 'Row not found during update.' };
         }
 
+        await this._audit('update', eventId, oldRow, data[0], payload.creator);
+
       } else {
         // --- TYPE CHANGE (MOVE) ---
         movedRow = true;
@@ -296,6 +326,8 @@ class EventLogSqlWriter {
           }
         });
 
+        if (targetTable === 'event_logs_general') insertData.event_type = eventType;
+
         filteredKeys = Object.keys(insertData);
         console.log(`[EventLogSqlWriter][FORensics] filtered keys=${filteredKeys.join(',')}`);
         console.log(`[EventLogSqlWriter][FORensics] movedRow=${movedRow}`);
@@ -329,15 +361,18 @@ class EventLogSqlWriter {
         console.log(`[EventLogSqlWriter][FORensics] clearedTargetTableRow=${clearedTargetTableRow}`);
 
         // 5. Insert into New Table
-        const { error: insError } = await supabase
+        const { data: movedData, error: insError } = await supabase
           .from(targetTable)
-          .insert([insertData]);
+          .insert([insertData])
+          .select();
 
         if (insError) {
           console.error(`[EventLogSqlWriter] Move failed: Insert into ${targetTable} error:`, insError);
           throw insError;
         }
         console.log(`[EventLogSqlWriter] New row inserted into ${targetTable}`);
+
+        await this._audit('update', eventId, oldRow, (movedData && movedData[0]) || insertData, payload.creator);
       }
 
       return { success: true };
@@ -348,40 +383,111 @@ class EventLogSqlWriter {
     }
   }
 
-  async deleteEventLog(eventId) {
+  /**
+   * Soft delete (move to trash): stamps deleted_time / deleted_by on whichever table holds the event.
+   */
+  async deleteEventLog(eventId, modifier) {
     try {
-      // Search tables in order to find where to delete from
       const tables = ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'];
-      let deleted = false;
+
+      for (const table of tables) {
+        const { data: oldRow } = await supabase
+          .from(table)
+          .select('*')
+          .eq('event_id', eventId)
+          .is('deleted_time', null)
+          .maybeSingle();
+
+        if (!oldRow) continue;
+
+        const { data, error } = await supabase
+          .from(table)
+          .update({ deleted_time: new Date().toISOString(), deleted_by: modifier || 'System' })
+          .eq('event_id', eventId)
+          .select();
+
+        if (error) throw error;
+
+        await this._audit('delete', eventId, oldRow, data && data[0], modifier);
+        return { success: true };
+      }
+
+      return { success: false, message: 'Event not found' };
+
+    } catch (error) {
+      console.error('[EventLogSqlWriter] deleteEventLog Error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a trashed event in place (table membership never changes while trashed).
+   */
+  async restoreEventLog(eventId, modifier) {
+    try {
+      const tables = ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'];
+
+      for (const table of tables) {
+        const { data: oldRow } = await supabase
+          .from(table)
+          .select('*')
+          .eq('event_id', eventId)
+          .not('deleted_time', 'is', null)
+          .maybeSingle();
+
+        if (!oldRow) continue;
+
+        const { data, error } = await supabase
+          .from(table)
+          .update({ deleted_time: null, deleted_by: null, last_modified_time: new Date().toISOString() })
+          .eq('event_id', eventId)
+          .select();
+
+        if (error) throw error;
+
+        await this._audit('restore', eventId, oldRow, data && data[0], modifier);
+        return { success: true };
+      }
+
+      return { success: false, error: '回收桶中找不到此事件' };
+
+    } catch (error) {
+      console.error('[EventLogSqlWriter] restoreEventLog Error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Physical delete, limited to rows already in trash.
+   */
+  async purgeEventLog(eventId) {
+    try {
+      const tables = ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'];
+      let purged = 0;
 
       for (const table of tables) {
         const { data, error } = await supabase
           .from(table)
           .delete()
           .eq('event_id', eventId)
-          .select('event_id');
+          .not('deleted_time', 'is', null)
+          .select();
 
         if (error) {
-             console.warn(`[EventLogSqlWriter] Delete check on ${table} failed:`, error.message);
-             continue;
+          console.warn(`[EventLogSqlWriter] Purge on ${table} failed:`, error.message);
+          continue;
         }
 
         if (data && data.length > 0) {
-            deleted = true;
-            // Assuming uniqueness across tables, we can stop, 
-            // but for safety in this transition phase, we could check others.
-            // For now, let's assume one hit is enough.
-            break; 
+          purged += data.length;
+          await this._audit('purge', eventId, data[0], null, 'System');
         }
       }
 
-      if (!deleted) {
-        return { success: false, message: 'Event not found' };
-      }
-      return { success: true };
+      return { success: true, purged };
 
     } catch (error) {
-      console.error('[EventLogSqlWriter] deleteEventLog Error:', error);
+      console.error('[EventLogSqlWriter] purgeEventLog Error:', error);
       throw error;
     }
   }
@@ -0,0 +1,60 @@
+/**
+ * data/event-schema-sql-reader.js
+ * 事件類型欄位設定 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: event_type_schemas (由 EventSchemaSqlWriter 寫入)
+ * - fields (jsonb)：[{ key, label, inputType, options, required, placeholder }]，見 EventSchemaService。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class EventSchemaSqlReader {
+
+    constructor() {
+        this.tableName = 'event_type_schemas';
+    }
+
+    /**
+     * 取得全部已儲存的事件類型設定 (含停用)
+     * @returns {Promise<Array<Object>>} Schema DTOs
+     */
+    async getSchemas() {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .order('sort_order', { ascending: true });
+
+            if (error) throw new Error(`[EventSchemaSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[EventSchemaSqlReader] getSchemas Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        let fields = row.fields;
+        if (typeof fields === 'string') {
+            try { fields = JSON.parse(fields); } catch (e) { fields = []; }
+        }
+
+        return {
+            eventType: row.event_type,
+            label: row.label || row.event_type,
+            icon: row.icon || '',
+            sortOrder: Number(row.sort_order) || 0,
+            isActive: row.is_active !== false,
+            fields: Array.isArray(fields) ? fields : [],
+            updatedTime: row.updated_time,
+            lastModifier: row.last_modifier
+        };
+    }
+}
+
+module.exports = EventSchemaSqlReader;
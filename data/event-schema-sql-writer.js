@@ -0,0 +1,70 @@
+/**
+ * data/event-schema-sql-writer.js
+ * 事件類型欄位設定 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: event_type_schemas
+ * - Locked Schema: event_type (PK), label, icon, sort_order (int), is_active (bool), fields (jsonb),
+ * created_time, updated_time, last_modifier
+ */
+
+const { supabase } = require('../config/supabase');
+
+class EventSchemaSqlWriter {
+    constructor() {
+        this.tableName = 'event_type_schemas';
+    }
+
+    /**
+     * 新增或更新事件類型設定
+     * @param {Object} schema - { eventType, label, icon, sortOrder, isActive, fields }
+     * @param {string} modifier
+     * @param {boolean} [isNew=false]
+     * @returns {Promise<Object>} { success, eventType }
+     */
+    async saveSchema(schema, modifier, isNew = false) {
+        const now = new Date().toISOString();
+        const payload = {
+            event_type: schema.eventType,
+            label: schema.label,
+            icon: schema.icon || '',
+            sort_order: schema.sortOrder,
+            is_active: schema.isActive,
+            fields: schema.fields,
+            updated_time: now,
+            last_modifier: modifier
+        };
+        if (isNew) payload.created_time = now;
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .upsert([payload], { onConflict: 'event_type' });
+
+        if (error) {
+            console.error('[EventSchemaSqlWriter] Save Error:', error);
+            throw new Error(`[EventSchemaSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, eventType: schema.eventType };
+    }
+
+    /**
+     * @param {string} eventType
+     */
+    async deleteSchema(eventType) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('event_type', eventType);
+
+        if (error) {
+            console.error('[EventSchemaSqlWriter] Delete Error:', error);
+            throw new Error(`[EventSchemaSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = EventSchemaSqlWriter;
@@ -0,0 +1,58 @@
+/**
+ * data/forecast-snapshot-sql-reader.js
+ * Pipeline Forecast 快照 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: sales_forecast_snapshots (由 ForecastSnapshotSqlWriter 寫入)
+ */
+
+const { supabase } = require('../config/supabase');
+
+class ForecastSnapshotSqlReader {
+
+    constructor() {
+        this.tableName = 'sales_forecast_snapshots';
+    }
+
+    /**
+     * 取得指定日期之前 (不含) 最近的一筆快照
+     * @param {string} beforeDate - YYYY-MM-DD
+     * @returns {Promise<Object|null>} Snapshot DTO
+     */
+    async getLatestSnapshotBefore(beforeDate) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .lt('snapshot_date', beforeDate)
+                .order('snapshot_date', { ascending: false })
+                .limit(1);
+
+            if (error) {
+                throw new Error(`[ForecastSnapshotSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data && data.length > 0 ? this._mapRowToDto(data[0]) : null;
+
+        } catch (error) {
+            console.error('[ForecastSnapshotSqlReader] getLatestSnapshotBefore Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            snapshotDate: row.snapshot_date,
+            totals: row.totals || {},
+            byMonth: row.by_month || [],
+            byAssignee: row.by_assignee || [],
+            bySalesModel: row.by_sales_model || [],
+            createdTime: row.created_time
+        };
+    }
+}
+
+module.exports = ForecastSnapshotSqlReader;
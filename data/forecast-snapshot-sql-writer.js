@@ -0,0 +1,48 @@
+/**
+ * data/forecast-snapshot-sql-writer.js
+ * Pipeline Forecast 快照 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: sales_forecast_snapshots
+ * - Locked Schema: snapshot_date (date, PK), totals (jsonb), by_month (jsonb), by_assignee (jsonb),
+ * by_sales_model (jsonb), created_time.
+ * - 每日一筆；同日重跑以 upsert 覆寫。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class ForecastSnapshotSqlWriter {
+    constructor() {
+        this.tableName = 'sales_forecast_snapshots';
+    }
+
+    /**
+     * 儲存 (覆寫) 指定日期的預測快照
+     * @param {string} snapshotDate - YYYY-MM-DD
+     * @param {Object} forecast - ForecastService 計算結果 ({ totals, byMonth, byAssignee, bySalesModel })
+     */
+    async saveSnapshot(snapshotDate, forecast) {
+        const payload = {
+            snapshot_date: snapshotDate,
+            totals: forecast.totals,
+            by_month: forecast.byMonth,
+            by_assignee: forecast.byAssignee,
+            by_sales_model: forecast.bySalesModel,
+            created_time: new Date().toISOString()
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .upsert([payload], { onConflict: 'snapshot_date' });
+
+        if (error) {
+            console.error('[ForecastSnapshotSqlWriter] Save Error:', error);
+            throw new Error(`[ForecastSnapshotSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, snapshotDate };
+    }
+}
+
+module.exports = ForecastSnapshotSqlWriter;
@@ -0,0 +1,76 @@
+/**
+ * data/fx-rate-sql-reader.js
+ * 匯率表 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: fx_rates (由 FxRateSqlWriter 寫入)
+ * - rate_to_base：1 單位外幣可兌換的本位幣 (TWD) 金額，自 effective_date 起生效。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class FxRateSqlReader {
+
+    constructor() {
+        this.tableName = 'fx_rates';
+    }
+
+    /**
+     * 取得全部匯率 (依幣別、生效日排序)
+     * @returns {Promise<Array<Object>>} FX rate DTOs
+     */
+    async getRates() {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .order('currency', { ascending: true })
+                .order('effective_date', { ascending: true });
+
+            if (error) throw new Error(`[FxRateSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[FxRateSqlReader] getRates Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} rateId
+     * @returns {Promise<Object|null>}
+     */
+    async getRateById(rateId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('rate_id', rateId)
+                .maybeSingle();
+
+            if (error) throw new Error(`[FxRateSqlReader] DB Error: ${error.message}`);
+
+            return this._mapRowToDto(data);
+        } catch (error) {
+            console.error('[FxRateSqlReader] getRateById Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            rateId: row.rate_id,
+            currency: row.currency,
+            rateToBase: Number(row.rate_to_base) || 0,
+            effectiveDate: row.effective_date,
+            note: row.note || '',
+            updatedTime: row.updated_time,
+            lastModifier: row.last_modifier
+        };
+    }
+}
+
+module.exports = FxRateSqlReader;
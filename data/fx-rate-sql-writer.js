@@ -0,0 +1,70 @@
+/**
+ * data/fx-rate-sql-writer.js
+ * 匯率表 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: fx_rates
+ * - Locked Schema: rate_id (PK), currency, rate_to_base (numeric), effective_date (date), note,
+ * created_time, updated_time, last_modifier. Unique: (currency, effective_date)
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+
+class FxRateSqlWriter {
+    constructor() {
+        this.tableName = 'fx_rates';
+    }
+
+    /**
+     * 新增或更新匯率
+     * @param {Object} rate - { rateId?, currency, rateToBase, effectiveDate, note }
+     * @param {string} modifier
+     * @returns {Promise<Object>} { success, rateId }
+     */
+    async saveRate(rate, modifier) {
+        const now = new Date().toISOString();
+        const rateId = rate.rateId || uuidv4();
+        const payload = {
+            rate_id: rateId,
+            currency: rate.currency,
+            rate_to_base: rate.rateToBase,
+            effective_date: rate.effectiveDate,
+            note: rate.note || '',
+            updated_time: now,
+            last_modifier: modifier
+        };
+        if (!rate.rateId) payload.created_time = now;
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .upsert([payload], { onConflict: 'rate_id' });
+
+        if (error) {
+            console.error('[FxRateSqlWriter] Save Error:', error);
+            throw new Error(`[FxRateSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, rateId };
+    }
+
+    /**
+     * @param {string} rateId
+     */
+    async deleteRate(rateId) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('rate_id', rateId);
+
+        if (error) {
+            console.error('[FxRateSqlWriter] Delete Error:', error);
+            throw new Error(`[FxRateSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = FxRateSqlWriter;
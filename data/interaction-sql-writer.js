@@ -1,8 +1,9 @@
 /*
  * FILE: data/interaction-sql-writer.js
- * VERSION: 7.0.2
- * DATE: 2026-03-18
+ * VERSION: 7.1.0
+ * DATE: 2026-10-19
  * CHANGELOG:
+ * - [FEAT] create/update/delete record before/after snapshots through the injected AuditLogSqlWriter.
  * - [PATCH] SQL interaction writer is authoritative for interaction persistence.
  * - [PATCH] Added support for eventType as an alias of interactionType to bridge legacy payloads.
  * - [PHASE 7] Migrate Interaction Write Authority to SQL.
@@ -12,6 +13,34 @@ const { supabase } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
 
 class InteractionSqlWriter {
+    /**
+     * @param {AuditLogSqlWriter} [auditLogWriter] - Audit trail writer (optional)
+     */
+    constructor(auditLogWriter = null) {
+        this.auditLogWriter = auditLogWriter;
+    }
+
+    /**
+     * Fetch current DB row (audit "before" snapshot)
+     * @param {string} id 
+     */
+    async _fetchRow(id) {
+        if (!this.auditLogWriter) return null;
+        const { data } = await supabase
+            .from('interactions')
+            .select('*')
+            .eq('interaction_id', id)
+            .maybeSingle();
+        return data || null;
+    }
+
+    async _audit(action, id, before, after, user) {
+        if (!this.auditLogWriter) return;
+        await this.auditLogWriter.logChange({
+            entityType: 'interaction', entityId: id, action, before, after, modifier: user
+        });
+    }
+
     /**
      * Maps JS Object to Strict DB Schema
      * @param {Object} data 
@@ -50,13 +79,16 @@ class InteractionSqlWriter {
             // Set created_time only on create
             dbData.created_time = new Date().toISOString();
 
-            const { error } = await supabase
+            const { data: created, error } = await supabase
                 .from('interactions')
-                .insert([dbData]);
+                .insert([dbData])
+                .select()
+                .single();
 
             if (error) throw error;
             
             console.log(`[InteractionSqlWriter] Created interaction ${interactionId}`);
+            await this._audit('create', interactionId, null, created, user);
             return interactionId;
         } catch (error) {
             console.error('[InteractionSqlWriter] createInteraction Error:', error);
@@ -79,14 +111,20 @@ class InteractionSqlWriter {
             delete dbData.created_time; 
             delete dbData.interaction_id; // PK should not be in update body if used in eq()
 
-            const { error } = await supabase
+            const before = await this._fetchRow(id);
+
+            const { data: updated, error } = await supabase
                 .from('interactions')
                 .update(dbData)
-                .eq('interaction_id', id);
+                .eq('interaction_id', id)
+                .select();
 
             if (error) throw error;
 
             console.log(`[InteractionSqlWriter] Updated interaction ${id}`);
+            if (updated && updated.length > 0) {
+                await this._audit('update', id, before, updated[0], user);
+            }
             return { success: true };
         } catch (error) {
             console.error('[InteractionSqlWriter] updateInteraction Error:', error);
@@ -101,14 +139,18 @@ class InteractionSqlWriter {
      */
     async deleteInteraction(id, user) {
         try {
-            const { error } = await supabase
+            const { data: deleted, error } = await supabase
                 .from('interactions')
                 .delete()
-                .eq('interaction_id', id);
+                .eq('interaction_id', id)
+                .select();
 
             if (error) throw error;
 
             console.log(`[InteractionSqlWriter] Deleted interaction ${id}`);
+            if (deleted && deleted.length > 0) {
+                await this._audit('delete', id, deleted[0], null, user);
+            }
             return { success: true };
         } catch (error) {
             console.error('[InteractionSqlWriter] deleteInteraction Error:', error);
@@ -4,15 +4,24 @@
  * - Type: SQL Reader (Read-Only)
  * - Target: PostgreSQL (Supabase)
  * - Table: opportunities
- * - Version: 2.4.0 (Phase 5-A - Base Dataset SQL Pushdown for Sales Analysis)
- * - Date: 2026-04-21
+ * - Version: 2.8.1 (Multi-Currency)
+ * - Date: 2026-10-19
  * - Changelog: 
+ * - [TASKS] Added getOpportunitiesByIds() for batched name lookups (task lists).
+ * - [FEAT] DTO exposes currency (null column treated as TWD; v_opportunities_summary must expose currency).
+ * - [FEAT] Added getOpenOpportunitiesForForecast() (current_status = 進行中).
+ * - [FEAT] Added getClosedDealsForAnalysis() (won + lost deals) and close_* fields on the DTO.
+ * - [FEAT] Won / closed stage filters use config.CONSTANTS.CLOSE_STAGES (legacy 已成交 rows still count as won).
+ * - [SOFT DELETE] Table and view queries exclude tombstoned rows (view must expose deleted_time).
  * - [PHASE 5-A] Added getSalesAnalysisBaseDeals() to push stage filtering to DB, reducing JS memory footprint.
  * - [PHASE 10] Added getAllOpportunityCompanyNames() for lightweight cross-module counting without FKs.
  * - [PHASE 9-D] Fixed post-pagination JS filtering. Migrated probability to native SQL.
  */
 
 const { supabase } = require('../config/supabase');
+const { CLOSE_STAGES } = require('../config').CONSTANTS;
+
+const CLOSED_STAGE_LIST = [...CLOSE_STAGES.LEGACY_WON, ...CLOSE_STAGES.LEGACY_LOST].map(s => `"${s}"`).join(',');
 
 class OpportunitySqlReader {
 
@@ -28,13 +37,13 @@ class OpportunitySqlReader {
     async getSalesAnalysisBaseDeals(startDateISO, endDateISO) {
         try {
             // Push base filter (stage) to SQL directly to cut payload significantly
-            const { data, error } = await supabase.from(this.viewName).select('*')
-                .eq('current_stage', '受注');
+            const { data, error } = await supabase.from(this.viewName).select('*').is('deleted_time', null)
+                .in('current_stage', CLOSE_STAGES.LEGACY_WON);
 
             if (error) {
                 // Fallback to table if view is missing
                 if (error.code !== '42P01') throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
-                const fallbackRes = await supabase.from(this.tableName).select('*').eq('current_stage', '受注');
+                const fallbackRes = await supabase.from(this.tableName).select('*').is('deleted_time', null).in('current_stage', CLOSE_STAGES.LEGACY_WON);
                 if (fallbackRes.error) throw new Error(`[OpportunitySqlReader] DB Error: ${fallbackRes.error.message}`);
                 return this._applySalesAnalysisTimeFilter(fallbackRes.data, startDateISO, endDateISO);
             }
@@ -46,6 +55,59 @@ class OpportunitySqlReader {
         }
     }
 
+    /**
+     * 成交 / 失敗結案的機會 (Win/Loss 分析用)
+     * @description 以 close_result 為準；舊資料沒有 close_result 時以階段判斷。
+     * 日期以 closed_time 優先，其次沿用成交分析的 expected_close_date / updated_time。
+     */
+    async getClosedDealsForAnalysis(startDateISO, endDateISO) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .is('deleted_time', null)
+                .or(`close_result.not.is.null,current_stage.in.(${CLOSED_STAGE_LIST})`);
+
+            if (error) throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+
+            const start = startDateISO ? new Date(startDateISO) : new Date(0);
+            const end = endDateISO ? new Date(endDateISO) : new Date();
+
+            return (data || [])
+                .filter(row => {
+                    const dateStr = row.closed_time || row.expected_close_date || row.updated_time;
+                    if (!dateStr) return false;
+                    const closedDate = new Date(dateStr);
+                    return closedDate >= start && closedDate <= end;
+                })
+                .map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[OpportunitySqlReader] getClosedDealsForAnalysis Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 進行中的機會 (Pipeline Forecast 與 Pipeline 快照共用)
+     * @returns {Promise<Array<Object>>} Opportunity DTOs
+     */
+    async getOpenOpportunitiesForForecast() {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .is('deleted_time', null)
+                .eq('current_status', '進行中');
+
+            if (error) throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[OpportunitySqlReader] getOpenOpportunitiesForForecast Error:', error);
+            throw error;
+        }
+    }
+
     _applySalesAnalysisTimeFilter(data, startDateISO, endDateISO) {
         const start = startDateISO ? new Date(startDateISO) : new Date(0);
         const end = endDateISO ? new Date(endDateISO) : new Date();
@@ -64,7 +126,8 @@ class OpportunitySqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('created_time');
+                .select('created_time')
+                .is('deleted_time', null);
 
             if (error) throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
 
@@ -87,7 +150,8 @@ class OpportunitySqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('customer_company');
+                .select('customer_company')
+                .is('deleted_time', null);
 
             if (error) throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
             return data || [];
@@ -104,8 +168,8 @@ class OpportunitySqlReader {
             const startIso = startOfMonth.toISOString();
 
             const [totalRes, monthRes] = await Promise.all([
-                supabase.from(this.tableName).select('*', { count: 'exact', head: true }),
-                supabase.from(this.tableName).select('*', { count: 'exact', head: true }).gte('created_time', startIso)
+                supabase.from(this.tableName).select('*', { count: 'exact', head: true }).is('deleted_time', null),
+                supabase.from(this.tableName).select('*', { count: 'exact', head: true }).is('deleted_time', null).gte('created_time', startIso)
             ]);
 
             if (totalRes.error) throw new Error(`[OpportunitySqlReader] DB Error (total): ${totalRes.error.message}`);
@@ -125,7 +189,7 @@ class OpportunitySqlReader {
         if (!opportunityId) throw new Error('OpportunitySqlReader: opportunityId is required');
 
         try {
-            const viewRes = await supabase.from(this.viewName).select('*').eq('opportunity_id', opportunityId).single();
+            const viewRes = await supabase.from(this.viewName).select('*').is('deleted_time', null).eq('opportunity_id', opportunityId).single();
             if (!viewRes.error && viewRes.data) {
                 return this._mapRowToDto(viewRes.data);
             }
@@ -133,6 +197,7 @@ class OpportunitySqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .eq('opportunity_id', opportunityId)
                 .single();
 
@@ -150,6 +215,40 @@ class OpportunitySqlReader {
         }
     }
 
+    /**
+     * Batch lookup by IDs (chunked for PostgREST URL length limits)
+     * @param {Array<string>} opportunityIds
+     * @returns {Promise<Array<Object>>} Opportunity DTOs; missing or deleted IDs are omitted
+     */
+    async getOpportunitiesByIds(opportunityIds) {
+        const ids = [...new Set((opportunityIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const chunkSize = 200;
+            let rows = [];
+
+            for (let i = 0; i < ids.length; i += chunkSize) {
+                const { data, error } = await supabase
+                    .from(this.tableName)
+                    .select('*')
+                    .is('deleted_time', null)
+                    .in('opportunity_id', ids.slice(i, i + chunkSize));
+
+                if (error) {
+                    throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+                }
+                if (data) rows = rows.concat(data);
+            }
+
+            return rows.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[OpportunitySqlReader] getOpportunitiesByIds Error:', error);
+            throw error;
+        }
+    }
+
     async getOpportunitiesByParentId(parentId) {
         if (!parentId) throw new Error('OpportunitySqlReader: parentId is required');
 
@@ -157,6 +256,7 @@ class OpportunitySqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .eq('parent_opportunity_id', parentId);
 
             if (error) throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
@@ -175,6 +275,7 @@ class OpportunitySqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_time', null)
                 .ilike('customer_company', `%${companyName}%`);
 
             if (error) throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
@@ -188,12 +289,12 @@ class OpportunitySqlReader {
 
     async getOpportunities() {
         try {
-            const viewRes = await supabase.from(this.viewName).select('*');
+            const viewRes = await supabase.from(this.viewName).select('*').is('deleted_time', null);
             if (!viewRes.error && viewRes.data) {
                 return viewRes.data.map(row => this._mapRowToDto(row));
             }
 
-            const oppsPromise = supabase.from(this.tableName).select('*');
+            const oppsPromise = supabase.from(this.tableName).select('*').is('deleted_time', null);
             const intsPromise = supabase.from('interactions').select('opportunity_id, interaction_time, created_time');
 
             const [oppsRes, intsRes] = await Promise.all([oppsPromise, intsPromise]);
@@ -236,7 +337,7 @@ class OpportunitySqlReader {
     async searchOpportunitiesTable({ q, filters = {}, sortField, sortDirection, limit, offset }) {
         try {
             try {
-                let dbQuery = supabase.from(this.viewName).select('*', { count: 'exact' });
+                let dbQuery = supabase.from(this.viewName).select('*', { count: 'exact' }).is('deleted_time', null);
                 
                 if (filters.type && filters.type !== 'all') dbQuery = dbQuery.eq('opportunity_type', filters.type);
                 if (filters.source && filters.source !== 'all') dbQuery = dbQuery.eq('source', filters.source);
@@ -349,8 +450,8 @@ class OpportunitySqlReader {
             const useFastPath = isNativeSort && !hasJsFilters;
 
             let query = useFastPath 
-                ? supabase.from(this.tableName).select('*', { count: 'exact' })
-                : supabase.from(this.tableName).select('*');
+                ? supabase.from(this.tableName).select('*', { count: 'exact' }).is('deleted_time', null)
+                : supabase.from(this.tableName).select('*').is('deleted_time', null);
 
             if (filters.type && filters.type !== 'all') query = query.eq('opportunity_type', filters.type);
             if (filters.source && filters.source !== 'all') query = query.eq('source', filters.source);
@@ -520,6 +621,7 @@ class OpportunitySqlReader {
             expectedCloseDate: row.expected_close_date,
             orderProbability: row.win_probability, 
             opportunityValue: row.opportunity_value,
+            currency: row.currency || 'TWD',
             valueCalcMode: row.value_calc_mode,
             opportunityValueType: row.value_calc_mode, 
             deviceScale: row.equipment_scale, 
@@ -529,7 +631,12 @@ class OpportunitySqlReader {
             stageHistory: row.stage_history,
             createdTime: row.created_time,
             lastUpdateTime: row.updated_time, 
-            updatedBy: row.updated_by
+            updatedBy: row.updated_by,
+            closeResult: row.close_result || null,
+            closeReason: row.close_reason || null,
+            closeCompetitor: row.close_competitor || null,
+            closeNote: row.close_note || null,
+            closedTime: row.closed_time || null
         };
 
         if (row.effective_last_activity) {
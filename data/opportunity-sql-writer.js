@@ -1,41 +1,64 @@
 // data/opportunity-sql-writer.js
 /**
  * OpportunitySqlWriter
- * * @version 1.1.0 (Phase 7 - Contact Linking SQL)
- * @date 2026-02-06
+ * * @version 1.7.0 (Batch Import)
+ * @date 2026-10-19
  * @description 負責將機會案件寫入 Supabase 'opportunities' 資料表。
+ * - [FEAT] createOpportunitiesBatch：匯入精靈以單一 insert 寫入多筆 (呼叫端提供 opportunityId)。
+ * - [FEAT] 對應 currency 欄位 (新增時預設 TWD)。
+ * - [FEAT] updateOpportunity 對應結案欄位 close_result / close_reason / close_competitor / close_note / closed_time。
+ * - [FEAT] Optimistic lock: updateOpportunity 支援 options.expectedUpdatedTime，版本不符回傳 { conflict: true }。
+ * - [FEAT] Soft delete: deleteOpportunity 改為標記 deleted_time 並將聯絡人關聯標為 'trashed'；新增 restoreOpportunity / purgeOpportunity。
+ * - [FEAT] create/update/delete 透過 AuditLogSqlWriter 記錄前後快照 (含金額、階段等所有欄位)。
  * - [PATCH] Normalize empty date strings to null for PostgreSQL compatibility.
  * - [PATCH] Added missing mapping for drive_link in updateOpportunity.
  * - [FEAT] Added linkContact and unlinkContact methods for SQL-based linking.
  */
 
 const { supabase } = require('../config/supabase');
+const { isSameVersion } = require('../utils/concurrency');
 
 class OpportunitySqlWriter {
     
-    constructor() {
+    /**
+     * @param {AuditLogSqlWriter} [auditLogWriter] - 稽核軌跡 Writer (選用)
+     */
+    constructor(auditLogWriter = null) {
         this.tableName = 'opportunities';
+        this.auditLogWriter = auditLogWriter;
     }
 
     /**
-     * 建立新機會案件
-     * @param {Object} data - 機會資料 DTO
-     * @param {string} creator - 建立者名稱
-     * @returns {Object} { success: true, id: string }
+     * 讀取目前 DB Row (稽核前快照 / 樂觀鎖版本比對)
+     * @param {string} opportunityId
      */
-    async createOpportunity(data, creator) {
-        console.log(`💼 [OpportunitySqlWriter] Create: ${data.opportunityName} by ${creator}`);
+    async _fetchRow(opportunityId) {
+        const { data } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('opportunity_id', opportunityId)
+            .maybeSingle();
+        return data || null;
+    }
 
-        const now = new Date().toISOString();
-        const newId = `OPP${Date.now()}`;
+    async _audit(action, opportunityId, before, after, modifier) {
+        if (!this.auditLogWriter) return;
+        await this.auditLogWriter.logChange({
+            entityType: 'opportunity', entityId: opportunityId, action, before, after, modifier
+        });
+    }
 
+    /**
+     * DTO → opportunities 資料列 (新增用)
+     */
+    _toInsertPayload(opportunityId, data, creator, now) {
         // [Date Normalization]
         // PostgreSQL rejects "" for date types. Convert "" to null.
         const expectedCloseDate = (data.expectedCloseDate === "") ? null : data.expectedCloseDate;
 
         // Map DTO to DB Columns
-        const dbPayload = {
-            opportunity_id: newId,
+        return {
+            opportunity_id: opportunityId,
             opportunity_name: data.opportunityName,
             customer_company: data.customerCompany,
             
@@ -59,6 +82,7 @@ class OpportunitySqlWriter {
             // Metrics
             expected_close_date: expectedCloseDate,
             opportunity_value: data.opportunityValue,
+            currency: data.currency || 'TWD',
             win_probability: data.orderProbability, // Map orderProbability -> win_probability
             
             // Details
@@ -78,26 +102,82 @@ class OpportunitySqlWriter {
             // Hierarchy
             parent_opportunity_id: data.parentOpportunityId
         };
+    }
 
-        const { error } = await supabase
+    /**
+     * 建立新機會案件
+     * @param {Object} data - 機會資料 DTO
+     * @param {string} creator - 建立者名稱
+     * @returns {Object} { success: true, id: string }
+     */
+    async createOpportunity(data, creator) {
+        console.log(`💼 [OpportunitySqlWriter] Create: ${data.opportunityName} by ${creator}`);
+
+        const now = new Date().toISOString();
+        const newId = `OPP${Date.now()}`;
+
+        const dbPayload = this._toInsertPayload(newId, data, creator, now);
+
+        const { data: created, error } = await supabase
             .from(this.tableName)
-            .insert([dbPayload]);
+            .insert([dbPayload])
+            .select()
+            .single();
 
         if (error) {
             console.error('[OpportunitySqlWriter] Create Error:', error);
             throw new Error(`DB Insert Error: ${error.message}`);
         }
 
+        await this._audit('create', newId, null, created, creator);
+
         return { success: true, id: newId };
     }
 
+    /**
+     * 批次建立機會案件 (單一 insert)
+     * @param {Array<Object>} list - 機會資料 DTO (皆須含 opportunityId)
+     * @param {string} creator - 建立者名稱
+     * @returns {Object} { success: true, ids: Array<string> }
+     */
+    async createOpportunitiesBatch(list, creator) {
+        if (!list || list.length === 0) return { success: true, ids: [] };
+
+        console.log(`💼 [OpportunitySqlWriter] Batch create: ${list.length} opportunities by ${creator}`);
+
+        const now = new Date().toISOString();
+        const payloads = list.map(data => {
+            if (!data.opportunityId) throw new Error('[OpportunitySqlWriter] opportunityId is required for batch creation.');
+            return this._toInsertPayload(data.opportunityId, data, creator, now);
+        });
+
+        const { data: created, error } = await supabase
+            .from(this.tableName)
+            .insert(payloads)
+            .select();
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Batch Create Error:', error);
+            throw new Error(`DB Insert Error: ${error.message}`);
+        }
+
+        for (const row of created || []) {
+            await this._audit('create', row.opportunity_id, null, row, creator);
+        }
+
+        return { success: true, ids: (created || []).map(r => r.opportunity_id) };
+    }
+
     /**
      * 更新機會案件
      * @param {string} opportunityId
      * @param {Object} updateData
      * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string} [options.expectedUpdatedTime] 樂觀鎖：前端讀取時的 updated_time
+     * @returns {Object} { success: true, id, updatedTime } 或版本不符時 { success: false, conflict: true }
      */
-    async updateOpportunity(opportunityId, updateData, modifier) {
+    async updateOpportunity(opportunityId, updateData, modifier, options = {}) {
         console.log(`📝 [OpportunitySqlWriter] Update: ${opportunityId} by ${modifier}`);
 
         const now = new Date().toISOString();
@@ -132,6 +212,7 @@ class OpportunitySqlWriter {
         }
 
         if (updateData.opportunityValue !== undefined) dbPayload.opportunity_value = updateData.opportunityValue;
+        if (updateData.currency !== undefined) dbPayload.currency = updateData.currency || 'TWD';
         if (updateData.orderProbability !== undefined) dbPayload.win_probability = updateData.orderProbability;
         
         if (updateData.deviceScale !== undefined) dbPayload.equipment_scale = updateData.deviceScale;
@@ -142,41 +223,160 @@ class OpportunitySqlWriter {
         if (updateData.stageHistory !== undefined) dbPayload.stage_history = updateData.stageHistory;
         if (updateData.parentOpportunityId !== undefined) dbPayload.parent_opportunity_id = updateData.parentOpportunityId;
 
-        const { error } = await supabase
+        // Close (Win/Loss) capture
+        if (updateData.closeResult !== undefined) dbPayload.close_result = updateData.closeResult;
+        if (updateData.closeReason !== undefined) dbPayload.close_reason = updateData.closeReason;
+        if (updateData.closeCompetitor !== undefined) dbPayload.close_competitor = updateData.closeCompetitor;
+        if (updateData.closeNote !== undefined) dbPayload.close_note = updateData.closeNote;
+        if (updateData.closedTime !== undefined) dbPayload.closed_time = updateData.closedTime;
+
+        const before = await this._fetchRow(opportunityId);
+
+        // [Optimistic Lock] 先比對版本，再以同一版本作為更新條件
+        const expected = options.expectedUpdatedTime;
+        if (expected && (!before || !isSameVersion(expected, before.updated_time))) {
+            return { success: false, conflict: true };
+        }
+
+        let query = supabase
             .from(this.tableName)
             .update(dbPayload)
             .eq('opportunity_id', opportunityId);
+        if (expected) query = query.eq('updated_time', before.updated_time);
+
+        const { data: updated, error } = await query.select();
 
         if (error) {
             console.error('[OpportunitySqlWriter] Update Error:', error);
             throw new Error(`DB Update Error: ${error.message}`);
         }
 
-        return { success: true, id: opportunityId };
+        if (!updated || updated.length === 0) {
+            // 比對與寫入之間被其他人搶先更新
+            if (expected) return { success: false, conflict: true };
+            return { success: true, id: opportunityId };
+        }
+
+        await this._audit('update', opportunityId, before, updated[0], modifier);
+
+        return { success: true, id: opportunityId, updatedTime: updated[0].updated_time };
     }
 
     /**
-     * 刪除機會案件
+     * 刪除機會案件 (軟刪除：移入回收桶)
+     * 同步將有效的聯絡人關聯標記為 'trashed'，以便還原時一併恢復。
      * @param {string} opportunityId 
      * @param {string} modifier 
      */
     async deleteOpportunity(opportunityId, modifier) {
-        console.log(`🗑️ [OpportunitySqlWriter] Delete: ${opportunityId} by ${modifier}`);
+        console.log(`🗑️ [OpportunitySqlWriter] Delete (to trash): ${opportunityId} by ${modifier}`);
 
-        // SQL Hard Delete
-        const { error } = await supabase
+        const before = await this._fetchRow(opportunityId);
+
+        const { data: deleted, error } = await supabase
             .from(this.tableName)
-            .delete()
-            .eq('opportunity_id', opportunityId);
+            .update({ deleted_time: new Date().toISOString(), deleted_by: modifier || 'System' })
+            .eq('opportunity_id', opportunityId)
+            .is('deleted_time', null)
+            .select();
 
         if (error) {
             console.error('[OpportunitySqlWriter] Delete Error:', error);
             throw new Error(`DB Delete Error: ${error.message}`);
         }
 
+        if (deleted && deleted.length > 0) {
+            await this._setContactLinksStatus(opportunityId, 'active', 'trashed');
+            await this._audit('delete', opportunityId, before, deleted[0], modifier);
+        }
+
         return { success: true };
     }
 
+    /**
+     * 從回收桶還原機會案件 (含聯絡人關聯)
+     * @param {string} opportunityId 
+     * @param {string} modifier 
+     */
+    async restoreOpportunity(opportunityId, modifier) {
+        console.log(`♻️ [OpportunitySqlWriter] Restore: ${opportunityId} by ${modifier}`);
+
+        const before = await this._fetchRow(opportunityId);
+
+        const { data: restored, error } = await supabase
+            .from(this.tableName)
+            .update({ deleted_time: null, deleted_by: null, updated_time: new Date().toISOString(), updated_by: modifier })
+            .eq('opportunity_id', opportunityId)
+            .not('deleted_time', 'is', null)
+            .select();
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Restore Error:', error);
+            throw new Error(`DB Restore Error: ${error.message}`);
+        }
+
+        if (!restored || restored.length === 0) {
+            return { success: false, error: '回收桶中找不到此機會案件' };
+        }
+
+        const restoredLinks = await this._setContactLinksStatus(opportunityId, 'trashed', 'active');
+        await this._audit('restore', opportunityId, before, restored[0], modifier);
+
+        return { success: true, restoredLinks };
+    }
+
+    /**
+     * 永久刪除機會案件 (僅限已在回收桶中的資料，連同其聯絡人關聯)
+     * @param {string} opportunityId 
+     */
+    async purgeOpportunity(opportunityId) {
+        const { data: purged, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('opportunity_id', opportunityId)
+            .not('deleted_time', 'is', null)
+            .select();
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Purge Error:', error);
+            throw new Error(`DB Purge Error: ${error.message}`);
+        }
+
+        if (purged && purged.length > 0) {
+            const { error: linkError } = await supabase
+                .from('opportunity_contact_links')
+                .delete()
+                .eq('opportunity_id', opportunityId);
+            if (linkError) console.warn(`[OpportunitySqlWriter] Purge links failed for ${opportunityId}:`, linkError.message);
+
+            await this._audit('purge', opportunityId, purged[0], null, 'System');
+        }
+
+        return { success: true, purged: (purged || []).length };
+    }
+
+    /**
+     * 批次切換機會的聯絡人關聯狀態 (軟刪除 / 還原用)
+     * @param {string} opportunityId
+     * @param {string} fromStatus
+     * @param {string} toStatus
+     * @returns {Promise<number>} 受影響的關聯數
+     */
+    async _setContactLinksStatus(opportunityId, fromStatus, toStatus) {
+        const { data, error } = await supabase
+            .from('opportunity_contact_links')
+            .update({ status: toStatus })
+            .eq('opportunity_id', opportunityId)
+            .eq('status', fromStatus)
+            .select('link_id');
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Link Status Error:', error);
+            throw new Error(`Link Status Error: ${error.message}`);
+        }
+        return (data || []).length;
+    }
+
     /**
      * 關聯聯絡人至機會 (SQL)
      * @param {string} opportunityId
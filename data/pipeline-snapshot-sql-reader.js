@@ -0,0 +1,120 @@
+/**
+ * data/pipeline-snapshot-sql-reader.js
+ * Pipeline 明細快照 SQL Reader (Read-Only)
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - Table: opportunity_pipeline_snapshots (由 PipelineSnapshotSqlWriter 寫入)
+ * - [1.0.1] opportunity_value 為 null (擷取時缺少匯率) 時保留 null，不視為 0。
+ */
+
+const { supabase } = require('../config/supabase');
+
+// Supabase 單次查詢上限為 1000 筆，快照資料需分頁讀取
+const PAGE_SIZE = 1000;
+
+class PipelineSnapshotSqlReader {
+
+    constructor() {
+        this.tableName = 'opportunity_pipeline_snapshots';
+    }
+
+    /**
+     * 分頁讀取全部符合條件的資料列
+     * @param {Function} buildQuery - () => Supabase query builder
+     */
+    async _selectAll(buildQuery) {
+        const rows = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+            if (error) throw new Error(`[PipelineSnapshotSqlReader] DB Error: ${error.message}`);
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+        return rows;
+    }
+
+    /**
+     * 取得指定日期 (含) 之前最近一次快照的日期
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<string|null>}
+     */
+    async getLatestSnapshotDateOnOrBefore(date) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('snapshot_date')
+                .lte('snapshot_date', date)
+                .order('snapshot_date', { ascending: false })
+                .limit(1);
+
+            if (error) throw new Error(`[PipelineSnapshotSqlReader] DB Error: ${error.message}`);
+
+            return data && data.length > 0 ? data[0].snapshot_date : null;
+        } catch (error) {
+            console.error('[PipelineSnapshotSqlReader] getLatestSnapshotDateOnOrBefore Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 取得區間內有快照的日期 (新到舊)
+     * @param {string} sinceDate - YYYY-MM-DD
+     * @returns {Promise<Array<{ snapshotDate: string, count: number }>>}
+     */
+    async getSnapshotDates(sinceDate) {
+        try {
+            const data = await this._selectAll(() => supabase
+                .from(this.tableName)
+                .select('snapshot_date')
+                .gte('snapshot_date', sinceDate)
+                .order('snapshot_date', { ascending: false }));
+
+            const counts = new Map();
+            data.forEach(row => counts.set(row.snapshot_date, (counts.get(row.snapshot_date) || 0) + 1));
+            return Array.from(counts, ([snapshotDate, count]) => ({ snapshotDate, count }));
+        } catch (error) {
+            console.error('[PipelineSnapshotSqlReader] getSnapshotDates Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 取得指定日期的全部快照項目
+     * @param {string} snapshotDate - YYYY-MM-DD
+     * @returns {Promise<Array<Object>>} Snapshot item DTOs
+     */
+    async getSnapshot(snapshotDate) {
+        try {
+            const data = await this._selectAll(() => supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('snapshot_date', snapshotDate)
+                .order('opportunity_id', { ascending: true }));
+
+            return data.map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[PipelineSnapshotSqlReader] getSnapshot Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            snapshotDate: row.snapshot_date,
+            opportunityId: row.opportunity_id,
+            opportunityName: row.opportunity_name,
+            customerCompany: row.customer_company,
+            assignee: row.assignee,
+            salesModel: row.sales_model,
+            currentStage: row.current_stage,
+            opportunityValue: row.opportunity_value === null ? null : (Number(row.opportunity_value) || 0),
+            orderProbability: Number(row.order_probability) || 0,
+            expectedCloseDate: row.expected_close_date
+        };
+    }
+}
+
+module.exports = PipelineSnapshotSqlReader;
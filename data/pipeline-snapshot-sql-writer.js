@@ -0,0 +1,65 @@
+/**
+ * data/pipeline-snapshot-sql-writer.js
+ * Pipeline 明細快照 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: opportunity_pipeline_snapshots
+ * - Locked Schema: snapshot_date (date), opportunity_id, opportunity_name, customer_company, assignee,
+ * sales_model, current_stage, opportunity_value (numeric), order_probability (numeric), expected_close_date,
+ * created_time. PK = (snapshot_date, opportunity_id)
+ * - 每日一組；同日重跑時先刪除當日資料再寫入，確保已結案的機會不會殘留。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class PipelineSnapshotSqlWriter {
+    constructor() {
+        this.tableName = 'opportunity_pipeline_snapshots';
+    }
+
+    /**
+     * 儲存 (覆寫) 指定日期的 Pipeline 快照
+     * @param {string} snapshotDate - YYYY-MM-DD
+     * @param {Array<Object>} items - PipelineSnapshotService 產生的快照項目
+     */
+    async saveSnapshot(snapshotDate, items) {
+        const { error: deleteError } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('snapshot_date', snapshotDate);
+
+        if (deleteError) {
+            console.error('[PipelineSnapshotSqlWriter] Delete Error:', deleteError);
+            throw new Error(`[PipelineSnapshotSqlWriter] DB Error: ${deleteError.message}`);
+        }
+
+        if (items.length === 0) return { success: true, snapshotDate, count: 0 };
+
+        const createdTime = new Date().toISOString();
+        const rows = items.map(item => ({
+            snapshot_date: snapshotDate,
+            opportunity_id: item.opportunityId,
+            opportunity_name: item.opportunityName,
+            customer_company: item.customerCompany,
+            assignee: item.assignee,
+            sales_model: item.salesModel,
+            current_stage: item.currentStage,
+            opportunity_value: item.opportunityValue,
+            order_probability: item.orderProbability,
+            expected_close_date: item.expectedCloseDate || null,
+            created_time: createdTime
+        }));
+
+        const { error } = await supabase.from(this.tableName).insert(rows);
+
+        if (error) {
+            console.error('[PipelineSnapshotSqlWriter] Insert Error:', error);
+            throw new Error(`[PipelineSnapshotSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, snapshotDate, count: rows.length };
+    }
+}
+
+module.exports = PipelineSnapshotSqlWriter;
@@ -0,0 +1,89 @@
+/**
+ * data/quote-sql-reader.js
+ * 機會報價單 (Opportunity Quote) SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: opportunity_quotes (由 QuoteSqlWriter 寫入)
+ * - 每個機會可有多個版本 (version 1, 2, 3 ...)；line_items 為 jsonb 陣列。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class QuoteSqlReader {
+
+    constructor() {
+        this.tableName = 'opportunity_quotes';
+    }
+
+    /**
+     * 取得機會的所有報價版本
+     * @param {string} opportunityId
+     * @returns {Promise<Array<Object>>} Quote DTOs (依版本新到舊)
+     */
+    async getQuotesByOpportunityId(opportunityId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('opportunity_id', opportunityId)
+                .order('version', { ascending: false });
+
+            if (error) throw new Error(`[QuoteSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[QuoteSqlReader] getQuotesByOpportunityId Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} quoteId
+     * @returns {Promise<Object|null>}
+     */
+    async getQuoteById(quoteId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('quote_id', quoteId)
+                .maybeSingle();
+
+            if (error) throw new Error(`[QuoteSqlReader] DB Error: ${error.message}`);
+
+            return this._mapRowToDto(data);
+        } catch (error) {
+            console.error('[QuoteSqlReader] getQuoteById Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            quoteId: row.quote_id,
+            opportunityId: row.opportunity_id,
+            version: Number(row.version) || 1,
+            status: row.status || 'draft',
+            priceTier: row.price_tier || '',
+            currency: row.currency || 'TWD',
+            lineItems: Array.isArray(row.line_items) ? row.line_items : [],
+            discountRate: Number(row.discount_rate) || 0,
+            subtotal: Number(row.subtotal) || 0,
+            discountAmount: Number(row.discount_amount) || 0,
+            total: Number(row.total) || 0,
+            note: row.note || '',
+            validUntil: row.valid_until || '',
+            basedOnQuoteId: row.based_on_quote_id || '',
+            createdTime: row.created_time,
+            createdBy: row.created_by || '',
+            updatedTime: row.updated_time,
+            lastModifier: row.last_modifier || '',
+            acceptedTime: row.accepted_time || null
+        };
+    }
+}
+
+module.exports = QuoteSqlReader;
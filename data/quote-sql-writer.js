@@ -0,0 +1,115 @@
+/**
+ * data/quote-sql-writer.js
+ * 機會報價單 (Opportunity Quote) SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: opportunity_quotes
+ * - Locked Schema: quote_id (PK), opportunity_id, version (int), status ('draft' | 'sent' | 'accepted' | 'rejected' | 'superseded'),
+ * price_tier, currency, line_items (jsonb), discount_rate, subtotal, discount_amount, total, note, valid_until (date),
+ * based_on_quote_id, created_time, created_by, updated_time, last_modifier, accepted_time.
+ * - Unique: (opportunity_id, version)
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+
+class QuoteSqlWriter {
+    constructor() {
+        this.tableName = 'opportunity_quotes';
+    }
+
+    _mapDtoToRow(quote) {
+        const row = {};
+        if (quote.status !== undefined) row.status = quote.status;
+        if (quote.priceTier !== undefined) row.price_tier = quote.priceTier;
+        if (quote.currency !== undefined) row.currency = quote.currency;
+        if (quote.lineItems !== undefined) row.line_items = quote.lineItems;
+        if (quote.discountRate !== undefined) row.discount_rate = quote.discountRate;
+        if (quote.subtotal !== undefined) row.subtotal = quote.subtotal;
+        if (quote.discountAmount !== undefined) row.discount_amount = quote.discountAmount;
+        if (quote.total !== undefined) row.total = quote.total;
+        if (quote.note !== undefined) row.note = quote.note;
+        if (quote.validUntil !== undefined) row.valid_until = quote.validUntil || null;
+        if (quote.acceptedTime !== undefined) row.accepted_time = quote.acceptedTime;
+        return row;
+    }
+
+    /**
+     * 新增報價版本
+     * @param {Object} quote - Quote DTO (需含 opportunityId, version)
+     * @param {string} creator
+     * @returns {Promise<Object>} { success, quoteId }
+     */
+    async createQuote(quote, creator) {
+        const now = new Date().toISOString();
+        const quoteId = uuidv4();
+        const payload = {
+            ...this._mapDtoToRow(quote),
+            quote_id: quoteId,
+            opportunity_id: quote.opportunityId,
+            version: quote.version,
+            based_on_quote_id: quote.basedOnQuoteId || null,
+            created_time: now,
+            created_by: creator,
+            updated_time: now,
+            last_modifier: creator
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([payload]);
+
+        if (error) {
+            console.error('[QuoteSqlWriter] Create Error:', error);
+            throw new Error(`[QuoteSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, quoteId };
+    }
+
+    /**
+     * 更新報價 (部分欄位)
+     * @param {string} quoteId
+     * @param {Object} updateData - Quote DTO 欄位
+     * @param {string} modifier
+     */
+    async updateQuote(quoteId, updateData, modifier) {
+        const payload = {
+            ...this._mapDtoToRow(updateData),
+            updated_time: new Date().toISOString(),
+            last_modifier: modifier
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .update(payload)
+            .eq('quote_id', quoteId);
+
+        if (error) {
+            console.error('[QuoteSqlWriter] Update Error:', error);
+            throw new Error(`[QuoteSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * @param {string} quoteId
+     */
+    async deleteQuote(quoteId) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('quote_id', quoteId);
+
+        if (error) {
+            console.error('[QuoteSqlWriter] Delete Error:', error);
+            throw new Error(`[QuoteSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = QuoteSqlWriter;
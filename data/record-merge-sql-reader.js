@@ -0,0 +1,61 @@
+/**
+ * data/record-merge-sql-reader.js
+ * 重複資料合併紀錄 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: record_merges (由 RecordMergeSqlWriter 寫入)
+ */
+
+const { supabase } = require('../config/supabase');
+
+class RecordMergeSqlReader {
+
+    constructor() {
+        this.tableName = 'record_merges';
+    }
+
+    /**
+     * 取得合併紀錄
+     * @param {Object} [filters]
+     * @param {string} [filters.entityType] - 'contact' | 'company'
+     * @param {string} [filters.recordId] - 保留或被合併的紀錄 ID
+     * @param {number} [filters.limit]
+     * @returns {Promise<Array<Object>>} (新到舊)
+     */
+    async getMerges(filters = {}) {
+        try {
+            let query = supabase.from(this.tableName).select('*');
+            if (filters.entityType) query = query.eq('entity_type', filters.entityType);
+            if (filters.recordId) query = query.or(`survivor_id.eq.${filters.recordId},merged_id.eq.${filters.recordId}`);
+
+            const { data, error } = await query
+                .order('merged_time', { ascending: false })
+                .limit(filters.limit || 100);
+
+            if (error) throw new Error(`[RecordMergeSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[RecordMergeSqlReader] getMerges Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            mergeId: row.merge_id,
+            entityType: row.entity_type,
+            survivorId: row.survivor_id,
+            mergedId: row.merged_id,
+            mergedSnapshot: row.merged_snapshot || null,
+            repointed: row.repointed || {},
+            mergedBy: row.merged_by,
+            mergedTime: row.merged_time
+        };
+    }
+}
+
+module.exports = RecordMergeSqlReader;
@@ -0,0 +1,221 @@
+/**
+ * data/record-merge-sql-writer.js
+ * 重複資料合併 (Record Merge) SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 將被合併紀錄的關聯資料改指向保留紀錄 (跨表更新，包含已在回收桶中的資料，確保日後還原時指向正確)。
+ * - 改指向的每筆資料都更新版本欄位 (updated_time / 事件 last_modified_time)，使持有舊版本的編輯者儲存時觸發樂觀鎖衝突，
+ *   並透過注入的 AuditLogSqlWriter 逐筆寫入前後快照。
+ * - Table: record_merges
+ * - Locked Schema: merge_id (PK), entity_type ('contact' | 'company'), survivor_id, merged_id,
+ * merged_snapshot (jsonb), repointed (jsonb), merged_by, merged_time.
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENT_LOG_TABLES = ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'];
+
+/**
+ * 被改指向的資料表：主鍵、稽核實體類型與版本欄位
+ * (updated_time 為 user-003 樂觀鎖的版本；事件以 last_modified_time 為版本；interactions 無版本欄位)
+ */
+const REPOINT_TABLES = {
+    contacts: { idColumn: 'contact_id', entityType: 'contact', stamp: (now, modifier) => ({ updated_time: now, updated_by: modifier }) },
+    opportunities: { idColumn: 'opportunity_id', entityType: 'opportunity', stamp: (now, modifier) => ({ updated_time: now, updated_by: modifier }) },
+    interactions: { idColumn: 'interaction_id', entityType: 'interaction', stamp: () => ({}) },
+    ...Object.fromEntries(EVENT_LOG_TABLES.map(table => [
+        table,
+        { idColumn: 'event_id', entityType: 'event', stamp: now => ({ last_modified_time: now }) }
+    ]))
+};
+
+class RecordMergeSqlWriter {
+    /**
+     * @param {AuditLogSqlWriter} [auditLogWriter] - 稽核軌跡 Writer (選用)
+     */
+    constructor(auditLogWriter = null) {
+        this.tableName = 'record_merges';
+        this.auditLogWriter = auditLogWriter;
+    }
+
+    /**
+     * 更新符合條件的資料列：同時更新版本欄位，並逐筆寫入前後快照稽核紀錄
+     * @param {string} table - REPOINT_TABLES 之一
+     * @param {Function} applyFilter - (query) => query，篩選要更新的資料列
+     * @param {Object} changes - 欄位變更
+     * @param {string} modifier
+     * @returns {Promise<Array<string>>} 受影響的主鍵
+     */
+    async _updateAudited(table, applyFilter, changes, modifier) {
+        const { idColumn, entityType, stamp } = REPOINT_TABLES[table];
+
+        const { data: before, error: readError } = await applyFilter(supabase.from(table).select('*'));
+        if (readError) {
+            console.error(`[RecordMergeSqlWriter] Read ${table} Error:`, readError);
+            throw new Error(`[RecordMergeSqlWriter] DB Error: ${readError.message}`);
+        }
+        if (!before || before.length === 0) return [];
+
+        const ids = before.map(row => row[idColumn]);
+        const { data: after, error } = await supabase
+            .from(table)
+            .update({ ...changes, ...stamp(new Date().toISOString(), modifier) })
+            .in(idColumn, ids)
+            .select('*');
+
+        if (error) {
+            console.error(`[RecordMergeSqlWriter] Update ${table} Error:`, error);
+            throw new Error(`[RecordMergeSqlWriter] DB Error: ${error.message}`);
+        }
+
+        if (this.auditLogWriter) {
+            const beforeById = new Map(before.map(row => [row[idColumn], row]));
+            for (const row of after || []) {
+                await this.auditLogWriter.logChange({
+                    entityType, entityId: row[idColumn], action: 'update',
+                    before: beforeById.get(row[idColumn]) || null, after: row, modifier
+                });
+            }
+        }
+        return (after || []).map(row => row[idColumn]);
+    }
+
+    /**
+     * 將指定欄位由 fromValue 改為 toValue，回傳受影響筆數
+     */
+    async _repoint(table, column, fromValue, toValue, modifier) {
+        const ids = await this._updateAudited(table, query => query.eq(column, fromValue), { [column]: toValue }, modifier);
+        return ids.length;
+    }
+
+    /**
+     * 公司合併：聯絡人、互動紀錄、事件紀錄改指向保留公司；機會的終端客戶 / 銷售通路名稱改為保留公司名稱
+     * @param {string} fromCompanyId
+     * @param {string} toCompanyId
+     * @param {Object} opportunityRenames
+     * @param {Array<string>} opportunityRenames.customerCompanyIds - 終端客戶為被合併公司的機會
+     * @param {Array<string>} opportunityRenames.salesChannelIds - 銷售通路為被合併公司的機會
+     * @param {string} toCompanyName
+     * @param {string} modifier
+     * @returns {Promise<Object>} 各表受影響筆數
+     */
+    async reassignCompany(fromCompanyId, toCompanyId, opportunityRenames, toCompanyName, modifier) {
+        const contacts = await this._repoint('contacts', 'company_id', fromCompanyId, toCompanyId, modifier);
+        const interactions = await this._repoint('interactions', 'company_id', fromCompanyId, toCompanyId, modifier);
+
+        let eventLogs = 0;
+        for (const table of EVENT_LOG_TABLES) {
+            eventLogs += await this._repoint(table, 'company_id', fromCompanyId, toCompanyId, modifier);
+        }
+
+        const renameOpportunities = async (column, ids) => {
+            if (!ids || ids.length === 0) return 0;
+            const renamed = await this._updateAudited('opportunities', query => query.in('opportunity_id', ids), { [column]: toCompanyName }, modifier);
+            return renamed.length;
+        };
+
+        return {
+            contacts,
+            interactions,
+            eventLogs,
+            opportunities: await renameOpportunities('customer_company', opportunityRenames.customerCompanyIds),
+            channelOpportunities: await renameOpportunities('sales_channel', opportunityRenames.salesChannelIds)
+        };
+    }
+
+    /**
+     * 聯絡人合併：機會關聯改指向保留聯絡人 (保留者已關聯同一機會時移除重複關聯)，
+     * 並將這些機會中以被合併者為主要聯絡人的欄位改為保留者姓名
+     * @param {string} fromContactId
+     * @param {string} toContactId
+     * @param {string} fromName
+     * @param {string} toName
+     * @param {string} modifier
+     * @returns {Promise<Object>} { links, duplicateLinksRemoved, mainContacts, opportunityIds }
+     */
+    async reassignContact(fromContactId, toContactId, fromName, toName, modifier) {
+        const { data: links, error } = await supabase
+            .from('opportunity_contact_links')
+            .select('link_id, opportunity_id, contact_id')
+            .in('contact_id', [fromContactId, toContactId]);
+
+        if (error) {
+            console.error('[RecordMergeSqlWriter] Read links Error:', error);
+            throw new Error(`[RecordMergeSqlWriter] DB Error: ${error.message}`);
+        }
+
+        const survivorOpps = new Set((links || []).filter(l => l.contact_id === toContactId).map(l => l.opportunity_id));
+        const mergedLinks = (links || []).filter(l => l.contact_id === fromContactId);
+        const duplicateLinkIds = mergedLinks.filter(l => survivorOpps.has(l.opportunity_id)).map(l => l.link_id);
+        const movableLinkIds = mergedLinks.filter(l => !survivorOpps.has(l.opportunity_id)).map(l => l.link_id);
+        const opportunityIds = Array.from(new Set(mergedLinks.map(l => l.opportunity_id)));
+
+        if (duplicateLinkIds.length > 0) {
+            const { error: delError } = await supabase
+                .from('opportunity_contact_links')
+                .delete()
+                .in('link_id', duplicateLinkIds);
+            if (delError) throw new Error(`[RecordMergeSqlWriter] DB Error: ${delError.message}`);
+        }
+
+        if (movableLinkIds.length > 0) {
+            const { error: moveError } = await supabase
+                .from('opportunity_contact_links')
+                .update({ contact_id: toContactId, updated_time: new Date().toISOString(), updated_by: modifier })
+                .in('link_id', movableLinkIds);
+            if (moveError) throw new Error(`[RecordMergeSqlWriter] DB Error: ${moveError.message}`);
+        }
+
+        let mainContacts = 0;
+        if (opportunityIds.length > 0 && fromName && fromName !== toName) {
+            const updated = await this._updateAudited(
+                'opportunities',
+                query => query.in('opportunity_id', opportunityIds).eq('main_contact', fromName),
+                { main_contact: toName },
+                modifier
+            );
+            mainContacts = updated.length;
+        }
+
+        return {
+            links: movableLinkIds.length,
+            duplicateLinksRemoved: duplicateLinkIds.length,
+            mainContacts,
+            opportunityIds
+        };
+    }
+
+    /**
+     * 記錄一次合併
+     * @param {Object} record - { entityType, survivorId, mergedId, mergedSnapshot, repointed }
+     * @param {string} modifier
+     * @returns {Promise<Object>} { success, mergeId }
+     */
+    async recordMerge(record, modifier) {
+        const payload = {
+            merge_id: uuidv4(),
+            entity_type: record.entityType,
+            survivor_id: record.survivorId,
+            merged_id: record.mergedId,
+            merged_snapshot: record.mergedSnapshot || null,
+            repointed: record.repointed || {},
+            merged_by: modifier,
+            merged_time: new Date().toISOString()
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([payload]);
+
+        if (error) {
+            console.error('[RecordMergeSqlWriter] Record Error:', error);
+            throw new Error(`[RecordMergeSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, mergeId: payload.merge_id };
+    }
+}
+
+module.exports = RecordMergeSqlWriter;
@@ -0,0 +1,84 @@
+/**
+ * data/sales-quota-sql-reader.js
+ * 業績目標 (Sales Quota) SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: sales_quotas (由 SalesQuotaSqlWriter 寫入)
+ * - sales_model 為空字串代表「不分銷售模式」的總目標。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class SalesQuotaSqlReader {
+
+    constructor() {
+        this.tableName = 'sales_quotas';
+    }
+
+    /**
+     * 取得業績目標
+     * @param {Object} [filters]
+     * @param {string} [filters.assignee] - 團隊成員值
+     * @param {string} [filters.periodType] - 'month' | 'quarter'
+     * @returns {Promise<Array<Object>>} Quota DTOs (依期間新到舊)
+     */
+    async getQuotas(filters = {}) {
+        try {
+            let query = supabase.from(this.tableName).select('*');
+            if (filters.assignee) query = query.eq('assignee', filters.assignee);
+            if (filters.periodType) query = query.eq('period_type', filters.periodType);
+
+            const { data, error } = await query
+                .order('period_key', { ascending: false })
+                .order('assignee', { ascending: true });
+
+            if (error) throw new Error(`[SalesQuotaSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[SalesQuotaSqlReader] getQuotas Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} quotaId
+     * @returns {Promise<Object|null>}
+     */
+    async getQuotaById(quotaId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('quota_id', quotaId)
+                .maybeSingle();
+
+            if (error) throw new Error(`[SalesQuotaSqlReader] DB Error: ${error.message}`);
+
+            return this._mapRowToDto(data);
+        } catch (error) {
+            console.error('[SalesQuotaSqlReader] getQuotaById Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            quotaId: row.quota_id,
+            assignee: row.assignee,
+            salesModel: row.sales_model || '',
+            periodType: row.period_type,
+            periodKey: row.period_key,
+            targetAmount: Number(row.target_amount) || 0,
+            note: row.note || '',
+            createdTime: row.created_time,
+            updatedTime: row.updated_time,
+            lastModifier: row.last_modifier
+        };
+    }
+}
+
+module.exports = SalesQuotaSqlReader;
@@ -0,0 +1,73 @@
+/**
+ * data/sales-quota-sql-writer.js
+ * 業績目標 (Sales Quota) SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: sales_quotas
+ * - Locked Schema: quota_id (PK), assignee, sales_model ('' = 全部), period_type ('month' | 'quarter'),
+ * period_key ('2026-10' | '2026-Q4'), target_amount (numeric), note, created_time, updated_time, last_modifier.
+ * - Unique: (assignee, sales_model, period_key)；同一組合重複設定時以 upsert 覆寫金額。
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+
+class SalesQuotaSqlWriter {
+    constructor() {
+        this.tableName = 'sales_quotas';
+    }
+
+    /**
+     * 新增或覆寫業績目標
+     * @param {Object} quota - { assignee, salesModel, periodType, periodKey, targetAmount, note }
+     * @param {string} modifier
+     * @returns {Promise<Object>} { success, quotaId }
+     */
+    async upsertQuota(quota, modifier) {
+        const now = new Date().toISOString();
+        const payload = {
+            quota_id: quota.quotaId || uuidv4(),
+            assignee: quota.assignee,
+            sales_model: quota.salesModel || '',
+            period_type: quota.periodType,
+            period_key: quota.periodKey,
+            target_amount: quota.targetAmount,
+            note: quota.note || '',
+            updated_time: now,
+            last_modifier: modifier
+        };
+        if (!quota.quotaId) payload.created_time = now;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .upsert([payload], { onConflict: 'assignee,sales_model,period_key' })
+            .select('quota_id');
+
+        if (error) {
+            console.error('[SalesQuotaSqlWriter] Upsert Error:', error);
+            throw new Error(`[SalesQuotaSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, quotaId: data && data[0] ? data[0].quota_id : payload.quota_id };
+    }
+
+    /**
+     * @param {string} quotaId
+     */
+    async deleteQuota(quotaId) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('quota_id', quotaId);
+
+        if (error) {
+            console.error('[SalesQuotaSqlWriter] Delete Error:', error);
+            throw new Error(`[SalesQuotaSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = SalesQuotaSqlWriter;
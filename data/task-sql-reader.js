@@ -0,0 +1,163 @@
+/**
+ * data/task-sql-reader.js
+ * 待辦任務 (Task) SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: tasks (由 TaskSqlWriter 寫入，Schema 見 TaskSqlWriter)
+ * - due_date 為日期 (YYYY-MM-DD)；「今天 / 逾期」的判斷由 TaskService 依 config.TIMEZONE 計算。
+ * - getOpenTaskInSeries()：週期任務重新完成時避免重複建立下一次。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class TaskSqlReader {
+
+    constructor() {
+        this.tableName = 'tasks';
+    }
+
+    /**
+     * 查詢任務
+     * @param {Object} [filters]
+     * @param {string} [filters.assignee]
+     * @param {Array<string>} [filters.statuses]
+     * @param {string} [filters.dueOnOrBefore] - YYYY-MM-DD
+     * @param {string} [filters.opportunityId]
+     * @param {string} [filters.companyId]
+     * @param {string} [filters.contactId]
+     * @param {number} [filters.limit=500]
+     * @returns {Promise<Array<Object>>} Task DTOs (依到期日舊到新，未設定到期日者在後)
+     */
+    async getTasks({ assignee, statuses, dueOnOrBefore, opportunityId, companyId, contactId, limit = 500 } = {}) {
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*');
+
+            if (assignee) query = query.eq('assignee', assignee);
+            if (statuses && statuses.length > 0) query = query.in('status', statuses);
+            if (dueOnOrBefore) query = query.lte('due_date', dueOnOrBefore);
+            if (opportunityId) query = query.eq('opportunity_id', opportunityId);
+            if (companyId) query = query.eq('company_id', companyId);
+            if (contactId) query = query.eq('contact_id', contactId);
+
+            const { data, error } = await query
+                .order('due_date', { ascending: true, nullsFirst: false })
+                .order('created_time', { ascending: true })
+                .limit(limit);
+
+            if (error) throw new Error(`[TaskSqlReader] DB Error: ${error.message}`);
+
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[TaskSqlReader] getTasks Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} taskId
+     * @returns {Promise<Object|null>}
+     */
+    async getTaskById(taskId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('task_id', taskId)
+                .maybeSingle();
+
+            if (error) throw new Error(`[TaskSqlReader] DB Error: ${error.message}`);
+
+            return this._mapRowToDto(data);
+        } catch (error) {
+            console.error('[TaskSqlReader] getTaskById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 來源紀錄 (如互動紀錄) 目前尚未完成的自動任務
+     * @param {string} sourceType - 'interaction'
+     * @param {string} sourceId
+     * @returns {Promise<Object|null>}
+     */
+    async getOpenTaskBySource(sourceType, sourceId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('source_type', sourceType)
+                .eq('source_id', sourceId)
+                .in('status', ['open', 'in_progress'])
+                .order('created_time', { ascending: false })
+                .limit(1);
+
+            if (error) throw new Error(`[TaskSqlReader] DB Error: ${error.message}`);
+
+            return data && data.length > 0 ? this._mapRowToDto(data[0]) : null;
+        } catch (error) {
+            console.error('[TaskSqlReader] getOpenTaskBySource Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 週期系列中目前尚未完成的任務 (系列第一筆的 series_id 可能留白，以 task_id 比對)
+     * @param {string} seriesId
+     * @param {string} [excludeTaskId] - 排除的任務 (通常為剛完成的那一筆)
+     * @returns {Promise<Object|null>}
+     */
+    async getOpenTaskInSeries(seriesId, excludeTaskId = null) {
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*')
+                .or(`series_id.eq.${seriesId},task_id.eq.${seriesId}`)
+                .in('status', ['open', 'in_progress']);
+
+            if (excludeTaskId) query = query.neq('task_id', excludeTaskId);
+
+            const { data, error } = await query
+                .order('due_date', { ascending: true })
+                .limit(1);
+
+            if (error) throw new Error(`[TaskSqlReader] DB Error: ${error.message}`);
+
+            return data && data.length > 0 ? this._mapRowToDto(data[0]) : null;
+        } catch (error) {
+            console.error('[TaskSqlReader] getOpenTaskInSeries Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            taskId: row.task_id,
+            title: row.title || '',
+            description: row.description || '',
+            assignee: row.assignee || '',
+            dueDate: row.due_date || '',
+            status: row.status || 'open',
+            recurrence: row.recurrence || 'none',
+            recurrenceInterval: Number(row.recurrence_interval) || 1,
+            recurrenceEndDate: row.recurrence_end_date || '',
+            seriesId: row.series_id || '',
+            opportunityId: row.opportunity_id || '',
+            companyId: row.company_id || '',
+            contactId: row.contact_id || '',
+            sourceType: row.source_type || 'manual',
+            sourceId: row.source_id || '',
+            completedTime: row.completed_time || null,
+            createdTime: row.created_time,
+            createdBy: row.created_by || '',
+            updatedTime: row.updated_time,
+            lastModifier: row.last_modifier || ''
+        };
+    }
+}
+
+module.exports = TaskSqlReader;
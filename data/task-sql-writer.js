@@ -0,0 +1,116 @@
+/**
+ * data/task-sql-writer.js
+ * 待辦任務 (Task) SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: tasks
+ * - Locked Schema: task_id (PK), title, description, assignee, due_date (date, null), status ('open' | 'in_progress' | 'done' | 'cancelled'),
+ * recurrence ('none' | 'daily' | 'weekly' | 'monthly'), recurrence_interval (int), recurrence_end_date (date, null), series_id (null),
+ * opportunity_id, company_id, contact_id, source_type ('manual' | 'interaction'), source_id, completed_time,
+ * created_time, created_by, updated_time, last_modifier.
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+
+class TaskSqlWriter {
+    constructor() {
+        this.tableName = 'tasks';
+    }
+
+    _mapDtoToRow(task) {
+        const row = {};
+        if (task.title !== undefined) row.title = task.title;
+        if (task.description !== undefined) row.description = task.description;
+        if (task.assignee !== undefined) row.assignee = task.assignee;
+        if (task.dueDate !== undefined) row.due_date = task.dueDate || null;
+        if (task.status !== undefined) row.status = task.status;
+        if (task.recurrence !== undefined) row.recurrence = task.recurrence;
+        if (task.recurrenceInterval !== undefined) row.recurrence_interval = task.recurrenceInterval;
+        if (task.recurrenceEndDate !== undefined) row.recurrence_end_date = task.recurrenceEndDate || null;
+        if (task.opportunityId !== undefined) row.opportunity_id = task.opportunityId || null;
+        if (task.companyId !== undefined) row.company_id = task.companyId || null;
+        if (task.contactId !== undefined) row.contact_id = task.contactId || null;
+        if (task.completedTime !== undefined) row.completed_time = task.completedTime;
+        return row;
+    }
+
+    /**
+     * 新增任務
+     * @param {Object} task - Task DTO
+     * @param {string} creator
+     * @returns {Promise<Object>} { success, taskId }
+     */
+    async createTask(task, creator) {
+        const now = new Date().toISOString();
+        const taskId = uuidv4();
+        const payload = {
+            ...this._mapDtoToRow(task),
+            task_id: taskId,
+            series_id: task.seriesId || null,
+            source_type: task.sourceType || 'manual',
+            source_id: task.sourceId || null,
+            created_time: now,
+            created_by: creator,
+            updated_time: now,
+            last_modifier: creator
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([payload]);
+
+        if (error) {
+            console.error('[TaskSqlWriter] Create Error:', error);
+            throw new Error(`[TaskSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true, taskId };
+    }
+
+    /**
+     * 更新任務 (部分欄位)
+     * @param {string} taskId
+     * @param {Object} updateData - Task DTO 欄位
+     * @param {string} modifier
+     */
+    async updateTask(taskId, updateData, modifier) {
+        const payload = {
+            ...this._mapDtoToRow(updateData),
+            updated_time: new Date().toISOString(),
+            last_modifier: modifier
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .update(payload)
+            .eq('task_id', taskId);
+
+        if (error) {
+            console.error('[TaskSqlWriter] Update Error:', error);
+            throw new Error(`[TaskSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * @param {string} taskId
+     */
+    async deleteTask(taskId) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('task_id', taskId);
+
+        if (error) {
+            console.error('[TaskSqlWriter] Delete Error:', error);
+            throw new Error(`[TaskSqlWriter] DB Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = TaskSqlWriter;
@@ -0,0 +1,96 @@
+/**
+ * data/trash-sql-reader.js
+ * 回收桶 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 跨表列出已軟刪除 (deleted_time IS NOT NULL) 的公司、聯絡人、機會案件與事件紀錄。
+ * - 事件分屬四張分表 (general/iot/dt/dx)，summary 表不在軟刪除範圍內。
+ * - 一般 Reader 預設隱藏這些資料；只有回收桶與保留期清除排程會讀取此處。
+ */
+
+const { supabase } = require('../config/supabase');
+
+// entityType -> 來源資料表定義
+const TRASH_SOURCES = {
+    company: [{ table: 'companies', idColumn: 'company_id', nameColumn: 'company_name' }],
+    contact: [{ table: 'contacts', idColumn: 'contact_id', nameColumn: 'name' }],
+    opportunity: [{ table: 'opportunities', idColumn: 'opportunity_id', nameColumn: 'opportunity_name' }],
+    event: [
+        { table: 'event_logs_general', idColumn: 'event_id', nameColumn: 'event_name' },
+        { table: 'event_logs_iot', idColumn: 'event_id', nameColumn: 'event_name' },
+        { table: 'event_logs_dt', idColumn: 'event_id', nameColumn: 'event_name' },
+        { table: 'event_logs_dx', idColumn: 'event_id', nameColumn: 'event_name' }
+    ]
+};
+
+class TrashSqlReader {
+
+    /**
+     * 支援的實體類型
+     * @returns {string[]}
+     */
+    getEntityTypes() {
+        return Object.keys(TRASH_SOURCES);
+    }
+
+    /**
+     * 列出回收桶項目
+     * @param {Object} [options]
+     * @param {string} [options.entityType] - 省略時列出全部類型
+     * @param {string} [options.deletedBefore] - ISO 時間，僅列出早於此時間刪除的項目 (保留期清除用)
+     * @returns {Promise<Array<Object>>} Trash Item DTOs
+     */
+    async getDeletedItems({ entityType, deletedBefore } = {}) {
+        const types = entityType ? [entityType] : this.getEntityTypes();
+
+        try {
+            const queries = [];
+            types.forEach(type => {
+                (TRASH_SOURCES[type] || []).forEach(source => {
+                    queries.push(this._queryTable(type, source, deletedBefore));
+                });
+            });
+
+            const results = await Promise.all(queries);
+            return results.flat();
+
+        } catch (error) {
+            console.error('[TrashSqlReader] getDeletedItems Error:', error);
+            throw error;
+        }
+    }
+
+    async _queryTable(entityType, source, deletedBefore) {
+        let query = supabase
+            .from(source.table)
+            .select(`${source.idColumn}, ${source.nameColumn}, deleted_time, deleted_by`)
+            .not('deleted_time', 'is', null);
+
+        if (deletedBefore) query = query.lt('deleted_time', deletedBefore);
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`[TrashSqlReader] DB Error in ${source.table}: ${error.message}`);
+        }
+
+        return (data || []).map(row => this._mapRowToDto(row, entityType, source));
+    }
+
+    /**
+     * Maps Raw SQL Row to DTO
+     */
+    _mapRowToDto(row, entityType, source) {
+        return {
+            entityType,
+            entityId: row[source.idColumn],
+            name: row[source.nameColumn] || '',
+            sourceTable: source.table,
+            deletedTime: row.deleted_time,
+            deletedBy: row.deleted_by || ''
+        };
+    }
+}
+
+module.exports = TrashSqlReader;
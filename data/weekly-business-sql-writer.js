@@ -2,13 +2,38 @@
  * data/weekly-business-sql-writer.js
  * [Phase 7-2] SQL Writer for Weekly Business
  * Purpose: Handle Create/Update/Delete operations directly to SQL.
+ * [Audit] Every mutation records a before/after snapshot via the injected AuditLogSqlWriter.
  */
 
 const { supabase } = require('../config/supabase');
 
 class WeeklyBusinessSqlWriter {
-    constructor() {
+    /**
+     * @param {AuditLogSqlWriter} [auditLogWriter] - Audit trail writer (optional)
+     */
+    constructor(auditLogWriter = null) {
         this.tableName = 'weekly_business_entries';
+        this.auditLogWriter = auditLogWriter;
+    }
+
+    /**
+     * Fetch current DB row (audit "before" snapshot)
+     */
+    async _fetchRow(recordId) {
+        if (!this.auditLogWriter) return null;
+        const { data } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('record_id', recordId)
+            .maybeSingle();
+        return data || null;
+    }
+
+    async _audit(action, recordId, before, after, user) {
+        if (!this.auditLogWriter) return;
+        await this.auditLogWriter.logChange({
+            entityType: 'weekly', entityId: recordId, action, before, after, modifier: user
+        });
     }
 
     /**
@@ -34,15 +59,19 @@ class WeeklyBusinessSqlWriter {
             updated_time: now
         };
 
-        const { error } = await supabase
+        const { data: created, error } = await supabase
             .from(this.tableName)
-            .insert([dbPayload]);
+            .insert([dbPayload])
+            .select()
+            .single();
 
         if (error) {
             console.error('[WeeklySqlWriter] Create Failed:', error);
             throw new Error(`SQL Create Error: ${error.message}`);
         }
 
+        await this._audit('create', recordId, null, created, creator);
+
         return { success: true, id: recordId };
     }
 
@@ -67,16 +96,23 @@ class WeeklyBusinessSqlWriter {
         if (data.summary !== undefined) dbPayload.summary_content = data.summary;
         if (data.todo !== undefined) dbPayload.todo_items = data.todo;
 
-        const { error } = await supabase
+        const before = await this._fetchRow(recordId);
+
+        const { data: updated, error } = await supabase
             .from(this.tableName)
             .update(dbPayload)
-            .eq('record_id', recordId);
+            .eq('record_id', recordId)
+            .select();
 
         if (error) {
             console.error('[WeeklySqlWriter] Update Failed:', error);
             throw new Error(`SQL Update Error: ${error.message}`);
         }
 
+        if (updated && updated.length > 0) {
+            await this._audit('update', recordId, before, updated[0], modifier);
+        }
+
         return { success: true };
     }
 
@@ -84,19 +120,24 @@ class WeeklyBusinessSqlWriter {
      * Delete an entry in SQL
      * [New] Phase 7-2
      */
-    async deleteEntry(recordId) {
+    async deleteEntry(recordId, modifier) {
         console.log(`🗑️ [WeeklySqlWriter] Deleting entry ${recordId} from SQL`);
 
-        const { error } = await supabase
+        const { data: deleted, error } = await supabase
             .from(this.tableName)
             .delete()
-            .eq('record_id', recordId);
+            .eq('record_id', recordId)
+            .select();
 
         if (error) {
             console.error('[WeeklySqlWriter] Delete Failed:', error);
             throw new Error(`SQL Delete Error: ${error.message}`);
         }
 
+        if (deleted && deleted.length > 0) {
+            await this._audit('delete', recordId, deleted[0], null, modifier);
+        }
+
         return { success: true };
     }
 }
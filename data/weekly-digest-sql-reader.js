@@ -0,0 +1,110 @@
+/**
+ * data/weekly-digest-sql-reader.js
+ * 週報發布 SQL Reader (Read-Only)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: weekly_digests / weekly_digest_deliveries，Schema 見 WeeklyDigestSqlWriter。
+ * - 版本列表不含 snapshot / html (避免傳輸整份內容)。
+ */
+
+const { supabase } = require('../config/supabase');
+
+const SUMMARY_COLUMNS = 'digest_id, week_id, version, title, date_range, published_by, published_time';
+
+class WeeklyDigestSqlReader {
+
+    constructor() {
+        this.digestTable = 'weekly_digests';
+        this.deliveryTable = 'weekly_digest_deliveries';
+    }
+
+    /**
+     * 指定週次的所有發布版本 (新版本在前)
+     * @param {string} weekId
+     */
+    async getDigestsByWeek(weekId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.digestTable)
+                .select(SUMMARY_COLUMNS)
+                .eq('week_id', weekId)
+                .order('version', { ascending: false });
+
+            if (error) throw new Error(`[WeeklyDigestSqlReader] DB Error: ${error.message}`);
+            return (data || []).map(row => this._mapDigestRow(row));
+        } catch (error) {
+            console.error('[WeeklyDigestSqlReader] getDigestsByWeek Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 單一版本 (含 snapshot 與 html)
+     * @param {string} digestId
+     * @returns {Promise<Object|null>}
+     */
+    async getDigestById(digestId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.digestTable)
+                .select('*')
+                .eq('digest_id', digestId)
+                .maybeSingle();
+
+            if (error) throw new Error(`[WeeklyDigestSqlReader] DB Error: ${error.message}`);
+            return data ? this._mapDigestRow(data) : null;
+        } catch (error) {
+            console.error('[WeeklyDigestSqlReader] getDigestById Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 寄送紀錄 (新的在前)
+     * @param {Array<string>} digestIds
+     */
+    async getDeliveriesByDigestIds(digestIds) {
+        const ids = [...new Set(digestIds.filter(Boolean))];
+        if (ids.length === 0) return [];
+        try {
+            const { data, error } = await supabase
+                .from(this.deliveryTable)
+                .select('*')
+                .in('digest_id', ids)
+                .order('sent_time', { ascending: false });
+
+            if (error) throw new Error(`[WeeklyDigestSqlReader] DB Error: ${error.message}`);
+            return (data || []).map(row => ({
+                deliveryId: row.delivery_id,
+                digestId: row.digest_id,
+                recipients: row.recipients || [],
+                status: row.status,
+                messageId: row.message_id,
+                error: row.error,
+                sentBy: row.sent_by,
+                sentTime: row.sent_time
+            }));
+        } catch (error) {
+            console.error('[WeeklyDigestSqlReader] getDeliveriesByDigestIds Error:', error);
+            throw error;
+        }
+    }
+
+    _mapDigestRow(row) {
+        const dto = {
+            digestId: row.digest_id,
+            weekId: row.week_id,
+            version: row.version,
+            title: row.title,
+            dateRange: row.date_range,
+            publishedBy: row.published_by,
+            publishedTime: row.published_time
+        };
+        if (row.snapshot !== undefined) dto.snapshot = row.snapshot;
+        if (row.html !== undefined) dto.html = row.html;
+        return dto;
+    }
+}
+
+module.exports = WeeklyDigestSqlReader;
@@ -0,0 +1,83 @@
+/**
+ * data/weekly-digest-sql-writer.js
+ * 週報發布 SQL Writer
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - Table: weekly_digests (已發布的週報，只新增不修改；重新發布即新增下一個版本)
+ *   Locked Schema: digest_id (text, PK), week_id (text), version (integer), title (text), date_range (text),
+ *   snapshot (jsonb), html (text), published_by (text), published_time (timestamptz).
+ *   UNIQUE (week_id, version)
+ * - Table: weekly_digest_deliveries (寄送紀錄)
+ *   Locked Schema: delivery_id (text, PK), digest_id (text), recipients (text[]), status (text: sent | failed),
+ *   message_id (text, null), error (text, null), sent_by (text), sent_time (timestamptz).
+ */
+
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+
+class WeeklyDigestSqlWriter {
+    constructor() {
+        this.digestTable = 'weekly_digests';
+        this.deliveryTable = 'weekly_digest_deliveries';
+    }
+
+    /**
+     * 發布新版本
+     * @param {Object} digest - { weekId, version, title, dateRange, snapshot, html, publishedTime }
+     * @param {string} publisher
+     * @returns {Promise<{success: boolean, digestId: string, conflict?: boolean}>} 版本號已被使用時 conflict = true
+     */
+    async createDigest(digest, publisher) {
+        const digestId = uuidv4();
+        const { error } = await supabase
+            .from(this.digestTable)
+            .insert([{
+                digest_id: digestId,
+                week_id: digest.weekId,
+                version: digest.version,
+                title: digest.title || '',
+                date_range: digest.dateRange || '',
+                snapshot: digest.snapshot,
+                html: digest.html,
+                published_by: publisher,
+                published_time: digest.publishedTime || new Date().toISOString()
+            }]);
+
+        if (error) {
+            if (error.code === '23505') return { success: false, conflict: true };
+            console.error('[WeeklyDigestSqlWriter] createDigest Error:', error);
+            throw new Error(`[WeeklyDigestSqlWriter] DB Error: ${error.message}`);
+        }
+        return { success: true, digestId };
+    }
+
+    /**
+     * 記錄寄送結果
+     * @param {Object} delivery - { digestId, recipients, status, messageId, error }
+     * @param {string} sender
+     */
+    async createDelivery(delivery, sender) {
+        const deliveryId = uuidv4();
+        const { error } = await supabase
+            .from(this.deliveryTable)
+            .insert([{
+                delivery_id: deliveryId,
+                digest_id: delivery.digestId,
+                recipients: delivery.recipients,
+                status: delivery.status,
+                message_id: delivery.messageId || null,
+                error: delivery.error || null,
+                sent_by: sender,
+                sent_time: new Date().toISOString()
+            }]);
+
+        if (error) {
+            console.error('[WeeklyDigestSqlWriter] createDelivery Error:', error);
+            throw new Error(`[WeeklyDigestSqlWriter] DB Error: ${error.message}`);
+        }
+        return { success: true, deliveryId };
+    }
+}
+
+module.exports = WeeklyDigestSqlWriter;
@@ -4,10 +4,20 @@
 exports.handleApiError = (res, error, context = 'API') => {
     console.error(`⚠ ${context} 執行錯誤:`, error.message);
     // 檢查是否為我們自訂的業務邏輯錯誤
-    if (error.message.startsWith('無法刪除：') || error.message.startsWith('無法建檔：')) {
+    if (error.message.startsWith('無法刪除：') || error.message.startsWith('無法建檔：') || error.message.startsWith('無法結案：')) {
          return res.status(400).json({ success: false, error: error.message, details: error.message });
     }
 
+    // 樂觀鎖版本衝突 (utils/concurrency.js)：回傳伺服器目前的資料供前端合併
+    if (error.message.startsWith('資料衝突：')) {
+         return res.status(409).json({ success: false, conflict: true, error: error.message, details: error.message, current: error.current || null });
+    }
+
+    // 機會階段流程規則 (services/pipeline-service.js)：不合法的轉換或缺少必填欄位
+    if (error.message.startsWith('階段規則：')) {
+         return res.status(422).json({ success: false, error: error.message, details: error.message, violations: error.violations || [] });
+    }
+
     // 其他所有錯誤均回傳 500
     const userFriendlyMessage = '伺服器內部錯誤，請稍後再試或聯絡管理員。';
     res.status(500).json({ success: false, error: userFriendlyMessage, details: error.message });
@@ -0,0 +1,37 @@
+/**
+ * middleware/request-context.middleware.js
+ * 請求上下文中介軟體 (Request Context)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 為每個請求產生 Request ID (優先沿用前端或代理帶入的 `X-Request-Id`)，並回寫至 Response Header。
+ * - 以 AsyncLocalStorage 保存當前請求，讓 Data Layer (如 AuditLogSqlWriter) 不需改動方法簽名即可取得操作者與 Request ID。
+ * - 操作者 (req.user) 由後續的 verifyToken 寫入，因此此處僅保存 req 參考，於讀取時才解析。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const storage = new AsyncLocalStorage();
+
+exports.requestContext = (req, res, next) => {
+    const incomingId = req.headers['x-request-id'];
+    req.requestId = (typeof incomingId === 'string' && incomingId.trim()) ? incomingId.trim().slice(0, 100) : uuidv4();
+    res.setHeader('X-Request-Id', req.requestId);
+
+    storage.run({ req }, () => next());
+};
+
+/**
+ * 取得當前請求的上下文
+ * @returns {{ requestId: string|null, user: Object|null }} 非 HTTP 情境 (排程、啟動腳本) 時兩者皆為 null
+ */
+exports.getRequestContext = () => {
+    const store = storage.getStore();
+    if (!store || !store.req) return { requestId: null, user: null };
+
+    return {
+        requestId: store.req.requestId || null,
+        user: store.req.user || null
+    };
+};
@@ -1,9 +1,11 @@
 /**
  * public/scripts/companies/companies.js
  * 職責：載入公司詳細資料頁的數據，並協調UI渲染與事件綁定模組
- * * @version 7.6.2 (Phase 8: ID Guard & Layout Fix)
- * * @date 2026-02-10
+ * * @version 7.8.0 (Account Health)
+ * * @date 2026-10-19
  * * @description 
+ * * 0. [Health] 顯示客戶健康度卡片 (result.data.health)。
+ * * 0. [Hierarchy] 顯示集團架構卡片；預設合併下層公司資料，options.rollup = false 時只載入本公司。
  * * 1. [Fix] Added null check for companyInfo.
  * * 2. [Layout] Wrapped Event section in dashboard-widget grid-col-12.
  * * 3. [Contract] Enforced ID-based API calls.
@@ -12,8 +14,10 @@
 /**
  * 載入並渲染公司詳細資料頁面的主函式
  * @param {string} companyId - 公司 ID (UUID)
+ * @param {Object} [options]
+ * @param {boolean} [options.rollup=true] - 合併下層公司 (子公司 / 廠區) 的關聯資料
  */
-async function loadCompanyDetailsPage(companyId) {
+async function loadCompanyDetailsPage(companyId, options = {}) {
     const container = document.getElementById('page-company-details');
     // ID 通常不需要解碼，但保留以防萬一
     const safeId = decodeURIComponent(companyId);
@@ -25,11 +29,12 @@ async function loadCompanyDetailsPage(companyId) {
 
     try {
         // [Contract Fix] 使用 ID 呼叫 API
-        const result = await authedFetch(`/api/companies/${safeId}/details`);
+        const query = options.rollup === false ? '?rollup=false' : '';
+        const result = await authedFetch(`/api/companies/${safeId}/details${query}`);
         if (!result.success) throw new Error(result.error || '無法載入公司資料');
 
         // 從解構賦值中移除 interactions (依照 0109 邏輯)
-        const { companyInfo, contacts = [], opportunities = [], potentialContacts = [], eventLogs = [] } = result.data;
+        const { companyInfo, contacts = [], opportunities = [], potentialContacts = [], eventLogs = [], hierarchy = null, health = null } = result.data;
         
         // [Guard] 檢查 companyInfo 是否存在
         if (!companyInfo) {
@@ -40,6 +45,9 @@ async function loadCompanyDetailsPage(companyId) {
             return;
         }
 
+        companyInfo.hierarchy = hierarchy;
+        const scopeSuffix = hierarchy && hierarchy.rolledUp ? '，含下層公司' : '';
+
         // 1. 設定頁面標題
         const titleEl = document.getElementById('page-title');
         const subtitleEl = document.getElementById('page-subtitle');
@@ -50,23 +58,25 @@ async function loadCompanyDetailsPage(companyId) {
         // [UI Fix] 將 Event 區塊包裹在 dashboard-widget grid-col-12 中以對齊 Grid
         targetContainer.innerHTML = `
             ${typeof renderCompanyInfoCard === 'function' ? renderCompanyInfoCard(companyInfo) : '<div class="alert alert-error">UI渲染函式缺失</div>'}
+            ${typeof renderCompanyHealthCard === 'function' ? renderCompanyHealthCard(health) : ''}
+            ${typeof renderCompanyHierarchyCard === 'function' ? renderCompanyHierarchyCard(hierarchy, companyInfo) : ''}
 
             <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
                 <div id="tab-content-company-events" class="tab-content active"></div>
             </div>
 
             <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
-                <div class="widget-header"><h2 class="widget-title">相關機會案件 (${opportunities.length})</h2></div>
+                <div class="widget-header"><h2 class="widget-title">相關機會案件 (${opportunities.length}${scopeSuffix})</h2></div>
                 <div class="widget-content">${typeof renderCompanyOpportunitiesTable === 'function' ? renderCompanyOpportunitiesTable(opportunities) : ''}</div>
             </div>
 
             <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
-                <div class="widget-header"><h2 class="widget-title">已建檔聯絡人 (${contacts.length})</h2></div>
+                <div class="widget-header"><h2 class="widget-title">已建檔聯絡人 (${contacts.length}${scopeSuffix})</h2></div>
                 <div class="widget-content">${typeof renderCompanyContactsTable === 'function' ? renderCompanyContactsTable(contacts) : ''}</div>
             </div>
 
             <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
-                <div class="widget-header"><h2 class="widget-title">潛在聯絡人 (${potentialContacts.length})</h2></div>
+                <div class="widget-header"><h2 class="widget-title">潛在聯絡人 (${potentialContacts.length}${scopeSuffix})</h2></div>
                 <div id="potential-contacts-container" class="widget-content"></div>
             </div>
         `;
@@ -1,10 +1,13 @@
 /**
  * public/scripts/companies/company-details-events.js
  * 職責：處理「公司詳細資料頁」的所有使用者互動事件
- * * @version 7.9.0 (Phase 8: Switch to ID-based Operations)
+ * * @version 7.11.0 (Company Hierarchy)
+ * * @date 2026-10-19
  * * @description 
+ * * 0. [Hierarchy] 編輯模式載入上層公司選單 (排除自己與下層公司)；切換是否合併下層公司資料；變更上層公司後重新載入頁面。
  * * 1. [Contract] Save, Delete, Generate AI 改為使用 companyId。
  * * 2. [UX] 支援 ID 基礎的頁面導航與刷新。
+ * * 3. [Feature] 儲存時帶 If-Match (lastUpdateTime)，409 衝突時顯示重新載入 / 覆寫對話框。
  */
 
 let _currentCompanyInfo = null;
@@ -49,6 +52,9 @@ function handleCompanyDetailsAction(e) {
         case 'generate-profile':
             generateCompanyProfile();
             break;
+        case 'toggle-rollup':
+            loadCompanyDetailsPage(_currentCompanyInfo.companyId, { rollup: payload.rollup === 'true' });
+            break;
         
         // --- 刪除操作 ---
         case 'delete-company':
@@ -113,11 +119,37 @@ function toggleCompanyEditMode(isEditing, aiData = null) {
         const tempDiv = document.createElement('div');
         tempDiv.innerHTML = renderCompanyInfoCard(dataToRender, isEditing);
         container.replaceWith(tempDiv.firstElementChild);
+        if (isEditing) populateParentCompanySelect(dataToRender.parentCompanyId);
     } else {
         console.error('❌ 找不到 renderCompanyInfoCard 函式');
     }
 }
 
+/**
+ * 填入上層公司選項 (排除自己與所有下層公司，避免形成循環)
+ * @param {string} selectedId - 目前 (或表單暫存) 的上層公司 ID
+ */
+async function populateParentCompanySelect(selectedId) {
+    const select = document.getElementById('company-parent-select');
+    if (!select) return;
+
+    try {
+        const result = await authedFetch('/api/companies');
+        const excluded = new Set(_currentCompanyInfo.hierarchy?.subtreeCompanyIds || [_currentCompanyInfo.companyId]);
+        const options = (result.data || [])
+            .filter(c => !excluded.has(c.companyId))
+            .sort((a, b) => (a.companyName || '').localeCompare(b.companyName || '', 'zh-Hant'))
+            .map(c => `<option value="${c.companyId}" ${c.companyId === selectedId ? 'selected' : ''}>${c.companyName}</option>`)
+            .join('');
+
+        // 使用者可能已離開編輯模式
+        if (!document.body.contains(select)) return;
+        select.innerHTML = `<option value="">(無，最上層公司)</option>${options}`;
+    } catch (error) {
+        console.warn('[CompanyEvents] 上層公司選單載入失敗:', error);
+    }
+}
+
 /**
  * 儲存公司資料 (PUT)
  * 使用 skipRefresh: true 以保持在當前頁面並手動更新 DOM
@@ -145,12 +177,33 @@ async function saveCompanyInfo(event) {
         saveBtn.innerHTML = '<span>儲存中...</span>';
     }
 
+    try {
+        await submitCompanyUpdate(companyId, updateData, _currentCompanyInfo.lastUpdateTime);
+    } finally {
+        // 還原按鈕狀態
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = originalBtnContent;
+        }
+    }
+}
+
+/**
+ * 送出公司更新 (樂觀鎖)
+ * @param {string} companyId
+ * @param {Object} updateData
+ * @param {string} expectedVersion - 編輯起點的 lastUpdateTime，不符時後端回 409
+ */
+async function submitCompanyUpdate(companyId, updateData, expectedVersion) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (expectedVersion) headers['If-Match'] = String(expectedVersion);
+
     try {
         // [Contract Fix] skipRefresh: true -> 我們自己處理 UI 更新，不讓 api.js 刷新頁面
         const result = await authedFetch(`/api/companies/${companyId}`, {
             method: 'PUT',
             body: JSON.stringify(updateData),
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             skipRefresh: true 
         });
 
@@ -159,8 +212,17 @@ async function saveCompanyInfo(event) {
             if(window.showNotification) showNotification('公司資料已更新', 'success');
             else alert('公司資料已更新');
             
-            // 2. 更新本地快取
+            // 集團架構改變時重新載入 (樹狀圖與合併資料皆需更新)
+            const parentChanged = updateData.parentCompanyId !== undefined &&
+                (updateData.parentCompanyId || '') !== (_currentCompanyInfo.parentCompanyId || '');
+            if (parentChanged) {
+                await loadCompanyDetailsPage(companyId);
+                return;
+            }
+
+            // 2. 更新本地快取 (含新版本號，供下一次儲存使用)
             _currentCompanyInfo = { ..._currentCompanyInfo, ...updateData };
+            if (result.updatedTime) _currentCompanyInfo.lastUpdateTime = result.updatedTime;
 
             // 3. 判斷是否改名 (保持 SPA 體驗)
             // 雖然現在用 ID，但為了 URL 美觀，若 Router 支援仍可更新 URL
@@ -174,15 +236,19 @@ async function saveCompanyInfo(event) {
             throw new Error(result.error || '儲存失敗');
         }
     } catch (error) {
+        if (error.status === 409) {
+            const current = (error.data && error.data.current) || null;
+            const choice = await showSaveConflictDialog({ entityLabel: '公司', localData: updateData, serverData: current });
+            if (choice === 'reload') {
+                await loadCompanyDetailsPage(companyId);
+            } else if (choice === 'overwrite') {
+                await submitCompanyUpdate(companyId, updateData, current ? current.lastUpdateTime : null);
+            }
+            return;
+        }
         console.error('儲存失敗:', error);
         if(window.showNotification) showNotification('儲存失敗: ' + error.message, 'error');
         else alert('儲存失敗: ' + error.message);
-    } finally {
-        // 還原按鈕狀態
-        if (saveBtn) {
-            saveBtn.disabled = false;
-            saveBtn.innerHTML = originalBtnContent;
-        }
     }
 }
 
@@ -1,8 +1,11 @@
 /**
  * public/scripts/companies/company-details-ui.js
  * 職責：渲染「公司詳細資料頁」的所有UI元件
- * * @version 7.8.0 (Final: Restore Container & Styles)
+ * * @version 7.10.0 (Account Health)
+ * * @date 2026-10-19
  * * @description 
+ * * 0. [Health] 客戶健康度卡片 (renderCompanyHealthCard)：分數、趨勢、各因子明細與近期分數走勢。
+ * * 0. [Hierarchy] 集團樹狀圖 (renderCompanyHierarchyCard)、編輯模式的上層公司選單、聯絡人表格標示所屬下層公司。
  * * 1. 自動檢測並修復缺失的 #toast-container。
  * * 2. 注入 Toast CSS 樣式，確保通知可見。
  * * 3. 鎖定表單 name 屬性 (companyType, customerStage) 對接後端 Writer。
@@ -62,6 +65,29 @@ function _injectStylesForInfoCard() {
         .bento-card-solid .input-card-edit { background-color: rgba(255, 255, 255, 0.2); border: 1px solid rgba(255, 255, 255, 0.3); color: white; }
         .bento-card-solid .input-card-edit option { color: black; }
         .bento-card-solid .input-card-edit:focus { background-color: rgba(255, 255, 255, 1); color: var(--text-primary); }
+        .hierarchy-breadcrumb { font-size: 0.85rem; color: var(--text-muted); margin-bottom: 12px; }
+        .hierarchy-breadcrumb a { color: var(--accent-blue); cursor: pointer; text-decoration: none; }
+        .hierarchy-tree, .hierarchy-tree ul { list-style: none; margin: 0; padding-left: 20px; }
+        .hierarchy-tree { padding-left: 0; }
+        .hierarchy-tree li { position: relative; padding: 4px 0; }
+        .hierarchy-tree ul li::before { content: '└'; position: absolute; left: -16px; color: var(--border-color); }
+        .hierarchy-node { display: inline-flex; align-items: center; gap: 6px; padding: 4px 10px; border-radius: 8px; border: 1px solid var(--border-color); background: var(--primary-bg, #fff); font-size: 0.9rem; cursor: pointer; }
+        .hierarchy-node:hover { border-color: var(--accent-blue); }
+        .hierarchy-node.current { border-color: var(--accent-orange); background: rgba(249, 115, 22, 0.08); font-weight: 700; cursor: default; }
+        .hierarchy-node-type { font-size: 0.75rem; color: var(--text-muted); }
+        .health-score { display: inline-block; min-width: 64px; padding: 6px 14px; border-radius: 10px; font-size: 1.6rem; font-weight: 700; text-align: center; color: #fff; }
+        .health-score.healthy { background: #16a34a; }
+        .health-score.watch { background: #f59e0b; }
+        .health-score.risk { background: #dc2626; }
+        .health-trend { font-size: 0.9rem; font-weight: 600; }
+        .health-trend.down { color: #dc2626; }
+        .health-trend.up { color: #16a34a; }
+        .health-factor { display: grid; grid-template-columns: 110px 1fr 70px; align-items: center; gap: 10px; padding: 5px 0; font-size: 0.9rem; }
+        .health-factor-bar { height: 8px; border-radius: 4px; background: var(--secondary-bg, #f1f5f9); overflow: hidden; }
+        .health-factor-bar span { display: block; height: 100%; background: var(--accent-blue, #2563eb); }
+        .health-sparkline { display: flex; align-items: flex-end; gap: 2px; height: 40px; margin-top: 12px; }
+        .health-sparkline span { flex: 1; min-width: 3px; background: var(--accent-blue, #2563eb); opacity: 0.6; border-radius: 2px 2px 0 0; }
+        .source-company-tag { display: inline-block; margin-left: 6px; padding: 0 6px; border-radius: 999px; font-size: 0.75rem; background: var(--secondary-bg, #f1f5f9); color: var(--text-muted); }
         @media (max-width: 900px) { .header-row { flex-direction: column; } .header-btn-container { width: 100%; flex-direction: row; height: 50px; } .stats-row, .info-row { grid-template-columns: 1fr; } }
 
         /* --- [CRITICAL FIX] Toast Notification Styles --- */
@@ -132,6 +158,7 @@ function _renderViewMode(info) {
     const county = info.county || '-';
     const address = info.address || '-';
     const intro = info.introduction || '(尚無公司簡介)';
+    const parent = info.hierarchy?.parent || null;
 
     return `
         <div class="company-info-wrapper" id="company-info-card-container">
@@ -142,6 +169,7 @@ function _renderViewMode(info) {
                     <div class="bento-card read-mode name-card">
                         <div class="bento-label">公司名稱</div>
                         <h1 class="company-title-text">${info.companyName}</h1>
+                        ${parent ? `<div class="bento-label" style="margin: 8px 0 0;">上層公司：<a href="#" data-action="navigate" data-page="company-details" data-params='${JSON.stringify({ companyId: parent.companyId })}'>${parent.companyName}</a></div>` : ''}
                     </div>
                     <div class="header-btn-container">
                         <div class="action-btn-base btn-edit" data-action="edit-mode" data-enabled="true" title="編輯公司資訊">
@@ -265,6 +293,14 @@ function _renderEditMode(info) {
                     </div>
                 </div>
 
+                <div class="bento-card">
+                    <div class="bento-label">上層公司 (集團 / 母公司)</div>
+                    <select name="parentCompanyId" id="company-parent-select" class="input-card-edit">
+                        <option value="">(無，最上層公司)</option>
+                        ${info.hierarchy?.parent ? `<option value="${info.hierarchy.parent.companyId}" selected>${info.hierarchy.parent.companyName}</option>` : ''}
+                    </select>
+                </div>
+
                 <div class="bento-card">
                     <div class="bento-label">業務簡介</div>
                     <textarea name="introduction" class="input-card-edit" rows="5" placeholder="輸入業務簡介...">${info.introduction || ''}</textarea>
@@ -295,7 +331,7 @@ function renderCompanyContactsTable(contacts) {
         const contactJson = JSON.stringify(contact).replace(/'/g, "&apos;").replace(/"/g, "&quot;");
         
         tableHTML += `<tr>
-            <td data-label="姓名"><strong>${contact.name || '-'}</strong></td>
+            <td data-label="姓名"><strong>${contact.name || '-'}</strong>${_renderSourceCompanyTag(contact)}</td>
             <td data-label="職位">${contact.position || '-'}</td>
             <td data-label="部門">${contact.department || '-'}</td>
             <td data-label="手機">${contact.mobile || '-'}</td>
@@ -310,6 +346,120 @@ function renderCompanyContactsTable(contacts) {
     return tableHTML;
 }
 
+/**
+ * 下層公司彙總進來的資料，標示其所屬公司
+ */
+function _renderSourceCompanyTag(item) {
+    return item && item.sourceCompanyName ? `<span class="source-company-tag" title="來自下層公司">${item.sourceCompanyName}</span>` : '';
+}
+
+function _renderHierarchyNode(node, currentId) {
+    const isCurrent = node.companyId === currentId;
+    const params = JSON.stringify({ companyId: node.companyId });
+    const label = `${node.companyName}${node.companyType ? ` <span class="hierarchy-node-type">${node.companyType}</span>` : ''}`;
+    const nodeHtml = isCurrent
+        ? `<span class="hierarchy-node current">${label}</span>`
+        : `<span class="hierarchy-node" data-action="navigate" data-page="company-details" data-params='${params}'>${label}</span>`;
+    const children = node.children && node.children.length > 0
+        ? `<ul>${node.children.map(child => _renderHierarchyNode(child, currentId)).join('')}</ul>`
+        : '';
+    return `<li>${nodeHtml}${children}</li>`;
+}
+
+/**
+ * 集團架構 (樹狀圖)：最上層公司 → 子公司 / 廠區，標示目前公司
+ * 無上層亦無下層公司時不顯示
+ * @param {Object} hierarchy - { ancestors, groupTree, subtreeCompanyIds, rolledUp }
+ * @param {Object} companyInfo
+ */
+function renderCompanyHierarchyCard(hierarchy, companyInfo) {
+    if (!hierarchy || !hierarchy.groupTree) return '';
+    const hasAncestors = hierarchy.ancestors && hierarchy.ancestors.length > 0;
+    const hasChildren = hierarchy.groupTree.children && hierarchy.groupTree.children.length > 0;
+    if (!hasAncestors && !hasChildren) return '';
+
+    const descendantCount = Math.max((hierarchy.subtreeCompanyIds || []).length - 1, 0);
+    const rollupButton = descendantCount > 0
+        ? `<button type="button" class="action-btn small secondary" data-action="toggle-rollup" data-rollup="${hierarchy.rolledUp ? 'false' : 'true'}">
+               ${hierarchy.rolledUp ? '只看本公司資料' : `合併 ${descendantCount} 家下層公司資料`}
+           </button>`
+        : '';
+    const breadcrumb = hasAncestors
+        ? `<div class="hierarchy-breadcrumb">${hierarchy.ancestors.map(a =>
+              `<a data-action="navigate" data-page="company-details" data-params='${JSON.stringify({ companyId: a.companyId })}'>${a.companyName}</a>`
+          ).join(' › ')} › <strong>${companyInfo.companyName}</strong></div>`
+        : '';
+
+    return `
+        <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
+            <div class="widget-header" style="display: flex; justify-content: space-between; align-items: center;">
+                <h2 class="widget-title">集團架構</h2>
+                ${rollupButton}
+            </div>
+            <div class="widget-content">
+                ${breadcrumb}
+                <ul class="hierarchy-tree">${_renderHierarchyNode(hierarchy.groupTree, companyInfo.companyId)}</ul>
+                ${hierarchy.rolledUp ? `<p style="margin: 12px 0 0; font-size: 0.85rem; color: var(--text-muted);">下方機會、聯絡人與事件已合併 ${descendantCount} 家下層公司的資料。</p>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+const HEALTH_BAND_LABELS = { healthy: '健康', watch: '觀察', risk: '風險' };
+
+/**
+ * 客戶健康度：總分、與前次快照比較、各因子明細與近 90 天分數走勢
+ * @param {Object|null} health - GET /api/companies/:id/details 的 health
+ */
+function renderCompanyHealthCard(health) {
+    if (!health) return '';
+
+    const delta = Number(health.scoreDelta);
+    let trendHtml = '';
+    if (health.trend === 'down') trendHtml = `<span class="health-trend down">▼ 趨勢下滑 (${delta})</span>`;
+    else if (health.trend === 'up') trendHtml = `<span class="health-trend up">▲ +${delta}</span>`;
+    else if (health.trend === 'flat') trendHtml = `<span class="health-trend">持平 (${delta > 0 ? '+' : ''}${delta})</span>`;
+
+    const factors = (health.breakdown || []).map(f => {
+        const percent = f.max > 0 ? Math.round(f.points / f.max * 100) : 0;
+        return `
+            <div class="health-factor" title="${f.detail || ''}">
+                <span>${f.label}</span>
+                <div class="health-factor-bar"><span style="width:${percent}%"></span></div>
+                <span style="text-align:right;color:var(--text-muted);">${f.points} / ${f.max}</span>
+            </div>`;
+    }).join('');
+
+    const history = health.history || [];
+    const sparkline = history.length > 1
+        ? `<div class="health-sparkline">${history.map(h =>
+              `<span style="height:${Math.max(h.score, 2)}%" title="${h.snapshotDate}：${h.score}"></span>`
+          ).join('')}</div>`
+        : '';
+
+    const footnote = health.live
+        ? '尚無每日快照，目前為即時計算結果。'
+        : `快照日期 ${health.snapshotDate}`;
+
+    return `
+        <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
+            <div class="widget-header"><h2 class="widget-title">客戶健康度</h2></div>
+            <div class="widget-content" style="display: grid; grid-template-columns: 160px 1fr; gap: 24px; align-items: start;">
+                <div style="display: flex; flex-direction: column; align-items: flex-start; gap: 8px;">
+                    <span class="health-score ${health.band}">${health.score}</span>
+                    <span style="font-weight: 600;">${HEALTH_BAND_LABELS[health.band] || ''}</span>
+                    ${trendHtml}
+                </div>
+                <div>
+                    ${factors}
+                    ${sparkline}
+                    <p style="margin: 10px 0 0; font-size: 0.8rem; color: var(--text-muted);">${footnote}</p>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 function renderCompanyOpportunitiesTable(opportunities) {
     if (!opportunities || opportunities.length === 0) return '<div class="alert alert-info" style="text-align:center;">該公司尚無相關機會案件</div>';
     
@@ -330,4 +480,6 @@ function renderCompanyFullDetails(companyInfo) {
 // Export functions to global scope
 window.renderCompanyInfoCard = renderCompanyInfoCard;
 window.renderCompanyContactsTable = renderCompanyContactsTable;
+window.renderCompanyHierarchyCard = renderCompanyHierarchyCard;
+window.renderCompanyHealthCard = renderCompanyHealthCard;
 window.renderCompanyOpportunitiesTable = renderCompanyOpportunitiesTable;
\ No newline at end of file
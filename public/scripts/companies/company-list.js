@@ -1,8 +1,8 @@
 /**
  * public/scripts/companies/company-list.js
  * 職責：管理「公司總覽列表頁」
- * * @version 7.7.0 (Phase 10: Backend Opportunity Counting)
- * * @date 2026-04-15
+ * * @version 7.10.0 (Account Health)
+ * * @date 2026-10-19
  * * @description 
  * * 1. [PATCH] Removed heavy frontend dependency on /api/opportunities?page=0 payload.
  * * 2. [PATCH] Consumes backend-provided opportunityCount natively.
@@ -10,11 +10,15 @@
  * * 4. [Fix] submitQuickCreateCompany: Navigation after create uses companyId.
  * * 5. [Contract] All operations (delete, navigate) use companyId exclusively.
  * * 6. [Patch] Added dashboardManager.markStale() on successful mutations (create, delete).
+ * * 7. [Feature] submitQuickCreateCompany: Checks /api/companies/duplicates/check and confirms before creating a near-duplicate.
+ * * 8. [Feature] Added「匯入」button opening ImportWizard (CSV / XLSX bulk import).
+ * * 9. [Feature] Added「匯出」button (DataExport) carrying the current search and type filter.
+ * * 10. [Feature] Added sortable「健康度」column (nightly account health score, ▼ when trending down) and「趨勢下滑」filter.
  */
 
 // ==================== 全域變數 ====================
 let allCompaniesData = [];
-let companyListFilters = { type: 'all' };
+let companyListFilters = { type: 'all', trendingDown: false };
 let currentSort = { field: 'lastActivity', direction: 'desc' };
 
 // ==================== 1. 動態樣式注入 ====================
@@ -35,6 +39,13 @@ function _injectCompanyListStyles() {
         .comp-type-chip { display: inline-block; padding: 3px 10px; border-radius: 4px; font-size: 0.8rem; color: white; font-weight: 500; }
         .comp-status-badge { display: inline-block; padding: 4px 12px; border-radius: 20px; font-size: 0.8rem; font-weight: 600; color: white; }
         .comp-opp-count { display: inline-block; padding: 2px 8px; border-radius: 6px; background: #f3f4f6; color: #1f2937; font-weight: 700; font-size: 0.85rem; }
+        .comp-health { display: inline-flex; align-items: center; gap: 4px; padding: 2px 8px; border-radius: 6px; font-weight: 700; font-size: 0.85rem; color: white; }
+        .comp-health.healthy { background: #16a34a; }
+        .comp-health.watch { background: #f59e0b; }
+        .comp-health.risk { background: #dc2626; }
+        .comp-health-down { color: #dc2626; font-size: 0.8rem; font-weight: 700; }
+        .comp-filter-chip { background: transparent; border: 1px solid var(--border-color, #e2e8f0); color: var(--text-muted); padding: 4px 12px; border-radius: 20px; font-size: 0.85rem; cursor: pointer; transition: all 0.2s; }
+        .comp-filter-chip.active { background: #fee2e2; border-color: #dc2626; color: #dc2626; font-weight: 600; }
         
         /* Sortable Header */
         .comp-list-table th.sortable { cursor: pointer; user-select: none; transition: color 0.2s; }
@@ -165,9 +176,16 @@ async function loadCompaniesListPage() {
                         <button class="action-btn primary" data-action="toggle-quick-create" data-show="true" id="btn-toggle-create" style="font-size: 0.95rem; padding: 8px 18px; flex-shrink: 0; white-space: nowrap; font-weight: 600; display: inline-flex; justify-content: center; align-items: center;">
                             + 快速新增公司
                         </button>
+                        <button class="action-btn secondary" data-action="open-import" style="font-size: 0.95rem; padding: 8px 18px; flex-shrink: 0; white-space: nowrap;">
+                            📥 匯入
+                        </button>
+                        <button class="action-btn secondary" data-action="open-export" style="font-size: 0.95rem; padding: 8px 18px; flex-shrink: 0; white-space: nowrap;">
+                            📤 匯出
+                        </button>
                     </div>
 
-                    <div style="margin-bottom: 0.5rem;display: flex; justify-content: flex-end;">
+                    <div style="margin-bottom: 0.5rem;display: flex; justify-content: space-between; align-items: center;">
+                        <button class="comp-filter-chip" id="company-trending-down-filter" data-action="toggle-trending-down" title="健康度較前次快照明顯下降的公司">▼ 趨勢下滑</button>
                         <div id="companies-count-display" style="font-size: 0.9rem; color: var(--text-muted); font-weight: 500;">共 0 筆</div>
                     </div>
 
@@ -250,9 +268,21 @@ function handleCompanyListClick(e) {
             });
             filterAndRenderCompanyList(); 
             break;
+        case 'toggle-trending-down':
+            companyListFilters.trendingDown = !companyListFilters.trendingDown;
+            btn.classList.toggle('active', companyListFilters.trendingDown);
+            filterAndRenderCompanyList();
+            break;
         case 'sort': handleCompanySort(payload.field); break;
         case 'toggle-quick-create': toggleQuickCreateCard(payload.show === 'true'); break;
         case 'submit-quick-create': submitQuickCreateCompany(); break;
+        case 'open-import': ImportWizard.open('companies', { onComplete: () => loadCompaniesListPage() }); break;
+        case 'open-export':
+            DataExport.open('companies', {
+                q: document.getElementById('company-list-search')?.value.trim() || '',
+                type: companyListFilters.type
+            });
+            break;
         case 'delete-company': executeDeleteCompany(payload.id, payload.name).catch(console.error); break;
         case 'navigate':
             e.preventDefault();
@@ -280,13 +310,14 @@ function handleCompanyListKeydown(e) {
 
 function filterAndRenderCompanyList() {
     const query = document.getElementById('company-list-search')?.value.toLowerCase() || '';
-    const { type } = companyListFilters;
+    const { type, trendingDown } = companyListFilters;
     const countDisplay = document.getElementById('companies-count-display');
 
     let filtered = allCompaniesData.filter(c => {
         const nameMatch = query ? (c.companyName || '').toLowerCase().includes(query) : true;
         const typeMatch = type === 'all' ? true : c.companyType === type;
-        return nameMatch && typeMatch;
+        const trendMatch = trendingDown ? c.health?.trend === 'down' : true;
+        return nameMatch && typeMatch && trendMatch;
     });
 
     filtered.sort((a, b) => {
@@ -300,6 +331,14 @@ function filterAndRenderCompanyList() {
              const tB = new Date(valB || 0).getTime();
              return currentSort.direction === 'asc' ? tA - tB : tB - tA;
         }
+
+        if (currentSort.field === 'health') {
+             // 尚無分數者一律排最後
+             const sA = a.health ? a.health.score : null;
+             const sB = b.health ? b.health.score : null;
+             if (sA === null || sB === null) return (sA === null) - (sB === null);
+             return currentSort.direction === 'asc' ? sA - sB : sB - sA;
+        }
         
         return currentSort.direction === 'asc' 
             ? valAStr.localeCompare(valBStr, 'zh-Hant') 
@@ -331,6 +370,7 @@ function renderCompaniesTable(companies) {
                     <th>公司類型</th>
                     ${renderSortHeader('companyName', '公司名稱')}
                     ${renderSortHeader('opportunityCount', '機會數')}
+                    ${renderSortHeader('health', '健康度')}
                     <th>客戶階段</th>
                     <th>互動評級</th>
                     <th style="width:80px;text-align:center;">操作</th>
@@ -358,6 +398,7 @@ function renderCompaniesTable(companies) {
                     </a>
                 </td>
                 <td style="text-align:center;"><span class="comp-opp-count">${c.opportunityCount || 0}</span></td>
+                <td style="text-align:center;white-space:nowrap;">${_renderHealthCell(c.health)}</td>
                 <td><span class="comp-status-badge" style="background:${stageColor}">${c.customerStage || '-'}</span></td>
                 <td><span class="comp-status-badge" style="background:${ratingColor}">${c.engagementRating || '-'}</span></td>
                 <td style="text-align:center;">
@@ -370,6 +411,14 @@ function renderCompaniesTable(companies) {
     return html + '</tbody></table></div>';
 }
 
+function _renderHealthCell(health) {
+    if (!health) return '<span style="color:var(--text-muted);">-</span>';
+    const delta = Number(health.scoreDelta);
+    const title = `快照 ${health.snapshotDate || '-'}` + (Number.isFinite(delta) && health.trend !== 'new' ? `，較前次 ${delta > 0 ? '+' : ''}${delta}` : '');
+    const downMark = health.trend === 'down' ? '<span class="comp-health-down" title="趨勢下滑">▼</span>' : '';
+    return `<span class="comp-health ${health.band}" title="${title}">${health.score}</span> ${downMark}`;
+}
+
 function toggleQuickCreateCard(show) {
     const card = document.getElementById('company-quick-create-card');
     const input = document.getElementById('quick-create-name-input');
@@ -399,6 +448,19 @@ async function submitQuickCreateCompany() {
     
     if (typeof showLoading === 'function') showLoading('建立中...');
     try {
+        const check = await authedFetch('/api/companies/duplicates/check', {
+            method: 'POST', body: JSON.stringify({ companyName: name }), skipRefresh: true
+        });
+        const candidates = (check && check.data) || [];
+        if (candidates.length > 0) {
+            if (typeof hideLoading === 'function') hideLoading();
+            const list = candidates.slice(0, 5)
+                .map(c => `・${c.record.companyName} (相似度 ${c.score}%：${c.reasons.join('、')})`)
+                .join('\n');
+            if (!confirm(`可能與以下既有公司重複：\n${list}\n\n仍要建立「${name}」嗎？`)) return;
+            if (typeof showLoading === 'function') showLoading('建立中...');
+        }
+
         const res = await authedFetch('/api/companies', { method: 'POST', body: JSON.stringify({ companyName: name }) });
         if (typeof hideLoading === 'function') hideLoading();
         
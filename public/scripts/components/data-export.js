@@ -0,0 +1,120 @@
+// public/scripts/components/data-export.js
+/**
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 列表資料匯出 (/api/export/:entity)
+ * - open() 顯示格式選擇 (CSV / XLSX / JSON)，params 為目前列表的搜尋與篩選條件。
+ * - 檔案由 authedFetch 以 Blob 取回後下載；商品的成本 / 價格欄位由伺服器依權限決定是否包含。
+ */
+
+const DataExport = (() => {
+    const MODAL_ID = 'data-export-modal';
+    const ENTITY_LABELS = {
+        contacts: '正式聯絡人',
+        companies: '公司',
+        opportunities: '機會',
+        interactions: '互動紀錄',
+        events: '事件紀錄',
+        weekly: '週間業務',
+        products: '市場商品'
+    };
+    const FORMATS = [
+        { value: 'xlsx', label: 'Excel (.xlsx)' },
+        { value: 'csv', label: 'CSV (.csv)' },
+        { value: 'json', label: 'JSON (.json)' }
+    ];
+
+    let _state = null;
+
+    function _buildQuery(format, params = {}) {
+        const query = new URLSearchParams({ format });
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '' && value !== 'all') {
+                query.append(key, value);
+            }
+        });
+        return query.toString();
+    }
+
+    /**
+     * 直接下載 (不顯示格式選擇)
+     * @param {string} entity - 見 ENTITY_LABELS
+     * @param {'csv'|'xlsx'|'json'} format
+     * @param {Object} [params] - 列表篩選條件 (q、stage、type...)
+     */
+    async function download(entity, format, params = {}) {
+        showLoading('正在產生匯出檔...');
+        try {
+            const blob = await authedFetch(`/api/export/${entity}?${_buildQuery(format, params)}`, { responseType: 'blob' });
+            const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${ENTITY_LABELS[entity] || entity}_${stamp}.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            showNotification('已開始下載匯出檔', 'success');
+        } catch (error) {
+            // authedFetch 已顯示錯誤訊息
+            console.error('[DataExport] download failed:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * 開啟格式選擇視窗
+     * @param {string} entity - 見 ENTITY_LABELS
+     * @param {Object} [params] - 列表篩選條件，會原樣帶入匯出 API
+     */
+    function open(entity, params = {}) {
+        _state = { entity, params };
+
+        const existing = document.getElementById(MODAL_ID);
+        if (existing) existing.remove();
+
+        const hasFilters = Object.values(params).some(v => v !== undefined && v !== null && v !== '' && v !== 'all');
+        const modal = document.createElement('div');
+        modal.id = MODAL_ID;
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 420px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">📤 匯出${ENTITY_LABELS[entity] || ''}</h2>
+                    <button type="button" class="close-btn" onclick="DataExport.close()">&times;</button>
+                </div>
+                <div style="padding: 10px 0;">
+                    <p style="color: var(--text-muted); font-size: 0.9rem; margin-bottom: 1rem;">
+                        ${hasFilters ? '依目前的搜尋與篩選條件匯出全部符合資料 (不分頁)。' : '匯出全部資料。'}
+                    </p>
+                    <div style="display: flex; flex-direction: column; gap: 8px;">
+                        ${FORMATS.map(f => `
+                            <button type="button" class="action-btn secondary" onclick="DataExport.choose('${f.value}')">${f.label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        showModal(MODAL_ID);
+    }
+
+    function choose(format) {
+        if (!_state) return;
+        const { entity, params } = _state;
+        close();
+        download(entity, format, params);
+    }
+
+    function close() {
+        closeModal(MODAL_ID);
+        document.getElementById(MODAL_ID)?.remove();
+        _state = null;
+    }
+
+    return { open, close, choose, download };
+})();
+
+window.DataExport = DataExport;
@@ -0,0 +1,330 @@
+// public/scripts/components/import-wizard.js
+/**
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description CSV / XLSX 批次匯入精靈 (/api/imports/:entity)
+ * - 步驟：選擇檔案 → 欄位對應 (預帶伺服器建議) → Dry-run 驗證報告 → 確認匯入。
+ * - 檔案以 base64 保留在前端，每個步驟重送；錯誤檔 (CSV) 由回應內容直接下載。
+ */
+
+const ImportWizard = (() => {
+    const MODAL_ID = 'import-wizard-modal';
+    const ENTITY_LABELS = { contacts: '正式聯絡人', companies: '公司', opportunities: '機會' };
+    const STATUS_LABELS = {
+        error: { text: '錯誤', color: '#ef4444' },
+        duplicate: { text: '可能重複', color: '#f59e0b' },
+        failed: { text: '寫入失敗', color: '#b91c1c' },
+        ok: { text: '提醒', color: '#3b82f6' }
+    };
+
+    let _state = null;
+
+    const _esc = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+    function _body() {
+        return document.getElementById('import-wizard-body');
+    }
+
+    function _post(step, extra = {}) {
+        return authedFetch(`/api/imports/${_state.entity}/${step}`, {
+            method: 'POST',
+            body: JSON.stringify({ fileName: _state.fileName, fileContent: _state.fileContent, ...extra }),
+            skipRefresh: true
+        });
+    }
+
+    function _download(errorFile) {
+        if (!errorFile) return;
+        const blob = new Blob([errorFile.content], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = errorFile.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    function _readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    function _collectMapping() {
+        const mapping = {};
+        _body().querySelectorAll('select[data-field]').forEach(select => {
+            if (select.value !== '') mapping[select.dataset.field] = Number(select.value);
+        });
+        return mapping;
+    }
+
+    // ============================================================
+    // Step 1. 選擇檔案
+    // ============================================================
+
+    function _renderUpload() {
+        _body().innerHTML = `
+            <p style="color: var(--text-muted); margin-top: 0;">
+                支援 .csv 與 .xlsx (只讀取第一個工作表)，第一列須為標題列。
+            </p>
+            <input type="file" id="import-wizard-file" class="form-input" accept=".csv,.xlsx">
+            <div style="display:flex; justify-content:flex-end; gap:10px; margin-top:16px;">
+                <button type="button" class="action-btn secondary" onclick="ImportWizard.close()">取消</button>
+                <button type="button" class="action-btn primary" onclick="ImportWizard.upload()">下一步：欄位對應</button>
+            </div>
+        `;
+    }
+
+    async function upload() {
+        const file = document.getElementById('import-wizard-file')?.files?.[0];
+        if (!file) {
+            showNotification('請選擇要匯入的檔案', 'warning');
+            return;
+        }
+
+        showLoading('解析檔案中...');
+        try {
+            _state.fileName = file.name;
+            _state.fileContent = await _readFile(file);
+            const result = await _post('preview');
+            _state.preview = result.data;
+            _renderMapping();
+        } catch (error) {
+            console.error('[ImportWizard] preview failed:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // ============================================================
+    // Step 2. 欄位對應
+    // ============================================================
+
+    function _renderMapping() {
+        const { headers, sampleRows, totalRows, fields, suggestedMapping } = _state.preview;
+        const mapping = _state.mapping || suggestedMapping;
+
+        const options = (selected) => ['<option value="">(不匯入)</option>']
+            .concat(headers.map((h, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${_esc(h)}</option>`))
+            .join('');
+
+        const fieldRows = fields.map(f => {
+            const hints = [f.configType ? `系統設定「${f.configType}」` : '', f.type === 'date' ? 'YYYY-MM-DD' : '', f.hint || '']
+                .filter(Boolean).join('；');
+            return `
+                <tr>
+                    <td style="padding:6px 8px; font-weight:600;">${_esc(f.label)}${f.required ? ' <span style="color:#ef4444;">*</span>' : ''}</td>
+                    <td style="padding:6px 8px;"><select class="form-select-sm" data-field="${f.key}">${options(mapping[f.key])}</select></td>
+                    <td style="padding:6px 8px; font-size:0.8rem; color: var(--text-muted);">${_esc(hints)}</td>
+                </tr>`;
+        }).join('');
+
+        const sample = sampleRows.length > 0 ? `
+            <div style="overflow-x:auto; margin-top:12px;">
+                <table class="comp-list-table" style="min-width:0; font-size:0.8rem;">
+                    <thead><tr>${headers.map(h => `<th style="padding:4px 8px;">${_esc(h)}</th>`).join('')}</tr></thead>
+                    <tbody>${sampleRows.map(r => `<tr>${headers.map((h, i) => `<td style="padding:4px 8px;">${_esc(r[i])}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>` : '';
+
+        _body().innerHTML = `
+            <p style="margin-top:0;">檔案「${_esc(_state.preview.fileName)}」共 <strong>${totalRows}</strong> 筆資料，請確認每個欄位對應的檔案標題：</p>
+            <table style="width:100%; border-collapse:collapse;">
+                <thead><tr style="text-align:left; border-bottom:1px solid var(--border-color);">
+                    <th style="padding:6px 8px;">系統欄位</th><th style="padding:6px 8px;">檔案欄位</th><th style="padding:6px 8px;">說明</th>
+                </tr></thead>
+                <tbody>${fieldRows}</tbody>
+            </table>
+            <details style="margin-top:12px;"><summary style="cursor:pointer;">檔案前 ${sampleRows.length} 列預覽</summary>${sample}</details>
+            <div style="display:flex; justify-content:flex-end; gap:10px; margin-top:16px;">
+                <button type="button" class="action-btn secondary" onclick="ImportWizard.restart()">重新選擇檔案</button>
+                <button type="button" class="action-btn primary" onclick="ImportWizard.validate()">下一步：驗證資料</button>
+            </div>
+        `;
+    }
+
+    async function validate() {
+        _state.mapping = _collectMapping();
+
+        showLoading('驗證資料中...');
+        try {
+            const result = await _post('validate', { mapping: _state.mapping });
+            _state.report = result.data;
+            _renderReport();
+        } catch (error) {
+            console.error('[ImportWizard] validate failed:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // ============================================================
+    // Step 3. 驗證報告 / Step 4. 匯入結果
+    // ============================================================
+
+    function _renderIssues(issues) {
+        if (!issues || issues.length === 0) return '<div class="alert alert-info">沒有需要注意的資料列。</div>';
+
+        const rows = issues.slice(0, 200).map(issue => {
+            const s = STATUS_LABELS[issue.status] || STATUS_LABELS.ok;
+            const messages = [
+                ...issue.errors,
+                ...issue.duplicates.map(d => `可能重複：${d.label} (${d.score}%，${d.reasons.join('、')})`),
+                ...issue.warnings
+            ];
+            return `
+                <tr>
+                    <td style="padding:4px 8px;">${issue.rowNumber}</td>
+                    <td style="padding:4px 8px;"><span class="card-tag" style="background:${s.color}; color:#fff;">${s.text}</span></td>
+                    <td style="padding:4px 8px;">${messages.map(_esc).join('<br>')}</td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <div style="max-height:320px; overflow-y:auto; border:1px solid var(--border-color); border-radius:6px;">
+                <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                    <thead><tr style="text-align:left; position:sticky; top:0; background: var(--secondary-bg, #fff);">
+                        <th style="padding:4px 8px;">列號</th><th style="padding:4px 8px;">狀態</th><th style="padding:4px 8px;">說明</th>
+                    </tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${issues.length > 200 ? `<p style="font-size:0.85rem; color: var(--text-muted);">僅顯示前 200 筆，完整內容請下載錯誤檔。</p>` : ''}`;
+    }
+
+    function _summaryChips(items) {
+        return `<div style="display:flex; gap:10px; flex-wrap:wrap; margin-bottom:12px;">
+            ${items.map(([label, value, color]) => `
+                <div style="padding:8px 14px; border-radius:8px; background: var(--glass-bg, #f8fafc); border-left:4px solid ${color};">
+                    <div style="font-size:0.8rem; color: var(--text-muted);">${label}</div>
+                    <div style="font-size:1.2rem; font-weight:700;">${value}</div>
+                </div>`).join('')}
+        </div>`;
+    }
+
+    function _renderReport() {
+        const r = _state.report;
+        const canImport = r.okRows + r.duplicateRows > 0;
+
+        _body().innerHTML = `
+            ${_summaryChips([
+                ['總筆數', r.totalRows, '#64748b'],
+                ['可匯入', r.okRows, '#10b981'],
+                ['可能重複', r.duplicateRows, '#f59e0b'],
+                ['錯誤', r.errorRows, '#ef4444']
+            ])}
+            ${r.newCompanies.length > 0 ? `<p style="font-size:0.9rem;">將一併新增 ${r.newCompanies.length} 家公司：${r.newCompanies.slice(0, 10).map(_esc).join('、')}${r.newCompanies.length > 10 ? '…' : ''}</p>` : ''}
+            ${_renderIssues(r.issues)}
+            <label style="display:flex; align-items:center; gap:6px; margin-top:12px;">
+                <input type="checkbox" id="import-wizard-skip-duplicates" checked> 略過可能重複的資料 (取消勾選則仍建立)
+            </label>
+            <div style="display:flex; justify-content:space-between; gap:10px; margin-top:16px; flex-wrap:wrap;">
+                <div>
+                    ${r.errorFile ? `<button type="button" class="action-btn secondary" onclick="ImportWizard.downloadErrors()">⬇️ 下載錯誤檔</button>` : ''}
+                </div>
+                <div style="display:flex; gap:10px;">
+                    <button type="button" class="action-btn secondary" onclick="ImportWizard.backToMapping()">返回欄位對應</button>
+                    <button type="button" class="action-btn primary" onclick="ImportWizard.commit()" ${canImport ? '' : 'disabled'}>確認匯入</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async function commit() {
+        const skipDuplicates = document.getElementById('import-wizard-skip-duplicates')?.checked !== false;
+
+        showLoading('匯入中...');
+        try {
+            const result = await _post('commit', { mapping: _state.mapping, skipDuplicates });
+            _state.result = result.data;
+            _renderResult();
+
+            if (window.CRM_APP && typeof window.CRM_APP.markStale === 'function') {
+                window.CRM_APP.markStale(['dashboard', 'contacts', 'companies', 'opportunities']);
+            }
+            showNotification(result.message || '匯入完成', 'success');
+            if (typeof _state.onComplete === 'function') _state.onComplete(result.data);
+        } catch (error) {
+            console.error('[ImportWizard] commit failed:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _renderResult() {
+        const r = _state.result;
+        const skipped = r.errorRows + r.skippedDuplicates;
+
+        _body().innerHTML = `
+            ${_summaryChips([
+                ['已匯入', r.created, '#10b981'],
+                ['新增公司', r.createdCompanies, '#3b82f6'],
+                ...(r.createdContacts ? [['新增聯絡人', r.createdContacts, '#3b82f6']] : []),
+                ['略過', skipped, '#f59e0b'],
+                ['寫入失敗', r.failedRows, '#ef4444']
+            ])}
+            ${r.errorFile ? '<p>未匯入的資料列已整理為錯誤檔，修正後可再次匯入。</p>' : ''}
+            <div style="display:flex; justify-content:flex-end; gap:10px; margin-top:16px;">
+                ${r.errorFile ? `<button type="button" class="action-btn secondary" onclick="ImportWizard.downloadErrors()">⬇️ 下載錯誤檔</button>` : ''}
+                <button type="button" class="action-btn primary" onclick="ImportWizard.close()">完成</button>
+            </div>
+        `;
+    }
+
+    // ============================================================
+    // Public
+    // ============================================================
+
+    /**
+     * 開啟匯入精靈
+     * @param {'contacts'|'companies'|'opportunities'} entity
+     * @param {Object} [options] - { onComplete(resultData) }
+     */
+    function open(entity, options = {}) {
+        _state = { entity, onComplete: options.onComplete };
+
+        const existing = document.getElementById(MODAL_ID);
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = MODAL_ID;
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 860px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">📥 匯入${ENTITY_LABELS[entity] || ''}</h2>
+                    <button type="button" class="close-btn" onclick="ImportWizard.close()">&times;</button>
+                </div>
+                <div id="import-wizard-body" style="padding: 10px 0;"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        _renderUpload();
+        showModal(MODAL_ID);
+    }
+
+    function close() {
+        closeModal(MODAL_ID);
+        document.getElementById(MODAL_ID)?.remove();
+        _state = null;
+    }
+
+    return {
+        open,
+        close,
+        upload,
+        validate,
+        commit,
+        restart: _renderUpload,
+        backToMapping: _renderMapping,
+        downloadErrors: () => _download((_state.result || _state.report)?.errorFile)
+    };
+})();
+
+window.ImportWizard = ImportWizard;
@@ -2,11 +2,12 @@
 /**
  * ============================================================================
  * File: public/scripts/contacts/contact-potential-manager.js
- * Version: v8.0.0 (Phase 8 UI Annotation)
- * Date: 2026-02-10
+ * Version: v8.1.0 (Lead Scoring)
+ * Date: 2026-10-19
  * Author: Gemini (Assisted)
  *
  * Change Log:
+ * - [Feature] Added「評分」column (leadScore from the backend) and shared renderLeadScore() badge / breakdown helper (also used by contacts.js).
  * - [Phase 8] Added World Model & Semantic Identity annotations.
  * - Comments only, no behavior change.
  *
@@ -46,6 +47,43 @@
 
 const PotentialContactsManager = (() => {
 
+    const SCORE_BAND_STYLES = {
+        high: 'background: #dcfce7; color: #15803d; border: 1px solid #86efac;',
+        medium: 'background: #fef9c3; color: #a16207; border: 1px solid #fde047;',
+        low: 'background: #f1f5f9; color: #64748b; border: 1px solid #cbd5e1;'
+    };
+
+    /**
+     * 潛在客戶評分徽章 (leadScore 由後端 LeadScoringService 計算)
+     * @param {object} contact - 含 leadScore: { total, band, breakdown } 的潛在聯絡人
+     * @param {object} [options]
+     * @param {boolean} [options.detailed=false] - 是否附上各因子明細
+     * @returns {string} HTML；無評分時回傳空字串
+     */
+    function renderLeadScore(contact, { detailed = false } = {}) {
+        const score = contact && contact.leadScore;
+        if (!score) return '';
+
+        const tooltip = (score.breakdown || [])
+            .map(f => `${f.label} ${f.points}/${f.max}：${f.detail}`)
+            .join('\n')
+            .replace(/"/g, '&quot;');
+        const badge = `<span class="lead-score-badge" title="${tooltip}" style="display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 0.8rem; font-weight: 600; white-space: nowrap; ${SCORE_BAND_STYLES[score.band] || SCORE_BAND_STYLES.low}">⭐ ${score.total}</span>`;
+        if (!detailed) return badge;
+
+        const rows = (score.breakdown || []).filter(f => f.max > 0).map(f => `
+            <div style="display: flex; justify-content: space-between; gap: 8px;">
+                <span>${f.label}<span style="color: var(--text-muted);">・${f.detail}</span></span>
+                <span style="white-space: nowrap;">${f.points} / ${f.max}</span>
+            </div>`).join('');
+
+        return `
+            <details class="lead-score-details" style="margin-top: 6px; font-size: 0.8rem; color: var(--text-secondary);">
+                <summary style="cursor: pointer; list-style: none;">${badge} <span style="color: var(--text-muted);">評分明細</span></summary>
+                <div style="display: flex; flex-direction: column; gap: 2px; margin-top: 4px; padding: 6px 8px; background: var(--bg-hover, #f8fafc); border-radius: 6px;">${rows}</div>
+            </details>`;
+    }
+
     /**
      * 渲染潛在聯絡人列表的核心函式
      * @param {object} options - 設定物件
@@ -89,6 +127,7 @@ const PotentialContactsManager = (() => {
                         <th>公司</th>
                         <th>職位</th>
                         <th>聯絡方式</th>
+                        <th>評分</th>
                         <th>狀態</th>
                         <th>操作</th>
                     </tr>
@@ -134,6 +173,7 @@ const PotentialContactsManager = (() => {
                     <td data-label="公司">${contact.company || '-'}</td>
                     <td data-label="職位">${contact.position || '-'}</td>
                     <td data-label="聯絡方式">${contact.mobile ? `<div>📱 ${contact.mobile}</div>` : ''}${contact.phone ? `<div>📞 ${contact.phone}</div>` : ''}</td>
+                    <td data-label="評分">${renderLeadScore(contact) || '-'}</td>
                     <td data-label="狀態">${statusBadge}</td>
                     <td data-label="操作">
                         <div class="action-buttons-container">
@@ -221,6 +261,7 @@ const PotentialContactsManager = (() => {
     // 返回公開的 API
     return {
         render,
+        renderLeadScore,
         handleFileContact,
         handleLinkContact
     };
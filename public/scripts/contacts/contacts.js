@@ -2,11 +2,16 @@
 /**
  * ============================================================================
  * File: public/scripts/contacts/contacts.js
- * Version: v8.9.0 (Phase 8.9 CORE Top Info Bar Two-Line Layout Refactor)
- * Date: 2026-04-21
+ * Version: v8.14.0 (Lead Scoring)
+ * Date: 2026-10-19
  * Author: Gemini
  *
  * Change Log:
+ * - [Feature] RAW tabs show the lead score (badge + breakdown on cards, 評分 column in the table) with a minimum-score filter and score / newest sort toggle.
+ * - [Feature] Added「上傳名片」button: photos are downscaled in the browser and sent to POST /api/contacts/cards (OCR → potential contacts).
+ * - [Feature] Added「匯出」button (DataExport → official contacts) using the current search and sort order.
+ * - [Feature] Added「匯入」button to the action bar (ImportWizard → official contacts); switches to the CORE tab after import.
+ * - [Feature] CORE edit sends If-Match (updatedTime captured when entering edit mode); 409 conflicts open the reload / overwrite dialog.
  * - [UX Polish] Refactored CORE tab top info bar into a clean two-line layout.
  * - [UX Polish] Removed redundant sorting text description from the info bar.
  * - [Feature] Refactored CORE page size selector into pill-style buttons in the top info bar.
@@ -33,9 +38,12 @@ let corePaginationState = { hasNext: false, hasPrev: false, totalPages: 1 }; //
 let currentContactsTab = 'list'; // 'list' | 'cards' | 'core'
 let currentEditRowIndex = null;
 let currentCoreEditContactId = null;
+let currentCoreEditVersion = null; // 進入編輯時的 updatedTime，作為樂觀鎖版本
 let contactsOperationMode = false;
 let currentCoreSortOrder = 'desc'; // [Patch] Core sorting state
 let currentCorePageSize = 100; // [Patch] Core dynamic pagination limit
+let currentRawSort = 'time'; // RAW 排序：'time' (建立時間) | 'score' (評分)
+let currentRawMinScore = 0; // RAW 最低評分篩選
 
 // ==================== 主要功能函式 ====================
 
@@ -77,7 +85,13 @@ async function loadContacts(query = '') {
                     <div class="search-pagination" style="flex: 1;">
                         <input type="text" class="search-box" id="contacts-page-search" placeholder="搜尋姓名 / 公司" value="${searchQuery}" style="width: 100%; max-width: 400px;">
                     </div>
-                    <div id="contacts-count-display" style="font-size: 0.9rem; color: var(--text-muted); font-weight: 500;"></div>
+                    <div style="display: flex; align-items: center; gap: 12px;">
+                        <div id="contacts-count-display" style="font-size: 0.9rem; color: var(--text-muted); font-weight: 500;"></div>
+                        <button class="action-btn primary small" data-action="upload-cards" style="white-space: nowrap;">📷 上傳名片</button>
+                        <input type="file" id="contacts-card-upload" accept="image/jpeg,image/png,image/webp,image/heic" multiple style="display: none;">
+                        <button class="action-btn secondary small" data-action="open-import" style="white-space: nowrap;">📥 匯入正式聯絡人</button>
+                        <button class="action-btn secondary small" data-action="open-export" style="white-space: nowrap;">📤 匯出正式聯絡人</button>
+                    </div>
                 </div>
             </div>
 
@@ -126,6 +140,16 @@ function toggleContactsOperationMode() {
 }
 
 function handleContactListChange(e) {
+    if (e.target.id === 'contacts-card-upload') {
+        handleUploadCards(Array.from(e.target.files || []));
+        e.target.value = '';
+        return;
+    }
+    if (e.target.dataset.action === 'change-raw-min-score') {
+        currentRawMinScore = parseInt(e.target.value, 10) || 0;
+        filterAndRenderContacts(document.getElementById('contacts-page-search')?.value || '');
+        return;
+    }
     if (e.target.dataset.action === 'change-core-limit') {
         currentCorePageSize = parseInt(e.target.value, 10) || 100;
         currentCorePage = 1;
@@ -187,6 +211,30 @@ function handleContactListClick(e) {
             filterAndRenderContacts(currentQuery);
             break;
 
+        case 'open-import':
+            ImportWizard.open('contacts', {
+                onComplete: () => {
+                    currentCorePage = 1;
+                    if (currentContactsTab === 'core') {
+                        filterAndRenderContacts(document.getElementById('contacts-page-search')?.value || '');
+                    } else {
+                        document.querySelector('.contacts-tabs [data-tab="core"]')?.click();
+                    }
+                }
+            });
+            break;
+
+        case 'upload-cards':
+            document.getElementById('contacts-card-upload')?.click();
+            break;
+
+        case 'open-export':
+            DataExport.open('contacts', {
+                q: document.getElementById('contacts-page-search')?.value.trim() || '',
+                order: currentCoreSortOrder
+            });
+            break;
+
         // [Patch] CORE Pagination Controls
         case 'core-prev':
             if (currentCorePage > 1) {
@@ -209,6 +257,11 @@ function handleContactListClick(e) {
             filterAndRenderContacts(document.getElementById('contacts-page-search')?.value || '');
             break;
 
+        case 'toggle-raw-sort':
+            currentRawSort = currentRawSort === 'score' ? 'time' : 'score';
+            filterAndRenderContacts(document.getElementById('contacts-page-search')?.value || '');
+            break;
+
         // [Patch] CORE Page Size Pills Toggle
         case 'set-core-limit':
             const newSize = parseInt(payload.size, 10);
@@ -340,6 +393,13 @@ async function filterAndRenderContacts(query = '') {
                 (c.company && c.company.toLowerCase().includes(searchTerm))
             );
         }
+        if (currentRawMinScore > 0) {
+            filteredData = filteredData.filter(c => (c.leadScore?.total ?? 0) >= currentRawMinScore);
+        }
+        // 後端已依建立時間新到舊排序；穩定排序下同分維持此順序
+        if (currentRawSort === 'score') {
+            filteredData.sort((a, b) => (b.leadScore?.total ?? 0) - (a.leadScore?.total ?? 0));
+        }
     }
     
     if (countDisplay) {
@@ -366,7 +426,21 @@ async function filterAndRenderContacts(query = '') {
                 </div>
             `;
         } else {
-            countDisplay.innerHTML = `共 ${displayCount} 筆${label}`;
+            const scoreOptions = [
+                { value: 0, label: '全部評分' },
+                { value: 40, label: '評分 ≥ 40' },
+                { value: 70, label: '評分 ≥ 70' }
+            ].map(o => `<option value="${o.value}" ${o.value === currentRawMinScore ? 'selected' : ''}>${o.label}</option>`).join('');
+
+            countDisplay.innerHTML = `
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <select data-action="change-raw-min-score" style="padding: 2px 6px; font-size: 0.85em; border-radius: 4px; border: 1px solid var(--border-color);">${scoreOptions}</select>
+                    <button data-action="toggle-raw-sort" style="padding: 2px 8px; font-size: 0.85em; border-radius: 4px; cursor: pointer; background: white; color: var(--text-secondary); border: 1px solid var(--border-color);">
+                        ${currentRawSort === 'score' ? '⭐ 評分高→低' : '🕒 最新優先'}
+                    </button>
+                    <span>共 ${displayCount} 筆${label}</span>
+                </div>
+            `;
         }
     }
 
@@ -450,6 +524,7 @@ function renderContactsTable(data) {
                     </div>
                     <div class="contact-card-company">${contact.company || '(無公司)'}</div>
                     <div class="contact-card-position">${contact.position || '(無職位)'}</div>
+                    ${PotentialContactsManager.renderLeadScore(contact, { detailed: true })}
                 </div>
                 <div class="contact-card-actions">
                     ${driveLinkBtn}
@@ -489,6 +564,7 @@ function renderBusinessCardList(data) {
                         <th>職位</th>
                         <th>手機</th>
                         <th>Email</th>
+                        <th>評分</th>
                         <th style="text-align: right; white-space: nowrap;">
                             操作
                             <button class="action-btn small" data-action="toggle-operations" style="margin-left: 6px; padding: 2px 8px; font-size: 0.8rem; border-radius: 4px; border: 1px solid; cursor: pointer; transition: all 0.2s; ${toggleBtnStyle}">
@@ -521,6 +597,7 @@ function renderBusinessCardList(data) {
                 <td>${contact.position || '-'}</td>
                 <td>${contact.mobile || '-'}</td>
                 <td>${contact.email || '-'}</td>
+                <td>${PotentialContactsManager.renderLeadScore(contact) || '-'}</td>
                 <td style="text-align: right; white-space: nowrap;">
                     ${previewBtn}
                     <button class="action-btn small primary" data-action="edit-card" data-contact='${contactJsonString}'>✏️ 編輯</button>
@@ -715,6 +792,7 @@ function renderCoreEditMode(contact) {
 
     if (actionBar) actionBar.style.display = 'none';
     currentCoreEditContactId = contact.contactId;
+    currentCoreEditVersion = contact.updatedTime || null;
 
     const safeName = (contact.name || '').replace(/"/g, '&quot;');
     const safePosition = (contact.position || '').replace(/"/g, '&quot;');
@@ -890,6 +968,83 @@ async function handleDeleteRawContact(rowIndex, contactName) {
     }
 }
 
+// --- Upload Action: Business Cards ---
+
+const CARD_UPLOAD_MAX_EDGE = 1600; // 上傳前縮圖，控制在 API 的單檔上限內
+const CARD_UPLOAD_MAX_FILES = 2;   // 與 config.CARD_OCR.MAX_FILES 一致
+
+function _readCardImage(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const dataUrl = reader.result;
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, CARD_UPLOAD_MAX_EDGE / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve({
+                    fileName: file.name.replace(/\.[^.]+$/, '') + '.jpg',
+                    mimeType: 'image/jpeg',
+                    content: canvas.toDataURL('image/jpeg', 0.85)
+                });
+            };
+            // 瀏覽器無法解碼 (例如 HEIC) 時直接上傳原檔
+            img.onerror = () => resolve({ fileName: file.name, mimeType: file.type, content: dataUrl });
+            img.src = dataUrl;
+        };
+        reader.onerror = () => reject(new Error(`無法讀取檔案 ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+async function handleUploadCards(files) {
+    if (files.length === 0) return;
+    if (files.length > CARD_UPLOAD_MAX_FILES) {
+        showNotification(`一次最多上傳 ${CARD_UPLOAD_MAX_FILES} 張名片`, 'warning');
+        return;
+    }
+
+    showLoading(`正在辨識 ${files.length} 張名片...`);
+    try {
+        const payload = await Promise.all(files.map(_readCardImage));
+        const result = await authedFetch('/api/contacts/cards', {
+            method: 'POST',
+            body: JSON.stringify({ files: payload }),
+            skipRefresh: true
+        });
+
+        const created = result?.data?.created || [];
+        const failed = result?.data?.failed || [];
+        const lowConfidence = created.filter(c => Number(c.confidence) < 60).length;
+
+        let message = result?.message || `已建立 ${created.length} 張名片`;
+        if (lowConfidence > 0) message += `，其中 ${lowConfidence} 張辨識信心偏低，請確認內容`;
+        showNotification(message, failed.length > 0 || lowConfidence > 0 ? 'warning' : 'success', 5000);
+        failed.forEach(f => console.warn(`[Contacts] 名片上傳失敗 ${f.fileName}: ${f.error}`));
+
+        const listResult = await authedFetch(`/api/contacts?q=`);
+        allContactsData = (listResult && listResult.data) ? listResult.data : [];
+
+        if (currentContactsTab === 'list') {
+            await filterAndRenderContacts(document.getElementById('contacts-page-search')?.value || '');
+        } else {
+            document.querySelector('.contacts-tabs [data-tab="list"]')?.click();
+        }
+
+        if (window.CRM_APP && typeof window.CRM_APP.markStale === 'function') {
+            window.CRM_APP.markStale(['dashboard']);
+        }
+    } catch (error) {
+        // authedFetch 已顯示錯誤訊息
+        console.error('Upload business cards failed:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
 // --- Save Action: CORE ---
 async function handleSaveCoreEdit() {
     if (!currentCoreEditContactId) {
@@ -912,9 +1067,16 @@ async function handleSaveCoreEdit() {
         email: document.getElementById('core-edit-email')?.value.trim() || ''
     };
 
+    await submitCoreContactUpdate(currentCoreEditContactId, payload, currentCoreEditVersion, btn);
+}
+
+async function submitCoreContactUpdate(contactId, payload, expectedVersion, btn) {
+    const headers = expectedVersion ? { 'If-Match': String(expectedVersion) } : {};
+
     try {
-        const response = await authedFetch(`/api/contacts/${currentCoreEditContactId}`, {
+        const response = await authedFetch(`/api/contacts/${contactId}`, {
             method: 'PUT',
+            headers,
             body: JSON.stringify(payload),
             skipRefresh: true
         });
@@ -923,6 +1085,7 @@ async function handleSaveCoreEdit() {
             if (typeof showNotification === 'function') showNotification('正式聯絡人已更新成功', 'success');
             
             currentCoreEditContactId = null;
+            currentCoreEditVersion = null;
             const safeQuery = document.getElementById('contacts-page-search')?.value || '';
             // [Patch] Will naturally respect currentCorePage
             await filterAndRenderContacts(safeQuery);
@@ -935,6 +1098,23 @@ async function handleSaveCoreEdit() {
             throw new Error(response.error || '更新失敗');
         }
     } catch (error) {
+        if (error.status === 409) {
+            const current = (error.data && error.data.current) || null;
+            const choice = await showSaveConflictDialog({ entityLabel: '聯絡人', localData: payload, serverData: current });
+            if (choice === 'reload' && current) {
+                renderCoreEditMode(current);
+                return;
+            }
+            if (choice === 'overwrite') {
+                await submitCoreContactUpdate(contactId, payload, current ? current.updatedTime : null, btn);
+                return;
+            }
+            if (btn) {
+                btn.disabled = false;
+                btn.textContent = '儲存變更';
+            }
+            return;
+        }
         console.error('Save core contact failed:', error);
         if (typeof showNotification === 'function') {
             showNotification(`儲存失敗: ${error.message}`, 'error');
@@ -68,7 +68,7 @@ CRM_APP.loadResources = async function() {
     const components = [
         'contact-modals', 'opportunity-modals', 'meeting-modals', 
         'system-modals', 'event-log-modal', 'link-contact-modal', 
-        'link-opportunity-modal', 'announcement-modals'
+        'link-opportunity-modal', 'announcement-modals', 'task-modals'
     ];
     
     const container = document.getElementById('modal-container');
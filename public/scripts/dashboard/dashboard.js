@@ -4,9 +4,13 @@
 // ============================================================================
 /**
  * public/scripts/dashboard/dashboard.js
- * @version 3.4.4
- * @date 2026-04-29
+ * @version 3.7.0
+ * @date 2026-10-19
  * @changelog
+ * - Non-blocking fetch of the 我的待辦 widget (/api/tasks/me)
+ * - MTU / SI cards can switch to group level (集團)；選擇記在 localStorage，以 ?groupLevel=true 向後端取數
+ * - Warns when trend revenue leaves out won deals in currencies without an FX rate (missingFxCurrencies)
+ * - Non-blocking fetch of the personal quota attainment card (/api/sales/quotas/me)
  * - [PHASE T2.1] Dashboard Phase T2.1 Trend Widget final semantics alignment.
  * - [PHASE T2] Official release of Dashboard Trend Widget with Cumulative view.
  * - [PHASE T1/T1.1] Replaced announcement widget with KPI Trend Widget.
@@ -31,6 +35,7 @@ const dashboardManager = {
     kanbanRawData: {},
     processedOpportunities: [], 
     availableYears: [], 
+    companyGroupLevel: localStorage.getItem('dashboardCompanyGroupLevel') === 'true',
 
     /**
      * 標記儀表板資料為過期 (Stale)
@@ -44,6 +49,16 @@ const dashboardManager = {
         }
     },
 
+    /**
+     * 切換 MTU / SI 拜訪統計的計算單位 (公司 ↔ 集團)
+     */
+    toggleCompanyGroupLevel() {
+        this.companyGroupLevel = !this.companyGroupLevel;
+        localStorage.setItem('dashboardCompanyGroupLevel', String(this.companyGroupLevel));
+        if (window.DashboardWidgets) DashboardWidgets._companyActivityDetailsCache = { mtu: null, si: null };
+        this.refresh(true);
+    },
+
     /**
      * 初始化與刷新儀表板資料
      * @param {boolean} force - 是否強制從後端刷新 (忽略快取)
@@ -56,7 +71,10 @@ const dashboardManager = {
 
         // Note: Backend range filtering is supported via ?range=, ?start=, ?end=
         // but UI controls have been removed for stabilization.
-        const dashboardApiUrl = force ? `/api/dashboard?t=${Date.now()}` : '/api/dashboard';
+        const query = new URLSearchParams();
+        if (this.companyGroupLevel) query.set('groupLevel', 'true');
+        if (force) query.set('t', Date.now());
+        const dashboardApiUrl = query.toString() ? `/api/dashboard?${query}` : '/api/dashboard';
 
         try {
             // 1. 併發請求資料 (已移除贅餘的 interactions/all 請求)
@@ -97,6 +115,9 @@ const dashboardManager = {
                 if (data.trendData) {
                     DashboardWidgets.renderTrendWidget(data.trendData, 'ytd', 'monthly');
                 }
+                if ((data.missingFxCurrencies || []).length > 0) {
+                    showNotification(`成交金額未計入以下缺少匯率的幣別：${data.missingFxCurrencies.join(', ')}`, 'warning');
+                }
                 
                 const activityWidget = document.querySelector('#activity-feed-widget .widget-content');
                 if (activityWidget) {
@@ -143,6 +164,20 @@ const dashboardManager = {
                 }
             }).catch(err => console.error('[Dashboard] 載入潛在客戶統計失敗:', err));
 
+            // 個人業績目標達成 (未設定目標時卡片維持隱藏)
+            authedFetch('/api/sales/quotas/me').then(res => {
+                if (res.success && window.DashboardWidgets) {
+                    DashboardWidgets.renderPersonalQuota(res.data);
+                }
+            }).catch(err => console.error('[Dashboard] 載入個人業績目標失敗:', err));
+
+            // 我的待辦 (逾期 / 今天到期)
+            authedFetch('/api/tasks/me').then(res => {
+                if (res.success && window.DashboardWidgets) {
+                    DashboardWidgets.renderMyTasks(res.data);
+                }
+            }).catch(err => console.error('[Dashboard] 載入我的待辦失敗:', err));
+
         } catch (error) {
             if (error.message !== 'Unauthorized') {
                 console.error("[Dashboard] 刷新儀表板時發生錯誤:", error);
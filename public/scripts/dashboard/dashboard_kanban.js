@@ -267,7 +267,7 @@ const DashboardKanban = {
                                 <span class="card-tag assignee">👤 ${opp.assignee}</span>
                                 ${opp.opportunityType ? `<span class="card-tag type">📖 ${oppTypeConfig?.note || opp.opportunityType}</span>` : ''}
                             </div>
-                            ${opp.opportunityValue ? `<div class="card-value">💰 ${opp.opportunityValue}</div>` : ''}
+                            ${opp.opportunityValue ? `<div class="card-value">💰 ${opp.opportunityValue}${opp.currency && opp.currency !== 'TWD' ? ` ${opp.currency}` : ''}</div>` : ''}
                         </div>`;
             });
 
@@ -1,8 +1,12 @@
 /**
  * public/scripts/dashboard/dashboard_widgets.js
- * @version 1.4.6
- * @date 2026-04-29
+ * @version 1.7.0
+ * @date 2026-10-19
  * @changelog
+ * - Added renderMyTasks: 我的待辦 widget (overdue / due today, one-click complete)
+ * - MTU / SI cards: 公司 / 集團 scope toggle (stats.companyGroupLevel); tooltip details fetched with the same scope
+ * - Personal quota card flags currencies left out of the achieved amount (missing FX rate)
+ * - Added renderPersonalQuota: logged-in user's month / quarter quota attainment card (hidden when no quota is set)
  * - Dashboard Phase T3-Revenue Visual Final Polish
  * - Restore legend to top-center position
  * - Move "成交金額" legend item to the end (legendIndex: 99)
@@ -38,6 +42,7 @@ const DashboardWidgets = {
         this._updateTrend('won-trend', stats.wonCountMonth);
 
         // 2. MTU 統計與浮動資訊卡片 (Tooltip)
+        this._companyGroupLevel = !!stats.companyGroupLevel;
         updateText('mtu-count', stats.mtuCount || 0);
         this._updateTrend('mtu-trend', stats.mtuCountMonth);
         
@@ -52,6 +57,9 @@ const DashboardWidgets = {
         if (stats.siDetails) {
             this._setupLazyTooltip('si', 'si-count', stats.siDetails);
         }
+
+        this._renderScopeToggle('mtu-count');
+        this._renderScopeToggle('si-count');
         
         // 確保樣式存在
         this._ensureStyles();
@@ -81,6 +89,28 @@ const DashboardWidgets = {
     },
 
     _companyActivityDetailsCache: { mtu: null, si: null },
+    _companyGroupLevel: false,
+
+    /**
+     * 在 MTU / SI 卡片標題旁顯示「公司 / 集團」切換 (不觸發卡片導覽)
+     */
+    _renderScopeToggle(elementId) {
+        const card = document.getElementById(elementId)?.closest('.stat-card');
+        const label = card?.querySelector('.stat-label');
+        if (!label) return;
+
+        label.querySelector('.stat-scope-toggle')?.remove();
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = `stat-scope-toggle${this._companyGroupLevel ? ' active' : ''}`;
+        toggle.textContent = this._companyGroupLevel ? '集團' : '公司';
+        toggle.title = this._companyGroupLevel ? '目前以集團計算 (子公司 / 廠區併入最上層公司)，點擊改為逐家公司' : '目前逐家公司計算，點擊改為以集團計算';
+        toggle.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (window.dashboardManager) dashboardManager.toggleCompanyGroupLevel();
+        });
+        label.appendChild(toggle);
+    },
 
     _setupLazyTooltip(type, elementId, details) {
         const countEl = document.getElementById(elementId);
@@ -94,7 +124,7 @@ const DashboardWidgets = {
         const oldTooltip = card.querySelector('.custom-tooltip');
         if (oldTooltip) oldTooltip.remove();
 
-        const title = type === 'mtu' ? 'MTU 拜訪概況' : 'SI 拜訪概況';
+        const title = (type === 'mtu' ? 'MTU 拜訪概況' : 'SI 拜訪概況') + (this._companyGroupLevel ? ' (集團)' : '');
         const totalTarget = details.totalMtu !== undefined ? details.totalMtu : details.totalSi;
 
         // 建立 Tooltip HTML
@@ -136,7 +166,8 @@ const DashboardWidgets = {
                 }
                 
                 try {
-                    const res = await authedFetch(`/api/dashboard/company-activity-details?type=${type}`);
+                    const scope = this._companyGroupLevel ? '&groupLevel=true' : '';
+                    const res = await authedFetch(`/api/dashboard/company-activity-details?type=${type}${scope}`);
                     if (res.success && res.data) {
                         this._companyActivityDetailsCache[type] = res.data;
                         this._renderTooltipList(listEl, subtitleEl, res.data);
@@ -341,6 +372,87 @@ const DashboardWidgets = {
         this._ensureStyles();
     },
 
+    /**
+     * 渲染登入者的業績目標達成卡片 (GET /api/sales/quotas/me)
+     * @param {Object} data - { assignee, items }
+     */
+    renderPersonalQuota(data) {
+        const widget = document.getElementById('personal-quota-widget');
+        const content = document.getElementById('personal-quota-content');
+        if (!widget || !content) return;
+
+        const items = (data && data.items) || [];
+        if (items.length === 0) {
+            widget.style.display = 'none';
+            return;
+        }
+
+        const fmtM = v => (v || 0).toLocaleString('zh-TW', { style: 'currency', currency: 'TWD', minimumFractionDigits: 0 });
+        const periodLabel = q => (q.periodType === 'quarter' ? '本季' : '本月') + (q.salesModel ? `・${q.salesModel}` : '');
+
+        content.innerHTML = `<div style="display: flex; flex-wrap: wrap; gap: 16px;">${items.map(q => {
+            const color = q.attainmentRate >= 100 ? '#10b981' : (q.attainmentRate >= q.elapsedRatio ? '#3b82f6' : '#f97316');
+            return `
+                <div class="stat-card" data-page="sales-analysis" style="flex: 1; min-width: 220px; border-left-color: ${color};">
+                    <div class="stat-header"><div class="stat-label">${periodLabel(q)} (${q.periodKey})</div></div>
+                    <div class="stat-content">
+                        <div class="stat-number" style="color: ${color};">${q.attainmentRate}%</div>
+                        <div style="height: 6px; background: var(--border-color); border-radius: 3px; overflow: hidden; margin: 6px 0;">
+                            <div style="width: ${Math.min(q.attainmentRate, 100)}%; height: 100%; background: ${color};"></div>
+                        </div>
+                        <div style="font-size: 0.8rem; color: var(--text-muted); line-height: 1.6;">
+                            已達成 ${fmtM(q.achievedAmount)} / 目標 ${fmtM(q.targetAmount)}<br>
+                            差額 ${fmtM(q.gap)}｜期末預估 ${fmtM(q.projectedAmount)} (${q.projectedRate}%)
+                            ${(q.missingFxCurrencies || []).length ? `<br><span style="color: var(--accent-orange);">⚠️ ${q.missingFxCurrencies.join(', ')} 缺少匯率，未計入</span>` : ''}
+                        </div>
+                    </div>
+                </div>`;
+        }).join('')}</div>`;
+        widget.style.display = '';
+    },
+
+    /**
+     * 渲染「我的待辦」：逾期與今天到期的任務，勾選即完成
+     * @param {Object} data - /api/tasks/me 回傳 { overdue, dueToday, upcomingCount }
+     */
+    renderMyTasks(data) {
+        const content = document.getElementById('my-tasks-content');
+        if (!content) return;
+
+        const overdue = (data && data.overdue) || [];
+        const dueToday = (data && data.dueToday) || [];
+        const upcomingCount = (data && data.upcomingCount) || 0;
+        const esc = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+        const renderItem = (t) => {
+            const context = t.opportunityId
+                ? `<a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('opportunity-details', { opportunityId: '${esc(t.opportunityId)}' })">${esc(t.opportunityName || '機會')}</a>`
+                : esc(t.companyName || t.contactName || '');
+            const repeat = t.recurrence && t.recurrence !== 'none' ? ' 🔁' : '';
+            return `
+                <li style="display: flex; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid var(--border-color);">
+                    <input type="checkbox" title="標記完成" onchange="TaskManager.complete('${esc(t.taskId)}', this)">
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-weight: 500; cursor: pointer;" onclick="TaskManager.openEdit('${esc(t.taskId)}')">${esc(t.title)}${repeat}</div>
+                        <div style="font-size: 0.8rem; color: var(--text-muted);">${context}</div>
+                    </div>
+                    <span style="font-size: 0.8rem; color: ${t.isOverdue ? 'var(--accent-red)' : 'var(--text-muted)'};">${esc(t.dueDate)}</span>
+                </li>`;
+        };
+
+        const section = (label, items) => items.length === 0 ? '' : `
+            <div style="font-size: 0.85rem; font-weight: 600; margin-top: 8px;">${label} (${items.length})</div>
+            <ul style="list-style: none; padding: 0; margin: 0;">${items.map(renderItem).join('')}</ul>`;
+
+        const upcoming = upcomingCount > 0
+            ? `<div style="font-size: 0.8rem; color: var(--text-muted); margin-top: 8px;">未來 7 天另有 ${upcomingCount} 項待辦</div>`
+            : '';
+
+        content.innerHTML = (overdue.length + dueToday.length === 0)
+            ? `<div class="alert alert-info">今天沒有到期的待辦 🎉</div>${upcoming}`
+            : `${section('⚠️ 已逾期', overdue)}${section('📌 今天到期', dueToday)}${upcoming}`;
+    },
+
     /**
      * 渲染最新動態列表
      * @param {Array} feedData - 動態資料列表
@@ -400,6 +512,24 @@ const DashboardWidgets = {
             const style = document.createElement('style');
             style.id = 'dashboard-widget-styles';
             style.innerHTML = `
+                /* MTU / SI 公司 / 集團切換 */
+                .stat-scope-toggle {
+                    margin-left: 6px;
+                    padding: 0 6px;
+                    font-size: 0.7rem;
+                    line-height: 1.5;
+                    border: 1px solid var(--border-color);
+                    border-radius: 999px;
+                    background: transparent;
+                    color: var(--text-muted);
+                    cursor: pointer;
+                }
+                .stat-scope-toggle.active {
+                    background: var(--accent-blue, #3b82f6);
+                    border-color: var(--accent-blue, #3b82f6);
+                    color: #fff;
+                }
+
                 /* 浮動資訊卡片 Tooltip 樣式 */
                 .custom-tooltip {
                     display: none;
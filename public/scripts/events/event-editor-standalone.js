@@ -1,8 +1,8 @@
 // public/scripts/events/event-editor-standalone.js
 /**
- * @version Phase 8.11 Final Stable
- * @date 2026-04-15
- * @purpose Phase 8.11 Production：修正外部關閉 (ESC/Backdrop) 導致的 Scroll Lock 凍結問題
+ * @version Phase 8.12 (Event Type Schemas)
+ * @date 2026-10-19
+ * @purpose Phase 8.12：事件類型卡片與專屬欄位改由 EventSchemas (管理員維護的欄位設定) 渲染，儲存前檢查必填欄位
  * @description [Bugfix Patch] Added MutationObserver to guarantee _unlockScroll fires when modal is hidden externally.
  */
 
@@ -33,10 +33,7 @@ const EventEditorStandalone = (() => {
     // [Fix] Prevent double-submit
     let _isSaving = false;
 
-    const DEFAULT_OPTIONS = {
-        lineFeatures: ['工具機', 'ROBOT', '傳產機', 'PLC'],
-        painPoints: ['Monitoring', 'Improve OEE', 'Reduce Man-hours', 'Others']
-    };
+    const FIELD_CLASSES = { label: 'iso-label', input: 'iso-input', textarea: 'form-textarea', checkboxGroup: 'checkbox-group' };
 
     // 【新增】確保模板已載入
     async function _ensureTemplateLoaded() {
@@ -172,6 +169,7 @@ const EventEditorStandalone = (() => {
         try {
             await _ensureTemplateLoaded();
             _init();
+            await EventSchemas.load();
             
             if (!_modal || !_form) {
                 console.error('無法初始化編輯器 DOM');
@@ -293,7 +291,7 @@ const EventEditorStandalone = (() => {
         let mergedData = '';
 
         if (container) {
-            container.querySelectorAll('input[type="text"], textarea').forEach(el => {
+            container.querySelectorAll('input[type="text"], input[type="number"], input[type="date"], textarea, select').forEach(el => {
                 if (el.value && el.value.trim()) {
                     hasData = true;
                     const label = el.closest('.form-group')?.querySelector('label')?.textContent || el.name;
@@ -325,36 +323,41 @@ const EventEditorStandalone = (() => {
         }
     }
 
-    async function _applyTypeSwitch(newType, eventData) {
+    function _renderTypeCards(currentType) {
         const grid = document.querySelector('#standalone-event-modal .type-select-grid');
-        if (grid) {
-            grid.querySelectorAll('.type-select-card').forEach(el => el.classList.remove('selected'));
-            const target = grid.querySelector(`.type-select-card[data-type="${newType}"]`);
-            if(target) target.classList.add('selected');
-        }
+        if (!grid) return;
+
+        const schemas = EventSchemas.list(currentType);
+        const types = schemas.length > 0 ? schemas : [{ eventType: 'general', label: '一般紀錄', icon: '📝' }];
+        grid.innerHTML = types.map(t => `
+            <div class="type-select-card ${t.eventType === currentType ? 'selected' : ''}" data-type="${t.eventType}" onclick="EventEditorStandalone.selectType('${t.eventType}', this)">
+                <div class="type-icon">${t.icon || '🗂️'}</div>
+                <div class="type-text">${t.label}</div>
+            </div>
+        `).join('');
+    }
+
+    async function _applyTypeSwitch(newType, eventData) {
+        _renderTypeCards(newType);
         _inputs.type.value = newType;
 
+        const schema = EventSchemas.get(newType);
+        const hasFields = !!(schema && schema.fields.length > 0);
+
         _updateSpecificCardColor(newType);
         _inputs.specificContainer.innerHTML = '';
+        _inputs.specificTitle.textContent = schema ? `${schema.label} 專屬資訊` : '專屬資訊';
         
-        if (newType === 'general') {
+        if (newType === 'general' && !hasFields) {
             _inputs.specificWrapper.style.display = 'none';
             _inputs.workspaceGrid.classList.remove('has-sidebar');
         } else {
             _inputs.specificWrapper.style.display = 'block';
             _inputs.workspaceGrid.classList.add('has-sidebar');
             
-            if (newType === 'iot') {
-                _renderIoTFields(eventData);
-            } else if (newType === 'dt') {
-                _renderSimpleFields(eventData, 
-                    ['dt_deviceScale', 'dt_processingType', 'dt_industry'], 
-                    ['設備規模', '加工類型', '加工產業別'],
-                    ['例：預計導入機台數、場域大小...', '例：CNC、射出成型、組裝...', '例：航太、半導體、車用...']
-                );
-            } else {
-                _inputs.specificContainer.innerHTML = '<p style="color:var(--text-muted); text-align:center; padding:20px;">無專屬欄位設定</p>';
-            }
+            _inputs.specificContainer.innerHTML = hasFields
+                ? EventSchemas.renderFieldsHTML(schema, eventData, FIELD_CLASSES)
+                : '<p style="color:var(--text-muted); text-align:center; padding:20px;">無專屬欄位設定</p>';
             
             // Trigger resize for new fields
             _inputs.specificContainer.querySelectorAll('textarea').forEach(el => {
@@ -374,53 +377,6 @@ const EventEditorStandalone = (() => {
         _inputs.specificTitle.style.borderBottomColor = `color-mix(in srgb, ${baseColor} 20%, white)`;
     }
 
-    function _renderIoTFields(data) {
-        const container = _inputs.specificContainer;
-
-        // ✅ v1.0.6：避免 UX 退化 — 設備規模改回 textarea（承襲你 v1.0.3 的修正）
-        container.innerHTML += _createTextareaHTML('iot_deviceScale', '設備規模', data.iot_deviceScale, '例：機台數量 50 台、PLC 型號...');
-
-        const lineFeaturesVal = (data.iot_lineFeatures || '').split(',').map(s=>s.trim());
-        container.innerHTML += _createCheckboxGroupHTML('iot_lineFeatures', '生產線特徵(可多選)', DEFAULT_OPTIONS.lineFeatures, lineFeaturesVal);
-
-        container.innerHTML += _createTextareaHTML('iot_productionStatus', '生產現況', data.iot_productionStatus, '請描述客戶目前的生產流程、稼動率或遇到的瓶頸...');
-        container.innerHTML += _createTextareaHTML('iot_iotStatus', 'IoT現況', data.iot_iotStatus, '客戶是否已導入 MES、ERP 或其他聯網系統？');
-        
-        const painPointsVal = (data.iot_painPoints || '').split(',').map(s=>s.trim());
-        container.innerHTML += _createCheckboxGroupHTML('iot_painPoints', '痛點分類(可多選)', DEFAULT_OPTIONS.painPoints, painPointsVal);
-
-        container.innerHTML += _createTextareaHTML('iot_painPointDetails', '客戶痛點說明', data.iot_painPointDetails, '請詳細描述客戶提出的具體困難點...');
-        container.innerHTML += _createTextareaHTML('iot_painPointAnalysis', '痛點分析與對策', data.iot_painPointAnalysis, '針對上述痛點，我方提出的分析觀點或初步對策...');
-        container.innerHTML += _createTextareaHTML('iot_systemArchitecture', '系統架構', data.iot_systemArchitecture, '請描述預計導入的架構、硬體配置或軟體模組...');
-    }
-
-    function _renderSimpleFields(data, keys, labels, placeholders = []) {
-        let html = '';
-        keys.forEach((key, idx) => {
-            html += _createInputHTML(key, labels[idx], data[key], placeholders[idx] || '');
-        });
-        _inputs.specificContainer.innerHTML = html;
-    }
-
-    function _createInputHTML(name, label, value, placeholder = '') {
-        const safeValue = (value === null || value === undefined) ? '' : value;
-        return `<div class="form-group"><label class="iso-label">${label}</label><input type="text" class="iso-input" name="${name}" value="${safeValue}" placeholder="${placeholder}"></div>`;
-    }
-    
-    // 這裡會產生 <textarea class="form-textarea">，搭配 CSS 的 resize: vertical 即可調整
-    function _createTextareaHTML(name, label, value, placeholder = '') {
-        const safeValue = (value === null || value === undefined) ? '' : value;
-        return `<div class="form-group"><label class="iso-label">${label}</label><textarea class="form-textarea" name="${name}" rows="1" placeholder="${placeholder}">${safeValue}</textarea></div>`;
-    }
-    
-    function _createCheckboxGroupHTML(name, label, options, selectedValues) {
-        let checks = options.map(opt => {
-            const checked = selectedValues.includes(opt) ? 'checked' : '';
-            return `<label><input type="checkbox" name="${name}" value="${opt}" ${checked}> ${opt}</label>`;
-        }).join('');
-        return `<div class="form-group"><label class="iso-label">${label}</label><div class="checkbox-group">${checks}</div></div>`;
-    }
-
     function _renderPillSelector(type, container, optionsList, selectedSet) {
         if (!container) return;
         const allItems = new Map();
@@ -483,20 +439,8 @@ const EventEditorStandalone = (() => {
 
         const id = _inputs.id.value;
         
-        // Phase 8.2 Fix: include dynamic fields outside <form>
         const formData = new FormData(_form);
 
-        // 手動補抓 IoT / DT 動態欄位（可能不在 form 內）
-        document.querySelectorAll(
-            '#standalone-specific-container input[name], #standalone-specific-container textarea[name]'
-        ).forEach(el => {
-            if (el.type === 'checkbox' || el.type === 'radio') {
-                if (el.checked) formData.append(el.name, el.value);
-            } else {
-                formData.append(el.name, el.value);
-            }
-        });
-
         const data = {};
         
         // 注意：FormData 可能包含重複 key（checkbox / 動態欄位補抓），這裡先收單值，multi 會在下方重算
@@ -523,6 +467,16 @@ const EventEditorStandalone = (() => {
 
         data.eventType = _inputs.type.value;
 
+        // 專屬欄位：依事件類型設定讀取 (含未勾選的多選欄位，才能清除舊值)
+        const schema = EventSchemas.get(data.eventType);
+        Object.assign(data, EventSchemas.collectValues(_inputs.specificContainer, schema));
+        const missing = EventSchemas.findMissingRequired(schema, data);
+        if (missing.length > 0) {
+            showNotification(`請填寫必填欄位：${missing.join('、')}`, 'warning');
+            _isSaving = false;
+            return;
+        }
+
         _setLoading(true, '儲存中...');
         try {
             // [Phase 8 Fix] Distinguish Create (POST) vs Update (PUT)
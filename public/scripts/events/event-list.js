@@ -2,9 +2,10 @@
 // 職責：渲染並管理「事件紀錄」頁面的主列表 (含搜尋、篩選、統計、圖示化操作)
 // (Systematic Refactor: Event Delegation - 統一事件處理機制)
 /**
- * @version 1.0.15
- * @date 2026-04-14
- * @description [Interaction Alignment Patch] Switched Event Name click action from edit-event to view-report to enforce observation-first flow.
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description 管理員可由「⚙️ 欄位設計」開啟 EventSchemaDesigner 設定事件類型與專屬欄位。
+ * - 1.0.15: [Interaction Alignment Patch] Switched Event Name click action from edit-event to view-report to enforce observation-first flow.
  */
 
 // 模組內部狀態
@@ -37,6 +38,7 @@ function renderEventLogList(container, eventList) {
             <div class="widget-header" style="display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid var(--border-color); padding-bottom: 15px;">
                 <div style="display: flex; align-items: baseline; gap: 15px;">
                     <h2 class="widget-title" style="margin: 0;">事件總覽</h2>
+                    ${window.CRM_APP?.currentUserRole === 'admin' ? '<button class="action-btn small secondary" data-action="open-schema-designer" title="設定事件類型與專屬欄位">⚙️ 欄位設計</button>' : ''}
                 </div>
                 <div id="event-type-tabs" class="event-tabs" style="display: flex; gap: 4px; background: var(--bg-hover, #f1f5f9); padding: 4px; border-radius: 8px; overflow-x: auto;">
                 </div>
@@ -151,6 +153,14 @@ function handleEventListClick(e) {
             }
             break;
 
+        case 'open-schema-designer':
+            if (window.EventSchemaDesigner) {
+                window.EventSchemaDesigner.open();
+            } else {
+                console.warn('EventSchemaDesigner module not found');
+            }
+            break;
+
         case 'view-report':
             if (typeof window.showEventLogReport === 'function') {
                 window.showEventLogReport(payload.id);
@@ -2,9 +2,11 @@
 // 職責：專門負責「查看報告」彈窗的顯示、渲染與匯出功能
 // (V6 - 包含智慧職稱關聯、動態標頭色、膠囊顯示)
 /**
- * @version 1.0.11
- * @date 2026-04-14
- * @description [Forensics Probe] Changed company name enrichment assignment to conditional block to prevent empty string fallback issues.
+ * @version 1.2.0
+ * @date 2026-10-19
+ * @description 報告下載改由伺服器產生 (GET /api/events/:eventId/report.pdf | report.docx)，不再依賴 CDN 的 html2pdf。
+ * - 1.1.0: 專屬資訊區塊改依 EventSchemas 事件類型欄位設定顯示 (未載入時沿用內建 IOT/DT 對照)。
+ * - 1.0.11: [Forensics Probe] Changed company name enrichment assignment to conditional block to prevent empty string fallback issues.
  */
 
 // [Forensics Probe] Debug Counter
@@ -46,6 +48,7 @@ async function showEventLogReport(eventId) {
         if (!result.success || !result.data) throw new Error(result.error || '找不到該筆紀錄');
         
         const eventData = result.data;
+        await EventSchemas.load();
 
         // 2. 【智慧關聯】嘗試獲取關聯的聯絡人清單以補完職稱
         let contextContacts = [];
@@ -95,6 +98,8 @@ async function showEventLogReport(eventId) {
                 console.error("EventEditorStandalone module not loaded");
             }
         };
+        document.getElementById('report-download-pdf-btn').onclick = () => downloadEventReport(eventId, 'pdf', eventData.eventName);
+        document.getElementById('report-download-docx-btn').onclick = () => downloadEventReport(eventId, 'docx', eventData.eventName);
         document.getElementById('report-delete-event-btn').onclick = () => {
             if (typeof confirmDeleteEvent === 'function') {
                 confirmDeleteEvent(eventData.eventId, eventData.eventName);
@@ -110,6 +115,32 @@ async function showEventLogReport(eventId) {
     }
 }
 
+/**
+ * 下載伺服器產生的拜訪報告
+ * @param {string} eventId
+ * @param {'pdf'|'docx'} format
+ * @param {string} [eventName] - 下載檔名用
+ */
+async function downloadEventReport(eventId, format, eventName = '') {
+    showLoading('正在產生報告...');
+    try {
+        const blob = await authedFetch(`/api/events/${encodeURIComponent(eventId)}/report.${format}`, { responseType: 'blob' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `拜訪報告_${(eventName || eventId).replace(/[\\/:*?"<>|\s]+/g, '_')}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        // authedFetch 已顯示錯誤訊息
+        console.error('[EventReport] download failed:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
 /**
  * 輔助函式：將人員字串轉換為膠囊 HTML (含智慧職稱補完)
  * @param {string} participantsStr - 原始字串
@@ -244,13 +275,20 @@ function renderEventLogReportHTML(event, contextContacts = []) {
         sectionsHTML += `<div class="report-section"><h3 class="section-title">${commonSection.title}</h3>${commonContent}</div>`;
     }
 
-    // (B) 專屬區塊
+    // (B) 專屬區塊 (優先採用管理員設定的事件類型欄位)
     const typeKey = event.eventType;
+    const schema = window.EventSchemas ? EventSchemas.get(typeKey) : null;
+    if (schema && schema.fields.length > 0) {
+        fieldMapping[typeKey] = {
+            title: `${schema.label} 專屬資訊`,
+            fields: schema.fields.map(f => ({ key: f.key, label: f.label, type: 'text' }))
+        };
+    }
     if (fieldMapping[typeKey]) {
         const typeSection = fieldMapping[typeKey];
         let typeContent = '';
         typeSection.fields.forEach(field => {
-            const rawValue = event[field.key] || event[field.key.replace(/^(iot|dt)_/, '')];
+            const rawValue = event[field.key] || event.payload?.[field.key] || event[field.key.replace(/^(iot|dt)_/, '')];
             if (rawValue) {
                 typeContent += createItemHTML(field.label, formatTextValue(rawValue));
             }
@@ -281,4 +319,5 @@ function renderEventLogReportHTML(event, contextContacts = []) {
 }
 
 // Ensure global accessibility
-window.showEventLogReport = showEventLogReport;
\ No newline at end of file
+window.showEventLogReport = showEventLogReport;
+window.downloadEventReport = downloadEventReport;
\ No newline at end of file
@@ -0,0 +1,315 @@
+// public/scripts/events/event-schema-designer.js
+/**
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 事件類型欄位設計 (管理員)
+ * - 左側為類型清單，右側編輯名稱 / 圖示 / 排序 / 啟用與專屬欄位 (key、名稱、輸入類型、選項、必填、提示文字)。
+ * - 儲存：PUT /api/events/schemas/:eventType；刪除 (內建類型為還原預設)：DELETE 同路徑。完成後 EventSchemas.load(true)。
+ */
+
+const EventSchemaDesigner = (() => {
+    const MODAL_ID = 'event-schema-designer-modal';
+    const INPUT_TYPES = [
+        { value: 'text', label: '單行文字' },
+        { value: 'textarea', label: '多行文字' },
+        { value: 'number', label: '數字' },
+        { value: 'date', label: '日期' },
+        { value: 'select', label: '下拉選單' },
+        { value: 'checkbox', label: '多選' }
+    ];
+
+    // _draft: 編輯中的類型 ({ eventType, label, icon, sortOrder, isActive, fields, builtIn, isNew })
+    let _draft = null;
+
+    function _escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function _clone(schema) {
+        return {
+            ...schema,
+            fields: (schema.fields || []).map(f => ({ ...f, options: [...(f.options || [])] }))
+        };
+    }
+
+    async function open() {
+        if (window.CRM_APP?.currentUserRole !== 'admin') {
+            showNotification('僅管理員可設定事件類型欄位', 'warning');
+            return;
+        }
+
+        document.getElementById(MODAL_ID)?.remove();
+        const modal = document.createElement('div');
+        modal.id = MODAL_ID;
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 1080px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">⚙️ 事件類型欄位設計</h2>
+                    <button type="button" class="close-btn" onclick="EventSchemaDesigner.close()">&times;</button>
+                </div>
+                <div style="display: grid; grid-template-columns: 220px 1fr; gap: 20px; padding: 10px 0; min-height: 420px;">
+                    <div style="border-right: 1px solid var(--border-color); padding-right: 15px;">
+                        <div id="esd-type-list" style="display: flex; flex-direction: column; gap: 6px;"></div>
+                        <button type="button" class="action-btn secondary" style="width: 100%; margin-top: 12px;" onclick="EventSchemaDesigner.createType()">+ 新增類型</button>
+                    </div>
+                    <div id="esd-editor"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        showModal(MODAL_ID);
+
+        await EventSchemas.load(true);
+        const first = EventSchemas.list()[0] || EventSchemas.get('general');
+        _draft = first ? _clone(first) : null;
+        _render();
+    }
+
+    function close() {
+        closeModal(MODAL_ID);
+        document.getElementById(MODAL_ID)?.remove();
+        _draft = null;
+    }
+
+    function _render() {
+        _renderTypeList();
+        _renderEditor();
+    }
+
+    function _renderTypeList() {
+        const list = document.getElementById('esd-type-list');
+        if (!list) return;
+
+        // 含停用類型 (停用者半透明顯示)
+        const all = EventSchemas.all();
+        list.innerHTML = all.map(s => {
+            const isSelected = _draft && !_draft.isNew && _draft.eventType === s.eventType;
+            return `
+                <button type="button" class="action-btn ${isSelected ? 'primary' : 'secondary'}" style="text-align: left; ${s.isActive ? '' : 'opacity: 0.6;'}"
+                        onclick="EventSchemaDesigner.selectType('${s.eventType}')">
+                    ${s.icon || '🗂️'} ${_escape(s.label)}${s.isActive ? '' : ' (停用)'}
+                </button>`;
+        }).join('') + (_draft?.isNew ? `<button type="button" class="action-btn primary" style="text-align: left;">🆕 新類型</button>` : '');
+    }
+
+    function _renderEditor() {
+        const editor = document.getElementById('esd-editor');
+        if (!editor) return;
+        if (!_draft) {
+            editor.innerHTML = '<p style="color: var(--text-muted);">請選擇或新增事件類型</p>';
+            return;
+        }
+
+        const d = _draft;
+        const deleteLabel = d.builtIn ? '還原預設' : '刪除類型';
+        editor.innerHTML = `
+            <div style="display: grid; grid-template-columns: 1.2fr 1.5fr 0.6fr 0.6fr auto; gap: 10px; align-items: end; margin-bottom: 15px;">
+                <div class="form-group" style="margin: 0;">
+                    <label class="form-label">類型 key</label>
+                    <input type="text" class="form-input" id="esd-type-key" value="${_escape(d.eventType)}" ${d.isNew ? '' : 'readonly'} placeholder="例：site_survey">
+                </div>
+                <div class="form-group" style="margin: 0;">
+                    <label class="form-label">類型名稱</label>
+                    <input type="text" class="form-input" id="esd-type-label" value="${_escape(d.label)}" placeholder="例：現場勘查">
+                </div>
+                <div class="form-group" style="margin: 0;">
+                    <label class="form-label">圖示</label>
+                    <input type="text" class="form-input" id="esd-type-icon" value="${_escape(d.icon)}" placeholder="🗂️">
+                </div>
+                <div class="form-group" style="margin: 0;">
+                    <label class="form-label">排序</label>
+                    <input type="number" class="form-input" id="esd-type-sort" value="${_escape(d.sortOrder)}">
+                </div>
+                <label style="display: flex; align-items: center; gap: 6px; padding-bottom: 10px; white-space: nowrap;">
+                    <input type="checkbox" id="esd-type-active" ${d.isActive ? 'checked' : ''} ${d.eventType === 'general' ? 'disabled' : ''}> 啟用
+                </label>
+            </div>
+
+            <table class="data-table" style="width: 100%; font-size: 0.9rem;">
+                <thead>
+                    <tr>
+                        <th style="width: 16%;">欄位 key</th>
+                        <th style="width: 16%;">欄位名稱</th>
+                        <th style="width: 13%;">輸入類型</th>
+                        <th>選項 (逗號分隔)</th>
+                        <th style="width: 6%;">必填</th>
+                        <th style="width: 16%;">提示文字</th>
+                        <th style="width: 96px;"></th>
+                    </tr>
+                </thead>
+                <tbody id="esd-field-rows">
+                    ${d.fields.length > 0 ? d.fields.map((f, i) => _fieldRowHTML(f, i, d.fields.length)).join('') : `
+                        <tr><td colspan="7" style="text-align: center; color: var(--text-muted); padding: 16px;">尚無專屬欄位</td></tr>`}
+                </tbody>
+            </table>
+            <button type="button" class="action-btn secondary small" style="margin-top: 10px;" onclick="EventSchemaDesigner.addField()">+ 新增欄位</button>
+
+            <div style="display: flex; justify-content: space-between; margin-top: 20px; border-top: 1px solid var(--border-color); padding-top: 15px;">
+                <div>
+                    ${d.isNew ? '' : `<button type="button" class="action-btn danger" onclick="EventSchemaDesigner.remove()">${deleteLabel}</button>`}
+                </div>
+                <div style="display: flex; gap: 10px;">
+                    <button type="button" class="action-btn secondary" onclick="EventSchemaDesigner.close()">關閉</button>
+                    <button type="button" class="action-btn primary" onclick="EventSchemaDesigner.save()">💾 儲存</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function _fieldRowHTML(field, index, total) {
+        const needsOptions = field.inputType === 'select' || field.inputType === 'checkbox';
+        return `
+            <tr data-index="${index}">
+                <td><input type="text" class="form-input" data-prop="key" value="${_escape(field.key)}" placeholder="例：site_area"></td>
+                <td><input type="text" class="form-input" data-prop="label" value="${_escape(field.label)}"></td>
+                <td>
+                    <select class="form-input" data-prop="inputType" onchange="EventSchemaDesigner.refreshFields()">
+                        ${INPUT_TYPES.map(t => `<option value="${t.value}" ${t.value === field.inputType ? 'selected' : ''}>${t.label}</option>`).join('')}
+                    </select>
+                </td>
+                <td><input type="text" class="form-input" data-prop="options" value="${_escape((field.options || []).join(', '))}" ${needsOptions ? '' : 'disabled placeholder="-"'}></td>
+                <td style="text-align: center;"><input type="checkbox" data-prop="required" ${field.required ? 'checked' : ''}></td>
+                <td><input type="text" class="form-input" data-prop="placeholder" value="${_escape(field.placeholder)}"></td>
+                <td style="white-space: nowrap;">
+                    <button type="button" class="action-btn small secondary" title="上移" ${index === 0 ? 'disabled' : ''} onclick="EventSchemaDesigner.moveField(${index}, -1)">↑</button>
+                    <button type="button" class="action-btn small secondary" title="下移" ${index === total - 1 ? 'disabled' : ''} onclick="EventSchemaDesigner.moveField(${index}, 1)">↓</button>
+                    <button type="button" class="action-btn small danger" title="移除" onclick="EventSchemaDesigner.removeField(${index})">✕</button>
+                </td>
+            </tr>`;
+    }
+
+    /**
+     * 將畫面上的輸入值寫回 _draft (重新渲染前呼叫，避免遺失編輯中內容)
+     */
+    function _syncDraft() {
+        if (!_draft) return;
+        const val = id => document.getElementById(id)?.value ?? '';
+        _draft.eventType = val('esd-type-key').trim();
+        _draft.label = val('esd-type-label').trim();
+        _draft.icon = val('esd-type-icon').trim();
+        _draft.sortOrder = val('esd-type-sort');
+        _draft.isActive = document.getElementById('esd-type-active')?.checked ?? _draft.isActive;
+
+        document.querySelectorAll('#esd-field-rows tr[data-index]').forEach(row => {
+            const field = _draft.fields[Number(row.dataset.index)];
+            if (!field) return;
+            const prop = name => row.querySelector(`[data-prop="${name}"]`);
+            field.key = prop('key').value.trim();
+            field.label = prop('label').value.trim();
+            field.inputType = prop('inputType').value;
+            field.options = prop('options').value.split(',').map(v => v.trim()).filter(Boolean);
+            field.required = prop('required').checked;
+            field.placeholder = prop('placeholder').value.trim();
+        });
+    }
+
+    function selectType(eventType) {
+        const schema = EventSchemas.get(eventType);
+        if (!schema) return;
+        _draft = _clone(schema);
+        _render();
+    }
+
+    function createType() {
+        _draft = { eventType: '', label: '', icon: '', sortOrder: '', isActive: true, fields: [], builtIn: false, isNew: true };
+        _render();
+    }
+
+    function addField() {
+        _syncDraft();
+        _draft.fields.push({ key: '', label: '', inputType: 'text', options: [], required: false, placeholder: '' });
+        _renderEditor();
+    }
+
+    function removeField(index) {
+        _syncDraft();
+        _draft.fields.splice(index, 1);
+        _renderEditor();
+    }
+
+    function moveField(index, delta) {
+        _syncDraft();
+        const target = index + delta;
+        if (target < 0 || target >= _draft.fields.length) return;
+        [_draft.fields[index], _draft.fields[target]] = [_draft.fields[target], _draft.fields[index]];
+        _renderEditor();
+    }
+
+    function refreshFields() {
+        _syncDraft();
+        _renderEditor();
+    }
+
+    async function save() {
+        _syncDraft();
+        const d = _draft;
+        if (!d.eventType || !d.label) {
+            showNotification('請輸入類型 key 與類型名稱', 'warning');
+            return;
+        }
+        if (d.isNew && EventSchemas.get(d.eventType)) {
+            showNotification(`類型 key「${d.eventType}」已存在`, 'warning');
+            return;
+        }
+
+        showLoading('正在儲存事件類型...');
+        try {
+            const result = await authedFetch(`/api/events/schemas/${encodeURIComponent(d.eventType)}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    label: d.label,
+                    icon: d.icon,
+                    sortOrder: d.sortOrder === '' ? undefined : Number(d.sortOrder),
+                    isActive: d.isActive,
+                    fields: d.fields
+                }),
+                skipRefresh: true
+            });
+            if (result.success) {
+                showNotification('事件類型已儲存', 'success');
+                await EventSchemas.load(true);
+                selectType(result.data.eventType);
+            }
+        } catch (error) {
+            // authedFetch 已顯示錯誤訊息
+            console.error('[EventSchemaDesigner] save failed:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function remove() {
+        const d = _draft;
+        if (!d || d.isNew) return;
+        const message = d.builtIn
+            ? `確定要將「${d.label}」還原為系統預設欄位嗎？`
+            : `確定要刪除「${d.label}」類型嗎？\n若已有事件使用此類型，請改為停用。`;
+
+        showConfirmDialog(message, async () => {
+            showLoading('處理中...');
+            try {
+                const result = await authedFetch(`/api/events/schemas/${encodeURIComponent(d.eventType)}`, {
+                    method: 'DELETE',
+                    skipRefresh: true
+                });
+                if (result.success) {
+                    showNotification(result.restoredDefault ? '已還原預設欄位' : '事件類型已刪除', 'success');
+                    await EventSchemas.load(true);
+                    const next = EventSchemas.get(d.eventType) || EventSchemas.list()[0];
+                    _draft = next ? _clone(next) : null;
+                    _render();
+                }
+            } catch (error) {
+                console.error('[EventSchemaDesigner] delete failed:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    }
+
+    return { open, close, selectType, createType, addField, removeField, moveField, refreshFields, save, remove };
+})();
+
+window.EventSchemaDesigner = EventSchemaDesigner;
@@ -0,0 +1,149 @@
+// public/scripts/events/event-schemas.js
+/**
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 事件類型與專屬欄位設定 (GET /api/events/schemas) 的前端快取與欄位渲染
+ * - 新增事件精靈、獨立編輯器與事件報告共用；管理員於 EventSchemaDesigner 修改後呼叫 load(true) 重新載入。
+ * - 欄位：{ key, label, inputType: text|textarea|number|date|select|checkbox, options, required, placeholder }
+ */
+
+const EventSchemas = (() => {
+    let _schemas = [];
+    let _loadPromise = null;
+
+    function _escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 載入全部事件類型 (含停用，既有事件仍需依其設定顯示)
+     * @param {boolean} [force=false]
+     */
+    async function load(force = false) {
+        if (_loadPromise && !force) return _loadPromise;
+        _loadPromise = authedFetch('/api/events/schemas?includeInactive=true')
+            .then(result => {
+                _schemas = (result && result.success && Array.isArray(result.data)) ? result.data : [];
+                return _schemas;
+            })
+            .catch(error => {
+                console.error('[EventSchemas] load failed:', error);
+                _loadPromise = null;
+                return _schemas;
+            });
+        return _loadPromise;
+    }
+
+    /**
+     * 可選用的事件類型 (啟用中；currentType 即使停用也保留，供既有事件顯示)
+     */
+    function list(currentType = null) {
+        return _schemas.filter(s => s.isActive || s.eventType === currentType);
+    }
+
+    /**
+     * 全部事件類型 (含停用，供欄位設計使用)
+     */
+    function all() {
+        return [..._schemas];
+    }
+
+    function get(eventType) {
+        return _schemas.find(s => s.eventType === eventType) || null;
+    }
+
+    function _readValue(values, key) {
+        const value = values[key] !== undefined ? values[key] : values.payload?.[key];
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * 產生專屬欄位 HTML
+     * @param {Object} schema
+     * @param {Object} [values] - 事件資料 (欄位值取自 values[key] 或 values.payload[key])
+     * @param {Object} [classes] - { label, input, textarea, checkboxGroup }
+     */
+    function renderFieldsHTML(schema, values = {}, classes = {}) {
+        if (!schema || !schema.fields || schema.fields.length === 0) return '';
+        const cls = {
+            label: classes.label || 'form-label',
+            input: classes.input || 'form-input',
+            textarea: classes.textarea || 'form-textarea',
+            checkboxGroup: classes.checkboxGroup || 'checkbox-group'
+        };
+
+        return schema.fields.map(field => {
+            const value = _readValue(values, field.key);
+            const name = _escape(field.key);
+            const placeholder = _escape(field.placeholder);
+            const required = field.required ? ' <span style="color: var(--accent-red)">*</span>' : '';
+            const label = `<label class="${cls.label}">${_escape(field.label)}${field.inputType === 'checkbox' ? ' (可多選)' : ''}${required}</label>`;
+            let control;
+
+            switch (field.inputType) {
+                case 'textarea':
+                    control = `<textarea class="${cls.textarea}" name="${name}" rows="2" placeholder="${placeholder}">${_escape(value)}</textarea>`;
+                    break;
+                case 'number':
+                    control = `<input type="number" step="any" class="${cls.input}" name="${name}" value="${_escape(value)}" placeholder="${placeholder}">`;
+                    break;
+                case 'date':
+                    control = `<input type="date" class="${cls.input}" name="${name}" value="${_escape(value.slice(0, 10))}">`;
+                    break;
+                case 'select': {
+                    // 選項被移除後仍保留原值，避免編輯時被清空
+                    const options = field.options.includes(value) || !value ? field.options : [...field.options, value];
+                    control = `<select class="${cls.input}" name="${name}">
+                        <option value="">請選擇...</option>
+                        ${options.map(opt => `<option value="${_escape(opt)}" ${opt === value ? 'selected' : ''}>${_escape(opt)}</option>`).join('')}
+                    </select>`;
+                    break;
+                }
+                case 'checkbox': {
+                    const selected = value.split(',').map(v => v.trim()).filter(Boolean);
+                    const options = [...field.options, ...selected.filter(v => !field.options.includes(v))];
+                    control = `<div class="${cls.checkboxGroup}">${options.map(opt =>
+                        `<label><input type="checkbox" name="${name}" value="${_escape(opt)}" ${selected.includes(opt) ? 'checked' : ''}> ${_escape(opt)}</label>`
+                    ).join('')}</div>`;
+                    break;
+                }
+                default:
+                    control = `<input type="text" class="${cls.input}" name="${name}" value="${_escape(value)}" placeholder="${placeholder}">`;
+            }
+
+            return `<div class="form-group" data-schema-field="${name}">${label}${control}</div>`;
+        }).join('');
+    }
+
+    /**
+     * 讀取容器內的專屬欄位值 (每個欄位都會回傳；多選以「, 」串接，未勾選為空字串)
+     */
+    function collectValues(container, schema) {
+        const values = {};
+        if (!container || !schema) return values;
+
+        schema.fields.forEach(field => {
+            const selector = `[name="${CSS.escape(field.key)}"]`;
+            if (field.inputType === 'checkbox') {
+                values[field.key] = Array.from(container.querySelectorAll(`${selector}:checked`)).map(el => el.value).join(', ');
+            } else {
+                const el = container.querySelector(selector);
+                values[field.key] = el ? el.value.trim() : '';
+            }
+        });
+        return values;
+    }
+
+    /**
+     * @returns {Array<string>} 未填寫的必填欄位名稱
+     */
+    function findMissingRequired(schema, values) {
+        if (!schema) return [];
+        return schema.fields.filter(f => f.required && !String(values[f.key] || '').trim()).map(f => f.label);
+    }
+
+    return { load, list, all, get, renderFieldsHTML, collectValues, findMissingRequired };
+})();
+
+window.EventSchemas = EventSchemas;
@@ -2,9 +2,10 @@
 // 職責：管理「新增事件精靈」的完整流程 (Step 1 -> 2 -> 3 -> Create)
 // 修改歷程：加入機會自動跳轉、公司防呆、完成後連結至獨立編輯器、新增我方人員手動輸入、Dashboard Stale Integration
 /**
- * @version 1.1.2
- * @date 2026-03-17
- * @description [UX Patch] Opted into HTML rendering and persistent display for the create success notification, and corrected the manual dismiss selector to target `.toast`.
+ * @version 1.2.0
+ * @date 2026-10-19
+ * @description [Event Type Schemas] Step 2 type cards and type-specific fields are rendered from EventSchemas (admin-managed); required fields are checked before moving on and sent with the create payload.
+ * - 1.1.2: [UX Patch] Opted into HTML rendering and persistent display for the create success notification, and corrected the manual dismiss selector to target `.toast`.
  */
 
 const EventWizard = (() => {
@@ -21,6 +22,7 @@ const EventWizard = (() => {
         eventName: '',
         eventTime: '',
         eventLocation: '',
+        typeFields: {},
         
         // Step 3 Data
         selectedOurParticipants: new Set(),
@@ -30,9 +32,11 @@ const EventWizard = (() => {
     let searchTimeout;
 
     // --- 初始化與顯示 ---
-    function show(defaults = {}) {
+    async function show(defaults = {}) {
         // 1. 強制重置狀態 (Clean Slate)
         resetState();
+        await EventSchemas.load();
+        _renderTypeCards();
 
         // 2. 根據傳入的預設值設定狀態與起始步驟
         if (defaults.opportunityId) {
@@ -80,6 +84,7 @@ const EventWizard = (() => {
             eventName: '',
             eventTime: '',
             eventLocation: '',
+            typeFields: {},
             selectedOurParticipants: new Set(),
             selectedClientParticipants: new Set()
         };
@@ -101,11 +106,12 @@ const EventWizard = (() => {
         const locInput = document.getElementById('wiz-event-location');
         if(locInput) locInput.value = '';
         
-        // 重置 Step 2 類型卡片
-        document.querySelectorAll('.type-card').forEach(el => el.classList.remove('selected'));
-        // 預設選中 General
-        const generalCard = document.querySelector('.type-card[onclick*="general"]');
-        if(generalCard) generalCard.classList.add('selected');
+        // 重置 Step 2 類型卡片 (預設選中 General)
+        document.querySelectorAll('#wiz-type-grid .type-card').forEach(el => {
+            el.classList.toggle('selected', el.dataset.type === 'general');
+        });
+        const fieldsContainer = document.getElementById('wiz-type-fields');
+        if (fieldsContainer) fieldsContainer.innerHTML = '';
         
         // 重置手動輸入框
         const manualClient = document.getElementById('wiz-manual-participants');
@@ -187,10 +193,20 @@ const EventWizard = (() => {
                 showNotification('事件名稱與發生時間為必填', 'warning');
                 return;
             }
+            // 專屬欄位 (依事件類型設定)
+            const schema = EventSchemas.get(state.eventType);
+            const typeFields = EventSchemas.collectValues(document.getElementById('wiz-type-fields'), schema);
+            const missing = EventSchemas.findMissingRequired(schema, typeFields);
+            if (missing.length > 0) {
+                showNotification(`請填寫必填欄位：${missing.join('、')}`, 'warning');
+                return;
+            }
+
             // 暫存 DOM 資料回 State
             state.eventName = name;
             state.eventTime = time;
             state.eventLocation = locInput ? locInput.value.trim() : '';
+            state.typeFields = typeFields;
         }
         
         // 正常跳轉
@@ -311,12 +327,35 @@ const EventWizard = (() => {
     window.EventWizard_setTarget = _setTarget; 
 
     // --- Step 2: 定義事件 ---
+    function _renderTypeCards() {
+        const grid = document.getElementById('wiz-type-grid');
+        if (!grid) return;
+
+        const schemas = EventSchemas.list();
+        const types = schemas.length > 0 ? schemas : [{ eventType: 'general', label: '一般紀錄', icon: '📝' }];
+        grid.innerHTML = types.map(t => `
+            <div class="type-card ${t.eventType === state.eventType ? 'selected' : ''}" data-type="${t.eventType}" onclick="EventWizard.selectEventType('${t.eventType}', this)">
+                <div class="type-icon">${t.icon || '🗂️'}</div>
+                <div class="type-info"><div class="type-title">${t.label}</div><div class="type-desc"></div></div>
+            </div>
+        `).join('');
+        _renderTypeFields();
+    }
+
+    function _renderTypeFields() {
+        const container = document.getElementById('wiz-type-fields');
+        if (!container) return;
+        container.innerHTML = EventSchemas.renderFieldsHTML(EventSchemas.get(state.eventType), state.typeFields);
+    }
+
     function selectEventType(type, cardElement) {
+        if (state.eventType !== type) state.typeFields = {};
         state.eventType = type;
-        document.querySelectorAll('.type-card').forEach(el => el.classList.remove('selected'));
+        document.querySelectorAll('#wiz-type-grid .type-card').forEach(el => el.classList.remove('selected'));
         if (cardElement) {
             cardElement.classList.add('selected');
         }
+        _renderTypeFields();
     }
 
     // --- Step 3: 與會人員 ---
@@ -409,6 +448,7 @@ const EventWizard = (() => {
             const manualOurInput = document.getElementById('wiz-manual-our-participants'); // 【新增】
 
             const payload = {
+                ...state.typeFields,
                 eventType: state.eventType,
                 eventName: state.eventName,
                 createdTime: new Date(state.eventTime).toISOString(),
@@ -9,7 +9,6 @@
 
 const scripts = [
     "scripts/core/theme-toggle.js",
-    // "https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js", // 已移至 HTML head 避免阻塞
     "scripts/core/utils.js",
     "scripts/services/api.js",
     "scripts/services/ui.js",
@@ -20,7 +19,10 @@ const scripts = [
     "scripts/core/router.js",
     "scripts/core/main.js",
     "scripts/components/chip-wall.js",
+    "scripts/components/import-wizard.js",
+    "scripts/components/data-export.js",
     "scripts/meetings.js",
+    "scripts/tasks.js",
     "scripts/interactions.js",
     "scripts/announcements.js",
     "scripts/map-manager.js",
@@ -30,11 +32,13 @@ const scripts = [
     "scripts/opportunities/opportunities.js",
     "scripts/sales/sales-analysis-helper.js",
     "scripts/sales/sales-analysis-components.js",
+    "scripts/sales/sales-forecast.js",
     "scripts/sales/sales-analysis.js",
     "scripts/opportunities/details/opportunity-stepper.js",
     "scripts/opportunities/details/opportunity-interactions.js",
     "scripts/opportunities/details/opportunity-associated-contacts.js",
     "scripts/opportunities/details/opportunity-event-reports.js",
+    "scripts/opportunities/details/opportunity-quotes.js",
     "scripts/opportunities/details/opportunity-info-view.js",
     "scripts/opportunities/details/opportunity-details-components.js",
     "scripts/opportunities/opportunity-details-events.js",
@@ -42,6 +46,8 @@ const scripts = [
     "scripts/opportunities/opportunity-modals.js",
     "scripts/events/event-charts.js",
     "scripts/events/event-list.js",
+    "scripts/events/event-schemas.js",
+    "scripts/events/event-schema-designer.js",
     "scripts/events/event-report-manager.js",
     "scripts/events/event-wizard.js",
     "scripts/events/event-modal-manager.js",
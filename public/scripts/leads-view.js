@@ -1,7 +1,9 @@
 // File: public/scripts/leads-view.js
-// Version: 16.10.0
-// Date: 2026-03-22
+// Version: 16.12.0
+// Date: 2026-10-19
 // Changelog: 
+//   - V16.12.0 Lead Routing: Cards show the assigned salesperson and SLA status; 「我的」= leads assigned to me (plus my own unassigned uploads), new 「未分派」 queue, overdue reminder, and routing admins can reassign via the 改派 modal.
+//   - V16.11.0 In-App Card Scan: 「掃描名片」now uploads photos to POST /api/line/cards (same OCR intake as the web UI) instead of linking to the LINE bot.
 //   - V16.10.0 Delete Feature: Added handleDeleteSubmit and delete button visibility toggling based on card ownership.
 //   - V16.9.0 Exhibition UI Cleanup: Surgically removed the legacy exhibition badge (pill) to eliminate visual clutter and ghosting. The visual system now strictly relies on the Corner Triangle (mode) and Bottom Info Bar (information) without redundancy.
 //   - V16.8.0 Exhibition UI Theming: Added dynamic color and opacity injection from System Config for the exhibition corner triangle and bottom info bar. Implemented robust hexToRgba helper and safe fallbacks to guarantee UI stability.
@@ -21,6 +23,9 @@ let currentView = 'all';
 let showExhibitionOnly = false;
 let currentExhibitionConfig = null;
 
+// [V16.12.0] Lead routing info from GET /api/line/leads ({ isAdmin, salespeople, slaHours })
+let currentRouting = null;
+
 document.addEventListener('DOMContentLoaded', async () => {
     // [ITEM 5] Start with a neutral verifying state instead of jarring login prompt
     toggleContentVisibility(false, 'verifying');
@@ -270,8 +275,20 @@ function bindEvents() {
     const editForm = document.getElementById('edit-form');
     if (editForm) editForm.onsubmit = handleEditSubmit;
 
+    const assignForm = document.getElementById('assign-form');
+    if (assignForm) assignForm.onsubmit = handleAssignSubmit;
+
     const deleteBtn = document.getElementById('delete-lead-btn');
     if (deleteBtn) deleteBtn.onclick = handleDeleteSubmit;
+
+    const cardInput = document.getElementById('card-upload-input');
+    if (cardInput) {
+        cardInput.onchange = () => {
+            const files = Array.from(cardInput.files || []);
+            cardInput.value = '';
+            if (files.length > 0) handleCardUpload(files);
+        };
+    }
 }
 
 async function getValidIdToken() {
@@ -462,6 +479,7 @@ async function loadLeadsData() {
 
         if (result.success) {
             allLeads = result.data;
+            currentRouting = result.routing || null;
             
             // Extract config from payload and initialize UI enhancements safely
             if (result.exhibitionConfig) {
@@ -482,11 +500,24 @@ async function loadLeadsData() {
     }
 }
 
+// [V16.12.0] 我的名片：分派給我的，或我上傳且尚未分派的
+function isMyLead(lead) {
+    if (lead.assignment) return lead.assignment.assignedTo === currentUser.userId;
+    return lead.lineUserId === currentUser.userId;
+}
+
+function isOverdue(lead) {
+    return !!(lead.assignment && lead.assignment.sla && lead.assignment.sla.status === 'overdue');
+}
+
 function updateCounts() {
     document.getElementById('count-all').textContent = allLeads.length;
     
-    const myCount = allLeads.filter(l => l.lineUserId === currentUser.userId).length;
+    const myCount = allLeads.filter(isMyLead).length;
     document.getElementById('count-mine').textContent = myCount;
+
+    const unassignedCount = allLeads.filter(l => !l.assignment).length;
+    document.getElementById('count-unassigned').textContent = unassignedCount;
     
     const pendingCount = allLeads.filter(l => {
         const hasName = l.name && l.name.trim() !== '';
@@ -503,10 +534,16 @@ function updateCounts() {
         return isMine && (!hasName || !hasCompany);
     }).length;
 
+    const myOverdueCount = allLeads.filter(l => isOverdue(l) && l.assignment.assignedTo === currentUser.userId).length;
+
     const reminderEl = document.getElementById('my-pending-reminder');
     if (reminderEl) {
-        if (myPendingCount > 0) {
-            reminderEl.textContent = `⚠️ 你有 ${myPendingCount} 張待確認名片`;
+        const reminders = [];
+        if (myOverdueCount > 0) reminders.push(`⏰ ${myOverdueCount} 張名片已逾期未處理`);
+        if (myPendingCount > 0) reminders.push(`⚠️ 你有 ${myPendingCount} 張待確認名片`);
+
+        if (reminders.length > 0) {
+            reminderEl.textContent = reminders.join('　');
             reminderEl.style.display = 'block';
         } else {
             reminderEl.style.display = 'none';
@@ -527,7 +564,8 @@ function renderLeads() {
         const isPending = !hasName || !hasCompany;
 
         // Core state machine evaluation
-        if (currentView === 'mine' && lead.lineUserId !== currentUser.userId) return false;
+        if (currentView === 'mine' && !isMyLead(lead)) return false;
+        if (currentView === 'unassigned' && lead.assignment) return false;
         if (currentView === 'pending' && !isPending) return false;
 
         // Search text evaluation
@@ -575,7 +613,8 @@ function createCardHTML(lead) {
     const leadJson = JSON.stringify(lead).replace(/'/g, "&apos;").replace(/"/g, "&quot;");
 
     const isLocalDev = (currentUser.userId === 'TEST_LOCAL_USER');
-    const showEditBtn = isLocalDev || isMine;
+    const isAssignedToMe = !!(lead.assignment && lead.assignment.assignedTo === currentUser.userId);
+    const showEditBtn = isLocalDev || isMine || isAssignedToMe;
 
     const ownerName = lead.userNickname || 'Unknown';
     const ownerText = isMine ? `👤 我的` : `👤 ${ownerName}`;
@@ -646,11 +685,128 @@ function createCardHTML(lead) {
                     ${lead.mobile ? `<div class="info-line">📱 ${safeHtml(lead.mobile)}</div>` : ''}
                     ${lead.email ? `<div class="info-line">📧 ${safeHtml(lead.email)}</div>` : ''}
                 </div>
+                ${createAssignmentHTML(lead, leadJson)}
             </div>
         </div>
     `;
 }
 
+// ============================================================================
+// [V16.12.0] Lead Routing (負責業務 / SLA / 改派)
+// ============================================================================
+
+function formatSlaText(sla) {
+    if (!sla) return '';
+    if (sla.status === 'met') return '✓ 已於時限內處理';
+    if (sla.status === 'late') return '已處理 (逾時)';
+
+    const diffHours = Math.round((new Date(sla.dueTime) - Date.now()) / 3600000);
+    return sla.status === 'overdue'
+        ? `⏰ 逾期 ${Math.abs(diffHours)} 小時`
+        : `⏳ 剩 ${Math.max(diffHours, 0)} 小時`;
+}
+
+function createAssignmentHTML(lead, leadJson) {
+    if (!currentRouting) return '';
+
+    const safeHtml = (str) => (str || '').replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const assignment = lead.assignment;
+    const assignBtn = currentRouting.isAdmin
+        ? `<button class="assign-pill-btn" onclick='event.stopPropagation(); openAssign(${leadJson})'>改派</button>`
+        : '';
+
+    if (!assignment) {
+        return `
+            <div class="assignment-row">
+                <span class="assignee-text is-unassigned">📌 未分派</span>
+                ${assignBtn}
+            </div>`;
+    }
+
+    const isMe = assignment.assignedTo === currentUser.userId;
+    const sla = assignment.sla;
+    return `
+        <div class="assignment-row">
+            <span class="assignee-text">📌 ${isMe ? '我負責' : safeHtml(assignment.assigneeName)}</span>
+            ${assignment.ruleLabel ? `<span>(${safeHtml(assignment.ruleLabel)})</span>` : ''}
+            ${sla ? `<span class="sla-badge ${sla.status}">${formatSlaText(sla)}</span>` : ''}
+            ${assignBtn}
+        </div>`;
+}
+
+function openAssign(lead) {
+    const salespeople = (currentRouting && currentRouting.salespeople) || [];
+    const currentId = lead.assignment ? lead.assignment.assignedTo : '';
+    const safeHtml = (str) => (str || '').replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    document.getElementById('assign-rowIndex').value = lead.rowIndex;
+    document.getElementById('assign-lead-label').textContent =
+        `${lead.name || '未命名'}${lead.company ? `｜${lead.company}` : ''}`;
+
+    const options = salespeople.map(p =>
+        `<option value="${p.id.replace(/"/g, '&quot;')}" ${p.id === currentId ? 'selected' : ''}>${safeHtml(p.name || p.id)}</option>`);
+    // 目前負責人不在輪派名單時仍保留為選項
+    if (currentId && !salespeople.some(p => p.id === currentId)) {
+        options.unshift(`<option value="${currentId.replace(/"/g, '&quot;')}" selected>${safeHtml(lead.assignment.assigneeName)}</option>`);
+    }
+    options.unshift(`<option value="" ${currentId ? '' : 'selected'}>（取消分派）</option>`);
+    document.getElementById('assign-select').innerHTML = options.join('');
+
+    document.getElementById('assign-modal').style.display = 'block';
+}
+
+async function handleAssignSubmit(e) {
+    e.preventDefault();
+    const btn = e.target.querySelector('button[type="submit"]');
+    const originalText = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = '處理中...';
+
+    const rowIndex = document.getElementById('assign-rowIndex').value;
+    const assignedTo = document.getElementById('assign-select').value;
+
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (currentUser.userId === 'TEST_LOCAL_USER') {
+            headers['Authorization'] = 'Bearer TEST_LOCAL_TOKEN';
+        } else {
+            const idToken = await getValidIdToken();
+            if (!idToken) {
+                console.warn('[Auth] Missing token, skip request.');
+                return;
+            }
+            headers['Authorization'] = `Bearer ${idToken}`;
+        }
+
+        const res = await fetch(`/api/line/leads/${rowIndex}/assign`, {
+            method: 'PUT',
+            headers: headers,
+            body: JSON.stringify({ assignedTo })
+        });
+
+        if (res.status === 401) {
+            document.getElementById('assign-modal').style.display = 'none';
+            showAuthFailedFallback();
+            return;
+        }
+
+        const result = await res.json();
+        if (result.success) {
+            alert(result.message || '已改派名片');
+            document.getElementById('assign-modal').style.display = 'none';
+            loadLeadsData();
+        } else {
+            alert('改派失敗: ' + (result.message || result.error));
+        }
+    } catch (e) {
+        alert('網路錯誤');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = originalText;
+    }
+}
+
 function openPreview(driveLink) {
     if (!driveLink || driveLink === 'undefined' || driveLink === 'null') { 
         alert('此名片沒有圖片連結'); 
@@ -899,4 +1055,88 @@ async function handleDeleteSubmit(e) {
         deleteBtn.textContent = originalDeleteText;
         if (saveBtn) saveBtn.disabled = false;
     }
-}
\ No newline at end of file
+}
+
+// ============================================================================
+// [V16.11.0] Card Scan Upload (POST /api/line/cards)
+// ============================================================================
+
+const CARD_UPLOAD_MAX_EDGE = 1600; // 手機照片先縮圖，避免超過 API 單檔上限
+const CARD_UPLOAD_MAX_FILES = 2;   // 與 config.CARD_OCR.MAX_FILES 一致
+
+function readCardImage(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const dataUrl = reader.result;
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, CARD_UPLOAD_MAX_EDGE / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve({
+                    fileName: file.name.replace(/\.[^.]+$/, '') + '.jpg',
+                    mimeType: 'image/jpeg',
+                    content: canvas.toDataURL('image/jpeg', 0.85)
+                });
+            };
+            img.onerror = () => resolve({ fileName: file.name, mimeType: file.type, content: dataUrl });
+            img.src = dataUrl;
+        };
+        reader.onerror = () => reject(new Error(`無法讀取檔案 ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+async function handleCardUpload(files) {
+    if (files.length > CARD_UPLOAD_MAX_FILES) {
+        alert(`一次最多上傳 ${CARD_UPLOAD_MAX_FILES} 張名片`);
+        return;
+    }
+
+    const labelEl = document.getElementById('card-upload-label');
+    const originalLabel = labelEl ? labelEl.textContent : '';
+    if (labelEl) labelEl.textContent = `辨識中 (${files.length} 張)...`;
+
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (currentUser.userId === 'TEST_LOCAL_USER') {
+            headers['Authorization'] = 'Bearer TEST_LOCAL_TOKEN';
+        } else {
+            const idToken = await getValidIdToken();
+            if (!idToken) {
+                console.warn('[Auth] Missing token, skip request.');
+                return;
+            }
+            headers['Authorization'] = `Bearer ${idToken}`;
+        }
+
+        const payload = await Promise.all(files.map(readCardImage));
+        const res = await fetch('/api/line/cards', {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({ files: payload })
+        });
+
+        if (res.status === 401) {
+            showAuthFailedFallback();
+            return;
+        }
+
+        const result = await res.json();
+        const failed = (result.data && result.data.failed) || [];
+        const message = result.message || result.error || '上傳失敗';
+        alert(failed.length > 0
+            ? `${message}\n\n${failed.map(f => `${f.fileName}：${f.error}`).join('\n')}`
+            : message);
+
+        if (result.success) loadLeadsData();
+    } catch (e) {
+        alert('網路錯誤');
+    } finally {
+        if (labelEl) labelEl.textContent = originalLabel;
+    }
+}
@@ -25,11 +25,11 @@ async function showNewMeetingModal() {
     const minutes = String(now.getMinutes()).padStart(2, '0');
     document.getElementById('meeting-time').value = `${hours}:${minutes}`;
 
-    // 3. 重置時間開關狀態 (預設不勾選)
+    // 3. 重置時間開關狀態 (預設為定時會議，取消勾選則為全天)
     const timeCheckbox = document.getElementById('enable-meeting-time');
     if (timeCheckbox) {
-        timeCheckbox.checked = false;
-        toggleTimeInput(false); // 執行停用邏輯
+        timeCheckbox.checked = true;
+        toggleTimeInput(true);
         // 綁定切換事件
         timeCheckbox.onchange = (e) => toggleTimeInput(e.target.checked);
     }
@@ -38,6 +38,9 @@ async function showNewMeetingModal() {
     document.getElementById('meeting-title').value = '';
     document.getElementById('meeting-location').value = '';
     document.getElementById('meeting-description').value = '';
+    document.getElementById('meeting-duration').value = '60';
+    document.getElementById('meeting-reminder').value = '15';
+    document.getElementById('meeting-video-conference').checked = false;
     
     // 重置機會選擇器
     clearMeetingOpportunitySelection();
@@ -65,6 +68,7 @@ async function showNewMeetingModal() {
 function toggleTimeInput(isEnabled) {
     const wrapper = document.getElementById('meeting-time-wrapper');
     const input = document.getElementById('meeting-time');
+    const duration = document.getElementById('meeting-duration');
     
     if (isEnabled) {
         wrapper.classList.remove('disabled');
@@ -73,6 +77,7 @@ function toggleTimeInput(isEnabled) {
         wrapper.classList.add('disabled');
         input.disabled = true;
     }
+    if (duration) duration.disabled = !isEnabled;
 }
 
 function handleMeetingClick() {
@@ -139,6 +144,8 @@ function selectMeetingOpportunity(opp) {
     
     document.getElementById('meeting-opportunity-clear').style.display = 'block';
     document.querySelector('.dropdown-icon').style.display = 'none';
+
+    loadMeetingContacts(opp.id);
 }
 
 // 清除選擇
@@ -149,6 +156,7 @@ function clearMeetingOpportunitySelection() {
     
     document.getElementById('meeting-opportunity-clear').style.display = 'none';
     document.querySelector('.dropdown-icon').style.display = 'block';
+    renderMeetingContacts(null);
     
     const input = document.getElementById('meeting-opportunity-search');
     input.focus();
@@ -183,6 +191,52 @@ function renderParticipantSelector() {
     container.innerHTML = html;
 }
 
+// 載入機會聯絡人 (客戶與會者)
+async function loadMeetingContacts(opportunityId) {
+    const container = document.getElementById('meeting-contacts-container');
+    if (!container) return;
+    container.innerHTML = '<span style="color: var(--text-muted); font-size: 0.9rem;">載入聯絡人中...</span>';
+
+    try {
+        const result = await authedFetch(`/api/opportunities/${opportunityId}/details`);
+        // 使用者在載入期間改選其他機會時忽略舊結果
+        if (document.getElementById('meeting-opportunity-id').value !== opportunityId) return;
+        renderMeetingContacts((result.success && result.data && result.data.linkedContacts) || []);
+    } catch (error) {
+        if (error.message !== 'Unauthorized') {
+            console.error('載入機會聯絡人失敗:', error);
+            container.innerHTML = '<span style="color: var(--accent-red); font-size: 0.9rem;">無法載入聯絡人</span>';
+        }
+    }
+}
+
+// 渲染客戶與會者標籤 (有 Email 者預設勾選；null 代表尚未選擇機會)
+function renderMeetingContacts(contacts) {
+    const container = document.getElementById('meeting-contacts-container');
+    if (!container) return;
+
+    if (contacts === null) {
+        container.innerHTML = '<span style="color: var(--text-muted); font-size: 0.9rem;">請先選擇機會案件</span>';
+        return;
+    }
+    if (contacts.length === 0) {
+        container.innerHTML = '<span style="color: var(--text-muted); font-size: 0.9rem;">此機會尚無關聯聯絡人</span>';
+        return;
+    }
+
+    container.innerHTML = '';
+    contacts.forEach(contact => {
+        const hasEmail = !!(contact.email && contact.email.includes('@'));
+        const label = document.createElement('label');
+        label.className = `participant-tag${hasEmail ? '' : ' no-email'}`;
+        label.title = hasEmail ? contact.email : '無 Email，無法寄送邀請';
+        label.innerHTML = `<input type="checkbox" name="meeting-contacts" ${hasEmail ? 'checked' : 'disabled'}><span class="tag-text"></span>`;
+        label.querySelector('input').value = contact.contactId;
+        label.querySelector('.tag-text').textContent = contact.position ? `${contact.name} (${contact.position})` : contact.name;
+        container.appendChild(label);
+    });
+}
+
 // 顯示本週活動模態框
 async function showWeekEventsModal() {
     showModal('week-events-modal');
@@ -211,25 +265,33 @@ document.addEventListener('submit', async function(e) {
                                               .map(cb => cb.value)
                                               .join(', ');
             
-            // 【修改】組合日期與時間
+            const contactIds = Array.from(document.querySelectorAll('input[name="meeting-contacts"]:checked'))
+                                    .map(cb => cb.value);
+            
+            // 組合日期與時間 (未勾選時間 = 全天行程)
             const dateStr = document.getElementById('meeting-date').value;
-            const showTimeInTitle = document.getElementById('enable-meeting-time').checked;
-            const timeStr = showTimeInTitle ? document.getElementById('meeting-time').value : '00:00';
+            const isTimed = document.getElementById('enable-meeting-time').checked;
+            const timeStr = isTimed ? document.getElementById('meeting-time').value : '00:00';
             
             // 建立 ISO 字串 (YYYY-MM-DDTHH:mm:00)
             // 注意：這裡直接組合字串再 new Date，會視為本地時間，這符合預期
             const startTime = new Date(`${dateStr}T${timeStr}`).toISOString();
+            const reminder = document.getElementById('meeting-reminder').value;
 
             let eventData = {
                 title: document.getElementById('meeting-title').value,
                 startTime: startTime,
+                isAllDay: !isTimed,
+                duration: Number(document.getElementById('meeting-duration').value),
                 location: document.getElementById('meeting-location').value,
                 description: document.getElementById('meeting-description').value,
                 
                 opportunityId: opportunityId,
                 participants: selectedParticipants,
-                createInteraction: true,
-                showTimeInTitle: showTimeInTitle // 傳遞此參數控制標題顯示
+                contactIds: contactIds,
+                reminderMinutes: reminder ? [Number(reminder)] : [],
+                addVideoConference: document.getElementById('meeting-video-conference').checked,
+                createInteraction: true
             };
             
             const result = await authedFetch('/api/calendar/events', {
@@ -240,7 +302,13 @@ document.addEventListener('submit', async function(e) {
             hideLoading();
             
             if (result.success) {
-                showNotification('✅ 會議已建立！(日曆、互動、週報已同步)', 'success');
+                const skipped = result.skippedAttendees || [];
+                showNotification(
+                    skipped.length > 0
+                        ? `✅ 會議已建立！以下與會者無 Email，未寄送邀請：${skipped.join('、')}`
+                        : `✅ 會議已建立！(日曆、互動、週報已同步${result.attendees && result.attendees.length ? `，已邀請 ${result.attendees.length} 位與會者` : ''})`,
+                    skipped.length > 0 ? 'warning' : 'success'
+                );
                 closeModal('new-meeting-modal');
                 
                 if (typeof loadSystemStats === 'function') await loadSystemStats(); 
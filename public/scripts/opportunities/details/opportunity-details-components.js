@@ -3,8 +3,9 @@
 // ============================================================================
 // public/scripts/opportunity-details/opportunity-details-components.js
 // 職責：整合機會詳細頁面組件，處理編輯邏輯與資料存取
-// * @version 1.1.2 (Phase 8.6A Perf Patch)
-// * @date 2026-03-11
+// * @version 1.2.0 (Multi-Currency)
+// * @date 2026-10-19
+// * - 機會價值旁新增幣別選單 (系統設定「幣別」)
 // (依賴 OpportunityInfoView 進行顯示模式渲染)
 
 function _injectStylesForOppInfoCard() {
@@ -231,6 +232,11 @@ const OpportunityInfoCard = (() => {
         
         const rawValue = opp.opportunityValue;
         const formattedValue = String(rawValue !== null && rawValue !== undefined ? rawValue : '0').replace(/,/g, '');
+
+        const currency = opp.currency || 'TWD';
+        const currencyList = (window.CRM_APP?.systemConfig?.['幣別'] || []).map(c => c.value);
+        if (!currencyList.includes(currency)) currencyList.unshift(currency);
+        const currencyOptions = currencyList.map(c => `<option value="${c}" ${c === currency ? 'selected' : ''}>${c}</option>`).join('');
         
         const salesModelOptions = ['直接販售', '經由SI販售', '經由MTB販售'];
         
@@ -294,6 +300,7 @@ const OpportunityInfoCard = (() => {
                         <div style="display:flex; gap:8px; align-items:center;">
                             <input type="text" id="edit-opportunity-value" class="form-input" 
                                    value="${formattedValue}" ${isManualValue ? '' : 'disabled'} style="flex:1;">
+                            <select id="edit-currency" class="form-select" style="width: 90px;">${currencyOptions}</select>
                         </div>
                         <label class="manual-override-label">
                             <input type="checkbox" id="value-manual-override-checkbox" 
@@ -5,6 +5,8 @@
 // 修改紀錄：[2026-03-02] Phase 8 Patch: 
 // 1. Safe JSON parsing for specifications to prevent console warnings
 // 2. Support both Object and String formats for potentialSpecification
+// [2026-10-19] 機會價值顯示幣別 (非 TWD 時顯示幣別代碼)
+// [2026-10-19] 新增「結案」按鈕 (進行中案件) 與結案結果卡 (已結案案件)
 // -------------------------------------------------------------------------
 
 const OpportunityInfoView = (() => {
@@ -171,6 +173,16 @@ const OpportunityInfoView = (() => {
                 background: linear-gradient(135deg, #fb923c, #f97316);
             }
             .header-card-action-btn:active { transform: translateY(0); }
+            .header-card-action-btn.close-action {
+                flex: 6;
+                background: linear-gradient(135deg, #64748b, #475569);
+                border-color: #334155;
+                box-shadow: 0 2px 4px rgba(71, 85, 105, 0.3);
+            }
+            .header-card-action-btn.close-action:hover {
+                background: linear-gradient(135deg, #94a3b8, #64748b);
+                box-shadow: 0 8px 15px rgba(71, 85, 105, 0.4);
+            }
             .edit-btn-content {
                 display: flex;
                 flex-direction: row;
@@ -502,6 +514,7 @@ const OpportunityInfoView = (() => {
         const cleanVal = (rawValue !== null && rawValue !== undefined) ? String(rawValue).replace(/,/g, '') : '0';
         const numVal = Number(cleanVal);
         const valueStr = isNaN(numVal) ? '0' : numVal.toLocaleString();
+        const currencyPrefix = (opp.currency && opp.currency !== 'TWD') ? `${opp.currency} ` : '$';
         
         const createdDate = opp.createdTime ? opp.createdTime.split('T')[0] : '-';
         const closeDate = opp.expectedCloseDate ? opp.expectedCloseDate.split('T')[0] : '-';
@@ -515,6 +528,19 @@ const OpportunityInfoView = (() => {
         const displayAssignee = getFirst(opp, ['assignee', 'owner'], '-') || '-';
         const displaySource = getFirst(opp, ['opportunitySource', 'source'], '-') || '-';
 
+        const closeReasons = (window.CRM_APP && window.CRM_APP.systemConfig && window.CRM_APP.systemConfig['結案原因']) || [];
+        const closeReasonNote = (closeReasons.find(r => r.value === opp.closeReason) || {}).note || opp.closeReason || '';
+        const closeCardHtml = opp.closeResult
+            ? `<div class="header-card-mini" title="${(opp.closeNote || '').replace(/"/g, '&quot;')}">
+                    <span class="unified-label">結案結果</span>
+                    <span class="mini-header-value">${opp.closeResult === 'won' ? '✅ 成交' : '❌ 失敗'}${closeReasonNote ? `｜${closeReasonNote}` : ''}</span>
+               </div>`
+            : (opp.currentStatus !== '已完成'
+                ? `<div class="header-card-action-btn close-action" onclick="OpportunityInfoCardEvents.openCloseDialog()" title="成交 / 失敗結案">
+                        <div class="edit-btn-content"><span>結案</span></div>
+                   </div>`
+                : '');
+
         return `
             <div class="opp-view-container">
 
@@ -536,6 +562,8 @@ const OpportunityInfoView = (() => {
                         <span class="mini-header-value">${displaySource}</span>
                     </div>
 
+                    ${closeCardHtml}
+
                     <div class="header-card-action-btn" onclick="OpportunityInfoCardEvents.toggleEditMode(true)" title="編輯機會資訊">
                         <div class="edit-btn-content">
                             <span>編輯</span>
@@ -558,7 +586,7 @@ const OpportunityInfoView = (() => {
                     </div>
                     <div class="big-stat-card card-style-green">
                         <span class="unified-label">機會價值</span>
-                        <span class="stat-value val-money">$${valueStr}</span>
+                        <span class="stat-value val-money">${currencyPrefix}${valueStr}</span>
                     </div>
                     <div class="big-stat-card">
                         <span class="unified-label">下單機率</span>
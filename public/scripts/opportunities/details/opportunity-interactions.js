@@ -1,9 +1,10 @@
 /*
  * Project: TFC CRM
  * File: public/scripts/opportunities/details/opportunity-interactions.js
- * Version: v8.0.22 (Phase 8.10.18 - Timeline Stabilization & CSS Polish)
- * Date: 2026-04-14
+ * Version: v8.1.0 (Next Action Follow-up Tasks)
+ * Date: 2026-10-19
  * Changelog: 
+ * - v8.1.0: 「下次行動日期」: sends nextActionDate so the server creates / updates a follow-up task (我的待辦).
  * - Phase 8 Interaction UI: operation-key rowIndex -> interactionId for edit/delete
  * - Phase 8.10.2 Fix: Relaxed strict result.success check to prevent unreachable markStale on 204/raw responses
  * - Phase 8.10.3 Fix: Appended 'Z' to naive UTC ISO strings during showForEditing to prevent 8-hour offset loss.
@@ -251,6 +252,9 @@ const OpportunityInteractions = (() => {
                 nextAction: form.querySelector('#interaction-next-action').value,
                 modifier: getCurrentUser()
             };
+            // 下次行動有日期時，後端會建立 / 更新跟進任務 (留空則不變動既有任務)
+            const nextActionDate = form.querySelector('#interaction-next-action-date').value;
+            if (nextActionDate) interactionData.nextActionDate = nextActionDate;
 
             if (_context.opportunityId) interactionData.opportunityId = _context.opportunityId;
             if (_context.companyId) interactionData.companyId = _context.companyId;
@@ -267,6 +271,9 @@ const OpportunityInteractions = (() => {
             if (result && result.success === false) {
                 throw new Error(result.details || '操作失敗');
             }
+            if (result && result.followUpTaskId) {
+                showNotification(`已同步「我的待辦」跟進任務 (到期日 ${nextActionDate})`, 'info');
+            }
             
             // [Phase 8.10 Dashboard Refresh Fix] Interaction alters followUp list and recentActivity feed
             if (window.dashboardManager && typeof window.dashboardManager.markStale === 'function') {
@@ -583,10 +590,12 @@ const OpportunityInteractions = (() => {
         form.querySelector('#interaction-event-type').value = item.eventType;
         form.querySelector('#interaction-summary').value = item.contentSummary;
         form.querySelector('#interaction-next-action').value = item.nextAction;
+        form.querySelector('#interaction-next-action-date').value = '';
 
         const eventTypeSelect = form.querySelector('#interaction-event-type');
         const summaryTextarea = form.querySelector('#interaction-summary');
         const nextActionInput = form.querySelector('#interaction-next-action');
+        const nextActionDateInput = form.querySelector('#interaction-next-action-date');
         const submitBtn = form.querySelector('#interaction-submit-btn');
 
         // Evidence: 鎖定判斷固定兩類
@@ -596,11 +605,13 @@ const OpportunityInteractions = (() => {
             eventTypeSelect.disabled = true;
             summaryTextarea.readOnly = true;
             nextActionInput.readOnly = true;
+            nextActionDateInput.disabled = true;
             submitBtn.textContent = '💾 僅儲存時間變更';
         } else {
             eventTypeSelect.disabled = false;
             summaryTextarea.readOnly = false;
             nextActionInput.readOnly = false;
+            nextActionDateInput.disabled = false;
             submitBtn.textContent = '💾 儲存變更';
         }
 
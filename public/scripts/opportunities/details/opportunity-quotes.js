@@ -0,0 +1,405 @@
+// public/scripts/opportunities/details/opportunity-quotes.js
+/**
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 機會詳細頁「報價單」區塊 (/api/opportunities/:id/quotes)
+ * - 版本列表：檢視、編輯草稿、另存新版本、標記已送出 / 婉拒、接受 (可同步更新機會價值)、刪除草稿。
+ * - 編輯器：從商品目錄挑選商品，單價依機會銷售模式帶入；小計僅供預覽，實際金額以伺服器計算為準。
+ */
+
+const OpportunityQuotes = (() => {
+    const STATUS_LABELS = {
+        draft: { text: '草稿', color: '#6b7280' },
+        sent: { text: '已送出', color: '#3b82f6' },
+        accepted: { text: '已接受', color: '#10b981' },
+        rejected: { text: '已婉拒', color: '#ef4444' },
+        superseded: { text: '已取代', color: '#9ca3af' }
+    };
+
+    let _opportunityId = null;
+    let _quotes = [];
+    let _catalog = null;
+    // 編輯中的報價：{ quoteId (新增時為 null), basedOnQuoteId, lines: [{ productId, quantity, discountRate, note }] }
+    let _draft = null;
+
+    const _esc = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const _fmtMoney = (v, currency = 'TWD') => Number(v || 0).toLocaleString('zh-TW', { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2 });
+
+    function _statusChip(status) {
+        const s = STATUS_LABELS[status] || { text: status, color: '#6b7280' };
+        return `<span class="card-tag" style="background:${s.color}; color:#fff;">${s.text}</span>`;
+    }
+
+    async function _loadQuotes() {
+        const result = await authedFetch(`/api/opportunities/${_opportunityId}/quotes`);
+        _quotes = result.success ? (result.data || []) : [];
+    }
+
+    async function _loadCatalog() {
+        if (_catalog) return _catalog;
+        const result = await authedFetch(`/api/opportunities/${_opportunityId}/quotes/catalog`);
+        if (!result.success) throw new Error(result.error || '無法取得商品目錄');
+        _catalog = result.data;
+        return _catalog;
+    }
+
+    function _renderList() {
+        const container = document.getElementById('opportunity-quotes-list');
+        if (!container) return;
+
+        if (_quotes.length === 0) {
+            container.innerHTML = '<div class="alert alert-info">此機會尚無報價單。</div>';
+            return;
+        }
+
+        const rows = _quotes.map(q => {
+            const buttons = [`<button class="action-btn small info" onclick="OpportunityQuotes.view('${q.quoteId}')">👁️ 檢視</button>`];
+            if (q.status === 'draft') {
+                buttons.push(`<button class="action-btn small warn" onclick="OpportunityQuotes.edit('${q.quoteId}')">✏️ 編輯</button>`);
+                buttons.push(`<button class="action-btn small primary" onclick="OpportunityQuotes.setStatus('${q.quoteId}', 'sent')">📤 已送出</button>`);
+            }
+            if (q.status === 'sent') {
+                buttons.push(`<button class="action-btn small danger" onclick="OpportunityQuotes.setStatus('${q.quoteId}', 'rejected')">婉拒</button>`);
+            }
+            if (q.status === 'draft' || q.status === 'sent' || q.status === 'rejected') {
+                buttons.push(`<button class="action-btn small primary" style="background: var(--accent-green);" onclick="OpportunityQuotes.accept('${q.quoteId}')">✔ 接受</button>`);
+            }
+            buttons.push(`<button class="action-btn small info" onclick="OpportunityQuotes.copy('${q.quoteId}')" title="以此版本為基礎建立新版本">📄 另存新版</button>`);
+            if (q.status === 'draft') {
+                buttons.push(`<button class="action-btn small danger" onclick="OpportunityQuotes.remove('${q.quoteId}')" title="刪除草稿">🗑️</button>`);
+            }
+
+            return `
+                <tr>
+                    <td data-label="版本"><strong>v${q.version}</strong></td>
+                    <td data-label="狀態">${_statusChip(q.status)}</td>
+                    <td data-label="品項" style="text-align:right;">${q.lineItems.length}</td>
+                    <td data-label="總額" style="text-align:right; font-weight:600;">${_fmtMoney(q.total, q.currency)}</td>
+                    <td data-label="有效期限">${_esc(q.validUntil) || '-'}</td>
+                    <td data-label="建立">${_esc(q.createdBy)}<span style="font-size: 0.75rem; color: var(--text-muted); display: block;">${q.createdTime ? new Date(q.createdTime).toLocaleString('zh-TW') : ''}</span></td>
+                    <td data-label="操作"><div class="action-buttons-container">${buttons.join('')}</div></td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-container" style="overflow-x:auto;"><table class="data-table">
+                <thead><tr><th>版本</th><th>狀態</th><th style="text-align:right;">品項</th><th style="text-align:right;">總額</th><th>有效期限</th><th>建立</th><th>操作</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table></div>`;
+    }
+
+    function _renderDetail(quote) {
+        const panel = document.getElementById('opportunity-quote-editor');
+        if (!panel) return;
+
+        const lines = quote.lineItems.map(l => `
+            <tr>
+                <td>${_esc(l.name)}${l.spec ? `<span style="font-size: 0.75rem; color: var(--text-muted); display: block;">${_esc(l.spec)}</span>` : ''}</td>
+                <td style="text-align:right;">${l.quantity} ${_esc(l.unit)}</td>
+                <td style="text-align:right;">${_fmtMoney(l.unitPrice, quote.currency)}</td>
+                <td style="text-align:right;">${l.discountRate ? `${l.discountRate}%` : '-'}</td>
+                <td style="text-align:right;">${_fmtMoney(l.amount, quote.currency)}</td>
+                <td>${_esc(l.note)}</td>
+            </tr>`).join('');
+
+        panel.innerHTML = `
+            <div style="border: 1px solid var(--border-color); border-radius: var(--rounded-md); padding: var(--spacing-4); margin-top: var(--spacing-4);">
+                <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom: var(--spacing-3);">
+                    <h3 style="margin:0;">報價 v${quote.version} ${_statusChip(quote.status)}</h3>
+                    <button class="action-btn small" onclick="OpportunityQuotes.closeEditor()">✕ 關閉</button>
+                </div>
+                <div class="table-container" style="overflow-x:auto;"><table class="data-table">
+                    <thead><tr><th>商品</th><th style="text-align:right;">數量</th><th style="text-align:right;">單價</th><th style="text-align:right;">折扣</th><th style="text-align:right;">金額</th><th>備註</th></tr></thead>
+                    <tbody>${lines}</tbody>
+                </table></div>
+                <div style="text-align:right; margin-top: var(--spacing-3); line-height: 1.8;">
+                    <div>小計：${_fmtMoney(quote.subtotal, quote.currency)}</div>
+                    ${quote.discountRate ? `<div>整單折扣 ${quote.discountRate}%：-${_fmtMoney(quote.discountAmount, quote.currency)}</div>` : ''}
+                    <div style="font-size: 1.1rem; font-weight: 700;">總額：${_fmtMoney(quote.total, quote.currency)}</div>
+                </div>
+                ${quote.note ? `<div style="margin-top: var(--spacing-3); white-space: pre-wrap;">${_esc(quote.note)}</div>` : ''}
+            </div>`;
+    }
+
+    function _productOptions(selectedId) {
+        const groups = {};
+        (_catalog.products || []).forEach(p => {
+            const key = p.category || '未分類';
+            (groups[key] = groups[key] || []).push(p);
+        });
+        return '<option value="">請選擇商品...</option>' + Object.entries(groups).map(([category, items]) => `
+            <optgroup label="${_esc(category)}">
+                ${items.map(p => `<option value="${_esc(p.productId)}" ${p.productId === selectedId ? 'selected' : ''}>${_esc(p.name)}${p.spec ? ` (${_esc(p.spec)})` : ''}</option>`).join('')}
+            </optgroup>`).join('');
+    }
+
+    function _previewTotals() {
+        const products = new Map((_catalog.products || []).map(p => [p.productId, p]));
+        let subtotal = 0;
+        _draft.lines.forEach((line, index) => {
+            const product = products.get(line.productId);
+            const amount = product ? product.unitPrice * (Number(line.quantity) || 0) * (1 - (Number(line.discountRate) || 0) / 100) : 0;
+            subtotal += amount;
+            const priceCell = document.getElementById(`quote-line-price-${index}`);
+            const amountCell = document.getElementById(`quote-line-amount-${index}`);
+            if (priceCell) priceCell.textContent = product ? _fmtMoney(product.unitPrice, _catalog.currency) : '-';
+            if (amountCell) amountCell.textContent = _fmtMoney(amount, _catalog.currency);
+        });
+        const discountRate = Number(document.getElementById('quote-discount-rate')?.value) || 0;
+        const total = subtotal * (1 - discountRate / 100);
+        const totalEl = document.getElementById('quote-preview-total');
+        if (totalEl) totalEl.textContent = `小計 ${_fmtMoney(subtotal, _catalog.currency)}｜總額 ${_fmtMoney(total, _catalog.currency)}`;
+    }
+
+    function _renderEditor() {
+        const panel = document.getElementById('opportunity-quote-editor');
+        if (!panel) return;
+
+        const title = _draft.quoteId ? `編輯報價 v${_draft.version}` : (_draft.basedOnVersion ? `新版本 (複製自 v${_draft.basedOnVersion})` : '新增報價');
+        const lines = _draft.lines.map((line, index) => `
+            <tr>
+                <td><div class="select-wrapper"><select class="form-select" onchange="OpportunityQuotes.updateLine(${index}, 'productId', this.value)">${_productOptions(line.productId)}</select></div></td>
+                <td><input type="number" class="form-input" min="1" step="1" value="${_esc(line.quantity)}" style="width: 90px;" oninput="OpportunityQuotes.updateLine(${index}, 'quantity', this.value)"></td>
+                <td id="quote-line-price-${index}" style="text-align:right;">-</td>
+                <td><input type="number" class="form-input" min="0" max="100" step="0.5" value="${_esc(line.discountRate)}" style="width: 80px;" oninput="OpportunityQuotes.updateLine(${index}, 'discountRate', this.value)"></td>
+                <td id="quote-line-amount-${index}" style="text-align:right;">-</td>
+                <td><input type="text" class="form-input" value="${_esc(line.note)}" oninput="OpportunityQuotes.updateLine(${index}, 'note', this.value)"></td>
+                <td><button class="action-btn small danger" onclick="OpportunityQuotes.removeLine(${index})" title="移除">🗑️</button></td>
+            </tr>`).join('');
+
+        panel.innerHTML = `
+            <div style="border: 1px solid var(--border-color); border-radius: var(--rounded-md); padding: var(--spacing-4); margin-top: var(--spacing-4);">
+                <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom: var(--spacing-3); flex-wrap: wrap; gap: 10px;">
+                    <h3 style="margin:0;">${title}</h3>
+                    <span style="font-size: 0.85rem; color: var(--text-muted);">銷售模式：${_esc(_catalog.salesModel || '未設定')}｜採用價格：${_esc(_catalog.priceTierLabel)}</span>
+                </div>
+                <div class="table-container" style="overflow-x:auto;"><table class="data-table">
+                    <thead><tr><th>商品</th><th>數量</th><th style="text-align:right;">單價</th><th>折扣 %</th><th style="text-align:right;">金額</th><th>備註</th><th></th></tr></thead>
+                    <tbody>${lines || '<tr><td colspan="7" style="text-align:center;">尚未加入商品</td></tr>'}</tbody>
+                </table></div>
+                <button class="action-btn small info" style="margin-top: var(--spacing-3);" onclick="OpportunityQuotes.addLine()">+ 加入商品</button>
+                <div class="form-row" style="margin-top: var(--spacing-4);">
+                    <div class="form-group">
+                        <label class="form-label">整單折扣 (%)</label>
+                        <input type="number" class="form-input" id="quote-discount-rate" min="0" max="100" step="0.5" value="${_esc(_draft.discountRate)}" oninput="OpportunityQuotes.refreshPreview()">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">有效期限</label>
+                        <input type="date" class="form-input" id="quote-valid-until" value="${_esc(_draft.validUntil)}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">備註 / 條款</label>
+                    <textarea class="form-textarea" id="quote-note" placeholder="交期、付款條件...">${_esc(_draft.note)}</textarea>
+                </div>
+                <div style="display:flex; justify-content:space-between; align-items:center; flex-wrap: wrap; gap: 10px;">
+                    <strong id="quote-preview-total"></strong>
+                    <div>
+                        <button class="action-btn" onclick="OpportunityQuotes.closeEditor()">取消</button>
+                        <button class="action-btn primary" onclick="OpportunityQuotes.save()">💾 儲存</button>
+                    </div>
+                </div>
+            </div>`;
+
+        _previewTotals();
+    }
+
+    async function _openEditor(draft) {
+        try {
+            await _loadCatalog();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`無法載入商品目錄: ${error.message}`, 'error');
+            return;
+        }
+        _draft = draft;
+        _renderEditor();
+    }
+
+    function _findQuote(quoteId) {
+        return _quotes.find(q => q.quoteId === quoteId);
+    }
+
+    async function _refresh() {
+        await _loadQuotes();
+        _renderList();
+    }
+
+    // --- 公開方法 ---
+
+    async function init(opportunityInfo) {
+        _opportunityId = opportunityInfo.opportunityId;
+        _catalog = null;
+        _draft = null;
+
+        const addBtn = document.getElementById('add-quote-btn');
+        if (addBtn) {
+            addBtn.onclick = () => _openEditor({
+                quoteId: null,
+                lines: [{ productId: '', quantity: 1, discountRate: 0, note: '' }],
+                discountRate: 0,
+                validUntil: '',
+                note: ''
+            });
+        }
+
+        try {
+            await _refresh();
+        } catch (error) {
+            const container = document.getElementById('opportunity-quotes-list');
+            if (container && error.message !== 'Unauthorized') {
+                container.innerHTML = `<div class="alert alert-error">報價單載入失敗: ${_esc(error.message)}</div>`;
+            }
+        }
+    }
+
+    function view(quoteId) {
+        const quote = _findQuote(quoteId);
+        if (quote) _renderDetail(quote);
+    }
+
+    function edit(quoteId) {
+        const q = _findQuote(quoteId);
+        if (!q) return;
+        _openEditor({
+            quoteId: q.quoteId,
+            version: q.version,
+            lines: q.lineItems.map(l => ({ productId: l.productId, quantity: l.quantity, discountRate: l.discountRate, note: l.note })),
+            discountRate: q.discountRate,
+            validUntil: q.validUntil,
+            note: q.note
+        });
+    }
+
+    function copy(quoteId) {
+        const q = _findQuote(quoteId);
+        if (!q) return;
+        _openEditor({
+            quoteId: null,
+            basedOnQuoteId: q.quoteId,
+            basedOnVersion: q.version,
+            lines: q.lineItems.map(l => ({ productId: l.productId, quantity: l.quantity, discountRate: l.discountRate, note: l.note })),
+            discountRate: q.discountRate,
+            validUntil: '',
+            note: q.note
+        });
+    }
+
+    function addLine() {
+        _draft.lines.push({ productId: '', quantity: 1, discountRate: 0, note: '' });
+        _renderEditor();
+    }
+
+    function removeLine(index) {
+        _draft.lines.splice(index, 1);
+        _renderEditor();
+    }
+
+    function updateLine(index, field, value) {
+        if (!_draft.lines[index]) return;
+        _draft.lines[index][field] = value;
+        if (field !== 'note') _previewTotals();
+    }
+
+    function refreshPreview() {
+        _previewTotals();
+    }
+
+    function closeEditor() {
+        _draft = null;
+        const panel = document.getElementById('opportunity-quote-editor');
+        if (panel) panel.innerHTML = '';
+    }
+
+    async function save() {
+        const lines = _draft.lines.filter(l => l.productId);
+        if (lines.length === 0) {
+            showNotification('請至少選擇一項商品', 'warning');
+            return;
+        }
+
+        const payload = {
+            lineItems: lines.map(l => ({ productId: l.productId, quantity: Number(l.quantity), discountRate: Number(l.discountRate) || 0, note: l.note || '' })),
+            discountRate: Number(document.getElementById('quote-discount-rate').value) || 0,
+            validUntil: document.getElementById('quote-valid-until').value,
+            note: document.getElementById('quote-note').value
+        };
+        if (!_draft.quoteId && _draft.basedOnQuoteId) payload.basedOnQuoteId = _draft.basedOnQuoteId;
+
+        const url = _draft.quoteId
+            ? `/api/opportunities/${_opportunityId}/quotes/${_draft.quoteId}`
+            : `/api/opportunities/${_opportunityId}/quotes`;
+
+        showLoading('正在儲存報價單...');
+        try {
+            const result = await authedFetch(url, {
+                method: _draft.quoteId ? 'PUT' : 'POST',
+                body: JSON.stringify(payload)
+            });
+            if (!result.success) throw new Error(result.error || '儲存失敗');
+            closeEditor();
+            await _refresh();
+        } catch (error) {
+            console.error('[OpportunityQuotes] 儲存失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    async function setStatus(quoteId, status) {
+        try {
+            await authedFetch(`/api/opportunities/${_opportunityId}/quotes/${quoteId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ status })
+            });
+            await _refresh();
+        } catch (error) {
+            console.error('[OpportunityQuotes] 更新狀態失敗:', error);
+        }
+    }
+
+    function accept(quoteId) {
+        const q = _findQuote(quoteId);
+        if (!q) return;
+        const applyToOpportunity = document.getElementById('quote-apply-to-opportunity')?.checked === true;
+        const message = applyToOpportunity
+            ? `確定接受報價 v${q.version} 嗎？\n\n機會價值將更新為 ${_fmtMoney(q.total, q.currency)}，先前接受的版本會標記為已取代。`
+            : `確定接受報價 v${q.version} 嗎？\n\n先前接受的版本會標記為已取代。`;
+
+        showConfirmDialog(message, async () => {
+            showLoading('正在更新報價狀態...');
+            try {
+                await authedFetch(`/api/opportunities/${_opportunityId}/quotes/${quoteId}/accept`, {
+                    method: 'POST',
+                    body: JSON.stringify({ applyToOpportunity })
+                });
+                if (applyToOpportunity && typeof loadOpportunityDetailPage === 'function') {
+                    await loadOpportunityDetailPage(_opportunityId);
+                } else {
+                    await _refresh();
+                }
+            } catch (error) {
+                console.error('[OpportunityQuotes] 接受報價失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    }
+
+    function remove(quoteId) {
+        const q = _findQuote(quoteId);
+        if (!q) return;
+        showConfirmDialog(`確定要刪除報價草稿 v${q.version} 嗎？`, async () => {
+            try {
+                await authedFetch(`/api/opportunities/${_opportunityId}/quotes/${quoteId}`, { method: 'DELETE' });
+                closeEditor();
+                await _refresh();
+            } catch (error) {
+                console.error('[OpportunityQuotes] 刪除失敗:', error);
+            }
+        });
+    }
+
+    return { init, view, edit, copy, addLine, removeLine, updateLine, refreshPreview, closeEditor, save, setStatus, accept, remove };
+})();
+
+window.OpportunityQuotes = OpportunityQuotes;
@@ -1,12 +1,38 @@
 // public/scripts/opportunities/details/opportunity-stepper.js
 // 職責：專門管理「機會進程」區塊的所有 UI 渲染與互動邏輯
-// * @version 2.2.1 (Phase 8.10 Stale Refresh Fix)
-// * @date 2026-03-12
+// * @version 2.3.1 (Pipeline Stage-Gate Rules)
+// * @date 2026-10-19
 // (V2.2 - 修正：_saveChanges 使用正確的 opportunityId 取代 rowIndex)
+// (V2.3.1 - 結案階段 (reason = close_required) 提示改用「結案」按鈕)
+// (V2.3 - 依 GET /api/opportunities/:id/pipeline 將無法前往的階段反灰，編輯模式下不可設為目前階段)
 
 const OpportunityStepper = (() => {
     // 模組內的私有變數
     let _opportunityInfo = null;
+    // stageId -> { reachable, reason, missingFields }
+    let _reachability = new Map();
+
+    function _getUnreachableHint(stageId) {
+        const info = _reachability.get(stageId);
+        if (!info || info.reachable) return '';
+        if (info.reason === 'required_field') return `需先完成：${info.missingFields.join('、')}`;
+        if (info.reason === 'close_required') return '請使用「結案」按鈕填寫結案原因、競爭對手與說明';
+        return '依流程規則無法從目前階段直接前往';
+    }
+
+    async function _loadReachability(opportunityId) {
+        _reachability = new Map();
+        if (!opportunityId) return;
+        try {
+            const result = await authedFetch(`/api/opportunities/${opportunityId}/pipeline`);
+            if (result && result.success && result.data) {
+                result.data.stages.forEach(s => _reachability.set(s.value, s));
+            }
+        } catch (error) {
+            // 規則讀取失敗不影響歷程顯示，僅不反灰
+            console.warn('[OpportunityStepper] 無法取得階段流程規則:', error.message);
+        }
+    }
 
     // 處理圓圈點擊（三態循環）
     function _handleCircleClick(step) {
@@ -37,6 +63,10 @@ const OpportunityStepper = (() => {
 
     // 處理階段名稱點擊（設定為目前）
     function _handleNameClick(step) {
+        if (step.classList.contains('unreachable')) {
+            showNotification(`無法設為目前階段：${_getUnreachableHint(step.dataset.stageId)}`, 'warning');
+            return;
+        }
         document.querySelectorAll('.stage-stepper-container .stage-step').forEach(s => s.classList.remove('current'));
         step.classList.add('current');
     }
@@ -167,8 +197,13 @@ const OpportunityStepper = (() => {
                 statusClass += ' current';
             }
 
+            const hint = _getUnreachableHint(stage.value);
+            if (hint) {
+                statusClass += ' unreachable';
+            }
+
             return `
-                <div class="stage-step ${statusClass.trim()}" data-stage-id="${stage.value}" title="${stage.note || stage.value}">
+                <div class="stage-step ${statusClass.trim()}" data-stage-id="${stage.value}" title="${stage.note || stage.value}${hint ? `（${hint}）` : ''}">
                     <div class="step-circle">${icon}</div>
                     <div class="step-name">${stage.note || stage.value}</div>
                 </div>
@@ -271,17 +306,28 @@ const OpportunityStepper = (() => {
             .stage-step.current .step-circle {
                 box-shadow: 0 0 0 4px var(--accent-blue);
             }
+            .stage-step.unreachable {
+                opacity: 0.4; filter: grayscale(1);
+            }
+            .stage-stepper-container.edit-mode .stage-step.unreachable .step-name {
+                cursor: not-allowed;
+            }
         `;
         document.head.appendChild(style);
     }
     
-    function init(opportunityInfo) {
+    async function init(opportunityInfo) {
         _opportunityInfo = opportunityInfo || {};
         const container = document.getElementById('opportunity-stage-stepper-container');
         if (!container) return;
         
         _injectStyles();
         _renderViewMode();
+
+        // 先以無規則狀態渲染，取得流程規則後再反灰
+        await _loadReachability(_opportunityInfo.opportunityId);
+        const inEditMode = !!container.querySelector('.stage-stepper-container.edit-mode');
+        if (_reachability.size > 0 && !inEditMode) _renderViewMode();
     }
 
     return {
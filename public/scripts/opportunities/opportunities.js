@@ -1,9 +1,11 @@
 // public/scripts/opportunities/opportunities.js
 /**
  * 職責：管理「機會案件列表頁」的篩選、列表渲染與操作
- * @version 8.5.0 (Phase 9 - Metadata Decoupling)
- * @date 2026-04-15
+ * @version 8.7.0 (List Export)
+ * @date 2026-10-19
  * @description 
+ * - [FEAT] Added「匯出」button (DataExport) carrying the current search, filters and sort.
+ * - [FEAT] Added「匯入」button next to the search box (opens ImportWizard for opportunities).
  * - [PHASE 9] Replaced expensive `page=0` full-dataset fetch with dedicated lightweight `metadata/years` endpoint.
  * - [PHASE 9-C] Implemented Incremental Append Pagination (limit 50) to drastically reduce first-load payload and DOM render cost.
  * - [Hierarchy Fix Patch] Reordered top controls to strictly follow: Tabs -> Dropdowns -> Search -> Status/Count -> Table.
@@ -70,6 +72,8 @@ async function loadOpportunities(query = '') {
                         <div style="flex: 1; max-width: 400px;">
                             <input type="text" class="search-box" id="opportunities-list-search" placeholder="搜尋機會名稱或客戶公司..." style="width: 100%;" value="${query}">
                         </div>
+                        <button class="action-btn secondary" data-action="open-import" style="flex-shrink: 0; white-space: nowrap;">📥 匯入</button>
+                        <button class="action-btn secondary" data-action="open-export" style="flex-shrink: 0; white-space: nowrap;">📤 匯出</button>
                     </div>
 
                     <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; margin-bottom: 0.5rem; min-height: 24px;">
@@ -177,6 +181,22 @@ function handleOpportunitiesClick(e) {
             currentOppPage++;
             fetchAndRenderOpportunitiesTable(true);
             break;
+        case 'open-import':
+            ImportWizard.open('opportunities', {
+                onComplete: () => {
+                    currentOppPage = 1;
+                    fetchAndRenderOpportunitiesTable(false);
+                }
+            });
+            break;
+        case 'open-export':
+            DataExport.open('opportunities', {
+                ...opportunitiesListFilters,
+                q: document.getElementById('opportunities-list-search')?.value.trim() || '',
+                sortField: currentOppSort.field,
+                sortDirection: currentOppSort.field ? currentOppSort.direction : ''
+            });
+            break;
         case 'navigate':
             e.preventDefault();
             let params = {};
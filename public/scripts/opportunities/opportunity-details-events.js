@@ -4,9 +4,12 @@
 /**
  * Project: TFC CRM
  * File: public/scripts/opportunities/opportunity-details-events.js
- * Version: 8.1.4
- * Date: 2026-03-13
+ * Version: 8.4.0
+ * Date: 2026-10-19
  * Changelog:
+ * - [FEAT] Saves the opportunity currency (edit-currency) together with the value.
+ * - [FEAT] openCloseDialog(): 成交 / 失敗結案需選擇結案原因、填寫競爭對手與說明，POST /api/opportunities/:id/close。
+ * - [FEAT] save() sends If-Match (lastUpdateTime); a 409 conflict opens the reload / overwrite dialog instead of silently overwriting.
  * - [FIX] _getCompanyContacts now correctly resolves companyId from companyList before fetching company details, fixing ID-based routing.
  * - [FIX] Added window.dashboardManager.markStale() to save() success branch to force dashboard refresh upon return.
  * - [FIX] _initSpecQuantities: Robust handling for JSON string, CSV string, or Object to prevent .split() crash.
@@ -421,6 +424,7 @@ const OpportunityInfoCardEvents = (() => {
             deviceScale: finalDeviceScale,
 
             opportunityValue: finalValue,
+            currency: pick(getValueMaybe('edit-currency'), ['currency'], 'TWD'),
             opportunityValueType: isManual ? 'manual' : 'auto',
             potentialSpecification: JSON.stringify(specData),
 
@@ -430,10 +434,19 @@ const OpportunityInfoCardEvents = (() => {
             notes: finalNotes
         };
 
+        await _submitUpdate(updateData, _currentOppForEditing.lastUpdateTime);
+    }
+
+    // 樂觀鎖：以 If-Match 帶上編輯起點的版本；版本不符 (409) 時交由使用者決定重新載入或覆寫
+    async function _submitUpdate(updateData, expectedVersion) {
+        const opportunityId = _currentOppForEditing.opportunityId;
+        const headers = expectedVersion ? { 'If-Match': String(expectedVersion) } : {};
+
         showLoading('正在儲存...');
         try {
-            const result = await authedFetch(`/api/opportunities/${_currentOppForEditing.opportunityId}`, {
+            const result = await authedFetch(`/api/opportunities/${opportunityId}`, {
                 method: 'PUT',
+                headers,
                 // IMPORTANT: avoid authedFetch "smart refresh" interfering; we handle UI ourselves
                 skipRefresh: true,
                 body: JSON.stringify({ ...updateData, modifier: getCurrentUser() })
@@ -444,6 +457,7 @@ const OpportunityInfoCardEvents = (() => {
 
                 // Update local state without wiping
                 const updatedOpp = { ..._currentOppForEditing, ...updateData };
+                if (result.updatedTime) updatedOpp.lastUpdateTime = result.updatedTime;
                 _currentOppForEditing = updatedOpp;
                 window.currentOpportunityData = updatedOpp;
 
@@ -465,16 +479,132 @@ const OpportunityInfoCardEvents = (() => {
                 throw new Error((result && result.error) || '儲存失敗');
             }
         } catch (e) {
+            if (e.status === 409) {
+                hideLoading();
+                const current = (e.data && e.data.current) || null;
+                const choice = await showSaveConflictDialog({ entityLabel: '機會案件', localData: updateData, serverData: current });
+                if (choice === 'reload') {
+                    await loadOpportunityDetailPage(opportunityId);
+                } else if (choice === 'overwrite') {
+                    await _submitUpdate(updateData, current ? current.lastUpdateTime : null);
+                }
+                return;
+            }
             showNotification(e.message, 'error');
         } finally {
             hideLoading();
         }
     }
 
+    // ======= 結案 (Win / Loss) =======
+    function _renderCloseReasonOptions(result) {
+        const select = document.getElementById('close-reason-select');
+        if (!select) return;
+        const category = result === 'Won' ? '成交' : '失敗';
+        const reasons = ((window.CRM_APP && window.CRM_APP.systemConfig && window.CRM_APP.systemConfig['結案原因']) || [])
+            .filter(r => r.category === category || r.category === '通用');
+        select.innerHTML = '<option value="">請選擇原因</option>' +
+            reasons.map(r => `<option value="${r.value}">${r.note || r.value}</option>`).join('');
+    }
+
+    function openCloseDialog() {
+        if (!_currentOppForEditing) return;
+
+        const modalId = 'opportunity-close-modal';
+        const existing = document.getElementById(modalId);
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = modalId;
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 560px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">機會結案</h2>
+                    <button class="close-btn" data-action="cancel">&times;</button>
+                </div>
+                <form id="opportunity-close-form">
+                    <div class="form-group">
+                        <label class="form-label">結案結果 *</label>
+                        <div class="select-wrapper">
+                            <select class="form-select" id="close-result-select">
+                                <option value="Won">成交</option>
+                                <option value="Lost">失敗</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">結案原因 *</label>
+                        <div class="select-wrapper"><select class="form-select" id="close-reason-select" required></select></div>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">競爭對手 *</label>
+                        <input type="text" class="form-input" id="close-competitor-input" placeholder="例如：競品公司名稱，若無請填「無」" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">結案說明 *</label>
+                        <textarea class="form-textarea" id="close-note-input" required></textarea>
+                    </div>
+                    <div style="display:flex; gap:10px; justify-content:flex-end; margin-top:16px;">
+                        <button type="button" class="action-btn secondary" data-action="cancel">取消</button>
+                        <button type="submit" class="action-btn primary">確認結案</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const dispose = () => { closeModal(modalId); modal.remove(); };
+        modal.querySelectorAll('[data-action="cancel"]').forEach(btn => btn.addEventListener('click', dispose));
+
+        const resultSelect = modal.querySelector('#close-result-select');
+        resultSelect.addEventListener('change', () => _renderCloseReasonOptions(resultSelect.value));
+
+        modal.querySelector('#opportunity-close-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const payload = {
+                result: resultSelect.value,
+                reasonCode: modal.querySelector('#close-reason-select').value,
+                competitor: modal.querySelector('#close-competitor-input').value.trim(),
+                note: modal.querySelector('#close-note-input').value.trim()
+            };
+            if (!payload.competitor) {
+                return showNotification('請填寫競爭對手 (若無請填「無」)', 'warning');
+            }
+
+            const opportunityId = _currentOppForEditing.opportunityId;
+            showLoading('正在結案...');
+            try {
+                const result = await authedFetch(`/api/opportunities/${opportunityId}/close`, {
+                    method: 'POST',
+                    skipRefresh: true,
+                    body: JSON.stringify(payload)
+                });
+                if (result && result.success) {
+                    showNotification(result.message || '機會已結案', 'success');
+                    dispose();
+                    if (window.CRM_APP && typeof window.CRM_APP.markStale === 'function') {
+                        window.CRM_APP.markStale(['dashboard', 'opportunities']);
+                    }
+                    await loadOpportunityDetailPage(opportunityId);
+                }
+            } catch (error) {
+                // authedFetch 已顯示錯誤訊息
+                console.error('[OpportunityInfoCardEvents] close failed:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+
+        _renderCloseReasonOptions(resultSelect.value);
+        showModal(modalId);
+    }
+
     return {
         init,
         toggleEditMode,
         save,
+        openCloseDialog,
         handleSingleSelectClick,
         handleSalesModelPillClick,
         handleCustomerChange,
@@ -4,9 +4,10 @@
 /**
  * Project: TFC CRM
  * File: public/scripts/opportunities/opportunity-details.js
- * Version: 8.1.2 (Phase 8.6A - Perf Patch)
- * Date: 2026-03-11
+ * Version: 8.2.0 (Opportunity Quotes)
+ * Date: 2026-10-19
  * Changelog:
+ * - [FEAT] Initialize OpportunityQuotes (quote versions panel).
  * - [FIX] Explicitly map SQL 'productDetails' to UI 'potentialSpecification' to fix edit mode data loss.
  * - [FIX] Sync 'salesChannel' and 'channelDetails' to prevent writer conflicts.
  * - [PERF] Removed redundant CRM_APP.updateAllDropdowns() to eliminate duplicate companyList fetches.
@@ -186,6 +187,11 @@ async function loadOpportunityDetailPage(opportunityId) {
             });
         }
 
+        const Quotes = window.OpportunityQuotes || (typeof OpportunityQuotes !== 'undefined' ? OpportunityQuotes : null);
+        if (Quotes && typeof Quotes.init === 'function') {
+            Quotes.init(normalizedOpp);
+        }
+
         if (window.PotentialContactsManager) {
             PotentialContactsManager.render({
                 containerSelector: '#opp-potential-contacts-container',
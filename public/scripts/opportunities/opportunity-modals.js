@@ -1,8 +1,9 @@
 /**
  * public/scripts/opportunities/opportunity-modals.js
- * @version v5.0.10
- * @date 2026-04-17
+ * @version v5.1.0
+ * @date 2026-10-19
  * @changelog
+ * - Edit modal: currency select (系統設定「幣別」) saved with the opportunity value
  * - Fix empty contact creation by trimming mainContact in payload
  * - Fix wizard card search residual input state
  * - Add success notification after opportunity creation
@@ -540,6 +541,7 @@ async function editOpportunity(opportunityId) {
             populateSelect('edit-opportunity-source', window.CRM_APP.systemConfig['機會來源'], opportunity.opportunitySource);
             populateSelect('edit-current-stage', window.CRM_APP.systemConfig['機會階段'], opportunity.currentStage);
             populateSelect('edit-assignee', window.CRM_APP.systemConfig['團隊成員'], opportunity.assignee);
+            populateSelect('edit-opportunity-currency', window.CRM_APP.systemConfig['幣別'], opportunity.currency || 'TWD');
         }
         if (typeof populateCountyDropdown === 'function') {
             populateCountyDropdown('edit-company-county');
@@ -825,6 +827,7 @@ document.addEventListener('submit', async function(e) {
                 assignee: document.getElementById('edit-assignee').value,
                 expectedCloseDate: document.getElementById('edit-expected-close-date').value,
                 opportunityValue: document.getElementById('edit-opportunity-value').value,
+                currency: document.getElementById('edit-opportunity-currency').value || 'TWD',
                 notes: document.getElementById('edit-opportunity-notes').value,
                 modifier: modifier
             };
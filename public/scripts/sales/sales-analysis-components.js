@@ -1,8 +1,12 @@
 // public/scripts/sales/sales-analysis-components.js
 /**
- * @version 1.5.1 (UI Semantic Patch)
- * @date 2026-04-21
+ * @version 1.8.1 (Sales Quota Attainment)
+ * @date 2026-10-19
  * @changelog
+ * - [Fix] Won deals without an FX rate show "未換算" instead of $0; quota rows flag currencies left out of the achieved amount.
+ * - [Feature] Added renderQuotaAttainment: target / achieved / gap / run-rate projection per quota in the date range.
+ * - [Feature] Added #sales-forecast-container placeholder for SalesForecast.
+ * - [Feature] Added renderLossAnalysis: overall win rate, win rate by type / source / sales model / assignee, and top loss reasons chart.
  * - [UI Semantic Patch] Updated renderAllCharts to conditionally display "歷史月份分布 (件數)" when in All History mode.
  * - [Task 1] Merged all active KPIs into a single responsive flex row.
  */
@@ -110,6 +114,12 @@ const SalesAnalysisComponents = {
             </div>
             
             <div id="sales-charts-container" style="margin-top: 24px; display:block;"></div>
+
+            <div id="sales-quota-container" style="margin-top: 24px;"></div>
+
+            <div id="sales-loss-analysis-container" style="margin-top: 24px;"></div>
+
+            <div id="sales-forecast-container" style="margin-top: 24px;"></div>
             
             <div class="dashboard-widget" style="margin-top: 24px;">
                 <div class="widget-header" style="display: flex; align-items: center; justify-content: space-between; flex-wrap: wrap; padding-bottom: 15px; border-bottom: 1px solid var(--border-color); gap: 15px;">
@@ -220,6 +230,98 @@ const SalesAnalysisComponents = {
         }, 50);
     },
 
+    renderLossAnalysis: function(loss) {
+        const container = document.getElementById('sales-loss-analysis-container');
+        if (!container) return;
+        if (!loss || !loss.closedDeals) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rateTable = (title, rows) => `
+            <div class="dashboard-widget" style="margin: 0;">
+                <div class="widget-header"><h2 class="widget-title" style="font-size: 0.95rem;">${title}</h2></div>
+                <div class="table-container" style="overflow-x:auto;"><table class="data-table">
+                    <thead><tr><th>項目</th><th style="text-align:right;">成交</th><th style="text-align:right;">失敗</th><th style="text-align:right;">勝率</th></tr></thead>
+                    <tbody>${rows.map(r => `<tr><td>${r.name}</td><td style="text-align:right;">${r.won}</td><td style="text-align:right;">${r.lost}</td><td style="text-align:right;font-weight:600;">${r.winRate}%</td></tr>`).join('') || '<tr><td colspan="4" style="text-align:center;">無資料</td></tr>'}</tbody>
+                </table></div>
+            </div>`;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header" style="display:flex; align-items:baseline; gap:15px;">
+                    <h2 class="widget-title">勝敗分析</h2>
+                    <span style="font-size: 0.9rem; color: var(--text-muted);">結案 ${loss.closedDeals} 件：成交 ${loss.wonDeals} / 失敗 ${loss.lostDeals}，整體勝率 <strong>${loss.winRate}%</strong></span>
+                </div>
+                <div class="widget-content">
+                    <div id="chart-bar-loss-reasons" style="height: 280px;"></div>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 16px; margin-top: 16px;">
+                        ${rateTable('依機會種類', loss.byType || [])}
+                        ${rateTable('依機會來源', loss.bySource || [])}
+                        ${rateTable('依銷售模式', loss.bySalesModel || [])}
+                        ${rateTable('依負責業務', loss.byAssignee || [])}
+                    </div>
+                </div>
+            </div>`;
+
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            const reasons = loss.topLossReasons || [];
+            createThemedChart('chart-bar-loss-reasons', {
+                chart: { type: 'bar' },
+                title: { text: '主要失敗原因 (件數)' },
+                xAxis: { categories: reasons.map(r => r.name) },
+                yAxis: { title: { text: '' }, allowDecimals: false },
+                legend: { enabled: false },
+                tooltip: { pointFormat: '<b>{point.y} 件</b>' },
+                series: [{ name: '失敗件數', data: reasons.map(r => r.count), color: '#ef4444' }]
+            });
+        }, 50);
+    },
+
+    renderQuotaAttainment: function(items) {
+        const container = document.getElementById('sales-quota-container');
+        if (!container) return;
+        if (!items || items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const fmtM = v => (v||0).toLocaleString('zh-TW', {style:'currency', currency:'TWD', minimumFractionDigits:0});
+        const rateColor = (rate, elapsed) => rate >= 100 ? '#10b981' : (rate >= elapsed ? '#3b82f6' : '#f97316');
+
+        const rows = items.map(q => `
+            <tr>
+                <td>${q.assigneeName}</td>
+                <td>${q.salesModel || '全部'}</td>
+                <td>${q.periodKey}</td>
+                <td style="text-align:right;">${fmtM(q.targetAmount)}</td>
+                <td style="text-align:right;">${fmtM(q.achievedAmount)}${(q.missingFxCurrencies || []).length ? `<div style="color: var(--accent-orange); font-size: 0.75rem;">⚠️ 未計入 ${q.missingFxCurrencies.join(', ')} (缺少匯率)</div>` : ''}</td>
+                <td style="min-width: 160px;">
+                    <div style="display:flex; align-items:center; gap:8px;">
+                        <div style="flex:1; height:8px; background: var(--border-color); border-radius:4px; overflow:hidden;">
+                            <div style="width:${Math.min(q.attainmentRate, 100)}%; height:100%; background:${rateColor(q.attainmentRate, q.elapsedRatio)};"></div>
+                        </div>
+                        <span style="font-weight:600; min-width: 48px; text-align:right;">${q.attainmentRate}%</span>
+                    </div>
+                </td>
+                <td style="text-align:right;">${fmtM(q.gap)}</td>
+                <td style="text-align:right;" title="期間已經過 ${q.elapsedRatio}%">${fmtM(q.projectedAmount)} <span style="color: var(--text-muted); font-size: 0.8rem;">(${q.projectedRate}%)</span></td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header" style="display:flex; align-items:baseline; gap:15px;">
+                    <h2 class="widget-title">業績目標達成</h2>
+                    <span style="font-size: 0.85rem; color: var(--text-muted);">期間與查詢區間重疊的目標；預估為依已經過天數推算的期末金額</span>
+                </div>
+                <div class="table-container" style="overflow-x:auto;"><table class="data-table">
+                    <thead><tr><th>負責業務</th><th>銷售模式</th><th>期間</th><th style="text-align:right;">目標</th><th style="text-align:right;">已達成</th><th>達成率</th><th style="text-align:right;">差額</th><th style="text-align:right;">期末預估</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table></div>
+            </div>`;
+    },
+
     renderWonDealsTable: function(deals, page, perPage, sortState, modelColors, typeColors) {
         const container = document.getElementById('won-deals-content');
         if (!container) return;
@@ -243,7 +345,7 @@ const SalesAnalysisComponents = {
                 <td><a href="#" class="text-link" onclick="event.preventDefault();CRM_APP.navigateTo('opportunity-details',{opportunityId:'${d.opportunityId}'})"><strong>${d.opportunityName}</strong></a></td>
                 <td>${d.customerCompany || '-'}</td><td>${modelHtml}</td><td>${chanHtml}</td>
                 <td><span class="status-badge status-won">${d.currentStage}</span></td>
-                <td style="text-align:right;font-weight:600;">$${(d.numericValue||0).toLocaleString()}</td><td>${d.assignee || '-'}</td></tr>`;
+                <td style="text-align:right;font-weight:600;">${d.numericValue === null ? `<span title="缺少匯率，未計入合計">${d.currency} 未換算</span>` : `$${(d.numericValue || 0).toLocaleString()}`}</td><td>${d.assignee || '-'}</td></tr>`;
         });
         container.innerHTML = html + '</tbody></table></div>';
     },
@@ -1,16 +1,21 @@
 // public/scripts/sales/sales-analysis-helper.js
 /**
- * @version 2.1.1
- * @date 2026-04-21
+ * @version 2.1.2
+ * @date 2026-10-19
  * @changelog
+ * - [2026-10-19] calculateOverview skips deals without an FX rate (numericValue = null) in the amount total and average.
  * - [2026-04-21] Phase 4 Fix: Restored legacy calculation methods strictly for safe fallback usage. These functions are dormant when backend SSOT is operating correctly.
  */
 
 const SalesAnalysisHelper = {
     calculateOverview: function(deals) {
-        let totalVal = 0, totalDays = 0, cycleCount = 0;
+        let totalVal = 0, valuedCount = 0, totalDays = 0, cycleCount = 0;
         deals.forEach(d => {
-            totalVal += d.numericValue || 0;
+            // 缺少匯率 (numericValue = null) 的成交不計入金額
+            if (d.numericValue !== null && d.numericValue !== undefined) {
+                totalVal += d.numericValue;
+                valuedCount++;
+            }
             if (d.createdTime && d.wonDate) {
                 const diff = Math.ceil(Math.abs(new Date(d.wonDate) - new Date(d.createdTime)) / 86400000);
                 if (!isNaN(diff)) { totalDays += diff; cycleCount++; }
@@ -19,7 +24,7 @@ const SalesAnalysisHelper = {
         return {
             totalWonValue: totalVal,
             totalWonDeals: deals.length,
-            averageDealValue: deals.length ? totalVal / deals.length : 0,
+            averageDealValue: valuedCount ? totalVal / valuedCount : 0,
             averageSalesCycleInDays: cycleCount ? Math.round(totalDays / cycleCount) : 0
         };
     },
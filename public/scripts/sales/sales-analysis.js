@@ -1,8 +1,12 @@
 // public/scripts/sales/sales-analysis.js
 /**
- * @version 1.8.1 (UI Semantic Patch)
- * @date 2026-04-21
+ * @version 1.12.0 (Multi-Currency)
+ * @date 2026-10-19
  * @changelog
+ * - [Feature] Warns when deals use a currency with no FX rate (values then stay unconverted).
+ * - [Feature] Renders the backend quotaAttainment section.
+ * - [Feature] Loads the weighted pipeline forecast section (independent of the date range).
+ * - [Feature] Renders the backend lossAnalysis section (win rate by dimension + top loss reasons).
  * - [UI Semantic Patch] Passed isAllHistory flag to dynamically change Trend Chart title when in "歷史全資料" mode.
  * - [UI Enhancement] Added Monthly Trend Chart (Area Chart) utilizing frontend displayedDeals.
  */
@@ -72,8 +76,9 @@ async function loadSalesAnalysisPage(startDateISO, endDateISO) {
     const refreshBtn = document.getElementById('sales-refresh-btn');
     if (refreshBtn) refreshBtn.addEventListener('click', refreshSalesAnalysis);
 
-    // 3. 獲取數據
+    // 3. 獲取數據 (預測為前瞻資料，不受日期區間影響，只於進入頁面時載入)
     await fetchAndRenderSalesData(salesStartDate, salesEndDate);
+    if (typeof SalesForecast !== 'undefined') SalesForecast.load();
 }
 
 // 快速過濾日期選擇
@@ -142,6 +147,10 @@ async function fetchAndRenderSalesData(startDate, endDate) {
         if (!result.success || !result.data) throw new Error(result.error || '無法獲取分析數據');
         
         salesAnalysisData = result.data;
+
+        if ((salesAnalysisData.missingFxCurrencies || []).length > 0) {
+            showNotification(`以下幣別尚未設定匯率，金額未換算為 ${salesAnalysisData.baseCurrency}：${salesAnalysisData.missingFxCurrencies.join(', ')}`, 'warning');
+        }
         
         allWonDeals = salesAnalysisData.allWonDeals || [];
         
@@ -175,6 +184,9 @@ async function fetchAndRenderSalesData(startDate, endDate) {
             updateDashboard(displayedDeals);
         }
 
+        SalesAnalysisComponents.renderQuotaAttainment(salesAnalysisData.quotaAttainment);
+        SalesAnalysisComponents.renderLossAnalysis(salesAnalysisData.lossAnalysis);
+
         renderPaginatedTable();
 
     } catch (error) {
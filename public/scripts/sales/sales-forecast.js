@@ -0,0 +1,104 @@
+// public/scripts/sales/sales-forecast.js
+/**
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description 加權 Pipeline 預測區塊 (GET /api/sales/forecast)
+ * - [1.0.1] 缺少匯率的幣別 (missingFxCurrencies) 顯示提示：這些機會只計件數、不計金額。
+ * - 依預計結案月份顯示 commit / best case / pipeline 堆疊長條圖。
+ * - 顯示與前一筆每日快照的差異，以及依負責業務、銷售模式的加權預測。
+ */
+
+const SalesForecast = {
+    _fmtMoney: v => Math.round(v || 0).toLocaleString('zh-TW', { style: 'currency', currency: 'TWD', minimumFractionDigits: 0 }),
+
+    _fmtDelta: function(v) {
+        if (!v) return '<span style="color: var(--text-muted);">±0</span>';
+        const color = v > 0 ? '#10b981' : '#ef4444';
+        const sign = v > 0 ? '+' : '-';
+        return `<span style="color:${color};">${sign}${this._fmtMoney(Math.abs(v))}</span>`;
+    },
+
+    load: async function(containerId = 'sales-forecast-container') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '<div class="dashboard-widget"><div class="loading show"><div class="spinner"></div></div></div>';
+
+        try {
+            const result = await authedFetch('/api/sales/forecast');
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得預測資料');
+            this.render(container, result.data);
+        } catch (error) {
+            console.error('[SalesForecast] 載入失敗:', error);
+            container.innerHTML = `<div class="alert alert-error">預測載入失敗: ${error.message}</div>`;
+        }
+    },
+
+    render: function(container, data) {
+        const t = data.totals;
+        const cmp = data.comparison;
+        const th = data.thresholds || {};
+        const deltaLine = (key) => cmp ? `<div style="font-size:0.8rem; margin-top:4px;">較 ${cmp.snapshotDate}：${this._fmtDelta(cmp.delta[key])}</div>` : '';
+
+        const breakdownTable = (title, rows) => `
+            <div class="dashboard-widget" style="margin: 0;">
+                <div class="widget-header"><h2 class="widget-title" style="font-size: 0.95rem;">${title}</h2></div>
+                <div class="table-container" style="overflow-x:auto;"><table class="data-table">
+                    <thead><tr><th>項目</th><th style="text-align:right;">件數</th><th style="text-align:right;">Commit</th><th style="text-align:right;">加權預測</th></tr></thead>
+                    <tbody>${rows.map(r => `<tr><td>${r.name}</td><td style="text-align:right;">${r.count}</td><td style="text-align:right;">${this._fmtMoney(r.commit)}</td><td style="text-align:right;font-weight:600;">${this._fmtMoney(r.weightedValue)}</td></tr>`).join('') || '<tr><td colspan="4" style="text-align:center;">無資料</td></tr>'}</tbody>
+                </table></div>
+            </div>`;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header" style="display:flex; align-items:baseline; gap:15px; flex-wrap:wrap;">
+                    <h2 class="widget-title">Pipeline 加權預測</h2>
+                    <span style="font-size: 0.85rem; color: var(--text-muted);">進行中 ${t.count} 件｜Commit ≥ ${th.COMMIT_MIN_PROBABILITY}%、Best case ≥ ${th.BEST_CASE_MIN_PROBABILITY}%${cmp ? `｜比較基準：${cmp.snapshotDate} 快照` : '｜尚無歷史快照'}</span>
+                </div>
+                <div class="widget-content">
+                    ${(data.missingFxCurrencies || []).length ? `<div class="alert alert-warning" style="margin-bottom: 12px;">⚠️ ${data.missingFxCurrencies.join(', ')} 尚未設定匯率，這些機會只計件數，未計入預測金額</div>` : ''}
+                    <div style="display: flex; flex-wrap: wrap; gap: 16px;">
+                        <div class="stat-card blue" style="flex: 1; min-width: 160px;"><div class="stat-header"><div class="stat-label">加權預測</div></div><div class="stat-number">${this._fmtMoney(t.weightedValue)}</div>${deltaLine('weightedValue')}</div>
+                        <div class="stat-card" style="flex: 1; min-width: 160px;"><div class="stat-header"><div class="stat-label">Commit</div></div><div class="stat-number">${this._fmtMoney(t.commit)}</div>${deltaLine('commit')}</div>
+                        <div class="stat-card" style="flex: 1; min-width: 160px;"><div class="stat-header"><div class="stat-label">Best Case</div></div><div class="stat-number">${this._fmtMoney(t.bestCase)}</div>${deltaLine('bestCase')}</div>
+                        <div class="stat-card" style="flex: 1; min-width: 160px;"><div class="stat-header"><div class="stat-label">Pipeline</div></div><div class="stat-number">${this._fmtMoney(t.pipeline)}</div>${deltaLine('pipeline')}</div>
+                    </div>
+                    <div id="chart-forecast-by-month" style="height: 320px; margin-top: 16px;"></div>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; margin-top: 16px;">
+                        ${breakdownTable('依負責業務', data.byAssignee || [])}
+                        ${breakdownTable('依銷售模式', data.bySalesModel || [])}
+                    </div>
+                </div>
+            </div>`;
+
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            const months = data.byMonth || [];
+            const series = [
+                { name: 'Commit', data: months.map(m => m.commit), color: '#10b981' },
+                { name: 'Best Case', data: months.map(m => m.bestCase), color: '#3b82f6' },
+                { name: 'Pipeline', data: months.map(m => m.pipeline), color: '#9ca3af' }
+            ];
+            if (cmp) {
+                // 前次快照值 = 目前加權 - 差異
+                const priorData = months.map(m => {
+                    const diff = (cmp.byMonth || []).find(d => d.key === m.key);
+                    return diff ? m.weightedValue - diff.weightedValue : 0;
+                });
+                series.push({ type: 'line', name: `前次快照 (${cmp.snapshotDate})`, data: priorData, color: '#f97316', marker: { radius: 3 } });
+            }
+
+            createThemedChart('chart-forecast-by-month', {
+                chart: { type: 'column' },
+                title: { text: '依預計結案月份 (加權金額)' },
+                xAxis: { categories: months.map(m => m.key) },
+                yAxis: { title: { text: '' }, stackLabels: { enabled: false } },
+                tooltip: { shared: true, valueDecimals: 0 },
+                plotOptions: { column: { stacking: 'normal' } },
+                series
+            });
+        }, 50);
+    }
+};
+
+window.SalesForecast = SalesForecast;
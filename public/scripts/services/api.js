@@ -1,11 +1,13 @@
 // File: public/scripts/services/api.js
 // 職責：專門處理 API 請求、認證 Token、錯誤處理以及流量控制 (Traffic Control)
-// Version: 1.0.1 (Phase B - Cleanup)
-// Date: 2026-04-23
+// Version: 1.2.0 (Blob Responses)
+// Date: 2026-10-19
 // Purpose: API Request wrapper with centralized rate limiting, authentication, and error handling.
 // Changelog:
 // - [Patch Phase B] Wired successful write operations to CRM_APP.markStale to invalidate frontend SPA cache.
 // - [Patch Phase B - Cleanup] Removed legacy refreshCurrentView / location.reload behavior. Stale-based router refresh is now the intended mechanism.
+// - [Feature] `responseType: 'blob'` returns the response body as a Blob (file downloads such as /api/export).
+// - [Feature] Thrown errors now carry `status` and `data` (parsed body). 409 conflicts skip the generic toast so callers can show the conflict dialog.
 
 // --- Traffic Control Configuration ---
 const RATE_LIMIT_CONFIG = {
@@ -110,6 +112,9 @@ async function executeFetch(url, options, attempts) {
         // --- Parse Response ---
         let result = null;
         const contentType = response.headers.get("content-type");
+        if (options.responseType === 'blob' && response.ok) {
+            return await response.blob();
+        }
         if (contentType && contentType.includes("application/json")) {
             try {
                 result = await response.json();
@@ -121,7 +126,10 @@ async function executeFetch(url, options, attempts) {
 
         if (!response.ok) {
             const errorDetails = result?.details || result?.message || result?.error || response.statusText || `HTTP error ${response.status}`;
-            throw new Error(errorDetails);
+            const httpError = new Error(errorDetails);
+            httpError.status = response.status;
+            httpError.data = result;
+            throw httpError;
         }
 
         // --- Smart Refresh on Write ---
@@ -155,7 +163,8 @@ async function executeFetch(url, options, attempts) {
         return result;
 
     } catch (error) {
-        if (error.message !== 'Unauthorized' && !isRedirectingToLogin) {
+        // 409 由呼叫端以衝突對話框處理
+        if (error.message !== 'Unauthorized' && error.status !== 409 && !isRedirectingToLogin) {
             const displayError = error.message.length > 100 ? error.message.substring(0, 97) + '...' : error.message;
             showNotification(`操作失敗: ${displayError}`, 'error');
         }
@@ -1,14 +1,15 @@
 /**
  * public/scripts/services/ui.js
  * * 職責：管理所有全域 UI 元素，如彈窗、通知、面板、載入畫面和共用元件渲染器
- * * @version 6.3.1 (Phase 8.3 Toast Extensibility Patch)
- * * @date 2026-03-17
+ * * @version 6.4.0 (Optimistic Concurrency Conflict Dialog)
+ * * @date 2026-10-19
  * @description
  * 1. [UX Polish] Relocated toast notifications from bottom-right to top-right.
  * 2. [UX Polish] Applied SaaS-style background colors to toast types (Success=White, Error/Info=Light Red, Warning=Light Orange).
  * 3. [Bugfix] Auto-creation of `#toast-container` remains to prevent silent failures.
  * 4. Retained legacy adapters (`renderPagination`, `showBusinessCardPreview`, `showConfirmDialog`).
  * 5. [Patch] Extended `showToast` to support optional HTML rendering and persistent display modes.
+ * 6. [Feature] Added `showSaveConflictDialog` for 409 save conflicts (reload / overwrite / cancel with field diff).
  */
 
 let zIndexCounter = 3000;
@@ -216,6 +217,88 @@ function confirmAction(message, callback) {
     }
 }
 
+// ==========================================
+// Save Conflict Dialog (Optimistic Concurrency)
+// ==========================================
+
+function escapeConflictHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 儲存衝突 (HTTP 409) 對話框
+ * 列出「我的修改」與「伺服器目前版本」不同的欄位，由使用者決定處理方式。
+ * @param {Object} options
+ * @param {string} options.entityLabel - 例如 '機會案件'
+ * @param {Object} options.localData - 本次送出的欄位
+ * @param {Object} [options.serverData] - 409 回應中的 current (伺服器目前資料)
+ * @param {Object} [options.fieldLabels] - 欄位中文名稱對照
+ * @returns {Promise<'reload'|'overwrite'|'cancel'>}
+ */
+function showSaveConflictDialog({ entityLabel = '資料', localData = {}, serverData = null, fieldLabels = {} } = {}) {
+    const modalId = 'save-conflict-modal';
+    const existing = document.getElementById(modalId);
+    if (existing) existing.remove();
+
+    const display = (v) => (v === null || v === undefined || v === '') ? '<span style="color:#aaa;">(空白)</span>' : escapeConflictHtml(v);
+
+    const diffRows = Object.keys(localData)
+        .filter(key => serverData && Object.prototype.hasOwnProperty.call(serverData, key))
+        .filter(key => String(localData[key] ?? '') !== String(serverData[key] ?? ''))
+        .map(key => `
+            <tr>
+                <td style="padding:6px 8px; font-weight:600;">${escapeConflictHtml(fieldLabels[key] || key)}</td>
+                <td style="padding:6px 8px; background:#fff8e1;">${display(localData[key])}</td>
+                <td style="padding:6px 8px; background:#e8f5e9;">${display(serverData[key])}</td>
+            </tr>`)
+        .join('');
+
+    const diffHtml = diffRows
+        ? `<table style="width:100%; border-collapse:collapse; font-size:0.9rem; margin-top:12px;">
+                <thead><tr style="text-align:left; border-bottom:1px solid #ddd;">
+                    <th style="padding:6px 8px;">欄位</th><th style="padding:6px 8px;">我的修改</th><th style="padding:6px 8px;">伺服器目前版本</th>
+                </tr></thead>
+                <tbody>${diffRows}</tbody>
+           </table>`
+        : '<p style="color:#666; margin-top:12px;">您修改的欄位與伺服器版本沒有直接衝突，但其他欄位可能已被更新。</p>';
+
+    const modal = document.createElement('div');
+    modal.id = modalId;
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 720px;">
+            <div class="modal-header">
+                <h2 class="modal-title">⚠️ 儲存衝突</h2>
+            </div>
+            <div style="padding: 10px 0;">
+                <p>此${escapeConflictHtml(entityLabel)}在您編輯期間已被其他人更新。</p>
+                ${diffHtml}
+            </div>
+            <div style="display:flex; gap:10px; justify-content:flex-end; margin-top:16px;">
+                <button type="button" class="action-btn secondary" data-choice="cancel">取消</button>
+                <button type="button" class="action-btn" data-choice="reload">重新載入最新版本</button>
+                <button type="button" class="action-btn danger" data-choice="overwrite">以我的修改覆寫</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    return new Promise(resolve => {
+        modal.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                closeModal(modalId);
+                modal.remove();
+                resolve(btn.dataset.choice);
+            });
+        });
+        showModal(modalId);
+    });
+}
+
 // ==========================================
 // Status Chips & Renderers
 // ==========================================
@@ -405,6 +488,7 @@ window.renderStatusChip = renderStatusChip;
 window.renderPriorityChip = renderPriorityChip;
 window.showBusinessCardPreview = showBusinessCardPreview;
 window.closeBusinessCardPreview = closeBusinessCardPreview;
+window.showSaveConflictDialog = showSaveConflictDialog;
 
 // Adapter Layer
 window.renderPagination = renderPagination;
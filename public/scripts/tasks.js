@@ -0,0 +1,126 @@
+// public/scripts/tasks.js
+/**
+ * 待辦任務 (我的待辦)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 新增 / 編輯待辦 (task-modal)，支援每天 / 每週 / 每月重複。
+ * - 儀表板勾選即完成；重複任務由後端自動建立下一次。
+ */
+
+const TaskManager = {
+    _fillAssignees(selected) {
+        populateSelect('task-assignee', window.CRM_APP?.systemConfig?.['團隊成員'] || [], selected || getCurrentUser());
+    },
+
+    _setForm(task = {}) {
+        document.getElementById('task-id').value = task.taskId || '';
+        document.getElementById('task-title').value = task.title || '';
+        document.getElementById('task-due-date').value = task.dueDate || new Date().toLocaleDateString('sv');
+        document.getElementById('task-recurrence').value = task.recurrence || 'none';
+        document.getElementById('task-recurrence-interval').value = task.recurrenceInterval || 1;
+        document.getElementById('task-recurrence-end-date').value = task.recurrenceEndDate || '';
+        document.getElementById('task-description').value = task.description || '';
+        document.getElementById('task-opportunity-id').value = task.opportunityId || '';
+        document.getElementById('task-company-id').value = task.companyId || '';
+        this._fillAssignees(task.assignee);
+    },
+
+    /**
+     * 開啟新增待辦 (可帶入 opportunityId / companyId 作為關聯)
+     */
+    openNew(defaults = {}) {
+        document.getElementById('task-modal-title').textContent = '✅ 新增待辦';
+        this._setForm(defaults);
+        showModal('task-modal');
+    },
+
+    async openEdit(taskId) {
+        showLoading('載入待辦...');
+        try {
+            const result = await authedFetch(`/api/tasks/${encodeURIComponent(taskId)}`);
+            if (!result.success) throw new Error(result.error || '找不到指定的任務');
+            document.getElementById('task-modal-title').textContent = '✏️ 編輯待辦';
+            this._setForm(result.data);
+            showModal('task-modal');
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`載入待辦失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    },
+
+    async submit() {
+        const taskId = document.getElementById('task-id').value;
+        const recurrence = document.getElementById('task-recurrence').value;
+        const data = {
+            title: document.getElementById('task-title').value.trim(),
+            dueDate: document.getElementById('task-due-date').value,
+            assignee: document.getElementById('task-assignee').value || getCurrentUser(),
+            recurrence,
+            recurrenceInterval: Number(document.getElementById('task-recurrence-interval').value) || 1,
+            recurrenceEndDate: recurrence === 'none' ? '' : document.getElementById('task-recurrence-end-date').value,
+            description: document.getElementById('task-description').value
+        };
+        if (!taskId) {
+            data.opportunityId = document.getElementById('task-opportunity-id').value;
+            data.companyId = document.getElementById('task-company-id').value;
+        }
+
+        showLoading(taskId ? '正在更新待辦...' : '正在新增待辦...');
+        try {
+            const url = taskId ? `/api/tasks/${encodeURIComponent(taskId)}` : '/api/tasks';
+            const result = await authedFetch(url, { method: taskId ? 'PUT' : 'POST', body: JSON.stringify(data) });
+            if (result && result.success === false) throw new Error(result.details || result.error || '操作失敗');
+
+            closeModal('task-modal');
+            showNotification(taskId ? '待辦已更新' : '待辦已新增', 'success');
+            this._refreshDashboard();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`儲存待辦失敗: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    },
+
+    /**
+     * 標記完成 (儀表板勾選框)
+     */
+    async complete(taskId, checkbox) {
+        if (checkbox) checkbox.disabled = true;
+        try {
+            const result = await authedFetch(`/api/tasks/${encodeURIComponent(taskId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ status: 'done' })
+            });
+            if (result && result.success === false) throw new Error(result.details || result.error || '操作失敗');
+
+            showNotification(result.nextTaskId ? '已完成，並建立下一次的重複待辦' : '待辦已完成', 'success');
+            this._refreshDashboard();
+        } catch (error) {
+            if (checkbox) {
+                checkbox.checked = false;
+                checkbox.disabled = false;
+            }
+            if (error.message !== 'Unauthorized') showNotification(`更新待辦失敗: ${error.message}`, 'error');
+        }
+    },
+
+    async _refreshDashboard() {
+        try {
+            const res = await authedFetch('/api/tasks/me');
+            if (res.success && window.DashboardWidgets) DashboardWidgets.renderMyTasks(res.data);
+        } catch (error) {
+            console.error('[Tasks] 重新載入我的待辦失敗:', error);
+        }
+    }
+};
+
+window.TaskManager = TaskManager;
+
+document.addEventListener('submit', function(e) {
+    if (e.target && e.target.id === 'task-form') {
+        e.preventDefault();
+        TaskManager.submit();
+    }
+});
@@ -1,11 +1,13 @@
 /**
  * ============================================================================
  * File: weekly-business.js
- * Version: v8.0.1 
- * Date: 2026-03-12
+ * Version: v8.2.0 
+ * Date: 2026-10-19
  * Author: Gemini (Assisted)
  *
  * Change Log:
+ * - [v8.2.0] 「發布週報」：預覽、發布固定版本 (HTML / PDF) 並可 Email 寄送，列出歷次版本與寄送紀錄
+ * - [v8.1.0] 「產生草稿」：依本週 CRM 活動產生各主題的週報草稿，編修後逐筆加入週報
  * - [Phase 8] Remove legacy rowIndex from WeeklyBusiness UI write path
  * - UI behavior unchanged
  * - Operation key unified to recordId
@@ -96,6 +98,14 @@ function handleWeeklyPageClick(e) {
             CRM_APP.navigateTo('weekly-business');
             break;
 
+        case 'generate-draft':
+            generateWeeklyDraft(currentWeekData.id);
+            break;
+
+        case 'publish-digest':
+            showWeeklyDigestModal(currentWeekData.id);
+            break;
+
         case 'open-editor': {
             // [Fix] Safe decode
             const dayInfo = _safeDecode(payload.dayInfo);
@@ -227,6 +237,8 @@ function renderWeeklyDetailView() {
                     <p style="color: var(--text-secondary); margin-top: 5px; font-size: 1.2rem; font-weight: 600;">${currentWeekData.title} ${currentWeekData.dateRange}</p>
                 </div>
                 <div style="display: flex; gap: 10px; align-items: center;">
+                    <button class="action-btn primary" data-action="generate-draft" title="依本週互動、事件、階段變更與成交結果產生摘要草稿">✨ 產生草稿</button>
+                    <button class="action-btn secondary" data-action="publish-digest" title="發布固定版本的週報 (HTML / PDF) 並寄送">📰 發布週報</button>
                     <button class="action-btn secondary" data-action="navigate-detail" data-week-id="${prevWeekId}">< 上一週</button>
                     <button class="action-btn secondary" data-action="navigate-back">返回總覽</button>
                     <button class="action-btn secondary" data-action="navigate-detail" data-week-id="${nextWeekId}">下一週 ></button>
@@ -579,6 +591,288 @@ function confirmAddWeek() {
     }
 }
 
+// --- 週報草稿 (Auto Draft) ---
+
+function _escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+async function generateWeeklyDraft(weekId) {
+    showLoading('正在彙整本週 CRM 活動...');
+    try {
+        const result = await authedFetch(`/api/business/weekly/draft/${weekId}`, { method: 'POST', body: JSON.stringify({}) });
+        if (!result.success) throw new Error(result.error || '產生草稿失敗');
+
+        if ((result.data.drafts || []).length === 0) {
+            showNotification('本週沒有可彙整的 CRM 活動', 'info');
+            return;
+        }
+        showWeeklyDraftModal(result.data);
+    } catch (error) {
+        if (error.message !== 'Unauthorized') showNotification(`產生草稿失敗: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function showWeeklyDraftModal(draftData) {
+    document.getElementById('weekly-draft-modal')?.remove();
+
+    const statsText = (stats) => [
+        ['interactions', '互動'], ['eventLogs', '事件'], ['stageChanges', '階段變更'],
+        ['newOpportunities', '新機會'], ['won', '成交'], ['lost', '失敗']
+    ].filter(([key]) => stats[key] > 0).map(([key, label]) => `${label} ${stats[key]}`).join('・');
+
+    const cardsHtml = draftData.drafts.map((draft, index) => `
+        <div class="weekly-draft-card category-${draft.category.toLowerCase()}" data-draft-index="${index}">
+            <div class="weekly-draft-meta">
+                <strong>${_escapeHtml(draft.categoryLabel)}</strong>
+                <span>${draft.date}｜${statsText(draft.stats)}｜${draft.generator === 'ai' ? 'AI 摘要' : '範本'}</span>
+            </div>
+            <div class="form-group">
+                <label class="form-label">主題 *</label>
+                <input type="text" class="form-input" name="theme" value="${_escapeHtml(draft.theme)}">
+            </div>
+            <div class="form-group">
+                <label class="form-label">重點摘要</label>
+                <textarea class="form-textarea" name="summary" rows="8">${_escapeHtml(draft.summary)}</textarea>
+            </div>
+            <div class="form-group">
+                <label class="form-label">待辦事項</label>
+                <textarea class="form-textarea" name="todo" rows="3">${_escapeHtml(draft.todo)}</textarea>
+            </div>
+            <div class="btn-group">
+                <button type="button" class="action-btn secondary" data-draft-action="skip">略過</button>
+                <button type="button" class="action-btn primary" data-draft-action="save">加入週報</button>
+            </div>
+        </div>
+    `).join('');
+
+    const modalHtml = `
+        <div id="weekly-draft-modal" class="modal" style="display: block;">
+            <div class="modal-content" style="max-width: 760px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">✨ 週報草稿 ${draftData.title} ${draftData.dateRange}</h2>
+                    <button class="close-btn" data-draft-action="close">&times;</button>
+                </div>
+                <p style="color: var(--text-muted); font-size: 0.85rem; margin-bottom: 1rem;">
+                    草稿尚未儲存，請確認內容後逐筆「加入週報」。參與人員依本週紀錄者帶入，可於加入後再編輯。
+                </p>
+                ${cardsHtml}
+            </div>
+        </div>
+    `;
+    document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHtml);
+    _injectDraftStyles();
+
+    const modal = document.getElementById('weekly-draft-modal');
+    let savedCount = 0;
+    const closeDraftModal = () => {
+        modal.remove();
+        if (savedCount > 0) navigateToWeeklyDetail(draftData.weekId);
+    };
+    const removeCard = (card) => {
+        card.remove();
+        if (!modal.querySelector('.weekly-draft-card')) closeDraftModal();
+    };
+
+    modal.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-draft-action]');
+        if (!btn) return;
+        const action = btn.dataset.draftAction;
+        if (action === 'close') return closeDraftModal();
+
+        const card = btn.closest('.weekly-draft-card');
+        if (action === 'skip') return removeCard(card);
+
+        const draft = draftData.drafts[Number(card.dataset.draftIndex)];
+        const entryData = {
+            date: draft.date,
+            category: draft.category,
+            theme: card.querySelector('[name="theme"]').value.trim(),
+            participants: draft.participants,
+            summary: card.querySelector('[name="summary"]').value,
+            todo: card.querySelector('[name="todo"]').value
+        };
+        if (!entryData.theme) {
+            showNotification('主題為必填項目', 'warning');
+            return;
+        }
+
+        btn.disabled = true;
+        try {
+            const result = await authedFetch('/api/business/weekly', { method: 'POST', body: JSON.stringify(entryData) });
+            if (!result.success) throw new Error(result.error || '儲存失敗');
+            savedCount++;
+            if (window.dashboardManager && typeof window.dashboardManager.markStale === 'function') {
+                window.dashboardManager.markStale();
+            }
+            showNotification(`已加入週報：${entryData.theme}`, 'success');
+            removeCard(card);
+        } catch (error) {
+            btn.disabled = false;
+            if (error.message !== 'Unauthorized') showNotification(`儲存失敗: ${error.message}`, 'error');
+        }
+    });
+}
+
+function _injectDraftStyles() {
+    if (document.getElementById('weekly-draft-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'weekly-draft-styles';
+    style.innerHTML = `
+        .weekly-draft-card { border: 1px solid var(--border-color); border-left: 4px solid var(--accent-blue); border-radius: 8px; padding: 1rem; margin-bottom: 1rem; }
+        .weekly-draft-card.category-dt { border-left-color: var(--accent-purple); }
+        .weekly-draft-card.category-dx { border-left-color: var(--accent-green); }
+        .weekly-draft-meta { display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem; }
+        .weekly-draft-meta span { color: var(--text-muted); font-size: 0.8rem; }
+        .digest-version { border: 1px solid var(--border-color); border-radius: 8px; padding: 0.75rem; margin-bottom: 0.5rem; }
+        .digest-version-header { display: flex; align-items: center; gap: 10px; }
+        .digest-version-header span { color: var(--text-muted); font-size: 0.8rem; }
+        .digest-delivery { font-size: 0.8rem; color: var(--text-muted); margin-top: 4px; }
+        .digest-delivery.failed { color: var(--accent-red); }
+    `;
+    document.head.appendChild(style);
+}
+
+// --- 週報發布 (Digest) ---
+
+async function _openDigestBlob(url, download = false, fileName = '') {
+    showLoading('正在載入週報...');
+    try {
+        const blob = await authedFetch(url, { responseType: 'blob' });
+        const objectUrl = URL.createObjectURL(blob);
+        if (download) {
+            const link = document.createElement('a');
+            link.href = objectUrl;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+        } else {
+            window.open(objectUrl, '_blank');
+            setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+        }
+    } catch (error) {
+        // authedFetch 已顯示錯誤訊息
+        console.error('[WeeklyDigest] open failed:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function showWeeklyDigestModal(weekId) {
+    document.getElementById('weekly-digest-modal')?.remove();
+
+    let versionsData = { versions: [], defaultRecipients: [] };
+    try {
+        const result = await authedFetch(`/api/business/weekly/digest/${weekId}/versions`);
+        if (result.success) versionsData = result.data;
+    } catch (error) {
+        if (error.message === 'Unauthorized') return;
+        showNotification(`載入發布紀錄失敗: ${error.message}`, 'error');
+    }
+
+    const formatTime = (value) => value ? new Date(value).toLocaleString('zh-TW', { hour12: false }) : '';
+    const versionsHtml = versionsData.versions.length === 0
+        ? '<div class="alert alert-info">本週尚未發布</div>'
+        : versionsData.versions.map(v => {
+            const deliveries = v.deliveries.map(d =>
+                `<div class="digest-delivery ${d.status}">${d.status === 'sent' ? '✉️' : '⚠️'} ${formatTime(d.sentTime)} → ${_escapeHtml(d.recipients.join(', '))}${d.error ? `｜${_escapeHtml(d.error)}` : ''}</div>`
+            ).join('');
+            return `
+                <div class="digest-version" data-digest-id="${v.digestId}" data-version="${v.version}">
+                    <div class="digest-version-header">
+                        <strong>第 ${v.version} 版</strong>
+                        <span>${_escapeHtml(v.publishedBy)}｜${formatTime(v.publishedTime)}</span>
+                        <div style="margin-left: auto; display: flex; gap: 6px;">
+                            <button type="button" class="action-btn small secondary" data-digest-action="view">檢視</button>
+                            <button type="button" class="action-btn small secondary" data-digest-action="pdf">PDF</button>
+                            <button type="button" class="action-btn small secondary" data-digest-action="send">寄送</button>
+                        </div>
+                    </div>
+                    ${deliveries}
+                </div>`;
+        }).join('');
+
+    const defaultHint = versionsData.defaultRecipients.length > 0
+        ? `留空則寄給預設收件者：${_escapeHtml(versionsData.defaultRecipients.join(', '))}`
+        : '多位收件者以逗號分隔';
+
+    const modalHtml = `
+        <div id="weekly-digest-modal" class="modal" style="display: block;">
+            <div class="modal-content" style="max-width: 680px;">
+                <div class="modal-header">
+                    <h2 class="modal-title">📰 發布週報 ${weekId}</h2>
+                    <button class="close-btn" data-digest-action="close">&times;</button>
+                </div>
+                <p style="color: var(--text-muted); font-size: 0.85rem; margin-bottom: 1rem;">
+                    發布後內容即固定 (各主題紀錄、待辦、機會異動與下週行程)，之後修改週報需重新發布新版本。
+                </p>
+                <div class="form-group">
+                    <label class="form-label">收件者</label>
+                    <input type="text" class="form-input" id="digest-recipients" placeholder="manager@example.com, ...">
+                    <small style="color: var(--text-muted);">${defaultHint}</small>
+                </div>
+                <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 1rem; cursor: pointer;">
+                    <input type="checkbox" id="digest-send-now" checked> 發布後立即寄送
+                </label>
+                <div class="btn-group" style="margin-bottom: 1.5rem;">
+                    <button type="button" class="action-btn secondary" data-digest-action="preview">預覽</button>
+                    <button type="button" class="action-btn primary" data-digest-action="publish">發布新版本</button>
+                </div>
+                <h3 style="font-size: 1rem; margin-bottom: 0.5rem;">已發布版本</h3>
+                ${versionsHtml}
+            </div>
+        </div>
+    `;
+    document.getElementById('modal-container').insertAdjacentHTML('beforeend', modalHtml);
+    _injectDraftStyles();
+
+    const modal = document.getElementById('weekly-digest-modal');
+    const recipientsValue = () => document.getElementById('digest-recipients').value.trim();
+
+    modal.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-digest-action]');
+        if (!btn) return;
+        const action = btn.dataset.digestAction;
+        const versionEl = btn.closest('.digest-version');
+        const digestId = versionEl?.dataset.digestId;
+
+        if (action === 'close') return modal.remove();
+        if (action === 'preview') return _openDigestBlob(`/api/business/weekly/digest/${weekId}/preview`);
+        if (action === 'view') return _openDigestBlob(`/api/business/weekly/digests/${digestId}.html`);
+        if (action === 'pdf') {
+            return _openDigestBlob(`/api/business/weekly/digests/${digestId}.pdf`, true, `週報_${weekId}_v${versionEl.dataset.version}.pdf`);
+        }
+
+        const send = action === 'send' || document.getElementById('digest-send-now').checked;
+        const url = action === 'send'
+            ? `/api/business/weekly/digests/${digestId}/send`
+            : `/api/business/weekly/digest/${weekId}/publish`;
+        const body = action === 'send' ? { recipients: recipientsValue() } : { send, recipients: recipientsValue() };
+
+        showLoading(action === 'send' ? '正在寄送週報...' : '正在發布週報...');
+        try {
+            const result = await authedFetch(url, { method: 'POST', body: JSON.stringify(body) });
+            if (!result.success) throw new Error(result.error || '操作失敗');
+
+            const delivery = action === 'send' ? result.data : result.data.delivery;
+            if (action === 'publish') showNotification(`已發布第 ${result.data.version} 版`, 'success');
+            if (delivery && delivery.status === 'sent') showNotification(`週報已寄送給 ${delivery.recipients.length} 位收件者`, 'success');
+            if (delivery && delivery.status === 'failed') showNotification(`週報已發布，但寄送失敗: ${delivery.error}`, 'warning');
+            showWeeklyDigestModal(weekId);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') showNotification(`${action === 'send' ? '寄送' : '發布'}失敗: ${error.message}`, 'error');
+            // 寄送失敗 (502) 仍會留下寄送紀錄，重新載入以顯示
+            if (error.status === 502) showWeeklyDigestModal(weekId);
+        } finally {
+            hideLoading();
+        }
+    });
+}
+
 // --- 樣式注入函式 ---
 
 function _injectWeeklyStyles() {
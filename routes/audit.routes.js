@@ -0,0 +1,27 @@
+// routes/audit.routes.js
+/**
+ * Audit Routes
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 稽核軌跡查詢，限管理者。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.auditController) {
+        throw new Error('AuditController 尚未初始化');
+    }
+    return services.auditController;
+};
+
+// GET /api/audit?entity=&id=
+router.get('/', requireRole(['admin', 'manager']), (req, res, next) => {
+    getController(req).getAuditTrail(req, res, next);
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/event.controller'); // 共用 event.controller
+const { requireRole } = require('../middleware/role.middleware');
 
 // --- Calendar Routes ---
 // ( /api/calendar/* )
@@ -12,4 +13,10 @@ router.post('/events', controller.createCalendarEvent);
 // GET /api/calendar/week
 router.get('/week', controller.getThisWeekEvents);
 
+// GET /api/calendar/sync/status
+router.get('/sync/status', controller.getCalendarSyncStatus);
+
+// POST /api/calendar/sync (立即同步改期 / 取消)
+router.post('/sync', requireRole('admin'), controller.syncCalendar);
+
 module.exports = router;
\ No newline at end of file
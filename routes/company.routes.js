@@ -1,12 +1,13 @@
 // routes/company.routes.js
 /**
  * Company Routes
- * * @version 8.0.0 (Phase 8: Switch to ID-based Routes)
- * @date 2026-02-10
+ * * @version 8.2.0 (Account Health)
+ * @date 2026-10-19
  */
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
 
 // 輔助函式
 const getController = (req) => {
@@ -17,6 +18,14 @@ const getController = (req) => {
     return services.companyController;
 };
 
+const getDuplicateController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.duplicateController) {
+        throw new Error('DuplicateController 尚未初始化');
+    }
+    return services.duplicateController;
+};
+
 // 取得 ExternalController (可能尚未重構，維持 require 或從 services 嘗試取得)
 // 這裡保留 require 以確保 Phase 5 之前的相容性
 const externalController = require('../controllers/external.controller');
@@ -31,6 +40,35 @@ router.post('/', (req, res, next) => {
     getController(req).createCompany(req, res, next);
 });
 
+// --- 重複偵測與合併 ---
+
+// GET /api/companies/duplicates
+router.get('/duplicates', (req, res, next) => {
+    getDuplicateController(req).getCompanyDuplicates(req, res, next);
+});
+
+// POST /api/companies/duplicates/check
+router.post('/duplicates/check', (req, res, next) => {
+    getDuplicateController(req).checkCompany(req, res, next);
+});
+
+// POST /api/companies/merge
+router.post('/merge', (req, res, next) => {
+    getDuplicateController(req).mergeCompanies(req, res, next);
+});
+
+// GET /api/companies/merges
+router.get('/merges', (req, res, next) => {
+    getDuplicateController(req).getCompanyMerges(req, res, next);
+});
+
+// --- 客戶健康度 ---
+
+// POST /api/companies/health/recalculate
+router.post('/health/recalculate', requireRole('admin'), (req, res, next) => {
+    getController(req).recalculateHealth(req, res, next);
+});
+
 // --- AI 路由 (External Controller) ---
 // POST /api/companies/:companyId/generate-profile
 // [Contract Fix] Changed param to :companyId
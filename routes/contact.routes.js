@@ -1,8 +1,8 @@
 /**
  * routes/contact.routes.js
  * 聯絡人/潛在客戶模組路由
- * * @version 6.2.0 (Phase 8.2 RAW Physical Delete)
- * @date 2026-03-16
+ * * @version 6.4.0 (Business Card Intake)
+ * @date 2026-10-19
  */
 const express = require('express');
 const router = express.Router();
@@ -23,6 +23,22 @@ const getController = (req) => {
     );
 };
 
+const getDuplicateController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.duplicateController) {
+        throw new Error('DuplicateController 尚未初始化');
+    }
+    return services.duplicateController;
+};
+
+const getCardIntakeController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.cardIntakeController) {
+        throw new Error('CardIntakeController 尚未初始化');
+    }
+    return services.cardIntakeController;
+};
+
 // =======================================================
 // 🛣️ Route Definitions
 // =======================================================
@@ -49,6 +65,41 @@ router.get('/list', async (req, res, next) => {
     } catch (e) { next(e); }
 });
 
+// GET /api/contacts/duplicates (正式聯絡人重複候選)
+router.get('/duplicates', async (req, res, next) => {
+    try {
+        await getDuplicateController(req).getContactDuplicates(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/duplicates/check (建檔前檢查)
+router.post('/duplicates/check', async (req, res, next) => {
+    try {
+        await getDuplicateController(req).checkContact(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/merge (合併正式聯絡人)
+router.post('/merge', async (req, res, next) => {
+    try {
+        await getDuplicateController(req).mergeContacts(req, res);
+    } catch (e) { next(e); }
+});
+
+// GET /api/contacts/merges (合併紀錄)
+router.get('/merges', async (req, res, next) => {
+    try {
+        await getDuplicateController(req).getContactMerges(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/cards (上傳名片 → 辨識後寫入潛在客戶)
+router.post('/cards', async (req, res, next) => {
+    try {
+        await getCardIntakeController(req).uploadCards(req, res);
+    } catch (e) { next(e); }
+});
+
 // POST /api/contacts/:rowIndex/upgrade (升級)
 router.post('/:rowIndex/upgrade', async (req, res, next) => {
     try {
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/event.controller');
+const { requireRole } = require('../middleware/role.middleware');
 
 // --- Event Log Routes ---
 // ( /api/events/* )
@@ -9,7 +10,14 @@ const controller = require('../controllers/event.controller');
 // [Phase 8 Fix] Dashboard route MUST come before :eventId to avoid capture
 router.get('/dashboard', controller.getDashboardData);
 
+// 事件類型欄位設定 (讀取開放，異動限管理員)
+router.get('/schemas', controller.getEventSchemas);
+router.put('/schemas/:eventType', requireRole('admin'), controller.saveEventSchema);
+router.delete('/schemas/:eventType', requireRole('admin'), controller.deleteEventSchema);
+
 router.post('/', controller.createEventLog);
+// 拜訪報告 (PDF / DOCX)
+router.get('/:eventId/report.:format(pdf|docx)', controller.getEventReport);
 router.get('/:eventId', controller.getEventLogById);
 router.put('/:eventId', controller.updateEventLog);
 router.delete('/:eventId', controller.deleteEventLog);
@@ -0,0 +1,26 @@
+// routes/export.routes.js
+/**
+ * Export Routes
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description 列表資料匯出：:entity 為 contacts | companies | opportunities | interactions | events | weekly | products (僅限管理員)。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.exportController) {
+        throw new Error('ExportController 尚未初始化');
+    }
+    return services.exportController;
+};
+
+// GET /api/export/:entity
+router.get('/:entity', (req, res, next) => {
+    getController(req).exportList(req, res, next);
+});
+
+module.exports = router;
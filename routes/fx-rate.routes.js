@@ -0,0 +1,42 @@
+// routes/fx-rate.routes.js
+/**
+ * FX Rate Routes
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 匯率表：所有登入者可讀取，新增 / 修改 / 刪除限管理員。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.fxRateController) {
+        throw new Error('FxRateController 尚未初始化');
+    }
+    return services.fxRateController;
+};
+
+// GET /api/fx-rates
+router.get('/', (req, res, next) => {
+    getController(req).getRates(req, res, next);
+});
+
+// POST /api/fx-rates
+router.post('/', requireRole('admin'), (req, res, next) => {
+    getController(req).createRate(req, res, next);
+});
+
+// PUT /api/fx-rates/:rateId
+router.put('/:rateId', requireRole('admin'), (req, res, next) => {
+    getController(req).updateRate(req, res, next);
+});
+
+// DELETE /api/fx-rates/:rateId
+router.delete('/:rateId', requireRole('admin'), (req, res, next) => {
+    getController(req).deleteRate(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// routes/import.routes.js
+/**
+ * Import Routes
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description CSV / XLSX 批次匯入：:entity 為 contacts | companies | opportunities。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.importController) {
+        throw new Error('ImportController 尚未初始化');
+    }
+    return services.importController;
+};
+
+// GET /api/imports/:entity/fields
+router.get('/:entity/fields', (req, res, next) => {
+    getController(req).getFields(req, res, next);
+});
+
+// POST /api/imports/:entity/preview
+router.post('/:entity/preview', (req, res, next) => {
+    getController(req).previewImport(req, res, next);
+});
+
+// POST /api/imports/:entity/validate
+router.post('/:entity/validate', (req, res, next) => {
+    getController(req).validateImport(req, res, next);
+});
+
+// POST /api/imports/:entity/commit
+router.post('/:entity/commit', (req, res, next) => {
+    getController(req).commitImport(req, res, next);
+});
+
+module.exports = router;
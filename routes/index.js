@@ -1,8 +1,8 @@
 /**
  * routes/index.js
  * API 總路由入口
- * * @version 6.2.0 (Added Internal Ops Routes)
- * @date 2026-04-20
+ * * @version 6.8.0 (Added Task Routes)
+ * @date 2026-10-19
  */
 const express = require('express');
 const router = express.Router();
@@ -27,6 +27,12 @@ const lineLeadsRoutes = require('./line-leads.routes');
 const externalRoutes = require('./external.routes');
 const calendarRoutes = require('./calendar.routes');
 const internalOpsRoutes = require('./internal-ops.routes');
+const auditRoutes = require('./audit.routes');
+const trashRoutes = require('./trash.routes');
+const fxRateRoutes = require('./fx-rate.routes');
+const importRoutes = require('./import.routes');
+const exportRoutes = require('./export.routes');
+const taskRoutes = require('./task.routes');
 
 // ==========================================
 // 1. 公開/特殊驗證路由 (Public / Custom Auth)
@@ -63,12 +69,18 @@ router.use('/interactions', interactionRoutes);
 router.use('/events', eventRoutes);
 router.use('/calendar', calendarRoutes);
 router.use('/internal-ops', internalOpsRoutes);
+router.use('/audit', auditRoutes);
+router.use('/trash', trashRoutes);
+router.use('/fx-rates', fxRateRoutes);
+router.use('/imports', importRoutes);
+router.use('/export', exportRoutes);
+router.use('/tasks', taskRoutes);
 
 // ==========================================
 // 3. 404 與 根路徑
 // ==========================================
 router.get('/', (req, res) => {
-    res.json({ status: 'online', message: 'TFC CRM API v6.2.0' });
+    res.json({ status: 'online', message: 'TFC CRM API v6.4.0' });
 });
 
 router.use('*', (req, res) => {
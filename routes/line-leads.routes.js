@@ -1,9 +1,11 @@
 /**
  * routes/line-leads.routes.js
- * @version 1.3.0
- * @date 2026-03-22
+ * @version 1.5.0
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：改由 services 容器注入 authService。新增 systemService 注入以支援展會設定讀取。
  * @changelog 
+ * - [V1.5.0] Added PUT /leads/:rowIndex/assign (routing admin reassignment) and injected leadRoutingService.
+ * - [V1.4.0] Added POST /cards (LIFF business card upload, shared CardIntakeService with POST /api/contacts/cards).
  * - [V1.3.0] Added DELETE /leads/:rowIndex endpoint for physical card deletion.
  * - [V1.2.0] Passed systemService into LineLeadsController constructor.
  */
@@ -17,13 +19,13 @@ const getController = (req) => {
     const app = req.app;
     const services = app.get('services');
 
-    const { contactService, authService, systemService } = services;
+    const { contactService, authService, systemService, cardIntakeService, leadRoutingService } = services;
 
     if (!authService) {
         throw new Error("authService is not available in app.get('services'). Make sure services/index.js includes authService.");
     }
 
-    return new LineLeadsController(contactService, authService, systemService);
+    return new LineLeadsController(contactService, authService, systemService, cardIntakeService, leadRoutingService);
 };
 
 // GET /api/line/leads - 取得所有名片資料
@@ -32,6 +34,12 @@ router.get('/leads', (req, res) => getController(req).getAllLeads(req, res));
 // PUT /api/line/leads/:rowIndex - 更新特定名片狀態/資料
 router.put('/leads/:rowIndex', (req, res) => getController(req).updateLead(req, res));
 
+// PUT /api/line/leads/:rowIndex/assign - 改派負責業務 (分派管理員)
+router.put('/leads/:rowIndex/assign', (req, res) => getController(req).assignLead(req, res));
+
+// POST /api/line/cards - 上傳名片 (辨識後寫入潛在客戶)
+router.post('/cards', (req, res) => getController(req).uploadCards(req, res));
+
 // DELETE /api/line/leads/:rowIndex - 刪除特定名片 (物理刪除)
 router.delete('/leads/:rowIndex', (req, res) => getController(req).deleteLead(req, res));
 
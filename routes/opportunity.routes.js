@@ -1,8 +1,8 @@
 // routes/opportunity.routes.js
 /**
  * Opportunity Routes
- * * @version 6.1.0 (Phase 9 - Metadata Decoupling)
- * @date 2026-04-15
+ * * @version 6.3.0 (Opportunity Quotes)
+ * @date 2026-10-19
  */
 
 const express = require('express');
@@ -17,6 +17,14 @@ const getController = (req) => {
     return services.opportunityController;
 };
 
+const getQuoteController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.quoteController) {
+        throw new Error('QuoteController 尚未初始化');
+    }
+    return services.quoteController;
+};
+
 // GET /api/opportunities/dashboard
 router.get('/dashboard', (req, res, next) => {
     getController(req).getDashboardData(req, res, next);
@@ -42,6 +50,16 @@ router.get('/:opportunityId/details', (req, res, next) => {
     getController(req).getOpportunityDetails(req, res, next);
 });
 
+// GET /api/opportunities/:opportunityId/pipeline
+router.get('/:opportunityId/pipeline', (req, res, next) => {
+    getController(req).getStageReachability(req, res, next);
+});
+
+// POST /api/opportunities/:opportunityId/close
+router.post('/:opportunityId/close', (req, res, next) => {
+    getController(req).closeOpportunity(req, res, next);
+});
+
 // POST /api/opportunities/
 router.post('/', (req, res, next) => {
     getController(req).createOpportunity(req, res, next);
@@ -72,4 +90,41 @@ router.delete('/:opportunityId/contacts/:contactId', (req, res, next) => {
     getController(req).deleteContactLink(req, res, next);
 });
 
+// --- 報價單 (Quotes) ---
+
+// GET /api/opportunities/:opportunityId/quotes
+router.get('/:opportunityId/quotes', (req, res, next) => {
+    getQuoteController(req).getQuotes(req, res, next);
+});
+
+// GET /api/opportunities/:opportunityId/quotes/catalog
+router.get('/:opportunityId/quotes/catalog', (req, res, next) => {
+    getQuoteController(req).getCatalog(req, res, next);
+});
+
+// GET /api/opportunities/:opportunityId/quotes/:quoteId
+router.get('/:opportunityId/quotes/:quoteId', (req, res, next) => {
+    getQuoteController(req).getQuote(req, res, next);
+});
+
+// POST /api/opportunities/:opportunityId/quotes
+router.post('/:opportunityId/quotes', (req, res, next) => {
+    getQuoteController(req).createQuote(req, res, next);
+});
+
+// PUT /api/opportunities/:opportunityId/quotes/:quoteId
+router.put('/:opportunityId/quotes/:quoteId', (req, res, next) => {
+    getQuoteController(req).updateQuote(req, res, next);
+});
+
+// POST /api/opportunities/:opportunityId/quotes/:quoteId/accept
+router.post('/:opportunityId/quotes/:quoteId/accept', (req, res, next) => {
+    getQuoteController(req).acceptQuote(req, res, next);
+});
+
+// DELETE /api/opportunities/:opportunityId/quotes/:quoteId
+router.delete('/:opportunityId/quotes/:quoteId', (req, res, next) => {
+    getQuoteController(req).deleteQuote(req, res, next);
+});
+
 module.exports = router;
\ No newline at end of file
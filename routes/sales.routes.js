@@ -2,8 +2,30 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/sales.controller');
+const { requireRole } = require('../middleware/role.middleware');
 
 // GET /api/sales-analysis
 router.get('/', controller.getSalesAnalysis);
 
-module.exports = router;
\ No newline at end of file
+// GET /api/sales/forecast
+router.get('/forecast', controller.getForecast);
+
+// GET /api/sales/pipeline-snapshots
+router.get('/pipeline-snapshots', controller.getPipelineSnapshotDates);
+
+// GET /api/sales/pipeline-snapshots/diff?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/pipeline-snapshots/diff', controller.getPipelineSnapshotDiff);
+
+// GET /api/sales/quotas/me (儀表板個人達成卡片)
+router.get('/quotas/me', controller.getMyQuotaAttainment);
+
+// GET /api/sales/quotas/attainment?startDate=&endDate=&assignee=
+router.get('/quotas/attainment', controller.getQuotaAttainment);
+
+// 業績目標設定 (讀取開放，異動限管理員)
+router.get('/quotas', controller.getQuotas);
+router.post('/quotas', requireRole('admin'), controller.createQuota);
+router.put('/quotas/:quotaId', requireRole('admin'), controller.updateQuota);
+router.delete('/quotas/:quotaId', requireRole('admin'), controller.deleteQuota);
+
+module.exports = router;
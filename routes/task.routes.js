@@ -0,0 +1,51 @@
+// routes/task.routes.js
+/**
+ * Task Routes
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 待辦任務 (/api/tasks)：所有登入者可讀寫。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.taskController) {
+        throw new Error('TaskController 尚未初始化');
+    }
+    return services.taskController;
+};
+
+// GET /api/tasks
+router.get('/', (req, res, next) => {
+    getController(req).getTasks(req, res, next);
+});
+
+// GET /api/tasks/me (儀表板「我的待辦」：今天到期與逾期)
+router.get('/me', (req, res, next) => {
+    getController(req).getMyTasks(req, res, next);
+});
+
+// GET /api/tasks/:taskId
+router.get('/:taskId', (req, res, next) => {
+    getController(req).getTask(req, res, next);
+});
+
+// POST /api/tasks
+router.post('/', (req, res, next) => {
+    getController(req).createTask(req, res, next);
+});
+
+// PUT /api/tasks/:taskId
+router.put('/:taskId', (req, res, next) => {
+    getController(req).updateTask(req, res, next);
+});
+
+// DELETE /api/tasks/:taskId
+router.delete('/:taskId', (req, res, next) => {
+    getController(req).deleteTask(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// routes/trash.routes.js
+/**
+ * Trash (Recycle Bin) Routes
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 回收桶列表與還原，限管理員。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.trashController) {
+        throw new Error('TrashController 尚未初始化');
+    }
+    return services.trashController;
+};
+
+router.use(requireRole('admin'));
+
+// GET /api/trash?entity=
+router.get('/', (req, res, next) => {
+    getController(req).getTrashItems(req, res, next);
+});
+
+// POST /api/trash/:entity/:id/restore
+router.post('/:entity/:id/restore', (req, res, next) => {
+    getController(req).restoreItem(req, res, next);
+});
+
+module.exports = router;
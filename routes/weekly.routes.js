@@ -1,8 +1,8 @@
 /**
  * routes/weekly.routes.js
  * 週間業務路由設定
- * * @version 6.0.2 (Fix Middleware Name mismatch)
- * @date 2026-01-14
+ * * @version 6.2.0 (Weekly Digest)
+ * @date 2026-10-19
  */
 
 const express = require('express');
@@ -31,6 +31,33 @@ router.get('/details/:weekId', (req, res, next) =>
     getController(req).getWeeklyDetails(req, res, next)
 );
 
+// 產生週報草稿 (依本週 CRM 活動)
+router.post('/draft/:weekId', (req, res, next) => 
+    getController(req).generateDraft(req, res, next)
+);
+
+// 週報發布：預覽 / 版本列表 / 發布新版本
+router.get('/digest/:weekId/preview', (req, res, next) => 
+    getController(req).previewDigest(req, res, next)
+);
+
+router.get('/digest/:weekId/versions', (req, res, next) => 
+    getController(req).getDigestVersions(req, res, next)
+);
+
+router.post('/digest/:weekId/publish', (req, res, next) => 
+    getController(req).publishDigest(req, res, next)
+);
+
+// 已發布版本：HTML / PDF 與 Email 寄送
+router.get('/digests/:digestId.:format(html|pdf)', (req, res, next) => 
+    getController(req).getDigestFile(req, res, next)
+);
+
+router.post('/digests/:digestId/send', (req, res, next) => 
+    getController(req).sendDigest(req, res, next)
+);
+
 // 建立週報
 router.post('/', (req, res, next) => 
     getController(req).createEntry(req, res, next)
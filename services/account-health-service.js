@@ -0,0 +1,358 @@
+/**
+ * services/account-health-service.js
+ * 客戶健康度 (Account Health Score)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 取代人工維護易過時的「互動評級」：依 config.ACCOUNT_HEALTH 計算每家公司 0~100 分，附各因子明細 (breakdown)：
+ * 互動頻率 (近 N 天互動次數，不含系統事件)、最近事件紀錄距今天數、進行中機會金額 (本位幣)、成交紀錄、訂閱狀態 (內部運營「訂閱制管理」)。
+ * - 公司沒有訂閱資料時不計訂閱因子，以其餘因子換算。
+ * - 每日排程 captureSnapshot() 計算全部公司並寫入 company_health_scores；
+ * 與 TREND_LOOKBACK_DAYS 天前的分數比較，下降達 TREND_DROP_POINTS 標記為趨勢下滑 (trend = 'down')。
+ * - 尚未有排程結果的公司，getCompanyHealth() 即時計算 (不寫入)。
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FACTOR_LABELS = {
+    engagement: '互動頻率',
+    recency: '最近事件',
+    pipeline: '進行中機會',
+    wonHistory: '成交紀錄',
+    subscription: '訂閱狀態'
+};
+
+const { CLOSE_STAGES } = require('../config').CONSTANTS;
+const SYSTEM_INTERACTION_TYPE = '系統事件';
+
+class AccountHealthService {
+    /**
+     * @param {Object} dependencies
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {InteractionSqlReader} dependencies.interactionSqlReader
+     * @param {EventLogSqlReader} dependencies.eventLogSqlReader
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {InternalOpsReader} dependencies.internalOpsReader - 訂閱制管理
+     * @param {CompanyHealthSqlReader} dependencies.companyHealthSqlReader
+     * @param {CompanyHealthSqlWriter} dependencies.companyHealthSqlWriter
+     * @param {CurrencyService} [dependencies.currencyService]
+     * @param {Object} dependencies.config
+     */
+    constructor({
+        companySqlReader, interactionSqlReader, eventLogSqlReader, opportunitySqlReader, internalOpsReader,
+        companyHealthSqlReader, companyHealthSqlWriter, currencyService = null, config
+    }) {
+        this.companySqlReader = companySqlReader;
+        this.interactionSqlReader = interactionSqlReader;
+        this.eventLogSqlReader = eventLogSqlReader;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.internalOpsReader = internalOpsReader;
+        this.companyHealthSqlReader = companyHealthSqlReader;
+        this.companyHealthSqlWriter = companyHealthSqlWriter;
+        this.currencyService = currencyService;
+        this.config = config;
+
+        this.subscriptionRatios = config.ACCOUNT_HEALTH.SUBSCRIPTION_STATUS_RATIOS
+            .map(s => ({ ...s, regex: new RegExp(s.pattern, 'i') }));
+    }
+
+    _formatDate(date) {
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${m}-${d}`;
+    }
+
+    _today() {
+        return this._formatDate(new Date());
+    }
+
+    /**
+     * 與 CompanyService._normalizeCompanyName 相同的規則
+     */
+    _normalizeCompanyName(name) {
+        if (!name) return '';
+        return String(name).toLowerCase().trim()
+            .replace(/股份有限公司|有限公司|公司/g, '')
+            .replace(/\(.*\)/g, '')
+            .trim();
+    }
+
+    _toTime(value) {
+        const ts = value ? new Date(value).getTime() : NaN;
+        return isNaN(ts) ? null : ts;
+    }
+
+    _isWon(opp) {
+        if (opp.closeResult) return opp.closeResult === 'won';
+        return CLOSE_STAGES.LEGACY_WON.includes(opp.currentStage);
+    }
+
+    _factor(key, ratio, detail) {
+        const max = this.config.ACCOUNT_HEALTH.WEIGHTS[key] || 0;
+        return { key, label: FACTOR_LABELS[key], points: Math.round(max * ratio * 10) / 10, max, detail };
+    }
+
+    _subscriptionStatusRatio(status) {
+        const matched = status ? this.subscriptionRatios.find(s => s.regex.test(status)) : null;
+        return matched ? matched.ratio : this.config.ACCOUNT_HEALTH.OTHER_SUBSCRIPTION_RATIO;
+    }
+
+    _band(score) {
+        const { HEALTHY, WATCH } = this.config.ACCOUNT_HEALTH.SCORE_BANDS;
+        if (score >= HEALTHY) return 'healthy';
+        return score >= WATCH ? 'watch' : 'risk';
+    }
+
+    /**
+     * 計算單一公司的健康度
+     * @param {Object} activity - 該公司的 { interactions, eventLogs, opportunities, subscriptions }
+     * @param {FxConverter|null} fx
+     * @param {number} now - 計算基準時間 (ms)
+     * @returns {{ score: number, band: string, breakdown: Array<Object> }}
+     */
+    _scoreCompany(activity, fx, now) {
+        const rules = this.config.ACCOUNT_HEALTH;
+        const breakdown = [];
+
+        // 互動頻率
+        const engagementSince = now - rules.ENGAGEMENT_WINDOW_DAYS * DAY_MS;
+        const interactionCount = activity.interactions.filter(i => {
+            if (i.eventType === SYSTEM_INTERACTION_TYPE) return false;
+            const ts = this._toTime(i.interactionTime || i.createdTime);
+            return ts !== null && ts >= engagementSince && ts <= now;
+        }).length;
+        breakdown.push(this._factor('engagement', Math.min(interactionCount / rules.ENGAGEMENT_TARGET, 1),
+            `近 ${rules.ENGAGEMENT_WINDOW_DAYS} 天 ${interactionCount} 次互動`));
+
+        // 最近事件紀錄
+        const lastEventTs = activity.eventLogs.reduce((latest, e) => {
+            const ts = this._toTime(e.createdTime);
+            return ts !== null && ts > latest ? ts : latest;
+        }, 0);
+        let recencyRatio = 0;
+        let recencyDetail = '無事件紀錄';
+        if (lastEventTs > 0) {
+            const days = Math.max(Math.floor((now - lastEventTs) / DAY_MS), 0);
+            if (days <= rules.RECENCY_FULL_DAYS) recencyRatio = 1;
+            else if (days < rules.RECENCY_ZERO_DAYS) {
+                recencyRatio = (rules.RECENCY_ZERO_DAYS - days) / (rules.RECENCY_ZERO_DAYS - rules.RECENCY_FULL_DAYS);
+            }
+            recencyDetail = `${days} 天前`;
+        }
+        breakdown.push(this._factor('recency', recencyRatio, recencyDetail));
+
+        // 進行中機會金額 (本位幣)
+        const openOpps = activity.opportunities.filter(o => o.currentStatus === this.config.CONSTANTS.OPPORTUNITY_STATUS.ACTIVE);
+        const openValues = openOpps.map(o => (fx
+            ? fx.toBase(o.opportunityValue, o.currency, o.expectedCloseDate)
+            : (parseFloat(String(o.opportunityValue || 0).replace(/,/g, '')) || 0)));
+        // 缺少匯率 (null) 的機會不計入金額
+        const pipelineValue = openValues.reduce((sum, v) => sum + (v || 0), 0);
+        const unconverted = openValues.filter(v => v === null).length;
+        breakdown.push(this._factor('pipeline', Math.min(pipelineValue / rules.PIPELINE_TARGET_VALUE, 1),
+            openOpps.length > 0
+                ? `${openOpps.length} 件，${Math.round(pipelineValue).toLocaleString()}${unconverted ? ` (${unconverted} 件缺少匯率未計入)` : ''}`
+                : '無進行中機會'));
+
+        // 成交紀錄
+        const wonSince = now - rules.WON_WINDOW_DAYS * DAY_MS;
+        const wonCount = activity.opportunities.filter(o => {
+            if (!this._isWon(o)) return false;
+            const ts = this._toTime(o.closedTime || o.expectedCloseDate || o.lastUpdateTime);
+            return ts !== null && ts >= wonSince;
+        }).length;
+        breakdown.push(this._factor('wonHistory', Math.min(wonCount / rules.WON_TARGET, 1),
+            `近 ${rules.WON_WINDOW_DAYS} 天成交 ${wonCount} 件`));
+
+        // 訂閱狀態 (無訂閱時不計)
+        if (activity.subscriptions.length > 0) {
+            const best = activity.subscriptions
+                .map(s => ({ status: s.subStatus || '未填狀態', ratio: this._subscriptionStatusRatio(s.subStatus) }))
+                .sort((a, b) => b.ratio - a.ratio)[0];
+            breakdown.push(this._factor('subscription', best.ratio, best.status));
+        }
+
+        const max = breakdown.reduce((sum, f) => sum + f.max, 0);
+        const earned = breakdown.reduce((sum, f) => sum + f.points, 0);
+        const score = max > 0 ? Math.round(earned / max * 100) : 0;
+
+        return { score, band: this._band(score), breakdown };
+    }
+
+    async _getConverter() {
+        return this.currencyService ? this.currencyService.getConverter() : null;
+    }
+
+    async _getActiveSubscriptions() {
+        if (!this.internalOpsReader) return [];
+        try {
+            return (await this.internalOpsReader.getSubscriptions()).filter(s => s.isActive);
+        } catch (error) {
+            console.warn(`[AccountHealthService] 訂閱資料無法載入，不計訂閱因子: ${error.message}`);
+            return [];
+        }
+    }
+
+    _subscriptionsFor(company, subscriptions) {
+        const key = this._normalizeCompanyName(company.companyName);
+        return subscriptions.filter(s => this._normalizeCompanyName(s.companyName || s.customerName) === key);
+    }
+
+    _withTrend(companyId, result, previousScores) {
+        const previous = previousScores.get(companyId);
+        if (!previous) return { companyId, ...result, previousScore: null, scoreDelta: null, trend: 'new' };
+
+        const { TREND_DROP_POINTS } = this.config.ACCOUNT_HEALTH;
+        const scoreDelta = result.score - previous.score;
+        let trend = 'flat';
+        if (scoreDelta <= -TREND_DROP_POINTS) trend = 'down';
+        else if (scoreDelta >= TREND_DROP_POINTS) trend = 'up';
+        return { companyId, ...result, previousScore: previous.score, scoreDelta, trend };
+    }
+
+    async _getPreviousScores(snapshotDate) {
+        const lookback = new Date(new Date(`${snapshotDate}T00:00:00`).getTime() - this.config.ACCOUNT_HEALTH.TREND_LOOKBACK_DAYS * DAY_MS);
+        const previousDate = await this.companyHealthSqlReader.getLatestSnapshotDateOnOrBefore(this._formatDate(lookback));
+        if (!previousDate) return new Map();
+        return new Map((await this.companyHealthSqlReader.getScores(previousDate)).map(s => [s.companyId, s]));
+    }
+
+    /**
+     * 每日排程：計算全部公司的健康度並儲存
+     */
+    async captureSnapshot() {
+        const snapshotDate = this._today();
+        const now = Date.now();
+
+        const [companies, interactions, eventLogs, opportunities, subscriptions, fx, previousScores] = await Promise.all([
+            this.companySqlReader.getCompanies(),
+            this.interactionSqlReader.getInteractions(),
+            this.eventLogSqlReader.getEventLogs(),
+            this.opportunitySqlReader.getOpportunities(),
+            this._getActiveSubscriptions(),
+            this._getConverter(),
+            this._getPreviousScores(snapshotDate)
+        ]);
+
+        // 機會以正規化公司名稱歸戶；互動可能只掛在機會上，依機會回推公司
+        const oppsByKey = new Map();
+        const companyKeyByOppId = new Map();
+        opportunities.forEach(o => {
+            const key = this._normalizeCompanyName(o.customerCompany);
+            if (!key) return;
+            if (!oppsByKey.has(key)) oppsByKey.set(key, []);
+            oppsByKey.get(key).push(o);
+            companyKeyByOppId.set(o.opportunityId, key);
+        });
+
+        const companyIdByKey = new Map();
+        companies.forEach(c => {
+            const key = this._normalizeCompanyName(c.companyName);
+            if (key && !companyIdByKey.has(key)) companyIdByKey.set(key, c.companyId);
+        });
+
+        const groupBy = (items, keyOf) => {
+            const map = new Map();
+            items.forEach(item => {
+                const key = keyOf(item);
+                if (!key) return;
+                if (!map.has(key)) map.set(key, []);
+                map.get(key).push(item);
+            });
+            return map;
+        };
+        const interactionsByCompany = groupBy(interactions, i =>
+            i.companyId || companyIdByKey.get(companyKeyByOppId.get(i.opportunityId)));
+        const eventLogsByCompany = groupBy(eventLogs, e => e.companyId);
+
+        const items = companies.map(company => {
+            const result = this._scoreCompany({
+                interactions: interactionsByCompany.get(company.companyId) || [],
+                eventLogs: eventLogsByCompany.get(company.companyId) || [],
+                opportunities: oppsByKey.get(this._normalizeCompanyName(company.companyName)) || [],
+                subscriptions: this._subscriptionsFor(company, subscriptions)
+            }, fx, now);
+            return this._withTrend(company.companyId, result, previousScores);
+        });
+
+        const saved = await this.companyHealthSqlWriter.saveScores(snapshotDate, items);
+        const trendingDown = items.filter(i => i.trend === 'down').length;
+        console.log(`🩺 [AccountHealthService] 已計算 ${snapshotDate} 客戶健康度 (${saved.count} 家，${trendingDown} 家趨勢下滑)`);
+        return { ...saved, trendingDown };
+    }
+
+    /**
+     * 最近一次排程結果 (公司列表用)
+     * @returns {Promise<Map<string, Object>>} companyId → { score, band, trend, scoreDelta, snapshotDate }
+     */
+    async getLatestScoreMap() {
+        const latestDate = await this.companyHealthSqlReader.getLatestSnapshotDateOnOrBefore(this._today());
+        if (!latestDate) return new Map();
+        const scores = await this.companyHealthSqlReader.getScores(latestDate);
+        return new Map(scores.map(s => [s.companyId, {
+            score: s.score,
+            band: s.band,
+            trend: s.trend,
+            scoreDelta: s.scoreDelta,
+            snapshotDate: s.snapshotDate
+        }]));
+    }
+
+    /**
+     * 即時計算單一公司 (不寫入)
+     * @param {Object} company - Company DTO
+     */
+    async calculateCompanyHealth(company) {
+        const baseName = String(company.companyName || '').replace(/股份有限公司|有限公司|公司/g, '').replace(/\(.*\)/g, '').trim();
+        const key = this._normalizeCompanyName(company.companyName);
+
+        const [companyInteractions, eventLogs, oppsRaw, subscriptions, fx] = await Promise.all([
+            this.interactionSqlReader.getInteractionsByCompanyId(company.companyId),
+            this.eventLogSqlReader.getEventLogs(),
+            this.opportunitySqlReader.getOpportunitiesByCompanyName(baseName),
+            this._getActiveSubscriptions(),
+            this._getConverter()
+        ]);
+
+        const opportunities = oppsRaw.filter(o => this._normalizeCompanyName(o.customerCompany) === key);
+        const oppInteractions = await this.interactionSqlReader.getInteractionsByOpportunityIds(opportunities.map(o => o.opportunityId));
+        const interactionMap = new Map();
+        [...companyInteractions, ...oppInteractions].forEach(i => interactionMap.set(i.interactionId, i));
+
+        return this._scoreCompany({
+            interactions: Array.from(interactionMap.values()),
+            eventLogs: eventLogs.filter(e => e.companyId === company.companyId),
+            opportunities,
+            subscriptions: this._subscriptionsFor(company, subscriptions)
+        }, fx, Date.now());
+    }
+
+    /**
+     * 公司詳細頁：最近一次排程結果 + 歷史；尚未計算過的公司即時計算
+     * @param {Object} company - Company DTO
+     * @returns {Promise<Object>} { score, band, trend, scoreDelta, breakdown, snapshotDate, history, live }
+     */
+    async getCompanyHealth(company) {
+        const since = this._formatDate(new Date(Date.now() - this.config.ACCOUNT_HEALTH.HISTORY_DAYS * DAY_MS));
+        const history = await this.companyHealthSqlReader.getCompanyHistory(company.companyId, since);
+
+        if (history.length === 0) {
+            const result = await this.calculateCompanyHealth(company);
+            return { ...result, trend: 'new', scoreDelta: null, snapshotDate: null, history: [], live: true };
+        }
+
+        const latest = history[history.length - 1];
+        return {
+            score: latest.score,
+            band: latest.band,
+            trend: latest.trend,
+            scoreDelta: latest.scoreDelta,
+            breakdown: latest.breakdown,
+            snapshotDate: latest.snapshotDate,
+            history: history.map(h => ({ snapshotDate: h.snapshotDate, score: h.score })),
+            live: false
+        };
+    }
+}
+
+module.exports = AccountHealthService;
@@ -0,0 +1,58 @@
+/**
+ * services/audit-service.js
+ * 稽核軌跡業務邏輯層
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 提供 GET /api/audit 查詢：誰、在何時、透過哪個請求修改了哪些欄位。
+ * - 寫入端由各 SQL Writer 透過 AuditLogSqlWriter 自動完成，本服務僅負責讀取與整理。
+ */
+
+// 對外 entity 參數 -> audit_logs.entity_type
+const ENTITY_TYPES = ['contact', 'company', 'opportunity', 'event', 'interaction', 'weekly'];
+
+class AuditService {
+    /**
+     * @param {Object} dependencies
+     * @param {AuditLogSqlReader} dependencies.auditLogSqlReader
+     */
+    constructor({ auditLogSqlReader }) {
+        this.auditLogSqlReader = auditLogSqlReader;
+    }
+
+    /**
+     * 是否為支援的實體類型
+     * @param {string} entityType
+     */
+    isSupportedEntity(entityType) {
+        return ENTITY_TYPES.includes(entityType);
+    }
+
+    /**
+     * 取得實體的變更歷程 (新到舊)
+     * @param {string} entityType
+     * @param {string} [entityId] - 省略時回傳該類型最近的異動
+     * @returns {Promise<Array>} 每筆含 changes: [{ field, before, after }]
+     */
+    async getAuditTrail(entityType, entityId) {
+        try {
+            const logs = await this.auditLogSqlReader.getAuditLogs({ entityType, entityId });
+
+            return logs.map(log => ({
+                ...log,
+                changes: log.changedFields.map(field => ({
+                    field,
+                    before: log.before ? log.before[field] ?? null : null,
+                    after: log.after ? log.after[field] ?? null : null
+                }))
+            }));
+        } catch (error) {
+            console.error('[AuditService] getAuditTrail Error:', error);
+            throw error;
+        }
+    }
+}
+
+AuditService.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditService;
@@ -1,10 +1,16 @@
 /**
  * services/calendar-service.js
  * 日曆服務模組 (Service Layer)
- * * @version 6.0.0 (Added getEventsForPeriod for Weekly Module)
- * @date 2026-01-14
+ * * @version 6.2.0 (Timed Meetings)
+ * @date 2026-10-19
  * @description 負責處理與 Google Calendar 的互動，包含通用活動查詢、建立與假日判斷。
  * 修正：補上 WeeklyBusinessService 所需的 getEventsForPeriod 方法。
+ * [v6.1.0]
+ * - createCalendarEvent()：EventService 使用的建立介面 (全天 / 定時)，回傳活動 ID 與實際起訖時間。
+ * - listEventChanges()：以 sync token 取得增量異動 (含已刪除活動)，token 失效時回傳 { expired: true }。
+ * - calendarClient 可為 googleapis 或 FakeCalendarClient (config.CALENDAR_SYNC.CLIENT)。
+ * [v6.2.0]
+ * - createCalendarEvent() 支援與會者 (寄送邀請，見 CALENDAR_EVENT.SEND_UPDATES)、自訂提醒與 Google Meet 連結。
  */
 
 const config = require('../config');
@@ -125,14 +131,17 @@ class CalendarService {
 
     /**
      * 建立行事曆事件 (保留自 v5.0.0)
+     * @param {Object} eventData - Google Calendar event resource
+     * @param {Object} [options] - insert 額外參數 (conferenceDataVersion / sendUpdates)
      */
-    async createEvent(eventData) {
+    async createEvent(eventData, options = {}) {
         try {
             const targetCalendarId = this.config.CALENDAR_ID || 'primary';
             const response = await this._executeWithRetry(() => 
                 this.calendar.events.insert({
                     calendarId: targetCalendarId,
                     resource: eventData,
+                    ...options
                 })
             );
             // 清除快取以確保即時性
@@ -144,6 +153,111 @@ class CalendarService {
         }
     }
 
+    /**
+     * 建立 CRM 排程的日曆活動
+     * @param {Object} params
+     * @param {string} params.title
+     * @param {string} [params.description]
+     * @param {string} [params.location]
+     * @param {string} params.startTime - ISO 字串
+     * @param {boolean} [params.isAllDay=false] - 全天活動以 config.TIMEZONE 的日期為準
+     * @param {number} [params.durationMinutes] - 定時活動長度，預設 CALENDAR_EVENT.DEFAULT_DURATION
+     * @param {Array<{email: string, displayName?: string}>} [params.attendees]
+     * @param {Array<number>} [params.reminderMinutes] - 提醒 (開始前分鐘數)；未提供時使用 CALENDAR_EVENT.REMINDER_MINUTES，空陣列代表不提醒
+     * @param {boolean} [params.addVideoConference=false] - 建立 Google Meet 連結
+     * @returns {Promise<{success, eventId, calendarId, htmlLink, hangoutLink, startTime, endTime, isAllDay, attendeeCount}>}
+     */
+    async createCalendarEvent({ title, description, location, startTime, isAllDay = false, durationMinutes, attendees = [], reminderMinutes, addVideoConference = false }) {
+        const start = new Date(startTime);
+        if (isNaN(start.getTime())) throw new Error('無法建檔：會議開始時間格式錯誤');
+
+        const resource = { summary: title, description: description || '', location: location || '' };
+        let endTime;
+
+        if (isAllDay) {
+            const startDate = start.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+            const endDate = new Date(`${startDate}T00:00:00Z`);
+            endDate.setUTCDate(endDate.getUTCDate() + 1);
+            resource.start = { date: startDate };
+            resource.end = { date: endDate.toISOString().slice(0, 10) };
+            endTime = resource.end.date;
+        } else {
+            const minutes = Number(durationMinutes) || this.config.CALENDAR_EVENT.DEFAULT_DURATION;
+            endTime = new Date(start.getTime() + minutes * 60 * 1000).toISOString();
+            resource.start = { dateTime: start.toISOString(), timeZone: this.config.TIMEZONE };
+            resource.end = { dateTime: endTime, timeZone: this.config.TIMEZONE };
+        }
+
+        const reminders = reminderMinutes === undefined || reminderMinutes === null
+            ? [this.config.CALENDAR_EVENT.REMINDER_MINUTES]
+            : reminderMinutes;
+        resource.reminders = {
+            useDefault: false,
+            overrides: reminders.map(minutes => ({ method: this.config.CALENDAR_EVENT.REMINDER_METHOD, minutes }))
+        };
+
+        const options = {};
+        if (attendees.length > 0) {
+            resource.attendees = attendees;
+            options.sendUpdates = this.config.CALENDAR_EVENT.SEND_UPDATES;
+        }
+        if (addVideoConference) {
+            resource.conferenceData = {
+                createRequest: { requestId: `crm-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, conferenceSolutionKey: { type: 'hangoutsMeet' } }
+            };
+            options.conferenceDataVersion = 1;
+        }
+
+        const created = await this.createEvent(resource, options);
+        return {
+            success: true,
+            eventId: created.id,
+            calendarId: this.config.CALENDAR_ID || 'primary',
+            htmlLink: created.htmlLink,
+            hangoutLink: created.hangoutLink || null,
+            startTime: isAllDay ? resource.start.date : start.toISOString(),
+            endTime,
+            isAllDay,
+            attendeeCount: attendees.length
+        };
+    }
+
+    /**
+     * 取得日曆的增量異動 (Google incremental sync)
+     * - 有 syncToken：只回傳上次同步後變更的活動 (含 status = cancelled)。
+     * - 無 syncToken：自 timeMin 起完整列出 (含已刪除)，並取得新的 syncToken。
+     * @param {Object} params
+     * @param {string} [params.calendarId]
+     * @param {string} [params.syncToken]
+     * @param {Date} [params.timeMin] - 僅在完整同步時使用
+     * @returns {Promise<{events: Array, nextSyncToken: string}|{expired: true}>}
+     */
+    async listEventChanges({ calendarId, syncToken, timeMin } = {}) {
+        const targetCalendarId = calendarId || this.config.CALENDAR_ID || 'primary';
+        const events = [];
+        let pageToken;
+        let nextSyncToken = null;
+
+        try {
+            do {
+                const params = { calendarId: targetCalendarId, showDeleted: true, singleEvents: true, maxResults: 250, pageToken };
+                if (syncToken) params.syncToken = syncToken;
+                else if (timeMin) params.timeMin = timeMin.toISOString();
+
+                const response = await this._executeWithRetry(() => this.calendar.events.list(params));
+                events.push(...(response.data.items || []));
+                pageToken = response.data.nextPageToken;
+                nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+            } while (pageToken);
+        } catch (error) {
+            // 410 Gone：sync token 已失效，呼叫端需改為完整同步
+            if (error.code === 410) return { expired: true };
+            throw error;
+        }
+
+        return { events, nextSyncToken };
+    }
+
     /**
      * 取得國定假日 (保留自 v5.0.0)
      */
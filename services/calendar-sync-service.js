@@ -0,0 +1,313 @@
+/**
+ * services/calendar-sync-service.js
+ * Google Calendar 雙向同步 (日曆 → CRM)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - CRM 建立日曆活動時 (EventService) 以 recordLink() 記下活動 ↔ 互動紀錄 / 週間業務的關聯。
+ * - sync() 以 Google sync token 取得增量異動 (token 不存在或失效 → 回溯 LOOKBACK_DAYS 完整同步)，
+ *   只處理有關聯的活動：
+ *   · 改期：更新互動時間、週間業務日期與週次，並於內容附註原時段。
+ *   · 取消：互動標題與週間業務主題加上 CANCELLED_PREFIX，附註取消時間；關聯標記 cancelled。
+ *   · 已取消的活動在日曆上被還原：移除前綴並依新時段更新。
+ * - 同一時間只執行一次同步；單筆失敗不影響其他活動，結果寫入 calendar_sync_state.last_result。
+ * - 設定見 config.CALENDAR_SYNC (CLIENT = 'fake' 時改用本機模擬日曆)。
+ */
+
+const SYNC_USER = { name: 'Google Calendar 同步' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarSyncService {
+    /**
+     * @param {Object} dependencies
+     * @param {CalendarService} dependencies.calendarService
+     * @param {CalendarSyncSqlReader} dependencies.calendarSyncSqlReader
+     * @param {CalendarSyncSqlWriter} dependencies.calendarSyncSqlWriter
+     * @param {InteractionService} dependencies.interactionService
+     * @param {WeeklyBusinessService} dependencies.weeklyBusinessService
+     * @param {Object} dependencies.dateHelpers
+     * @param {Object} dependencies.config
+     */
+    constructor({ calendarService, calendarSyncSqlReader, calendarSyncSqlWriter, interactionService, weeklyBusinessService, dateHelpers, config }) {
+        this.calendarService = calendarService;
+        this.calendarSyncSqlReader = calendarSyncSqlReader;
+        this.calendarSyncSqlWriter = calendarSyncSqlWriter;
+        this.interactionService = interactionService;
+        this.weeklyBusinessService = weeklyBusinessService;
+        this.dateHelpers = dateHelpers;
+        this.config = config;
+        this._running = null;
+    }
+
+    get calendarId() {
+        return this.config.CALENDAR_ID || 'primary';
+    }
+
+    /**
+     * 記錄 CRM 建立的日曆活動關聯，並回填互動紀錄的 calendarEventId
+     * @param {Object} params
+     * @param {Object} params.calendarResult - CalendarService.createCalendarEvent 的結果
+     * @param {string} [params.opportunityId]
+     * @param {string} [params.interactionId]
+     * @param {string} [params.weeklyRecordId]
+     * @param {string} params.title
+     * @param {string} creator
+     */
+    async recordLink({ calendarResult, opportunityId, interactionId, weeklyRecordId, title }, creator) {
+        await this.calendarSyncSqlWriter.createLink({
+            calendarEventId: calendarResult.eventId,
+            calendarId: calendarResult.calendarId || this.calendarId,
+            opportunityId,
+            interactionId,
+            weeklyRecordId,
+            eventTitle: title,
+            startTime: calendarResult.startTime,
+            endTime: calendarResult.endTime,
+            isAllDay: calendarResult.isAllDay
+        }, creator);
+
+        if (interactionId) {
+            await this._updateInteraction(interactionId, () => ({ calendarEventId: calendarResult.eventId }));
+        }
+        return { success: true };
+    }
+
+    /**
+     * 執行一次同步 (排程與手動觸發共用；執行中再次呼叫會取得同一結果)
+     */
+    async sync() {
+        if (!this._running) {
+            this._running = this._sync().finally(() => { this._running = null; });
+        }
+        return this._running;
+    }
+
+    async _sync() {
+        const calendarId = this.calendarId;
+        const state = await this.calendarSyncSqlReader.getSyncState(calendarId);
+
+        let mode = 'incremental';
+        let changes = state && state.syncToken
+            ? await this.calendarService.listEventChanges({ calendarId, syncToken: state.syncToken })
+            : null;
+
+        if (!changes || changes.expired) {
+            mode = changes && changes.expired ? 'full (token expired)' : 'full';
+            const timeMin = new Date(Date.now() - this.config.CALENDAR_SYNC.LOOKBACK_DAYS * DAY_MS);
+            changes = await this.calendarService.listEventChanges({ calendarId, timeMin });
+            if (changes.expired) throw new Error('[CalendarSyncService] 完整同步仍收到 sync token 失效回應');
+        }
+
+        const result = { mode, scanned: changes.events.length, linked: 0, rescheduled: 0, cancelled: 0, restored: 0, failed: 0, errors: [] };
+        const links = await this.calendarSyncSqlReader.getLinksByEventIds(calendarId, changes.events.map(e => e.id));
+
+        for (const event of changes.events) {
+            const link = links.get(event.id);
+            if (!link) continue;
+            result.linked++;
+            try {
+                const outcome = await this._applyEvent(event, link);
+                if (outcome) result[outcome]++;
+            } catch (error) {
+                result.failed++;
+                result.errors.push({ calendarEventId: event.id, message: error.message });
+                console.error(`[CalendarSyncService] 同步活動失敗 (${event.id}):`, error.message);
+            }
+        }
+
+        await this.calendarSyncSqlWriter.saveSyncState(calendarId, changes.nextSyncToken || null, result);
+        console.log(`📅 [CalendarSyncService] ${mode} 同步完成：掃描 ${result.scanned}、改期 ${result.rescheduled}、取消 ${result.cancelled}、還原 ${result.restored}、失敗 ${result.failed}`);
+        return result;
+    }
+
+    /**
+     * 同步狀態 (最近一次結果與最近異動的關聯)
+     */
+    async getStatus() {
+        const calendarId = this.calendarId;
+        const [state, recentLinks] = await Promise.all([
+            this.calendarSyncSqlReader.getSyncState(calendarId),
+            this.calendarSyncSqlReader.getRecentLinks(20)
+        ]);
+        return {
+            calendarId,
+            client: this.config.CALENDAR_SYNC.CLIENT,
+            intervalMinutes: this.config.CALENDAR_SYNC.INTERVAL_MINUTES,
+            running: !!this._running,
+            hasSyncToken: !!(state && state.syncToken),
+            lastSyncedTime: state ? state.lastSyncedTime : null,
+            lastResult: state ? state.lastResult : null,
+            recentLinks
+        };
+    }
+
+    // ------------------------------------------------------------
+    // 單筆活動處理
+    // ------------------------------------------------------------
+
+    /**
+     * @returns {Promise<'rescheduled'|'cancelled'|'restored'|null>}
+     */
+    async _applyEvent(event, link) {
+        if (event.status === 'cancelled') {
+            if (link.status === 'cancelled') return null;
+            await this._applyCancellation(link);
+            return 'cancelled';
+        }
+
+        const slot = this._readSlot(event);
+        if (!slot) return null;
+
+        const restored = link.status === 'cancelled';
+        const moved = this._slotKey(slot) !== this._slotKey(link);
+        if (!moved && !restored) return null;
+
+        await this._applySlot(link, slot, { moved, restored });
+        await this.calendarSyncSqlWriter.updateLink(link.calendarId, link.calendarEventId, {
+            ...slot,
+            status: 'confirmed',
+            eventTitle: event.summary || link.eventTitle
+        });
+        return restored ? 'restored' : 'rescheduled';
+    }
+
+    async _applyCancellation(link) {
+        const prefix = this.config.CALENDAR_SYNC.CANCELLED_PREFIX;
+        const note = this._note('會議已於 Google Calendar 取消');
+
+        if (link.interactionId) {
+            await this._updateInteraction(link.interactionId, current => ({
+                eventTitle: this._addPrefix(current.eventTitle, prefix),
+                contentSummary: this._appendNote(current.contentSummary, note)
+            }));
+        }
+        if (link.weeklyRecordId) {
+            await this._updateWeekly(link.weeklyRecordId, current => ({
+                theme: this._addPrefix(current.topic, prefix),
+                summary: this._appendNote(current.summaryContent, note)
+            }));
+        }
+        await this.calendarSyncSqlWriter.updateLink(link.calendarId, link.calendarEventId, { status: 'cancelled' });
+    }
+
+    async _applySlot(link, slot, { moved, restored }) {
+        const prefix = this.config.CALENDAR_SYNC.CANCELLED_PREFIX;
+        const messages = [];
+        if (restored) messages.push('會議已於 Google Calendar 恢復');
+        if (moved) messages.push(`會議改期：${this._describeSlot(link)} → ${this._describeSlot(slot)}`);
+        const note = this._note(messages.join('；'));
+        const newDate = this._zonedDate(slot.startTime, slot.isAllDay);
+
+        if (link.interactionId) {
+            await this._updateInteraction(link.interactionId, current => ({
+                eventTitle: restored ? this._removePrefix(current.eventTitle, prefix) : current.eventTitle,
+                interactionTime: moved ? this._interactionTimeFor(current.interactionTime, slot, newDate) : current.interactionTime,
+                contentSummary: this._appendNote(current.contentSummary, note)
+            }));
+        }
+        if (link.weeklyRecordId) {
+            await this._updateWeekly(link.weeklyRecordId, current => {
+                const updates = { summary: this._appendNote(current.summaryContent, note) };
+                if (restored) updates.theme = this._removePrefix(current.topic, prefix);
+                if (moved) {
+                    updates.date = newDate;
+                    updates.weekId = this.dateHelpers.getWeekId(new Date(newDate));
+                }
+                return updates;
+            });
+        }
+    }
+
+    // 讀取現有紀錄後合併 (InteractionSqlWriter.updateInteraction 為整筆覆寫)
+    async _updateInteraction(interactionId, buildChanges) {
+        const current = await this.interactionService.getInteractionById(interactionId);
+        if (!current) {
+            console.warn(`[CalendarSyncService] 關聯的互動紀錄已不存在: ${interactionId}`);
+            return;
+        }
+        await this.interactionService.updateInteraction(interactionId, { ...current, ...buildChanges(current) }, SYNC_USER);
+    }
+
+    async _updateWeekly(recordId, buildChanges) {
+        const current = await this.weeklyBusinessService.getEntryById(recordId);
+        if (!current) {
+            console.warn(`[CalendarSyncService] 關聯的週間業務已不存在: ${recordId}`);
+            return;
+        }
+        await this.weeklyBusinessService.updateWeeklyBusinessEntry(recordId, { ...buildChanges(current), creator: SYNC_USER.name });
+    }
+
+    // ------------------------------------------------------------
+    // 時段與文字輔助
+    // ------------------------------------------------------------
+
+    _readSlot(event) {
+        const start = event.start || {};
+        const end = event.end || {};
+        if (start.date) return { startTime: start.date, endTime: end.date || start.date, isAllDay: true };
+        if (start.dateTime) {
+            return {
+                startTime: new Date(start.dateTime).toISOString(),
+                endTime: end.dateTime ? new Date(end.dateTime).toISOString() : null,
+                isAllDay: false
+            };
+        }
+        return null;
+    }
+
+    _slotKey(slot) {
+        if (!slot.startTime) return '';
+        if (slot.isAllDay) return `D:${String(slot.startTime).slice(0, 10)}`;
+        const start = new Date(slot.startTime).getTime();
+        const end = slot.endTime ? new Date(slot.endTime).getTime() : '';
+        return `T:${start}-${end}`;
+    }
+
+    // 全天活動的日期本身即為 config.TIMEZONE 的日期
+    _zonedDate(value, isAllDay) {
+        if (isAllDay) return String(value).slice(0, 10);
+        return new Date(value).toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+    }
+
+    // 全天活動只有日期：保留原互動時間的時刻，依日期差位移
+    _interactionTimeFor(currentTime, slot, newDate) {
+        if (!slot.isAllDay) return slot.startTime;
+        const current = currentTime ? new Date(currentTime) : null;
+        if (!current || isNaN(current.getTime())) return `${newDate}T00:00:00.000Z`;
+        const dayDelta = Math.round((Date.parse(newDate) - Date.parse(this._zonedDate(current, false))) / DAY_MS);
+        return new Date(current.getTime() + dayDelta * DAY_MS).toISOString();
+    }
+
+    _describeSlot(slot) {
+        if (!slot.startTime) return '未知時段';
+        if (slot.isAllDay) return `${String(slot.startTime).slice(0, 10)} (全天)`;
+        return this._formatDateTime(slot.startTime);
+    }
+
+    _formatDateTime(value) {
+        const date = new Date(value);
+        const dateStr = date.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+        const timeStr = date.toLocaleTimeString('zh-TW', { timeZone: this.config.TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+        return `${dateStr} ${timeStr}`;
+    }
+
+    _note(message) {
+        return `[日曆同步 ${this._formatDateTime(new Date())}] ${message}`;
+    }
+
+    _appendNote(text, note) {
+        return text ? `${text}\n\n${note}` : note;
+    }
+
+    _addPrefix(text, prefix) {
+        const value = text || '';
+        return value.startsWith(prefix) ? value : `${prefix}${value}`;
+    }
+
+    _removePrefix(text, prefix) {
+        const value = text || '';
+        return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+    }
+}
+
+module.exports = CalendarSyncService;
@@ -0,0 +1,193 @@
+/**
+ * services/card-intake-service.js
+ * 名片上傳辨識 → 原始名片資料 (潛在客戶)
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - 網頁 (POST /api/contacts/cards) 與 LINE LIFF (POST /api/line/cards) 共用的名片收件流程，
+ * 取代外部程序寫入「原始名片資料」。
+ * - 每張名片：辨識 (可抽換引擎，見 card-ocr-engines.js) → 原圖上傳 Drive → 寫入一列潛在客戶
+ * (含 CONFIDENCE、RAW_TEXT、SMART_FILENAME、DRIVE_LINK)。
+ * - 原圖上傳失敗不阻擋建檔 (該列不含圖片連結並回傳 warning)；辨識失敗的名片不寫入，列於 failed。
+ * - 檔案格式 / 大小 / 張數錯誤以「無法建檔：」開頭 (HTTP 400)。
+ * - LINE 來源的名片建檔後立即交由 LeadRoutingService 分派；分派失敗不影響建檔 (由排程補分派)。
+ */
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+};
+
+const TEXT_FIELDS = ['name', 'company', 'position', 'department', 'phone', 'mobile', 'fax', 'email', 'website', 'address'];
+
+class CardIntakeService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactWriter} dependencies.contactWriter - RAW (原始名片資料) writer
+     * @param {Object} dependencies.ocrEngine - 見 card-ocr-engines.js
+     * @param {ExternalService} dependencies.externalService - Drive 上傳
+     * @param {Object} dependencies.config
+     * @param {LeadRoutingService} [dependencies.leadRoutingService] - LINE 名片建檔後分派
+     */
+    constructor({ contactWriter, ocrEngine, externalService, config, leadRoutingService = null }) {
+        this.contactWriter = contactWriter;
+        this.ocrEngine = ocrEngine;
+        this.externalService = externalService;
+        this.config = config;
+        this.leadRoutingService = leadRoutingService;
+    }
+
+    _decodeFiles(files) {
+        const { MAX_FILES, MAX_FILE_SIZE_MB, ALLOWED_MIME_TYPES } = this.config.CARD_OCR;
+
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new Error('無法建檔：請至少上傳一張名片');
+        }
+        if (files.length > MAX_FILES) {
+            throw new Error(`無法建檔：一次最多上傳 ${MAX_FILES} 張名片`);
+        }
+
+        return files.map((file, index) => {
+            const fileName = String(file?.fileName || `card_${index + 1}`);
+            const mimeType = String(file?.mimeType || '').toLowerCase();
+            if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+                throw new Error(`無法建檔：不支援的圖片格式「${mimeType || '未知'}」(${fileName})`);
+            }
+
+            const content = String(file?.content || '').replace(/^data:[^;]+;base64,/, '');
+            const buffer = Buffer.from(content, 'base64');
+            if (buffer.length === 0) {
+                throw new Error(`無法建檔：圖片內容為空 (${fileName})`);
+            }
+            if (buffer.length > MAX_FILE_SIZE_MB * 1024 * 1024) {
+                throw new Error(`無法建檔：圖片超過 ${MAX_FILE_SIZE_MB}MB (${fileName})`);
+            }
+            return { fileName, mimeType, buffer };
+        });
+    }
+
+    /**
+     * 引擎未提供分數時，依關鍵欄位完整度估算 (姓名、公司各 30，聯絡方式 40)
+     */
+    _scoreConfidence(fields, engineConfidence) {
+        if (engineConfidence !== null && engineConfidence !== undefined && Number.isFinite(Number(engineConfidence))) {
+            return Math.max(0, Math.min(100, Math.round(Number(engineConfidence))));
+        }
+        let score = 0;
+        if (fields.name) score += 30;
+        if (fields.company) score += 30;
+        if (fields.email || fields.mobile || fields.phone) score += 40;
+        return score;
+    }
+
+    _smartFilename(fields, mimeType, createdTime) {
+        const stamp = createdTime.replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+        const parts = [stamp, fields.company, fields.name]
+            .filter(Boolean)
+            .map(part => String(part).replace(/[\\/:*?"<>|\s]+/g, ''));
+        return `${parts.join('_')}.${EXTENSIONS[mimeType] || 'jpg'}`;
+    }
+
+    /**
+     * 處理上傳的名片
+     * @param {Array<{fileName: string, mimeType: string, content: string}>} files - content 為 base64 (可含 data URL 前綴)
+     * @param {Object} context
+     * @param {'WEB'|'LINE'} context.source
+     * @param {string} [context.lineUserId] - LINE 來源的使用者 (LIFF 以此判斷名片擁有者)
+     * @param {string} [context.userNickname]
+     * @param {string} [context.userTag]
+     * @returns {Promise<Object>} { success, message, data: { created, failed } }
+     */
+    async intakeCards(files, context = {}) {
+        const decoded = this._decodeFiles(files);
+        const created = [];
+        const failed = [];
+
+        // 逐張處理，避免同時對辨識服務送出大量請求
+        for (const file of decoded) {
+            const startedAt = Date.now();
+            let recognition;
+            try {
+                recognition = await this.ocrEngine.recognize(file);
+            } catch (error) {
+                console.error(`[CardIntakeService] OCR failed (${file.fileName}):`, error.message);
+                failed.push({ fileName: file.fileName, error: `辨識失敗：${error.message}` });
+                continue;
+            }
+
+            const fields = {};
+            TEXT_FIELDS.forEach(key => {
+                const value = recognition.fields?.[key];
+                if (value !== undefined && value !== null && String(value).trim() !== '') {
+                    fields[key] = String(value).trim();
+                }
+            });
+            const confidence = this._scoreConfidence(fields, recognition.confidence);
+            const createdTime = new Date().toISOString();
+            const smartFilename = this._smartFilename(fields, file.mimeType, createdTime);
+
+            let image = null;
+            let warning = null;
+            try {
+                image = await this.externalService.uploadDriveFile({
+                    buffer: file.buffer,
+                    mimeType: file.mimeType,
+                    fileName: smartFilename,
+                    folderId: this.config.CARD_OCR.DRIVE_FOLDER_ID
+                });
+            } catch (error) {
+                console.warn(`[CardIntakeService] Drive upload failed (${file.fileName}):`, error.message);
+                warning = `原圖上傳失敗：${error.message}`;
+            }
+
+            try {
+                const rowIndex = await this.contactWriter.appendPotentialContactRow({
+                    ...fields,
+                    createdTime,
+                    confidence,
+                    processingTime: `${((Date.now() - startedAt) / 1000).toFixed(1)}s`,
+                    driveLink: image?.webViewLink || '',
+                    originalId: image?.id || '',
+                    smartFilename,
+                    rawText: recognition.rawText || '',
+                    dataSource: context.source || 'WEB',
+                    lineUserId: context.lineUserId || '',
+                    userNickname: context.userNickname || '',
+                    userTag: context.userTag || ''
+                });
+
+                created.push({
+                    rowIndex,
+                    fileName: file.fileName,
+                    ...fields,
+                    confidence,
+                    driveLink: image?.webViewLink || '',
+                    ...(warning ? { warning } : {})
+                });
+            } catch (error) {
+                console.error(`[CardIntakeService] Write failed (${file.fileName}):`, error.message);
+                failed.push({ fileName: file.fileName, error: `寫入失敗：${error.message}` });
+            }
+        }
+
+        if (created.length > 0 && context.lineUserId && this.leadRoutingService) {
+            try {
+                await this.leadRoutingService.routeNewLeads();
+            } catch (error) {
+                console.warn('[CardIntakeService] Lead routing failed safely:', error.message);
+            }
+        }
+
+        return {
+            success: created.length > 0,
+            message: failed.length > 0
+                ? `已建立 ${created.length} 張名片，${failed.length} 張失敗`
+                : `已建立 ${created.length} 張名片`,
+            data: { created, failed, engine: this.ocrEngine.name }
+        };
+    }
+}
+
+module.exports = CardIntakeService;
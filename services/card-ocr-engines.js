@@ -0,0 +1,67 @@
+/**
+ * services/card-ocr-engines.js
+ * 名片辨識引擎 (可抽換)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * 引擎介面：recognize({ buffer, mimeType, fileName }) → { fields, rawText, confidence }
+ * - fields：name / company / position / department / phone / mobile / fax / email / website / address (缺少的欄位可省略)
+ * - confidence：0~100，引擎無法提供時為 null，由 CardIntakeService 依欄位完整度估算。
+ * 由 config.CARD_OCR.ENGINE 選擇：
+ * - gemini：ExternalService.extractBusinessCard (Gemini 影像辨識)。
+ * - stub：本機測試用，不呼叫外部服務；依檔名「姓名_公司.jpg」產生固定結果。
+ */
+
+class GeminiCardOcrEngine {
+    /**
+     * @param {ExternalService} externalService
+     */
+    constructor(externalService) {
+        if (!externalService) throw new Error('[GeminiCardOcrEngine] externalService is required');
+        this.externalService = externalService;
+        this.name = 'gemini';
+    }
+
+    async recognize({ buffer, mimeType }) {
+        return this.externalService.extractBusinessCard(buffer, mimeType);
+    }
+}
+
+class StubCardOcrEngine {
+    constructor() {
+        this.name = 'stub';
+    }
+
+    async recognize({ fileName = '' }) {
+        const base = fileName.replace(/\.[^.]+$/, '');
+        const [name = '', company = ''] = base.split('_');
+        return {
+            fields: { name, company },
+            rawText: `[stub] ${fileName}`,
+            confidence: name ? 50 : 0
+        };
+    }
+}
+
+/**
+ * 依名稱建立辨識引擎
+ * @param {string} engineName - gemini | stub
+ * @param {Object} deps
+ * @param {ExternalService} [deps.externalService]
+ */
+function createCardOcrEngine(engineName, { externalService } = {}) {
+    switch (String(engineName || 'gemini').toLowerCase()) {
+        case 'stub':
+            return new StubCardOcrEngine();
+        case 'gemini':
+            return new GeminiCardOcrEngine(externalService);
+        default:
+            throw new Error(`[CardOcr] 未知的名片辨識引擎: ${engineName}`);
+    }
+}
+
+module.exports = {
+    GeminiCardOcrEngine,
+    StubCardOcrEngine,
+    createCardOcrEngine
+};
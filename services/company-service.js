@@ -1,15 +1,23 @@
 /**
  * services/company-service.js
  * 公司業務邏輯層
- * @version 8.6.0 (Phase A - Interaction Logging Patch)
- * @date 2026-04-16
+ * @version 8.11.0 (Account Health)
+ * @date 2026-10-19
  * @changelog 
+ * - [FEAT] Account health score: company list items carry `health` (latest nightly score, band, trend); getCompanyDetails returns `health` with breakdown and history (AccountHealthService, appended as 19th DI arg).
+ * - [FEAT] Company hierarchy (集團 / 子公司 / 廠區) via parentCompanyId. Parent must exist and must not create a cycle (「無法建檔：」); companies with subsidiaries cannot be deleted.
+ * - [FEAT] getCompanyDetails rolls up contacts, opportunities, interactions, event logs and potential contacts across the whole subtree (options.rollup, default true); items from subsidiaries carry sourceCompanyId / sourceCompanyName. Returns `hierarchy` { ancestors, groupTree, subtreeCompanyIds }.
+ * - [FEAT] getCompanyDetails scores the company's potential contacts (leadScore) and lists them highest score first.
+ * - [FEAT] createCompany returns `possibleDuplicates` (near-duplicate companies via DuplicateService); creation is not blocked.
+ * - [FEAT] updateCompany accepts options.expectedUpdatedTime; version mismatch throws 「資料衝突：」 with the current company (HTTP 409).
  * - [PATCH] Added system interaction logging for Create Company (Phase A).
  * - [PATCH PHASE 11] Added graceful DB-First bypass for full interactions/eventLogs tables using _hasNativeActivity.
  * - [PATCH PHASE 10] Added lightweight opportunity counting. Removed frontend dependency on page=0.
  * - [PATCH] Unified interaction logging entry point: replaced interactionWriter with interactionService. No behavior change.
  */
 
+const { createConflictError } = require('../utils/concurrency');
+
 class CompanyService {
     constructor(
         companyReader, companyWriter, contactReader, contactWriter,
@@ -19,7 +27,9 @@ class CompanyService {
         eventLogSqlReader, // Inject SQL Reader (Phase 8 Requirement)
         contactSqlReader,       // [Phase 8.1 Requirement]
         opportunitySqlReader,   // [Phase 8.1 Requirement]
-        interactionSqlReader    // [Phase 8.1 Requirement]
+        interactionSqlReader,   // [Phase 8.1 Requirement]
+        duplicateService = null, // Near-duplicate warnings on create
+        accountHealthService = null // Nightly account health scores
     ) {
         this.companyReader = companyReader;
         this.companyWriter = companyWriter;
@@ -40,6 +50,8 @@ class CompanyService {
         this.contactSqlReader = contactSqlReader;
         this.opportunitySqlReader = opportunitySqlReader;
         this.interactionSqlReader = interactionSqlReader;
+        this.duplicateService = duplicateService;
+        this.accountHealthService = accountHealthService;
     }
 
     // --- DTO Mapping (SQL-ready) ---
@@ -50,6 +62,7 @@ class CompanyService {
         return {
             companyId: raw.companyId || raw.company_id || '',
             companyName: raw.companyName || raw.company_name || '',
+            parentCompanyId: raw.parentCompanyId || raw.parent_company_id || '',
             phone: raw.phone || '',
             address: raw.address || '',
             county: raw.county || raw.city || '', 
@@ -120,6 +133,109 @@ class CompanyService {
             .trim();
     }
 
+    // --- Account Health ---
+
+    async _getHealthScoreMap() {
+        if (!this.accountHealthService) return new Map();
+        try {
+            return await this.accountHealthService.getLatestScoreMap();
+        } catch (error) {
+            console.warn(`[CompanyService] Health scores unavailable: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    async _getCompanyHealth(companyInfo) {
+        if (!this.accountHealthService) return null;
+        try {
+            return await this.accountHealthService.getCompanyHealth(companyInfo);
+        } catch (error) {
+            console.warn(`[CompanyService] Health score unavailable (${companyInfo.companyId}): ${error.message}`);
+            return null;
+        }
+    }
+
+    // --- Company Hierarchy ---
+
+    _buildChildrenMap(companies) {
+        const byId = new Set(companies.map(c => c.companyId));
+        const childrenMap = new Map();
+        companies.forEach(c => {
+            if (!c.parentCompanyId || !byId.has(c.parentCompanyId)) return;
+            if (!childrenMap.has(c.parentCompanyId)) childrenMap.set(c.parentCompanyId, []);
+            childrenMap.get(c.parentCompanyId).push(c);
+        });
+        return childrenMap;
+    }
+
+    /**
+     * 自身 + 所有下層公司 ID (防環)
+     */
+    _getSubtreeIds(companyId, childrenMap) {
+        const result = [];
+        const seen = new Set();
+        const stack = [companyId];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            result.push(id);
+            (childrenMap.get(id) || []).forEach(child => stack.push(child.companyId));
+        }
+        return result;
+    }
+
+    /**
+     * 由近到遠的上層公司 (防環)
+     */
+    _getAncestors(company, companyMap) {
+        const ancestors = [];
+        const seen = new Set([company.companyId]);
+        let parentId = company.parentCompanyId;
+        while (parentId && companyMap.has(parentId) && !seen.has(parentId)) {
+            const parent = companyMap.get(parentId);
+            ancestors.push(parent);
+            seen.add(parentId);
+            parentId = parent.parentCompanyId;
+        }
+        return ancestors;
+    }
+
+    _buildTreeNode(company, childrenMap, seen = new Set()) {
+        seen.add(company.companyId);
+        return {
+            companyId: company.companyId,
+            companyName: company.companyName,
+            companyType: company.companyType,
+            children: (childrenMap.get(company.companyId) || [])
+                .filter(child => !seen.has(child.companyId))
+                .sort((a, b) => a.companyName.localeCompare(b.companyName, 'zh-Hant'))
+                .map(child => this._buildTreeNode(child, childrenMap, seen))
+        };
+    }
+
+    /**
+     * 驗證上層公司：必須存在、不可為自己或自己的下層公司
+     * @param {string|null} companyId - 新增時為 null
+     * @param {string} parentCompanyId
+     * @param {Array<Object>} companies
+     */
+    _validateParentCompany(companyId, parentCompanyId, companies) {
+        if (!parentCompanyId) return;
+        const parent = companies.find(c => c.companyId === parentCompanyId);
+        if (!parent) {
+            throw new Error(`無法建檔：找不到上層公司 (${parentCompanyId})`);
+        }
+        if (!companyId) return;
+        if (parentCompanyId === companyId) {
+            throw new Error('無法建檔：上層公司不可為自己');
+        }
+        const subtree = this._getSubtreeIds(companyId, this._buildChildrenMap(companies));
+        if (subtree.includes(parentCompanyId)) {
+            throw new Error(`無法建檔：「${parent.companyName}」是此公司的下層公司，不可設為上層公司`);
+        }
+    }
+
     async _logCompanyInteraction(companyId, title, summary, modifier) {
         try {
             if (this.interactionService && typeof this.interactionService.createInteraction === 'function') {
@@ -154,6 +270,20 @@ class CompanyService {
                 };
             }
 
+            // 名稱完全相同以外的近似公司 (簡稱、別名、電話、地址) 僅作提示，不阻擋建檔
+            let possibleDuplicates = [];
+            if (this.duplicateService) {
+                try {
+                    possibleDuplicates = await this.duplicateService.checkCompany({ ...companyData, companyName });
+                } catch (dupError) {
+                    console.warn(`[CompanyService] Duplicate check skipped: ${dupError.message}`);
+                }
+            }
+
+            if (companyData && companyData.parentCompanyId) {
+                this._validateParentCompany(null, companyData.parentCompanyId, await this._getAllCompanies());
+            }
+
             const companyId = `COMP_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
 
             const dataToWrite = { 
@@ -183,7 +313,8 @@ class CompanyService {
             return {
                 ...result,
                 companyId: companyId,
-                companyName: companyName
+                companyName: companyName,
+                ...(possibleDuplicates.length > 0 ? { possibleDuplicates } : {})
             };
         } catch (error) {
             console.error('[CompanyService] Create Error:', error);
@@ -220,12 +351,13 @@ class CompanyService {
             const hasNativeActivity = companies.length > 0 && companies[0]._hasNativeActivity;
 
             // [PATCH Phase 11] Condition interactions/event_logs full fetch upon lack of Native Activity
-            const [interactions, eventLogs, oppCompanyData] = await Promise.all([
+            const [interactions, eventLogs, oppCompanyData, healthMap] = await Promise.all([
                 hasNativeActivity ? Promise.resolve([]) : this.interactionSqlReader.getInteractions(),
                 hasNativeActivity ? Promise.resolve([]) : (this.eventLogSqlReader ? this.eventLogSqlReader.getEventLogs() : this.eventLogReader.getEventLogs()),
                 this.opportunitySqlReader && typeof this.opportunitySqlReader.getAllOpportunityCompanyNames === 'function' 
                     ? this.opportunitySqlReader.getAllOpportunityCompanyNames() 
-                    : Promise.resolve([])
+                    : Promise.resolve([]),
+                this._getHealthScoreMap()
             ]);
 
             const lastActivityMap = new Map();
@@ -270,6 +402,7 @@ class CompanyService {
                 return {
                     ...comp,
                     opportunityCount: oppCountMap.get(normalizedCompName) || 0,
+                    health: healthMap.get(comp.companyId) || null,
                     lastActivity: lastTs ? new Date(lastTs).toISOString() : null,
                     _sortTs: lastTs || 0
                 };
@@ -291,9 +424,17 @@ class CompanyService {
         }
     }
 
-    async getCompanyDetails(companyId) {
+    /**
+     * 公司詳細資料
+     * @param {string} companyId
+     * @param {Object} [options]
+     * @param {boolean} [options.rollup=true] - 合併所有下層公司 (子公司 / 廠區) 的關聯資料
+     */
+    async getCompanyDetails(companyId, options = {}) {
         try {
-            const companyInfo = await this._getCompanyById(companyId);
+            const rollup = options.rollup !== false;
+            const companies = await this._getAllCompanies();
+            const companyInfo = companies.find(c => c.companyId === companyId) || null;
 
             if (!companyInfo) {
                 return { 
@@ -302,51 +443,79 @@ class CompanyService {
                     opportunities: [], 
                     potentialContacts: [],
                     interactions: [], 
-                    eventLogs: [] 
+                    eventLogs: [],
+                    hierarchy: null
                 };
             }
 
-            const companyName = companyInfo.companyName;
-            const normalizedTarget = this._normalizeCompanyName(companyName);
+            // --- 公司階層 ---
+            const companyMap = new Map(companies.map(c => [c.companyId, c]));
+            const childrenMap = this._buildChildrenMap(companies);
+            const ancestors = this._getAncestors(companyInfo, companyMap);
+            const groupRoot = ancestors.length > 0 ? ancestors[ancestors.length - 1] : companyInfo;
+            const subtreeIds = this._getSubtreeIds(companyId, childrenMap);
+
+            const scopeCompanies = (rollup ? subtreeIds : [companyId]).map(id => companyMap.get(id));
+            const scopeIdSet = new Set(scopeCompanies.map(c => c.companyId));
+            const companyByNormalizedName = new Map(
+                scopeCompanies.map(c => [this._normalizeCompanyName(c.companyName), c])
+            );
+
+            // 下層公司的資料標註來源公司
+            const tagSource = (item, sourceCompany) => (sourceCompany && sourceCompany.companyId !== companyId)
+                ? { ...item, sourceCompanyId: sourceCompany.companyId, sourceCompanyName: sourceCompany.companyName }
+                : item;
+            const byName = (name) => companyByNormalizedName.get(this._normalizeCompanyName(name));
+            const byId = (id) => (scopeIdSet.has(id) ? companyMap.get(id) : null);
 
             let sqlSuccess = false;
             let contacts = [], opportunities = [], interactions = [], eventLogs = [], potentialContacts = [];
 
             if (this.contactSqlReader && this.opportunitySqlReader && this.interactionSqlReader && this.eventLogSqlReader) {
                 try {
-                    const baseNormalized = companyName.replace(/股份有限公司|有限公司|公司/g, '').replace(/\(.*\)/g, '').trim();
-
-                    const [sqlContacts, sqlOppsRaw, sqlInteractionsComp, sqlEventLogs, allPotentialContacts] = await Promise.all([
-                        this.contactSqlReader.getContactsByCompanyId(companyId),
-                        this.opportunitySqlReader.getOpportunitiesByCompanyName(baseNormalized),
-                        this.interactionSqlReader.getInteractionsByCompanyId(companyId),
+                    const [sqlContactsLists, sqlOppsLists, sqlInteractionsLists, sqlEventLogs, allPotentialContacts] = await Promise.all([
+                        Promise.all(scopeCompanies.map(c => this.contactSqlReader.getContactsByCompanyId(c.companyId))),
+                        Promise.all(scopeCompanies.map(c => {
+                            const baseNormalized = c.companyName.replace(/股份有限公司|有限公司|公司/g, '').replace(/\(.*\)/g, '').trim();
+                            return this.opportunitySqlReader.getOpportunitiesByCompanyName(baseNormalized);
+                        })),
+                        Promise.all(scopeCompanies.map(c => this.interactionSqlReader.getInteractionsByCompanyId(c.companyId))),
                         this.eventLogSqlReader.getEventLogs(), 
                         this.contactService.getPotentialContacts(3000) // [PHASE 9.3] Semantic Fix: Explicitly explicitly route to RAW reader logic
                     ]);
 
-                    opportunities = sqlOppsRaw.filter(o => 
-                        this._normalizeCompanyName(o.customerCompany) === normalizedTarget
-                    );
-                    const relatedOppIds = new Set(opportunities.map(o => o.opportunityId));
-                    const oppIdsArray = Array.from(relatedOppIds);
+                    // 名稱相近的公司可能查到同一筆機會，依 opportunityId 去重
+                    const oppMap = new Map();
+                    sqlOppsLists.flat().forEach(o => {
+                        const source = byName(o.customerCompany);
+                        if (source && !oppMap.has(o.opportunityId)) oppMap.set(o.opportunityId, tagSource(o, source));
+                    });
+                    opportunities = Array.from(oppMap.values());
+                    const oppSourceMap = new Map(opportunities.map(o => [o.opportunityId, byName(o.customerCompany)]));
+                    const oppIdsArray = Array.from(oppSourceMap.keys());
                     
                     const sqlInteractionsOpps = await this.interactionSqlReader.getInteractionsByOpportunityIds(oppIdsArray);
 
                     const interactionMap = new Map();
-                    sqlInteractionsComp.forEach(i => interactionMap.set(i.interactionId, i));
-                    sqlInteractionsOpps.forEach(i => interactionMap.set(i.interactionId, i));
+                    sqlInteractionsLists.flat().forEach(i => interactionMap.set(i.interactionId, tagSource(i, byId(i.companyId))));
+                    sqlInteractionsOpps.forEach(i => {
+                        if (!interactionMap.has(i.interactionId)) {
+                            interactionMap.set(i.interactionId, tagSource(i, byId(i.companyId) || oppSourceMap.get(i.opportunityId)));
+                        }
+                    });
                     interactions = Array.from(interactionMap.values())
                         .sort((a, b) => new Date(b.interactionTime || 0) - new Date(a.interactionTime || 0));
 
                     eventLogs = sqlEventLogs.filter(e => 
-                        e.companyId === companyId
-                    ).sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
+                        scopeIdSet.has(e.companyId)
+                    ).map(e => tagSource(e, byId(e.companyId)))
+                        .sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
 
-                    contacts = sqlContacts;
+                    contacts = sqlContactsLists.flatMap((list, index) => list.map(c => tagSource(c, scopeCompanies[index])));
                     
-                    potentialContacts = allPotentialContacts.filter(pc => 
-                        this._normalizeCompanyName(pc.company) === normalizedTarget
-                    );
+                    potentialContacts = allPotentialContacts
+                        .filter(pc => byName(pc.company))
+                        .map(pc => tagSource(pc, byName(pc.company)));
 
                     sqlSuccess = true;
                 } catch (sqlError) {
@@ -364,27 +533,43 @@ class CompanyService {
                     this.contactService.getPotentialContacts(3000) // [PHASE 9.3] Semantic Fix
                 ]);
 
-                contacts = allContacts.filter(c => c.companyId === companyId);
+                contacts = allContacts.filter(c => scopeIdSet.has(c.companyId))
+                    .map(c => tagSource(c, byId(c.companyId)));
                 
-                opportunities = allOpportunities.filter(o => 
-                    this._normalizeCompanyName(o.customerCompany) === normalizedTarget
-                );
-                const relatedOppIds = new Set(opportunities.map(o => o.opportunityId));
+                opportunities = allOpportunities.filter(o => byName(o.customerCompany))
+                    .map(o => tagSource(o, byName(o.customerCompany)));
+                const oppSourceMap = new Map(opportunities.map(o => [o.opportunityId, byName(o.customerCompany)]));
                 
                 interactions = allInteractions.filter(i => 
-                    i.companyId === companyId || (i.opportunityId && relatedOppIds.has(i.opportunityId))
-                ).sort((a, b) => new Date(b.interactionTime || 0) - new Date(a.interactionTime || 0));
+                    scopeIdSet.has(i.companyId) || (i.opportunityId && oppSourceMap.has(i.opportunityId))
+                ).map(i => tagSource(i, byId(i.companyId) || oppSourceMap.get(i.opportunityId)))
+                    .sort((a, b) => new Date(b.interactionTime || 0) - new Date(a.interactionTime || 0));
 
                 eventLogs = allEventLogs.filter(e => 
-                    e.companyId === companyId
-                ).sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
+                    scopeIdSet.has(e.companyId)
+                ).map(e => tagSource(e, byId(e.companyId)))
+                    .sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
 
-                potentialContacts = allPotentialContacts.filter(pc => 
-                    this._normalizeCompanyName(pc.company) === normalizedTarget
-                );
+                potentialContacts = allPotentialContacts
+                    .filter(pc => byName(pc.company))
+                    .map(pc => tagSource(pc, byName(pc.company)));
             }
 
-            return { companyInfo, contacts, opportunities, potentialContacts, interactions, eventLogs };
+            potentialContacts = (await this.contactService.scorePotentialContacts(potentialContacts))
+                .sort((a, b) => (b.leadScore?.total ?? 0) - (a.leadScore?.total ?? 0));
+
+            const toRef = (c) => ({ companyId: c.companyId, companyName: c.companyName });
+            const hierarchy = {
+                parent: ancestors.length > 0 ? toRef(ancestors[0]) : null,
+                ancestors: ancestors.slice().reverse().map(toRef), // 由最上層到直屬上層
+                groupTree: this._buildTreeNode(groupRoot, childrenMap),
+                subtreeCompanyIds: subtreeIds,
+                rolledUp: rollup && subtreeIds.length > 1
+            };
+
+            const health = await this._getCompanyHealth(companyInfo);
+
+            return { companyInfo, contacts, opportunities, potentialContacts, interactions, eventLogs, hierarchy, health };
 
         } catch (error) {
             console.error(`[CompanyService] Details Error (${companyId}):`, error);
@@ -392,14 +577,24 @@ class CompanyService {
         }
     }
 
-    async updateCompany(companyId, updateData, user) {
+    async updateCompany(companyId, updateData, user, options = {}) {
         try {
             const modifier = user.displayName || user.username || 'System';
             
-            const companyInfo = await this._getCompanyById(companyId);
+            const companies = await this._getAllCompanies();
+            const companyInfo = companies.find(c => c.companyId === companyId);
             if (!companyInfo) throw new Error(`找不到公司 ID: ${companyId}`);
 
-            const result = await this.companySqlWriter.updateCompany(companyInfo.companyId, updateData, modifier);
+            if (updateData.parentCompanyId !== undefined) {
+                this._validateParentCompany(companyInfo.companyId, updateData.parentCompanyId, companies);
+            }
+
+            const result = await this.companySqlWriter.updateCompany(companyInfo.companyId, updateData, modifier, options);
+
+            if (result.conflict) {
+                const current = this._toServiceDTO(await this.companySqlReader.getCompanyById(companyInfo.companyId));
+                throw createConflictError('公司', current);
+            }
             
             await this._logCompanyInteraction(companyInfo.companyId, '資料更新', `公司資料已更新。`, modifier);
             
@@ -416,9 +611,15 @@ class CompanyService {
 
     async deleteCompany(companyId, user) {
         try {
-            const companyInfo = await this._getCompanyById(companyId);
+            const companies = await this._getAllCompanies();
+            const companyInfo = companies.find(c => c.companyId === companyId);
             if (!companyInfo) throw new Error(`找不到公司 ID: ${companyId}`);
 
+            const subsidiaries = companies.filter(c => c.parentCompanyId === companyInfo.companyId);
+            if (subsidiaries.length > 0) {
+                throw new Error(`無法刪除：尚有 ${subsidiaries.length} 家下層公司 (例如: ${subsidiaries[0].companyName})。請先變更其上層公司。`);
+            }
+
             const companyName = companyInfo.companyName;
             
             // Safe fallback
@@ -431,7 +632,7 @@ class CompanyService {
                 throw new Error(`無法刪除：尚有 ${relatedOpps.length} 個關聯機會案件 (例如: ${relatedOpps[0].opportunityName})。請先移除關聯案件。`);
             }
 
-            const result = await this.companySqlWriter.deleteCompany(companyInfo.companyId);
+            const result = await this.companySqlWriter.deleteCompany(companyInfo.companyId, user?.displayName || user?.username);
             
             if (this.companyReader && this.companyReader.invalidateCache) {
                 this.companyReader.invalidateCache('companyList');
@@ -1,9 +1,12 @@
 /**
  * services/contact-service.js
  * 聯絡人業務邏輯服務層
- * @version 8.16.0
- * @date 2026-04-19
+ * @version 8.19.0
+ * @date 2026-10-19
  * @changelog
+ * - [FEAT] Lead scoring: getScoredPotentialContacts({ sort: 'score', minScore }) / scorePotentialContacts attach `leadScore` via LeadScoringService.
+ * - [FEAT] createContact returns `possibleDuplicates` (near-duplicate official contacts via DuplicateService); creation is not blocked.
+ * - [FEAT] Optimistic lock: updateContact accepts options.expectedUpdatedTime; version mismatch throws 「資料衝突：」 with the current contact (HTTP 409).
  * - [PHASE 8.16] FEATURE: Integrated dynamic limit handling for CORE pagination to support user-selected page sizes.
  * - [PHASE 8.15] FEATURE: Added dynamic global sorting (ASC/DESC) to CORE contacts search, exposed via `searchOfficialContacts`.
  * - [PHASE 8.14] BUGFIX: Moved CORE contact sorting (updatedTime/createdTime DESC) to happen globally BEFORE pagination slice in `searchOfficialContacts`, ensuring correct cross-page ordering.
@@ -22,6 +25,8 @@
  * - READS: Hybrid (SQL Primary -> Sheet Fallback) maintained for backward compatibility.
  */
 
+const { createConflictError } = require('../utils/concurrency');
+
 class ContactService {
     /**
      * @param {ContactReader} contactRawReader  - bound to IDS.RAW (Potential contacts)
@@ -33,8 +38,10 @@ class ContactService {
      * @param {ContactSqlWriter} [contactSqlWriter]
      * @param {CompanySqlReader} [companySqlReader] - Optional DI for SQL Company Maps
      * @param {SystemService} systemService         - Required DI to retrieve settings deterministically
+     * @param {DuplicateService} [duplicateService] - Optional DI for near-duplicate warnings on create
+     * @param {LeadScoringService} [leadScoringService] - Optional DI for RAW lead scoring
      */
-    constructor(contactRawReader, contactCoreReader, contactWriter, companyReader, config, contactSqlReader, contactSqlWriter, companySqlReader, systemService) {
+    constructor(contactRawReader, contactCoreReader, contactWriter, companyReader, config, contactSqlReader, contactSqlWriter, companySqlReader, systemService, duplicateService = null, leadScoringService = null) {
         this.contactRawReader = contactRawReader;
         this.contactCoreReader = contactCoreReader;
         this.contactWriter = contactWriter;
@@ -49,6 +56,8 @@ class ContactService {
             throw new Error('[ContactService] CRITICAL: systemService is required but not provided.');
         }
         this.systemService = systemService;
+        this.duplicateService = duplicateService;
+        this.leadScoringService = leadScoringService;
     }
 
     // ============================================================
@@ -227,6 +236,41 @@ class ContactService {
         return contacts;
     }
 
+    /**
+     * 為潛在客戶附加 leadScore；評分失敗或未注入評分服務時原樣回傳
+     * @param {Array<Object>} contacts
+     */
+    async scorePotentialContacts(contacts) {
+        if (!this.leadScoringService) return contacts;
+        try {
+            return await this.leadScoringService.scoreLeads(contacts);
+        } catch (error) {
+            console.warn('[ContactService] Lead scoring failed safely:', error.message);
+            return contacts;
+        }
+    }
+
+    /**
+     * 潛在客戶 (含評分)
+     * @param {Object} [options]
+     * @param {'createdTime'|'score'} [options.sort='createdTime'] - score：依分數高到低 (同分依建立時間)
+     * @param {number} [options.minScore] - 只回傳分數 >= minScore 的名片
+     * @param {number} [options.limit=2000]
+     */
+    async getScoredPotentialContacts({ sort = 'createdTime', minScore = null, limit = 2000 } = {}) {
+        let contacts = await this.scorePotentialContacts(await this.getPotentialContacts(limit));
+
+        const threshold = Number(minScore);
+        if (minScore !== null && minScore !== '' && Number.isFinite(threshold)) {
+            contacts = contacts.filter(c => (c.leadScore?.total ?? 0) >= threshold);
+        }
+        if (sort === 'score') {
+            // Array.prototype.sort 為穩定排序，同分維持建立時間新到舊
+            contacts.sort((a, b) => (b.leadScore?.total ?? 0) - (a.leadScore?.total ?? 0));
+        }
+        return contacts;
+    }
+
     async searchContacts(query) {
         try {
             let contacts = await this.getPotentialContacts(9999);
@@ -363,27 +407,42 @@ class ContactService {
             throw new Error('[ContactService] CRITICAL: ContactSqlWriter not configured. Create disallowed.');
         }
 
+        // 重複偵測僅作提示，不阻擋建檔
+        let possibleDuplicates = [];
+        if (this.duplicateService) {
+            try {
+                possibleDuplicates = await this.duplicateService.checkContact(contactData);
+            } catch (error) {
+                console.warn('[ContactService] Duplicate check skipped:', error.message);
+            }
+        }
+
         const result = await this.contactSqlWriter.createContact(contactData, user);
 
         if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
             this.contactCoreReader.invalidateCache('contactList');
         }
 
-        return result;
+        return possibleDuplicates.length > 0 ? { ...result, possibleDuplicates } : result;
     }
 
-    async updateContact(contactId, updateData, user) {
+    async updateContact(contactId, updateData, user, options = {}) {
         if (!this.contactSqlWriter) {
             throw new Error('[ContactService] CRITICAL: ContactSqlWriter not configured. Update disallowed.');
         }
 
-        await this.contactSqlWriter.updateContact(contactId, updateData, user);
+        const result = await this.contactSqlWriter.updateContact(contactId, updateData, user, options);
+
+        if (result.conflict) {
+            const current = this.contactSqlReader ? await this.contactSqlReader.getContactById(contactId) : null;
+            throw createConflictError('聯絡人', current);
+        }
 
         if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
             this.contactCoreReader.invalidateCache('contactList');
         }
 
-        return { success: true };
+        return { success: true, updatedTime: result.updatedTime };
     }
 
     async deleteContact(contactId, user) {
@@ -403,7 +462,7 @@ class ContactService {
         }
 
         // 2. Perform Delete
-        await this.contactSqlWriter.deleteContact(contactId);
+        await this.contactSqlWriter.deleteContact(contactId, user?.displayName || user?.username || user);
 
         if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
             this.contactCoreReader.invalidateCache('contactList');
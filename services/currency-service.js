@@ -0,0 +1,178 @@
+/**
+ * services/currency-service.js
+ * 多幣別與匯率換算
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - 機會案件的 currency 欄位 (未設定視為本位幣)；可選幣別來自系統設定「幣別」。
+ * - 管理員維護匯率表 (fx_rates)，每筆匯率自生效日起適用到下一筆生效日為止。
+ * - 分析模組 (銷售分析、儀表板、預測、業績目標、Pipeline 快照) 透過 getConverter() 將金額換算為本位幣 (config.CURRENCY.BASE)。
+ * - 缺少匯率時 toBase() 回傳 null；呼叫端排除該筆 (不計入本位幣合計) 並以 missingFxCurrencies 提示。
+ * - [1.0.1] 日期早於該幣別第一筆生效日時視為缺少匯率 (原本以最早的匯率代替)。
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseAmount = (value) => parseFloat(String(value ?? 0).replace(/,/g, '')) || 0;
+
+/**
+ * 單次分析使用的換算器 (匯率於建立時載入，避免逐筆查詢)
+ */
+class FxConverter {
+    /**
+     * @param {string} baseCurrency
+     * @param {Array<Object>} rates - FX rate DTOs
+     */
+    constructor(baseCurrency, rates) {
+        this.baseCurrency = baseCurrency;
+        this.missingCurrencies = new Set();
+        this.ratesByCurrency = new Map();
+
+        rates.forEach(rate => {
+            if (!this.ratesByCurrency.has(rate.currency)) this.ratesByCurrency.set(rate.currency, []);
+            this.ratesByCurrency.get(rate.currency).push(rate);
+        });
+        this.ratesByCurrency.forEach(list => list.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate)));
+    }
+
+    /**
+     * 取得指定日期適用的匯率；日期早於第一筆生效日時沒有適用的匯率
+     * @returns {number|null}
+     */
+    rateOn(currency, date) {
+        const list = this.ratesByCurrency.get(currency);
+        if (!list || list.length === 0) return null;
+
+        const day = date ? String(date).slice(0, 10) : new Date().toISOString().slice(0, 10);
+        let applicable = null;
+        for (const rate of list) {
+            if (rate.effectiveDate > day) break;
+            applicable = rate;
+        }
+        return applicable ? applicable.rateToBase : null;
+    }
+
+    /**
+     * 換算為本位幣
+     * @param {number|string} value - 原幣金額 (可含千分位逗號)
+     * @param {string} currency - 原幣別；空值視為本位幣
+     * @param {string} [date] - 適用匯率的日期 (成交日 / 預計結案日)，省略時為今日
+     * @returns {number|null} 缺少該幣別匯率時回傳 null (呼叫端不可計入合計)
+     */
+    toBase(value, currency, date) {
+        const amount = parseAmount(value);
+        if (!currency || currency === this.baseCurrency || amount === 0) return amount;
+
+        const rate = this.rateOn(currency, date);
+        if (rate === null) {
+            this.missingCurrencies.add(currency);
+            return null;
+        }
+        return Math.round(amount * rate);
+    }
+
+    /**
+     * 本次換算中缺少匯率的幣別 (回應中的 missingFxCurrencies)
+     * @returns {Array<string>}
+     */
+    getMissingCurrencies() {
+        return Array.from(this.missingCurrencies).sort();
+    }
+}
+
+class CurrencyService {
+    /**
+     * @param {Object} dependencies
+     * @param {FxRateSqlReader} dependencies.fxRateSqlReader
+     * @param {FxRateSqlWriter} dependencies.fxRateSqlWriter
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.config
+     */
+    constructor({ fxRateSqlReader, fxRateSqlWriter, systemService, config }) {
+        this.fxRateSqlReader = fxRateSqlReader;
+        this.fxRateSqlWriter = fxRateSqlWriter;
+        this.systemService = systemService;
+        this.baseCurrency = config.CURRENCY.BASE;
+    }
+
+    /**
+     * 建立換算器；匯率表讀取失敗時以空匯率表建立 (外幣金額皆列為缺少匯率)，避免分析頁整體失敗
+     * @returns {Promise<FxConverter>}
+     */
+    async getConverter() {
+        try {
+            return new FxConverter(this.baseCurrency, await this.fxRateSqlReader.getRates());
+        } catch (error) {
+            console.warn(`[CurrencyService] FX rates unavailable, values are not converted: ${error.message}`);
+            return new FxConverter(this.baseCurrency, []);
+        }
+    }
+
+    async getRates() {
+        const rates = await this.fxRateSqlReader.getRates();
+        return { baseCurrency: this.baseCurrency, rates };
+    }
+
+    async _validateRate(data) {
+        const systemConfig = await this.systemService.getSystemConfig();
+        const currencies = (systemConfig['幣別'] || []).map(i => i.value);
+
+        if (!data.currency || data.currency === this.baseCurrency || !currencies.includes(data.currency)) {
+            throw new Error(`無法建檔：「${data.currency || ''}」不是可設定匯率的幣別`);
+        }
+        const rate = Number(data.rateToBase);
+        if (!rate || rate <= 0) {
+            throw new Error('無法建檔：匯率需大於 0');
+        }
+        if (!DATE_PATTERN.test(data.effectiveDate || '')) {
+            throw new Error('無法建檔：生效日需為 YYYY-MM-DD 格式');
+        }
+
+        return {
+            currency: data.currency,
+            rateToBase: rate,
+            effectiveDate: data.effectiveDate,
+            note: data.note || ''
+        };
+    }
+
+    /**
+     * 新增匯率；同幣別同生效日已存在時覆寫
+     */
+    async saveRate(data, user) {
+        const rate = await this._validateRate(data);
+        const existing = (await this.fxRateSqlReader.getRates())
+            .find(r => r.currency === rate.currency && r.effectiveDate === rate.effectiveDate);
+
+        return this.fxRateSqlWriter.saveRate(
+            { ...rate, rateId: existing ? existing.rateId : undefined },
+            user?.name || user?.username || 'System'
+        );
+    }
+
+    /**
+     * @returns {Promise<Object>} { success, rateId } 或 { success: false } (找不到)
+     */
+    async updateRate(rateId, data, user) {
+        const original = await this.fxRateSqlReader.getRateById(rateId);
+        if (!original) return { success: false, error: '找不到指定的匯率' };
+
+        const rate = await this._validateRate({ ...original, ...data });
+        const duplicate = (await this.fxRateSqlReader.getRates())
+            .find(r => r.rateId !== rateId && r.currency === rate.currency && r.effectiveDate === rate.effectiveDate);
+        if (duplicate) {
+            throw new Error(`無法建檔：${rate.currency} 在 ${rate.effectiveDate} 已有匯率`);
+        }
+
+        return this.fxRateSqlWriter.saveRate({ ...rate, rateId }, user?.name || user?.username || 'System');
+    }
+
+    async deleteRate(rateId) {
+        const original = await this.fxRateSqlReader.getRateById(rateId);
+        if (!original) return { success: false, error: '找不到指定的匯率' };
+        return this.fxRateSqlWriter.deleteRate(rateId);
+    }
+}
+
+module.exports = CurrencyService;
+module.exports.FxConverter = FxConverter;
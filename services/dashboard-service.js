@@ -30,9 +30,15 @@ const wonMonthPromise = supabase.from('opportunities')
 /**
  * services/dashboard-service.js
  * 儀表板業務邏輯層 (Dashboard Aggregator)
- * @version 2.8.10
- * @date 2026-04-29
+ * @version 2.11.0
+ * @date 2026-10-19
  * @changelog
+ * - [HIERARCHY] MTU/SI company activity stats (getDashboardData / getCompanyActivityDetails) accept options.groupLevel to count each group (top-level company via parentCompanyId) once instead of each subsidiary / plant.
+ * - [MULTI-CURRENCY] Won deals without an FX rate are left out of trend revenue; the currencies are returned as missingFxCurrencies.
+ * - [MULTI-CURRENCY] Trend revenue (成交金額) converted into the base currency at the rate valid on the won date (CurrencyService, appended as 12th DI arg).
+ * - [CLOSE STAGES] Won count / trend match config.CONSTANTS.CLOSE_STAGES.LEGACY_WON (受注, plus 已成交 written by the old close flow).
+ * - [SOFT DELETE] Direct SQL projections on opportunities/companies/event tables exclude tombstoned rows.
+ * - [SOFT DELETE] Range event count on the event_logs view also excludes tombstoned rows (view must expose deleted_time).
  * - [HOTFIX] Align Dashboard KPI Won Count logic with Trend & Sales Analysis
  * - total count now strictly uses current_stage = '受注'
  * - monthly count uses expected_close_date with updated_time fallback
@@ -82,7 +88,8 @@ class DashboardService {
         interactionSqlReader,
         companySqlReader,
         opportunitySqlReader,
-        systemService
+        systemService,
+        currencyService = null
     ) {
         if (!contactService || !config || !eventLogSqlReader) {
             throw new Error('[DashboardService] 初始化失敗：缺少必要的 Reader/Service 或 Config');
@@ -99,6 +106,7 @@ class DashboardService {
         this.companySqlReader = companySqlReader;
         this.opportunitySqlReader = opportunitySqlReader;
         this.systemService = systemService;
+        this.currencyService = currencyService;
 
         // [PHASE C-2.4 PATCH] In-memory TTL Cache for RAW Contact Stats
         this._rawContactStatsCache = null;
@@ -179,17 +187,20 @@ class DashboardService {
 
             // [PHASE C-2.1] Lightweight cross-domain projection for stats and names
             const lightweightOppsPromise = supabase.from('opportunities')
-                .select('opportunity_id, opportunity_name, customer_company, created_time');
+                .select('opportunity_id, opportunity_name, customer_company, created_time')
+                .is('deleted_time', null);
             
             // Lightweight fetch for event dates for trend widget across 5 partitioned tables
             const lightweightEventsPromise = Promise.all(
                 ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx', 'event_logs_summary']
-                .map(t => supabase.from(t).select('created_time').then(res => res.data || []).catch(() => []))
+                .map(t => (t === 'event_logs_summary' ? supabase.from(t).select('created_time') : supabase.from(t).select('created_time').is('deleted_time', null))
+                    .then(res => res.data || []).catch(() => []))
             ).then(results => ({ data: results.flat() }));
 
             const lightweightWonPromise = supabase.from('opportunities')
-                .select('updated_time, expected_close_date, opportunity_value')
-                .eq('current_stage', '受注');
+                .select('updated_time, expected_close_date, opportunity_value, currency')
+                .is('deleted_time', null)
+                .in('current_stage', this.config.CONSTANTS.CLOSE_STAGES.LEGACY_WON);
             
             // [PHASE 9-A] Targeted SQL reads instead of full table hydration
             const intActivityPromise = typeof this.interactionSqlReader.getInteractionActivities === 'function'
@@ -212,11 +223,14 @@ class DashboardService {
                 ? this.contactSqlReader.getRecentContactsFeed(5)
                 : Promise.resolve([]);
 
+            const fxPromise = this.currencyService ? this.currencyService.getConverter() : Promise.resolve(null);
+
             return await Promise.all([
                 calendarPromise,
                 systemPromise,
                 companyPromise,
-                recentContactsPromise
+                recentContactsPromise,
+                fxPromise
             ]);
         })();
 
@@ -243,12 +257,15 @@ class DashboardService {
             // [PHASE C-2.1] SQL KPI Aggregation (Replacing in-memory fetch and filter)
             const wonCountPromise = supabase.from('opportunities')
                 .select('opportunity_id', { count: 'exact', head: true })
-                .eq('current_stage', '受注');
+                .is('deleted_time', null)
+                .in('current_stage', this.config.CONSTANTS.CLOSE_STAGES.LEGACY_WON);
                 
             const startOfMonthIso = startOfMonth.toISOString();
+            const wonStages = this.config.CONSTANTS.CLOSE_STAGES.LEGACY_WON.join(',');
             const wonMonthPromise = supabase.from('opportunities')
                 .select('opportunity_id', { count: 'exact', head: true })
-                .or(`and(current_stage.eq.受注,expected_close_date.gte.${startOfMonthIso}),and(current_stage.eq.受注,expected_close_date.is.null,updated_time.gte.${startOfMonthIso})`);
+                .is('deleted_time', null)
+                .or(`and(current_stage.in.(${wonStages}),expected_close_date.gte.${startOfMonthIso}),and(current_stage.in.(${wonStages}),expected_close_date.is.null,updated_time.gte.${startOfMonthIso})`);
 
             // [PHASE C-2.3] SQL-first Follow-up Count
             const daysThreshold = (this.config.FOLLOW_UP && this.config.FOLLOW_UP.DAYS_THRESHOLD) || 7;
@@ -259,6 +276,7 @@ class DashboardService {
 
             const followUpCountPromise = supabase.from('opportunities')
                 .select('opportunity_id', { count: 'exact', head: true })
+                .is('deleted_time', null)
                 .eq('current_status', '進行中')
                 .in('current_stage', activeStages)
                 .or(`effective_last_activity.lt.${thresholdIso},and(effective_last_activity.is.null,created_time.lt.${thresholdIso})`);
@@ -268,8 +286,8 @@ class DashboardService {
             let rangeEventsPromise = Promise.resolve(null);
 
             if (rangeStart || rangeEnd) {
-                let oppsQuery = supabase.from('opportunities').select('*', { count: 'exact', head: true });
-                let eventsQuery = supabase.from('event_logs').select('*', { count: 'exact', head: true });
+                let oppsQuery = supabase.from('opportunities').select('*', { count: 'exact', head: true }).is('deleted_time', null);
+                let eventsQuery = supabase.from('event_logs').select('*', { count: 'exact', head: true }).is('deleted_time', null);
 
                 if (rangeStart) {
                     const startIso = rangeStart.toISOString();
@@ -364,7 +382,7 @@ class DashboardService {
         
         const [activeOpportunitiesRaw, lightweightOppsRes, interactionActivities, recentInteractions, lightweightEventsRes, lightweightWonRes] = batch1Result;
         
-        const [calendarData, systemConfig, companies, recentContactsRaw] = batch2Result;
+        const [calendarData, systemConfig, companies, recentContactsRaw, fx] = batch2Result;
         const [
             contactStats, 
             opportunityStats, 
@@ -410,12 +428,15 @@ class DashboardService {
                 console.error('[DashboardService] MTU/SI SQL View Error:', error);
             }
 
-            const safeTargets = targetCompanies || [];
+            const safeTargets = options.groupLevel
+                ? this._rollUpCompanyActivityToGroups(targetCompanies || [], companies)
+                : (targetCompanies || []);
 
             // 2. Node.js only formats the final stats from the aggregated company rows
             safeTargets.forEach(comp => {
-                const isMtu = isStrictMTU(comp.company_type);
-                const isSi = isSI(comp.company_type);
+                const types = comp.company_types || [comp.company_type];
+                const isMtu = types.some(isStrictMTU);
+                const isSi = types.some(isSI);
                 
                 // Visited logic is now driven by has_activity
                 const isActive = comp.has_activity === true;
@@ -495,6 +516,7 @@ class DashboardService {
                 activeCount: siCount,
                 inactiveCount: inactiveSiCount
             },
+            companyGroupLevel: !!options.groupLevel,
             todayEventsCount: calendarData.todayCount || 0,
             weekEventsCount: calendarData.weekCount || 0,
             followUpCount: followUpCount,
@@ -561,8 +583,10 @@ class DashboardService {
                     trendData.won[key] = (trendData.won[key] || 0) + 1;
 
                     const raw = opp.opportunity_value;
-                    const amount = raw ? parseFloat(String(raw).replace(/,/g, '')) || 0 : 0;
-                    trendData.revenue[key] = (trendData.revenue[key] || 0) + amount;
+                    const amount = fx
+                        ? fx.toBase(raw, opp.currency, dateStr)
+                        : (raw ? parseFloat(String(raw).replace(/,/g, '')) || 0 : 0);
+                    trendData.revenue[key] = (trendData.revenue[key] || 0) + (amount || 0);
                 }
             }
         });
@@ -575,7 +599,8 @@ class DashboardService {
             recentActivity,
             weeklyBusiness: thisWeeksEntries,
             thisWeekInfo: thisWeekInfoForDashboard,
-            trendData
+            trendData,
+            missingFxCurrencies: fx ? fx.getMissingCurrencies() : []
         };
     }
 
@@ -613,7 +638,7 @@ class DashboardService {
 
     async getCompaniesDashboardData() {
         // [PHASE C-2.1] SQL-First: Fetch only required columns for chart aggregation
-        const { data } = await supabase.from('companies').select('created_time, company_type, customer_stage, interaction_rating');
+        const { data } = await supabase.from('companies').select('created_time, company_type, customer_stage, interaction_rating').is('deleted_time', null);
         const companies = (data || []).map(row => ({
             createdTime: row.created_time,
             companyType: row.company_type,
@@ -636,8 +661,8 @@ class DashboardService {
         
         // [PHASE C-2.1] SQL-First: Avoid full table hydration for cross-domain naming
         const [oppsRes, compsRes] = await Promise.all([
-            supabase.from('opportunities').select('opportunity_id, opportunity_name, opportunity_type'),
-            supabase.from('companies').select('company_id, company_name')
+            supabase.from('opportunities').select('opportunity_id, opportunity_name, opportunity_type').is('deleted_time', null),
+            supabase.from('companies').select('company_id, company_name').is('deleted_time', null)
         ]);
 
         const opportunityMap = new Map((oppsRes.data || []).map(opp => [opp.opportunity_id, { opportunityName: opp.opportunity_name, opportunityType: opp.opportunity_type }]));
@@ -676,7 +701,7 @@ class DashboardService {
     async getOpportunitiesDashboardData() {
         // [PHASE C-2.1] SQL-First: Projection to avoid full JSON body hydration
         const [opportunitiesRes, systemConfig] = await Promise.all([
-            supabase.from('opportunities').select('source, opportunity_type, current_stage, win_probability, product_details, sales_channel, equipment_scale, created_time'),
+            supabase.from('opportunities').select('source, opportunity_type, current_stage, win_probability, product_details, sales_channel, equipment_scale, created_time').is('deleted_time', null),
             this.systemService.getSystemConfig(),
         ]);
         
@@ -715,18 +740,27 @@ class DashboardService {
     }
 
     // [PHASE C-2.5 PATCH] Lazy load endpoint for MTU/SI tooltips
-    async getCompanyActivityDetails(type) {
+    /**
+     * @param {'mtu'|'si'} type
+     * @param {Object} [options]
+     * @param {boolean} [options.groupLevel] - 以集團 (最上層公司) 為單位計算
+     */
+    async getCompanyActivityDetails(type, options = {}) {
         if (type !== 'mtu' && type !== 'si') {
             throw new Error('Invalid company activity type');
         }
 
-        const { data: targetCompanies, error } = await supabase
+        const { data: companyRows, error } = await supabase
             .from('v_company_activity_summary')
-            .select('company_name, company_type, has_activity')
+            .select('company_id, company_name, company_type, has_activity')
             .or('company_type.ilike.%mtu%,company_type.ilike.%si%,company_type.ilike.%系統整合%,company_type.ilike.%system integrator%');
 
         if (error) throw new Error('[DashboardService] MTU/SI details fetch error: ' + error.message);
 
+        const targetCompanies = options.groupLevel && this.companySqlReader
+            ? this._rollUpCompanyActivityToGroups(companyRows || [], await this.companySqlReader.getCompanies())
+            : (companyRows || []);
+
         const normalize = (name) => (name || '').trim().toLowerCase();
         const isStrictMTU = (t) => normalize(t) === 'mtu';
         const isSI = (t) => /SI|系統整合|System Integrator/i.test(t || '');
@@ -734,9 +768,10 @@ class DashboardService {
         let totalCount = 0, activeCount = 0, inactiveCount = 0;
         const activeNames = [], inactiveNames = [];
 
-        (targetCompanies || []).forEach(comp => {
-            const isMtu = isStrictMTU(comp.company_type);
-            const isSi = isSI(comp.company_type);
+        targetCompanies.forEach(comp => {
+            const types = comp.company_types || [comp.company_type];
+            const isMtu = types.some(isStrictMTU);
+            const isSi = types.some(isSI);
             if ((type === 'mtu' && isMtu) || (type === 'si' && isSi)) {
                 totalCount++;
                 if (comp.has_activity === true) {
@@ -752,6 +787,46 @@ class DashboardService {
 
     // --- 內部資料處理函式 ---
 
+    /**
+     * [HIERARCHY] 將 v_company_activity_summary 的公司列合併為集團列 (最上層公司)
+     * - company_types：所有成員的公司類型 (任一成員為 MTU / SI 即計入該類)
+     * - has_activity：任一成員有活動；first_activity：成員中最早者
+     * @param {Array<Object>} rows - { company_id, company_name, company_type, has_activity, first_activity }
+     * @param {Array<Object>} companies - CompanySqlReader DTO (含 parentCompanyId)
+     */
+    _rollUpCompanyActivityToGroups(rows, companies) {
+        const companyMap = new Map((companies || []).map(c => [c.companyId, c]));
+        const findRoot = (companyId) => {
+            let current = companyMap.get(companyId);
+            const seen = new Set();
+            while (current && current.parentCompanyId && companyMap.has(current.parentCompanyId) && !seen.has(current.companyId)) {
+                seen.add(current.companyId);
+                current = companyMap.get(current.parentCompanyId);
+            }
+            return current || null;
+        };
+
+        const groups = new Map();
+        rows.forEach(row => {
+            const root = findRoot(row.company_id);
+            const key = root ? root.companyId : row.company_id;
+            const group = groups.get(key) || {
+                company_id: key,
+                company_name: root ? root.companyName : row.company_name,
+                company_types: [],
+                has_activity: false,
+                first_activity: null
+            };
+            group.company_types.push(row.company_type);
+            group.has_activity = group.has_activity || row.has_activity === true;
+            if (row.first_activity && (!group.first_activity || new Date(row.first_activity) < new Date(group.first_activity))) {
+                group.first_activity = row.first_activity;
+            }
+            groups.set(key, group);
+        });
+        return Array.from(groups.values());
+    }
+
     // [Phase 9-A] Signature simplified: completely relies on the reader's native SQL computed value.
     _getFollowUpOpportunities(opportunities) {
         const daysThreshold = (this.config.FOLLOW_UP && this.config.FOLLOW_UP.DAYS_THRESHOLD) || 7;
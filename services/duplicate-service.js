@@ -0,0 +1,690 @@
+/**
+ * services/duplicate-service.js
+ * 重複資料偵測與合併 (正式聯絡人 / 公司)
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - [FEAT] checkContactsBatch / checkCompaniesBatch：匯入預檢一次載入既有資料後逐筆比對。
+ * - 聯絡人比對：Email、手機 (忽略 +886 與符號)、姓名 + 公司 (模糊)。
+ * - 公司比對：正規化名稱、簡稱 (依序包含，例如「台積電」⊂「台灣積體電路製造」)、英文縮寫、
+ * 系統設定「公司別名」(value = 別名，note = 正式名稱，例如 TSMC → 台灣積體電路製造)、電話與地址。
+ * - 各項訊號以 1 - Π(1 - 權重) 合成 0~100 分，達 config.DUPLICATE.MIN_SCORE 才列為候選。
+ * - [1.0.1] 全體掃描以分組鍵 (blocking key) 分桶，只比對同桶內的組合 (不再全部兩兩比對)，候選清單於建立時即截斷至 MAX_CANDIDATES；
+ *   分組鍵對應各評分訊號 (Email、電話、正規化名稱、名稱首字、地址前段)，超過 MAX_BLOCK_SIZE 的桶 (過於常見的鍵) 略過。
+ * - 合併：關聯資料改指向保留紀錄 (RecordMergeSqlWriter，逐筆留稽核紀錄並更新版本)，保留紀錄的空白欄位以被合併者補齊，
+ * 被合併紀錄移入回收桶，並寫入 record_merges 供追溯。
+ * - 合併沒有交易：逐筆被合併紀錄依「改指向 → 補齊欄位 → 寫入 record_merges → 移入回收桶」執行，中途失敗時已完成的步驟不會回復。
+ *   各步驟皆可重複執行，以相同參數重送合併即可接續 (已有 record_merges 的紀錄不重複寫入，已移入回收桶者略過)。
+ * - 驗證錯誤以「無法建檔：」開頭 (HTTP 400)。
+ */
+
+const ALIAS_CONFIG_TYPE = '公司別名';
+
+// 分組鍵對應的紀錄數超過此值時不在該桶內比對 (例如同一個名稱首字的大量公司)，避免退化為全體兩兩比對
+const MAX_BLOCK_SIZE = 500;
+
+// 訊號權重 (0~1)
+const WEIGHTS = {
+    contact: {
+        email: 0.95,
+        mobile: 0.9,
+        nameSameCompany: 0.8,
+        similarNameSameCompany: 0.5,
+        nameOnly: 0.35,
+        phone: 0.2
+    },
+    company: {
+        name: 0.9,
+        alias: 0.9,
+        abbreviation: 0.6,
+        acronym: 0.6,
+        similarName: 0.7, // × 相似度
+        phone: 0.7,
+        address: 0.6,
+        similarAddress: 0.4
+    }
+};
+
+// 名稱正規化時移除的公司後綴 / 常見字樣
+const COMPANY_SUFFIX_PATTERN = /股份有限公司|有限公司|公司|企業社|工作室|co\.?,?\s*ltd\.?|inc\.?|corp(oration)?\.?|limited|company/gi;
+const ENGLISH_STOPWORDS = new Set(['co', 'ltd', 'inc', 'corp', 'corporation', 'company', 'limited', 'the', 'and', 'of']);
+
+const combineScore = (weights) => Math.round((1 - weights.reduce((p, w) => p * (1 - w), 1)) * 100);
+
+/**
+ * 字元 bigram 的 Dice 係數 (0~1)
+ */
+function diceSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const bigrams = (s) => {
+        const map = new Map();
+        for (let i = 0; i < s.length - 1; i++) {
+            const gram = s.slice(i, i + 2);
+            map.set(gram, (map.get(gram) || 0) + 1);
+        }
+        return map;
+    };
+    const ga = bigrams(a);
+    const gb = bigrams(b);
+    let overlap = 0;
+    ga.forEach((count, gram) => { overlap += Math.min(count, gb.get(gram) || 0); });
+    return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * short 的每個字元是否依序出現在 long 中 (且首字相同)，用於中文簡稱判定
+ */
+function isOrderedSubsequence(short, long) {
+    if (!short || !long || short.length < 2 || short.length >= long.length || short[0] !== long[0]) return false;
+    let i = 0;
+    for (const ch of long) {
+        if (ch === short[i]) i++;
+        if (i === short.length) return true;
+    }
+    return false;
+}
+
+class DuplicateService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactSqlReader} dependencies.contactSqlReader
+     * @param {ContactSqlWriter} dependencies.contactSqlWriter
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {CompanySqlWriter} dependencies.companySqlWriter
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {RecordMergeSqlReader} dependencies.recordMergeSqlReader
+     * @param {RecordMergeSqlWriter} dependencies.recordMergeSqlWriter
+     * @param {InteractionService} dependencies.interactionService
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.config
+     */
+    constructor({
+        contactSqlReader, contactSqlWriter, companySqlReader, companySqlWriter, opportunitySqlReader,
+        recordMergeSqlReader, recordMergeSqlWriter, interactionService, systemService, config
+    }) {
+        this.contactSqlReader = contactSqlReader;
+        this.contactSqlWriter = contactSqlWriter;
+        this.companySqlReader = companySqlReader;
+        this.companySqlWriter = companySqlWriter;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.recordMergeSqlReader = recordMergeSqlReader;
+        this.recordMergeSqlWriter = recordMergeSqlWriter;
+        this.interactionService = interactionService;
+        this.systemService = systemService;
+        this.config = config;
+    }
+
+    // ============================================================
+    // 正規化
+    // ============================================================
+
+    /**
+     * 與 CompanyService._normalizeCompanyName 相同的規則 (機會以此比對終端客戶)
+     */
+    _normalizeCompanyNameLegacy(name) {
+        if (!name) return '';
+        return name.toLowerCase().trim()
+            .replace(/股份有限公司|有限公司|公司/g, '')
+            .replace(/\(.*\)/g, '')
+            .trim();
+    }
+
+    _normalizeCompanyName(name) {
+        if (!name) return '';
+        return String(name).toLowerCase()
+            .replace(/[（(].*?[)）]/g, '')
+            .replace(COMPANY_SUFFIX_PATTERN, '')
+            .replace(/[\s.,，、\-_&'"]/g, '');
+    }
+
+    _acronym(name) {
+        const words = String(name || '').toLowerCase().match(/[a-z]+/g) || [];
+        const meaningful = words.filter(w => !ENGLISH_STOPWORDS.has(w));
+        return meaningful.length >= 2 ? meaningful.map(w => w[0]).join('') : '';
+    }
+
+    _normalizePhone(phone) {
+        let digits = String(phone || '').split(/[#＃]|ext|分機/i)[0].replace(/\D/g, '');
+        if (digits.startsWith('886')) digits = '0' + digits.slice(3);
+        return digits.length >= 7 ? digits : '';
+    }
+
+    _normalizeEmail(email) {
+        const value = String(email || '').trim().toLowerCase();
+        return value.includes('@') ? value : '';
+    }
+
+    _normalizePersonName(name) {
+        return String(name || '').toLowerCase().replace(/[\s.\-_·‧]/g, '');
+    }
+
+    _normalizeAddress(address) {
+        return String(address || '').toLowerCase()
+            .replace(/臺/g, '台')
+            .replace(/[\s,，.\-]/g, '')
+            .replace(/^\d{3,6}/, ''); // 郵遞區號
+    }
+
+    async _getAliasMap() {
+        const systemConfig = await this.systemService.getSystemConfig();
+        const map = new Map();
+        (systemConfig[ALIAS_CONFIG_TYPE] || []).forEach(item => {
+            const alias = this._normalizeCompanyName(item.value);
+            const official = this._normalizeCompanyName(item.note);
+            if (alias && official && alias !== official) map.set(alias, official);
+        });
+        return map;
+    }
+
+    // ============================================================
+    // 評分
+    // ============================================================
+
+    _prepareCompany(company, aliasMap) {
+        const key = this._normalizeCompanyName(company.companyName);
+        return {
+            company,
+            key,
+            canonical: aliasMap.get(key) || key,
+            acronym: this._acronym(company.companyName),
+            phone: this._normalizePhone(company.phone),
+            address: this._normalizeAddress(company.address)
+        };
+    }
+
+    _scoreCompanies(a, b) {
+        const w = WEIGHTS.company;
+        const weights = [];
+        const reasons = [];
+        const add = (weight, reason) => { weights.push(weight); reasons.push(reason); };
+
+        if (a.key && a.key === b.key) {
+            add(w.name, '名稱相同');
+        } else if (a.canonical && a.canonical === b.canonical) {
+            add(w.alias, '公司別名');
+        } else if (a.key && b.key) {
+            if (isOrderedSubsequence(a.key, b.key) || isOrderedSubsequence(b.key, a.key)) {
+                add(w.abbreviation, '名稱為簡稱');
+            }
+            if ((a.acronym && a.acronym === b.key) || (b.acronym && b.acronym === a.key)) {
+                add(w.acronym, '英文縮寫');
+            }
+            const similarity = diceSimilarity(a.key, b.key);
+            if (similarity >= 0.6) add(w.similarName * similarity, `名稱相似 ${Math.round(similarity * 100)}%`);
+        }
+
+        if (a.phone && a.phone === b.phone) add(w.phone, '電話相同');
+
+        if (a.address && b.address) {
+            if (a.address === b.address) {
+                add(w.address, '地址相同');
+            } else {
+                const similarity = diceSimilarity(a.address, b.address);
+                if (similarity >= 0.85) add(w.similarAddress, '地址相近');
+            }
+        }
+
+        return { score: combineScore(weights), reasons };
+    }
+
+    /**
+     * 公司的分組鍵：可能達到門檻的組合至少共用一個鍵
+     * (名稱 / 別名 / 英文縮寫共用 name 鍵，簡稱首字相同，地址相近時前段相同)
+     */
+    _companyBlockingKeys(item) {
+        const keys = [];
+        if (item.canonical) keys.push(`name:${item.canonical}`);
+        if (item.key) keys.push(`prefix:${item.key[0]}`);
+        if (item.acronym) keys.push(`name:${item.acronym}`);
+        if (item.phone) keys.push(`phone:${item.phone}`);
+        if (item.address) keys.push(`address:${item.address.slice(0, 6)}`);
+        return keys;
+    }
+
+    _prepareContact(contact, companyNames) {
+        return {
+            contact: { ...contact, companyName: companyNames.get(contact.companyId) || '' },
+            name: this._normalizePersonName(contact.name),
+            email: this._normalizeEmail(contact.email),
+            mobile: this._normalizePhone(contact.mobile),
+            phone: this._normalizePhone(contact.phone),
+            company: contact.companyId || this._normalizeCompanyName(contact.companyName || contact.company)
+        };
+    }
+
+    _scoreContacts(a, b) {
+        const w = WEIGHTS.contact;
+        const weights = [];
+        const reasons = [];
+        const add = (weight, reason) => { weights.push(weight); reasons.push(reason); };
+
+        if (a.email && a.email === b.email) add(w.email, 'Email 相同');
+        if (a.mobile && a.mobile === b.mobile) add(w.mobile, '手機相同');
+
+        const sameCompany = a.company && a.company === b.company;
+        if (a.name && a.name === b.name) {
+            add(sameCompany ? w.nameSameCompany : w.nameOnly, sameCompany ? '同公司同姓名' : '姓名相同');
+        } else if (sameCompany && diceSimilarity(a.name, b.name) >= 0.6) {
+            add(w.similarNameSameCompany, '同公司姓名相似');
+        }
+
+        if (a.phone && a.phone === b.phone && !(a.mobile && a.mobile === b.mobile)) add(w.phone, '市話相同');
+
+        return { score: combineScore(weights), reasons };
+    }
+
+    /**
+     * 聯絡人的分組鍵 (Email、手機、市話、姓名；同公司的相似姓名以公司 + 姓名首字分組)
+     */
+    _contactBlockingKeys(item) {
+        const keys = [];
+        if (item.email) keys.push(`email:${item.email}`);
+        if (item.mobile) keys.push(`mobile:${item.mobile}`);
+        if (item.phone) keys.push(`phone:${item.phone}`);
+        if (item.name) keys.push(`name:${item.name}`);
+        if (item.name && item.company) keys.push(`company:${item.company}:${item.name[0]}`);
+        return keys;
+    }
+
+    /**
+     * 依分組鍵分桶，只比對同桶內的組合，回傳達門檻的候選組合 (依分數高到低，最多 MAX_CANDIDATES 組)
+     */
+    _findPairs(items, keysFn, scoreFn, minScore) {
+        const buckets = new Map();
+        items.forEach((item, index) => {
+            new Set(keysFn(item)).forEach(key => {
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(index);
+            });
+        });
+
+        const maxCandidates = this.config.DUPLICATE.MAX_CANDIDATES;
+        // 分數高到低；同分時維持紀錄原本的順序
+        const rank = (x, y) => y.score - x.score || x.order - y.order;
+        const compared = new Set();
+        let pairs = [];
+
+        for (const indexes of buckets.values()) {
+            if (indexes.length < 2 || indexes.length > MAX_BLOCK_SIZE) continue;
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    const pairKey = `${indexes[i]}:${indexes[j]}`;
+                    if (compared.has(pairKey)) continue;
+                    compared.add(pairKey);
+
+                    const a = items[indexes[i]];
+                    const b = items[indexes[j]];
+                    const { score, reasons } = scoreFn(a, b);
+                    if (score < minScore) continue;
+
+                    pairs.push({ score, reasons, a, b, order: indexes[i] * items.length + indexes[j] });
+                    if (pairs.length >= maxCandidates * 2) {
+                        pairs = pairs.sort(rank).slice(0, maxCandidates);
+                    }
+                }
+            }
+        }
+
+        return pairs.sort(rank).slice(0, maxCandidates);
+    }
+
+    _minScore(value) {
+        const num = Number(value);
+        return num > 0 && num <= 100 ? num : this.config.DUPLICATE.MIN_SCORE;
+    }
+
+    async _getCompanyNameMap() {
+        const companies = await this.companySqlReader.getCompanies();
+        return new Map(companies.map(c => [c.companyId, c.companyName]));
+    }
+
+    // ============================================================
+    // 候選查詢
+    // ============================================================
+
+    /**
+     * 全體正式聯絡人的重複候選
+     * @param {Object} [options] - { minScore }
+     * @returns {Promise<Array<Object>>} [{ score, reasons, records: [contactA, contactB] }]
+     */
+    async findContactDuplicates(options = {}) {
+        const [contacts, companyNames] = await Promise.all([
+            this.contactSqlReader.getContacts(),
+            this._getCompanyNameMap()
+        ]);
+        const prepared = contacts.map(c => this._prepareContact(c, companyNames));
+
+        return this._findPairs(prepared, item => this._contactBlockingKeys(item), (a, b) => this._scoreContacts(a, b), this._minScore(options.minScore))
+            .map(p => ({ score: p.score, reasons: p.reasons, records: [p.a.contact, p.b.contact] }));
+    }
+
+    /**
+     * 全體公司的重複候選
+     * @param {Object} [options] - { minScore }
+     * @returns {Promise<Array<Object>>} [{ score, reasons, records: [companyA, companyB] }]
+     */
+    async findCompanyDuplicates(options = {}) {
+        const [companies, aliasMap] = await Promise.all([
+            this.companySqlReader.getCompanies(),
+            this._getAliasMap()
+        ]);
+        const prepared = companies.map(c => this._prepareCompany(c, aliasMap));
+
+        return this._findPairs(prepared, item => this._companyBlockingKeys(item), (a, b) => this._scoreCompanies(a, b), this._minScore(options.minScore))
+            .map(p => ({ score: p.score, reasons: p.reasons, records: [p.a.company, p.b.company] }));
+    }
+
+    async _loadContactContext() {
+        const [contacts, companyNames] = await Promise.all([
+            this.contactSqlReader.getContacts(),
+            this._getCompanyNameMap()
+        ]);
+        return { companyNames, candidates: contacts.map(c => this._prepareContact(c, companyNames)) };
+    }
+
+    async _loadCompanyContext() {
+        const [companies, aliasMap] = await Promise.all([
+            this.companySqlReader.getCompanies(),
+            this._getAliasMap()
+        ]);
+        return { aliasMap, candidates: companies.map(c => this._prepareCompany(c, aliasMap)) };
+    }
+
+    _matchContact(draft, context, options) {
+        const { companyNames, candidates } = context;
+        const minScore = this._minScore(options.minScore);
+
+        // 只給公司名稱時，以正規化名稱對應到既有公司 ID 再比對
+        let companyId = draft.companyId;
+        if (!companyId && (draft.companyName || draft.company)) {
+            const key = this._normalizeCompanyName(draft.companyName || draft.company);
+            companyId = Array.from(companyNames.entries()).find(([, name]) => this._normalizeCompanyName(name) === key)?.[0];
+        }
+        const target = this._prepareContact({ ...draft, companyId }, companyNames);
+
+        return candidates
+            .filter(c => c.contact.contactId !== options.excludeId)
+            .map(c => ({ ...this._scoreContacts(target, c), record: c.contact }))
+            .filter(r => r.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 10);
+    }
+
+    _matchCompany(draft, context, options) {
+        const minScore = this._minScore(options.minScore);
+        const target = this._prepareCompany(draft, context.aliasMap);
+
+        return context.candidates
+            .filter(c => c.company.companyId !== options.excludeId)
+            .map(c => ({ ...this._scoreCompanies(target, c), record: c.company }))
+            .filter(r => r.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 10);
+    }
+
+    /**
+     * 檢查一筆 (尚未建立的) 聯絡人資料是否與既有聯絡人重複
+     * @param {Object} draft - { name, email, mobile, phone, companyId | companyName }
+     * @param {Object} [options] - { minScore, excludeId }
+     * @returns {Promise<Array<Object>>} [{ score, reasons, record }]
+     */
+    async checkContact(draft, options = {}) {
+        return this._matchContact(draft, await this._loadContactContext(), options);
+    }
+
+    /**
+     * 批次檢查多筆聯絡人 (匯入預檢用，既有資料只讀取一次)
+     * @param {Array<Object>} drafts
+     * @param {Object} [options] - { minScore }
+     * @returns {Promise<Array<Array<Object>>>} 與 drafts 同序的候選清單
+     */
+    async checkContactsBatch(drafts, options = {}) {
+        const context = await this._loadContactContext();
+        return drafts.map(draft => this._matchContact(draft, context, options));
+    }
+
+    /**
+     * 檢查一筆 (尚未建立的) 公司資料是否與既有公司重複
+     * @param {Object} draft - { companyName, phone, address }
+     * @param {Object} [options] - { minScore, excludeId }
+     * @returns {Promise<Array<Object>>} [{ score, reasons, record }]
+     */
+    async checkCompany(draft, options = {}) {
+        return this._matchCompany(draft, await this._loadCompanyContext(), options);
+    }
+
+    /**
+     * 批次檢查多筆公司 (匯入預檢用，既有資料只讀取一次)
+     * @param {Array<Object>} drafts
+     * @param {Object} [options] - { minScore }
+     * @returns {Promise<Array<Array<Object>>>} 與 drafts 同序的候選清單
+     */
+    async checkCompaniesBatch(drafts, options = {}) {
+        const context = await this._loadCompanyContext();
+        return drafts.map(draft => this._matchCompany(draft, context, options));
+    }
+
+    // ============================================================
+    // 合併
+    // ============================================================
+
+    _resolveModifier(user) {
+        return user?.displayName || user?.name || user?.username || 'System';
+    }
+
+    _validateMergeRequest(survivorId, mergedIds) {
+        const ids = Array.isArray(mergedIds) ? mergedIds.filter(Boolean) : [];
+        if (!survivorId || ids.length === 0) {
+            throw new Error('無法建檔：需指定保留紀錄 (survivorId) 與至少一筆被合併紀錄 (mergedIds)');
+        }
+        if (ids.includes(survivorId)) {
+            throw new Error('無法建檔：保留紀錄不可同時列為被合併紀錄');
+        }
+        return Array.from(new Set(ids));
+    }
+
+    /**
+     * 保留紀錄的空白欄位以被合併紀錄補齊
+     */
+    _fillBlanks(survivor, merged, fields) {
+        const patch = {};
+        fields.forEach(field => {
+            const current = survivor[field];
+            const incoming = merged[field];
+            if ((current === undefined || current === null || String(current).trim() === '') && incoming) {
+                patch[field] = incoming;
+                survivor[field] = incoming;
+            }
+        });
+        return patch;
+    }
+
+    /**
+     * 先前 (中途失敗) 的合併請求已寫入的 record_merges
+     * @returns {Promise<string|null>} mergeId
+     */
+    async _findPreviousMergeId(entityType, survivorId, mergedId) {
+        const merges = await this.recordMergeSqlReader.getMerges({ entityType, recordId: mergedId });
+        const previous = merges.find(m => m.survivorId === survivorId && m.mergedId === mergedId);
+        return previous ? previous.mergeId : null;
+    }
+
+    async _logInteraction(data, modifier) {
+        try {
+            await this.interactionService.createInteraction({
+                eventType: '系統事件',
+                recorder: modifier,
+                interactionTime: new Date().toISOString(),
+                ...data
+            }, { displayName: modifier });
+        } catch (error) {
+            console.warn(`[DuplicateService] Log Interaction Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * 合併聯絡人 (無交易；中途失敗時以相同參數重送即可接續，見檔頭說明)
+     * @param {string} survivorId - 保留的聯絡人
+     * @param {Array<string>} mergedIds - 被合併 (移入回收桶) 的聯絡人
+     * @param {Object} user
+     * @returns {Promise<Object>} { success, survivorId, merged: [{ contactId, mergeId, repointed }], alreadyMerged: [contactId] }
+     */
+    async mergeContacts(survivorId, mergedIds, user) {
+        const ids = this._validateMergeRequest(survivorId, mergedIds);
+        const modifier = this._resolveModifier(user);
+
+        const survivor = await this.contactSqlReader.getContactById(survivorId);
+        if (!survivor) return { success: false, error: '找不到保留的聯絡人' };
+
+        const mergedContacts = [];
+        const alreadyMerged = [];
+        for (const id of ids) {
+            const contact = await this.contactSqlReader.getContactById(id);
+            const previousMergeId = await this._findPreviousMergeId('contact', survivor.contactId, id);
+            if (contact) {
+                mergedContacts.push({ contact, previousMergeId });
+            } else if (previousMergeId) {
+                alreadyMerged.push(id);
+            } else {
+                return { success: false, error: `找不到要合併的聯絡人 (${id})` };
+            }
+        }
+        if (mergedContacts.length === 0) return { success: true, survivorId: survivor.contactId, merged: [], alreadyMerged };
+
+        const fillFields = ['companyId', 'department', 'jobTitle', 'mobile', 'phone', 'email'];
+        const results = [];
+        const touchedOpportunities = new Set();
+
+        for (const { contact: merged, previousMergeId } of mergedContacts) {
+            const repointed = await this.recordMergeSqlWriter.reassignContact(merged.contactId, survivor.contactId, merged.name, survivor.name, modifier);
+            repointed.opportunityIds.forEach(id => touchedOpportunities.add(id));
+
+            const patch = this._fillBlanks(survivor, merged, fillFields);
+            if (Object.keys(patch).length > 0) {
+                await this.contactSqlWriter.updateContact(survivor.contactId, patch, modifier);
+            }
+
+            const mergeId = previousMergeId || (await this.recordMergeSqlWriter.recordMerge({
+                entityType: 'contact',
+                survivorId: survivor.contactId,
+                mergedId: merged.contactId,
+                mergedSnapshot: merged,
+                repointed: { ...repointed, filledFields: Object.keys(patch) }
+            }, modifier)).mergeId;
+
+            await this.contactSqlWriter.deleteContact(merged.contactId, modifier);
+
+            results.push({ contactId: merged.contactId, mergeId, repointed });
+        }
+
+        const mergedNames = mergedContacts.map(({ contact }) => `${contact.name} (${contact.contactId})`).join('、');
+        for (const opportunityId of touchedOpportunities) {
+            await this._logInteraction({
+                opportunityId,
+                eventTitle: '合併聯絡人',
+                contentSummary: `聯絡人 ${mergedNames} 已合併至「${survivor.name}」`
+            }, modifier);
+        }
+        if (survivor.companyId) {
+            await this._logInteraction({
+                companyId: survivor.companyId,
+                eventTitle: '合併聯絡人',
+                contentSummary: `聯絡人 ${mergedNames} 已合併至「${survivor.name}」`
+            }, modifier);
+        }
+
+        return { success: true, survivorId: survivor.contactId, merged: results, alreadyMerged };
+    }
+
+    /**
+     * 合併公司 (無交易；中途失敗時以相同參數重送即可接續，見檔頭說明)
+     * @param {string} survivorId - 保留的公司
+     * @param {Array<string>} mergedIds - 被合併 (移入回收桶) 的公司
+     * @param {Object} user
+     * @returns {Promise<Object>} { success, survivorId, merged: [{ companyId, mergeId, repointed }], alreadyMerged: [companyId] }
+     */
+    async mergeCompanies(survivorId, mergedIds, user) {
+        const ids = this._validateMergeRequest(survivorId, mergedIds);
+        const modifier = this._resolveModifier(user);
+
+        const survivor = await this.companySqlReader.getCompanyById(survivorId);
+        if (!survivor) return { success: false, error: '找不到保留的公司' };
+
+        const mergedCompanies = [];
+        const alreadyMerged = [];
+        for (const id of ids) {
+            const company = await this.companySqlReader.getCompanyById(id);
+            const previousMergeId = await this._findPreviousMergeId('company', survivor.companyId, id);
+            if (company) {
+                mergedCompanies.push({ company, previousMergeId });
+            } else if (previousMergeId) {
+                alreadyMerged.push(id);
+            } else {
+                return { success: false, error: `找不到要合併的公司 (${id})` };
+            }
+        }
+        if (mergedCompanies.length === 0) return { success: true, survivorId: survivor.companyId, merged: [], alreadyMerged };
+
+        // 機會以公司名稱 (正規化) 關聯，先找出需改名的機會
+        const opportunities = await this.opportunitySqlReader.getOpportunities();
+
+        // SqlReader DTO 欄位 (city / description / interactionRating) → SqlWriter DTO 欄位
+        const toWriterFields = (c) => ({
+            phone: c.phone, address: c.address, county: c.city, introduction: c.description,
+            companyType: c.companyType, customerStage: c.customerStage, engagementRating: c.interactionRating
+        });
+        const survivorFields = toWriterFields(survivor);
+        const results = [];
+
+        for (const { company: merged, previousMergeId } of mergedCompanies) {
+            const mergedKey = this._normalizeCompanyNameLegacy(merged.companyName);
+            const renames = {
+                customerCompanyIds: opportunities
+                    .filter(o => this._normalizeCompanyNameLegacy(o.customerCompany) === mergedKey)
+                    .map(o => o.opportunityId),
+                salesChannelIds: opportunities
+                    .filter(o => this._normalizeCompanyNameLegacy(o.salesChannel) === mergedKey)
+                    .map(o => o.opportunityId)
+            };
+
+            const repointed = await this.recordMergeSqlWriter.reassignCompany(merged.companyId, survivor.companyId, renames, survivor.companyName, modifier);
+
+            const patch = this._fillBlanks(survivorFields, toWriterFields(merged), ['phone', 'address', 'county', 'introduction', 'companyType']);
+            if (Object.keys(patch).length > 0) {
+                await this.companySqlWriter.updateCompany(survivor.companyId, patch, modifier);
+            }
+
+            const mergeId = previousMergeId || (await this.recordMergeSqlWriter.recordMerge({
+                entityType: 'company',
+                survivorId: survivor.companyId,
+                mergedId: merged.companyId,
+                mergedSnapshot: merged,
+                repointed: { ...repointed, opportunityIds: renames.customerCompanyIds, filledFields: Object.keys(patch) }
+            }, modifier)).mergeId;
+
+            await this.companySqlWriter.deleteCompany(merged.companyId, modifier);
+
+            results.push({ companyId: merged.companyId, mergeId, repointed });
+        }
+
+        await this._logInteraction({
+            companyId: survivor.companyId,
+            eventTitle: '合併公司',
+            contentSummary: `公司 ${mergedCompanies.map(({ company }) => `「${company.companyName}」`).join('、')} 已合併至「${survivor.companyName}」`
+        }, modifier);
+
+        return { success: true, survivorId: survivor.companyId, merged: results, alreadyMerged };
+    }
+
+    /**
+     * 合併紀錄
+     * @param {Object} [filters] - { entityType, recordId }
+     */
+    async getMergeHistory(filters = {}) {
+        return this.recordMergeSqlReader.getMerges(filters);
+    }
+}
+
+module.exports = DuplicateService;
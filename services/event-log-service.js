@@ -1,8 +1,10 @@
 /*
  * FILE: services/event-log-service.js
- * VERSION: 8.4.2-SystemServiceMigration
- * DATE: 2026-03-12
+ * VERSION: 8.5.0-EventTypeSchemas
+ * DATE: 2026-10-19
  * CHANGELOG:
+ * - Phase 8.5.0: Event type schemas — create/update validate type-specific fields via EventSchemaService;
+ *   type-change backup lists the old type's schema fields.
  * - Phase 8.4.2: Migrated getSystemConfig from deprecated SystemReader to SystemService.
  * - Phase 8.4.1: Fix Backup logic to use snake_case keys + correct labels.
  * - Phase 8.4: Implemented Type-Change Backup to Notes (Business Logic).
@@ -18,6 +20,7 @@ class EventLogService {
    * @param {CalendarService} calendarService
    * @param {EventLogSqlReader} eventLogSqlReader
    * @param {EventLogSqlWriter} eventLogSqlWriter
+   * @param {EventSchemaService} [eventSchemaService]
    */
   constructor(
     eventReader,
@@ -26,7 +29,8 @@ class EventLogService {
     systemService,
     calendarService,
     eventLogSqlReader,
-    eventLogSqlWriter
+    eventLogSqlWriter,
+    eventSchemaService = null
   ) {
     // Deprecated (kept only for legacy cache invalidation safety)
     this.eventReader = eventReader;
@@ -37,6 +41,7 @@ class EventLogService {
     // SQL (authoritative for Event Logs)
     this.eventLogSqlReader = eventLogSqlReader;
     this.eventLogSqlWriter = eventLogSqlWriter;
+    this.eventSchemaService = eventSchemaService;
   }
 
   // -----------------------------
@@ -67,6 +72,16 @@ class EventLogService {
     return isNaN(d.getTime()) ? new Date() : d;
   }
 
+  /**
+   * Validate type-specific fields against the event type schema (throws 無法建檔：...)
+   * and merge the normalized values (checkbox arrays -> comma separated).
+   */
+  async _applyEventSchema(data, existing = null) {
+    if (!this.eventSchemaService) return data;
+    const values = await this.eventSchemaService.validateEventData(data, { existing });
+    return { ...data, ...values };
+  }
+
   /**
    * Extract type-specific fields into payload jsonb.
    */
@@ -181,8 +196,9 @@ class EventLogService {
   /**
    * [Phase 8.4.1] Generate backup block for type changes.
    * Reads current values using snake_case keys (Real DB columns) with camelCase fallback.
+   * [Phase 8.5.0] When schemaFields (old type's schema) is given, lists those fields instead (value from DTO or payload).
    */
-  _generateTypeChangeBackup(existing, oldType) {
+  _generateTypeChangeBackup(existing, oldType, schemaFields = null) {
     const IOT_FIELDS = [
       { key: 'device_scale', alt: 'deviceScale', label: '設備規模' },
       { key: 'line_features', alt: 'lineFeatures', label: '生產線特徵' },
@@ -200,15 +216,19 @@ class EventLogService {
       { key: 'industry', alt: 'industry', label: '加工產業別' }
     ];
 
+    const existingPayload = existing.payload && typeof existing.payload === 'object' ? existing.payload : {};
+
     let targetFields = [];
-    if (oldType === 'iot') targetFields = IOT_FIELDS;
+    if (schemaFields) targetFields = schemaFields.map(f => ({ key: f.key, alt: f.key, label: f.label }));
+    else if (oldType === 'iot') targetFields = IOT_FIELDS;
     else if (oldType === 'dt') targetFields = DT_FIELDS;
     else return null;
 
     const lines = [];
     for (const field of targetFields) {
       // Try snake_case first (DB column), then camelCase (Reader DTO)
-      const val = existing[field.key] !== undefined ? existing[field.key] : existing[field.alt];
+      let val = existing[field.key] !== undefined ? existing[field.key] : existing[field.alt];
+      if (val === undefined) val = existingPayload[field.key];
       
       if (val !== undefined && val !== null && val !== '') {
         const valStr = (typeof val === 'string') ? val.trim() : String(val);
@@ -262,6 +282,8 @@ ${lines.join('\n')}
       throw new Error('[Phase 8] EventLogSqlWriter not injected (SQL-only required)');
     }
 
+    data = await this._applyEventSchema({ ...(data || {}), eventType: data?.eventType || 'general' });
+
     const creator = user?.displayName || user?.username || user?.name || 'System';
 
     // Validate or Generate ID
@@ -330,13 +352,16 @@ ${lines.join('\n')}
       return { success: false, message: `Event not found (event_id=${eventId})` };
     }
 
+    data = await this._applyEventSchema(data || {}, existing);
+
     // [Phase 8.4] Type Change Logic & Backup
     const oldType = existing.eventType || existing.event_type || 'general';
     const newType = data.eventType || data.event_type || oldType;
 
     if (oldType !== newType) {
         // Generate Backup Block
-        const backupBlock = this._generateTypeChangeBackup(existing, oldType);
+        const oldSchema = this.eventSchemaService ? await this.eventSchemaService.getSchema(oldType) : null;
+        const backupBlock = this._generateTypeChangeBackup(existing, oldType, oldSchema ? oldSchema.fields : null);
         
         if (backupBlock) {
             console.log(`[EventLogService][FORensics] backupGenerated=true oldType=${oldType} newType=${newType}`);
@@ -369,7 +394,8 @@ ${lines.join('\n')}
 
       ...(data?.opportunityId !== undefined ? { opportunity_id: data.opportunityId } : {}),
       ...(data?.companyId !== undefined ? { company_id: data.companyId } : {}),
-      ...(data?.eventType !== undefined ? { event_type: data.eventType } : {}),
+      // Always send the resolved type so the writer keeps the row in its current table
+      event_type: newType,
 
       ...(data?.ourParticipants !== undefined ? { our_participants: data.ourParticipants } : {}),
       ...(data?.clientParticipants !== undefined ? { client_participants: data.clientParticipants } : {}),
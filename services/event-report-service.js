@@ -0,0 +1,185 @@
+/**
+ * services/event-report-service.js
+ * 事件紀錄拜訪報告 (PDF / DOCX)
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - 由伺服器產生報告檔 (取代瀏覽器端 html2pdf)，輸出一致且可供 Email / 歸檔。
+ * - 內容：事件摘要、與會人員 (客戶與會者依關聯機會 / 公司聯絡人補上職稱)、會議紀錄 (含客戶提問、情報)，
+ *   以及事件類型專屬欄位 (依 EventSchemaService 的欄位設定，如 IoT / DT)。
+ * - 信頭、主色與字型見 config.EVENT_REPORT。
+ * - 不支援的格式以「無法建檔：」開頭 (HTTP 400)；找不到事件回傳 null。
+ * - [1.0.1] PDF 改以內嵌字型輸出 (config.EVENT_REPORT.PDF_FONTS)。
+ */
+
+const { toPdf, toDocx } = require('../utils/report-document');
+
+const FORMATS = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// 與 event-report-manager.js 的「會議共通資訊」相同欄位
+const MEETING_FIELDS = [
+    { key: 'visitPlace', label: '會議地點' },
+    { key: 'eventContent', label: '會議內容' },
+    { key: 'clientQuestions', label: '客戶提問' },
+    { key: 'clientIntelligence', label: '客戶情報' },
+    { key: 'eventNotes', label: '備註' }
+];
+
+class EventReportService {
+    /**
+     * @param {Object} dependencies
+     * @param {EventLogService} dependencies.eventLogService
+     * @param {EventSchemaService} dependencies.eventSchemaService
+     * @param {OpportunityService} dependencies.opportunityService
+     * @param {CompanyService} dependencies.companyService
+     * @param {Object} dependencies.config
+     */
+    constructor({ eventLogService, eventSchemaService, opportunityService, companyService, config }) {
+        this.eventLogService = eventLogService;
+        this.eventSchemaService = eventSchemaService;
+        this.opportunityService = opportunityService;
+        this.companyService = companyService;
+        this.config = config;
+    }
+
+    /**
+     * 產生報告檔
+     * @param {string} eventId
+     * @param {'pdf'|'docx'} format
+     * @returns {Promise<{content: Buffer, contentType: string, fileName: string}|null>}
+     */
+    async renderReport(eventId, format) {
+        if (!FORMATS[format]) throw new Error(`無法建檔：不支援的報告格式 ${format}`);
+
+        const event = await this.eventLogService.getEventById(eventId);
+        if (!event) return null;
+
+        const doc = await this.buildReportDocument(event);
+        const settings = this.config.EVENT_REPORT;
+        const content = format === 'pdf'
+            ? await toPdf(doc, { fonts: { regular: settings.PDF_FONTS.REGULAR, bold: settings.PDF_FONTS.BOLD } })
+            : await toDocx(doc, { font: settings.DOCX_FONT });
+
+        const date = this._formatDate(event.createdTime, { dateOnly: true }).replace(/-/g, '');
+        const safeName = String(event.eventName || event.eventId).replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 60);
+        return {
+            content,
+            contentType: FORMATS[format],
+            fileName: `拜訪報告_${safeName}_${date}.${format}`
+        };
+    }
+
+    /**
+     * 組成文件模型 (見 utils/report-document.js)
+     * @param {Object} event - EventLogService.getEventById 的結果
+     */
+    async buildReportDocument(event) {
+        const { contacts, opportunityName, companyName } = await this._loadContext(event);
+        const schema = this.eventSchemaService
+            ? await this.eventSchemaService.getSchema(event.eventType === 'legacy' ? 'iot' : event.eventType)
+            : null;
+        const settings = this.config.EVENT_REPORT;
+        const letterhead = settings.LETTERHEAD;
+
+        const meta = [
+            { label: '事件類型', value: schema ? schema.label : String(event.eventType || '').toUpperCase() },
+            event.opportunityId
+                ? { label: '關聯機會', value: opportunityName || '-' }
+                : { label: '關聯公司', value: companyName || '未指定' },
+            event.opportunityId && companyName ? { label: '客戶公司', value: companyName } : null,
+            { label: '建立者', value: event.creator || '-' },
+            { label: '時間', value: this._formatDate(event.createdTime) }
+        ].filter(Boolean);
+
+        const attendees = [
+            { label: '我方與會', value: this._splitNames(event.ourParticipants).join('、') },
+            { label: '客戶與會', value: this._describeClientParticipants(event.clientParticipants, contacts) }
+        ];
+
+        const meeting = MEETING_FIELDS
+            .map(f => ({ label: f.label, value: this._readValue(event, f.key) }))
+            .filter(item => item.value);
+
+        const specific = (schema ? schema.fields : [])
+            .map(f => ({ label: f.label, value: this._readValue(event, f.key) }))
+            .filter(item => item.value);
+
+        return {
+            title: event.eventName || '未命名事件',
+            subtitle: '客戶拜訪報告',
+            accentColor: settings.ACCENT_COLOR,
+            letterhead: {
+                name: letterhead.COMPANY_NAME,
+                lines: [
+                    letterhead.ADDRESS,
+                    [letterhead.PHONE && `TEL ${letterhead.PHONE}`, letterhead.WEBSITE].filter(Boolean).join('  |  ')
+                ]
+            },
+            meta,
+            sections: [
+                { title: '與會人員', items: attendees },
+                { title: '會議紀錄', items: meeting },
+                { title: schema ? `${schema.label} 專屬資訊` : '專屬資訊', items: specific }
+            ],
+            footer: `${letterhead.COMPANY_NAME} | 事件編號 ${event.eventId} | 產生於 ${this._formatDate(new Date())}`
+        };
+    }
+
+    /**
+     * 關聯機會 / 公司的名稱與聯絡人 (補職稱用)；讀取失敗不影響報告
+     */
+    async _loadContext(event) {
+        const context = { contacts: [], opportunityName: event.opportunityName || '', companyName: event.companyName || '' };
+        try {
+            if (event.opportunityId) {
+                const details = await this.opportunityService.getOpportunityDetails(event.opportunityId);
+                const info = details.opportunityInfo || {};
+                context.contacts = details.linkedContacts || [];
+                context.opportunityName = info.opportunityName || context.opportunityName;
+                context.companyName = info.customerCompany || context.companyName;
+            } else if (event.companyId) {
+                const details = await this.companyService.getCompanyDetails(event.companyId, { rollup: false });
+                const info = details.companyInfo || {};
+                context.contacts = details.contacts || [];
+                context.companyName = info.companyName || context.companyName;
+            }
+        } catch (error) {
+            console.warn(`[EventReportService] 無法取得關聯資料 (${event.eventId}): ${error.message}`);
+        }
+        return context;
+    }
+
+    _readValue(event, key) {
+        const value = event[key] !== undefined && event[key] !== '' ? event[key] : event.payload?.[key];
+        if (value === null || value === undefined) return '';
+        return Array.isArray(value) ? value.join(', ') : String(value).trim();
+    }
+
+    _splitNames(value) {
+        return String(value || '').split(/[,，、;]+/).map(s => s.trim()).filter(Boolean);
+    }
+
+    // 客戶與會者：名字未含括號時，依聯絡人清單補上職稱 (同前端報告)
+    _describeClientParticipants(value, contacts) {
+        return this._splitNames(value).map(name => {
+            if (name.includes('(')) return name;
+            const matched = contacts.find(c => c.name === name);
+            const title = matched && (matched.position || matched.jobTitle);
+            return title ? `${name} (${title})` : name;
+        }).join('、');
+    }
+
+    _formatDate(value, { dateOnly = false } = {}) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return '-';
+        const dateStr = date.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+        if (dateOnly) return dateStr;
+        const timeStr = date.toLocaleTimeString('zh-TW', { timeZone: this.config.TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+        return `${dateStr} ${timeStr}`;
+    }
+}
+
+module.exports = EventReportService;
@@ -0,0 +1,286 @@
+/**
+ * services/event-schema-service.js
+ * 事件類型與專屬欄位設定 (Event Type Schemas)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 由管理員維護各事件類型的專屬欄位：欄位 key、名稱、輸入類型、選項與必填 (event_type_schemas)。
+ * 新增產業類型不需改程式；新事件寫入 event_logs_general (event_type = 類型 key)，專屬欄位存於 payload。
+ * - 內建類型 (general / iot / dt / dx) 未儲存設定時使用 BUILT_IN_SCHEMAS；iot / dt 的內建欄位 key
+ * 對應實體欄位 (見 EventLogService._mapSpecializedColumns)，刪除內建類型的設定等於還原預設。
+ * - validateEventData() 供 EventLogService 建立 / 更新事件時依設定檢查必填與格式，錯誤以「無法建檔：」開頭 (HTTP 400)。
+ */
+
+const INPUT_TYPES = ['text', 'textarea', 'number', 'date', 'select', 'checkbox'];
+const OPTION_INPUT_TYPES = ['select', 'checkbox'];
+
+const TYPE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+const FIELD_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+
+// 事件共通欄位 (實體欄位)，不可作為專屬欄位 key
+const RESERVED_FIELD_KEYS = new Set([
+    'eventId', 'id', 'eventName', 'eventTitle', 'eventType', 'opportunityId', 'companyId',
+    'creator', 'createdTime', 'lastModifiedTime', 'ourParticipants', 'clientParticipants',
+    'visitPlace', 'eventContent', 'clientQuestions', 'clientIntelligence', 'eventNotes',
+    'editCount', 'payload', 'rowIndex', 'syncToCalendar', 'lastEditor'
+]);
+
+const BUILT_IN_SCHEMAS = [
+    { eventType: 'general', label: '一般紀錄', icon: '📝', sortOrder: 1, fields: [] },
+    {
+        eventType: 'iot', label: 'IoT 物聯網', icon: '🏭', sortOrder: 2,
+        fields: [
+            { key: 'iot_deviceScale', label: '設備規模', inputType: 'textarea', placeholder: '例：機台數量 50 台、PLC 型號...' },
+            { key: 'iot_lineFeatures', label: '生產線特徵', inputType: 'checkbox', options: ['工具機', 'ROBOT', '傳產機', 'PLC'] },
+            { key: 'iot_productionStatus', label: '生產現況', inputType: 'textarea', placeholder: '請描述客戶目前的生產流程、稼動率或遇到的瓶頸...' },
+            { key: 'iot_iotStatus', label: 'IoT現況', inputType: 'textarea', placeholder: '客戶是否已導入 MES、ERP 或其他聯網系統？' },
+            { key: 'iot_painPoints', label: '痛點分類', inputType: 'checkbox', options: ['Monitoring', 'Improve OEE', 'Reduce Man-hours', 'Others'] },
+            { key: 'iot_painPointDetails', label: '客戶痛點說明', inputType: 'textarea', placeholder: '請詳細描述客戶提出的具體困難點...' },
+            { key: 'iot_painPointAnalysis', label: '痛點分析與對策', inputType: 'textarea', placeholder: '針對上述痛點，我方提出的分析觀點或初步對策...' },
+            { key: 'iot_systemArchitecture', label: '系統架構', inputType: 'textarea', placeholder: '請描述預計導入的架構、硬體配置或軟體模組...' }
+        ]
+    },
+    {
+        eventType: 'dt', label: 'DT 數位雙生', icon: '📊', sortOrder: 3,
+        fields: [
+            { key: 'dt_deviceScale', label: '設備規模', inputType: 'text', placeholder: '例：預計導入機台數、場域大小...' },
+            { key: 'dt_processingType', label: '加工類型', inputType: 'text', placeholder: '例：CNC、射出成型、組裝...' },
+            { key: 'dt_industry', label: '加工產業別', inputType: 'text', placeholder: '例：航太、半導體、車用...' }
+        ]
+    },
+    { eventType: 'dx', label: 'DX 開發案件', icon: '🚀', sortOrder: 4, fields: [] }
+];
+
+const BUILT_IN_TYPES = new Set(BUILT_IN_SCHEMAS.map(s => s.eventType));
+
+class EventSchemaService {
+    /**
+     * @param {Object} dependencies
+     * @param {EventSchemaSqlReader} dependencies.eventSchemaSqlReader
+     * @param {EventSchemaSqlWriter} dependencies.eventSchemaSqlWriter
+     * @param {EventLogSqlReader} dependencies.eventLogSqlReader - 刪除自訂類型前檢查是否已有事件
+     */
+    constructor({ eventSchemaSqlReader, eventSchemaSqlWriter, eventLogSqlReader }) {
+        this.eventSchemaSqlReader = eventSchemaSqlReader;
+        this.eventSchemaSqlWriter = eventSchemaSqlWriter;
+        this.eventLogSqlReader = eventLogSqlReader;
+    }
+
+    _normalizeField(field) {
+        return {
+            key: field.key,
+            label: field.label || field.key,
+            inputType: INPUT_TYPES.includes(field.inputType) ? field.inputType : 'text',
+            options: Array.isArray(field.options) ? field.options : [],
+            required: field.required === true,
+            placeholder: field.placeholder || ''
+        };
+    }
+
+    _toSchema(source, builtIn) {
+        return {
+            eventType: source.eventType,
+            label: source.label,
+            icon: source.icon || '',
+            sortOrder: Number(source.sortOrder) || 0,
+            isActive: source.isActive !== false,
+            builtIn,
+            fields: (source.fields || []).map(f => this._normalizeField(f)),
+            updatedTime: source.updatedTime || null,
+            lastModifier: source.lastModifier || ''
+        };
+    }
+
+    /**
+     * 全部事件類型 (內建預設 + 已儲存設定)，依 sortOrder 排序
+     * @param {Object} [options]
+     * @param {boolean} [options.includeInactive=false]
+     * @returns {Promise<Array<Object>>} [{ eventType, label, icon, sortOrder, isActive, builtIn, fields }]
+     */
+    async getSchemas({ includeInactive = false } = {}) {
+        const stored = await this.eventSchemaSqlReader.getSchemas();
+        const storedMap = new Map(stored.map(s => [s.eventType, s]));
+
+        const schemas = BUILT_IN_SCHEMAS.map(def => this._toSchema(storedMap.get(def.eventType) || def, true));
+        stored
+            .filter(s => !BUILT_IN_TYPES.has(s.eventType))
+            .forEach(s => schemas.push(this._toSchema(s, false)));
+
+        return schemas
+            .filter(s => includeInactive || s.isActive)
+            .sort((a, b) => a.sortOrder - b.sortOrder);
+    }
+
+    /**
+     * 單一類型設定 (含停用，既有事件仍需依其設定編輯)
+     * @param {string} eventType
+     * @returns {Promise<Object|null>}
+     */
+    async getSchema(eventType) {
+        const schemas = await this.getSchemas({ includeInactive: true });
+        return schemas.find(s => s.eventType === eventType) || null;
+    }
+
+    _parseFields(rawFields) {
+        if (!Array.isArray(rawFields)) throw new Error('無法建檔：fields 必須是陣列');
+
+        const seen = new Set();
+        return rawFields.map((raw, index) => {
+            const position = `第 ${index + 1} 個欄位`;
+            const key = String(raw?.key || '').trim();
+            const label = String(raw?.label || '').trim();
+            const inputType = String(raw?.inputType || 'text').trim();
+
+            if (!FIELD_KEY_PATTERN.test(key)) {
+                throw new Error(`無法建檔：${position}的 key「${key}」格式不正確 (英文字母開頭，僅限英數與底線)`);
+            }
+            if (RESERVED_FIELD_KEYS.has(key)) {
+                throw new Error(`無法建檔：欄位 key「${key}」為事件共通欄位，請改用其他名稱`);
+            }
+            if (seen.has(key)) throw new Error(`無法建檔：欄位 key「${key}」重複`);
+            seen.add(key);
+
+            if (!label) throw new Error(`無法建檔：${position} (${key}) 缺少欄位名稱`);
+            if (!INPUT_TYPES.includes(inputType)) {
+                throw new Error(`無法建檔：欄位「${label}」的輸入類型「${inputType}」不支援`);
+            }
+
+            const rawOptions = Array.isArray(raw.options) ? raw.options : String(raw.options || '').split(',');
+            const options = [...new Set(rawOptions.map(o => String(o).trim()).filter(Boolean))];
+            if (OPTION_INPUT_TYPES.includes(inputType) && options.length === 0) {
+                throw new Error(`無法建檔：欄位「${label}」為選項類型，至少需要一個選項`);
+            }
+
+            return {
+                key,
+                label,
+                inputType,
+                options: OPTION_INPUT_TYPES.includes(inputType) ? options : [],
+                required: raw.required === true || raw.required === 'true',
+                placeholder: String(raw.placeholder || '').trim()
+            };
+        });
+    }
+
+    /**
+     * 新增或更新事件類型設定 (管理員)
+     * @param {string} eventType - 類型 key (小寫英數與底線)
+     * @param {Object} input - { label, icon, sortOrder, isActive, fields }
+     * @param {Object} user
+     */
+    async saveSchema(eventType, input = {}, user) {
+        const key = String(eventType || '').trim();
+        if (!TYPE_KEY_PATTERN.test(key)) {
+            throw new Error('無法建檔：類型 key 須為 2~30 字的小寫英文、數字或底線，且以英文字母開頭');
+        }
+
+        const existing = await this.getSchema(key);
+        const label = String(input.label ?? existing?.label ?? '').trim();
+        if (!label) throw new Error('無法建檔：請輸入類型名稱');
+
+        const isActive = input.isActive === undefined ? (existing ? existing.isActive : true) : input.isActive !== false && input.isActive !== 'false';
+        if (key === 'general' && !isActive) throw new Error('無法建檔：一般紀錄類型不可停用');
+
+        let sortOrder = Number(input.sortOrder ?? existing?.sortOrder);
+        if (!Number.isFinite(sortOrder)) {
+            const all = await this.getSchemas({ includeInactive: true });
+            sortOrder = all.reduce((max, s) => Math.max(max, s.sortOrder), 0) + 1;
+        }
+
+        const schema = {
+            eventType: key,
+            label,
+            icon: String(input.icon ?? existing?.icon ?? '').trim(),
+            sortOrder,
+            isActive,
+            fields: input.fields === undefined ? (existing?.fields || []) : this._parseFields(input.fields)
+        };
+
+        const modifier = user?.displayName || user?.name || user?.username || 'System';
+        await this.eventSchemaSqlWriter.saveSchema(schema, modifier, !existing);
+        return { success: true, data: await this.getSchema(key) };
+    }
+
+    /**
+     * 刪除事件類型設定：內建類型還原預設；自訂類型已有事件時不可刪除 (請改為停用)
+     * @param {string} eventType
+     */
+    async deleteSchema(eventType) {
+        const existing = await this.getSchema(eventType);
+        if (!existing) return { success: false, error: `找不到事件類型: ${eventType}` };
+
+        if (!existing.builtIn) {
+            const events = await this.eventLogSqlReader.getEventLogs();
+            const usedCount = events.filter(e => e.eventType === eventType).length;
+            if (usedCount > 0) {
+                throw new Error(`無法刪除：已有 ${usedCount} 筆事件使用「${existing.label}」類型，請改為停用`);
+            }
+        }
+
+        await this.eventSchemaSqlWriter.deleteSchema(eventType);
+        return { success: true, restoredDefault: existing.builtIn };
+    }
+
+    _toText(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean).join(', ');
+        return String(value).trim();
+    }
+
+    _splitOptions(value) {
+        return value.split(',').map(v => v.trim()).filter(Boolean);
+    }
+
+    /**
+     * 依事件類型設定檢查專屬欄位
+     * - 新增事件、變更類型時檢查全部必填；一般更新只檢查本次送出的欄位。
+     * - 選項欄位允許保留原本的值 (選項被管理員移除後仍可編輯其他欄位)。
+     * @param {Object} data - 送出的事件資料
+     * @param {Object} [options]
+     * @param {Object} [options.existing] - 更新時的既有事件 DTO
+     * @returns {Promise<Object>} 正規化後的專屬欄位值 (多選陣列轉為逗號分隔字串)
+     */
+    async validateEventData(data = {}, { existing = null } = {}) {
+        const eventType = data.eventType || existing?.eventType || 'general';
+        const schema = await this.getSchema(eventType);
+        if (!schema) throw new Error(`無法建檔：未知的事件類型「${eventType}」`);
+
+        const typeChanged = !existing || existing.eventType !== eventType;
+        if (typeChanged && !schema.isActive) throw new Error(`無法建檔：事件類型「${schema.label}」已停用`);
+
+        const existingPayload = existing?.payload && typeof existing.payload === 'object' ? existing.payload : {};
+        const errors = [];
+        const values = {};
+
+        schema.fields.forEach(field => {
+            const submitted = Object.prototype.hasOwnProperty.call(data, field.key);
+            const previous = existing ? this._toText(existing[field.key] ?? existingPayload[field.key]) : '';
+            const value = submitted ? this._toText(data[field.key]) : previous;
+
+            if (field.required && value === '' && (typeChanged || submitted)) {
+                errors.push(`「${field.label}」為必填`);
+                return;
+            }
+            if (!submitted) return;
+            values[field.key] = value;
+            if (value === '' || value === previous) return;
+
+            if (field.inputType === 'number' && !Number.isFinite(Number(value))) {
+                errors.push(`「${field.label}」必須是數字`);
+            } else if (field.inputType === 'date' && isNaN(Date.parse(value))) {
+                errors.push(`「${field.label}」日期格式不正確`);
+            } else if (field.inputType === 'select' && !field.options.includes(value)) {
+                errors.push(`「${field.label}」不在選項中：${value}`);
+            } else if (field.inputType === 'checkbox') {
+                const kept = new Set(this._splitOptions(previous));
+                const invalid = this._splitOptions(value).filter(v => !field.options.includes(v) && !kept.has(v));
+                if (invalid.length > 0) errors.push(`「${field.label}」不在選項中：${invalid.join(', ')}`);
+            }
+        });
+
+        if (errors.length > 0) throw new Error(`無法建檔：${errors.join('；')}`);
+        return values;
+    }
+}
+
+module.exports = EventSchemaService;
@@ -1,12 +1,18 @@
 /**
  * services/event-service.js
  * 會議排程與同步服務
- * * @version 1.0.1 (Phase A - Final Dependency Fix)
- * @date 2026-01-22
+ * * @version 1.2.0 (Timed Meetings)
+ * @date 2026-10-19
  * @description 專責處理 Google Calendar 排程，並同步寫入 Interaction 與 Weekly Business。
  * [Fix] 改為依賴 Service 層，不再直接呼叫 Writer。
+ * [v1.1.0] 建立成功後交由 CalendarSyncService 記錄活動關聯 (日曆改期 / 取消時回寫)；
+ *          週間業務主題改傳 theme (Writer 欄位名稱)。
+ * [v1.2.0] 依 duration 建立定時會議 (不再強制全天)；邀請我方 / 客戶與會者、自訂提醒與 Google Meet 連結；
+ *          互動紀錄與週間業務記錄實際時段。
  */
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 class EventService {
     /**
      * @param {CalendarService} calendarService
@@ -15,29 +21,40 @@ class EventService {
      * @param {OpportunityService} opportunityService
      * @param {Object} config - 系統設定
      * @param {Object} dateHelpers - 日期輔助工具
+     * @param {CalendarSyncService} [calendarSyncService] - 日曆雙向同步 (記錄活動關聯)
+     * @param {SystemService} [systemService] - 讀取「團隊成員」Email
      */
-    constructor(calendarService, interactionService, weeklyBusinessService, opportunityService, config, dateHelpers) {
+    constructor(calendarService, interactionService, weeklyBusinessService, opportunityService, config, dateHelpers, calendarSyncService = null, systemService = null) {
         this.calendarService = calendarService;
         this.interactionService = interactionService;
         this.weeklyBusinessService = weeklyBusinessService;
         this.opportunityService = opportunityService;
         this.config = config;
         this.dateHelpers = dateHelpers;
+        this.calendarSyncService = calendarSyncService;
+        this.systemService = systemService;
     }
 
     /**
      * 建立日曆事件並執行多方同步
      * @param {Object} eventData - 來自 req.body 的資料
+     * @param {number} [eventData.duration] - 會議長度 (分鐘)，預設 CALENDAR_EVENT.DEFAULT_DURATION
+     * @param {boolean} [eventData.isAllDay=false] - 全天行程 (不指定時段)
+     * @param {Array<string>} [eventData.contactIds] - 要邀請的機會聯絡人；未提供時邀請全部有 Email 的聯絡人
+     * @param {Array<number>|null} [eventData.reminderMinutes] - 提醒 (開始前分鐘數)；未提供時使用預設，空陣列代表不提醒
+     * @param {boolean} [eventData.addVideoConference=false] - 建立 Google Meet 連結
      * @param {Object} user - 來自 req.user 的使用者物件
      */
     async createCalendarEventAndSync(eventData, user) {
         const { 
             title, startTime, duration, location, description, 
-            opportunityId, participants, createInteraction, showTimeInTitle
+            opportunityId, participants, createInteraction, showTimeInTitle,
+            isAllDay = false, contactIds, reminderMinutes, addVideoConference = false
         } = eventData;
 
         // 1. 獲取機會詳細資料 (保留原始 try-catch 與 fallback 邏輯)
         let opportunityInfo = null;
+        let linkedContacts = [];
         let category = 'DT'; 
         let customerName = '客戶'; // Fallback A: 預設值
 
@@ -45,6 +62,7 @@ class EventService {
             try {
                 const oppResult = await this.opportunityService.getOpportunityDetails(opportunityId);
                 opportunityInfo = oppResult.opportunityInfo;
+                linkedContacts = oppResult.linkedContacts || [];
                 
                 // 保留原始分類邏輯 (字串包含)
                 const type = (opportunityInfo.opportunityType || '').toLowerCase();
@@ -64,20 +82,33 @@ class EventService {
 
         // 2. 準備資料 payload (保留原始時區設定)
         const start = new Date(startTime);
+        if (!startTime || isNaN(start.getTime())) {
+            throw new Error('無法建檔：會議開始時間格式錯誤');
+        }
+        const allDay = isAllDay === true;
+        const durationMinutes = allDay ? null : this._resolveDuration(duration);
+        const reminders = this._resolveReminders(reminderMinutes);
+        const end = allDay ? null : new Date(start.getTime() + durationMinutes * 60 * 1000);
         
         // 格式化時間 HH:MM (zh-TW, config.TIMEZONE)
-        const timeString = start.toLocaleTimeString('zh-TW', { 
+        const formatTime = (date) => date.toLocaleTimeString('zh-TW', { 
             timeZone: this.config.TIMEZONE, 
             hour: '2-digit', 
             minute: '2-digit', 
-            hour12: false 
+            hourCycle: 'h23' 
         });
+        const timeString = formatTime(start);
         
         // 格式化日期 YYYY-MM-DD (en-CA, config.TIMEZONE)
         const dateString = start.toLocaleDateString('en-CA', { 
             timeZone: this.config.TIMEZONE 
         });
 
+        // 會議時段 (互動紀錄 / 週間業務記錄實際時段)
+        const slotString = allDay
+            ? `${dateString} (全天)`
+            : `${dateString} ${timeString}-${formatTime(end)} (${durationMinutes} 分鐘)`;
+
         // 組合 Google Calendar 標題 (保留 showTimeInTitle 邏輯)
         let calendarTitle = title;
         if (showTimeInTitle) {
@@ -86,12 +117,16 @@ class EventService {
         
         const companyNote = `關聯公司: ${customerName}`;
 
+        // 與會者 (我方依「團隊成員」Email、客戶依機會聯絡人 Email)
+        const { attendees, clientNames, skipped } = await this._resolveAttendees(participants, linkedContacts, contactIds);
+
         // 組合 Google Calendar 描述 (保留原始 Template)
         const fullDescription = `
 【會議詳情】
-時間: ${dateString} ${timeString}
+時間: ${slotString}
 地點: ${location || '未指定'}
 參與: ${participants || '無'}
+客戶: ${clientNames.join(', ') || '無'}
 
 【備註內容】
 ${description || '無'}
@@ -100,30 +135,44 @@ ${description || '無'}
 ${companyNote}
         `.trim();
 
-        // 準備三個寫入動作的 Promise (保留原始架構)
-        const actions = [];
+        const userName = user.name || user.displayName || 'System';
 
-        // Action A: 寫入 Google Calendar (保留強制 isAllDay: true)
-        actions.push(this.calendarService.createCalendarEvent({
-            title: calendarTitle,
-            description: fullDescription,
-            location: location,
-            startTime: startTime, 
-            isAllDay: true 
-        }));
+        // 3. 先建立日曆 (取得 Meet 連結)，再並行寫入互動紀錄與週間業務
+        //    (保留 Promise.allSettled 策略：日曆失敗時其餘紀錄仍會寫入)
+        const [calendarSettled] = await Promise.allSettled([
+            this.calendarService.createCalendarEvent({
+                title: calendarTitle,
+                description: fullDescription,
+                location: location,
+                startTime: startTime, 
+                isAllDay: allDay,
+                durationMinutes,
+                attendees,
+                reminderMinutes: reminders,
+                addVideoConference: addVideoConference === true
+            })
+        ]);
+        const meetingLink = calendarSettled.status === 'fulfilled' ? calendarSettled.value.hangoutLink : null;
+        const meetingLines = [
+            `[時間]: ${slotString}`,
+            `[參與人員]: ${participants || '無'}`,
+            `[客戶與會]: ${clientNames.join(', ') || '無'}`,
+            `[地點]: ${location || '無'}`,
+            meetingLink ? `[視訊會議]: ${meetingLink}` : null
+        ].filter(Boolean).join('\n');
 
-        const userName = user.name || user.displayName || 'System';
+        const actions = [];
 
         // Action B: 寫入互動紀錄 (如果勾選)
         if (createInteraction && opportunityId) {
             const interactionData = {
                 opportunityId: opportunityId,
-                interactionTime: startTime, 
+                interactionTime: start.toISOString(), 
                 eventType: '會議討論',
                 eventTitle: title, 
-                contentSummary: `[參與人員]: ${participants || '無'}\n[地點]: ${location || '無'}\n\n${description || ''}\n(${companyNote})`,
+                contentSummary: `${meetingLines}\n\n${description || ''}\n(${companyNote})`,
                 recorder: userName,
-                participants: participants
+                participants: [participants, ...clientNames].filter(Boolean).join(', ')
             };
             // [Fix] 改為呼叫 Service
             actions.push(this.interactionService.createInteraction(interactionData, user));
@@ -138,9 +187,9 @@ ${companyNote}
                 date: dateString, // 使用修正時區後的日期
                 weekId: weekId, 
                 category: category, 
-                topic: title, 
+                theme: title, 
                 participants: participants,
-                summary: `${description || '(預排行程)'}\n\n(${companyNote})`, 
+                summary: `${meetingLines}\n\n${description || '(預排行程)'}\n\n(${companyNote})`, 
                 actionItems: '',
                 creator: userName,
                 userId: user.userId 
@@ -150,20 +199,107 @@ ${companyNote}
             actions.push(this.weeklyBusinessService.createWeeklyBusinessEntry(weeklyData));
         }
 
-        // 3. 並行執行所有寫入 (保留 Promise.allSettled 策略)
-        const results = await Promise.allSettled(actions);
+        const results = [calendarSettled, ...await Promise.allSettled(actions)];
         
         // 檢查 Calendar 結果 (Calendar 成功才算 API 成功)
         const calendarResult = results[0].status === 'fulfilled' ? results[0].value : null;
         const calendarError = results[0].status === 'rejected' ? results[0].reason : null;
 
         if (calendarResult && calendarResult.success) {
-            return calendarResult;
+            await this._recordSyncLink(calendarResult, results, { title, opportunityId, linked: createInteraction && opportunityId }, userName);
+            return { ...calendarResult, attendees: attendees.map(a => a.email), skippedAttendees: skipped };
         } else {
             throw calendarError || new Error('建立 Google Calendar 事件失敗');
         }
     }
-    
+
+    _resolveDuration(duration) {
+        if (duration === undefined || duration === null || duration === '') {
+            return this.config.CALENDAR_EVENT.DEFAULT_DURATION;
+        }
+        const minutes = Number(duration);
+        if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 24 * 60) {
+            throw new Error('無法建檔：會議長度需為 1 到 1440 分鐘');
+        }
+        return minutes;
+    }
+
+    // 回傳 undefined 代表使用預設提醒
+    _resolveReminders(reminderMinutes) {
+        if (reminderMinutes === undefined || reminderMinutes === null) return undefined;
+        const list = Array.isArray(reminderMinutes) ? reminderMinutes : [reminderMinutes];
+        const max = this.config.CALENDAR_EVENT.MAX_REMINDER_MINUTES;
+        const minutes = list.map(Number);
+        if (minutes.some(m => !Number.isInteger(m) || m < 0 || m > max)) {
+            throw new Error(`無法建檔：提醒時間需為 0 到 ${max} 分鐘`);
+        }
+        return [...new Set(minutes)].slice(0, 5); // Google 上限 5 組提醒
+    }
+
+    /**
+     * 解析與會者 Email
+     * - 我方：participants (團隊成員顯示名稱，逗號分隔) 對應「團隊成員」設定的 value2 (G 欄 Email)
+     * - 客戶：機會聯絡人 (contactIds 未提供時為全部)
+     * @returns {Promise<{attendees: Array<{email, displayName}>, clientNames: Array<string>, skipped: Array<string>}>}
+     */
+    async _resolveAttendees(participants, linkedContacts, contactIds) {
+        const attendees = [];
+        const skipped = [];
+        const seen = new Set();
+        const add = (email, displayName) => {
+            const value = String(email || '').trim();
+            if (!EMAIL_PATTERN.test(value)) {
+                skipped.push(displayName);
+                return;
+            }
+            if (seen.has(value.toLowerCase())) return;
+            seen.add(value.toLowerCase());
+            attendees.push({ email: value, displayName });
+        };
+
+        const memberNames = String(participants || '').split(/[,，、]+/).map(s => s.trim()).filter(Boolean);
+        if (memberNames.length > 0) {
+            let members = [];
+            try {
+                const systemConfig = this.systemService ? await this.systemService.getSystemConfig() : {};
+                members = systemConfig['團隊成員'] || [];
+            } catch (e) {
+                console.warn('[EventService] 無法讀取團隊成員設定，我方與會者不寄送邀請:', e.message);
+            }
+            memberNames.forEach(name => {
+                const member = members.find(m => m.note === name || m.value === name);
+                add(member && member.value2, name);
+            });
+        }
+
+        const wanted = Array.isArray(contactIds) ? new Set(contactIds) : null;
+        const contacts = linkedContacts.filter(c => !wanted || wanted.has(c.contactId));
+        contacts.forEach(c => add(c.email, c.name));
+
+        return { attendees, clientNames: contacts.map(c => c.name).filter(Boolean), skipped };
+    }
+
+    /**
+     * 記錄日曆活動與互動紀錄 / 週間業務的關聯 (失敗只記錄警告，不影響建立結果)
+     * results 順序：[0] Calendar、[1] Interaction、[2] Weekly (後兩者僅在 linked 時存在)
+     */
+    async _recordSyncLink(calendarResult, results, { title, opportunityId, linked }, userName) {
+        if (!this.calendarSyncService) return;
+
+        const idOf = (result) => (result && result.status === 'fulfilled' && result.value ? result.value.id : null);
+        try {
+            await this.calendarSyncService.recordLink({
+                calendarResult,
+                opportunityId,
+                interactionId: linked ? idOf(results[1]) : null,
+                weeklyRecordId: linked ? idOf(results[2]) : null,
+                title
+            }, userName);
+        } catch (error) {
+            console.warn(`[EventService] 無法記錄日曆同步關聯 (${calendarResult.eventId}):`, error.message);
+        }
+    }
+
     /**
      * 獲取本週事件 (透傳 CalendarService)
      */
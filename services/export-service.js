@@ -0,0 +1,305 @@
+/**
+ * services/export-service.js
+ * 列表資料匯出 (CSV / XLSX / JSON)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 支援：正式聯絡人、公司、機會案件、互動紀錄、事件紀錄、週間業務、市場商品。
+ * - 篩選條件與各列表 API 相同 (聯絡人同 searchOfficialContacts、機會同 searchOpportunitiesTable)，但不分頁。
+ * - CSV 含 UTF-8 BOM (Excel 直接開啟不亂碼)；XLSX 為單一工作表 (exceljs)；JSON 以 DTO key 輸出欄位。
+ * - 市場商品的成本與各級價格為機敏欄位，僅 admin 匯出時包含。
+ * - 不支援的類型 / 格式以「無法建檔：」開頭 (HTTP 400)。
+ */
+
+const { toCsv, toXlsx } = require('../utils/spreadsheet');
+
+const FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8'
+};
+
+// 欄位定義：key 為 JSON 欄位名稱，label 為 CSV / XLSX 標題；type: 'number' 會輸出為數值
+const COLUMNS = {
+    contact: [
+        { key: 'contactId', label: '聯絡人ID' },
+        { key: 'name', label: '姓名' },
+        { key: 'companyName', label: '公司' },
+        { key: 'department', label: '部門' },
+        { key: 'jobTitle', label: '職稱' },
+        { key: 'mobile', label: '手機' },
+        { key: 'phone', label: '公司電話' },
+        { key: 'email', label: 'Email' },
+        { key: 'createdTime', label: '建立時間' },
+        { key: 'updatedTime', label: '最後更新時間' },
+        { key: 'createdBy', label: '建立者' }
+    ],
+    company: [
+        { key: 'companyId', label: '公司ID' },
+        { key: 'companyName', label: '公司名稱' },
+        { key: 'phone', label: '公司電話' },
+        { key: 'address', label: '地址' },
+        { key: 'county', label: '縣市' },
+        { key: 'companyType', label: '公司類型' },
+        { key: 'customerStage', label: '客戶階段' },
+        { key: 'engagementRating', label: '互動評級' },
+        { key: 'opportunityCount', label: '機會數', type: 'number' },
+        { key: 'lastActivity', label: '最後活動' },
+        { key: 'introduction', label: '公司簡介' },
+        { key: 'createdTime', label: '建立時間' }
+    ],
+    opportunity: [
+        { key: 'opportunityId', label: '機會ID' },
+        { key: 'opportunityName', label: '機會名稱' },
+        { key: 'customerCompany', label: '終端客戶' },
+        { key: 'mainContact', label: '主要聯絡人' },
+        { key: 'assignee', label: '負責業務' },
+        { key: 'opportunityType', label: '機會種類' },
+        { key: 'opportunitySource', label: '機會來源' },
+        { key: 'salesModel', label: '銷售模式' },
+        { key: 'salesChannel', label: '銷售通路' },
+        { key: 'currentStage', label: '目前階段' },
+        { key: 'currentStatus', label: '狀態' },
+        { key: 'expectedCloseDate', label: '預計結案日' },
+        { key: 'opportunityValue', label: '機會價值', type: 'number' },
+        { key: 'currency', label: '幣別' },
+        { key: 'orderProbability', label: '下單機率' },
+        { key: 'deviceScale', label: '設備規模' },
+        { key: 'potentialSpecification', label: '可能下單規格' },
+        { key: 'notes', label: '備註' },
+        { key: 'createdTime', label: '建立時間' },
+        { key: 'lastUpdateTime', label: '最後更新時間' }
+    ],
+    interaction: [
+        { key: 'interactionId', label: '互動ID' },
+        { key: 'interactionTime', label: '互動時間' },
+        { key: 'interactionType', label: '類型' },
+        { key: 'opportunityName', label: '關聯機會 / 公司' },
+        { key: 'eventTitle', label: '事件標題' },
+        { key: 'contentSummary', label: '內容摘要' },
+        { key: 'participants', label: '參與人員' },
+        { key: 'nextAction', label: '下次行動' },
+        { key: 'recorder', label: '記錄人' },
+        { key: 'createdTime', label: '建立時間' }
+    ],
+    event: [
+        { key: 'eventId', label: '事件ID' },
+        { key: 'eventType', label: '事件類型' },
+        { key: 'eventName', label: '事件名稱' },
+        { key: 'opportunityId', label: '機會ID' },
+        { key: 'companyId', label: '公司ID' },
+        { key: 'visitPlace', label: '地點' },
+        { key: 'ourParticipants', label: '我方人員' },
+        { key: 'clientParticipants', label: '客戶人員' },
+        { key: 'eventContent', label: '事件內容' },
+        { key: 'clientQuestions', label: '客戶提問' },
+        { key: 'clientIntelligence', label: '客戶情報' },
+        { key: 'eventNotes', label: '備註' },
+        { key: 'creator', label: '建立者' },
+        { key: 'createdTime', label: '建立時間' }
+    ],
+    weekly: [
+        { key: 'recordId', label: '紀錄ID' },
+        { key: 'date', label: '日期' },
+        { key: 'weekId', label: '週次' },
+        { key: 'category', label: '類別' },
+        { key: 'topic', label: '主題' },
+        { key: 'participants', label: '參與人員' },
+        { key: 'summaryContent', label: '重點摘要' },
+        { key: 'todoItems', label: '待辦事項' },
+        { key: 'createdBy', label: '建立者' }
+    ],
+    product: [
+        { key: 'id', label: '商品ID' },
+        { key: 'name', label: '商品' },
+        { key: 'category', label: '商品種類' },
+        { key: 'group', label: '群組' },
+        { key: 'combination', label: '商品組合' },
+        { key: 'unit', label: '單位' },
+        { key: 'spec', label: '規格' },
+        { key: 'cost', label: '成本', type: 'number', adminOnly: true },
+        { key: 'priceMtb', label: 'MTB價格', type: 'number', adminOnly: true },
+        { key: 'priceSi', label: 'SI價格', type: 'number', adminOnly: true },
+        { key: 'priceMtu', label: 'MTU售價', type: 'number', adminOnly: true },
+        { key: 'supplier', label: '供應商' },
+        { key: 'series', label: '系列' },
+        { key: 'interface', label: '介面' },
+        { key: 'property', label: '性質' },
+        { key: 'aspect', label: '面向' },
+        { key: 'description', label: '說明資料' },
+        { key: 'status', label: '狀態' },
+        { key: 'lastUpdateTime', label: '最後修改日期' }
+    ]
+};
+
+const ENTITY_LABELS = {
+    contact: '聯絡人',
+    company: '公司',
+    opportunity: '機會案件',
+    interaction: '互動紀錄',
+    event: '事件紀錄',
+    weekly: '週間業務',
+    product: '市場商品'
+};
+
+// 列表 API 的分頁 / 排序參數，不作為機會篩選條件
+const OPPORTUNITY_NON_FILTER_KEYS = ['q', 'format', 'page', 'limit', 'sortField', 'sortDirection'];
+
+class ExportService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactService} dependencies.contactService
+     * @param {CompanyService} dependencies.companyService
+     * @param {OpportunityService} dependencies.opportunityService
+     * @param {InteractionService} dependencies.interactionService
+     * @param {EventLogService} dependencies.eventLogService
+     * @param {WeeklyBusinessService} dependencies.weeklyBusinessService
+     * @param {ProductService} dependencies.productService
+     */
+    constructor({
+        contactService, companyService, opportunityService, interactionService,
+        eventLogService, weeklyBusinessService, productService
+    }) {
+        this.contactService = contactService;
+        this.companyService = companyService;
+        this.opportunityService = opportunityService;
+        this.interactionService = interactionService;
+        this.eventLogService = eventLogService;
+        this.weeklyBusinessService = weeklyBusinessService;
+        this.productService = productService;
+    }
+
+    /**
+     * 匯出列表資料
+     * @param {string} entity - contact | company | opportunity | interaction | event | weekly | product
+     * @param {Object} query - 列表篩選條件 (即 req.query)，format 預設 csv
+     * @param {Object} user - 目前使用者 (判斷商品機敏欄位)
+     * @returns {Promise<{ fileName: string, contentType: string, content: Buffer|string, count: number }>}
+     */
+    async exportList(entity, query = {}, user = null) {
+        if (!COLUMNS[entity]) {
+            throw new Error(`無法建檔：不支援的匯出類型「${entity}」`);
+        }
+        const format = String(query.format || 'csv').toLowerCase();
+        if (!FORMATS[format]) {
+            throw new Error(`無法建檔：不支援的匯出格式「${format}」(可用：csv、xlsx、json)`);
+        }
+
+        const isAdmin = user?.role === 'admin';
+        const columns = COLUMNS[entity].filter(col => !col.adminOnly || isAdmin);
+        const records = await this._fetchRecords(entity, query);
+
+        const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const fileName = `${ENTITY_LABELS[entity]}_${stamp}.${format}`;
+
+        let content;
+        if (format === 'json') {
+            const data = records.map(record => Object.fromEntries(
+                columns.map(col => [col.key, this._cellValue(record, col, true)])
+            ));
+            content = JSON.stringify(data, null, 2);
+        } else {
+            const rows = [
+                columns.map(col => col.label),
+                ...records.map(record => columns.map(col => this._cellValue(record, col, format === 'xlsx')))
+            ];
+            content = format === 'xlsx' ? await toXlsx(rows, ENTITY_LABELS[entity]) : toCsv(rows);
+        }
+
+        return { fileName, contentType: FORMATS[format], content, count: records.length };
+    }
+
+    _cellValue(record, col, typed) {
+        const value = record[col.key];
+        if (value === null || value === undefined) return typed ? null : '';
+        if (col.type === 'number' && typed) {
+            const num = Number(String(value).replace(/,/g, ''));
+            return value === '' || !Number.isFinite(num) ? null : num;
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    _includes(value, term) {
+        return String(value || '').toLowerCase().includes(term);
+    }
+
+    // ============================================================
+    // 資料來源 (篩選條件與各列表 API 一致)
+    // ============================================================
+
+    async _fetchRecords(entity, query) {
+        const q = String(query.q || '').trim();
+
+        switch (entity) {
+            case 'contact': {
+                const result = await this.contactService.searchOfficialContacts(
+                    q, 1, query.sort || 'updatedTime', query.order || 'desc', Number.MAX_SAFE_INTEGER
+                );
+                return result.data || [];
+            }
+
+            case 'company':
+                return this.companyService.getCompanyListWithActivity({
+                    q, type: query.type, stage: query.stage, rating: query.rating
+                });
+
+            case 'opportunity': {
+                const filters = {};
+                Object.entries(query).forEach(([key, value]) => {
+                    if (!OPPORTUNITY_NON_FILTER_KEYS.includes(key) && value !== undefined && value !== '') {
+                        filters[key] = value;
+                    }
+                });
+                // page = 0：不分頁，回傳完整陣列
+                return this.opportunityService.searchOpportunities(
+                    q, 0, null, query.sortField || null, query.sortDirection || null, filters
+                );
+            }
+
+            case 'interaction': {
+                const result = await this.interactionService.searchInteractions(q, 1, true);
+                return (result.data || []).filter(i =>
+                    (!query.opportunityId || i.opportunityId === query.opportunityId) &&
+                    (!query.companyId || i.companyId === query.companyId) &&
+                    (!query.type || query.type === 'all' || i.interactionType === query.type)
+                );
+            }
+
+            case 'event': {
+                const term = q.toLowerCase();
+                const events = await this.eventLogService.getAllEvents();
+                return events
+                    .filter(e =>
+                        (!query.eventType || query.eventType === 'all' || e.eventType === query.eventType) &&
+                        (!query.opportunityId || e.opportunityId === query.opportunityId) &&
+                        (!query.companyId || e.companyId === query.companyId) &&
+                        (!term || this._includes(e.eventName, term) || this._includes(e.eventContent, term) ||
+                            this._includes(e.visitPlace, term) || this._includes(e.creator, term))
+                    )
+                    .sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
+            }
+
+            case 'weekly': {
+                const term = q.toLowerCase();
+                const entries = query.weekId
+                    ? await this.weeklyBusinessService.getEntriesForWeek(query.weekId)
+                    : await this.weeklyBusinessService.getAllEntries();
+                return entries.filter(e =>
+                    (!query.category || query.category === 'all' || e.category === query.category) &&
+                    (!term || this._includes(e.topic, term) || this._includes(e.summaryContent, term) ||
+                        this._includes(e.participants, term))
+                );
+            }
+
+            case 'product':
+                return this.productService.getAllProducts({
+                    category: query.category, status: query.status, search: q
+                });
+
+            default:
+                return [];
+        }
+    }
+}
+
+module.exports = ExportService;
@@ -1,11 +1,13 @@
 /**
  * services/external-service.js
  * 外部服務整合層 (AI & Google Drive)
- * * @version 1.0.0 (Phase 1 Refactor - L2 Upgrade)
- * @date 2026-01-26
+ * * @version 1.1.0 (Business Card OCR)
+ * @date 2026-10-19
  * @description 封裝 Gemini AI 策略、Prompt 建構與 Google Drive 串流邏輯。
+ * - [v1.1.0] 新增 extractBusinessCard (Gemini 影像辨識名片欄位) 與 uploadDriveFile (名片原圖上傳)。
  */
 
+const { Readable } = require('stream');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 class ExternalService {
@@ -76,6 +78,77 @@ class ExternalService {
         return await this._generateWithFallback(prompt);
     }
 
+    /**
+     * 辨識名片影像 (OCR + 欄位擷取)
+     * @param {Buffer} imageBuffer
+     * @param {string} mimeType
+     * @returns {Promise<{fields: Object, rawText: string, confidence: number|null}>}
+     */
+    async extractBusinessCard(imageBuffer, mimeType) {
+        const prompt = `
+            這是一張名片照片。請辨識名片上的所有文字，並擷取聯絡人資料。
+            只輸出一個 JSON 物件，不要包含 Markdown 或任何說明，格式如下：
+            {"name":"","company":"","position":"","department":"","phone":"","mobile":"","fax":"","email":"","website":"","address":"","rawText":"","confidence":0}
+            規則：
+            1. 找不到的欄位請輸出空字串，不要猜測。
+            2. company 使用名片上的完整公司名稱 (中文優先)。
+            3. rawText 為名片上辨識到的全部文字，以換行分隔。
+            4. confidence 為 0~100 的整數，代表整體辨識的可信度 (影像模糊、反光或非名片時請給低分)。
+        `;
+        const text = await this._generateWithFallback([
+            prompt,
+            { inlineData: { data: imageBuffer.toString('base64'), mimeType } }
+        ]);
+
+        let parsed;
+        try {
+            const json = text.replace(/```(?:json)?/gi, '').trim();
+            parsed = JSON.parse(json.slice(json.indexOf('{'), json.lastIndexOf('}') + 1));
+        } catch (error) {
+            console.warn('[AI] 名片辨識結果不是有效的 JSON，僅保留原始文字');
+            return { fields: {}, rawText: text.trim(), confidence: 0 };
+        }
+
+        const { rawText, confidence, ...fields } = parsed;
+        const score = Number(confidence);
+        return {
+            fields,
+            rawText: rawText || '',
+            confidence: Number.isFinite(score) ? score : null
+        };
+    }
+
+    /**
+     * 上傳檔案至 Google Drive
+     * @param {Object} file
+     * @param {Buffer} file.buffer
+     * @param {string} file.mimeType
+     * @param {string} file.fileName
+     * @param {string} [file.folderId] - 未指定時上傳至根目錄
+     * @returns {Promise<{id: string, webViewLink: string}>}
+     */
+    async uploadDriveFile({ buffer, mimeType, fileName, folderId }) {
+        if (!this.googleClientService) {
+            throw new Error('GoogleClientService not initialized');
+        }
+
+        const drive = await this.googleClientService.getDriveClient();
+        const response = await drive.files.create({
+            requestBody: {
+                name: fileName,
+                mimeType,
+                ...(folderId ? { parents: [folderId] } : {})
+            },
+            media: { mimeType, body: Readable.from(buffer) },
+            fields: 'id, webViewLink'
+        });
+
+        return {
+            id: response.data.id,
+            webViewLink: response.data.webViewLink || `https://drive.google.com/file/d/${response.data.id}/view`
+        };
+    }
+
     /**
      * [Internal] 解析 Drive File ID
      */
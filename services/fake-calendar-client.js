@@ -0,0 +1,156 @@
+/**
+ * services/fake-calendar-client.js
+ * 本機模擬日曆 (取代 Google Calendar API，供測試與離線開發)
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - 介面與 googleapis calendar v3 相同的子集合：events.insert / get / patch / delete / list，回傳 { data }。
+ * - list 支援 timeMin / timeMax、pageToken / maxResults、showDeleted 與 syncToken (增量同步)；
+ *   最後一頁回傳 nextSyncToken。過期的 syncToken 以 code 410 拋出，與 Google 行為一致。
+ * - 測試輔助：moveEvent (改期)、cancelEvent (取消)、expireSyncTokens (模擬 token 失效)。
+ * - insert 帶 conferenceDataVersion 與 conferenceData.createRequest 時回傳模擬的 hangoutLink。
+ * - 由 config.CALENDAR_SYNC.CLIENT = 'fake' 啟用；資料只存在記憶體。
+ */
+
+class FakeCalendarClient {
+    constructor() {
+        this._calendars = new Map(); // calendarId → Map(eventId → event)
+        this._seq = 0;               // 每次異動遞增，作為 sync token 的版本
+        this._minValidSeq = 0;       // 小於此版本的 sync token 視為過期
+        this._nextId = 1;
+
+        this.events = {
+            insert: async (params) => this._insert(params),
+            get: async (params) => this._get(params),
+            patch: async (params) => this._patch(params),
+            delete: async (params) => this._delete(params),
+            list: async (params) => this._list(params)
+        };
+    }
+
+    _calendar(calendarId = 'primary') {
+        if (!this._calendars.has(calendarId)) this._calendars.set(calendarId, new Map());
+        return this._calendars.get(calendarId);
+    }
+
+    _touch(event) {
+        event.updated = new Date().toISOString();
+        event._seq = ++this._seq;
+        return event;
+    }
+
+    _notFound(eventId) {
+        const error = new Error(`Not Found: ${eventId}`);
+        error.code = 404;
+        return error;
+    }
+
+    _public(event) {
+        const { _seq, ...data } = event;
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    _startValue(event) {
+        const start = event.start || {};
+        return new Date(start.dateTime || start.date || 0).getTime();
+    }
+
+    async _insert({ calendarId, resource, requestBody, conferenceDataVersion }) {
+        const body = resource || requestBody || {};
+        const id = `fake${this._nextId++}`;
+        const event = this._touch({
+            ...JSON.parse(JSON.stringify(body)),
+            id,
+            status: 'confirmed',
+            htmlLink: `http://localhost/fake-calendar/${id}`,
+            created: new Date().toISOString()
+        });
+        // 模擬 conferenceDataVersion = 1 的 Meet 連結
+        if (conferenceDataVersion && event.conferenceData && event.conferenceData.createRequest) {
+            event.hangoutLink = `https://meet.google.com/fake-${id}`;
+        }
+        this._calendar(calendarId).set(event.id, event);
+        return { data: this._public(event) };
+    }
+
+    async _get({ calendarId, eventId }) {
+        const event = this._calendar(calendarId).get(eventId);
+        if (!event) throw this._notFound(eventId);
+        return { data: this._public(event) };
+    }
+
+    async _patch({ calendarId, eventId, resource, requestBody }) {
+        const event = this._calendar(calendarId).get(eventId);
+        if (!event) throw this._notFound(eventId);
+        Object.assign(event, JSON.parse(JSON.stringify(resource || requestBody || {})));
+        this._touch(event);
+        return { data: this._public(event) };
+    }
+
+    // Google 刪除後的活動仍會以 status = cancelled 出現在增量同步結果中
+    async _delete({ calendarId, eventId }) {
+        const event = this._calendar(calendarId).get(eventId);
+        if (!event || event.status === 'cancelled') throw this._notFound(eventId);
+        event.status = 'cancelled';
+        this._touch(event);
+        return { data: '' };
+    }
+
+    async _list({ calendarId, syncToken, pageToken, maxResults = 250, timeMin, timeMax, showDeleted = false }) {
+        let sinceSeq = null;
+        if (syncToken) {
+            sinceSeq = Number(String(syncToken).replace(/^fake-sync-/, ''));
+            if (!Number.isFinite(sinceSeq) || sinceSeq < this._minValidSeq) {
+                const error = new Error('Sync token is no longer valid, a full sync is required.');
+                error.code = 410;
+                throw error;
+            }
+        }
+
+        let items = Array.from(this._calendar(calendarId).values());
+        if (sinceSeq !== null) {
+            items = items.filter(e => e._seq > sinceSeq);
+        } else {
+            if (!showDeleted) items = items.filter(e => e.status !== 'cancelled');
+            if (timeMin) items = items.filter(e => this._startValue(e) >= new Date(timeMin).getTime());
+            if (timeMax) items = items.filter(e => this._startValue(e) < new Date(timeMax).getTime());
+            items.sort((a, b) => this._startValue(a) - this._startValue(b));
+        }
+
+        const offset = Number(pageToken) || 0;
+        const page = items.slice(offset, offset + maxResults);
+        const hasMore = offset + maxResults < items.length;
+
+        return {
+            data: {
+                items: page.map(e => this._public(e)),
+                nextPageToken: hasMore ? String(offset + maxResults) : undefined,
+                nextSyncToken: hasMore ? undefined : `fake-sync-${this._seq}`
+            }
+        };
+    }
+
+    // ------------------------------------------------------------
+    // 測試輔助
+    // ------------------------------------------------------------
+
+    /**
+     * 改期 (start / end 格式同 Google：{ dateTime } 或 { date })
+     */
+    async moveEvent(calendarId, eventId, { start, end }) {
+        return this._patch({ calendarId, eventId, resource: { start, end } });
+    }
+
+    async cancelEvent(calendarId, eventId) {
+        return this._delete({ calendarId, eventId });
+    }
+
+    /**
+     * 讓目前所有 sync token 失效 (下次增量同步會收到 410)
+     */
+    expireSyncTokens() {
+        this._minValidSeq = ++this._seq;
+    }
+}
+
+module.exports = FakeCalendarClient;
@@ -0,0 +1,205 @@
+/**
+ * services/forecast-service.js
+ * Pipeline Forecast 業務邏輯層
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - 以進行中機會的「機會價值 × 下單機率」計算加權預測，依預計結案月份、負責業務、銷售模式彙總。
+ * - 依下單機率分為 commit / bestCase / pipeline 三類 (門檻見 config.FORECAST)。
+ * - [1.1.0] 機會價值依預計結案日匯率換算為本位幣 (CurrencyService)；缺少匯率的機會 value / weighted 為 null，不計入各彙總金額 (只計件數)，幣別列於 missingFxCurrencies。
+ * - [1.0.1] 下單機率只有含小數點的值 (例如 0.7) 視為比例，整數 1 為 1% (原本誤判為 100%)。
+ * - 每日排程 captureSnapshot() 將彙總結果存入 sales_forecast_snapshots，getForecast() 與前一筆快照比較。
+ */
+
+const NO_DATE_KEY = '未設定';
+
+class ForecastService {
+    /**
+     * @param {Object} dependencies
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {ForecastSnapshotSqlReader} dependencies.forecastSnapshotSqlReader
+     * @param {ForecastSnapshotSqlWriter} dependencies.forecastSnapshotSqlWriter
+     * @param {SystemService} dependencies.systemService
+     * @param {CurrencyService} [dependencies.currencyService]
+     * @param {Object} dependencies.config
+     */
+    constructor({ opportunitySqlReader, forecastSnapshotSqlReader, forecastSnapshotSqlWriter, systemService, currencyService = null, config }) {
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.forecastSnapshotSqlReader = forecastSnapshotSqlReader;
+        this.forecastSnapshotSqlWriter = forecastSnapshotSqlWriter;
+        this.systemService = systemService;
+        this.currencyService = currencyService;
+        this.config = config;
+    }
+
+    _today() {
+        const now = new Date();
+        const m = String(now.getMonth() + 1).padStart(2, '0');
+        const d = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${m}-${d}`;
+    }
+
+    _parseValue(value) {
+        return parseFloat(String(value || 0).replace(/,/g, '')) || 0;
+    }
+
+    /**
+     * 下單機率轉為 0~1 (設定值為百分比數字，例如 '70' 或 '70%')
+     * 含小數點且不大於 1 的值 (例如 '0.7') 視為比例；整數一律為百分比，'1' 是 1% 而非 100%。
+     */
+    _parseProbability(probability) {
+        const text = String(probability ?? '').trim();
+        const num = parseFloat(text.replace('%', ''));
+        if (isNaN(num) || num <= 0) return 0;
+        const isFraction = !text.includes('%') && text.includes('.') && num <= 1;
+        return Math.min(isFraction ? num : num / 100, 1);
+    }
+
+    _categorize(probability) {
+        const { COMMIT_MIN_PROBABILITY, BEST_CASE_MIN_PROBABILITY } = this.config.FORECAST;
+        const percent = probability * 100;
+        if (percent >= COMMIT_MIN_PROBABILITY) return 'commit';
+        if (percent >= BEST_CASE_MIN_PROBABILITY) return 'bestCase';
+        return 'pipeline';
+    }
+
+    _emptyBucket(key, name) {
+        return { key, name, count: 0, totalValue: 0, weightedValue: 0, commit: 0, bestCase: 0, pipeline: 0 };
+    }
+
+    _addToBucket(bucket, item) {
+        bucket.count++;
+        // 缺少匯率的機會只計件數，不計入金額
+        if (item.value === null) return;
+        bucket.totalValue += item.value;
+        bucket.weightedValue += item.weighted;
+        bucket[item.category] += item.weighted;
+    }
+
+    _groupBy(items, keyFn, nameFn = (key) => key) {
+        const map = new Map();
+        items.forEach(item => {
+            const key = keyFn(item);
+            if (!map.has(key)) map.set(key, this._emptyBucket(key, nameFn(key)));
+            this._addToBucket(map.get(key), item);
+        });
+        return Array.from(map.values());
+    }
+
+    /**
+     * 計算目前的加權預測
+     * @returns {Promise<Object>} { totals, byMonth, byAssignee, bySalesModel, items, missingFxCurrencies }
+     */
+    async computeForecast() {
+        const [opportunities, systemConfig, fx] = await Promise.all([
+            this.opportunitySqlReader.getOpenOpportunitiesForForecast(),
+            this.systemService.getSystemConfig(),
+            this.currencyService ? this.currencyService.getConverter() : null
+        ]);
+        const noteOf = (configKey, value) => (systemConfig[configKey] || []).find(i => i.value === value)?.note || value;
+
+        const items = opportunities.map(opp => {
+            const value = fx ? fx.toBase(opp.opportunityValue, opp.currency, opp.expectedCloseDate) : this._parseValue(opp.opportunityValue);
+            const probability = this._parseProbability(opp.orderProbability);
+            const weighted = value === null ? null : Math.round(value * probability);
+            return {
+                opportunityId: opp.opportunityId,
+                opportunityName: opp.opportunityName,
+                assignee: opp.assignee || '未指派',
+                salesModel: opp.salesModel || '未分類',
+                closeMonth: opp.expectedCloseDate ? String(opp.expectedCloseDate).slice(0, 7) : NO_DATE_KEY,
+                currentStage: opp.currentStage,
+                value,
+                probability,
+                weighted,
+                category: this._categorize(probability)
+            };
+        });
+
+        const totals = this._emptyBucket('total', '全部');
+        items.forEach(item => this._addToBucket(totals, item));
+
+        const byMonth = this._groupBy(items, i => i.closeMonth)
+            .sort((a, b) => {
+                if (a.key === NO_DATE_KEY) return 1;
+                if (b.key === NO_DATE_KEY) return -1;
+                return a.key.localeCompare(b.key);
+            });
+
+        return {
+            totals,
+            byMonth,
+            byAssignee: this._groupBy(items, i => i.assignee, key => noteOf('團隊成員', key))
+                .sort((a, b) => b.weightedValue - a.weightedValue),
+            bySalesModel: this._groupBy(items, i => i.salesModel)
+                .sort((a, b) => b.weightedValue - a.weightedValue),
+            items,
+            missingFxCurrencies: fx ? fx.getMissingCurrencies() : []
+        };
+    }
+
+    _diffBuckets(currentList, priorList) {
+        const priorMap = new Map((priorList || []).map(b => [b.key, b]));
+        return currentList.map(bucket => {
+            const prior = priorMap.get(bucket.key);
+            return {
+                key: bucket.key,
+                weightedValue: bucket.weightedValue - (prior ? prior.weightedValue : 0),
+                commit: bucket.commit - (prior ? prior.commit : 0)
+            };
+        });
+    }
+
+    /**
+     * 取得預測並與前一筆快照比較
+     * @returns {Promise<Object>}
+     */
+    async getForecast() {
+        try {
+            const forecast = await this.computeForecast();
+            const prior = await this.forecastSnapshotSqlReader.getLatestSnapshotBefore(this._today());
+
+            let comparison = null;
+            if (prior) {
+                const t = forecast.totals;
+                const p = prior.totals;
+                comparison = {
+                    snapshotDate: prior.snapshotDate,
+                    totals: p,
+                    delta: {
+                        count: t.count - (p.count || 0),
+                        totalValue: t.totalValue - (p.totalValue || 0),
+                        weightedValue: t.weightedValue - (p.weightedValue || 0),
+                        commit: t.commit - (p.commit || 0),
+                        bestCase: t.bestCase - (p.bestCase || 0),
+                        pipeline: t.pipeline - (p.pipeline || 0)
+                    },
+                    byMonth: this._diffBuckets(forecast.byMonth, prior.byMonth)
+                };
+            }
+
+            return {
+                generatedAt: new Date().toISOString(),
+                thresholds: this.config.FORECAST,
+                ...forecast,
+                comparison
+            };
+        } catch (error) {
+            console.error('[ForecastService] getForecast Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 每日排程：儲存今日的預測快照
+     */
+    async captureSnapshot() {
+        const forecast = await this.computeForecast();
+        const snapshotDate = this._today();
+        await this.forecastSnapshotSqlWriter.saveSnapshot(snapshotDate, forecast);
+        console.log(`📸 [ForecastService] 已儲存 ${snapshotDate} 預測快照 (加權 ${forecast.totals.weightedValue})`);
+        return { snapshotDate, totals: forecast.totals };
+    }
+}
+
+module.exports = ForecastService;
@@ -0,0 +1,667 @@
+/**
+ * services/import-service.js
+ * 批次匯入 (CSV / XLSX)：正式聯絡人、公司、機會案件
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - 流程：preview (解析標題 + 建議欄位對應) → validate (dry-run 驗證報告) → commit (重新驗證後批次寫入)。
+ * 每個步驟都由前端重送檔案 (base64)，伺服器不暫存上傳內容。
+ * - 可對應欄位：聯絡人 / 公司取自 config.CONTACT_LIST_FIELDS / COMPANY_LIST_FIELDS (ID、建立時間等系統欄位除外)，
+ * 機會為 Opportunity DTO 欄位。
+ * - 驗證：必填、Email / 數字 / 日期格式、系統設定值 (value 或 note 皆可，寫入時轉為 value)、
+ * 與既有資料重複 (DuplicateService / 機會名稱 + 終端客戶) 及檔案內重複。
+ * - [1.0.1] 機會的「目前階段」不可為結案階段 (config.CONSTANTS.CLOSE_STAGES，需經結案流程填寫結案原因)，
+ * 並需具備該階段的必填欄位 (PipelineService 階段規則)；不符者列為錯誤列。
+ * - 寫入：經由各 SQL Writer 的 batch 方法。聯絡人的公司、機會的終端客戶不存在時一併建立公司，
+ * 機會的主要聯絡人不存在時建立聯絡人 (與單筆建立機會相同)。
+ * - 問題列 (錯誤、略過的重複、寫入失敗) 另產生 CSV 錯誤檔供下載。
+ * - 驗證錯誤以「無法建檔：」開頭 (HTTP 400)。
+ */
+
+const { parseSpreadsheet, toCsv, excelSerialToDate } = require('../utils/spreadsheet');
+
+const ENTITY_LABELS = { contact: '聯絡人', company: '公司', opportunity: '機會' };
+
+// CONTACT_LIST_FIELDS 欄位 → DTO (未列出的為系統欄位，不開放匯入)
+const CONTACT_FIELD_MAP = {
+    '姓名': { key: 'name', required: true, aliases: ['name', '聯絡人', '聯絡人姓名'] },
+    '公司ID': { key: 'company', hint: '公司 ID 或公司名稱，找不到時自動建立公司', aliases: ['公司', '公司名稱', 'company'] },
+    '部門': { key: 'department', aliases: ['department'] },
+    '職稱': { key: 'jobTitle', aliases: ['職位', 'title', 'jobtitle'] },
+    '手機': { key: 'mobile', aliases: ['mobile', '行動電話'] },
+    '公司電話': { key: 'phone', aliases: ['電話', '市話', 'phone', 'tel'] },
+    'Email': { key: 'email', type: 'email', aliases: ['電子郵件', 'e-mail', 'mail'] }
+};
+
+// COMPANY_LIST_FIELDS 欄位 → DTO
+const COMPANY_FIELD_MAP = {
+    '公司名稱': { key: 'companyName', required: true, aliases: ['公司', 'company', 'companyname'] },
+    '公司電話': { key: 'phone', aliases: ['電話', 'phone', 'tel'] },
+    '地址': { key: 'address', aliases: ['address'] },
+    '縣市': { key: 'county', aliases: ['city', '城市'] },
+    '公司簡介': { key: 'introduction', aliases: ['簡介', '說明'] },
+    '公司類型': { key: 'companyType', configType: '公司類型' },
+    '客戶階段': { key: 'customerStage', configType: '客戶階段' },
+    '互動評級': { key: 'engagementRating', configType: '互動評級', aliases: ['評級'] }
+};
+
+const OPPORTUNITY_FIELDS = [
+    { key: 'opportunityName', label: '機會名稱', required: true, aliases: ['名稱', '案件名稱'] },
+    { key: 'customerCompany', label: '終端客戶', required: true, hint: '找不到時自動建立公司', aliases: ['客戶', '客戶公司', '公司名稱'] },
+    { key: 'mainContact', label: '主要聯絡人', hint: '終端客戶下找不到同名聯絡人時自動建立', aliases: ['聯絡人'] },
+    { key: 'assignee', label: '負責業務', configType: '團隊成員', aliases: ['負責人', '業務'] },
+    { key: 'salesModel', label: '銷售模式', configType: '銷售模式' },
+    { key: 'salesChannel', label: '銷售通路', aliases: ['通路', '下單方'] },
+    { key: 'channelContact', label: '通路窗口', aliases: ['通路聯絡人'] },
+    { key: 'opportunityType', label: '機會種類', configType: '機會種類' },
+    { key: 'opportunitySource', label: '機會來源', configType: '機會來源', aliases: ['來源'] },
+    { key: 'currentStage', label: '目前階段', configType: '機會階段', hint: '空白時為第一個階段；不可為結案階段 (受注 / 已結案(失敗))', aliases: ['階段', '機會階段'] },
+    { key: 'expectedCloseDate', label: '預計結案日', type: 'date', aliases: ['預計結案日期', '結案日'] },
+    { key: 'opportunityValue', label: '機會價值', type: 'number', aliases: ['金額', '預估金額'] },
+    { key: 'currency', label: '幣別', configType: '幣別' },
+    { key: 'orderProbability', label: '下單機率', configType: '下單機率' },
+    { key: 'deviceScale', label: '設備規模', configType: '設備規模' },
+    { key: 'potentialSpecification', label: '可能下單規格', aliases: ['規格'] },
+    { key: 'notes', label: '備註', aliases: ['說明'] }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (str) => String(str || '').toLowerCase().replace(/[\s_\-()（）*:：]/g, '');
+
+class ImportService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactSqlReader} dependencies.contactSqlReader
+     * @param {ContactSqlWriter} dependencies.contactSqlWriter
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {CompanySqlWriter} dependencies.companySqlWriter
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {OpportunitySqlWriter} dependencies.opportunitySqlWriter
+     * @param {DuplicateService} dependencies.duplicateService
+     * @param {PipelineService} [dependencies.pipelineService] - 機會階段規則
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.config
+     */
+    constructor({
+        contactSqlReader, contactSqlWriter, companySqlReader, companySqlWriter,
+        opportunitySqlReader, opportunitySqlWriter, duplicateService, pipelineService = null, systemService, config
+    }) {
+        this.contactSqlReader = contactSqlReader;
+        this.contactSqlWriter = contactSqlWriter;
+        this.companySqlReader = companySqlReader;
+        this.companySqlWriter = companySqlWriter;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.opportunitySqlWriter = opportunitySqlWriter;
+        this.duplicateService = duplicateService;
+        this.pipelineService = pipelineService;
+        this.systemService = systemService;
+        this.config = config;
+    }
+
+    _resolveModifier(user) {
+        return user?.name || user?.username || 'System';
+    }
+
+    /**
+     * 與 CompanyService._normalizeCompanyName 相同的規則
+     */
+    _normalizeCompanyName(name) {
+        if (!name) return '';
+        return name.toLowerCase().trim()
+            .replace(/股份有限公司|有限公司|公司/g, '')
+            .replace(/\(.*\)/g, '')
+            .trim();
+    }
+
+    _normalizePhone(phone) {
+        return String(phone || '').replace(/\D/g, '').replace(/^8869/, '09');
+    }
+
+    // ============================================================
+    // 欄位定義與對應
+    // ============================================================
+
+    _assertEntity(entity) {
+        if (!ENTITY_LABELS[entity]) {
+            throw new Error(`無法建檔：不支援的匯入類型「${entity}」`);
+        }
+    }
+
+    _fieldDefs(entity) {
+        this._assertEntity(entity);
+
+        const fromList = (list, map) => list
+            .filter(label => map[label])
+            .map(label => ({ label, ...map[label] }));
+
+        if (entity === 'contact') return fromList(this.config.CONTACT_LIST_FIELDS, CONTACT_FIELD_MAP);
+        if (entity === 'company') return fromList(this.config.COMPANY_LIST_FIELDS, COMPANY_FIELD_MAP);
+        return OPPORTUNITY_FIELDS;
+    }
+
+    /**
+     * 取得可對應的目標欄位
+     * @param {string} entity - 'contact' | 'company' | 'opportunity'
+     * @returns {Array<Object>} [{ key, label, required, type, configType, hint }]
+     */
+    getFields(entity) {
+        return this._fieldDefs(entity).map(({ aliases, ...field }) => ({ required: false, ...field }));
+    }
+
+    _suggestMapping(headers, entity) {
+        const mapping = {};
+        const used = new Set();
+        this._fieldDefs(entity).forEach(field => {
+            const names = [field.label, field.key, ...(field.aliases || [])].map(normalizeHeader);
+            const index = headers.findIndex((h, i) => !used.has(i) && names.includes(normalizeHeader(h)));
+            if (index !== -1) {
+                mapping[field.key] = index;
+                used.add(index);
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * 前端送來的 mapping：{ 欄位 key: 欄位序號 | 標題名稱 }
+     */
+    _resolveMapping(rawMapping, headers, fields) {
+        const mapping = {};
+        Object.entries(rawMapping || {}).forEach(([key, column]) => {
+            if (!fields.some(f => f.key === key) || column === null || column === undefined || column === '') return;
+            const index = typeof column === 'number' || /^\d+$/.test(String(column))
+                ? Number(column)
+                : headers.indexOf(column);
+            if (index >= 0 && index < headers.length) mapping[key] = index;
+        });
+
+        const missing = fields.filter(f => f.required && mapping[f.key] === undefined).map(f => f.label);
+        if (missing.length > 0) {
+            throw new Error(`無法建檔：必填欄位尚未對應 (${missing.join('、')})`);
+        }
+        return mapping;
+    }
+
+    async _parseFile(payload) {
+        const { fileName = '', fileContent } = payload || {};
+        if (!fileContent) throw new Error('無法建檔：請上傳 CSV 或 XLSX 檔案');
+
+        const base64 = String(fileContent).replace(/^data:[^,]*,/, '');
+        const parsed = await parseSpreadsheet(Buffer.from(base64, 'base64'), fileName);
+
+        if (parsed.rows.length === 0) throw new Error('無法建檔：檔案只有標題列，沒有資料');
+        if (parsed.rows.length > this.config.IMPORT.MAX_ROWS) {
+            throw new Error(`無法建檔：單次最多匯入 ${this.config.IMPORT.MAX_ROWS} 筆 (檔案有 ${parsed.rows.length} 筆)`);
+        }
+        return { ...parsed, fileName };
+    }
+
+    // ============================================================
+    // 逐列驗證
+    // ============================================================
+
+    _parseDate(value) {
+        if (/^\d+(\.\d+)?$/.test(value)) return excelSerialToDate(value);
+        const m = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+        if (!m) return null;
+        const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+        if (date.getUTCMonth() !== +m[2] - 1) return null;
+        return date.toISOString().slice(0, 10);
+    }
+
+    _buildRow(cells, rowNumber, mapping, fields, systemConfig) {
+        const row = { rowNumber, cells, data: {}, errors: [], warnings: [], duplicates: [] };
+
+        fields.forEach(field => {
+            const index = mapping[field.key];
+            const value = index === undefined ? '' : (cells[index] || '').trim();
+
+            if (!value) {
+                if (field.required) row.errors.push(`「${field.label}」為必填`);
+                return;
+            }
+
+            if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+                row.errors.push(`「${field.label}」格式錯誤：${value}`);
+                return;
+            }
+
+            if (field.type === 'number') {
+                const num = Number(value.replace(/[,\s$＄]|NT|TWD/gi, ''));
+                if (!Number.isFinite(num)) {
+                    row.errors.push(`「${field.label}」不是數字：${value}`);
+                    return;
+                }
+                row.data[field.key] = num;
+                return;
+            }
+
+            if (field.type === 'date') {
+                const date = this._parseDate(value);
+                if (!date) {
+                    row.errors.push(`「${field.label}」日期格式錯誤：${value} (請使用 YYYY-MM-DD)`);
+                    return;
+                }
+                row.data[field.key] = date;
+                return;
+            }
+
+            if (field.configType) {
+                const options = systemConfig[field.configType] || [];
+                if (options.length > 0) {
+                    const normalized = value.toLowerCase();
+                    const match = options.find(o =>
+                        String(o.value || '').toLowerCase() === normalized || String(o.note || '').toLowerCase() === normalized
+                    );
+                    if (!match) {
+                        row.errors.push(`「${field.label}」的值「${value}」不在系統設定「${field.configType}」中`);
+                        return;
+                    }
+                    row.data[field.key] = match.value;
+                    return;
+                }
+            }
+
+            row.data[field.key] = value;
+        });
+
+        return row;
+    }
+
+    /**
+     * 依公司 ID 或名稱找既有公司；找不到時登記為待建立公司
+     */
+    _resolveCompany(value, context, row) {
+        if (!value) return null;
+        const byId = context.companiesById.get(value);
+        if (byId) return { companyId: byId.companyId, companyName: byId.companyName };
+
+        const key = this._normalizeCompanyName(value);
+        const byName = context.companiesByName.get(key);
+        if (byName) return { companyId: byName.companyId, companyName: byName.companyName };
+
+        if (!context.newCompanies.has(key)) context.newCompanies.set(key, { companyName: value, rows: [] });
+        context.newCompanies.get(key).rows.push(row.rowNumber);
+        row.warnings.push(`將新增公司「${value}」`);
+        return { companyId: null, companyName: value, companyKey: key };
+    }
+
+    _markFileDuplicate(seen, key, row, reason) {
+        if (!key) return;
+        if (seen.has(key)) {
+            row.duplicates.push({ score: 100, reasons: [reason], label: `檔案第 ${seen.get(key)} 列` });
+        } else {
+            seen.set(key, row.rowNumber);
+        }
+    }
+
+    async _checkContacts(rows, context) {
+        const candidates = rows.filter(r => r.errors.length === 0);
+        const seen = new Map();
+
+        candidates.forEach(row => {
+            const company = this._resolveCompany(row.data.company, context, row);
+            row.company = company;
+            delete row.data.company;
+
+            const email = (row.data.email || '').toLowerCase();
+            const mobile = this._normalizePhone(row.data.mobile);
+            const companyKey = company ? (company.companyId || company.companyKey) : '';
+            this._markFileDuplicate(seen, email && `email:${email}`, row, 'Email 相同');
+            this._markFileDuplicate(seen, mobile && `mobile:${mobile}`, row, '手機相同');
+            this._markFileDuplicate(seen, `name:${row.data.name.toLowerCase()}|${companyKey}`, row, '同公司同姓名');
+        });
+
+        if (!this.duplicateService || candidates.length === 0) return;
+
+        const matches = await this.duplicateService.checkContactsBatch(candidates.map(row => ({
+            ...row.data,
+            companyId: row.company?.companyId || null,
+            companyName: row.company?.companyName || ''
+        })));
+        candidates.forEach((row, i) => {
+            matches[i].forEach(m => row.duplicates.push({
+                score: m.score,
+                reasons: m.reasons,
+                label: `${m.record.name}${m.record.companyName ? ` (${m.record.companyName})` : ''}`,
+                recordId: m.record.contactId
+            }));
+        });
+    }
+
+    async _checkCompanies(rows) {
+        const candidates = rows.filter(r => r.errors.length === 0);
+        const seen = new Map();
+
+        candidates.forEach(row => {
+            this._markFileDuplicate(seen, this._normalizeCompanyName(row.data.companyName), row, '名稱相同');
+        });
+
+        if (!this.duplicateService || candidates.length === 0) return;
+
+        const matches = await this.duplicateService.checkCompaniesBatch(candidates.map(row => row.data));
+        candidates.forEach((row, i) => {
+            matches[i].forEach(m => row.duplicates.push({
+                score: m.score,
+                reasons: m.reasons,
+                label: m.record.companyName,
+                recordId: m.record.companyId
+            }));
+        });
+    }
+
+    /**
+     * 匯入的機會直接位於「目前階段」：結案階段需經結案流程，並需具備該階段的必填欄位
+     * (匯入不建立機會關聯聯絡人，需要「至少一位關聯聯絡人」的階段無法直接匯入)
+     */
+    _stageErrors(data, definition) {
+        const violations = this.pipelineService.getEntryViolations(data, definition);
+        const stage = definition.stages.find(s => s.value === data.currentStage);
+        const stageLabel = stage ? stage.note : data.currentStage;
+        const errors = [];
+
+        if (violations.some(v => v.type === 'close_required')) {
+            errors.push(`「目前階段」【${stageLabel}】為結案階段，請以進行中的階段匯入後再透過結案流程填寫結案原因、競爭對手與說明`);
+        }
+        if (violations.some(v => v.type === 'unknown_stage')) {
+            errors.push(`「目前階段」的值「${data.currentStage}」不在系統設定「機會階段」中`);
+        }
+        const missing = violations.filter(v => v.type === 'required_field').map(v => v.label);
+        if (missing.length > 0) {
+            errors.push(`階段【${stageLabel}】需先完成：${missing.join('、')}`);
+        }
+        return errors;
+    }
+
+    async _checkOpportunities(rows, context, systemConfig) {
+        const candidates = rows.filter(r => r.errors.length === 0);
+        const [opportunities, contacts, definition] = await Promise.all([
+            this.opportunitySqlReader.getOpportunities(),
+            this.contactSqlReader.getContacts(),
+            this.pipelineService ? this.pipelineService.getPipelineDefinition(systemConfig) : null
+        ]);
+
+        const oppKey = (name, company) => `${String(name || '').toLowerCase().trim()}|${this._normalizeCompanyName(company)}`;
+        const existing = new Map(opportunities.map(o => [oppKey(o.opportunityName, o.customerCompany), o]));
+        const contactKeys = new Set(contacts.map(c => `${c.companyId}|${(c.name || '').toLowerCase().trim()}`));
+        const newContactKeys = new Set();
+        const seen = new Map();
+
+        const stages = (systemConfig['機會階段'] || []).slice().sort((a, b) => (a.order || 99) - (b.order || 99));
+        const defaultStage = stages.length > 0 ? stages[0].value : '';
+
+        candidates.forEach(row => {
+            const company = this._resolveCompany(row.data.customerCompany, context, row);
+            row.company = company;
+            if (company.companyId) row.data.customerCompany = company.companyName;
+            if (!row.data.currentStage && defaultStage) row.data.currentStage = defaultStage;
+
+            if (definition && row.data.currentStage) {
+                row.errors.push(...this._stageErrors(row.data, definition));
+                if (row.errors.length > 0) return;
+            }
+
+            const key = oppKey(row.data.opportunityName, row.data.customerCompany);
+            const match = existing.get(key);
+            if (match) {
+                row.duplicates.push({
+                    score: 100,
+                    reasons: ['同客戶同機會名稱'],
+                    label: `${match.opportunityName} (${match.customerCompany})`,
+                    recordId: match.opportunityId
+                });
+            }
+            this._markFileDuplicate(seen, key, row, '同客戶同機會名稱');
+
+            const contactName = (row.data.mainContact || '').trim();
+            if (contactName) {
+                const contactKey = `${company.companyId || company.companyKey}|${contactName.toLowerCase()}`;
+                if (!company.companyId || !contactKeys.has(`${company.companyId}|${contactName.toLowerCase()}`)) {
+                    row.newContact = { key: contactKey, name: contactName };
+                    if (!newContactKeys.has(contactKey)) row.warnings.push(`將新增聯絡人「${contactName}」`);
+                    newContactKeys.add(contactKey);
+                }
+            }
+        });
+    }
+
+    /**
+     * 解析檔案並逐列驗證 (validate / commit 共用)
+     */
+    async _analyze(entity, payload) {
+        this._assertEntity(entity);
+        const fields = this.getFields(entity);
+        const parsed = await this._parseFile(payload);
+        const mapping = this._resolveMapping(payload.mapping, parsed.headers, fields);
+
+        const [systemConfig, companies] = await Promise.all([
+            this.systemService.getSystemConfig(),
+            this.companySqlReader.getCompanies()
+        ]);
+
+        const context = {
+            companiesById: new Map(companies.map(c => [c.companyId, c])),
+            companiesByName: new Map(companies.map(c => [this._normalizeCompanyName(c.companyName), c])),
+            newCompanies: new Map()
+        };
+
+        const rows = parsed.rows.map((cells, i) =>
+            this._buildRow(cells, parsed.rowNumbers[i], mapping, fields, systemConfig)
+        );
+
+        if (entity === 'contact') await this._checkContacts(rows, context);
+        else if (entity === 'company') await this._checkCompanies(rows);
+        else await this._checkOpportunities(rows, context, systemConfig);
+
+        rows.forEach(row => {
+            row.status = row.errors.length > 0 ? 'error' : (row.duplicates.length > 0 ? 'duplicate' : 'ok');
+        });
+
+        return { fields, parsed, mapping, rows, context };
+    }
+
+    _describeDuplicates(row) {
+        return row.duplicates
+            .map(d => `可能重複：${d.label} (${d.score}%，${d.reasons.join('、')})`)
+            .join('；');
+    }
+
+    _buildErrorFile(parsed, rows) {
+        if (rows.length === 0) return null;
+        const base = (parsed.fileName || 'import').replace(/\.[^.]+$/, '');
+        const content = toCsv([
+            ['列號', ...parsed.headers, '問題說明'],
+            ...rows.map(row => [
+                row.rowNumber,
+                ...parsed.headers.map((h, i) => row.cells[i] || ''),
+                [...row.errors, this._describeDuplicates(row)].filter(Boolean).join('；')
+            ])
+        ]);
+        return { fileName: `${base}_errors.csv`, content };
+    }
+
+    _summarize(entity, analysis) {
+        const { parsed, mapping, rows, context } = analysis;
+        const count = (status) => rows.filter(r => r.status === status).length;
+        return {
+            entity,
+            fileName: parsed.fileName,
+            totalRows: rows.length,
+            okRows: count('ok'),
+            errorRows: count('error'),
+            duplicateRows: count('duplicate'),
+            mapping: Object.fromEntries(Object.entries(mapping).map(([key, index]) => [key, parsed.headers[index]])),
+            newCompanies: Array.from(context.newCompanies.values()).map(c => c.companyName),
+            issues: rows
+                .filter(r => r.status !== 'ok' || r.warnings.length > 0)
+                .map(r => ({
+                    rowNumber: r.rowNumber,
+                    status: r.status,
+                    errors: r.errors,
+                    warnings: r.warnings,
+                    duplicates: r.duplicates
+                }))
+        };
+    }
+
+    // ============================================================
+    // 公開流程
+    // ============================================================
+
+    /**
+     * 解析檔案標題並建議欄位對應
+     * @param {string} entity
+     * @param {Object} payload - { fileName, fileContent (base64) }
+     * @returns {Promise<Object>} { headers, sampleRows, totalRows, fields, suggestedMapping }
+     */
+    async previewImport(entity, payload) {
+        this._assertEntity(entity);
+        const parsed = await this._parseFile(payload);
+        return {
+            entity,
+            fileName: parsed.fileName,
+            headers: parsed.headers,
+            sampleRows: parsed.rows.slice(0, 5),
+            totalRows: parsed.rows.length,
+            fields: this.getFields(entity),
+            suggestedMapping: this._suggestMapping(parsed.headers, entity)
+        };
+    }
+
+    /**
+     * Dry-run：驗證全部資料列，不寫入
+     * @param {string} entity
+     * @param {Object} payload - { fileName, fileContent, mapping }
+     * @returns {Promise<Object>} 驗證報告 (含 errorFile)
+     */
+    async validateImport(entity, payload) {
+        const analysis = await this._analyze(entity, payload);
+        const problemRows = analysis.rows.filter(r => r.status !== 'ok');
+        return {
+            ...this._summarize(entity, analysis),
+            errorFile: this._buildErrorFile(analysis.parsed, problemRows)
+        };
+    }
+
+    /**
+     * 重新驗證後批次寫入
+     * @param {string} entity
+     * @param {Object} payload - { fileName, fileContent, mapping, skipDuplicates (預設 true) }
+     * @param {Object} user
+     * @returns {Promise<Object>} { success, data: { created, createdCompanies, createdContacts, skippedDuplicates, errorRows, failedRows, errorFile } }
+     */
+    async commitImport(entity, payload, user) {
+        const analysis = await this._analyze(entity, payload);
+        const { rows, context } = analysis;
+        const modifier = this._resolveModifier(user);
+        const skipDuplicates = payload.skipDuplicates !== false;
+
+        const toWrite = rows.filter(r => r.status === 'ok' || (r.status === 'duplicate' && !skipDuplicates));
+        const batchSize = this.config.IMPORT.BATCH_SIZE;
+        let idSeed = Date.now();
+
+        const writeInBatches = async (items, writeFn, rowsOf) => {
+            let written = 0;
+            for (let i = 0; i < items.length; i += batchSize) {
+                const chunk = items.slice(i, i + batchSize);
+                try {
+                    const result = await writeFn(chunk);
+                    written += result.ids.length;
+                } catch (error) {
+                    rowsOf(chunk).forEach(row => {
+                        row.status = 'failed';
+                        row.errors.push(`寫入失敗：${error.message}`);
+                    });
+                }
+            }
+            return written;
+        };
+
+        // 1. 尚不存在、且本次有用到的公司
+        const neededCompanyKeys = new Set(toWrite.map(r => r.company?.companyKey).filter(Boolean));
+        const newCompanies = Array.from(context.newCompanies.entries())
+            .filter(([key]) => neededCompanyKeys.has(key))
+            .map(([key, c]) => ({ key, companyId: `COMP_${idSeed++}_${Math.floor(Math.random() * 1000)}`, companyName: c.companyName }));
+
+        const createdCompanies = await writeInBatches(
+            newCompanies,
+            (chunk) => this.companySqlWriter.createCompaniesBatch(chunk, modifier),
+            (chunk) => {
+                const keys = new Set(chunk.map(c => c.key));
+                return toWrite.filter(r => keys.has(r.company?.companyKey));
+            }
+        );
+        const newCompanyIds = new Map(newCompanies.map(c => [c.key, c.companyId]));
+        const writable = () => toWrite.filter(r => r.status !== 'failed');
+        const companyIdOf = (row) => row.company ? (row.company.companyId || newCompanyIds.get(row.company.companyKey)) : null;
+
+        // 2. 主體資料
+        let created = 0;
+        let createdContacts = 0;
+        const rowsById = new Map();
+        const rowsOf = (chunk) => chunk.map(item => rowsById.get(item._rowNumber));
+
+        if (entity === 'contact') {
+            const items = writable().map(row => {
+                rowsById.set(row.rowNumber, row);
+                return { ...row.data, contactId: `C${idSeed++}`, companyId: companyIdOf(row), sourceId: 'IMPORT', _rowNumber: row.rowNumber };
+            });
+            created = await writeInBatches(items, (chunk) => this.contactSqlWriter.createContactsBatch(chunk, modifier), rowsOf);
+        } else if (entity === 'company') {
+            const items = writable().map(row => {
+                rowsById.set(row.rowNumber, row);
+                return { ...row.data, companyId: `COMP_${idSeed++}_${Math.floor(Math.random() * 1000)}`, _rowNumber: row.rowNumber };
+            });
+            created = await writeInBatches(items, (chunk) => this.companySqlWriter.createCompaniesBatch(chunk, modifier), rowsOf);
+        } else {
+            // 主要聯絡人 (同一公司同名只建立一次)
+            const contactsToCreate = new Map();
+            writable().forEach(row => {
+                if (row.newContact && !contactsToCreate.has(row.newContact.key)) {
+                    contactsToCreate.set(row.newContact.key, {
+                        contactId: `C${idSeed++}`,
+                        name: row.newContact.name,
+                        companyId: companyIdOf(row),
+                        sourceId: 'IMPORT'
+                    });
+                }
+            });
+            try {
+                const result = await this.contactSqlWriter.createContactsBatch(Array.from(contactsToCreate.values()), modifier);
+                createdContacts = result.ids.length;
+            } catch (error) {
+                // 聯絡人建立失敗不影響機會本身，於結果中提示
+                console.warn(`[ImportService] Main contact creation failed: ${error.message}`);
+                writable().filter(r => r.newContact).forEach(r => r.warnings.push(`主要聯絡人未建立：${error.message}`));
+            }
+
+            const items = writable().map(row => {
+                rowsById.set(row.rowNumber, row);
+                return { ...row.data, opportunityId: `OPP${idSeed++}`, _rowNumber: row.rowNumber };
+            });
+            created = await writeInBatches(items, (chunk) => this.opportunitySqlWriter.createOpportunitiesBatch(chunk, modifier), rowsOf);
+        }
+
+        const failedRows = rows.filter(r => r.status === 'failed');
+        const skippedRows = rows.filter(r => r.status === 'error' || (r.status === 'duplicate' && skipDuplicates));
+
+        console.log(`📥 [ImportService] ${ENTITY_LABELS[entity]} import by ${modifier}: ${created} created, ${skippedRows.length} skipped, ${failedRows.length} failed`);
+
+        return {
+            success: true,
+            message: `已匯入 ${created} 筆${ENTITY_LABELS[entity]}`,
+            data: {
+                ...this._summarize(entity, analysis),
+                created,
+                createdCompanies,
+                createdContacts,
+                skippedDuplicates: skipDuplicates ? rows.filter(r => r.status === 'duplicate').length : 0,
+                failedRows: failedRows.length,
+                errorFile: this._buildErrorFile(analysis.parsed, [...skippedRows, ...failedRows].sort((a, b) => a.rowNumber - b.rowNumber))
+            }
+        };
+    }
+}
+
+module.exports = ImportService;
@@ -1,8 +1,10 @@
 /*
  * FILE: services/interaction-service.js
- * VERSION: 8.2.2
- * DATE: 2026-03-19
+ * VERSION: 8.4.0
+ * DATE: 2026-10-19
  * CHANGELOG:
+ * - [8.4.0] Next action with a date (nextActionDate, YYYY-MM-DD) creates / updates a follow-up task via TaskService
+ * - [8.3.0] Added getInteractionById (calendar sync merges edits onto the stored record before updating)
  * - [CLEANUP] Removed temporary debug logs used for runtime forensics
  * - [PATCH] Enforced recorder write authority: override recorder with user.name (displayName) from JWT. No longer trusts frontend payload.
  * - Phase 8.2 Patch: Replaced InteractionReader with InteractionSqlReader completely. Removed Sheet fallback.
@@ -15,12 +17,33 @@ class InteractionService {
      * @param {InteractionSqlWriter} interactionSqlWriter 
      * @param {OpportunityReader} opportunityReader 
      * @param {CompanyReader} companyReader 
+     * @param {TaskService} [taskService] - 下次行動跟進任務
      */
-    constructor(interactionSqlReader, interactionSqlWriter, opportunityReader, companyReader) {
+    constructor(interactionSqlReader, interactionSqlWriter, opportunityReader, companyReader, taskService = null) {
         this.interactionSqlReader = interactionSqlReader;
         this.interactionSqlWriter = interactionSqlWriter;
         this.opportunityReader = opportunityReader;
         this.companyReader = companyReader;
+        this.taskService = taskService;
+    }
+
+    /**
+     * 依「下次行動」與日期建立 / 更新跟進任務 (失敗只記錄警告，不影響互動紀錄)
+     */
+    async _syncFollowUpTask(interactionId, data, user) {
+        if (!this.taskService || !data.nextActionDate) return null;
+        try {
+            return await this.taskService.syncInteractionFollowUp({
+                interactionId,
+                nextAction: data.nextAction,
+                nextActionDate: data.nextActionDate,
+                opportunityId: data.opportunityId,
+                companyId: data.companyId
+            }, user);
+        } catch (error) {
+            console.warn(`[InteractionService] 無法建立跟進任務 (${interactionId}):`, error.message);
+            return null;
+        }
     }
 
     /**
@@ -168,6 +191,18 @@ class InteractionService {
         }
     }
 
+    /**
+     * 取得單筆互動紀錄 (不含 Join)
+     * @param {string} interactionId 
+     * @returns {Promise<Object|null>}
+     */
+    async getInteractionById(interactionId) {
+        if (!this.interactionSqlReader) {
+            throw new Error('[InteractionService] InteractionSqlReader not configured.');
+        }
+        return this.interactionSqlReader.getInteractionById(interactionId);
+    }
+
     /**
      * 新增互動紀錄
      * Phase 7: Direct to SQL
@@ -177,13 +212,15 @@ class InteractionService {
     async createInteraction(data, user) {
         try {
             const safeUser = user || {};
+            if (this.taskService) this.taskService.parseDueDate(data.nextActionDate, '下次行動日期');
             
             const finalRecorder = safeUser.name || safeUser.displayName || data.recorder || 'System';
             const secureData = { ...data, recorder: finalRecorder };
 
             const newId = await this.interactionSqlWriter.createInteraction(secureData, safeUser);
+            const followUp = await this._syncFollowUpTask(newId, secureData, safeUser);
             
-            return { success: true, id: newId };
+            return { success: true, id: newId, followUpTaskId: followUp ? followUp.taskId : null };
         } catch (error) {
             console.error('[InteractionService] createInteraction Error:', error);
             throw error;
@@ -200,9 +237,12 @@ class InteractionService {
     async updateInteraction(id, data, user) {
         try {
             const safeUser = user || {};
+            if (this.taskService) this.taskService.parseDueDate(data.nextActionDate, '下次行動日期');
+
             await this.interactionSqlWriter.updateInteraction(id, data, safeUser);
+            const followUp = await this._syncFollowUpTask(id, data, safeUser);
             
-            return { success: true };
+            return { success: true, followUpTaskId: followUp ? followUp.taskId : null };
         } catch (error) {
             console.error('[InteractionService] updateInteraction Error:', error);
             throw error;
@@ -0,0 +1,335 @@
+/**
+ * services/lead-routing-service.js
+ * LINE 名片分派 (潛在客戶 → 負責業務) 與處理時效 (SLA)
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - 新進的 LINE 名片 (有 LINE_USER_ID、尚未分派、建立於 config.LEAD_ROUTING.LOOKBACK_DAYS 天內)
+ * 於建檔時 (CardIntakeService，LINE 來源) 與每 INTERVAL_MINUTES 分鐘的排程自動分派 (讀取名片列表不再寫回)，規則依 RULE_ORDER 套用：
+ *   - exhibition：展會名片 (IS_EXHIBITION) 的展會名稱包含系統設定「名片分派展會」的 value → note 指定的業務。
+ *   - territory：由地址解析縣市 (與機會地圖 by-county 相同的縣市名稱，台 → 臺)，對照「名片分派區域」。
+ *   - round_robin：「名片分派業務」名單 (未設定時使用 LINE白名單) 依序輪流，接續最近一次輪派的下一位。
+ * - 業務以 LINE User ID 識別 (名單 value = User ID，note = 顯示名稱)；對照表的 note 可用逗號列出多位，依序輪流。
+ * - SLA：分派後 SLA_HOURS 小時內需首次處理 (負責業務於 LIFF 編輯名片時記錄 FIRST_RESPONSE_TIME)。
+ * - 改派限「名片分派管理員」名單內的 LINE 帳號；錯誤訊息以「無法建檔：」開頭 (HTTP 400)。
+ * - 分派在程序內依序執行 (建檔與排程不會同時輪派)；寫入前只重新讀取該列 (contactRawReader.getContactRow)，列號已位移 (名片被刪除) 或已被分派則略過，留待下一輪。
+ * - [1.0.1] 寫入前的確認改為只讀取目標列，不再每張名片重新讀取整張 RAW Sheet。
+ */
+
+const SALES_CONFIG_TYPE = '名片分派業務';
+const TERRITORY_CONFIG_TYPE = '名片分派區域';
+const EXHIBITION_CONFIG_TYPE = '名片分派展會';
+const ADMIN_CONFIG_TYPE = '名片分派管理員';
+const WHITELIST_CONFIG_TYPE = 'LINE白名單';
+
+const RULE_LABELS = {
+    exhibition: '展會',
+    territory: '區域',
+    round_robin: '輪派',
+    manual: '手動改派'
+};
+
+// 與前端 detectCountyFromAddress / 機會地圖的縣市名稱一致
+const COUNTIES = ['臺北市', '新北市', '桃園市', '臺中市', '臺南市', '高雄市', '基隆市', '新竹市', '嘉義市', '新竹縣', '苗栗縣', '彰化縣', '南投縣', '雲林縣', '嘉義縣', '屏東縣', '宜蘭縣', '花蓮縣', '臺東縣', '澎湖縣', '金門縣', '連江縣'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class LeadRoutingService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactReader} dependencies.contactRawReader - RAW (原始名片資料) reader
+     * @param {ContactWriter} dependencies.contactWriter - RAW (原始名片資料) writer
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.config
+     */
+    constructor({ contactRawReader, contactWriter, systemService, config }) {
+        this.contactRawReader = contactRawReader;
+        this.contactWriter = contactWriter;
+        this.systemService = systemService;
+        this.config = config;
+
+        // 目前執行中的分派 (依序執行，避免重複輪派)
+        this._routingQueue = Promise.resolve();
+    }
+
+    // ============================================================
+    // 設定
+    // ============================================================
+
+    _splitIds(note) {
+        return String(note || '').split(/[,，\s]+/).map(id => id.trim()).filter(Boolean);
+    }
+
+    /**
+     * 由系統設定整理分派所需的名單與對照表
+     */
+    _buildRoutingConfig(sysConfig) {
+        const byOrder = (a, b) => (Number(a.order) || 0) - (Number(b.order) || 0);
+
+        const salesSource = (sysConfig[SALES_CONFIG_TYPE] || []).length > 0
+            ? sysConfig[SALES_CONFIG_TYPE]
+            : (sysConfig[WHITELIST_CONFIG_TYPE] || []);
+        const salespeople = [...salesSource].sort(byOrder)
+            .map(item => ({ id: String(item.value || '').trim(), name: String(item.note || '').trim() }))
+            .filter(p => p.id);
+
+        // 顯示名稱：分派名單優先，其次 LINE白名單
+        const names = new Map();
+        const knownIds = new Set();
+        [...(sysConfig[WHITELIST_CONFIG_TYPE] || []), ...salesSource].forEach(item => {
+            const id = String(item.value || '').trim();
+            if (!id) return;
+            knownIds.add(id);
+            if (item.note) names.set(id, String(item.note).trim());
+        });
+
+        const territories = new Map();
+        (sysConfig[TERRITORY_CONFIG_TYPE] || []).forEach(item => {
+            const county = String(item.value || '').trim().replace(/台/g, '臺');
+            const ids = this._splitIds(item.note);
+            if (county && ids.length > 0) territories.set(county, ids);
+        });
+
+        const exhibitions = (sysConfig[EXHIBITION_CONFIG_TYPE] || [])
+            .map(item => ({ keyword: String(item.value || '').trim(), ids: this._splitIds(item.note) }))
+            .filter(e => e.keyword && e.ids.length > 0);
+
+        const admins = new Set((sysConfig[ADMIN_CONFIG_TYPE] || [])
+            .map(item => String(item.value || '').trim())
+            .filter(Boolean));
+
+        return { salespeople, names, knownIds, territories, exhibitions, admins };
+    }
+
+    async _getRoutingConfig() {
+        return this._buildRoutingConfig(await this.systemService.getSystemConfig());
+    }
+
+    /**
+     * 是否為可改派的管理員
+     * @param {string} lineUserId
+     */
+    async isRoutingAdmin(lineUserId) {
+        const { admins } = await this._getRoutingConfig();
+        return admins.has(lineUserId);
+    }
+
+    // ============================================================
+    // 分派規則
+    // ============================================================
+
+    detectCounty(address) {
+        const normalized = String(address || '').replace(/台/g, '臺');
+        return COUNTIES.find(county => normalized.includes(county)) || null;
+    }
+
+    _isExhibition(lead) {
+        return lead.is_exhibition === true || String(lead.is_exhibition || '').toUpperCase() === 'TRUE';
+    }
+
+    /**
+     * 多位候選時，接續該規則最近一次分派給的人之後的下一位
+     */
+    _nextInRotation(ids, lastAssignee) {
+        if (ids.length === 1) return ids[0];
+        const lastIndex = ids.indexOf(lastAssignee);
+        return ids[(lastIndex + 1) % ids.length];
+    }
+
+    /**
+     * 選出負責業務
+     * @param {Object} lead
+     * @param {Object} routing - _buildRoutingConfig 的結果
+     * @param {Object} lastByRule - 各規則 (或對照鍵) 最近一次的分派對象，分派後會更新
+     * @returns {{ assignedTo: string, assignmentRule: string }|null}
+     */
+    _chooseAssignee(lead, routing, lastByRule) {
+        for (const rule of this.config.LEAD_ROUTING.RULE_ORDER) {
+            let ids = [];
+            let rotationKey = rule;
+
+            if (rule === 'exhibition' && this._isExhibition(lead) && lead.exhibition_name) {
+                const match = routing.exhibitions.find(e => lead.exhibition_name.includes(e.keyword));
+                if (match) {
+                    ids = match.ids;
+                    rotationKey = `exhibition:${match.keyword}`;
+                }
+            } else if (rule === 'territory') {
+                const county = this.detectCounty(lead.address);
+                if (county && routing.territories.has(county)) {
+                    ids = routing.territories.get(county);
+                    rotationKey = `territory:${county}`;
+                }
+            } else if (rule === 'round_robin') {
+                ids = routing.salespeople.map(p => p.id);
+            }
+
+            if (ids.length > 0) {
+                const assignedTo = this._nextInRotation(ids, lastByRule[rotationKey]);
+                lastByRule[rotationKey] = assignedTo;
+                return { assignedTo, assignmentRule: rotationKey };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 由既有分派紀錄找出各規則最近一次的分派對象 (輪派不需額外儲存指標)
+     */
+    _lastAssignments(leads) {
+        const latest = {};
+        leads
+            .filter(l => l.assignedTo && l.assignmentRule && l.assignedTime)
+            .sort((a, b) => new Date(a.assignedTime) - new Date(b.assignedTime))
+            .forEach(l => { latest[l.assignmentRule] = l.assignedTo; });
+        return latest;
+    }
+
+    _shouldAutoRoute(lead, now) {
+        if (lead.assignedTo || !lead.lineUserId) return false;
+        const created = new Date(lead.createdTime);
+        if (isNaN(created.getTime())) return false;
+        return now - created.getTime() <= this.config.LEAD_ROUTING.LOOKBACK_DAYS * DAY_MS;
+    }
+
+    async _readLeads() {
+        if (this.contactRawReader.invalidateCache) this.contactRawReader.invalidateCache('contacts');
+        const leads = await this.contactRawReader.getContacts();
+        return leads.filter(c => c.name || c.company);
+    }
+
+    /**
+     * 該列是否仍是同一張尚未分派的名片 (期間有名片被刪除時列號會位移)
+     */
+    async _isStillPending(lead) {
+        const current = await this.contactRawReader.getContactRow(lead.rowIndex);
+        return !!current
+            && !current.assignedTo
+            && current.createdTime === lead.createdTime
+            && current.lineUserId === lead.lineUserId
+            && current.name === lead.name;
+    }
+
+    /**
+     * 自動分派尚未分派的新進 LINE 名片 (依建立時間先後)，並寫回 RAW Sheet
+     * 由名片建檔與排程呼叫；同一程序內的呼叫依序執行。
+     * @returns {Promise<number>} 本次分派筆數
+     */
+    routeNewLeads() {
+        const run = this._routingQueue.then(() => this._routeNewLeads());
+        this._routingQueue = run.catch(() => {});
+        return run;
+    }
+
+    async _routeNewLeads() {
+        const now = Date.now();
+        const leads = await this._readLeads();
+        const pending = leads
+            .filter(lead => this._shouldAutoRoute(lead, now))
+            .sort((a, b) => new Date(a.createdTime) - new Date(b.createdTime));
+        if (pending.length === 0) return 0;
+
+        const routing = await this._getRoutingConfig();
+        const lastByRule = this._lastAssignments(leads);
+        let routed = 0;
+
+        for (const lead of pending) {
+            const choice = this._chooseAssignee(lead, routing, lastByRule);
+            if (!choice) continue;
+
+            if (!(await this._isStillPending(lead))) {
+                console.warn(`[LeadRoutingService] Row ${lead.rowIndex} changed before assignment, retrying next run`);
+                break;
+            }
+
+            const assignment = { ...choice, assignedTime: new Date().toISOString() };
+            await this.contactWriter.writeLeadAssignment(lead.rowIndex, assignment);
+            routed++;
+        }
+
+        if (routed > 0) console.log(`📇 [LeadRoutingService] 已自動分派 ${routed} 張名片`);
+        return routed;
+    }
+
+    // ============================================================
+    // SLA 與顯示
+    // ============================================================
+
+    _slaStatus(lead, now) {
+        if (!lead.assignedTo || !lead.assignedTime) return null;
+        const assigned = new Date(lead.assignedTime).getTime();
+        if (isNaN(assigned)) return null;
+
+        const due = assigned + this.config.LEAD_ROUTING.SLA_HOURS * HOUR_MS;
+        const dueTime = new Date(due).toISOString();
+        if (lead.firstResponseTime) {
+            const responded = new Date(lead.firstResponseTime).getTime();
+            return { status: responded <= due ? 'met' : 'late', dueTime };
+        }
+        return { status: now > due ? 'overdue' : 'due', dueTime };
+    }
+
+    /**
+     * 附加分派資訊供前端顯示 (我的名片 / 未分派 / 逾期)
+     * @param {Array<Object>} leads
+     * @returns {Promise<{ leads: Array<Object>, salespeople: Array<{id, name}>, admins: Set<string> }>}
+     */
+    async describeAssignments(leads) {
+        const routing = await this._getRoutingConfig();
+        const now = Date.now();
+
+        const decorated = leads.map(lead => {
+            if (!lead.assignedTo) return { ...lead, assignment: null };
+            const rule = String(lead.assignmentRule || '').split(':')[0];
+            return {
+                ...lead,
+                assignment: {
+                    assignedTo: lead.assignedTo,
+                    assigneeName: routing.names.get(lead.assignedTo) || lead.assignedTo,
+                    assignedTime: lead.assignedTime,
+                    rule: lead.assignmentRule,
+                    ruleLabel: RULE_LABELS[rule] || lead.assignmentRule || '',
+                    firstResponseTime: lead.firstResponseTime || null,
+                    sla: this._slaStatus(lead, now)
+                }
+            };
+        });
+
+        return { leads: decorated, salespeople: routing.salespeople, admins: routing.admins };
+    }
+
+    /**
+     * 負責業務首次處理名片時記錄回應時間 (已記錄則略過)
+     * @param {Object} lead - 目前的名片資料
+     * @param {string} lineUserId - 執行操作的 LINE 帳號
+     */
+    async recordFirstResponse(lead, lineUserId) {
+        if (!lead || !lead.assignedTo || lead.firstResponseTime || lead.assignedTo !== lineUserId) return false;
+        return this.contactWriter.writeLeadAssignment(lead.rowIndex, { firstResponseTime: new Date().toISOString() });
+    }
+
+    /**
+     * 管理員改派 (assignedTo 為空字串時取消分派，回到未分派佇列)
+     * @param {Object} lead - 目前的名片資料
+     * @param {string} assignedTo - 新負責業務的 LINE User ID
+     * @returns {Promise<Object>} 寫入的分派欄位
+     */
+    async reassignLead(lead, assignedTo) {
+        const target = String(assignedTo || '').trim();
+        const routing = await this._getRoutingConfig();
+
+        if (target && !routing.knownIds.has(target)) {
+            throw new Error('無法建檔：指定的業務不在分派名單或 LINE白名單中');
+        }
+
+        const assignment = target
+            ? { assignedTo: target, assignedTime: new Date().toISOString(), assignmentRule: 'manual', firstResponseTime: '' }
+            : { assignedTo: '', assignedTime: '', assignmentRule: '', firstResponseTime: '' };
+
+        await this.contactWriter.writeLeadAssignment(lead.rowIndex, assignment);
+        return assignment;
+    }
+}
+
+module.exports = LeadRoutingService;
@@ -0,0 +1,219 @@
+/**
+ * services/lead-scoring-service.js
+ * 潛在客戶 (RAW 名片) 評分
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 依 config.LEAD_SCORING 計算每筆潛在客戶 0~100 分，附上各因子明細 (leadScore.breakdown) 供名片卡片顯示：
+ * 職稱層級、公司類型 (系統設定「公司類型」)、公司規模、展會名片 (IS_EXHIBITION)、公司已有進行中機會、資料完整度。
+ * - 公司以正規化名稱比對 CRM 公司資料，並套用系統設定「公司別名」(value = 別名，note = 正式名稱)。
+ * - 公司規模：該公司進行中機會的最大「設備規模」(依系統設定排序，由小到大)；無機會時依公司型態推估。
+ * - 系統設定「名片評分」可覆寫因子權重 (value = 因子 key，note = 分數)。
+ * - scoreLeads() 每次呼叫只載入一次公司、機會與系統設定。
+ */
+
+const WEIGHT_CONFIG_TYPE = '名片評分';
+const ALIAS_CONFIG_TYPE = '公司別名';
+
+const FACTOR_LABELS = {
+    seniority: '職稱層級',
+    companyType: '公司類型',
+    companySize: '公司規模',
+    exhibition: '展會名片',
+    openOpportunity: '進行中機會',
+    completeness: '資料完整度'
+};
+
+const COMPLETENESS_FIELDS = [
+    { label: '姓名', has: c => !!c.name },
+    { label: '公司', has: c => !!c.company },
+    { label: '職稱', has: c => !!c.position },
+    { label: '電話', has: c => !!(c.mobile || c.phone) },
+    { label: 'Email', has: c => !!c.email }
+];
+
+class LeadScoringService {
+    /**
+     * @param {Object} dependencies
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.config
+     */
+    constructor({ companySqlReader, opportunitySqlReader, systemService, config }) {
+        this.companySqlReader = companySqlReader;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.systemService = systemService;
+        this.config = config;
+
+        const scoring = config.LEAD_SCORING;
+        this.seniorityTiers = scoring.SENIORITY_TIERS.map(t => ({ ...t, regex: new RegExp(t.pattern, 'i') }));
+        this.companyTypeRatios = scoring.COMPANY_TYPE_RATIOS.map(t => ({ ...t, regex: new RegExp(t.pattern, 'i') }));
+    }
+
+    /**
+     * 與 CompanyService._normalizeCompanyName 相同的規則
+     */
+    _normalizeCompanyName(name) {
+        if (!name) return '';
+        return String(name).toLowerCase().trim()
+            .replace(/股份有限公司|有限公司|公司/g, '')
+            .replace(/\(.*\)/g, '')
+            .trim();
+    }
+
+    _isTrue(value) {
+        return value === true || String(value || '').toUpperCase() === 'TRUE';
+    }
+
+    _getWeights(sysConfig) {
+        const weights = { ...this.config.LEAD_SCORING.WEIGHTS };
+        (sysConfig[WEIGHT_CONFIG_TYPE] || []).forEach(item => {
+            const points = Number(item.note);
+            if (Object.prototype.hasOwnProperty.call(weights, item.value) && Number.isFinite(points) && points >= 0) {
+                weights[item.value] = points;
+            }
+        });
+        return weights;
+    }
+
+    /**
+     * 一次載入評分所需的參考資料
+     */
+    async _loadContext() {
+        const [companies, opportunities, sysConfig] = await Promise.all([
+            this.companySqlReader.getCompanies().catch(error => {
+                console.warn('[LeadScoringService] 無法載入公司資料:', error.message);
+                return [];
+            }),
+            this.opportunitySqlReader.getOpenOpportunitiesForForecast().catch(error => {
+                console.warn('[LeadScoringService] 無法載入進行中機會:', error.message);
+                return [];
+            }),
+            this.systemService.getSystemConfig()
+        ]);
+
+        const aliasMap = new Map();
+        (sysConfig[ALIAS_CONFIG_TYPE] || []).forEach(item => {
+            const alias = this._normalizeCompanyName(item.value);
+            const official = this._normalizeCompanyName(item.note);
+            if (alias && official) aliasMap.set(alias, official);
+        });
+        const resolveKey = (name) => {
+            const key = this._normalizeCompanyName(name);
+            return aliasMap.get(key) || key;
+        };
+
+        const companyByKey = new Map();
+        companies.forEach(company => {
+            const key = resolveKey(company.companyName);
+            if (key && !companyByKey.has(key)) companyByKey.set(key, company);
+        });
+
+        // 設備規模：系統設定順序由小到大
+        const scaleOptions = (sysConfig['設備規模'] || []).map(item => item.value);
+        const scaleRatio = (value) => {
+            const index = scaleOptions.indexOf(value);
+            return index < 0 ? 0 : (index + 1) / scaleOptions.length;
+        };
+
+        const openByKey = new Map();
+        opportunities.forEach(opp => {
+            const key = resolveKey(opp.customerCompany);
+            if (!key) return;
+            const entry = openByKey.get(key) || { count: 0, scaleRatio: 0, scale: '' };
+            entry.count += 1;
+            const ratio = scaleRatio(opp.deviceScale);
+            if (ratio > entry.scaleRatio) {
+                entry.scaleRatio = ratio;
+                entry.scale = opp.deviceScale;
+            }
+            openByKey.set(key, entry);
+        });
+
+        return { resolveKey, companyByKey, openByKey, weights: this._getWeights(sysConfig) };
+    }
+
+    _factor(key, ratio, weights, detail) {
+        const max = weights[key] || 0;
+        return { key, label: FACTOR_LABELS[key], points: Math.round(max * ratio * 10) / 10, max, detail };
+    }
+
+    _scoreOne(contact, context) {
+        const { weights } = context;
+        const companyKey = context.resolveKey(contact.company);
+        const company = companyKey ? context.companyByKey.get(companyKey) : null;
+        const open = companyKey ? context.openByKey.get(companyKey) : null;
+        const breakdown = [];
+
+        // 職稱層級
+        const position = String(contact.position || '');
+        const tier = position ? this.seniorityTiers.find(t => t.regex.test(position)) : null;
+        breakdown.push(this._factor('seniority', tier ? tier.ratio : 0, weights,
+            tier ? tier.label : (position ? '未分級職稱' : '無職稱')));
+
+        // 公司類型
+        let typeRatio = 0;
+        let typeDetail = '未建檔公司';
+        if (company) {
+            const type = String(company.companyType || '');
+            const matched = type ? this.companyTypeRatios.find(t => t.regex.test(type)) : null;
+            typeRatio = matched ? matched.ratio : this.config.LEAD_SCORING.OTHER_COMPANY_TYPE_RATIO;
+            typeDetail = type || '未設定類型';
+        }
+        breakdown.push(this._factor('companyType', typeRatio, weights, typeDetail));
+
+        // 公司規模
+        let sizeRatio = 0;
+        let sizeDetail = '無公司資料';
+        if (open && open.scaleRatio > 0) {
+            sizeRatio = open.scaleRatio;
+            sizeDetail = `設備規模：${open.scale}`;
+        } else if (/股份有限公司|corporation|\bcorp\b|\binc\b/i.test(contact.company || '')) {
+            sizeRatio = 0.5;
+            sizeDetail = '股份有限公司 (推估)';
+        } else if (contact.company) {
+            sizeRatio = 0.2;
+            sizeDetail = '推估';
+        }
+        breakdown.push(this._factor('companySize', sizeRatio, weights, sizeDetail));
+
+        // 展會名片
+        const isExhibition = this._isTrue(contact.is_exhibition);
+        breakdown.push(this._factor('exhibition', isExhibition ? 1 : 0, weights,
+            isExhibition ? (contact.exhibition_name || '展會') : '非展會'));
+
+        // 進行中機會
+        breakdown.push(this._factor('openOpportunity', open ? 1 : 0, weights,
+            open ? `${open.count} 個進行中機會` : '無'));
+
+        // 資料完整度
+        const missing = COMPLETENESS_FIELDS.filter(f => !f.has(contact)).map(f => f.label);
+        breakdown.push(this._factor('completeness', (COMPLETENESS_FIELDS.length - missing.length) / COMPLETENESS_FIELDS.length, weights,
+            missing.length ? `缺少 ${missing.join('、')}` : '完整'));
+
+        const max = breakdown.reduce((sum, f) => sum + f.max, 0);
+        const earned = breakdown.reduce((sum, f) => sum + f.points, 0);
+        const total = max > 0 ? Math.round(earned / max * 100) : 0;
+        const { HIGH, MEDIUM } = this.config.LEAD_SCORING.SCORE_BANDS;
+
+        return {
+            total,
+            band: total >= HIGH ? 'high' : (total >= MEDIUM ? 'medium' : 'low'),
+            breakdown
+        };
+    }
+
+    /**
+     * 為潛在客戶附加 leadScore (不改變順序)
+     * @param {Array<Object>} contacts - RAW 潛在客戶
+     * @returns {Promise<Array<Object>>} 每筆多一個 leadScore: { total, band, breakdown: [{ key, label, points, max, detail }] }
+     */
+    async scoreLeads(contacts) {
+        if (!Array.isArray(contacts) || contacts.length === 0) return [];
+        const context = await this._loadContext();
+        return contacts.map(contact => ({ ...contact, leadScore: this._scoreOne(contact, context) }));
+    }
+}
+
+module.exports = LeadScoringService;
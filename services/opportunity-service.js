@@ -4,9 +4,13 @@
 /**
  * services/opportunity-service.js
  * 機會案件業務邏輯層 (Service Layer)
- * @version 8.12.2 (Phase A - Identity & Empty Contact Patch)
- * @date 2026-04-17
+ * @version 8.14.1 (Pipeline Stage-Gate Rules)
+ * @date 2026-10-19
  * @description 
+ * - [FIX] updateOpportunity ignores close_* fields unless called from the close flow (options.skipStageRules); moving into a close stage is rejected by PipelineService (close_required, HTTP 422).
+ * - [FEAT] updateOpportunity validates stage changes through PipelineService (allowed transitions + required fields, HTTP 422) and applies the target stage's default win probability.
+ * - [FEAT] Added getStageReachability for the frontend stepper.
+ * - [FEAT] updateOpportunity accepts options.expectedUpdatedTime; a version mismatch throws a 「資料衝突：」 error carrying the current server copy (HTTP 409).
  * - [PATCH] Prevent empty/whitespace contact creation during scaffolding.
  * - [PATCH] Fixed modifier extraction to correctly resolve string identities and req.user.name for create and modify flows.
  * - [PATCH] Added system interaction logging for Create Opportunity (Phase A).
@@ -27,6 +31,8 @@
  * - [PHASE 7] Migrated Contact Linking (Add/Delete) to SQL Writer.
  */
 
+const { createConflictError } = require('../utils/concurrency');
+
 class OpportunityService {
     constructor({
         config,
@@ -44,7 +50,8 @@ class OpportunityService {
         companySqlReader,  
         interactionSqlReader, 
         contactSqlReader,
-        contactSqlWriter 
+        contactSqlWriter,
+        pipelineService
     }) {
         this.config = config;
         
@@ -58,6 +65,7 @@ class OpportunityService {
         this.companySqlReader = companySqlReader;   
         this.interactionSqlReader = interactionSqlReader; 
         this.contactSqlReader = contactSqlReader; 
+        this.pipelineService = pipelineService;
 
         // Writers
         this.opportunityWriter = opportunityWriter;
@@ -271,7 +279,16 @@ class OpportunityService {
         }
     }
 
-    async updateOpportunity(opportunityId, updateData, user) {
+    /**
+     * 更新機會案件
+     * @param {string} opportunityId
+     * @param {Object} updateData
+     * @param {Object} user
+     * @param {Object} [options]
+     * @param {string} [options.expectedUpdatedTime] - 樂觀鎖版本 (If-Match)；不符時拋出「資料衝突：」錯誤 (409)
+     * @param {boolean} [options.skipStageRules] - 略過階段閘門並允許寫入結案欄位 (僅供結案流程使用)
+     */
+    async updateOpportunity(opportunityId, updateData, user, options = {}) {
         try {
             const modifier = this._resolveModifier(user);
             
@@ -289,7 +306,25 @@ class OpportunityService {
             
             const logs = [];
 
+            if (!options.skipStageRules) {
+                // 結案欄位只由結案流程 (WorkflowService.closeOpportunity) 寫入
+                const { closeResult, closeReason, closeCompetitor, closeNote, closedTime, ...editableData } = updateData;
+                updateData = editableData;
+            }
+
             const newStage = updateData.currentStage;
+            if (newStage && newStage !== oldStage && this.pipelineService && !options.skipStageRules) {
+                // 階段閘門：不合法的轉換或缺少必填欄位時拋出「階段規則：」錯誤 (422)
+                const { defaultProbability } = await this.pipelineService.validateTransition(originalOpportunity, updateData, systemConfig);
+
+                // 未明確改動下單機率時，套用目標階段的預設值
+                const probabilityUntouched = updateData.orderProbability === undefined
+                    || String(updateData.orderProbability) === String(originalOpportunity.orderProbability ?? '');
+                if (defaultProbability && probabilityUntouched) {
+                    updateData = { ...updateData, orderProbability: defaultProbability };
+                }
+            }
+
             if (newStage && oldStage && newStage !== oldStage) {
                 const oldStageName = stageMapping.get(oldStage) || oldStage;
                 const newStageName = stageMapping.get(newStage) || newStage;
@@ -309,7 +344,12 @@ class OpportunityService {
                 logs.push(`預計結案日從 [${originalOpportunity.expectedCloseDate || '未設定'}] 更新為 [${updateData.expectedCloseDate || '未設定'}]`);
             }
 
-            const updateResult = await this.opportunitySqlWriter.updateOpportunity(opportunityId, updateData, modifier);
+            const updateResult = await this.opportunitySqlWriter.updateOpportunity(opportunityId, updateData, modifier, options);
+
+            if (updateResult.conflict) {
+                const current = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+                throw createConflictError('機會案件', current);
+            }
             
             if (logs.length > 0) {
                 await this._logOpportunityInteraction(
@@ -327,6 +367,23 @@ class OpportunityService {
         }
     }
     
+    /**
+     * 取得各階段是否可前往 (前端 Stepper 反灰依據)
+     * @param {string} opportunityId
+     */
+    async getStageReachability(opportunityId) {
+        try {
+            const opportunity = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+            if (!opportunity) {
+                throw new Error(`找不到機會ID為 ${opportunityId} 的案件`);
+            }
+            return await this.pipelineService.getStageReachability(opportunity);
+        } catch (error) {
+            console.error('[OpportunityService] getStageReachability Error:', error);
+            throw error;
+        }
+    }
+
     async addContactToOpportunity(opportunityId, contactData, user) {
         try {
             const modifier = this._resolveModifier(user);
@@ -450,7 +507,7 @@ class OpportunityService {
                             companyId: company.companyId,
                             eventType: '系統事件',
                             eventTitle: '刪除機會案件',
-                            contentSummary: `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${modifier} 刪除。`,
+                            contentSummary: `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${modifier} 移至回收桶。`,
                             recorder: modifier,
                             interactionTime: new Date().toISOString()
                         }, user);
@@ -0,0 +1,241 @@
+/**
+ * services/pipeline-service.js
+ * 機會階段流程 (Pipeline State Machine / Stage-Gate Rules)
+ * @version 1.1.1
+ * @date 2026-10-19
+ * @description
+ * - 結案階段 (config.CONSTANTS.CLOSE_STAGES) 只能經由結案流程進入；一般階段變更移入時拋出 close_required 違規，Stepper 亦將其反灰。
+ * - 流程定義來自系統設定類型「機會階段規則」，每列對應一個階段 (欄位 B = 階段值)：
+ * - value2 (G 欄): 允許前往的下一階段，逗號分隔；留白或 `*` 代表不限制。
+ * - value3 (H 欄): 進入此階段前必填的欄位，逗號分隔 (opportunityValue, expectedCloseDate, linkedContacts ...)。
+ * - note (E 欄): 進入此階段時套用的預設下單機率 (需為「下單機率」設定值)。
+ * - 尚未設定任何「機會階段規則」時，僅套用 DEFAULT_STAGE_GATES 的必填條件，轉換不受限制 (與舊版行為相容)。
+ * - 違規時拋出「階段規則：」開頭的錯誤，由 handleApiError 轉為 HTTP 422。
+ * - [1.1.1] getEntryViolations()：新建 (匯入) 的機會直接位於某階段時套用相同的結案階段與必填欄位規則，回傳違規清單 (不拋出)。
+ */
+
+const { CLOSE_STAGES } = require('../config').CONSTANTS;
+
+const RULE_CONFIG_TYPE = '機會階段規則';
+const CLOSE_STAGE_VALUES = [...CLOSE_STAGES.LEGACY_WON, ...CLOSE_STAGES.LEGACY_LOST];
+
+// 尚未設定規則時的預設閘門
+const DEFAULT_STAGE_GATES = {
+    '03_提案報價': ['opportunityValue', 'expectedCloseDate'],
+    '04_談判修正': ['linkedContacts']
+};
+
+const FIELD_LABELS = {
+    opportunityValue: '機會價值',
+    expectedCloseDate: '預計結案日',
+    linkedContacts: '至少一位關聯聯絡人',
+    mainContact: '主要聯絡人',
+    assignee: '負責業務',
+    customerCompany: '終端客戶',
+    orderProbability: '下單機率',
+    salesModel: '銷售模式'
+};
+
+/**
+ * 建立階段規則錯誤 (HTTP 422)
+ * @param {string} message
+ * @param {Array<Object>} violations
+ */
+function createStageRuleError(message, violations = []) {
+    const error = new Error(`階段規則：${message}`);
+    error.violations = violations;
+    return error;
+}
+
+const splitList = (str) => (str || '').split(',').map(s => s.trim()).filter(Boolean);
+
+class PipelineService {
+    /**
+     * @param {Object} dependencies
+     * @param {SystemService} dependencies.systemService
+     * @param {ContactSqlReader} dependencies.contactSqlReader
+     */
+    constructor({ systemService, contactSqlReader }) {
+        this.systemService = systemService;
+        this.contactSqlReader = contactSqlReader;
+    }
+
+    /**
+     * 解析流程定義
+     * @param {Object} [systemConfig] - 已取得的系統設定 (避免重複讀取)
+     * @returns {Promise<{ stages: Array<Object>, configured: boolean }>}
+     */
+    async getPipelineDefinition(systemConfig = null) {
+        const settings = systemConfig || await this.systemService.getSystemConfig();
+        const stageItems = settings['機會階段'] || [];
+        const ruleItems = settings[RULE_CONFIG_TYPE] || [];
+        const configured = ruleItems.length > 0;
+        const ruleMap = new Map(ruleItems.map(item => [item.value, item]));
+
+        const stages = stageItems.map(stage => {
+            const rule = ruleMap.get(stage.value);
+            let allowedNext = null; // null = 不限制
+            let requiredFields = [];
+            let defaultProbability = null;
+
+            if (rule) {
+                const next = splitList(rule.value2);
+                allowedNext = (next.length === 0 || next.includes('*')) ? null : next;
+                requiredFields = splitList(rule.value3);
+                // SystemService 在 note 留白時會以階段值補上，此時視為未設定
+                if (rule.note && rule.note !== rule.value) defaultProbability = rule.note;
+            } else if (!configured) {
+                requiredFields = DEFAULT_STAGE_GATES[stage.value] || [];
+            }
+
+            return {
+                value: stage.value,
+                note: stage.note || stage.value,
+                order: stage.order,
+                allowedNext,
+                requiredFields,
+                defaultProbability
+            };
+        });
+
+        return { stages, configured };
+    }
+
+    _isMissing(fieldKey, opportunity, linkedContactCount) {
+        if (fieldKey === 'linkedContacts') return linkedContactCount < 1;
+        if (fieldKey === 'opportunityValue') {
+            const num = Number(String(opportunity.opportunityValue ?? '').replace(/,/g, ''));
+            return !num;
+        }
+        const value = opportunity[fieldKey];
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    _missingFields(requiredFields, opportunity, linkedContactCount) {
+        return requiredFields.filter(f => this._isMissing(f, opportunity, linkedContactCount));
+    }
+
+    async _countLinkedContacts(opportunityId, requiredFieldLists) {
+        const needsContacts = requiredFieldLists.some(list => list.includes('linkedContacts'));
+        if (!needsContacts || !opportunityId || !this.contactSqlReader) return 0;
+        const contacts = await this.contactSqlReader.getContactsByOpportunityId(opportunityId);
+        return (contacts || []).length;
+    }
+
+    /**
+     * 驗證階段轉換 (僅在階段實際變動時呼叫)
+     * @param {Object} original - 目前的機會 DTO
+     * @param {Object} updateData - 本次更新內容
+     * @param {Object} [systemConfig]
+     * @returns {Promise<{ defaultProbability: string|null }>} 通過時回傳目標階段的預設下單機率
+     * @throws {Error} 「階段規則：」錯誤 (422)
+     */
+    async validateTransition(original, updateData, systemConfig = null) {
+        const fromStage = original.currentStage;
+        const toStage = updateData.currentStage;
+        const { stages } = await this.getPipelineDefinition(systemConfig);
+        const stageMap = new Map(stages.map(s => [s.value, s]));
+        const target = stageMap.get(toStage);
+
+        if (CLOSE_STAGE_VALUES.includes(toStage)) {
+            throw createStageRuleError(
+                `進入【${target ? target.note : toStage}】需透過結案流程填寫結案原因、競爭對手與說明`,
+                [{ type: 'close_required', stage: toStage }]
+            );
+        }
+
+        if (stages.length > 0 && !target) {
+            throw createStageRuleError(`未知的機會階段「${toStage}」`, [{ type: 'unknown_stage', stage: toStage }]);
+        }
+
+        const source = stageMap.get(fromStage);
+        if (source && source.allowedNext && !source.allowedNext.includes(toStage)) {
+            throw createStageRuleError(
+                `不允許從【${source.note}】直接移至【${target ? target.note : toStage}】`,
+                [{ type: 'transition', from: fromStage, to: toStage, allowed: source.allowedNext }]
+            );
+        }
+
+        const requiredFields = target ? target.requiredFields : [];
+        if (requiredFields.length > 0) {
+            const merged = { ...original, ...updateData };
+            const linkedCount = await this._countLinkedContacts(original.opportunityId, [requiredFields]);
+            const missing = this._missingFields(requiredFields, merged, linkedCount);
+
+            if (missing.length > 0) {
+                throw createStageRuleError(
+                    `進入【${target.note}】前需先完成：${missing.map(f => FIELD_LABELS[f] || f).join('、')}`,
+                    missing.map(f => ({ type: 'required_field', stage: toStage, field: f, label: FIELD_LABELS[f] || f }))
+                );
+            }
+        }
+
+        return { defaultProbability: target ? target.defaultProbability : null };
+    }
+
+    /**
+     * 新建的機會直接位於 opportunity.currentStage 時的違規 (沒有來源階段，不檢查允許的轉換)
+     * @param {Object} opportunity - 機會 DTO
+     * @param {Object} definition - getPipelineDefinition() 的結果
+     * @param {number} [linkedContactCount=0]
+     * @returns {Array<Object>} violations (格式同 validateTransition 錯誤的 violations)；空陣列代表通過
+     */
+    getEntryViolations(opportunity, definition, linkedContactCount = 0) {
+        const stage = opportunity.currentStage;
+        if (CLOSE_STAGE_VALUES.includes(stage)) return [{ type: 'close_required', stage }];
+
+        const target = definition.stages.find(s => s.value === stage);
+        if (!target) {
+            return definition.stages.length > 0 ? [{ type: 'unknown_stage', stage }] : [];
+        }
+
+        return this._missingFields(target.requiredFields, opportunity, linkedContactCount)
+            .map(f => ({ type: 'required_field', stage, field: f, label: FIELD_LABELS[f] || f }));
+    }
+
+    /**
+     * 計算單一機會各階段是否可前往 (供前端 Stepper 反灰)
+     * @param {Object} opportunity - 機會 DTO
+     * @returns {Promise<Object>} { currentStage, stages: [{ value, note, reachable, reason, missingFields }] }
+     */
+    async getStageReachability(opportunity) {
+        const { stages, configured } = await this.getPipelineDefinition();
+        const current = stages.find(s => s.value === opportunity.currentStage);
+        const linkedCount = await this._countLinkedContacts(
+            opportunity.opportunityId,
+            stages.map(s => s.requiredFields)
+        );
+
+        return {
+            currentStage: opportunity.currentStage,
+            configured,
+            stages: stages.map(stage => {
+                if (stage.value === opportunity.currentStage) {
+                    return { value: stage.value, note: stage.note, reachable: true, reason: null, missingFields: [] };
+                }
+
+                if (CLOSE_STAGE_VALUES.includes(stage.value)) {
+                    return { value: stage.value, note: stage.note, reachable: false, reason: 'close_required', missingFields: [] };
+                }
+
+                if (current && current.allowedNext && !current.allowedNext.includes(stage.value)) {
+                    return { value: stage.value, note: stage.note, reachable: false, reason: 'transition', missingFields: [] };
+                }
+
+                const missingFields = stage.requiredFields
+                    .filter(f => this._isMissing(f, opportunity, linkedCount))
+                    .map(f => FIELD_LABELS[f] || f);
+
+                return {
+                    value: stage.value,
+                    note: stage.note,
+                    reachable: missingFields.length === 0,
+                    reason: missingFields.length > 0 ? 'required_field' : null,
+                    missingFields
+                };
+            })
+        };
+    }
+}
+
+module.exports = PipelineService;
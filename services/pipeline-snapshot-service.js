@@ -0,0 +1,232 @@
+/**
+ * services/pipeline-snapshot-service.js
+ * Pipeline 明細快照與差異分析
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - 每日排程 captureSnapshot() 記錄所有進行中機會的階段、金額、下單機率與預計結案日 (opportunity_pipeline_snapshots)。
+ * - diffSnapshots(from, to) 比較兩個日期的快照 (各自取該日或之前最近的一次)，列出：
+ * 新增機會、離開 Pipeline (結案/刪除)、預計結案日延後、金額異動、階段倒退與推進。
+ * - [1.1.0] 快照金額依預計結案日匯率換算為本位幣後儲存 (CurrencyService)；缺少匯率的機會以 null 金額儲存：不計入 totalValue、不列入金額異動，件數另計於 unconvertedCount。
+ * - WeeklyBusinessService 以 getWeeklyChanges() 取得「本週 Pipeline 變化」。
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PipelineSnapshotService {
+    /**
+     * @param {Object} dependencies
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {PipelineSnapshotSqlReader} dependencies.pipelineSnapshotSqlReader
+     * @param {PipelineSnapshotSqlWriter} dependencies.pipelineSnapshotSqlWriter
+     * @param {SystemService} dependencies.systemService
+     * @param {CurrencyService} [dependencies.currencyService]
+     * @param {Object} dependencies.config
+     */
+    constructor({ opportunitySqlReader, pipelineSnapshotSqlReader, pipelineSnapshotSqlWriter, systemService, currencyService = null, config }) {
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.pipelineSnapshotSqlReader = pipelineSnapshotSqlReader;
+        this.pipelineSnapshotSqlWriter = pipelineSnapshotSqlWriter;
+        this.systemService = systemService;
+        this.currencyService = currencyService;
+        this.config = config;
+    }
+
+    _formatDate(date) {
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${m}-${d}`;
+    }
+
+    _today() {
+        return this._formatDate(new Date());
+    }
+
+    _toSnapshotItem(opp, fx) {
+        return {
+            opportunityId: opp.opportunityId,
+            opportunityName: opp.opportunityName,
+            customerCompany: opp.customerCompany,
+            assignee: opp.assignee,
+            salesModel: opp.salesModel,
+            currentStage: opp.currentStage,
+            opportunityValue: fx ? fx.toBase(opp.opportunityValue, opp.currency, opp.expectedCloseDate) : (parseFloat(String(opp.opportunityValue || 0).replace(/,/g, '')) || 0),
+            orderProbability: parseFloat(String(opp.orderProbability ?? '').replace('%', '')) || 0,
+            expectedCloseDate: opp.expectedCloseDate ? String(opp.expectedCloseDate).slice(0, 10) : null
+        };
+    }
+
+    /**
+     * 每日排程：儲存今日的 Pipeline 快照
+     */
+    async captureSnapshot() {
+        const [opportunities, fx] = await Promise.all([
+            this.opportunitySqlReader.getOpenOpportunitiesForForecast(),
+            this.currencyService ? this.currencyService.getConverter() : null
+        ]);
+        const snapshotDate = this._today();
+        const result = await this.pipelineSnapshotSqlWriter.saveSnapshot(
+            snapshotDate,
+            opportunities.map(opp => this._toSnapshotItem(opp, fx))
+        );
+        const missingFxCurrencies = fx ? fx.getMissingCurrencies() : [];
+        console.log(`📸 [PipelineSnapshotService] 已儲存 ${snapshotDate} Pipeline 快照 (${result.count} 筆)`);
+        if (missingFxCurrencies.length > 0) {
+            console.warn(`⚠️ [PipelineSnapshotService] 缺少匯率，金額未換算：${missingFxCurrencies.join(', ')}`);
+        }
+        return { ...result, missingFxCurrencies };
+    }
+
+    /**
+     * 列出近期有快照的日期
+     * @returns {Promise<Array<{ snapshotDate: string, count: number }>>}
+     */
+    async getSnapshotDates() {
+        const since = new Date(Date.now() - this.config.PIPELINE_SNAPSHOT.LIST_DAYS * DAY_MS);
+        return this.pipelineSnapshotSqlReader.getSnapshotDates(this._formatDate(since));
+    }
+
+    _summarize(items) {
+        const valued = items.filter(i => i.opportunityValue !== null);
+        return {
+            count: items.length,
+            totalValue: valued.reduce((sum, i) => sum + i.opportunityValue, 0),
+            // 擷取時缺少匯率、金額未計入 totalValue 的件數
+            unconvertedCount: items.length - valued.length
+        };
+    }
+
+    _brief(item) {
+        return {
+            opportunityId: item.opportunityId,
+            opportunityName: item.opportunityName,
+            customerCompany: item.customerCompany,
+            assignee: item.assignee,
+            currentStage: item.currentStage,
+            opportunityValue: item.opportunityValue,
+            expectedCloseDate: item.expectedCloseDate
+        };
+    }
+
+    /**
+     * 比較兩個日期的 Pipeline 快照
+     * @param {string} fromDate - YYYY-MM-DD (取該日或之前最近一次快照)
+     * @param {string} [toDate] - YYYY-MM-DD，預設今日
+     * @returns {Promise<Object|null>} 任一端找不到快照時回傳 null
+     */
+    async diffSnapshots(fromDate, toDate = this._today()) {
+        try {
+            const [fromSnapshotDate, toSnapshotDate] = await Promise.all([
+                this.pipelineSnapshotSqlReader.getLatestSnapshotDateOnOrBefore(fromDate),
+                this.pipelineSnapshotSqlReader.getLatestSnapshotDateOnOrBefore(toDate)
+            ]);
+            if (!fromSnapshotDate || !toSnapshotDate) return null;
+
+            const [fromItems, toItems, systemConfig] = await Promise.all([
+                this.pipelineSnapshotSqlReader.getSnapshot(fromSnapshotDate),
+                this.pipelineSnapshotSqlReader.getSnapshot(toSnapshotDate),
+                this.systemService.getSystemConfig()
+            ]);
+
+            const stageList = systemConfig['機會階段'] || [];
+            const stageIndex = new Map(stageList.map((s, idx) => [s.value, idx]));
+            const stageName = new Map(stageList.map(s => [s.value, s.note || s.value]));
+            const fromMap = new Map(fromItems.map(i => [i.opportunityId, i]));
+            const toIds = new Set(toItems.map(i => i.opportunityId));
+
+            const newDeals = [];
+            const slippedCloseDates = [];
+            const valueChanges = [];
+            const stageRegressions = [];
+            const stageAdvances = [];
+
+            toItems.forEach(item => {
+                const prior = fromMap.get(item.opportunityId);
+                if (!prior) {
+                    newDeals.push(this._brief(item));
+                    return;
+                }
+
+                if (prior.expectedCloseDate && item.expectedCloseDate && item.expectedCloseDate > prior.expectedCloseDate) {
+                    slippedCloseDates.push({
+                        ...this._brief(item),
+                        fromCloseDate: prior.expectedCloseDate,
+                        toCloseDate: item.expectedCloseDate,
+                        slipDays: Math.round((new Date(item.expectedCloseDate) - new Date(prior.expectedCloseDate)) / DAY_MS)
+                    });
+                }
+
+                const comparable = item.opportunityValue !== null && prior.opportunityValue !== null;
+                if (comparable && item.opportunityValue !== prior.opportunityValue) {
+                    valueChanges.push({
+                        ...this._brief(item),
+                        fromValue: prior.opportunityValue,
+                        toValue: item.opportunityValue,
+                        delta: item.opportunityValue - prior.opportunityValue
+                    });
+                }
+
+                if (item.currentStage !== prior.currentStage && stageIndex.has(item.currentStage) && stageIndex.has(prior.currentStage)) {
+                    const change = {
+                        ...this._brief(item),
+                        fromStage: prior.currentStage,
+                        toStage: item.currentStage,
+                        fromStageName: stageName.get(prior.currentStage),
+                        toStageName: stageName.get(item.currentStage)
+                    };
+                    if (stageIndex.get(item.currentStage) < stageIndex.get(prior.currentStage)) stageRegressions.push(change);
+                    else stageAdvances.push(change);
+                }
+            });
+
+            // 離開進行中 Pipeline 的機會 (已結案或已刪除)
+            const removedDeals = fromItems.filter(i => !toIds.has(i.opportunityId)).map(i => this._brief(i));
+
+            const fromSummary = this._summarize(fromItems);
+            const toSummary = this._summarize(toItems);
+
+            return {
+                from: { requestedDate: fromDate, snapshotDate: fromSnapshotDate, ...fromSummary },
+                to: { requestedDate: toDate, snapshotDate: toSnapshotDate, ...toSummary },
+                summary: {
+                    newDeals: newDeals.length,
+                    removedDeals: removedDeals.length,
+                    slippedCloseDates: slippedCloseDates.length,
+                    valueChanges: valueChanges.length,
+                    stageRegressions: stageRegressions.length,
+                    stageAdvances: stageAdvances.length,
+                    totalValueDelta: toSummary.totalValue - fromSummary.totalValue
+                },
+                newDeals,
+                removedDeals,
+                slippedCloseDates: slippedCloseDates.sort((a, b) => b.slipDays - a.slipDays),
+                valueChanges: valueChanges.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+                stageRegressions,
+                stageAdvances
+            };
+        } catch (error) {
+            console.error('[PipelineSnapshotService] diffSnapshots Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 週報用：上週最後一次快照 vs 本週最後一次快照 (本週尚未結束時取今日)
+     * @param {Object} weekInfo - dateHelpers.getWeekInfo() 回傳值
+     * @returns {Promise<Object|null>}
+     */
+    async getWeeklyChanges(weekInfo) {
+        const days = (weekInfo && weekInfo.days) || [];
+        if (days.length === 0) return null;
+
+        const weekStart = new Date(days[0].date + 'T00:00:00');
+        const fromDate = this._formatDate(new Date(weekStart.getTime() - DAY_MS));
+        const weekEnd = days[days.length - 1].date;
+        const today = this._today();
+        if (fromDate > today) return null;
+
+        return this.diffSnapshots(fromDate, weekEnd < today ? weekEnd : today);
+    }
+}
+
+module.exports = PipelineSnapshotService;
@@ -0,0 +1,266 @@
+/**
+ * services/quota-service.js
+ * 業績目標 (Sales Quota) 與達成率
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - 管理員依「團隊成員」、銷售模式 (留白 = 全部) 與月份 / 季度設定目標金額。
+ * - 達成金額 = 該期間內負責業務的受注案件 (成交日以預計結案日為準，與 SalesAnalysisService 一致)。
+ * - 回傳達成率、距目標差額，以及依已經過天數推算的期末預估 (run-rate projection)。
+ * - [1.1.0] 達成金額依成交日匯率換算為本位幣 (CurrencyService)；缺少匯率的成交不計入達成金額，於各目標的 missingFxCurrencies 列出。
+ */
+
+const PERIOD_TYPES = ['month', 'quarter'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+class QuotaService {
+    /**
+     * @param {Object} dependencies
+     * @param {SalesQuotaSqlReader} dependencies.salesQuotaSqlReader
+     * @param {SalesQuotaSqlWriter} dependencies.salesQuotaSqlWriter
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {SystemService} dependencies.systemService
+     * @param {CurrencyService} [dependencies.currencyService]
+     */
+    constructor({ salesQuotaSqlReader, salesQuotaSqlWriter, opportunitySqlReader, systemService, currencyService = null }) {
+        this.salesQuotaSqlReader = salesQuotaSqlReader;
+        this.salesQuotaSqlWriter = salesQuotaSqlWriter;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.systemService = systemService;
+        this.currencyService = currencyService;
+    }
+
+    /**
+     * 解析期間代碼
+     * @param {string} periodType - 'month' | 'quarter'
+     * @param {string} periodKey - '2026-10' | '2026-Q4'
+     * @returns {{ start: string, end: string }|null} YYYY-MM-DD (含頭尾)
+     */
+    _parsePeriod(periodType, periodKey) {
+        let year;
+        let startMonth;
+        let months;
+
+        if (periodType === 'month') {
+            const match = /^(\d{4})-(\d{2})$/.exec(periodKey || '');
+            if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+            year = Number(match[1]);
+            startMonth = Number(match[2]);
+            months = 1;
+        } else if (periodType === 'quarter') {
+            const match = /^(\d{4})-Q([1-4])$/.exec(periodKey || '');
+            if (!match) return null;
+            year = Number(match[1]);
+            startMonth = (Number(match[2]) - 1) * 3 + 1;
+            months = 3;
+        } else {
+            return null;
+        }
+
+        const lastDay = new Date(year, startMonth - 1 + months, 0).getDate();
+        return {
+            start: `${year}-${pad(startMonth)}-01`,
+            end: `${year}-${pad(startMonth + months - 1)}-${pad(lastDay)}`
+        };
+    }
+
+    _today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * 目前所在的月份與季度代碼
+     */
+    _currentPeriodKeys() {
+        const now = new Date();
+        return {
+            month: `${now.getFullYear()}-${pad(now.getMonth() + 1)}`,
+            quarter: `${now.getFullYear()}-Q${Math.floor(now.getMonth() / 3) + 1}`
+        };
+    }
+
+    async _validateQuota(data) {
+        const systemConfig = await this.systemService.getSystemConfig();
+        const members = (systemConfig['團隊成員'] || []).map(i => i.value);
+        const salesModels = (systemConfig['銷售模式'] || []).map(i => i.value);
+
+        if (!data.assignee || !members.includes(data.assignee)) {
+            throw new Error(`無法建檔：「${data.assignee || ''}」不是有效的團隊成員`);
+        }
+        if (data.salesModel && !salesModels.includes(data.salesModel)) {
+            throw new Error(`無法建檔：「${data.salesModel}」不是有效的銷售模式`);
+        }
+        if (!PERIOD_TYPES.includes(data.periodType) || !this._parsePeriod(data.periodType, data.periodKey)) {
+            throw new Error('無法建檔：期間格式錯誤 (月份為 YYYY-MM，季度為 YYYY-Q1 ~ YYYY-Q4)');
+        }
+        const amount = Number(String(data.targetAmount ?? '').replace(/,/g, ''));
+        if (!amount || amount <= 0) {
+            throw new Error('無法建檔：目標金額需大於 0');
+        }
+
+        return {
+            assignee: data.assignee,
+            salesModel: data.salesModel || '',
+            periodType: data.periodType,
+            periodKey: data.periodKey,
+            targetAmount: amount,
+            note: data.note || ''
+        };
+    }
+
+    /**
+     * 列出業績目標
+     * @param {Object} [filters] - { assignee, periodType }
+     */
+    async getQuotas(filters = {}) {
+        return this.salesQuotaSqlReader.getQuotas(filters);
+    }
+
+    /**
+     * 新增業績目標；同一成員 / 銷售模式 / 期間已存在時覆寫金額
+     * @param {Object} data
+     * @param {Object} user - req.user
+     */
+    async saveQuota(data, user) {
+        const quota = await this._validateQuota(data);
+        const existing = (await this.salesQuotaSqlReader.getQuotas({ assignee: quota.assignee }))
+            .find(q => q.salesModel === quota.salesModel && q.periodKey === quota.periodKey);
+
+        return this.salesQuotaSqlWriter.upsertQuota(
+            { ...quota, quotaId: existing ? existing.quotaId : undefined },
+            user?.name || user?.username || 'System'
+        );
+    }
+
+    /**
+     * 更新指定的業績目標
+     * @returns {Promise<Object>} { success, quotaId } 或 { success: false } (找不到)
+     */
+    async updateQuota(quotaId, data, user) {
+        const original = await this.salesQuotaSqlReader.getQuotaById(quotaId);
+        if (!original) return { success: false, error: '找不到指定的業績目標' };
+
+        const quota = await this._validateQuota({ ...original, ...data });
+        const duplicate = (await this.salesQuotaSqlReader.getQuotas({ assignee: quota.assignee }))
+            .find(q => q.quotaId !== quotaId && q.salesModel === quota.salesModel && q.periodKey === quota.periodKey);
+        if (duplicate) {
+            throw new Error(`無法建檔：${quota.assignee} 在 ${quota.periodKey} 已有相同銷售模式的目標`);
+        }
+
+        return this.salesQuotaSqlWriter.upsertQuota({ ...quota, quotaId }, user?.name || user?.username || 'System');
+    }
+
+    async deleteQuota(quotaId) {
+        const original = await this.salesQuotaSqlReader.getQuotaById(quotaId);
+        if (!original) return { success: false, error: '找不到指定的業績目標' };
+        return this.salesQuotaSqlWriter.deleteQuota(quotaId);
+    }
+
+    _computeAttainment(quota, period, wonDeals, memberNames, today) {
+        const deals = wonDeals
+            .filter(d => d.assignee === quota.assignee)
+            .filter(d => !quota.salesModel || d.salesModel === quota.salesModel)
+            .filter(d => d.wonDate >= period.start && d.wonDate <= period.end);
+        // 缺少匯率的成交不計入達成金額，改列於 missingFxCurrencies
+        const achieved = deals
+            .filter(d => d.numericValue !== null)
+            .reduce((sum, d) => sum + d.numericValue, 0);
+        const missingFxCurrencies = Array.from(new Set(deals.filter(d => d.numericValue === null).map(d => d.currency))).sort();
+
+        const totalDays = Math.round((new Date(period.end) - new Date(period.start)) / DAY_MS) + 1;
+        let elapsedDays = 0;
+        if (today > period.end) elapsedDays = totalDays;
+        else if (today >= period.start) elapsedDays = Math.round((new Date(today) - new Date(period.start)) / DAY_MS) + 1;
+
+        // 期間尚未開始時無法推算，已結束時預估即為實際
+        const projected = elapsedDays > 0 ? Math.round(achieved / elapsedDays * totalDays) : 0;
+        const target = quota.targetAmount;
+
+        return {
+            quotaId: quota.quotaId,
+            assignee: quota.assignee,
+            assigneeName: memberNames.get(quota.assignee) || quota.assignee,
+            salesModel: quota.salesModel,
+            periodType: quota.periodType,
+            periodKey: quota.periodKey,
+            periodStart: period.start,
+            periodEnd: period.end,
+            targetAmount: target,
+            achievedAmount: achieved,
+            attainmentRate: target ? Math.round(achieved / target * 1000) / 10 : 0,
+            gap: Math.max(target - achieved, 0),
+            elapsedRatio: Math.round(elapsedDays / totalDays * 1000) / 10,
+            projectedAmount: projected,
+            projectedRate: target ? Math.round(projected / target * 1000) / 10 : 0,
+            missingFxCurrencies
+        };
+    }
+
+    /**
+     * 計算業績目標達成狀況
+     * @param {Object} [options]
+     * @param {string} [options.startDate] - 只計算與此區間重疊的期間 (省略時取目前所在的月份與季度)
+     * @param {string} [options.endDate]
+     * @param {string} [options.assignee]
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAttainment({ startDate, endDate, assignee } = {}) {
+        try {
+            const today = this._today();
+            const rangeStart = startDate ? String(startDate).slice(0, 10) : null;
+            const rangeEnd = endDate ? String(endDate).slice(0, 10) : null;
+            const currentKeys = this._currentPeriodKeys();
+
+            const quotas = (await this.salesQuotaSqlReader.getQuotas({ assignee }))
+                .map(q => ({ quota: q, period: this._parsePeriod(q.periodType, q.periodKey) }))
+                .filter(({ quota, period }) => {
+                    if (!period) return false;
+                    if (!rangeStart && !rangeEnd) return quota.periodKey === currentKeys[quota.periodType];
+                    return (!rangeEnd || period.start <= rangeEnd) && (!rangeStart || period.end >= rangeStart);
+                });
+
+            if (quotas.length === 0) return [];
+
+            const minStart = quotas.reduce((min, q) => q.period.start < min ? q.period.start : min, quotas[0].period.start);
+            const maxEnd = quotas.reduce((max, q) => q.period.end > max ? q.period.end : max, quotas[0].period.end);
+
+            const [baseDeals, systemConfig, fx] = await Promise.all([
+                this.opportunitySqlReader.getSalesAnalysisBaseDeals(`${minStart}T00:00:00`, `${maxEnd}T23:59:59`),
+                this.systemService.getSystemConfig(),
+                this.currencyService ? this.currencyService.getConverter() : null
+            ]);
+
+            const wonDeals = baseDeals.map(deal => {
+                const wonDate = String(deal.expectedCloseDate || deal.lastUpdateTime || '').slice(0, 10);
+                return {
+                    assignee: deal.assignee,
+                    salesModel: deal.salesModel,
+                    currency: deal.currency,
+                    numericValue: fx ? fx.toBase(deal.opportunityValue, deal.currency, wonDate) : (parseFloat(String(deal.opportunityValue || 0).replace(/,/g, '')) || 0),
+                    wonDate
+                };
+            });
+            const memberNames = new Map((systemConfig['團隊成員'] || []).map(i => [i.value, i.note || i.value]));
+
+            return quotas.map(({ quota, period }) => this._computeAttainment(quota, period, wonDeals, memberNames, today));
+        } catch (error) {
+            console.error('[QuotaService] getAttainment Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 登入者本月 / 本季的達成狀況 (儀表板個人卡片)
+     * @param {Object} user - req.user (name 對應「團隊成員」值)
+     */
+    async getMyAttainment(user) {
+        const assignee = user?.name || user?.username;
+        const items = assignee ? await this.getAttainment({ assignee }) : [];
+        return { assignee, items };
+    }
+}
+
+module.exports = QuotaService;
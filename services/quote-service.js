@@ -0,0 +1,323 @@
+/**
+ * services/quote-service.js
+ * 機會報價單 (Quote / Proposal Builder)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 報價明細由商品目錄 (ProductService) 挑選，單價依機會的銷售模式自動帶入 MTB / SI / MTU 價格欄位 (config.QUOTE)。
+ * - 單價一律由伺服器依目錄重新計算，前端只送 productId、數量與折扣，避免竄改價格。
+ * - 每次新增即為新版本 (version + 1)，可由既有版本複製 (basedOnQuoteId)；僅草稿可修改或刪除。
+ * - 接受某版本時，先前已接受的版本改為 superseded；可選擇將總額回寫為機會價值。
+ * - 驗證錯誤以「無法建檔：」開頭，由 handleApiError 轉為 HTTP 400。
+ */
+
+const STATUSES = ['draft', 'sent', 'accepted', 'rejected', 'superseded'];
+// PUT 可直接切換的狀態 (接受需走 accept 端點)
+const EDITABLE_STATUSES = ['draft', 'sent', 'rejected'];
+const INACTIVE_PRODUCT_STATUS = '下架';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class QuoteService {
+    /**
+     * @param {Object} dependencies
+     * @param {QuoteSqlReader} dependencies.quoteSqlReader
+     * @param {QuoteSqlWriter} dependencies.quoteSqlWriter
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {OpportunityService} dependencies.opportunityService
+     * @param {ProductService} dependencies.productService
+     * @param {Object} dependencies.config
+     */
+    constructor({ quoteSqlReader, quoteSqlWriter, opportunitySqlReader, opportunityService, productService, config }) {
+        this.quoteSqlReader = quoteSqlReader;
+        this.quoteSqlWriter = quoteSqlWriter;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.opportunityService = opportunityService;
+        this.productService = productService;
+        this.config = config;
+    }
+
+    _resolveModifier(user) {
+        return user?.name || user?.username || 'System';
+    }
+
+    _parseNumber(value) {
+        const num = Number(String(value ?? '').replace(/,/g, ''));
+        return isNaN(num) ? NaN : num;
+    }
+
+    _parseDiscount(value, label) {
+        if (value === undefined || value === null || value === '') return 0;
+        const rate = this._parseNumber(value);
+        if (isNaN(rate) || rate < 0 || rate > 100) {
+            throw new Error(`無法建檔：${label}折扣需介於 0 ~ 100 (%)`);
+        }
+        return rate;
+    }
+
+    /**
+     * 依銷售模式決定價格欄位
+     * @param {string} salesModel
+     * @returns {string} 'priceMtb' | 'priceSi' | 'priceMtu'
+     */
+    resolvePriceTier(salesModel) {
+        const { PRICE_TIER_BY_SALES_MODEL, DEFAULT_PRICE_TIER } = this.config.QUOTE;
+        return PRICE_TIER_BY_SALES_MODEL[salesModel] || DEFAULT_PRICE_TIER;
+    }
+
+    _defaultValidUntil() {
+        const date = new Date();
+        date.setDate(date.getDate() + this.config.QUOTE.VALID_DAYS);
+        return date.toISOString().slice(0, 10);
+    }
+
+    async _getQuoteOf(opportunityId, quoteId) {
+        const quote = await this.quoteSqlReader.getQuoteById(quoteId);
+        return quote && quote.opportunityId === opportunityId ? quote : null;
+    }
+
+    /**
+     * 取得可報價商品 (僅回傳對應價格欄位，不含成本與其他通路價)
+     * @param {string} opportunityId
+     * @returns {Promise<Object|null>} { opportunityId, salesModel, priceTier, priceTierLabel, currency, products }；找不到機會時為 null
+     */
+    async getCatalog(opportunityId) {
+        const opportunity = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+        if (!opportunity) return null;
+        const priceTier = this.resolvePriceTier(opportunity.salesModel);
+        const products = (await this.productService.getAllProducts())
+            .filter(p => p.status !== INACTIVE_PRODUCT_STATUS);
+
+        return {
+            opportunityId,
+            salesModel: opportunity.salesModel || '',
+            priceTier,
+            priceTierLabel: this.config.QUOTE.PRICE_TIER_LABELS[priceTier] || priceTier,
+            currency: this.config.CURRENCY.BASE,
+            products: products.map(p => ({
+                productId: p.id,
+                name: p.name,
+                category: p.category,
+                spec: p.spec,
+                unit: p.unit,
+                unitPrice: this._parseNumber(p[priceTier]) || 0
+            }))
+        };
+    }
+
+    /**
+     * 依目錄價格重算明細與總額
+     * @param {Array<Object>} lineItems - [{ productId, quantity, discountRate, note }]
+     * @param {number} discountRate - 整單折扣 (%)
+     * @param {string} priceTier
+     * @returns {Promise<Object>} { lineItems, subtotal, discountAmount, total }
+     */
+    async _price(lineItems, discountRate, priceTier) {
+        if (!Array.isArray(lineItems) || lineItems.length === 0) {
+            throw new Error('無法建檔：報價單至少需要一項商品');
+        }
+
+        const catalog = new Map((await this.productService.getAllProducts()).map(p => [p.id, p]));
+
+        const priced = lineItems.map((item, index) => {
+            const label = `第 ${index + 1} 項`;
+            const product = catalog.get(item.productId);
+            if (!product) {
+                throw new Error(`無法建檔：${label}的商品「${item.productId || ''}」不存在於商品目錄`);
+            }
+            if (product.status === INACTIVE_PRODUCT_STATUS) {
+                throw new Error(`無法建檔：商品「${product.name}」已下架`);
+            }
+
+            const quantity = this._parseNumber(item.quantity);
+            if (!quantity || quantity <= 0) {
+                throw new Error(`無法建檔：${label}的數量需大於 0`);
+            }
+
+            const unitPrice = this._parseNumber(product[priceTier]) || 0;
+            const lineDiscountRate = this._parseDiscount(item.discountRate, label);
+            const gross = unitPrice * quantity;
+
+            return {
+                productId: product.id,
+                name: product.name,
+                spec: product.spec || '',
+                unit: product.unit || '',
+                quantity,
+                unitPrice,
+                discountRate: lineDiscountRate,
+                amount: round2(gross * (1 - lineDiscountRate / 100)),
+                note: item.note || ''
+            };
+        });
+
+        const subtotal = round2(priced.reduce((sum, line) => sum + line.amount, 0));
+        const discountAmount = round2(subtotal * discountRate / 100);
+
+        return {
+            lineItems: priced,
+            subtotal,
+            discountAmount,
+            total: round2(subtotal - discountAmount)
+        };
+    }
+
+    /**
+     * 列出機會的所有報價版本
+     * @param {string} opportunityId
+     */
+    async getQuotes(opportunityId) {
+        return this.quoteSqlReader.getQuotesByOpportunityId(opportunityId);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getQuote(opportunityId, quoteId) {
+        return this._getQuoteOf(opportunityId, quoteId);
+    }
+
+    /**
+     * 建立新的報價版本
+     * @param {string} opportunityId
+     * @param {Object} data - { lineItems, discountRate, note, validUntil, basedOnQuoteId }
+     * @param {Object} user - req.user
+     * @returns {Promise<Object>} { success, quoteId, version } 或 { success: false } (找不到機會)
+     */
+    async createQuote(opportunityId, data, user) {
+        const opportunity = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+        if (!opportunity) return { success: false, error: '找不到指定的機會' };
+        const existing = await this.quoteSqlReader.getQuotesByOpportunityId(opportunityId);
+
+        let base = null;
+        if (data.basedOnQuoteId) {
+            base = existing.find(q => q.quoteId === data.basedOnQuoteId);
+            if (!base) throw new Error('無法建檔：找不到要複製的報價版本');
+        }
+
+        const priceTier = this.resolvePriceTier(opportunity.salesModel);
+        const discountRate = this._parseDiscount(data.discountRate ?? base?.discountRate, '整單');
+        const pricing = await this._price(data.lineItems || base?.lineItems, discountRate, priceTier);
+        const version = existing.reduce((max, q) => Math.max(max, q.version), 0) + 1;
+
+        const result = await this.quoteSqlWriter.createQuote({
+            opportunityId,
+            version,
+            status: 'draft',
+            priceTier,
+            currency: this.config.CURRENCY.BASE,
+            discountRate,
+            ...pricing,
+            note: data.note ?? base?.note ?? '',
+            validUntil: data.validUntil || this._defaultValidUntil(),
+            basedOnQuoteId: base ? base.quoteId : null
+        }, this._resolveModifier(user));
+
+        return { ...result, version };
+    }
+
+    /**
+     * 更新報價：草稿可改內容，狀態可在 draft / sent / rejected 間切換
+     * @returns {Promise<Object>} { success } 或 { success: false } (找不到)
+     */
+    async updateQuote(opportunityId, quoteId, data, user) {
+        const quote = await this._getQuoteOf(opportunityId, quoteId);
+        if (!quote) return { success: false, error: '找不到指定的報價單' };
+
+        const updateData = {};
+        const touchesContent = ['lineItems', 'discountRate', 'note', 'validUntil'].some(key => data[key] !== undefined);
+
+        if (touchesContent) {
+            if (quote.status !== 'draft') {
+                throw new Error(`無法建檔：報價 v${quote.version} 已非草稿，請另存新版本後再修改`);
+            }
+            const opportunity = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+            const priceTier = this.resolvePriceTier(opportunity?.salesModel);
+            const discountRate = this._parseDiscount(data.discountRate ?? quote.discountRate, '整單');
+            Object.assign(updateData, {
+                priceTier,
+                discountRate,
+                ...(await this._price(data.lineItems || quote.lineItems, discountRate, priceTier))
+            });
+            if (data.note !== undefined) updateData.note = data.note;
+            if (data.validUntil !== undefined) updateData.validUntil = data.validUntil;
+        }
+
+        if (data.status !== undefined && data.status !== quote.status) {
+            if (!STATUSES.includes(data.status) || !EDITABLE_STATUSES.includes(data.status)) {
+                throw new Error(`無法建檔：狀態「${data.status}」無法直接設定，接受報價請使用接受功能`);
+            }
+            if (!EDITABLE_STATUSES.includes(quote.status)) {
+                throw new Error(`無法建檔：報價 v${quote.version} 已${quote.status === 'accepted' ? '接受' : '被取代'}，無法變更狀態`);
+            }
+            updateData.status = data.status;
+        }
+
+        if (Object.keys(updateData).length === 0) return { success: true };
+
+        return this.quoteSqlWriter.updateQuote(quoteId, updateData, this._resolveModifier(user));
+    }
+
+    /**
+     * 接受報價版本
+     * @param {string} opportunityId
+     * @param {string} quoteId
+     * @param {Object} options
+     * @param {boolean} [options.applyToOpportunity] - 是否將總額回寫為機會價值
+     * @param {Object} user
+     * @returns {Promise<Object>} { success, appliedToOpportunity } 或 { success: false } (找不到)
+     */
+    async acceptQuote(opportunityId, quoteId, options, user) {
+        const quote = await this._getQuoteOf(opportunityId, quoteId);
+        if (!quote) return { success: false, error: '找不到指定的報價單' };
+        if (quote.status === 'superseded') {
+            throw new Error(`無法建檔：報價 v${quote.version} 已被取代，請另存新版本`);
+        }
+
+        const modifier = this._resolveModifier(user);
+        const previous = (await this.quoteSqlReader.getQuotesByOpportunityId(opportunityId))
+            .filter(q => q.status === 'accepted' && q.quoteId !== quoteId);
+
+        for (const q of previous) {
+            await this.quoteSqlWriter.updateQuote(q.quoteId, { status: 'superseded' }, modifier);
+        }
+
+        if (quote.status !== 'accepted') {
+            await this.quoteSqlWriter.updateQuote(quoteId, {
+                status: 'accepted',
+                acceptedTime: new Date().toISOString()
+            }, modifier);
+        }
+
+        let appliedToOpportunity = false;
+        if (options && options.applyToOpportunity) {
+            await this.opportunityService.updateOpportunity(opportunityId, {
+                opportunityValue: String(quote.total),
+                currency: quote.currency
+            }, user);
+            appliedToOpportunity = true;
+        }
+
+        return {
+            success: true,
+            appliedToOpportunity,
+            message: appliedToOpportunity
+                ? `已接受報價 v${quote.version}，機會價值更新為 ${quote.total}`
+                : `已接受報價 v${quote.version}`
+        };
+    }
+
+    /**
+     * 刪除報價 (僅限草稿)
+     */
+    async deleteQuote(opportunityId, quoteId) {
+        const quote = await this._getQuoteOf(opportunityId, quoteId);
+        if (!quote) return { success: false, error: '找不到指定的報價單' };
+        if (quote.status !== 'draft') {
+            throw new Error('無法刪除：僅能刪除草稿狀態的報價');
+        }
+        return this.quoteSqlWriter.deleteQuote(quoteId);
+    }
+}
+
+module.exports = QuoteService;
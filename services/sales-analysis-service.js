@@ -1,11 +1,16 @@
 /**
  * services/sales-analysis-service.js
  * 銷售分析服務
- * * @version 6.1.1 (UI/UX Patch Fix - Chart Colors)
- * @date 2026-04-21
+ * * @version 6.4.0 (Multi-Currency)
+ * @date 2026-10-19
  * @description 全面掌管日期、商流過濾與 Dashboard KPI 的聚合計算，並將基礎條件下推至資料層以提昇效能。
- * 依賴注入：OpportunityReader, SystemService, Config
+ * 依賴注入：OpportunityReader, SystemService, Config, QuotaService, CurrencyService
  * @changelog
+ * - [2026-10-19] Deals without an FX rate keep numericValue = null and are left out of every amount total (listed in missingFxCurrencies).
+ * - [2026-10-19] Deal values are converted into the base currency at the rate valid on the won / closed date.
+ * - [2026-10-19] Added quotaAttainment (QuotaService) for quota periods overlapping the date range.
+ * - [2026-10-19] Added lossAnalysis: win rate by type / source / sales model / assignee and top loss reasons over the date range.
+ * - [2026-10-19] Won / lost stage values come from config.CONSTANTS.CLOSE_STAGES (same values the close flow writes).
  * - [2026-04-21] UI/UX Patch Fix: Passed eventTypeColors to _analyzeByDimension for byType chart.
  * - [2026-04-21] UI/UX Patch: Added eventTypeColors extraction from systemConfig to fix opportunityType tag colors.
  * - [2026-04-21] Phase 5-A: Changed to consume getSalesAnalysisBaseDeals() pushing stage filtering to DB layer.
@@ -16,13 +21,21 @@ class SalesAnalysisService {
      * @param {OpportunityReader} opportunityReader
      * @param {SystemService} systemService
      * @param {Object} config - 系統設定
+     * @param {QuotaService} [quotaService] - 業績目標達成率
+     * @param {CurrencyService} [currencyService] - 多幣別換算
      */
-    constructor(opportunityReader, systemService, config) {
+    constructor(opportunityReader, systemService, config, quotaService = null, currencyService = null) {
         this.opportunityReader = opportunityReader;
         this.systemService = systemService; 
         this.config = config;
+        this.quotaService = quotaService;
+        this.currencyService = currencyService;
         
-        this.WON_STAGE_VALUE = '受注'; 
+        const { CLOSE_STAGES } = config.CONSTANTS;
+        this.WON_STAGE_VALUE = CLOSE_STAGES.WON;
+        // 未記錄 close_result 的舊資料以階段判斷
+        this.LEGACY_WON_STAGES = CLOSE_STAGES.LEGACY_WON;
+        this.LEGACY_LOST_STAGES = CLOSE_STAGES.LEGACY_LOST;
     }
 
     /**
@@ -31,8 +44,13 @@ class SalesAnalysisService {
     async getSalesAnalysisData(startDateISO, endDateISO, salesModelFilter = 'all') {
         console.log(`📈 [SalesAnalysisService] 計算成交分析資料 (SQL-Optimized SSOT Mode)...`);
 
-        const baseDeals = await this.opportunityReader.getSalesAnalysisBaseDeals(startDateISO, endDateISO);
-        const systemConfig = await this.systemService.getSystemConfig();
+        const [baseDeals, closedDeals, systemConfig, quotaAttainment, fx] = await Promise.all([
+            this.opportunityReader.getSalesAnalysisBaseDeals(startDateISO, endDateISO),
+            this.opportunityReader.getClosedDealsForAnalysis(startDateISO, endDateISO),
+            this.systemService.getSystemConfig(),
+            this._getQuotaAttainment(startDateISO, endDateISO),
+            this._getConverter()
+        ]);
 
         const salesModelColors = {};
         if (systemConfig['銷售模式']) {
@@ -50,14 +68,12 @@ class SalesAnalysisService {
         }
 
         const processedDeals = baseDeals.map(deal => {
-            let value = 0;
-            if (deal.opportunityValue) {
-                value = parseFloat(String(deal.opportunityValue).replace(/,/g, '')) || 0;
-            }
+            const wonDate = deal.expectedCloseDate || deal.lastUpdateTime;
             return {
                 ...deal,
-                numericValue: value,
-                wonDate: deal.expectedCloseDate || deal.lastUpdateTime
+                // 換算為本位幣 (成交日匯率)
+                numericValue: fx ? fx.toBase(deal.opportunityValue, deal.currency, wonDate) : (parseFloat(String(deal.opportunityValue || 0).replace(/,/g, '')) || 0),
+                wonDate
             };
         });
 
@@ -66,11 +82,15 @@ class SalesAnalysisService {
             : processedDeals;
 
         let totalVal = 0;
+        let valuedCount = 0;
         let totalDays = 0;
         let cycleCount = 0;
 
         finalDeals.forEach(d => {
-            totalVal += d.numericValue || 0;
+            if (d.numericValue !== null) {
+                totalVal += d.numericValue;
+                valuedCount++;
+            }
             if (d.createdTime && d.wonDate) {
                 const diff = Math.ceil(Math.abs(new Date(d.wonDate) - new Date(d.createdTime)) / 86400000);
                 if (!isNaN(diff)) { 
@@ -83,7 +103,7 @@ class SalesAnalysisService {
         const overview = {
             totalWonValue: totalVal,
             totalWonDeals: finalDeals.length,
-            averageDealValue: finalDeals.length ? totalVal / finalDeals.length : 0,
+            averageDealValue: valuedCount ? totalVal / valuedCount : 0,
             averageSalesCycleInDays: cycleCount ? Math.round(totalDays / cycleCount) : 0
         };
 
@@ -120,7 +140,97 @@ class SalesAnalysisService {
             allWonDeals: processedDeals,
             filterOptions,
             salesModelColors,
-            eventTypeColors 
+            eventTypeColors,
+            lossAnalysis: this._analyzeWinLoss(closedDeals, systemConfig, fx),
+            quotaAttainment,
+            baseCurrency: this.config.CURRENCY.BASE,
+            missingFxCurrencies: fx ? fx.getMissingCurrencies() : []
+        };
+    }
+
+    async _getConverter() {
+        return this.currencyService ? this.currencyService.getConverter() : null;
+    }
+
+    /**
+     * 業績目標達成率；目標資料讀取失敗時不影響其他分析
+     */
+    async _getQuotaAttainment(startDateISO, endDateISO) {
+        if (!this.quotaService) return [];
+        try {
+            return await this.quotaService.getAttainment({ startDate: startDateISO, endDate: endDateISO });
+        } catch (error) {
+            console.warn(`[SalesAnalysisService] Quota attainment unavailable: ${error.message}`);
+            return [];
+        }
+    }
+
+    _resolveOutcome(deal) {
+        if (deal.closeResult === 'won' || deal.closeResult === 'lost') return deal.closeResult;
+        if (this.LEGACY_WON_STAGES.includes(deal.currentStage)) return 'won';
+        if (this.LEGACY_LOST_STAGES.includes(deal.currentStage)) return 'lost';
+        return null;
+    }
+
+    /**
+     * Win/Loss 分析
+     * @param {Array<Object>} closedDeals - 區間內已結案 (成交 + 失敗) 的機會
+     * @param {Object} systemConfig
+     * @param {FxConverter} [fx] - 本位幣換算器
+     */
+    _analyzeWinLoss(closedDeals, systemConfig, fx = null) {
+        const noteOf = (configKey, value) => (systemConfig[configKey] || []).find(i => i.value === value)?.note || value;
+        const deals = closedDeals
+            .map(deal => ({ ...deal, outcome: this._resolveOutcome(deal) }))
+            .filter(deal => deal.outcome);
+
+        const winRateBy = (fieldKey, configKey) => {
+            const stats = {};
+            deals.forEach(deal => {
+                const key = deal[fieldKey] || '未分類';
+                if (!stats[key]) stats[key] = { won: 0, lost: 0 };
+                stats[key][deal.outcome]++;
+            });
+            return Object.entries(stats).map(([key, s]) => ({
+                name: configKey ? noteOf(configKey, key) : key,
+                won: s.won,
+                lost: s.lost,
+                total: s.won + s.lost,
+                winRate: Math.round((s.won / (s.won + s.lost)) * 1000) / 10
+            })).sort((a, b) => b.total - a.total);
+        };
+
+        const lostDeals = deals.filter(d => d.outcome === 'lost');
+        const reasonStats = {};
+        lostDeals.forEach(deal => {
+            const code = deal.closeReason || 'unspecified';
+            if (!reasonStats[code]) reasonStats[code] = { count: 0, value: 0 };
+            reasonStats[code].count++;
+            reasonStats[code].value += (fx
+                ? fx.toBase(deal.opportunityValue, deal.currency, deal.closedTime || deal.expectedCloseDate)
+                : parseFloat(String(deal.opportunityValue || 0).replace(/,/g, ''))) || 0;
+        });
+
+        const wonCount = deals.length - lostDeals.length;
+
+        return {
+            closedDeals: deals.length,
+            wonDeals: wonCount,
+            lostDeals: lostDeals.length,
+            winRate: deals.length ? Math.round((wonCount / deals.length) * 1000) / 10 : 0,
+            byType: winRateBy('opportunityType', '機會種類'),
+            bySource: winRateBy('opportunitySource', '機會來源'),
+            bySalesModel: winRateBy('salesModel'),
+            byAssignee: winRateBy('assignee', '團隊成員'),
+            topLossReasons: Object.entries(reasonStats)
+                .map(([code, s]) => ({
+                    code,
+                    name: code === 'unspecified' ? '未填寫' : noteOf('結案原因', code),
+                    count: s.count,
+                    lostValue: s.value
+                }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 10)
         };
     }
 
@@ -129,7 +239,7 @@ class SalesAnalysisService {
         deals.forEach(deal => {
             const key = deal[fieldKey] || '未分類';
             if (!stats[key]) stats[key] = 0;
-            stats[key] += deal.numericValue;
+            stats[key] += deal.numericValue || 0;
         });
 
         return Object.entries(stats).map(([name, val]) => ({
@@ -147,7 +257,7 @@ class SalesAnalysisService {
                 channelName = '直接販售'; 
             }
             if (!stats[channelName]) stats[channelName] = 0;
-            stats[channelName] += deal.numericValue;
+            stats[channelName] += deal.numericValue || 0;
         });
         return Object.entries(stats).map(([name, val]) => ({ name, y: val })).sort((a, b) => b.y - a.y);
     }
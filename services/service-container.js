@@ -4,9 +4,33 @@
 /**
  * services/service-container.js
  * 服務容器 (IoC Container)
- * @version 9.5.0
- * @date 2026-04-20
+ * @version 9.26.0
+ * @date 2026-10-19
  * @changelog
+ * - [V9.26.0] Added Weekly Digest: WeeklyDigestSqlReader/Writer and WeeklyDigestService (published weekly versions, SMTP delivery); injected into WeeklyController.
+ * - [V9.25.0] Added WeeklyDraftService (weekly report draft from the week's CRM activity, optional AI summary via ExternalService); injected into WeeklyController.
+ * - [V9.24.0] Added Tasks: TaskSqlReader/Writer, TaskService (injected into InteractionService for next-action follow-ups) and TaskController.
+ * - [V9.23.1] EventService also receives SystemService (team member emails for meeting invitations).
+ * - [V9.23.0] Added Calendar Sync: CalendarSyncSqlReader/Writer and CalendarSyncService (injected into EventService); calendar client selectable via config.CALENDAR_SYNC.CLIENT ('google' | 'fake').
+ * - [V9.22.0] Added Event Reports: EventReportService (server-side PDF/DOCX visit reports for event logs).
+ * - [V9.21.0] Added Event Type Schemas: EventSchemaSqlReader/Writer and EventSchemaService (injected into EventLogService).
+ * - [V9.20.0] Added Account Health: CompanyHealthSqlReader/Writer and AccountHealthService (injected into CompanyService / CompanyController); CurrencyService is now created before CompanyService.
+ * - [V9.19.0] Added Lead Routing: LeadRoutingService (round-robin / territory / exhibition assignment and SLA for LINE leads; reads RAW leads via contactRawReader and is injected into CardIntakeService).
+ * - [V9.18.0] Added Lead Scoring: LeadScoringService (injected into ContactService) scores RAW potential contacts.
+ * - [V9.17.0] Added Business Card Intake: ExternalService registered in the container, pluggable OCR engine (config.CARD_OCR.ENGINE), CardIntakeService and CardIntakeController.
+ * - [V9.16.0] Added List Export: ExportService (CSV/XLSX/JSON over the list services) and ExportController.
+ * - [V9.15.1] ImportService also receives PipelineService (stage rules for imported opportunities).
+ * - [V9.15.0] Added Bulk Import: ImportService (CSV/XLSX wizard over SQL writer batch inserts) and ImportController.
+ * - [V9.14.0] Added Duplicate Detection & Merge: RecordMergeSqlReader/Writer, DuplicateService (injected into ContactService / CompanyService) and DuplicateController.
+ * - [V9.13.0] Added Opportunity Quotes: QuoteSqlReader/Writer, QuoteService and QuoteController.
+ * - [V9.12.0] Added Multi-Currency: FxRateSqlReader/Writer, CurrencyService and FxRateController; converter injected into analytics services.
+ * - [V9.11.0] Added Sales Quotas: SalesQuotaSqlReader/Writer and QuotaService (injected into SalesAnalysisService).
+ * - [V9.10.0] Added Pipeline Snapshots: PipelineSnapshotSqlReader/Writer and PipelineSnapshotService (injected into WeeklyBusinessService).
+ * - [V9.9.0] Added Pipeline Forecast: ForecastSnapshotSqlReader/Writer and ForecastService.
+ * - [V9.8.1] Injected systemService into WorkflowService (close reason validation).
+ * - [V9.8.0] Added PipelineService (opportunity stage-gate rules) and injected it into OpportunityService.
+ * - [V9.7.0] Added Recycle Bin: TrashSqlReader, TrashService and TrashController (soft delete restore / retention purge).
+ * - [V9.6.0] Added Audit Trail: AuditLogSqlWriter injected into all CORE SQL Writers, plus AuditService/AuditController.
  * - [V9.5.0] Added initialization and dependency injection for Internal Operations module.
  * - [V9.4.0] Instantiated ContactService with systemService injection for Fallback Auto-Tag requirements.
  * - [PATCH] Enforced architectural rule: InteractionService is the single authoritative entry point for interaction creation. Removed deprecated `interactionWriter` from exported services. Cleaned up stale DI comments.
@@ -38,6 +62,19 @@ const AnnouncementReader = require('../data/announcement-reader');
 const AnnouncementSqlReader = require('../data/announcement-sql-reader');
 const ProductReader = require('../data/product-reader');
 const InternalOpsReader = require('../data/internal-ops-reader');
+const AuditLogSqlReader = require('../data/audit-log-sql-reader');
+const TrashSqlReader = require('../data/trash-sql-reader');
+const ForecastSnapshotSqlReader = require('../data/forecast-snapshot-sql-reader');
+const PipelineSnapshotSqlReader = require('../data/pipeline-snapshot-sql-reader');
+const SalesQuotaSqlReader = require('../data/sales-quota-sql-reader');
+const FxRateSqlReader = require('../data/fx-rate-sql-reader');
+const QuoteSqlReader = require('../data/quote-sql-reader');
+const RecordMergeSqlReader = require('../data/record-merge-sql-reader');
+const CompanyHealthSqlReader = require('../data/company-health-sql-reader');
+const EventSchemaSqlReader = require('../data/event-schema-sql-reader');
+const CalendarSyncSqlReader = require('../data/calendar-sync-sql-reader');
+const TaskSqlReader = require('../data/task-sql-reader');
+const WeeklyDigestSqlReader = require('../data/weekly-digest-sql-reader');
 
 // --- Import Writers ---
 const ContactWriter = require('../data/contact-writer'); // EXCLUSIVELY FOR RAW
@@ -53,6 +90,18 @@ const AnnouncementWriter = require('../data/announcement-writer');
 const AnnouncementSqlWriter = require('../data/announcement-sql-writer');
 const ProductWriter = require('../data/product-writer');
 const InternalOpsWriter = require('../data/internal-ops-writer');
+const AuditLogSqlWriter = require('../data/audit-log-sql-writer');
+const ForecastSnapshotSqlWriter = require('../data/forecast-snapshot-sql-writer');
+const PipelineSnapshotSqlWriter = require('../data/pipeline-snapshot-sql-writer');
+const SalesQuotaSqlWriter = require('../data/sales-quota-sql-writer');
+const FxRateSqlWriter = require('../data/fx-rate-sql-writer');
+const QuoteSqlWriter = require('../data/quote-sql-writer');
+const RecordMergeSqlWriter = require('../data/record-merge-sql-writer');
+const CompanyHealthSqlWriter = require('../data/company-health-sql-writer');
+const EventSchemaSqlWriter = require('../data/event-schema-sql-writer');
+const CalendarSyncSqlWriter = require('../data/calendar-sync-sql-writer');
+const TaskSqlWriter = require('../data/task-sql-writer');
+const WeeklyDigestSqlWriter = require('../data/weekly-digest-sql-writer');
 
 // --- Import Domain Services ---
 const AuthService = require('./auth-service');
@@ -65,12 +114,36 @@ const EventLogService = require('./event-log-service');
 const CalendarService = require('./calendar-service');
 const SalesAnalysisService = require('./sales-analysis-service');
 const WeeklyBusinessService = require('./weekly-business-service');
+const WeeklyDraftService = require('./weekly-draft-service');
+const WeeklyDigestService = require('./weekly-digest-service');
 const WorkflowService = require('./workflow-service');
 const ProductService = require('./product-service');
 const AnnouncementService = require('./announcement-service');
 const EventService = require('./event-service');
 const SystemService = require('./system-service');
 const InternalOpsService = require('./internal-ops-service');
+const AuditService = require('./audit-service');
+const TrashService = require('./trash-service');
+const PipelineService = require('./pipeline-service');
+const ForecastService = require('./forecast-service');
+const PipelineSnapshotService = require('./pipeline-snapshot-service');
+const QuotaService = require('./quota-service');
+const CurrencyService = require('./currency-service');
+const QuoteService = require('./quote-service');
+const DuplicateService = require('./duplicate-service');
+const LeadScoringService = require('./lead-scoring-service');
+const LeadRoutingService = require('./lead-routing-service');
+const AccountHealthService = require('./account-health-service');
+const EventSchemaService = require('./event-schema-service');
+const ImportService = require('./import-service');
+const ExportService = require('./export-service');
+const EventReportService = require('./event-report-service');
+const CalendarSyncService = require('./calendar-sync-service');
+const FakeCalendarClient = require('./fake-calendar-client');
+const TaskService = require('./task-service');
+const ExternalService = require('./external-service');
+const CardIntakeService = require('./card-intake-service');
+const { createCardOcrEngine } = require('./card-ocr-engines');
 
 // --- Import Controllers ---
 const AuthController = require('../controllers/auth.controller');
@@ -82,20 +155,31 @@ const CompanyController = require('../controllers/company.controller');
 const InteractionController = require('../controllers/interaction.controller');
 const ProductController = require('../controllers/product.controller');
 const WeeklyController = require('../controllers/weekly.controller');
+const AuditController = require('../controllers/audit.controller');
+const TrashController = require('../controllers/trash.controller');
+const FxRateController = require('../controllers/fx-rate.controller');
+const QuoteController = require('../controllers/quote.controller');
+const DuplicateController = require('../controllers/duplicate.controller');
+const ImportController = require('../controllers/import.controller');
+const ExportController = require('../controllers/export.controller');
+const CardIntakeController = require('../controllers/card-intake.controller');
+const TaskController = require('../controllers/task.controller');
 
 let services = null;
 
 async function initializeServices() {
     if (services) return services;
 
-    console.log('🚀 [System] 正在初始化 Service Container (v9.5.0 SQL-Only CORE + Internal Ops)...');
+    console.log('🚀 [System] 正在初始化 Service Container (v9.7.0 SQL-Only CORE + Internal Ops + Audit + Trash)...');
 
     try {
         // 1. Infrastructure
         const googleClientService = new GoogleClientService();
         const sheets = await googleClientService.getSheetsClient();
         const drive = await googleClientService.getDriveClient();
-        const calendar = await googleClientService.getCalendarClient();
+        const calendar = config.CALENDAR_SYNC.CLIENT === 'fake'
+            ? new FakeCalendarClient()
+            : await googleClientService.getCalendarClient();
 
         // 2. Readers
         // RAW Keep
@@ -116,21 +200,48 @@ async function initializeServices() {
         const systemReader = new SystemReader(sheets, config.IDS.SYSTEM);
         const productReader = new ProductReader(sheets, config.IDS.PRODUCT);
         const internalOpsReader = new InternalOpsReader(sheets, config.IDS.INTERNAL_OPS);
+        const auditLogSqlReader = new AuditLogSqlReader();
+        const trashSqlReader = new TrashSqlReader();
+        const forecastSnapshotSqlReader = new ForecastSnapshotSqlReader();
+        const pipelineSnapshotSqlReader = new PipelineSnapshotSqlReader();
+        const salesQuotaSqlReader = new SalesQuotaSqlReader();
+        const fxRateSqlReader = new FxRateSqlReader();
+        const quoteSqlReader = new QuoteSqlReader();
+        const recordMergeSqlReader = new RecordMergeSqlReader();
+        const companyHealthSqlReader = new CompanyHealthSqlReader();
+        const eventSchemaSqlReader = new EventSchemaSqlReader();
+        const calendarSyncSqlReader = new CalendarSyncSqlReader();
+        const taskSqlReader = new TaskSqlReader();
+        const weeklyDigestSqlReader = new WeeklyDigestSqlReader();
 
         // 3. Writers
         // RAW Keep
         const contactWriter = new ContactWriter(sheets, config.IDS.RAW, contactRawReader);
         
+        // [V9.6.0] Audit Trail: shared by every CORE SQL Writer
+        const auditLogSqlWriter = new AuditLogSqlWriter();
+
         // SQL Keep
-        const contactSqlWriter = new ContactSqlWriter();
-        const companySqlWriter = new CompanySqlWriter();
-        const opportunitySqlWriter = new OpportunitySqlWriter();
-        const interactionSqlWriter = new InteractionSqlWriter();
-        const eventLogSqlWriter = new EventLogSqlWriter();
+        const contactSqlWriter = new ContactSqlWriter(auditLogSqlWriter);
+        const companySqlWriter = new CompanySqlWriter(auditLogSqlWriter);
+        const opportunitySqlWriter = new OpportunitySqlWriter(auditLogSqlWriter);
+        const interactionSqlWriter = new InteractionSqlWriter(auditLogSqlWriter);
+        const eventLogSqlWriter = new EventLogSqlWriter(auditLogSqlWriter);
+        const forecastSnapshotSqlWriter = new ForecastSnapshotSqlWriter();
+        const pipelineSnapshotSqlWriter = new PipelineSnapshotSqlWriter();
+        const salesQuotaSqlWriter = new SalesQuotaSqlWriter();
+        const fxRateSqlWriter = new FxRateSqlWriter();
+        const quoteSqlWriter = new QuoteSqlWriter();
+        const recordMergeSqlWriter = new RecordMergeSqlWriter(auditLogSqlWriter);
+        const companyHealthSqlWriter = new CompanyHealthSqlWriter();
+        const eventSchemaSqlWriter = new EventSchemaSqlWriter();
+        const calendarSyncSqlWriter = new CalendarSyncSqlWriter();
+        const taskSqlWriter = new TaskSqlWriter();
+        const weeklyDigestSqlWriter = new WeeklyDigestSqlWriter();
 
         // SYSTEM Keep
         const weeklyWriter = new WeeklyBusinessWriter(sheets, config.IDS.CORE, weeklyReader);
-        const weeklySqlWriter = new WeeklyBusinessSqlWriter();
+        const weeklySqlWriter = new WeeklyBusinessSqlWriter(auditLogSqlWriter);
         const announcementWriter = new AnnouncementWriter(sheets, config.IDS.CORE, announcementReader);
         const announcementSqlWriter = new AnnouncementSqlWriter();
         const systemWriter = new SystemWriter(sheets, config.IDS.SYSTEM, systemReader);
@@ -151,13 +262,44 @@ async function initializeServices() {
         // DI Constructor Mapping: 
         // Official slots strictly mapped to SQL variants.
         
+        const taskService = new TaskService({
+            taskSqlReader,
+            taskSqlWriter,
+            opportunitySqlReader,
+            companySqlReader,
+            contactSqlReader,
+            systemService,
+            config
+        });
+
         const interactionService = new InteractionService(
             interactionSqlReader,
             interactionSqlWriter,
             opportunitySqlReader, 
-            companySqlReader      
+            companySqlReader,
+            taskService
         );
 
+        const duplicateService = new DuplicateService({
+            contactSqlReader,
+            contactSqlWriter,
+            companySqlReader,
+            companySqlWriter,
+            opportunitySqlReader,
+            recordMergeSqlReader,
+            recordMergeSqlWriter,
+            interactionService,
+            systemService,
+            config
+        });
+
+        const leadScoringService = new LeadScoringService({
+            companySqlReader,
+            opportunitySqlReader,
+            systemService,
+            config
+        });
+
         // [V9.4.0] Added explicit injection of systemService to allow safe execution of Fallback Auto-Tag
         const contactService = new ContactService(
             contactRawReader, // explicit RAW
@@ -168,9 +310,30 @@ async function initializeServices() {
             contactSqlReader,
             contactSqlWriter,
             companySqlReader, // Passed implicitly previously
-            systemService     // Required for strict deterministic settings resolution
+            systemService,    // Required for strict deterministic settings resolution
+            duplicateService, // Near-duplicate warnings on create
+            leadScoringService // RAW lead scoring
         );
 
+        const currencyService = new CurrencyService({
+            fxRateSqlReader,
+            fxRateSqlWriter,
+            systemService,
+            config
+        });
+
+        const accountHealthService = new AccountHealthService({
+            companySqlReader,
+            interactionSqlReader,
+            eventLogSqlReader,
+            opportunitySqlReader,
+            internalOpsReader,
+            companyHealthSqlReader,
+            companyHealthSqlWriter,
+            currencyService,
+            config
+        });
+
         const companyService = new CompanyService(
             companySqlReader,      // companyReader => SQL
             companySqlWriter,      // companyWriter => SQL
@@ -188,9 +351,13 @@ async function initializeServices() {
             eventLogSqlReader, 
             contactSqlReader,       
             opportunitySqlReader,   
-            interactionSqlReader    
+            interactionSqlReader,
+            duplicateService,
+            accountHealthService
         );
 
+        const pipelineService = new PipelineService({ systemService, contactSqlReader });
+
         const opportunityService = new OpportunityService({
             config,
             opportunityWriter: opportunitySqlWriter, // opportunityWriter => SQL
@@ -208,7 +375,14 @@ async function initializeServices() {
             companySqlReader,      
             interactionSqlReader,   
             contactSqlReader,
-            contactSqlWriter // [PHASE 9.3.2] Inject for SQL contact scaffolding
+            contactSqlWriter, // [PHASE 9.3.2] Inject for SQL contact scaffolding
+            pipelineService
+        });
+
+        const eventSchemaService = new EventSchemaService({
+            eventSchemaSqlReader,
+            eventSchemaSqlWriter,
+            eventLogSqlReader
         });
 
         const eventLogService = new EventLogService(
@@ -218,9 +392,19 @@ async function initializeServices() {
             systemService, // [Patch 9.3.1] Replaced systemReader with systemService
             calendarService,
             eventLogSqlReader, 
-            eventLogSqlWriter  
+            eventLogSqlWriter,
+            eventSchemaService
         );
 
+        const pipelineSnapshotService = new PipelineSnapshotService({
+            opportunitySqlReader,
+            pipelineSnapshotSqlReader,
+            pipelineSnapshotSqlWriter,
+            systemService,
+            currencyService,
+            config
+        });
+
         const weeklyBusinessService = new WeeklyBusinessService({
             weeklyBusinessReader: weeklyReader,
             weeklyBusinessSqlReader: weeklySqlReader,
@@ -229,13 +413,24 @@ async function initializeServices() {
             calendarService,
             systemService, 
             opportunityService,
+            pipelineSnapshotService,
             config
         });
 
+        const quotaService = new QuotaService({
+            salesQuotaSqlReader,
+            salesQuotaSqlWriter,
+            opportunitySqlReader,
+            systemService,
+            currencyService
+        });
+
         const salesAnalysisService = new SalesAnalysisService(
             opportunitySqlReader, 
             systemService, // [Patch 9.3.1] Replaced systemReader with systemService
-            config
+            config,
+            quotaService,
+            currencyService
         );
         
         // [Patch 9.3.1] Appended systemService as 5th argument
@@ -252,32 +447,140 @@ async function initializeServices() {
             interactionSqlReader,
             companySqlReader,
             opportunitySqlReader,
-            systemService
+            systemService,
+            currencyService
         );
 
         const workflowService = new WorkflowService(
             opportunityService,
             interactionService,
-            contactService
+            contactService,
+            systemService
         );
 
+        const calendarSyncService = new CalendarSyncService({
+            calendarService,
+            calendarSyncSqlReader,
+            calendarSyncSqlWriter,
+            interactionService,
+            weeklyBusinessService,
+            dateHelpers,
+            config
+        });
+
         const eventService = new EventService(
             calendarService,
             interactionService,
             weeklyBusinessService,
             opportunityService,
             config,
-            dateHelpers
+            dateHelpers,
+            calendarSyncService,
+            systemService
         );
 
         const internalOpsService = new InternalOpsService(internalOpsReader, internalOpsWriter, config);
 
+        const auditService = new AuditService({ auditLogSqlReader });
+
+        const trashService = new TrashService({
+            trashSqlReader,
+            companySqlWriter,
+            contactSqlWriter,
+            opportunitySqlWriter,
+            eventLogSqlWriter,
+            config
+        });
+
+        const forecastService = new ForecastService({
+            opportunitySqlReader,
+            forecastSnapshotSqlReader,
+            forecastSnapshotSqlWriter,
+            systemService,
+            currencyService,
+            config
+        });
+
+        const quoteService = new QuoteService({
+            quoteSqlReader,
+            quoteSqlWriter,
+            opportunitySqlReader,
+            opportunityService,
+            productService,
+            config
+        });
+
+        const importService = new ImportService({
+            contactSqlReader,
+            contactSqlWriter,
+            companySqlReader,
+            companySqlWriter,
+            opportunitySqlReader,
+            opportunitySqlWriter,
+            duplicateService,
+            pipelineService,
+            systemService,
+            config
+        });
+
+        const exportService = new ExportService({
+            contactService,
+            companyService,
+            opportunityService,
+            interactionService,
+            eventLogService,
+            weeklyBusinessService,
+            productService
+        });
+
+        const eventReportService = new EventReportService({
+            eventLogService,
+            eventSchemaService,
+            opportunityService,
+            companyService,
+            config
+        });
+
+        const externalService = new ExternalService(googleClientService);
+        const weeklyDigestService = new WeeklyDigestService({
+            weeklyBusinessService,
+            opportunitySqlReader,
+            weeklyDigestSqlReader,
+            weeklyDigestSqlWriter,
+            systemService,
+            dateHelpers,
+            config
+        });
+        const weeklyDraftService = new WeeklyDraftService({
+            interactionSqlReader,
+            eventLogSqlReader,
+            opportunitySqlReader,
+            systemService,
+            externalService,
+            dateHelpers,
+            config
+        });
+        const leadRoutingService = new LeadRoutingService({
+            contactRawReader, // RAW (原始名片資料)
+            contactWriter,
+            systemService,
+            config
+        });
+
+        const cardIntakeService = new CardIntakeService({
+            contactWriter, // RAW (原始名片資料)
+            ocrEngine: createCardOcrEngine(config.CARD_OCR.ENGINE, { externalService }),
+            externalService,
+            config,
+            leadRoutingService
+        });
+
         // 5. Controllers
         const authController = new AuthController(authService);
         const systemController = new SystemController(systemService, dashboardService);
         const announcementController = new AnnouncementController(announcementService);
         const contactController = new ContactController(contactService, workflowService, contactWriter);
-        const companyController = new CompanyController(companyService);
+        const companyController = new CompanyController(companyService, accountHealthService);
         const opportunityController = new OpportunityController(
             opportunityService,
             workflowService,
@@ -287,7 +590,16 @@ async function initializeServices() {
         );
         const interactionController = new InteractionController(interactionService);
         const productController = new ProductController(productService);
-        const weeklyController = new WeeklyController(weeklyBusinessService);
+        const weeklyController = new WeeklyController(weeklyBusinessService, weeklyDraftService, weeklyDigestService);
+        const auditController = new AuditController(auditService);
+        const trashController = new TrashController(trashService);
+        const fxRateController = new FxRateController(currencyService);
+        const quoteController = new QuoteController(quoteService);
+        const duplicateController = new DuplicateController(duplicateService);
+        const importController = new ImportController(importService);
+        const exportController = new ExportController(exportService);
+        const cardIntakeController = new CardIntakeController(cardIntakeService);
+        const taskController = new TaskController(taskService);
 
         console.log('✅ Service Container 初始化完成');
 
@@ -299,8 +611,29 @@ async function initializeServices() {
             workflowService, productService,
             announcementService,
             eventService,
+            calendarSyncService,
             systemService,
             internalOpsService,
+            auditService,
+            trashService,
+            pipelineService,
+            forecastService,
+            pipelineSnapshotService,
+            quotaService,
+            currencyService,
+            quoteService,
+            duplicateService,
+            importService,
+            exportService,
+            externalService,
+            cardIntakeService,
+            leadRoutingService,
+            accountHealthService,
+            eventSchemaService,
+            eventReportService,
+            taskService,
+            weeklyDraftService,
+            weeklyDigestService,
             authController,
             systemController,
             announcementController,
@@ -310,6 +643,15 @@ async function initializeServices() {
             interactionController,
             productController,
             weeklyController,
+            auditController,
+            trashController,
+            fxRateController,
+            quoteController,
+            duplicateController,
+            importController,
+            exportController,
+            cardIntakeController,
+            taskController,
             contactWriter,
             contactRawReader,
             contactCoreReader: contactSqlReader, // Expose explicitly mapped SQL core
@@ -2,14 +2,16 @@
 /**
  * services/system-service.js
  * 系統服務模組
- * @version 2.1.1
- * @date 2026-04-20
+ * @version 2.3.0
+ * @date 2026-10-19
  * @description 接管所有業務邏輯 (Defaults/Filter/Sort) 與 User 操作流程控制。
  * * Changelog:
  * - [V2.1.0] Appended exact '展會設定' keys to DEFAULT_SETTINGS to support safe fallback configuration.
  * - [Fix] Implemented case-insensitive, value-or-note matching for config merge to prevent duplicate pre-seeded defaults (e.g., Event Types).
  * - [V2.1.1] Fixed missing `style` mapping for newly created System Config items (ensures column F color is applied to all config groups, not only default-seeded ones)
  * - [Cleanup] Removed temporary forensic debug logging for System Config raw inspection
+ * - [V2.3.0] Added default '幣別' (opportunity currency options; FX rates maintained in fx_rates).
+ * - [V2.2.0] Added default '結案原因' (win/loss reason codes). category: 成交 / 失敗 / 通用 決定適用的結案結果。
  */
 
 class SystemService {
@@ -37,6 +39,26 @@ class SystemService {
                 { value: 'exhibition_name', note: '預設展會', order: 2, category: '設定' },
                 { value: 'exhibition_start_date', note: '1970-01-01', order: 3, category: '設定' },
                 { value: 'exhibition_end_date', note: '1970-01-01', order: 4, category: '設定' }
+            ],
+            // 機會結案原因代碼 (WorkflowService.closeOpportunity 驗證用)
+            '結案原因': [
+                { value: 'product_fit', note: '產品符合需求', order: 1, category: '成交' },
+                { value: 'price_advantage', note: '價格優勢', order: 2, category: '成交' },
+                { value: 'relationship', note: '客戶關係', order: 3, category: '成交' },
+                { value: 'price', note: '價格過高', order: 11, category: '失敗' },
+                { value: 'competitor', note: '選擇競爭對手', order: 12, category: '失敗' },
+                { value: 'no_budget', note: '預算不足', order: 13, category: '失敗' },
+                { value: 'no_decision', note: '需求延宕 / 無決策', order: 14, category: '失敗' },
+                { value: 'requirement_mismatch', note: '規格不符', order: 15, category: '失敗' },
+                { value: 'other', note: '其他', order: 99, category: '通用' }
+            ],
+            // 機會幣別 (非本位幣需於匯率表設定匯率，CurrencyService 換算用)
+            '幣別': [
+                { value: 'TWD', note: '新台幣', order: 1 },
+                { value: 'USD', note: '美元', order: 2 },
+                { value: 'JPY', note: '日圓', order: 3 },
+                { value: 'CNY', note: '人民幣', order: 4 },
+                { value: 'EUR', note: '歐元', order: 5 }
             ]
         };
     }
@@ -0,0 +1,395 @@
+/**
+ * services/task-service.js
+ * 待辦任務 (Tasks / Follow-ups)
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - 任務可指派給「團隊成員」、設定到期日與週期 (每天 / 每週 / 每月，每 N 次)，並關聯機會、公司或聯絡人。
+ * - 週期任務完成時自動建立下一次 (同一 seriesId)；下一次到期日早於今天時會順延到今天以後，超過 recurrenceEndDate 則不再建立。
+ *   系列中已有未完成的任務時不再建立 (完成 → 重新開啟 → 再完成不會產生重複的下一次)。
+ * - 互動紀錄填寫「下次行動」與日期時，由 InteractionService 呼叫 syncInteractionFollowUp() 建立 / 更新該紀錄的跟進任務
+ *   (同一筆互動只保留一個未完成的任務)。
+ * - 「今天 / 逾期」依 config.TIMEZONE 的日期判斷；設定見 config.TASKS。
+ * - 驗證錯誤以「無法建檔：」開頭，由 handleApiError 轉為 HTTP 400。
+ * - [1.0.1] 列表的機會 / 公司 / 聯絡人名稱改為每種一次批次查詢 (get*ByIds)，不再逐筆讀取。
+ */
+
+const STATUSES = ['open', 'in_progress', 'done', 'cancelled'];
+const OPEN_STATUSES = ['open', 'in_progress'];
+const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TITLE_LENGTH = 200;
+
+class TaskService {
+    /**
+     * @param {Object} dependencies
+     * @param {TaskSqlReader} dependencies.taskSqlReader
+     * @param {TaskSqlWriter} dependencies.taskSqlWriter
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {ContactSqlReader} dependencies.contactSqlReader
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.config
+     */
+    constructor({ taskSqlReader, taskSqlWriter, opportunitySqlReader, companySqlReader, contactSqlReader, systemService, config }) {
+        this.taskSqlReader = taskSqlReader;
+        this.taskSqlWriter = taskSqlWriter;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.companySqlReader = companySqlReader;
+        this.contactSqlReader = contactSqlReader;
+        this.systemService = systemService;
+        this.config = config;
+    }
+
+    _resolveModifier(user) {
+        return user?.name || user?.username || 'System';
+    }
+
+    _today() {
+        return new Date().toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+    }
+
+    /**
+     * 驗證日期 (YYYY-MM-DD)；空值回傳 ''
+     * @param {string} value
+     * @param {string} label - 錯誤訊息用欄位名稱
+     */
+    parseDueDate(value, label = '到期日') {
+        if (value === undefined || value === null || value === '') return '';
+        const text = String(value).trim().slice(0, 10);
+        const date = new Date(`${text}T00:00:00Z`);
+        if (!DATE_PATTERN.test(text) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+            throw new Error(`無法建檔：${label}格式需為 YYYY-MM-DD`);
+        }
+        return text;
+    }
+
+    // ------------------------------------------------------------
+    // 查詢
+    // ------------------------------------------------------------
+
+    /**
+     * 任務列表
+     * @param {Object} [query] - assignee / status (逗號分隔，'all' 為全部；預設未完成) / opportunityId / companyId / contactId / dueOnOrBefore
+     */
+    async getTasks(query = {}) {
+        const statuses = !query.status
+            ? OPEN_STATUSES
+            : (query.status === 'all' ? null : String(query.status).split(',').filter(s => STATUSES.includes(s)));
+
+        const tasks = await this.taskSqlReader.getTasks({
+            assignee: query.assignee,
+            statuses,
+            dueOnOrBefore: query.dueOnOrBefore ? this.parseDueDate(query.dueOnOrBefore) : undefined,
+            opportunityId: query.opportunityId,
+            companyId: query.companyId,
+            contactId: query.contactId
+        });
+        return this._decorate(tasks);
+    }
+
+    /**
+     * 登入者今天到期與逾期的未完成任務 (儀表板「我的待辦」)
+     * @param {Object} user - req.user (name 對應「團隊成員」值)
+     */
+    async getMyTasks(user) {
+        const assignee = user?.name || user?.username;
+        const today = this._today();
+        if (!assignee) return { assignee, today, overdue: [], dueToday: [], upcomingCount: 0 };
+
+        const upcomingUntil = this._addDays(today, this.config.TASKS.UPCOMING_DAYS);
+        const tasks = await this.taskSqlReader.getTasks({ assignee, statuses: OPEN_STATUSES, dueOnOrBefore: upcomingUntil });
+        const decorated = await this._decorate(tasks);
+
+        return {
+            assignee,
+            today,
+            overdue: decorated.filter(t => t.dueDate && t.dueDate < today),
+            dueToday: decorated.filter(t => t.dueDate === today),
+            upcomingCount: decorated.filter(t => t.dueDate > today).length
+        };
+    }
+
+    /**
+     * @param {string} taskId
+     * @returns {Promise<Object|null>}
+     */
+    async getTask(taskId) {
+        const task = await this.taskSqlReader.getTaskById(taskId);
+        if (!task) return null;
+        const [decorated] = await this._decorate([task]);
+        return decorated;
+    }
+
+    // ------------------------------------------------------------
+    // 異動
+    // ------------------------------------------------------------
+
+    /**
+     * @param {Object} data
+     * @param {Object} user
+     * @returns {Promise<{success: true, taskId: string}>}
+     */
+    async createTask(data, user) {
+        const modifier = this._resolveModifier(user);
+        const task = await this._validate({
+            status: 'open',
+            recurrence: 'none',
+            recurrenceInterval: 1,
+            assignee: modifier,
+            ...this._pickFields(data)
+        }, null);
+
+        if (task.status === 'done') task.completedTime = new Date().toISOString();
+        return this.taskSqlWriter.createTask({ ...task, sourceType: 'manual' }, modifier);
+    }
+
+    /**
+     * 更新任務；狀態改為 done 時，週期任務會建立下一次
+     * @returns {Promise<{success: boolean, nextTaskId?: string, error?: string}>}
+     */
+    async updateTask(taskId, data, user) {
+        const existing = await this.taskSqlReader.getTaskById(taskId);
+        if (!existing) return { success: false, error: '找不到指定的任務' };
+
+        const modifier = this._resolveModifier(user);
+        const changes = this._pickFields(data);
+        const task = await this._validate({ ...existing, ...changes }, existing);
+
+        const wasDone = existing.status === 'done';
+        const isDone = task.status === 'done';
+        if (isDone && !wasDone) task.completedTime = new Date().toISOString();
+        if (!isDone && wasDone) task.completedTime = null;
+
+        await this.taskSqlWriter.updateTask(taskId, task, modifier);
+
+        const result = { success: true };
+        if (isDone && !wasDone) {
+            const next = await this._createNextOccurrence({ ...existing, ...task }, modifier);
+            if (next) result.nextTaskId = next.taskId;
+        }
+        return result;
+    }
+
+    async deleteTask(taskId) {
+        const existing = await this.taskSqlReader.getTaskById(taskId);
+        if (!existing) return { success: false, error: '找不到指定的任務' };
+        return this.taskSqlWriter.deleteTask(taskId);
+    }
+
+    /**
+     * 依互動紀錄的「下次行動」建立或更新跟進任務
+     * @param {Object} params
+     * @param {string} params.interactionId
+     * @param {string} params.nextAction
+     * @param {string} params.nextActionDate - YYYY-MM-DD
+     * @param {string} [params.opportunityId]
+     * @param {string} [params.companyId]
+     * @param {Object} user
+     * @returns {Promise<{taskId: string, created: boolean}|null>} 未填行動或日期時回傳 null
+     */
+    async syncInteractionFollowUp({ interactionId, nextAction, nextActionDate, opportunityId, companyId }, user) {
+        const title = String(nextAction || '').trim().slice(0, MAX_TITLE_LENGTH);
+        const dueDate = this.parseDueDate(nextActionDate, '下次行動日期');
+        if (!interactionId || !title || !dueDate) return null;
+
+        const modifier = this._resolveModifier(user);
+        const existing = await this.taskSqlReader.getOpenTaskBySource('interaction', interactionId);
+        if (existing) {
+            if (existing.title !== title || existing.dueDate !== dueDate) {
+                await this.taskSqlWriter.updateTask(existing.taskId, { title, dueDate }, modifier);
+            }
+            return { taskId: existing.taskId, created: false };
+        }
+
+        const { taskId } = await this.taskSqlWriter.createTask({
+            title,
+            description: '',
+            assignee: modifier,
+            dueDate,
+            status: 'open',
+            recurrence: 'none',
+            recurrenceInterval: 1,
+            opportunityId: opportunityId || '',
+            companyId: opportunityId ? '' : (companyId || ''),
+            sourceType: 'interaction',
+            sourceId: interactionId
+        }, modifier);
+        return { taskId, created: true };
+    }
+
+    // ------------------------------------------------------------
+    // 內部
+    // ------------------------------------------------------------
+
+    _pickFields(data = {}) {
+        const fields = ['title', 'description', 'assignee', 'dueDate', 'status', 'recurrence', 'recurrenceInterval',
+            'recurrenceEndDate', 'opportunityId', 'companyId', 'contactId'];
+        const picked = {};
+        fields.forEach(key => {
+            if (data[key] !== undefined) picked[key] = data[key];
+        });
+        return picked;
+    }
+
+    /**
+     * 驗證並正規化任務欄位；existing 為 null 代表新增 (關聯只在有變更時檢查是否存在)
+     */
+    async _validate(task, existing) {
+        const title = String(task.title || '').trim();
+        if (!title) throw new Error('無法建檔：任務標題為必填');
+        if (title.length > MAX_TITLE_LENGTH) throw new Error(`無法建檔：任務標題不可超過 ${MAX_TITLE_LENGTH} 字`);
+
+        const status = task.status || 'open';
+        if (!STATUSES.includes(status)) throw new Error(`無法建檔：不支援的任務狀態 ${status}`);
+
+        const recurrence = task.recurrence || 'none';
+        if (!RECURRENCES.includes(recurrence)) throw new Error(`無法建檔：不支援的重複設定 ${recurrence}`);
+
+        const dueDate = this.parseDueDate(task.dueDate);
+        const recurrenceEndDate = this.parseDueDate(task.recurrenceEndDate, '重複結束日');
+        const interval = Number(task.recurrenceInterval || 1);
+        const maxInterval = this.config.TASKS.MAX_RECURRENCE_INTERVAL;
+        if (recurrence !== 'none') {
+            if (!dueDate) throw new Error('無法建檔：重複任務需設定到期日');
+            if (!Number.isInteger(interval) || interval < 1 || interval > maxInterval) {
+                throw new Error(`無法建檔：重複間隔需為 1 到 ${maxInterval}`);
+            }
+            if (recurrenceEndDate && recurrenceEndDate < dueDate) {
+                throw new Error('無法建檔：重複結束日不可早於到期日');
+            }
+        }
+
+        const assignee = String(task.assignee || '').trim();
+        if (!assignee) throw new Error('無法建檔：請指定負責人');
+        if (!existing || existing.assignee !== assignee) await this._assertTeamMember(assignee);
+
+        const links = {
+            opportunityId: String(task.opportunityId || '').trim(),
+            companyId: String(task.companyId || '').trim(),
+            contactId: String(task.contactId || '').trim()
+        };
+        await this._assertLinks(links, existing);
+
+        return {
+            title,
+            description: String(task.description || '').trim(),
+            assignee,
+            dueDate,
+            status,
+            recurrence,
+            recurrenceInterval: recurrence === 'none' ? 1 : interval,
+            recurrenceEndDate: recurrence === 'none' ? '' : recurrenceEndDate,
+            ...links
+        };
+    }
+
+    async _assertTeamMember(assignee) {
+        if (!this.systemService) return;
+        const systemConfig = await this.systemService.getSystemConfig();
+        const members = systemConfig['團隊成員'] || [];
+        // 未設定團隊成員時不限制
+        if (members.length > 0 && !members.some(m => m.value === assignee || m.note === assignee)) {
+            throw new Error(`無法建檔：「${assignee}」不是有效的團隊成員`);
+        }
+    }
+
+    async _assertLinks(links, existing) {
+        const checks = [
+            ['opportunityId', '機會', id => this.opportunitySqlReader.getOpportunityById(id)],
+            ['companyId', '公司', id => this.companySqlReader.getCompanyById(id)],
+            ['contactId', '聯絡人', id => this.contactSqlReader.getContactById(id)]
+        ];
+        for (const [key, label, load] of checks) {
+            const id = links[key];
+            if (!id || (existing && existing[key] === id)) continue;
+            const record = await load(id).catch(() => null);
+            if (!record) throw new Error(`無法建檔：找不到關聯的${label} (${id})`);
+        }
+    }
+
+    async _createNextOccurrence(task, modifier) {
+        if (task.recurrence === 'none' || !task.dueDate) return null;
+
+        const seriesId = task.seriesId || task.taskId;
+        const pending = await this.taskSqlReader.getOpenTaskInSeries(seriesId, task.taskId);
+        if (pending) return null;
+
+        // 一律從系列第一筆的到期日起算，避免每月任務經過小月後日期逐步提前 (1/31 → 2/28 → 3/28)
+        const first = task.seriesId && task.seriesId !== task.taskId
+            ? await this.taskSqlReader.getTaskById(task.seriesId)
+            : null;
+        const anchor = (first && first.dueDate && first.dueDate <= task.dueDate) ? first.dueDate : task.dueDate;
+
+        const today = this._today();
+        let dueDate = anchor;
+        // 逾期完成時順延至今天以後 (避免一次補出多筆過期任務)
+        for (let step = 1; (dueDate <= task.dueDate || dueDate < today) && step < 5000; step++) {
+            dueDate = this._advance(anchor, task.recurrence, task.recurrenceInterval * step);
+        }
+        if (task.recurrenceEndDate && dueDate > task.recurrenceEndDate) return null;
+
+        return this.taskSqlWriter.createTask({
+            title: task.title,
+            description: task.description,
+            assignee: task.assignee,
+            dueDate,
+            status: 'open',
+            recurrence: task.recurrence,
+            recurrenceInterval: task.recurrenceInterval,
+            recurrenceEndDate: task.recurrenceEndDate,
+            opportunityId: task.opportunityId,
+            companyId: task.companyId,
+            contactId: task.contactId,
+            seriesId,
+            sourceType: task.sourceType,
+            sourceId: task.sourceId
+        }, modifier);
+    }
+
+    _addDays(dateStr, days) {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    // 每月：同日，該月沒有此日時取月底
+    _advance(dateStr, recurrence, interval) {
+        if (recurrence === 'daily') return this._addDays(dateStr, interval);
+        if (recurrence === 'weekly') return this._addDays(dateStr, 7 * interval);
+
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, month - 1 + interval + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month - 1 + interval, Math.min(day, lastDay))).toISOString().slice(0, 10);
+    }
+
+    /**
+     * 補上關聯名稱與逾期標記
+     */
+    async _decorate(tasks) {
+        if (tasks.length === 0) return [];
+
+        // 每種關聯一次批次查詢 (in)，查詢失敗時名稱留空，不影響任務列表
+        const lookup = async (ids, loadMany, idOf, nameOf) => {
+            const records = await loadMany(ids).catch(() => []);
+            return new Map(records.map(record => [idOf(record), nameOf(record)]));
+        };
+
+        const [opportunities, companies, contacts] = await Promise.all([
+            lookup(tasks.map(t => t.opportunityId), ids => this.opportunitySqlReader.getOpportunitiesByIds(ids), r => r.opportunityId, r => r.opportunityName),
+            lookup(tasks.map(t => t.companyId), ids => this.companySqlReader.getCompaniesByIds(ids), r => r.companyId, r => r.companyName),
+            lookup(tasks.map(t => t.contactId), ids => this.contactSqlReader.getContactsByIds(ids), r => r.contactId, r => r.name)
+        ]);
+
+        const today = this._today();
+        return tasks.map(task => ({
+            ...task,
+            opportunityName: opportunities.get(task.opportunityId) || '',
+            companyName: companies.get(task.companyId) || '',
+            contactName: contacts.get(task.contactId) || '',
+            isOverdue: OPEN_STATUSES.includes(task.status) && !!task.dueDate && task.dueDate < today
+        }));
+    }
+}
+
+module.exports = TaskService;
@@ -0,0 +1,128 @@
+/**
+ * services/trash-service.js
+ * 回收桶業務邏輯層 (Soft Delete / Restore / Retention Purge)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 公司、聯絡人、機會案件、事件紀錄的刪除皆為軟刪除 (deleted_time / deleted_by)，本服務負責列出與還原。
+ * - 機會案件還原時，刪除當下一併標記為 'trashed' 的聯絡人關聯會恢復為 'active'。
+ * - purgeExpired() 由每日排程呼叫，永久清除超過保留天數 (config.TRASH.RETENTION_DAYS) 的項目。
+ */
+
+class TrashService {
+    /**
+     * @param {Object} dependencies
+     * @param {TrashSqlReader} dependencies.trashSqlReader
+     * @param {CompanySqlWriter} dependencies.companySqlWriter
+     * @param {ContactSqlWriter} dependencies.contactSqlWriter
+     * @param {OpportunitySqlWriter} dependencies.opportunitySqlWriter
+     * @param {EventLogSqlWriter} dependencies.eventLogSqlWriter
+     * @param {Object} dependencies.config
+     */
+    constructor({ trashSqlReader, companySqlWriter, contactSqlWriter, opportunitySqlWriter, eventLogSqlWriter, config }) {
+        this.trashSqlReader = trashSqlReader;
+        this.config = config;
+
+        // entityType -> { restore, purge }
+        this.handlers = {
+            company: {
+                restore: (id, modifier) => companySqlWriter.restoreCompany(id, modifier),
+                purge: (id) => companySqlWriter.purgeCompany(id)
+            },
+            contact: {
+                restore: (id, modifier) => contactSqlWriter.restoreContact(id, modifier),
+                purge: (id) => contactSqlWriter.purgeContact(id)
+            },
+            opportunity: {
+                restore: (id, modifier) => opportunitySqlWriter.restoreOpportunity(id, modifier),
+                purge: (id) => opportunitySqlWriter.purgeOpportunity(id)
+            },
+            event: {
+                restore: (id, modifier) => eventLogSqlWriter.restoreEventLog(id, modifier),
+                purge: (id) => eventLogSqlWriter.purgeEventLog(id)
+            }
+        };
+    }
+
+    _resolveModifier(user) {
+        if (!user) return 'System';
+        return user.displayName || user.name || user.username || 'System';
+    }
+
+    isSupportedEntity(entityType) {
+        return Object.prototype.hasOwnProperty.call(this.handlers, entityType);
+    }
+
+    /**
+     * 列出回收桶 (新刪除者在前)，並附上預計永久清除日
+     * @param {string} [entityType]
+     */
+    async getTrashItems(entityType) {
+        try {
+            const items = await this.trashSqlReader.getDeletedItems({ entityType });
+            const retentionDays = this.config.TRASH.RETENTION_DAYS;
+
+            return items
+                .map(item => {
+                    const purgeAt = new Date(item.deletedTime);
+                    purgeAt.setDate(purgeAt.getDate() + retentionDays);
+                    return { ...item, purgeAfter: purgeAt.toISOString() };
+                })
+                .sort((a, b) => new Date(b.deletedTime) - new Date(a.deletedTime));
+        } catch (error) {
+            console.error('[TrashService] getTrashItems Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 還原單一項目
+     * @param {string} entityType
+     * @param {string} entityId
+     * @param {Object} user - req.user
+     */
+    async restoreItem(entityType, entityId, user) {
+        try {
+            const modifier = this._resolveModifier(user);
+            const result = await this.handlers[entityType].restore(entityId, modifier);
+
+            if (result.success) {
+                console.log(`♻️ [TrashService] ${entityType}:${entityId} 已由 ${modifier} 從回收桶還原`);
+            }
+            return result;
+        } catch (error) {
+            console.error('[TrashService] restoreItem Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 保留期清除：永久刪除超過 RETENTION_DAYS 的回收桶項目
+     * 單筆失敗不影響其他項目。
+     * @returns {Promise<{ purged: number, failed: number }>}
+     */
+    async purgeExpired() {
+        const retentionDays = this.config.TRASH.RETENTION_DAYS;
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+
+        const expired = await this.trashSqlReader.getDeletedItems({ deletedBefore: cutoff.toISOString() });
+        let purged = 0;
+        let failed = 0;
+
+        for (const item of expired) {
+            try {
+                await this.handlers[item.entityType].purge(item.entityId);
+                purged++;
+            } catch (error) {
+                failed++;
+                console.warn(`[TrashService] 永久清除失敗 ${item.entityType}:${item.entityId}: ${error.message}`);
+            }
+        }
+
+        console.log(`🧹 [TrashService] 回收桶保留期清除完成 (>${retentionDays} 天): 清除 ${purged} 筆，失敗 ${failed} 筆`);
+        return { purged, failed };
+    }
+}
+
+module.exports = TrashService;
@@ -1,12 +1,19 @@
 // ============================================================================
 // File: services/weekly-business-service.js
 // ============================================================================
-/* [v7.8.1] Weekly Service Phase 7-4 */
+/* [v7.11.0] Weekly Service Entry Lookup */
 /**
  * services/weekly-business-service.js
  * 週間業務邏輯服務 (Service Layer)
- * * @version 7.8.1 (Phase 7-4: SystemService Routing Fix)
+ * * @version 7.11.0 (Entry Lookup)
+ * @date 2026-10-19
  * @description 
+ * [v7.11.0]
+ * - getEntryById(): single SQL entry (calendar sync reads the current topic / summary before rewriting).
+ * [v7.10.0]
+ * - getAllEntries(): every entry across weeks, newest first (used by the list export).
+ * [v7.9.0]
+ * - getWeeklyDetails() now includes `pipelineChanges` (PipelineSnapshotService diff for the week, null when unavailable).
  * [Phase 7-3 Refactor]
  * 1. Removed WeeklyBusinessWriter dependency entirely.
  * 2. Create/Update/Delete -> Strict SQL Only.
@@ -25,6 +32,7 @@ class WeeklyBusinessService {
         calendarService, 
         systemService, // [Phase 7-4] Changed from systemReader
         opportunityService, 
+        pipelineSnapshotService,
         config 
     }) {
         this.weeklyBusinessReader = weeklyBusinessReader;
@@ -35,6 +43,7 @@ class WeeklyBusinessService {
         this.calendarService = calendarService;
         this.systemService = systemService; // [Phase 7-4] Changed from systemReader
         this.opportunityService = opportunityService;
+        this.pipelineSnapshotService = pipelineSnapshotService;
         this.config = config;
     }
 
@@ -147,6 +156,16 @@ class WeeklyBusinessService {
         }
     }
 
+    async getAllEntries() {
+        try {
+            const allEntries = await this._fetchInternal('ENTRIES');
+            return allEntries.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+        } catch (error) {
+            console.error('[WeeklyService] getAllEntries Error:', error);
+            return [];
+        }
+    }
+
     async getWeeklyBusinessSummaryList() {
         try {
             const rawData = await this._fetchInternal('SUMMARY');
@@ -298,10 +317,25 @@ class WeeklyBusinessService {
         return {
             id: weekId,
             ...weekInfo, 
-            entries: entriesForWeek 
+            entries: entriesForWeek,
+            pipelineChanges: await this.getPipelineChangesForWeek(weekId, weekInfo)
         };
     }
 
+    /**
+     * 本週 Pipeline 變化 (上週末快照 vs 本週最新快照)
+     * 快照尚未建立或查詢失敗時回傳 null，不影響週報本身。
+     */
+    async getPipelineChangesForWeek(weekId, weekInfo = null) {
+        if (!this.pipelineSnapshotService) return null;
+        try {
+            return await this.pipelineSnapshotService.getWeeklyChanges(weekInfo || this.dateHelpers.getWeekInfo(weekId));
+        } catch (error) {
+            console.warn(`[WeeklyService] Pipeline changes unavailable for ${weekId}: ${error.message}`);
+            return null;
+        }
+    }
+
     async getWeekOptions() {
         const today = new Date();
         const prevWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -323,6 +357,16 @@ class WeeklyBusinessService {
         return options;
     }
 
+    /**
+     * Single entry by recordId (SQL only; null when missing)
+     */
+    async getEntryById(recordId) {
+        if (!this.weeklyBusinessSqlReader) {
+            throw new Error('[WeeklyService] WeeklyBusinessSqlReader not configured.');
+        }
+        return this.weeklyBusinessSqlReader.getWeeklyBusinessById(recordId);
+    }
+
     /**
      * [Phase 7-3] Create -> SQL Only (Strict)
      * Removed Sheet Writer fallback.
@@ -0,0 +1,535 @@
+/**
+ * services/weekly-digest-service.js
+ * 週報發布 (Weekly Digest)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 將指定週次的週間業務凍結為可分享的摘要：各主題紀錄、待辦事項、機會異動 (成交 / 失敗結案與 Pipeline 快照差異)
+ *   以及下週行程 (日曆與假日，沿用 WeeklyBusinessService 的篩選規則)。
+ * - publish() 每次新增一個版本 (weekly_digests 只新增不修改)，內容 snapshot 與當下產生的 HTML 一併保存；
+ *   之後的檢視、PDF 與寄送都只讀取已保存的版本，不受週報後續編輯影響。
+ * - 寄送使用 utils/smtp-client (config.SMTP)，附上 PDF；每次寄送結果記錄於 weekly_digest_deliveries。
+ */
+
+const smtpClient = require('../utils/smtp-client');
+const { toPdf } = require('../utils/report-document');
+
+const { CLOSE_STAGES } = require('../config').CONSTANTS;
+const DEFAULT_THEMES = [{ value: 'IoT', note: 'IoT' }, { value: 'DT', note: 'DT' }];
+const WEEKDAY_LABELS = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORMATS = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf'
+};
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+class WeeklyDigestService {
+    /**
+     * @param {Object} dependencies
+     * @param {WeeklyBusinessService} dependencies.weeklyBusinessService
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {WeeklyDigestSqlReader} dependencies.weeklyDigestSqlReader
+     * @param {WeeklyDigestSqlWriter} dependencies.weeklyDigestSqlWriter
+     * @param {SystemService} dependencies.systemService
+     * @param {Object} dependencies.dateHelpers
+     * @param {Object} [dependencies.mailer] - 需提供 sendMail(transport, message)；預設 utils/smtp-client
+     * @param {Object} dependencies.config
+     */
+    constructor({ weeklyBusinessService, opportunitySqlReader, weeklyDigestSqlReader, weeklyDigestSqlWriter, systemService, dateHelpers, mailer = smtpClient, config }) {
+        this.weeklyBusinessService = weeklyBusinessService;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.weeklyDigestSqlReader = weeklyDigestSqlReader;
+        this.weeklyDigestSqlWriter = weeklyDigestSqlWriter;
+        this.systemService = systemService;
+        this.dateHelpers = dateHelpers;
+        this.mailer = mailer;
+        this.config = config;
+    }
+
+    _assertWeekId(weekId) {
+        if (!/^\d{4}-W\d{2}$/.test(weekId || '')) {
+            throw new Error('無法建檔：週次格式需為 YYYY-Www');
+        }
+    }
+
+    _formatDateTime(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleString('zh-TW', { timeZone: this.config.TIMEZONE, hour12: false });
+    }
+
+    _weekdayLabel(dateStr) {
+        return WEEKDAY_LABELS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+    }
+
+    _formatAmount(value) {
+        const amount = parseFloat(String(value ?? '').replace(/,/g, ''));
+        return Number.isFinite(amount) && amount !== 0 ? amount.toLocaleString('zh-TW') : '';
+    }
+
+    _resolveOutcome(deal) {
+        if (deal.closeResult === 'won' || deal.closeResult === 'lost') return deal.closeResult;
+        if (CLOSE_STAGES.LEGACY_WON.includes(deal.currentStage)) return 'won';
+        if (CLOSE_STAGES.LEGACY_LOST.includes(deal.currentStage)) return 'lost';
+        return null;
+    }
+
+    // ============================================================
+    //  內容彙整
+    // ============================================================
+
+    /**
+     * 彙整週報內容 (不寫入)
+     * @param {string} weekId
+     * @returns {Promise<Object>} snapshot
+     */
+    async buildSnapshot(weekId) {
+        this._assertWeekId(weekId);
+
+        const weekInfo = this.dateHelpers.getWeekInfo(weekId);
+        const weekStart = weekInfo.days[0].date;
+        const weekEnd = weekInfo.days[weekInfo.days.length - 1].date;
+        const nextWeekId = this.dateHelpers.getWeekId(new Date(new Date(`${weekStart}T00:00:00Z`).getTime() + 7 * DAY_MS));
+
+        const [details, nextWeek, closedDeals, systemConfig] = await Promise.all([
+            this.weeklyBusinessService.getWeeklyDetails(weekId),
+            this.weeklyBusinessService.getWeeklyDetails(nextWeekId).catch(error => {
+                console.warn(`[WeeklyDigestService] 無法取得下週行程 (${nextWeekId}): ${error.message}`);
+                return null;
+            }),
+            this.opportunitySqlReader.getClosedDealsForAnalysis(`${weekStart}T00:00:00`, `${weekEnd}T23:59:59`),
+            this.systemService.getSystemConfig()
+        ]);
+
+        const themes = (systemConfig['週間業務主題'] || []).length > 0 ? systemConfig['週間業務主題'] : DEFAULT_THEMES;
+        const entries = (details.entries || [])
+            .map(entry => ({
+                date: entry.date || '',
+                weekday: entry.date ? this._weekdayLabel(entry.date) : '',
+                category: entry.category || '',
+                theme: entry['主題'] || entry.topic || '',
+                participants: entry['參與人員'] || entry.participants || '',
+                summary: entry['重點摘要'] || entry.summaryContent || '',
+                todo: entry['待辦事項'] || entry.todoItems || ''
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const known = new Set(themes.map(t => t.value));
+        const categories = themes.map(t => ({
+            value: t.value,
+            label: t.note || t.value,
+            entries: entries.filter(e => e.category === t.value)
+        }));
+        const others = entries.filter(e => !known.has(e.category));
+        if (others.length > 0) categories.push({ value: '', label: '其他', entries: others });
+
+        const labelOf = new Map(categories.map(c => [c.value, c.label]));
+        const todos = entries
+            .filter(e => e.todo.trim())
+            .map(e => ({
+                category: labelOf.get(known.has(e.category) ? e.category : '') || '其他',
+                date: e.date,
+                theme: e.theme,
+                items: e.todo.split('\n').map(line => line.replace(/^\s*[-•*]\s*/, '').trim()).filter(Boolean)
+            }));
+
+        return {
+            weekId,
+            title: weekInfo.title,
+            dateRange: weekInfo.dateRange,
+            generatedTime: new Date().toISOString(),
+            categories,
+            todos,
+            deals: this._buildDeals(closedDeals, details.pipelineChanges),
+            nextWeek: this._buildNextWeek(nextWeekId, nextWeek)
+        };
+    }
+
+    _buildDeals(closedDeals, pipelineChanges) {
+        const max = this.config.WEEKLY_DIGEST.MAX_DEAL_ITEMS;
+        const brief = item => ({
+            opportunityName: item.opportunityName || '',
+            customerCompany: item.customerCompany || '',
+            assignee: item.assignee || '',
+            amount: this._formatAmount(item.opportunityValue)
+        });
+
+        const won = [];
+        const lost = [];
+        closedDeals.forEach(deal => {
+            const outcome = this._resolveOutcome(deal);
+            if (outcome === 'won') won.push(brief(deal));
+            if (outcome === 'lost') lost.push({ ...brief(deal), reason: deal.closeReason || '' });
+        });
+
+        const changes = pipelineChanges || {};
+        const stageMove = item => ({ ...brief(item), fromStage: item.fromStageName || item.fromStage, toStage: item.toStageName || item.toStage });
+        return {
+            won: won.slice(0, max),
+            lost: lost.slice(0, max),
+            newDeals: (changes.newDeals || []).slice(0, max).map(brief),
+            stageAdvances: (changes.stageAdvances || []).slice(0, max).map(stageMove),
+            stageRegressions: (changes.stageRegressions || []).slice(0, max).map(stageMove),
+            slippedCloseDates: (changes.slippedCloseDates || []).slice(0, max).map(item => ({
+                ...brief(item),
+                fromCloseDate: item.fromCloseDate,
+                toCloseDate: item.toCloseDate
+            })),
+            pipelineAvailable: !!pipelineChanges
+        };
+    }
+
+    _buildNextWeek(nextWeekId, details) {
+        const days = ((details && details.days) || [])
+            .filter(d => Number(d.dayIndex) <= 5)
+            .map(d => ({
+                date: d.date,
+                weekday: this._weekdayLabel(d.date),
+                holidayName: d.holidayName || '',
+                events: [...(d.dxCalendarEvents || []), ...(d.atCalendarEvents || [])]
+                    .map(evt => ({ time: evt.time || '', summary: evt.summary || '', location: evt.location || '' }))
+                    .sort((a, b) => (a.time === '全天' ? '' : a.time).localeCompare(b.time === '全天' ? '' : b.time))
+            }));
+        return {
+            weekId: nextWeekId,
+            title: details ? details.title : '',
+            dateRange: details ? details.dateRange : '',
+            days
+        };
+    }
+
+    // ============================================================
+    //  輸出 (HTML / 純文字 / PDF)
+    // ============================================================
+
+    _dealSections(deals) {
+        const who = d => [d.customerCompany, d.assignee && `負責：${d.assignee}`].filter(Boolean).join('，');
+        const amount = d => d.amount ? `，金額 ${d.amount}` : '';
+        return [
+            { title: '成交', items: deals.won.map(d => `${d.opportunityName} (${who(d)}${amount(d)})`) },
+            { title: '失敗結案', items: deals.lost.map(d => `${d.opportunityName} (${who(d)}${d.reason ? `，原因：${d.reason}` : ''})`) },
+            { title: '新進 Pipeline', items: deals.newDeals.map(d => `${d.opportunityName} (${who(d)}${amount(d)})`) },
+            { title: '階段推進', items: deals.stageAdvances.map(d => `${d.opportunityName}：${d.fromStage} → ${d.toStage}`) },
+            { title: '階段退回', items: deals.stageRegressions.map(d => `${d.opportunityName}：${d.fromStage} → ${d.toStage}`) },
+            { title: '預計結案日延後', items: deals.slippedCloseDates.map(d => `${d.opportunityName}：${d.fromCloseDate} → ${d.toCloseDate}`) }
+        ].filter(section => section.items.length > 0);
+    }
+
+    _eventLine(evt) {
+        return `${evt.time} ${evt.summary}${evt.location ? ` @${evt.location}` : ''}`.trim();
+    }
+
+    /**
+     * Email 相容的 HTML (inline style、表格排版)
+     * @param {Object} snapshot
+     * @param {Object} meta - { version, publishedBy, publishedTime }
+     */
+    renderHtml(snapshot, meta) {
+        const accent = this.config.EVENT_REPORT.ACCENT_COLOR;
+        const companyName = this.config.EVENT_REPORT.LETTERHEAD.COMPANY_NAME;
+        const h2 = text => `<h2 style="font-size:16px;color:${accent};border-bottom:2px solid ${accent};padding-bottom:4px;margin:24px 0 12px;">${escapeHtml(text)}</h2>`;
+        const muted = text => `<span style="color:#64748b;font-size:12px;">${escapeHtml(text)}</span>`;
+        const multiline = text => escapeHtml(text).replace(/\n/g, '<br>');
+        const list = items => `<ul style="margin:4px 0 12px;padding-left:20px;">${items.map(i => `<li style="margin:2px 0;">${escapeHtml(i)}</li>`).join('')}</ul>`;
+
+        const categoriesHtml = snapshot.categories.map(category => {
+            const rows = category.entries.length === 0
+                ? `<tr><td style="padding:8px;color:#94a3b8;">本週沒有紀錄</td></tr>`
+                : category.entries.map(e => `
+                    <tr>
+                        <td style="padding:8px;border-top:1px solid #e2e8f0;vertical-align:top;white-space:nowrap;width:90px;">${escapeHtml(e.date.slice(5).replace('-', '/'))} ${escapeHtml(e.weekday)}</td>
+                        <td style="padding:8px;border-top:1px solid #e2e8f0;vertical-align:top;">
+                            <strong>${escapeHtml(e.theme || '無主題')}</strong>${e.participants ? ` ${muted(`👤 ${e.participants}`)}` : ''}
+                            ${e.summary ? `<div style="margin-top:4px;">${multiline(e.summary)}</div>` : ''}
+                        </td>
+                    </tr>`).join('');
+            return `
+                <h3 style="font-size:14px;margin:16px 0 6px;">${escapeHtml(category.label)} ${muted(`(${category.entries.length})`)}</h3>
+                <table style="width:100%;border-collapse:collapse;font-size:13px;">${rows}</table>`;
+        }).join('');
+
+        const todosHtml = snapshot.todos.length === 0
+            ? `<p style="color:#94a3b8;">本週沒有待辦事項</p>`
+            : snapshot.todos.map(t => `
+                <div style="margin-bottom:8px;"><strong>${escapeHtml(t.category)}｜${escapeHtml(t.theme)}</strong> ${muted(t.date)}${list(t.items)}</div>`).join('');
+
+        const dealSections = this._dealSections(snapshot.deals);
+        const dealsHtml = dealSections.length === 0
+            ? `<p style="color:#94a3b8;">本週沒有成交、結案或 Pipeline 異動${snapshot.deals.pipelineAvailable ? '' : ' (尚無 Pipeline 快照)'}</p>`
+            : dealSections.map(s => `<div><strong>${escapeHtml(s.title)}</strong> ${muted(`(${s.items.length})`)}${list(s.items)}</div>`).join('');
+
+        const nextWeekHtml = snapshot.nextWeek.days.length === 0
+            ? `<p style="color:#94a3b8;">無法取得下週行程</p>`
+            : `<table style="width:100%;border-collapse:collapse;font-size:13px;">${snapshot.nextWeek.days.map(d => `
+                <tr>
+                    <td style="padding:6px 8px;border-top:1px solid #e2e8f0;vertical-align:top;white-space:nowrap;width:90px;">${escapeHtml(d.date.slice(5).replace('-', '/'))} ${escapeHtml(d.weekday)}</td>
+                    <td style="padding:6px 8px;border-top:1px solid #e2e8f0;vertical-align:top;">
+                        ${d.holidayName ? `<span style="color:#dc2626;">🎌 ${escapeHtml(d.holidayName)}</span><br>` : ''}
+                        ${d.events.length === 0 && !d.holidayName ? '<span style="color:#94a3b8;">—</span>' : d.events.map(evt => escapeHtml(this._eventLine(evt))).join('<br>')}
+                    </td>
+                </tr>`).join('')}</table>`;
+
+        return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head><meta charset="utf-8"><title>${escapeHtml(`${snapshot.title} 週報`)}</title></head>
+<body style="margin:0;padding:0;background:#f1f5f9;">
+<div style="max-width:720px;margin:0 auto;padding:24px;background:#ffffff;font-family:'Microsoft JhengHei','PingFang TC',Arial,sans-serif;color:#1e293b;line-height:1.6;">
+    <div style="color:${accent};font-weight:700;font-size:13px;">${escapeHtml(companyName)}</div>
+    <h1 style="font-size:20px;margin:4px 0;">${escapeHtml(snapshot.title)} 週間業務摘要</h1>
+    <div>${muted(`${snapshot.dateRange}｜第 ${meta.version} 版｜${meta.publishedBy} 發布於 ${this._formatDateTime(meta.publishedTime)}`)}</div>
+    ${h2('各主題重點')}${categoriesHtml}
+    ${h2('待辦事項')}${todosHtml}
+    ${h2('重要機會異動')}${dealsHtml}
+    ${h2(`下週行程 ${snapshot.nextWeek.dateRange || ''}`)}${nextWeekHtml}
+    <p style="margin-top:32px;">${muted(`此為 ${snapshot.weekId} 第 ${meta.version} 版的發布內容，之後的週報修改不會反映於此版本。`)}</p>
+</div>
+</body>
+</html>`;
+    }
+
+    renderText(snapshot, meta) {
+        const lines = [`${snapshot.title} 週間業務摘要 ${snapshot.dateRange} (第 ${meta.version} 版)`, ''];
+        snapshot.categories.forEach(category => {
+            lines.push(`【${category.label}】`);
+            if (category.entries.length === 0) lines.push('  本週沒有紀錄');
+            category.entries.forEach(e => {
+                lines.push(`- ${e.date} ${e.theme}${e.participants ? ` (${e.participants})` : ''}`);
+                if (e.summary) lines.push(...e.summary.split('\n').map(l => `    ${l}`));
+            });
+            lines.push('');
+        });
+        if (snapshot.todos.length > 0) {
+            lines.push('【待辦事項】');
+            snapshot.todos.forEach(t => t.items.forEach(item => lines.push(`- [${t.category}] ${item}`)));
+            lines.push('');
+        }
+        this._dealSections(snapshot.deals).forEach(section => {
+            lines.push(`【${section.title}】`, ...section.items.map(item => `- ${item}`), '');
+        });
+        lines.push(`【下週行程】${snapshot.nextWeek.dateRange || ''}`);
+        snapshot.nextWeek.days.forEach(d => {
+            const items = [d.holidayName && `🎌 ${d.holidayName}`, ...d.events.map(evt => this._eventLine(evt))].filter(Boolean);
+            lines.push(`- ${d.date} ${d.weekday}：${items.length > 0 ? items.join('；') : '—'}`);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * PDF 文件模型 (見 utils/report-document.js)
+     */
+    buildDocument(snapshot, meta) {
+        const settings = this.config.EVENT_REPORT;
+        const letterhead = settings.LETTERHEAD;
+
+        const categorySections = snapshot.categories.map(category => ({
+            title: `${category.label} (${category.entries.length})`,
+            items: category.entries.length === 0
+                ? [{ label: '-', value: '本週沒有紀錄' }]
+                : category.entries.map(e => ({
+                    label: `${e.date.slice(5).replace('-', '/')} ${e.weekday}`,
+                    value: [e.theme || '無主題', e.participants && `參與：${e.participants}`, e.summary].filter(Boolean).join('\n')
+                }))
+        }));
+
+        const dealSections = this._dealSections(snapshot.deals);
+
+        return {
+            title: `${snapshot.title} 週間業務摘要`,
+            subtitle: '週報',
+            accentColor: settings.ACCENT_COLOR,
+            letterhead: {
+                name: letterhead.COMPANY_NAME,
+                lines: [
+                    letterhead.ADDRESS,
+                    [letterhead.PHONE && `TEL ${letterhead.PHONE}`, letterhead.WEBSITE].filter(Boolean).join('  |  ')
+                ]
+            },
+            meta: [
+                { label: '週次', value: `${snapshot.weekId} ${snapshot.dateRange}` },
+                { label: '版本', value: `第 ${meta.version} 版` },
+                { label: '發布', value: `${meta.publishedBy} ${this._formatDateTime(meta.publishedTime)}` }
+            ],
+            sections: [
+                ...categorySections,
+                {
+                    title: '待辦事項',
+                    items: snapshot.todos.map(t => ({ label: t.category, value: `${t.theme}\n${t.items.map(i => `- ${i}`).join('\n')}` }))
+                },
+                {
+                    title: '重要機會異動',
+                    items: dealSections.map(s => ({ label: s.title, value: s.items.map(i => `- ${i}`).join('\n') }))
+                },
+                {
+                    title: `下週行程 ${snapshot.nextWeek.dateRange || ''}`,
+                    items: snapshot.nextWeek.days.map(d => ({
+                        label: `${d.date.slice(5).replace('-', '/')} ${d.weekday}`,
+                        value: [d.holidayName && `[假日] ${d.holidayName}`, ...d.events.map(evt => this._eventLine(evt))].filter(Boolean).join('\n') || '-'
+                    }))
+                }
+            ],
+            footer: `${letterhead.COMPANY_NAME} | 週報 ${snapshot.weekId} v${meta.version}`
+        };
+    }
+
+    // ============================================================
+    //  發布與查詢
+    // ============================================================
+
+    /**
+     * 預覽 (尚未發布的內容)
+     * @returns {Promise<string>} HTML
+     */
+    async previewHtml(weekId, user) {
+        const snapshot = await this.buildSnapshot(weekId);
+        const versions = await this.weeklyDigestSqlReader.getDigestsByWeek(weekId);
+        return this.renderHtml(snapshot, {
+            version: (versions[0]?.version || 0) + 1,
+            publishedBy: `${user?.name || user?.username || ''} (預覽)`,
+            publishedTime: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 發布新版本 (可選擇同時寄送)
+     * @param {string} weekId
+     * @param {Object} [options] - { send: boolean, recipients: Array<string>|string }
+     * @param {Object} user
+     * @returns {Promise<Object>} { digestId, weekId, version, publishedTime, delivery }
+     */
+    async publish(weekId, { send = false, recipients } = {}, user) {
+        const snapshot = await this.buildSnapshot(weekId);
+        const publishedBy = user?.name || user?.username || 'System';
+        // 寄送前先驗證收件者，避免發布成功但寄送參數錯誤
+        const sendTo = send ? this._resolveRecipients(recipients) : null;
+
+        // 同時發布時版本號可能衝突，重試一次
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const versions = await this.weeklyDigestSqlReader.getDigestsByWeek(weekId);
+            const meta = { version: (versions[0]?.version || 0) + 1, publishedBy, publishedTime: new Date().toISOString() };
+            const result = await this.weeklyDigestSqlWriter.createDigest({
+                weekId,
+                version: meta.version,
+                title: snapshot.title,
+                dateRange: snapshot.dateRange,
+                snapshot,
+                html: this.renderHtml(snapshot, meta),
+                publishedTime: meta.publishedTime
+            }, publishedBy);
+            if (result.conflict) continue;
+
+            const published = { digestId: result.digestId, weekId, version: meta.version, publishedTime: meta.publishedTime, delivery: null };
+            if (sendTo) published.delivery = await this.sendDigest(result.digestId, sendTo, user);
+            return published;
+        }
+        throw new Error(`資料衝突：${weekId} 正在由其他人發布，請稍後再試`);
+    }
+
+    /**
+     * 指定週次的發布版本與寄送紀錄
+     */
+    async getVersions(weekId) {
+        this._assertWeekId(weekId);
+        const digests = await this.weeklyDigestSqlReader.getDigestsByWeek(weekId);
+        const deliveries = await this.weeklyDigestSqlReader.getDeliveriesByDigestIds(digests.map(d => d.digestId));
+        return {
+            weekId,
+            defaultRecipients: this.config.WEEKLY_DIGEST.DEFAULT_RECIPIENTS,
+            versions: digests.map(d => ({ ...d, deliveries: deliveries.filter(x => x.digestId === d.digestId) }))
+        };
+    }
+
+    /**
+     * 輸出已發布的版本
+     * @param {string} digestId
+     * @param {'html'|'pdf'} format
+     * @returns {Promise<{content: Buffer|string, contentType: string, fileName: string}|null>}
+     */
+    async renderDigest(digestId, format) {
+        if (!FORMATS[format]) throw new Error(`無法建檔：不支援的週報格式 ${format}`);
+        const digest = await this.weeklyDigestSqlReader.getDigestById(digestId);
+        if (!digest) return null;
+
+        const content = format === 'html'
+            ? digest.html
+            : await this._renderPdf(digest);
+        return {
+            content,
+            contentType: FORMATS[format],
+            fileName: `週報_${digest.weekId}_v${digest.version}.${format}`
+        };
+    }
+
+    // 與拜訪報告共用 PDF 內嵌字型設定 (config.EVENT_REPORT.PDF_FONTS)
+    _renderPdf(digest) {
+        const fonts = this.config.EVENT_REPORT.PDF_FONTS;
+        return toPdf(this.buildDocument(digest.snapshot, digest), { fonts: { regular: fonts.REGULAR, bold: fonts.BOLD } });
+    }
+
+    _resolveRecipients(recipients) {
+        const list = (Array.isArray(recipients) ? recipients : String(recipients || '').split(/[,;\s]+/))
+            .map(r => String(r).trim())
+            .filter(Boolean);
+        const resolved = [...new Set(list.length > 0 ? list : this.config.WEEKLY_DIGEST.DEFAULT_RECIPIENTS)];
+
+        if (resolved.length === 0) throw new Error('無法建檔：請指定收件者 (或設定 WEEKLY_DIGEST_RECIPIENTS)');
+        const invalid = resolved.filter(r => !EMAIL_PATTERN.test(r));
+        if (invalid.length > 0) throw new Error(`無法建檔：收件者格式錯誤 ${invalid.join(', ')}`);
+        if (resolved.length > this.config.WEEKLY_DIGEST.MAX_RECIPIENTS) {
+            throw new Error(`無法建檔：收件者最多 ${this.config.WEEKLY_DIGEST.MAX_RECIPIENTS} 位`);
+        }
+        return resolved;
+    }
+
+    /**
+     * 寄送已發布的版本 (HTML 內文 + PDF 附件)；失敗時仍記錄並回傳 status = 'failed'
+     * @returns {Promise<Object|null>} delivery；找不到版本時回傳 null
+     */
+    async sendDigest(digestId, recipients, user) {
+        const to = this._resolveRecipients(recipients);
+        const digest = await this.weeklyDigestSqlReader.getDigestById(digestId);
+        if (!digest) return null;
+
+        const smtp = this.config.SMTP;
+        const subject = this.config.WEEKLY_DIGEST.SUBJECT_FORMAT
+            .replace('{title}', digest.title)
+            .replace('{dateRange}', digest.dateRange)
+            .replace('{version}', digest.version);
+
+        const delivery = { digestId, recipients: to, status: 'sent', messageId: null, error: null };
+        try {
+            const pdf = await this._renderPdf(digest);
+            const result = await this.mailer.sendMail({
+                host: smtp.HOST,
+                port: smtp.PORT,
+                secure: smtp.SECURE,
+                requireTls: smtp.REQUIRE_TLS,
+                user: smtp.USER,
+                pass: smtp.PASS,
+                timeout: smtp.TIMEOUT_MS
+            }, {
+                from: smtp.FROM,
+                to,
+                subject,
+                html: digest.html,
+                text: this.renderText(digest.snapshot, digest),
+                attachments: [{ filename: `週報_${digest.weekId}_v${digest.version}.pdf`, content: pdf, contentType: FORMATS.pdf }]
+            });
+            delivery.messageId = result.messageId;
+        } catch (error) {
+            console.error(`[WeeklyDigestService] 寄送週報失敗 (${digestId}):`, error.message);
+            delivery.status = 'failed';
+            delivery.error = error.message;
+        }
+
+        const sender = user?.name || user?.username || 'System';
+        const { deliveryId } = await this.weeklyDigestSqlWriter.createDelivery(delivery, sender);
+        return { deliveryId, ...delivery, sentBy: sender };
+    }
+}
+
+module.exports = WeeklyDigestService;
@@ -0,0 +1,304 @@
+/**
+ * services/weekly-draft-service.js
+ * 週報草稿 (依本週 CRM 活動自動產生週間業務摘要)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 彙整指定週次的互動紀錄、事件紀錄、階段變更 (機會日誌中的「階段從【A】更新為【B】」)、新建機會與成交 / 失敗結案，
+ * 依週間業務主題 (IoT / DT / DX ...) 分類，每個有活動的主題產生一筆可編輯的草稿 (不寫入資料庫)。
+ * - 草稿欄位與 POST /api/business/weekly 相同 (date / category / theme / participants / summary / todo)，
+ * 前端確認編修後再逐筆儲存。
+ * - 重點摘要可選擇交由 ExternalService._generateWithFallback 改寫；AI 未設定、失敗或回傳空白時改用固定範本。
+ */
+
+const SYSTEM_INTERACTION_TYPE = '系統事件';
+const { CLOSE_STAGES } = require('../config').CONSTANTS;
+const STAGE_CHANGE_PATTERN = /階段從【(.+?)】更新為【(.+?)】/;
+const DEFAULT_THEMES = [{ value: 'IoT', note: 'IoT' }, { value: 'DT', note: 'DT' }];
+
+// 事件紀錄分表 → 週間業務主題
+const EVENT_TYPE_CATEGORIES = { iot: 'IoT', dt: 'DT', dx: 'DX' };
+
+class WeeklyDraftService {
+    /**
+     * @param {Object} dependencies
+     * @param {InteractionSqlReader} dependencies.interactionSqlReader
+     * @param {EventLogSqlReader} dependencies.eventLogSqlReader
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {SystemService} dependencies.systemService
+     * @param {ExternalService} [dependencies.externalService] - 未提供時只使用範本
+     * @param {Object} dependencies.dateHelpers
+     * @param {Object} dependencies.config
+     */
+    constructor({ interactionSqlReader, eventLogSqlReader, opportunitySqlReader, systemService, externalService = null, dateHelpers, config }) {
+        this.interactionSqlReader = interactionSqlReader;
+        this.eventLogSqlReader = eventLogSqlReader;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.systemService = systemService;
+        this.externalService = externalService;
+        this.dateHelpers = dateHelpers;
+        this.config = config;
+    }
+
+    _dateKey(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+    }
+
+    _shortDate(dateKey) {
+        return dateKey ? dateKey.slice(5).replace('-', '/') : '';
+    }
+
+    _truncate(text, max = 80) {
+        const value = String(text || '').replace(/\s+/g, ' ').trim();
+        return value.length > max ? `${value.slice(0, max)}…` : value;
+    }
+
+    /**
+     * 產生週報草稿
+     * @param {string} weekId - YYYY-Www
+     * @param {Object} [options]
+     * @param {boolean} [options.useAi] - 預設依 config.WEEKLY_DRAFT.USE_AI
+     * @returns {Promise<Object>} { weekId, title, dateRange, generator, drafts, totals }
+     */
+    async generateDraft(weekId, { useAi = this.config.WEEKLY_DRAFT.USE_AI } = {}) {
+        if (!/^\d{4}-W\d{2}$/.test(weekId || '')) {
+            throw new Error('無法建檔：週次格式需為 YYYY-Www');
+        }
+
+        const weekInfo = this.dateHelpers.getWeekInfo(weekId);
+        const weekStart = weekInfo.days[0].date;
+        const weekEnd = weekInfo.days[weekInfo.days.length - 1].date;
+        const inWeek = value => {
+            const key = this._dateKey(value);
+            return !!key && key >= weekStart && key <= weekEnd;
+        };
+
+        const [interactions, eventLogs, opportunities, closedDeals, systemConfig] = await Promise.all([
+            this.interactionSqlReader.getInteractions(),
+            this.eventLogSqlReader.getEventLogs(),
+            this.opportunitySqlReader.getOpportunities(),
+            this.opportunitySqlReader.getClosedDealsForAnalysis(`${weekStart}T00:00:00`, `${weekEnd}T23:59:59`),
+            this.systemService.getSystemConfig()
+        ]);
+
+        const themes = (systemConfig['週間業務主題'] || []).length > 0 ? systemConfig['週間業務主題'] : DEFAULT_THEMES;
+        const themeValues = themes.map(t => t.value);
+        const defaultCategory = themeValues.includes('DT') ? 'DT' : themeValues[0];
+        const oppMap = new Map(opportunities.map(o => [o.opportunityId, o]));
+        const categoryOf = opportunityId => this._resolveCategory(oppMap.get(opportunityId), themeValues, defaultCategory);
+        const oppLabel = opportunityId => {
+            const opp = oppMap.get(opportunityId);
+            return opp ? `${opp.opportunityName}${opp.customerCompany ? ` (${opp.customerCompany})` : ''}` : '';
+        };
+
+        const buckets = new Map(themeValues.map(value => [value, {
+            interactions: [], eventLogs: [], stageChanges: [], newOpportunities: [], won: [], lost: [], people: new Set()
+        }]));
+        const bucketOf = category => buckets.get(category) || buckets.get(defaultCategory);
+
+        interactions.filter(i => inWeek(i.interactionTime)).forEach(i => {
+            const bucket = bucketOf(categoryOf(i.opportunityId));
+            const date = this._dateKey(i.interactionTime);
+            if (i.eventType === SYSTEM_INTERACTION_TYPE) {
+                const match = STAGE_CHANGE_PATTERN.exec(i.contentSummary || '');
+                if (match && i.opportunityId) {
+                    bucket.stageChanges.push({ date, opportunity: oppLabel(i.opportunityId), fromStage: match[1], toStage: match[2] });
+                }
+                return;
+            }
+            bucket.interactions.push({
+                date,
+                opportunity: oppLabel(i.opportunityId),
+                title: i.eventTitle || i.eventType || '',
+                summary: i.contentSummary || '',
+                nextAction: i.nextAction || ''
+            });
+            if (i.recorder) bucket.people.add(i.recorder);
+        });
+
+        eventLogs.filter(e => inWeek(e.createdTime)).forEach(e => {
+            const category = themeValues.includes(EVENT_TYPE_CATEGORIES[e.eventType])
+                ? EVENT_TYPE_CATEGORIES[e.eventType]
+                : categoryOf(e.opportunityId);
+            const bucket = bucketOf(category);
+            bucket.eventLogs.push({
+                date: this._dateKey(e.createdTime),
+                opportunity: oppLabel(e.opportunityId),
+                name: e.eventName || '',
+                content: e.eventContent || ''
+            });
+            if (e.creator) bucket.people.add(e.creator);
+        });
+
+        opportunities.filter(o => inWeek(o.createdTime)).forEach(o => {
+            bucketOf(categoryOf(o.opportunityId)).newOpportunities.push({
+                date: this._dateKey(o.createdTime),
+                opportunity: oppLabel(o.opportunityId),
+                assignee: o.assignee || ''
+            });
+        });
+
+        closedDeals.forEach(deal => {
+            const outcome = this._resolveOutcome(deal);
+            if (!outcome) return;
+            bucketOf(categoryOf(deal.opportunityId))[outcome].push({
+                date: this._dateKey(deal.closedTime || deal.expectedCloseDate || deal.lastUpdateTime),
+                opportunity: oppLabel(deal.opportunityId) || deal.opportunityName,
+                reason: deal.closeReason || ''
+            });
+        });
+
+        const teamNames = new Set((systemConfig['團隊成員'] || []).map(m => m.note || m.value));
+        const draftDate = this._resolveDraftDate(weekInfo);
+
+        let generator = 'template';
+        let aiAvailable = useAi && !!this.externalService;
+        const drafts = [];
+        for (const theme of themes) {
+            const bucket = buckets.get(theme.value);
+            const stats = {
+                interactions: bucket.interactions.length,
+                eventLogs: bucket.eventLogs.length,
+                stageChanges: bucket.stageChanges.length,
+                newOpportunities: bucket.newOpportunities.length,
+                won: bucket.won.length,
+                lost: bucket.lost.length
+            };
+            if (Object.values(stats).every(count => count === 0)) continue;
+
+            const label = theme.note || theme.value;
+            let summary = null;
+            if (aiAvailable) {
+                summary = await this._summarizeWithAi(label, weekInfo, bucket);
+                // 第一次失敗後其餘主題直接使用範本，避免逐一等待所有備援模型逾時
+                if (summary) generator = 'ai';
+                else aiAvailable = false;
+            }
+
+            drafts.push({
+                date: draftDate,
+                weekId,
+                category: theme.value,
+                categoryLabel: label,
+                theme: `${label} 本週業務摘要`,
+                participants: [...bucket.people].filter(name => teamNames.has(name)).join(','),
+                summary: summary || this._renderTemplate(bucket),
+                todo: this._renderTodo(bucket),
+                generator: summary ? 'ai' : 'template',
+                stats
+            });
+        }
+
+        const totals = drafts.reduce((acc, d) => {
+            Object.entries(d.stats).forEach(([key, count]) => { acc[key] = (acc[key] || 0) + count; });
+            return acc;
+        }, {});
+
+        return {
+            weekId,
+            title: weekInfo.title,
+            dateRange: weekInfo.dateRange,
+            generator,
+            drafts,
+            totals
+        };
+    }
+
+    /**
+     * 機會類型 → 主題：類型包含主題代碼時直接採用，其餘沿用 EventService 的 IoT 關鍵字判斷
+     */
+    _resolveCategory(opportunity, themeValues, defaultCategory) {
+        if (!opportunity) return defaultCategory;
+        const type = (opportunity.opportunityType || '').toLowerCase();
+        const direct = themeValues.find(value => type.includes(value.toLowerCase()));
+        if (direct) return direct;
+        if (themeValues.includes('IoT') && (type.includes('iot') || type.includes('智慧') || type.includes('連網'))) return 'IoT';
+        return defaultCategory;
+    }
+
+    _resolveOutcome(deal) {
+        if (deal.closeResult === 'won' || deal.closeResult === 'lost') return deal.closeResult;
+        if (CLOSE_STAGES.LEGACY_WON.includes(deal.currentStage)) return 'won';
+        if (CLOSE_STAGES.LEGACY_LOST.includes(deal.currentStage)) return 'lost';
+        return null;
+    }
+
+    /**
+     * 草稿日期：本週進行中時取今天 (週末取週五)，其餘取該週週五
+     */
+    _resolveDraftDate(weekInfo) {
+        const weekdays = weekInfo.days.filter(d => d.dayIndex <= 5);
+        const today = this._dateKey(new Date());
+        const passed = weekdays.filter(d => d.date <= today);
+        if (passed.length > 0 && passed.length < weekdays.length) return passed[passed.length - 1].date;
+        return weekdays[weekdays.length - 1].date;
+    }
+
+    _renderTemplate(bucket) {
+        const max = this.config.WEEKLY_DRAFT.MAX_ITEMS_PER_SECTION;
+        const section = (title, items, format) => {
+            if (items.length === 0) return '';
+            const lines = items.slice(0, max).map(item => `- ${format(item)}`);
+            if (items.length > max) lines.push(`- …另有 ${items.length - max} 筆`);
+            return `【${title}】(${items.length})\n${lines.join('\n')}`;
+        };
+        const context = item => item.opportunity ? `${item.opportunity}：` : '';
+
+        return [
+            section('成交', bucket.won, d => `${d.opportunity}${d.date ? ` (${this._shortDate(d.date)})` : ''}`),
+            section('失敗結案', bucket.lost, d => `${d.opportunity}${d.reason ? `，原因：${d.reason}` : ''}`),
+            section('新機會', bucket.newOpportunities, o => `${o.opportunity}${o.assignee ? `，負責：${o.assignee}` : ''}`),
+            section('階段推進', bucket.stageChanges, s => `${s.opportunity}：${s.fromStage} → ${s.toStage}`),
+            section('客戶互動', bucket.interactions, i => `${this._shortDate(i.date)} ${context(i)}${this._truncate(i.summary || i.title)}`),
+            section('事件紀錄', bucket.eventLogs, e => `${this._shortDate(e.date)} ${context(e)}${e.name}`)
+        ].filter(Boolean).join('\n\n');
+    }
+
+    _renderTodo(bucket) {
+        const seen = new Set();
+        return bucket.interactions
+            .filter(i => i.nextAction)
+            .map(i => `- ${i.opportunity ? `${i.opportunity}：` : ''}${this._truncate(i.nextAction)}`)
+            .filter(line => !seen.has(line) && seen.add(line))
+            .slice(0, this.config.WEEKLY_DRAFT.MAX_ITEMS_PER_SECTION)
+            .join('\n');
+    }
+
+    /**
+     * 以 AI 改寫重點摘要；任何失敗回傳 null (由呼叫端改用範本)
+     */
+    async _summarizeWithAi(label, weekInfo, bucket) {
+        const facts = JSON.stringify({
+            won: bucket.won,
+            lost: bucket.lost,
+            newOpportunities: bucket.newOpportunities,
+            stageChanges: bucket.stageChanges,
+            interactions: bucket.interactions.map(i => ({ ...i, summary: this._truncate(i.summary, 200) })),
+            eventLogs: bucket.eventLogs.map(e => ({ ...e, content: this._truncate(e.content, 200) }))
+        }).slice(0, this.config.WEEKLY_DRAFT.MAX_PROMPT_CHARS);
+
+        const prompt = `
+            你是 B2B 業務團隊的週報助理。以下是「${label}」事業線在 ${weekInfo.title} ${weekInfo.dateRange} 的 CRM 活動資料 (JSON)。
+            請用繁體中文撰寫本週重點摘要，約 150~300 字：
+            1. 先寫成交、失敗結案與新機會，再寫重要的階段推進與客戶互動重點。
+            2. 只根據資料內容撰寫，不要推測或加入資料中沒有的數字。
+            3. 以條列 (每行以「- 」開頭) 輸出純文字，不要使用 Markdown 標題或粗體。
+            資料：
+            ${facts}
+        `;
+
+        try {
+            const text = await this.externalService._generateWithFallback(prompt);
+            const summary = String(text || '').replace(/```[a-z]*\n?/gi, '').trim();
+            return summary || null;
+        } catch (error) {
+            console.warn(`[WeeklyDraftService] AI 摘要失敗，改用範本 (${label}): ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = WeeklyDraftService;
@@ -3,22 +3,27 @@
 /**
  * services/workflow-service.js
  * 工作流程服務
- * * @version 5.0.2 (Phase 5 Refactoring - Full Modal Creation Bridge & Naming Fix)
- * @date 2026-03-13
+ * * @version 5.1.0 (Win/Loss Reason Capture)
+ * @date 2026-10-19
  * @description 負責處理跨模組的複雜業務流程，例如「機會轉訂單」、「聯絡人升級」等。
- * 依賴注入：OpportunityService, InteractionService, ContactService
+ * 依賴注入：OpportunityService, InteractionService, ContactService, SystemService
+ * - [FEAT] closeOpportunity 必須提供結案原因代碼 (系統設定「結案原因」)、競爭對手與說明，並寫入機會案件；成交寫入 config.CONSTANTS.CLOSE_STAGES.WON (受注)，與銷售分析 / 業績目標一致。
  */
 
+const { CLOSE_STAGES, OPPORTUNITY_STATUS } = require('../config').CONSTANTS;
+
 class WorkflowService {
     /**
      * @param {OpportunityService} opportunityService
      * @param {InteractionService} interactionService
      * @param {ContactService} contactService
+     * @param {SystemService} systemService
      */
-    constructor(opportunityService, interactionService, contactService) {
+    constructor(opportunityService, interactionService, contactService, systemService) {
         this.opportunityService = opportunityService;
         this.interactionService = interactionService;
         this.contactService = contactService;
+        this.systemService = systemService;
     }
 
     /**
@@ -40,21 +45,67 @@ class WorkflowService {
         }
     }
 
+    /**
+     * 驗證結案資料，回傳對應的結案原因設定
+     * 原因代碼需存在於「結案原因」且類別為該結果 (成交/失敗) 或「通用」；每次結案都必須填寫競爭對手。
+     */
+    async _validateCloseData({ result, reasonCode, competitor, note }) {
+        if (result !== 'Won' && result !== 'Lost') {
+            throw new Error('無法結案：結案結果必須為 Won 或 Lost');
+        }
+
+        const systemConfig = await this.systemService.getSystemConfig();
+        const category = result === 'Won' ? '成交' : '失敗';
+        const reasons = (systemConfig['結案原因'] || []).filter(r => r.category === category || r.category === '通用');
+        const reason = reasons.find(r => r.value === reasonCode);
+
+        if (!reason) {
+            throw new Error(`無法結案：請選擇有效的${category}原因`);
+        }
+        if (!(competitor || '').trim()) {
+            throw new Error('無法結案：請填寫競爭對手 (若無請填「無」)');
+        }
+        if (!(note || '').trim()) {
+            throw new Error('無法結案：請填寫結案說明');
+        }
+
+        return reason;
+    }
+
     /**
      * 執行機會案件結案流程
      * @param {string} opportunityId 
-     * @param {string} result - 'Won' | 'Lost'
+     * @param {Object} closeData
+     * @param {string} closeData.result - 'Won' | 'Lost'
+     * @param {string} closeData.reasonCode - 系統設定「結案原因」的代碼
+     * @param {string} closeData.competitor - 競爭對手 (若無請填「無」)
+     * @param {string} closeData.note - 結案說明
      * @param {Object} user 
      */
-    async closeOpportunity(opportunityId, result, user) {
+    async closeOpportunity(opportunityId, closeData, user) {
         try {
-            const status = result === 'Won' ? '已成交' : '已結案(失敗)';
+            const { result, reasonCode } = closeData;
+            const competitor = (closeData.competitor || '').trim();
+            const note = (closeData.note || '').trim();
+            const reason = await this._validateCloseData({ result, reasonCode, competitor, note });
+
+            const status = result === 'Won' ? CLOSE_STAGES.WON : CLOSE_STAGES.LOST;
+            const displayName = (user && (user.displayName || user.name)) || 'System';
             
-            // 1. 更新機會狀態
+            // 1. 更新機會狀態與結案原因 (結案為終點動作，不套用階段閘門)
             await this.opportunityService.updateOpportunity(
                 opportunityId, 
-                { currentStatus: '已完成', currentStage: status }, 
-                user
+                {
+                    currentStatus: OPPORTUNITY_STATUS.COMPLETED,
+                    currentStage: status,
+                    closeResult: result === 'Won' ? 'won' : 'lost',
+                    closeReason: reasonCode,
+                    closeCompetitor: competitor,
+                    closeNote: note,
+                    closedTime: new Date().toISOString()
+                }, 
+                user,
+                { skipStageRules: true }
             );
 
             // 2. 自動建立結案互動紀錄
@@ -62,7 +113,7 @@ class WorkflowService {
                 opportunityId: opportunityId,
                 eventTitle: `[系統自動] 機會結案 - ${result}`,
                 eventType: '系統紀錄',
-                contentSummary: `使用者 ${user.displayName} 將此機會標記為 ${result}。`,
+                contentSummary: `使用者 ${displayName} 將此機會標記為 ${result}。原因：${reason.note}；競爭對手：${competitor}。說明：${note}`,
                 interactionTime: new Date().toISOString()
             }, user);
 
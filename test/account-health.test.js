@@ -0,0 +1,147 @@
+// test/account-health.test.js
+// [user-018] 客戶健康度：各因子計分 (含缺少匯率、無訂閱不計)、每日排程覆寫與趨勢下滑、詳細頁歷史與即時計算
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const CompanyHealthSqlReader = require('../data/company-health-sql-reader');
+const CompanyHealthSqlWriter = require('../data/company-health-sql-writer');
+const AccountHealthService = require('../services/account-health-service');
+const { FxConverter } = require('../services/currency-service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = n => new Date(Date.now() - n * DAY).toISOString();
+
+const COMPANIES = [
+    { companyId: 'A', companyName: '活躍股份有限公司' },
+    { companyId: 'B', companyName: '沉寂公司' },
+    { companyId: 'C', companyName: '新客戶' }
+];
+
+const INTERACTIONS = [
+    ...[1, 5, 10, 20, 40, 80].map((n, i) => ({ interactionId: `IA${i}`, companyId: 'A', eventType: '拜訪', interactionTime: daysAgo(n) })),
+    { interactionId: 'ISYS', companyId: 'B', eventType: '系統事件', interactionTime: daysAgo(1) },
+    { interactionId: 'IOLD', companyId: 'B', eventType: '拜訪', interactionTime: daysAgo(120) },
+    { interactionId: 'IOPP', opportunityId: 'OB1', eventType: '電話', interactionTime: daysAgo(3) }
+];
+
+const EVENT_LOGS = [
+    { eventId: 'EA', companyId: 'A', createdTime: daysAgo(10) },
+    { eventId: 'EB', companyId: 'B', createdTime: daysAgo(105) }
+];
+
+const OPPORTUNITIES = [
+    { opportunityId: 'OA1', customerCompany: '活躍', currentStatus: '進行中', opportunityValue: '1,500,000', currency: 'TWD' },
+    { opportunityId: 'OA2', customerCompany: '活躍公司', currentStatus: '進行中', opportunityValue: 100, currency: 'JPY' },
+    { opportunityId: 'OA3', customerCompany: '活躍', currentStatus: '已完成', currentStage: '已成交', expectedCloseDate: daysAgo(200) },
+    { opportunityId: 'OA4', customerCompany: '活躍', currentStatus: '已完成', closeResult: 'lost', currentStage: '受注', closedTime: daysAgo(30) },
+    { opportunityId: 'OB1', customerCompany: '沉寂', currentStatus: '已取消' }
+];
+
+function createHealthService() {
+    return new AccountHealthService({
+        companySqlReader: { getCompanies: async () => COMPANIES },
+        interactionSqlReader: {
+            getInteractions: async () => INTERACTIONS,
+            getInteractionsByCompanyId: async (id) => INTERACTIONS.filter(i => i.companyId === id),
+            getInteractionsByOpportunityIds: async (ids) => INTERACTIONS.filter(i => ids.includes(i.opportunityId))
+        },
+        eventLogSqlReader: { getEventLogs: async () => EVENT_LOGS },
+        opportunitySqlReader: {
+            getOpportunities: async () => OPPORTUNITIES,
+            getOpportunitiesByCompanyName: async (base) => OPPORTUNITIES.filter(o => o.customerCompany.includes(base))
+        },
+        internalOpsReader: {
+            getSubscriptions: async () => [
+                { companyName: '活躍', subStatus: '逾期未繳', isActive: true },
+                { companyName: '活躍股份有限公司', subStatus: '使用中', isActive: true },
+                { companyName: '沉寂', subStatus: '使用中', isActive: false }
+            ]
+        },
+        companyHealthSqlReader: new CompanyHealthSqlReader(),
+        companyHealthSqlWriter: new CompanyHealthSqlWriter(),
+        currencyService: { getConverter: async () => new FxConverter('TWD', []) },
+        config
+    });
+}
+
+const pointsOf = result => Object.fromEntries(result.breakdown.map(f => [f.key, f.points]));
+
+test('a company is scored on engagement, recency, pipeline, won deals and its best subscription', async () => {
+    useFakeSupabase();
+
+    const health = await createHealthService().calculateCompanyHealth(COMPANIES[0]);
+
+    assert.deepEqual(pointsOf(health), { engagement: 30, recency: 20, pipeline: 10, wonHistory: 7.5, subscription: 15 });
+    assert.equal(health.score, 83);
+    assert.equal(health.band, 'healthy');
+    const details = Object.fromEntries(health.breakdown.map(f => [f.key, f.detail]));
+    assert.equal(details.pipeline, '2 件，1,500,000 (1 件缺少匯率未計入)');
+    assert.equal(details.wonHistory, '近 730 天成交 1 件'); // closeResult 優先於舊階段值
+    assert.equal(details.subscription, '使用中');
+});
+
+test('without a subscription the remaining factors are rescaled and system interactions do not count', async () => {
+    useFakeSupabase();
+
+    const health = await createHealthService().calculateCompanyHealth(COMPANIES[1]);
+
+    assert.equal(health.breakdown.some(f => f.key === 'subscription'), false);
+    assert.deepEqual(pointsOf(health), { engagement: 5, recency: 10, pipeline: 0, wonHistory: 0 });
+    assert.equal(health.score, Math.round(15 / 85 * 100));
+    assert.equal(health.band, 'risk');
+    assert.equal(health.breakdown[1].detail, '105 天前');
+});
+
+test('the nightly snapshot overwrites today and flags drops against the lookback snapshot', async () => {
+    const service = createHealthService();
+    const today = service._today();
+    const lookback = service._formatDate(new Date(Date.now() - 20 * DAY));
+    const db = useFakeSupabase({
+        company_health_scores: [
+            { snapshot_date: lookback, company_id: 'A', score: 95, band: 'healthy', trend: 'new' },
+            { snapshot_date: lookback, company_id: 'B', score: 10, band: 'risk', trend: 'new' },
+            { snapshot_date: today, company_id: 'A', score: 1, band: 'risk', trend: 'new' }
+        ]
+    });
+
+    const result = await service.captureSnapshot();
+
+    assert.deepEqual(result, { success: true, snapshotDate: today, count: 3, trendingDown: 1 });
+    const todays = db.table('company_health_scores').filter(r => r.snapshot_date === today);
+    const byId = Object.fromEntries(todays.map(r => [r.company_id, r]));
+    assert.equal(todays.length, 3);
+    assert.deepEqual([byId.A.score, byId.A.previous_score, byId.A.score_delta, byId.A.trend], [83, 95, -12, 'down']);
+    assert.equal(byId.B.trend, 'flat');
+    assert.equal(byId.B.breakdown[0].detail, '近 90 天 1 次互動'); // 只掛在機會上的互動依機會歸戶
+    assert.deepEqual([byId.C.trend, byId.C.previous_score], ['new', null]);
+
+    const latest = await service.getLatestScoreMap();
+    assert.equal(latest.get('A').trend, 'down');
+    assert.equal(latest.get('A').snapshotDate, today);
+});
+
+test('company details use the stored history and fall back to a live score before the first run', async () => {
+    const service = createHealthService();
+    const yesterday = service._formatDate(new Date(Date.now() - DAY));
+    const today = service._today();
+    useFakeSupabase({
+        company_health_scores: [
+            { snapshot_date: today, company_id: 'A', score: 80, band: 'healthy', score_delta: -2, trend: 'flat', breakdown: [{ key: 'engagement' }] },
+            { snapshot_date: yesterday, company_id: 'A', score: 82, band: 'healthy', trend: 'new' }
+        ]
+    });
+
+    const stored = await service.getCompanyHealth(COMPANIES[0]);
+    assert.equal(stored.live, false);
+    assert.equal(stored.score, 80);
+    assert.equal(stored.scoreDelta, -2);
+    assert.deepEqual(stored.history, [{ snapshotDate: yesterday, score: 82 }, { snapshotDate: today, score: 80 }]);
+
+    const live = await service.getCompanyHealth(COMPANIES[2]);
+    assert.equal(live.live, true);
+    assert.equal(live.trend, 'new');
+    assert.equal(live.score, 0);
+});
@@ -0,0 +1,107 @@
+// test/audit.test.js
+// [user-001] 欄位層級稽核軌跡：SQL Writer 前後快照、操作者 / Request ID 與 AuditService 整理
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const AuditLogSqlWriter = require('../data/audit-log-sql-writer');
+const AuditLogSqlReader = require('../data/audit-log-sql-reader');
+const CompanySqlWriter = require('../data/company-sql-writer');
+const AuditService = require('../services/audit-service');
+const { requestContext } = require('../middleware/request-context.middleware');
+
+// 在模擬的 HTTP 請求上下文中執行 (requestContext middleware + verifyToken 寫入的 req.user)
+function withRequest({ requestId, user }, fn) {
+    const req = { headers: { 'x-request-id': requestId }, user };
+    const res = { setHeader() {} };
+    return new Promise((resolve, reject) => {
+        requestContext(req, res, () => fn().then(resolve, reject));
+    });
+}
+
+test('create / update / delete on a CORE writer each leave an audit row with the changed fields', async () => {
+    const db = useFakeSupabase();
+    const writer = new CompanySqlWriter(new AuditLogSqlWriter());
+
+    await writer.createCompany({ companyId: 'C1', companyName: '台積電', phone: '03-1234' }, 'alice');
+    await writer.updateCompany('C1', { phone: '03-9999', address: '新竹市' }, 'bob');
+    await writer.deleteCompany('C1', 'carol');
+
+    const logs = db.table('audit_logs');
+    assert.deepEqual(logs.map(l => l.action), ['create', 'update', 'delete']);
+    assert.ok(logs.every(l => l.entity_type === 'company' && l.entity_id === 'C1'));
+
+    const update = logs[1];
+    assert.deepEqual([...update.changed_fields].sort(), ['address', 'phone']);
+    assert.equal(update.before_data.phone, '03-1234');
+    assert.equal(update.after_data.phone, '03-9999');
+    // 非 HTTP 情境退回呼叫端傳入的 modifier
+    assert.equal(update.actor, 'bob');
+    assert.equal(update.request_id, null);
+});
+
+test('actor and request id come from the request context when present', async () => {
+    const db = useFakeSupabase();
+    const writer = new CompanySqlWriter(new AuditLogSqlWriter());
+
+    await withRequest({ requestId: 'req-42', user: { name: '王小明' } }, () =>
+        writer.createCompany({ companyId: 'C2', companyName: 'ACME' }, 'System'));
+
+    const [log] = db.table('audit_logs');
+    assert.equal(log.actor, '王小明');
+    assert.equal(log.request_id, 'req-42');
+});
+
+test('an update that changes nothing but the version columns is not logged', async () => {
+    const db = useFakeSupabase({
+        companies: [{ company_id: 'C3', company_name: 'ACME', phone: '1', updated_time: '2026-01-01T00:00:00Z' }]
+    });
+    const writer = new CompanySqlWriter(new AuditLogSqlWriter());
+
+    await writer.updateCompany('C3', { phone: '1' }, 'bob');
+
+    assert.equal(db.table('audit_logs').length, 0);
+});
+
+test('a failing audit insert never breaks the business write', async () => {
+    const db = useFakeSupabase();
+    db.failNext('audit_logs', 'insert', { message: 'audit table missing' });
+    const writer = new CompanySqlWriter(new AuditLogSqlWriter());
+
+    const result = await writer.createCompany({ companyId: 'C4', companyName: 'ACME' }, 'alice');
+
+    assert.equal(result.success, true);
+    assert.equal(db.table('companies').length, 1);
+    assert.equal(db.table('audit_logs').length, 0);
+});
+
+test('AuditService returns the trail newest first with per-field before / after', async () => {
+    useFakeSupabase({
+        audit_logs: [
+            {
+                audit_id: 'a1', entity_type: 'contact', entity_id: 'K1', action: 'update',
+                before_data: { name: '舊名', email: 'a@x.com' }, after_data: { name: '新名', email: 'a@x.com' },
+                changed_fields: ['name'], actor: 'alice', request_id: 'r1', created_time: '2026-10-01T00:00:00Z'
+            },
+            {
+                audit_id: 'a2', entity_type: 'contact', entity_id: 'K1', action: 'delete',
+                before_data: { name: '新名' }, after_data: null,
+                changed_fields: ['name'], actor: 'bob', request_id: 'r2', created_time: '2026-10-02T00:00:00Z'
+            },
+            {
+                audit_id: 'a3', entity_type: 'contact', entity_id: 'K2', action: 'create',
+                before_data: null, after_data: { name: 'x' }, changed_fields: ['name'], created_time: '2026-10-03T00:00:00Z'
+            }
+        ]
+    });
+    const service = new AuditService({ auditLogSqlReader: new AuditLogSqlReader() });
+
+    const trail = await service.getAuditTrail('contact', 'K1');
+
+    assert.deepEqual(trail.map(t => t.auditId), ['a2', 'a1']);
+    assert.deepEqual(trail[1].changes, [{ field: 'name', before: '舊名', after: '新名' }]);
+    assert.deepEqual(trail[0].changes, [{ field: 'name', before: '新名', after: null }]);
+    assert.equal(service.isSupportedEntity('weekly'), true);
+    assert.equal(service.isSupportedEntity('quote'), false);
+});
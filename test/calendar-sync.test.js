@@ -0,0 +1,210 @@
+// test/calendar-sync.test.js
+// [user-021] 日曆雙向同步：以本機模擬日曆建立會議並記錄關聯，改期 / 取消 / 還原回寫互動與週間業務，token 失效改完整同步
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const dateHelpers = require('../utils/date-helpers');
+const CalendarSyncSqlReader = require('../data/calendar-sync-sql-reader');
+const CalendarSyncSqlWriter = require('../data/calendar-sync-sql-writer');
+const CalendarService = require('../services/calendar-service');
+const CalendarSyncService = require('../services/calendar-sync-service');
+const EventService = require('../services/event-service');
+const FakeCalendarClient = require('../services/fake-calendar-client');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CALENDAR_ID = config.CALENDAR_ID || 'primary';
+const PREFIX = config.CALENDAR_SYNC.CANCELLED_PREFIX;
+
+// 未來第 n 天 02:00 UTC (台北 10:00，日期相同)
+const at = (days, hour = 2) => {
+    const date = new Date(Date.now() + days * DAY);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString();
+};
+
+/**
+ * 互動紀錄 / 週間業務以記憶體保存；欄位名稱同 Reader 輸出 (週間業務寫入用 theme / summary)
+ */
+function createRecords() {
+    const interactions = new Map();
+    const weekly = new Map();
+    const failures = new Set();
+    return {
+        interactions,
+        weekly,
+        failures,
+        interactionService: {
+            createInteraction: async (data) => {
+                const id = `I${interactions.size + 1}`;
+                interactions.set(id, { interactionId: id, ...data });
+                return { success: true, id };
+            },
+            getInteractionById: async (id) => (interactions.has(id) ? { ...interactions.get(id) } : null),
+            updateInteraction: async (id, data) => {
+                if (failures.has(id)) throw new Error('寫入逾時');
+                interactions.set(id, data);
+                return { success: true };
+            }
+        },
+        weeklyBusinessService: {
+            createWeeklyBusinessEntry: async (data) => {
+                const id = `W${weekly.size + 1}`;
+                weekly.set(id, { recordId: id, date: data.date, weekId: data.weekId, topic: data.theme, summaryContent: data.summary });
+                return { success: true, id };
+            },
+            getEntryById: async (id) => (weekly.has(id) ? { ...weekly.get(id) } : null),
+            updateWeeklyBusinessEntry: async (id, data) => {
+                const current = weekly.get(id);
+                if (data.theme !== undefined) current.topic = data.theme;
+                if (data.summary !== undefined) current.summaryContent = data.summary;
+                if (data.date !== undefined) current.date = data.date;
+                if (data.weekId !== undefined) current.weekId = data.weekId;
+                return { success: true };
+            }
+        }
+    };
+}
+
+function createSync() {
+    const db = useFakeSupabase();
+    const client = new FakeCalendarClient();
+    const calendarService = new CalendarService(client);
+    const records = createRecords();
+    const syncService = new CalendarSyncService({
+        calendarService,
+        calendarSyncSqlReader: new CalendarSyncSqlReader(),
+        calendarSyncSqlWriter: new CalendarSyncSqlWriter(),
+        interactionService: records.interactionService,
+        weeklyBusinessService: records.weeklyBusinessService,
+        dateHelpers,
+        config
+    });
+    const eventService = new EventService(
+        calendarService,
+        records.interactionService,
+        records.weeklyBusinessService,
+        { getOpportunityDetails: async () => ({ opportunityInfo: { customerCompany: '範例電子', opportunityType: 'IoT' }, linkedContacts: [] }) },
+        config,
+        dateHelpers,
+        syncService,
+        null
+    );
+    return { db, client, calendarService, syncService, eventService, ...records };
+}
+
+async function scheduleMeeting(ctx, startTime = at(3)) {
+    return ctx.eventService.createCalendarEventAndSync(
+        { title: '產線會議', startTime, duration: 90, opportunityId: 'O1', createInteraction: true },
+        { displayName: 'alice' }
+    );
+}
+
+test('a CRM meeting is created on the calendar and linked to its interaction and weekly entry', async () => {
+    const ctx = createSync();
+    const startTime = at(3);
+
+    const created = await scheduleMeeting(ctx, startTime);
+
+    const { data: event } = await ctx.client.events.get({ calendarId: CALENDAR_ID, eventId: created.eventId });
+    assert.equal(event.summary, '產線會議');
+    assert.equal(event.end.dateTime, new Date(Date.parse(startTime) + 90 * 60 * 1000).toISOString());
+
+    const [link] = ctx.db.table('calendar_sync_links');
+    assert.deepEqual(
+        [link.calendar_event_id, link.interaction_id, link.weekly_record_id, link.opportunity_id, link.status, link.created_by],
+        [created.eventId, 'I1', 'W1', 'O1', 'confirmed', 'alice']
+    );
+    assert.equal(ctx.interactions.get('I1').calendarEventId, created.eventId);
+
+    // 首次同步為完整同步：時段未變的活動不回寫
+    const first = await ctx.syncService.sync();
+    assert.deepEqual([first.mode, first.scanned, first.linked, first.rescheduled], ['full', 1, 1, 0]);
+    assert.equal(ctx.interactions.get('I1').interactionTime, startTime);
+});
+
+test('rescheduling, cancelling and restoring on the calendar are written back on the next incremental sync', async () => {
+    const ctx = createSync();
+    const created = await scheduleMeeting(ctx);
+    await ctx.syncService.sync();
+
+    const newStart = at(10, 6);
+    const newEnd = at(10, 7);
+    await ctx.client.moveEvent(CALENDAR_ID, created.eventId, { start: { dateTime: newStart }, end: { dateTime: newEnd } });
+    const moved = await ctx.syncService.sync();
+
+    assert.deepEqual([moved.mode, moved.scanned, moved.rescheduled], ['incremental', 1, 1]);
+    const interaction = ctx.interactions.get('I1');
+    assert.equal(interaction.interactionTime, newStart);
+    assert.match(interaction.contentSummary, /\[日曆同步 [^\]]+\] 會議改期：.+ → \d{4}-\d{2}-\d{2} 14:00$/);
+    assert.deepEqual([ctx.weekly.get('W1').date, ctx.weekly.get('W1').weekId], [newStart.slice(0, 10), dateHelpers.getWeekId(new Date(newStart.slice(0, 10)))]);
+    assert.equal(ctx.db.table('calendar_sync_links')[0].start_time, newStart);
+
+    await ctx.client.cancelEvent(CALENDAR_ID, created.eventId);
+    const cancelled = await ctx.syncService.sync();
+
+    assert.equal(cancelled.cancelled, 1);
+    assert.equal(ctx.interactions.get('I1').eventTitle, `${PREFIX}產線會議`);
+    assert.equal(ctx.weekly.get('W1').topic, `${PREFIX}產線會議`);
+    assert.match(ctx.weekly.get('W1').summaryContent, /會議已於 Google Calendar 取消$/);
+    assert.equal(ctx.db.table('calendar_sync_links')[0].status, 'cancelled');
+
+    await ctx.client.events.patch({ calendarId: CALENDAR_ID, eventId: created.eventId, requestBody: { status: 'confirmed' } });
+    const restored = await ctx.syncService.sync();
+
+    assert.deepEqual([restored.restored, restored.rescheduled], [1, 0]);
+    assert.equal(ctx.interactions.get('I1').eventTitle, '產線會議');
+    assert.equal(ctx.weekly.get('W1').topic, '產線會議');
+    assert.equal(ctx.interactions.get('I1').interactionTime, newStart);
+    assert.equal(ctx.db.table('calendar_sync_links')[0].status, 'confirmed');
+
+    // 沒有新異動時不重複回寫
+    const idle = await ctx.syncService.sync();
+    assert.deepEqual([idle.scanned, idle.restored, idle.cancelled], [0, 0, 0]);
+});
+
+test('an all-day move keeps the time of day and an expired sync token falls back to a full sync', async () => {
+    const ctx = createSync();
+    const startTime = at(3, 5);
+    const created = await scheduleMeeting(ctx, startTime);
+    await ctx.syncService.sync();
+
+    ctx.client.expireSyncTokens();
+    const targetDate = at(5).slice(0, 10);
+    await ctx.client.moveEvent(CALENDAR_ID, created.eventId, { start: { date: targetDate }, end: { date: at(6).slice(0, 10) } });
+    const result = await ctx.syncService.sync();
+
+    assert.equal(result.mode, 'full (token expired)');
+    assert.equal(result.rescheduled, 1);
+    assert.equal(ctx.interactions.get('I1').interactionTime, new Date(Date.parse(startTime) + 2 * DAY).toISOString());
+    assert.equal(ctx.weekly.get('W1').date, targetDate);
+    assert.match(ctx.interactions.get('I1').contentSummary, new RegExp(`→ ${targetDate} \\(全天\\)$`));
+    assert.equal(ctx.db.table('calendar_sync_links')[0].is_all_day, true);
+});
+
+test('unlinked events are ignored, a failing record does not stop the others and concurrent calls share one run', async () => {
+    const ctx = createSync();
+    const first = await scheduleMeeting(ctx);
+    const second = await scheduleMeeting(ctx, at(4));
+    await ctx.calendarService.createCalendarEvent({ title: '私人行程', startTime: at(2) });
+    await ctx.syncService.sync();
+
+    await ctx.client.cancelEvent(CALENDAR_ID, first.eventId);
+    await ctx.client.cancelEvent(CALENDAR_ID, second.eventId);
+    ctx.failures.add('I1');
+
+    const [a, b] = await Promise.all([ctx.syncService.sync(), ctx.syncService.sync()]);
+
+    assert.equal(a, b);
+    assert.deepEqual([a.scanned, a.linked, a.cancelled, a.failed], [2, 2, 1, 1]);
+    assert.deepEqual(a.errors, [{ calendarEventId: first.eventId, message: '寫入逾時' }]);
+    assert.equal(ctx.interactions.get('I2').eventTitle, `${PREFIX}產線會議`);
+
+    const status = await ctx.syncService.getStatus();
+    assert.equal(status.hasSyncToken, true);
+    assert.equal(status.running, false);
+    assert.deepEqual(status.lastResult.errors, a.errors);
+    assert.equal(status.recentLinks.length, 2);
+});
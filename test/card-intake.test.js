@@ -0,0 +1,134 @@
+// test/card-intake.test.js
+// [user-014] 名片收件：以 stub 辨識引擎走完辨識 → 原圖上傳 → 寫入潛在客戶，含上傳限制、失敗處理與 LINE 分派
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const CardIntakeService = require('../services/card-intake-service');
+const { createCardOcrEngine, StubCardOcrEngine } = require('../services/card-ocr-engines');
+
+const IMAGE = Buffer.from('fake-jpeg-bytes').toString('base64');
+
+function createIntakeService({ ocrEngine = createCardOcrEngine('stub'), uploadFails = false, routingFails = false } = {}) {
+    const rows = [];
+    const uploads = [];
+    let routed = 0;
+    const service = new CardIntakeService({
+        contactWriter: {
+            appendPotentialContactRow: async (row) => {
+                if (row.name === '寫入失敗') throw new Error('quota exceeded');
+                rows.push(row);
+                return rows.length + 1;
+            }
+        },
+        ocrEngine,
+        externalService: {
+            uploadDriveFile: async (file) => {
+                if (uploadFails) throw new Error('drive unavailable');
+                uploads.push(file);
+                return { id: `DRIVE${uploads.length}`, webViewLink: `https://drive.example/${uploads.length}` };
+            }
+        },
+        config,
+        leadRoutingService: {
+            routeNewLeads: async () => {
+                routed++;
+                if (routingFails) throw new Error('routing down');
+            }
+        }
+    });
+    return { service, rows, uploads, routed: () => routed };
+}
+
+const card = (fileName, extra = {}) => ({ fileName, mimeType: 'image/jpeg', content: `data:image/jpeg;base64,${IMAGE}`, ...extra });
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('the engine factory picks the stub engine and refuses unknown engines', () => {
+    assert.ok(createCardOcrEngine('STUB') instanceof StubCardOcrEngine);
+    assert.throws(() => createCardOcrEngine('gemini'), /externalService is required/);
+    assert.throws(() => createCardOcrEngine('tesseract'), /未知的名片辨識引擎: tesseract/);
+});
+
+test('a stub-recognized card is uploaded to Drive and written as a potential contact', async () => {
+    const { service, rows, uploads, routed } = createIntakeService();
+
+    const result = await service.intakeCards([card('王小明_ACME 股份.jpg')], { source: 'WEB' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.engine, 'stub');
+    assert.deepEqual(result.data.failed, []);
+
+    const [row] = rows;
+    assert.equal(row.name, '王小明');
+    assert.equal(row.company, 'ACME 股份');
+    assert.equal(row.confidence, 50);
+    assert.equal(row.rawText, '[stub] 王小明_ACME 股份.jpg');
+    assert.match(row.smartFilename, /^\d{8}_\d{6}_ACME股份_王小明\.jpg$/);
+    assert.equal(row.driveLink, 'https://drive.example/1');
+    assert.equal(row.originalId, 'DRIVE1');
+    assert.equal(row.dataSource, 'WEB');
+
+    assert.equal(uploads[0].fileName, row.smartFilename);
+    assert.equal(uploads[0].buffer.toString(), 'fake-jpeg-bytes');
+    assert.equal(routed(), 0);
+});
+
+test('upload limits, formats and empty images are rejected with 無法建檔', async () => {
+    const { service } = createIntakeService();
+    const tooLarge = Buffer.alloc(config.CARD_OCR.MAX_FILE_SIZE_MB * 1024 * 1024 + 1).toString('base64');
+
+    for (const [files, pattern] of [
+        [[], /請至少上傳一張名片/],
+        [Array.from({ length: config.CARD_OCR.MAX_FILES + 1 }, (_, i) => card(`c${i}.jpg`)), /一次最多上傳 2 張名片/],
+        [[card('a.gif', { mimeType: 'image/gif' })], /不支援的圖片格式「image\/gif」\(a\.gif\)/],
+        [[card('a.jpg', { content: '' })], /圖片內容為空 \(a\.jpg\)/],
+        [[card('a.jpg', { content: tooLarge })], /圖片超過 3MB \(a\.jpg\)/]
+    ]) {
+        const error = await rejection(service.intakeCards(files));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+});
+
+test('a failed Drive upload still creates the row; OCR and write failures are listed per card', async () => {
+    const failingEngine = {
+        name: 'flaky',
+        recognize: async (file) => {
+            if (file.fileName === 'blurry.jpg') throw new Error('unreadable');
+            return { fields: { name: ' 李大華 ', email: 'hua@acme.com', phone: '' }, rawText: '', confidence: null };
+        }
+    };
+    const { service, rows } = createIntakeService({ ocrEngine: failingEngine, uploadFails: true });
+
+    const result = await service.intakeCards([card('blurry.jpg'), card('ok.png', { mimeType: 'image/png' })]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, '已建立 1 張名片，1 張失敗');
+    assert.deepEqual(result.data.failed, [{ fileName: 'blurry.jpg', error: '辨識失敗：unreadable' }]);
+    assert.equal(result.data.created[0].warning, '原圖上傳失敗：drive unavailable');
+    assert.equal(rows[0].driveLink, '');
+    assert.equal(rows[0].name, '李大華');
+    assert.equal('phone' in rows[0], false);
+    assert.equal(rows[0].confidence, 70); // 引擎未提供分數：姓名 30 + 聯絡方式 40
+    assert.match(rows[0].smartFilename, /_李大華\.png$/);
+
+    const writeFailure = await createIntakeService().service.intakeCards([card('寫入失敗_X.jpg')]);
+    assert.equal(writeFailure.success, false);
+    assert.deepEqual(writeFailure.data.failed, [{ fileName: '寫入失敗_X.jpg', error: '寫入失敗：quota exceeded' }]);
+});
+
+test('LINE cards are routed right after intake and a routing failure does not undo the card', async () => {
+    const { service, rows, routed } = createIntakeService({ routingFails: true });
+
+    const result = await service.intakeCards([card('陳新_新創.webp', { mimeType: 'image/webp' })], {
+        source: 'LINE', lineUserId: 'U123', userNickname: 'Chen'
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(routed(), 1);
+    assert.equal(rows[0].dataSource, 'LINE');
+    assert.equal(rows[0].lineUserId, 'U123');
+    assert.match(rows[0].smartFilename, /\.webp$/);
+});
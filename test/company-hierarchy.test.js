@@ -0,0 +1,145 @@
+// test/company-hierarchy.test.js
+// [user-017] 公司階層：上層公司驗證 (防環)、詳細資料合併下層公司、刪除限制與儀表板集團層級統計
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const CompanyService = require('../services/company-service');
+const DashboardService = require('../services/dashboard-service');
+
+// 集團 G → 子公司 S1 (→ 廠區 P1)、S2；X 為獨立公司
+const COMPANIES = [
+    { companyId: 'G', companyName: '大同集團', companyType: 'MTU' },
+    { companyId: 'S2', companyName: '乙子公司', companyType: 'SI', parentCompanyId: 'G' },
+    { companyId: 'S1', companyName: '甲子公司', companyType: 'MTU', parentCompanyId: 'G' },
+    { companyId: 'P1', companyName: '甲桃園廠', companyType: 'MTU', parentCompanyId: 'S1' },
+    { companyId: 'X', companyName: '獨立公司', companyType: 'MTU' }
+];
+
+const OPPORTUNITIES = [
+    { opportunityId: 'O1', opportunityName: '甲擴廠', customerCompany: '甲子公司' },
+    { opportunityId: 'O2', opportunityName: '桃園產線', customerCompany: '甲桃園廠股份有限公司' },
+    { opportunityId: 'O3', opportunityName: '集團標案', customerCompany: '大同集團' }
+];
+
+function createCompanyService() {
+    const writes = [];
+    const args = new Array(19).fill(null);
+    args[10] = { getCompanies: async () => COMPANIES }; // companySqlReader
+    args[11] = { // contactService
+        getPotentialContacts: async () => [{ name: '名片', company: '甲桃園廠' }, { name: '他人', company: '獨立公司' }],
+        scorePotentialContacts: async (list) => list
+    };
+    args[12] = { // companySqlWriter
+        updateCompany: async (id, data) => { writes.push({ id, data }); return { success: true }; },
+        deleteCompany: async (id) => { writes.push({ id, deleted: true }); return { success: true }; }
+    };
+    args[13] = { // eventLogSqlReader
+        getEventLogs: async () => [
+            { eventId: 'E1', companyId: 'P1', createdTime: '2026-10-02' },
+            { eventId: 'E2', companyId: 'S1', createdTime: '2026-10-05' },
+            { eventId: 'E3', companyId: 'G', createdTime: '2026-10-09' }
+        ]
+    };
+    args[14] = { getContactsByCompanyId: async (id) => (id === 'S1' ? [{ contactId: 'K1' }] : id === 'P1' ? [{ contactId: 'K2' }] : []) };
+    args[15] = { // opportunitySqlReader
+        getOpportunitiesByCompanyName: async (base) => OPPORTUNITIES.filter(o => o.customerCompany.includes(base)),
+        getOpportunities: async () => OPPORTUNITIES
+    };
+    args[16] = { // interactionSqlReader
+        getInteractionsByCompanyId: async (id) => (id === 'S1' ? [{ interactionId: 'I1', companyId: 'S1', interactionTime: '2026-10-01' }] : []),
+        getInteractionsByOpportunityIds: async (ids) => (ids.includes('O2') ? [{ interactionId: 'I2', opportunityId: 'O2', interactionTime: '2026-10-03' }] : [])
+    };
+    return { service: new CompanyService(...args), writes };
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('details roll up the whole subtree and tag items that come from subsidiaries', async () => {
+    const { service } = createCompanyService();
+
+    const details = await service.getCompanyDetails('S1');
+
+    assert.deepEqual(details.contacts.map(c => [c.contactId, c.sourceCompanyName]), [['K1', undefined], ['K2', '甲桃園廠']]);
+    assert.deepEqual(details.opportunities.map(o => [o.opportunityId, o.sourceCompanyId]), [['O1', undefined], ['O2', 'P1']]);
+    assert.deepEqual(details.interactions.map(i => [i.interactionId, i.sourceCompanyId]), [['I2', 'P1'], ['I1', undefined]]);
+    assert.deepEqual(details.eventLogs.map(e => e.eventId), ['E2', 'E1']);
+    assert.deepEqual(details.potentialContacts.map(p => [p.name, p.sourceCompanyId]), [['名片', 'P1']]);
+
+    assert.deepEqual(details.hierarchy.parent, { companyId: 'G', companyName: '大同集團' });
+    assert.deepEqual(details.hierarchy.subtreeCompanyIds, ['S1', 'P1']);
+    assert.equal(details.hierarchy.rolledUp, true);
+    const tree = details.hierarchy.groupTree;
+    assert.equal(tree.companyId, 'G');
+    assert.deepEqual(tree.children.map(c => c.companyName), ['乙子公司', '甲子公司']); // 依名稱排序
+    assert.deepEqual(tree.children.find(c => c.companyId === 'S1').children.map(c => c.companyId), ['P1']);
+});
+
+test('rollup can be turned off and a leaf company lists its ancestors from the top', async () => {
+    const { service } = createCompanyService();
+
+    const own = await service.getCompanyDetails('S1', { rollup: false });
+    assert.deepEqual(own.contacts.map(c => c.contactId), ['K1']);
+    assert.deepEqual(own.opportunities.map(o => o.opportunityId), ['O1']);
+    assert.equal(own.hierarchy.rolledUp, false);
+
+    const plant = await service.getCompanyDetails('P1');
+    assert.deepEqual(plant.hierarchy.ancestors.map(a => a.companyId), ['G', 'S1']);
+    assert.equal(plant.hierarchy.rolledUp, false);
+});
+
+test('a parent must exist and must not be the company itself or one of its descendants', async () => {
+    const { service, writes } = createCompanyService();
+    const user = { displayName: 'alice' };
+
+    for (const [id, parent, pattern] of [
+        ['S1', 'NOPE', /找不到上層公司 \(NOPE\)/],
+        ['S1', 'S1', /上層公司不可為自己/],
+        ['G', 'P1', /「甲桃園廠」是此公司的下層公司/]
+    ]) {
+        const error = await rejection(service.updateCompany(id, { parentCompanyId: parent }, user));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+
+    await service.updateCompany('S2', { parentCompanyId: 'X' }, user);
+    await service.updateCompany('S1', { parentCompanyId: '' }, user);
+    assert.deepEqual(writes.map(w => [w.id, w.data.parentCompanyId]), [['S2', 'X'], ['S1', '']]);
+
+    const create = await rejection(service.createCompany('新公司', { parentCompanyId: 'NOPE' }, user));
+    assert.match(create.message, /^無法建檔：找不到上層公司/);
+});
+
+test('a company with subsidiaries cannot be deleted', async () => {
+    const { service, writes } = createCompanyService();
+
+    const error = await rejection(service.deleteCompany('S1', { displayName: 'alice' }));
+
+    assert.match(error.message, /^無法刪除：尚有 1 家下層公司 \(例如: 甲桃園廠\)/);
+    assert.deepEqual(writes, []);
+});
+
+test('group-level dashboard stats count each top-level group once', async () => {
+    useFakeSupabase({
+        v_company_activity_summary: [
+            { company_id: 'S1', company_name: '甲子公司', company_type: 'MTU', has_activity: false },
+            { company_id: 'P1', company_name: '甲桃園廠', company_type: 'MTU', has_activity: true },
+            { company_id: 'S2', company_name: '乙子公司', company_type: 'SI', has_activity: false },
+            { company_id: 'X', company_name: '獨立公司', company_type: 'MTU', has_activity: false },
+            { company_id: 'Z', company_name: '經銷商', company_type: 'MTB', has_activity: true }
+        ]
+    });
+    const dashboard = new DashboardService(config, {}, {}, null, null, null, null, null, { getCompanies: async () => COMPANIES });
+
+    const perCompany = await dashboard.getCompanyActivityDetails('mtu');
+    assert.deepEqual([perCompany.totalCount, perCompany.activeCount], [3, 1]);
+
+    const mtu = await dashboard.getCompanyActivityDetails('mtu', { groupLevel: true });
+    assert.deepEqual(mtu, { totalCount: 2, activeCount: 1, inactiveCount: 1, activeNames: ['大同集團'], inactiveNames: ['獨立公司'] });
+
+    const si = await dashboard.getCompanyActivityDetails('si', { groupLevel: true });
+    assert.deepEqual(si.activeNames, ['大同集團']); // 集團內任一成員為 SI 即計入
+    await assert.rejects(dashboard.getCompanyActivityDetails('mtb'), /Invalid company activity type/);
+});
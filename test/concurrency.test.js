@@ -0,0 +1,94 @@
+// test/concurrency.test.js
+// [user-003] 樂觀鎖：If-Match 版本解析、Writer 條件更新、Service 拋出「資料衝突：」與 409 回應
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const CompanySqlWriter = require('../data/company-sql-writer');
+const CompanySqlReader = require('../data/company-sql-reader');
+const CompanyService = require('../services/company-service');
+const { readExpectedVersion, isSameVersion } = require('../utils/concurrency');
+const { handleApiError } = require('../middleware/error.middleware');
+
+const VERSION = '2026-10-01T08:00:00.000Z';
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+function createCompanyService() {
+    const args = new Array(19).fill(null);
+    args[10] = new CompanySqlReader(); // companySqlReader
+    args[12] = new CompanySqlWriter(); // companySqlWriter
+    return new CompanyService(...args);
+}
+
+test('readExpectedVersion accepts an ETag style If-Match header or body.expectedUpdatedTime', () => {
+    const fromHeader = { headers: { 'if-match': `W/"${VERSION}"` }, body: { expectedUpdatedTime: 'ignored', phone: '1' } };
+    assert.equal(readExpectedVersion(fromHeader), VERSION);
+    assert.deepEqual(fromHeader.body, { phone: '1' });
+
+    const fromBody = { headers: {}, body: { expectedUpdatedTime: VERSION } };
+    assert.equal(readExpectedVersion(fromBody), VERSION);
+    assert.equal(readExpectedVersion({ headers: {}, body: {} }), null);
+});
+
+test('isSameVersion compares instants, not string formats', () => {
+    assert.equal(isSameVersion('2026-10-01T08:00:00Z', '2026-10-01T08:00:00.000+00:00'), true);
+    assert.equal(isSameVersion('2026-10-01T08:00:00Z', '2026-10-01T08:00:01Z'), false);
+    assert.equal(isSameVersion(null, VERSION), false);
+});
+
+test('the writer updates when the expected version matches and returns the new version', async () => {
+    const db = useFakeSupabase({ companies: [{ company_id: 'C1', company_name: 'ACME', phone: '1', updated_time: VERSION }] });
+
+    const result = await new CompanySqlWriter().updateCompany('C1', { phone: '2' }, 'alice', { expectedUpdatedTime: VERSION });
+
+    assert.equal(result.success, true);
+    assert.notEqual(result.updatedTime, VERSION);
+    assert.equal(db.table('companies')[0].phone, '2');
+});
+
+test('the writer refuses a stale version without touching the row', async () => {
+    const db = useFakeSupabase({ companies: [{ company_id: 'C1', company_name: 'ACME', phone: '1', updated_time: VERSION }] });
+
+    const result = await new CompanySqlWriter().updateCompany('C1', { phone: '2' }, 'alice', { expectedUpdatedTime: '2026-09-30T00:00:00Z' });
+
+    assert.deepEqual(result, { success: false, conflict: true });
+    assert.equal(db.table('companies')[0].phone, '1');
+    assert.equal(db.calls.filter(c => c.action === 'update').length, 0);
+});
+
+test('updates without a version keep the last-write-wins behaviour', async () => {
+    const db = useFakeSupabase({ companies: [{ company_id: 'C1', company_name: 'ACME', phone: '1', updated_time: VERSION }] });
+
+    const result = await new CompanySqlWriter().updateCompany('C1', { phone: '3' }, 'alice');
+
+    assert.equal(result.success, true);
+    assert.equal(db.table('companies')[0].phone, '3');
+});
+
+test('a conflicting save surfaces as HTTP 409 with the server copy for merging', async () => {
+    const row = { company_id: 'C1', company_name: 'ACME', phone: '02-1111', updated_time: VERSION, deleted_time: null };
+    useFakeSupabase({ companies: [row], v_companies_summary: [row] });
+    const service = createCompanyService();
+
+    const error = await service.updateCompany('C1', { phone: '02-2222' }, { displayName: 'bob' }, { expectedUpdatedTime: '2026-09-30T00:00:00Z' })
+        .then(() => null, err => err);
+
+    assert.match(error.message, /^資料衝突：/);
+    assert.equal(error.current.companyId, 'C1');
+    assert.equal(error.current.phone, '02-1111');
+
+    const res = mockResponse();
+    handleApiError(res, error, 'test');
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.conflict, true);
+    assert.equal(res.body.current.phone, '02-1111');
+});
@@ -0,0 +1,148 @@
+// test/currency.test.js
+// [user-009] 多幣別：依生效日換算本位幣、缺少匯率不計入合計 (missingFxCurrencies)、匯率表維護
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const FxRateSqlReader = require('../data/fx-rate-sql-reader');
+const FxRateSqlWriter = require('../data/fx-rate-sql-writer');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const SalesQuotaSqlReader = require('../data/sales-quota-sql-reader');
+const CurrencyService = require('../services/currency-service');
+const ForecastService = require('../services/forecast-service');
+const QuotaService = require('../services/quota-service');
+const { FxConverter } = CurrencyService;
+
+const systemService = {
+    getSystemConfig: async () => ({ '幣別': [{ value: 'TWD' }, { value: 'USD' }, { value: 'JPY' }], '團隊成員': [{ value: 'alice' }] })
+};
+
+const RATES = [
+    { rate_id: 'R1', currency: 'USD', rate_to_base: 30, effective_date: '2026-01-01' },
+    { rate_id: 'R2', currency: 'USD', rate_to_base: 32, effective_date: '2026-07-01' }
+];
+
+function createCurrencyService() {
+    return new CurrencyService({
+        fxRateSqlReader: new FxRateSqlReader(),
+        fxRateSqlWriter: new FxRateSqlWriter(),
+        systemService,
+        config
+    });
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('the rate in effect on the given date is applied', () => {
+    const fx = new FxConverter('TWD', [
+        { currency: 'USD', rateToBase: 32, effectiveDate: '2026-07-01' },
+        { currency: 'USD', rateToBase: 30, effectiveDate: '2026-01-01' }
+    ]);
+
+    assert.equal(fx.toBase('1,000', 'USD', '2026-06-30'), 30000);
+    assert.equal(fx.toBase(1000, 'USD', '2026-07-01T09:00:00Z'), 32000);
+    assert.equal(fx.toBase(1000, 'USD', '2026-01-01'), 30000);
+    assert.equal(fx.toBase('5,000', 'TWD'), 5000);
+    assert.equal(fx.toBase(5000, ''), 5000);
+    assert.deepEqual(fx.getMissingCurrencies(), []);
+});
+
+test('a date before the first effective date has no rate and reports the currency as missing', () => {
+    const fx = new FxConverter('TWD', [{ currency: 'USD', rateToBase: 30, effectiveDate: '2026-01-01' }]);
+
+    assert.equal(fx.rateOn('USD', '2025-12-31'), null);
+    assert.equal(fx.toBase(1000, 'USD', '2025-12-31'), null);
+    assert.deepEqual(fx.getMissingCurrencies(), ['USD']);
+});
+
+test('an amount without a rate converts to null and its currency is reported', () => {
+    const fx = new FxConverter('TWD', []);
+
+    assert.equal(fx.toBase(1000, 'JPY', '2026-10-01'), null);
+    assert.equal(fx.toBase(0, 'EUR'), 0);
+    assert.equal(fx.toBase(10, 'EUR'), null);
+    assert.deepEqual(fx.getMissingCurrencies(), ['EUR', 'JPY']);
+});
+
+test('an unreadable rate table yields a converter that reports every foreign currency as missing', async () => {
+    const db = useFakeSupabase({ fx_rates: RATES });
+    db.failNext('fx_rates', 'select', { message: 'relation "fx_rates" does not exist' });
+
+    const fx = await createCurrencyService().getConverter();
+
+    assert.equal(fx.toBase(100, 'USD'), null);
+    assert.deepEqual(fx.getMissingCurrencies(), ['USD']);
+});
+
+test('rates are validated and re-saving a currency / effective date overwrites it', async () => {
+    const db = useFakeSupabase({ fx_rates: RATES });
+    const service = createCurrencyService();
+
+    for (const [data, pattern] of [
+        [{ currency: 'TWD', rateToBase: 1, effectiveDate: '2026-01-01' }, /不是可設定匯率的幣別/],
+        [{ currency: 'EUR', rateToBase: 35, effectiveDate: '2026-01-01' }, /不是可設定匯率的幣別/],
+        [{ currency: 'USD', rateToBase: 0, effectiveDate: '2026-01-01' }, /匯率需大於 0/],
+        [{ currency: 'USD', rateToBase: 31, effectiveDate: '2026/01/01' }, /生效日需為 YYYY-MM-DD/]
+    ]) {
+        const error = await rejection(service.saveRate(data, { name: 'admin' }));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+
+    const result = await service.saveRate({ currency: 'USD', rateToBase: '31.5', effectiveDate: '2026-07-01' }, { name: 'admin' });
+    assert.equal(result.rateId, 'R2');
+    assert.equal(db.table('fx_rates').length, 2);
+    assert.equal(db.table('fx_rates')[1].rate_to_base, 31.5);
+
+    const duplicate = await rejection(service.updateRate('R1', { effectiveDate: '2026-07-01' }, { name: 'admin' }));
+    assert.match(duplicate.message, /USD 在 2026-07-01 已有匯率/);
+});
+
+test('analytics leave unconverted amounts out of totals and list the missing currencies', async () => {
+    useFakeSupabase({
+        fx_rates: RATES,
+        opportunities: [
+            { opportunity_id: 'O1', owner: 'alice', current_status: '進行中', currency: 'USD', opportunity_value: 1000, win_probability: '100', expected_close_date: '2026-08-01' },
+            { opportunity_id: 'O2', owner: 'alice', current_status: '進行中', currency: 'JPY', opportunity_value: 500000, win_probability: '100', expected_close_date: '2026-08-01' }
+        ],
+        sales_quotas: [{ quota_id: 'Q1', assignee: 'alice', sales_model: '', period_type: 'month', period_key: '2026-08', target_amount: 64000 }],
+        v_opportunities_summary: [
+            { opportunity_id: 'W1', owner: 'alice', current_stage: '受注', currency: 'USD', opportunity_value: 1000, expected_close_date: '2026-08-15' },
+            { opportunity_id: 'W2', owner: 'alice', current_stage: '受注', currency: 'JPY', opportunity_value: 900000, expected_close_date: '2026-08-20' }
+        ]
+    });
+    const currencyService = createCurrencyService();
+    const opportunitySqlReader = new OpportunitySqlReader();
+
+    const forecast = await new ForecastService({ opportunitySqlReader, systemService, currencyService, config }).computeForecast();
+    assert.equal(forecast.totals.count, 2);
+    assert.equal(forecast.totals.totalValue, 32000);
+    assert.deepEqual(forecast.items.map(i => i.value), [32000, null]);
+    assert.deepEqual(forecast.missingFxCurrencies, ['JPY']);
+
+    const quotaService = new QuotaService({ salesQuotaSqlReader: new SalesQuotaSqlReader(), opportunitySqlReader, systemService, currencyService });
+    const [attainment] = await quotaService.getAttainment({ startDate: '2026-08-01', endDate: '2026-08-31' });
+    assert.equal(attainment.achievedAmount, 32000);
+    assert.equal(attainment.attainmentRate, 50);
+    assert.deepEqual(attainment.missingFxCurrencies, ['JPY']);
+});
+
+test('an opportunity expected to close before the first rate is left out of the forecast value', async () => {
+    useFakeSupabase({
+        fx_rates: RATES,
+        opportunities: [
+            { opportunity_id: 'O1', owner: 'alice', current_status: '進行中', currency: 'USD', opportunity_value: 1000, win_probability: '100', expected_close_date: '2025-12-15' },
+            { opportunity_id: 'O2', owner: 'alice', current_status: '進行中', currency: 'USD', opportunity_value: 1000, win_probability: '100', expected_close_date: '2026-01-15' }
+        ]
+    });
+
+    const forecast = await new ForecastService({
+        opportunitySqlReader: new OpportunitySqlReader(), systemService, currencyService: createCurrencyService(), config
+    }).computeForecast();
+
+    assert.deepEqual(forecast.items.map(i => i.value), [null, 30000]);
+    assert.equal(forecast.totals.totalValue, 30000);
+    assert.deepEqual(forecast.missingFxCurrencies, ['USD']);
+});
@@ -0,0 +1,186 @@
+// test/duplicate.test.js
+// [user-011] 重複偵測與合併：公司別名 / 簡稱 / 電話評分、聯絡人 Email / 手機比對，合併時改指向、補齊欄位、稽核與版本更新
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const AuditLogSqlWriter = require('../data/audit-log-sql-writer');
+const ContactSqlReader = require('../data/contact-sql-reader');
+const ContactSqlWriter = require('../data/contact-sql-writer');
+const RecordMergeSqlReader = require('../data/record-merge-sql-reader');
+const RecordMergeSqlWriter = require('../data/record-merge-sql-writer');
+const DuplicateService = require('../services/duplicate-service');
+
+const OLD_VERSION = '2026-01-01T00:00:00.000Z';
+
+function createDuplicateService({ companies = [], contacts = [], aliases = [], settings = config } = {}) {
+    const interactions = [];
+    const service = new DuplicateService({
+        contactSqlReader: contacts.length ? { getContacts: async () => contacts } : new ContactSqlReader(),
+        contactSqlWriter: new ContactSqlWriter(new AuditLogSqlWriter()),
+        companySqlReader: { getCompanies: async () => companies },
+        recordMergeSqlReader: new RecordMergeSqlReader(),
+        recordMergeSqlWriter: new RecordMergeSqlWriter(new AuditLogSqlWriter()),
+        interactionService: { createInteraction: async (data) => { interactions.push(data); } },
+        systemService: { getSystemConfig: async () => ({ '公司別名': aliases }) },
+        config: settings
+    });
+    return { service, interactions };
+}
+
+test('company candidates come from aliases, abbreviations and shared phone numbers', async () => {
+    const { service } = createDuplicateService({
+        companies: [
+            { companyId: 'C1', companyName: '台灣積體電路製造股份有限公司', phone: '03-5636688' },
+            { companyId: 'C2', companyName: 'TSMC' },
+            { companyId: 'C3', companyName: '台積電', phone: '+886 3 563 6688' },
+            { companyId: 'C4', companyName: '聯華電子' }
+        ],
+        aliases: [{ value: 'TSMC', note: '台灣積體電路製造' }]
+    });
+
+    const pairs = await service.findCompanyDuplicates();
+    const byIds = Object.fromEntries(pairs.map(p => [p.records.map(r => r.companyId).join('-'), p]));
+
+    assert.deepEqual(byIds['C1-C2'].reasons, ['公司別名']);
+    assert.equal(byIds['C1-C2'].score, 90);
+    assert.deepEqual(byIds['C1-C3'].reasons, ['名稱為簡稱', '電話相同']);
+    assert.equal(byIds['C1-C3'].score, 88);
+    assert.equal(pairs.some(p => p.records.some(r => r.companyId === 'C4')), false);
+});
+
+test('the full scan only scores records sharing a blocking key and keeps the top candidates', async () => {
+    const companies = [
+        { companyId: 'C1', companyName: '台灣積體電路製造股份有限公司' },
+        { companyId: 'C2', companyName: '台積電' },
+        { companyId: 'C3', companyName: '聯華電子', phone: '03-5782258' },
+        { companyId: 'C4', companyName: 'UMC', phone: '035782258' },
+        { companyId: 'C5', companyName: '鴻海精密工業' },
+        ...Array.from({ length: 4 }, (_, i) => ({ companyId: `D${i}`, companyName: '重複科技' }))
+    ];
+    const { service } = createDuplicateService({
+        companies,
+        settings: { ...config, DUPLICATE: { ...config.DUPLICATE, MAX_CANDIDATES: 4 } }
+    });
+    const scored = [];
+    const scoreCompanies = service._scoreCompanies.bind(service);
+    service._scoreCompanies = (a, b) => {
+        scored.push(`${a.company.companyId}-${b.company.companyId}`);
+        return scoreCompanies(a, b);
+    };
+
+    const pairs = await service.findCompanyDuplicates();
+
+    assert.deepEqual(scored.slice(0, 2), ['C1-C2', 'C3-C4']);
+    assert.equal(scored.length, 2 + 6); // 6 = 4 筆「重複科技」兩兩比對；鴻海與其他公司沒有共同的分組鍵
+    assert.deepEqual(pairs.map(p => p.records.map(r => r.companyId).join('-')), ['D0-D1', 'D0-D2', 'D0-D3', 'D1-D2']);
+    assert.ok(pairs.every(p => p.score === 90));
+});
+
+test('contact checks match normalized email and mobile and honour excludeId', async () => {
+    const { service } = createDuplicateService({
+        companies: [{ companyId: 'C1', companyName: 'ACME' }],
+        contacts: [
+            { contactId: 'K1', name: '王小明', companyId: 'C1', email: 'Ming@ACME.com', mobile: '0912-345-678' },
+            { contactId: 'K2', name: '李大華', companyId: 'C1', email: 'hua@acme.com' }
+        ]
+    });
+
+    const [match] = await service.checkContact({ name: 'Ming Wang', email: ' ming@acme.com ', mobile: '+886 912 345 678' });
+    assert.equal(match.record.contactId, 'K1');
+    assert.deepEqual(match.reasons, ['Email 相同', '手機相同']);
+    assert.equal(match.score, 100);
+
+    const [sameName] = await service.checkContact({ name: '李大華', companyName: 'ACME股份有限公司' });
+    assert.deepEqual(sameName.reasons, ['同公司同姓名']);
+
+    assert.deepEqual(await service.checkContact({ email: 'ming@acme.com' }, { excludeId: 'K1' }), []);
+});
+
+test('merge requests must name a survivor that is not also being merged', async () => {
+    const { service } = createDuplicateService();
+
+    await assert.rejects(service.mergeContacts('K1', [], null), /^Error: 無法建檔：需指定保留紀錄/);
+    await assert.rejects(service.mergeContacts('K1', ['K1'], null), /保留紀錄不可同時列為被合併紀錄/);
+});
+
+test('merging contacts repoints links, fills blanks, trashes the duplicate and audits every touched row', async () => {
+    const db = useFakeSupabase({
+        contacts: [
+            { contact_id: 'K1', name: '王小明', company_id: 'C1', email: '', mobile: '0912345678', updated_time: OLD_VERSION, deleted_time: null },
+            { contact_id: 'K2', name: '王曉明', company_id: 'C1', email: 'ming@acme.com', updated_time: OLD_VERSION, deleted_time: null }
+        ],
+        opportunity_contact_links: [
+            { link_id: 'L1', opportunity_id: 'O1', contact_id: 'K2', status: 'active' },
+            { link_id: 'L2', opportunity_id: 'O2', contact_id: 'K2', status: 'active' },
+            { link_id: 'L3', opportunity_id: 'O2', contact_id: 'K1', status: 'active' }
+        ],
+        opportunities: [
+            { opportunity_id: 'O1', main_contact: '王曉明', updated_time: OLD_VERSION },
+            { opportunity_id: 'O2', main_contact: '王小明', updated_time: OLD_VERSION }
+        ]
+    });
+    const { service, interactions } = createDuplicateService();
+
+    const result = await service.mergeContacts('K1', ['K2'], { displayName: 'alice' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.merged[0].repointed, { links: 1, duplicateLinksRemoved: 1, mainContacts: 1, opportunityIds: ['O1', 'O2'] });
+    assert.deepEqual(db.table('opportunity_contact_links').map(l => [l.link_id, l.contact_id]), [['L1', 'K1'], ['L3', 'K1']]);
+
+    const [o1, o2] = db.table('opportunities');
+    assert.equal(o1.main_contact, '王小明');
+    assert.notEqual(o1.updated_time, OLD_VERSION); // 持有舊版本的編輯者儲存時會觸發樂觀鎖衝突
+    assert.equal(o2.updated_time, OLD_VERSION);
+
+    const [survivor, merged] = db.table('contacts');
+    assert.equal(survivor.email, 'ming@acme.com');
+    assert.ok(merged.deleted_time);
+
+    const audits = db.table('audit_logs').map(a => `${a.entity_type}:${a.entity_id}:${a.action}`);
+    assert.deepEqual(audits, ['opportunity:O1:update', 'contact:K1:update', 'contact:K2:delete']);
+    assert.equal(db.table('audit_logs')[0].actor, 'alice');
+
+    const [record] = db.table('record_merges');
+    assert.equal(record.survivor_id, 'K1');
+    assert.equal(record.merged_snapshot.name, '王曉明');
+    assert.deepEqual(record.repointed.filledFields, ['email']);
+    assert.deepEqual(interactions.map(i => i.opportunityId || i.companyId), ['O1', 'O2', 'C1']);
+});
+
+test('a merge that fails halfway can be re-sent and finishes without a second merge record', async () => {
+    const db = useFakeSupabase({
+        contacts: [
+            { contact_id: 'K1', name: '王小明', company_id: 'C1', updated_time: OLD_VERSION, deleted_time: null },
+            { contact_id: 'K2', name: '王曉明', company_id: 'C1', updated_time: OLD_VERSION, deleted_time: null },
+            { contact_id: 'K3', name: 'Ming Wang', company_id: 'C1', updated_time: OLD_VERSION, deleted_time: null }
+        ],
+        opportunity_contact_links: [{ link_id: 'L1', opportunity_id: 'O1', contact_id: 'K3', status: 'active' }],
+        opportunities: [{ opportunity_id: 'O1', main_contact: 'Ming Wang', updated_time: OLD_VERSION }]
+    });
+    const { service } = createDuplicateService();
+    const deleteContact = service.contactSqlWriter.deleteContact.bind(service.contactSqlWriter);
+    let failNextK3Delete = true;
+    service.contactSqlWriter.deleteContact = async (id, modifier) => {
+        if (id === 'K3' && failNextK3Delete) {
+            failNextK3Delete = false;
+            throw new Error('connection reset');
+        }
+        return deleteContact(id, modifier);
+    };
+
+    await assert.rejects(service.mergeContacts('K1', ['K2', 'K3'], { displayName: 'alice' }), /connection reset/);
+    assert.deepEqual(db.table('record_merges').map(r => r.merged_id), ['K2', 'K3']);
+    assert.equal(db.table('contacts')[2].deleted_time, null);
+    assert.equal(db.table('opportunity_contact_links')[0].contact_id, 'K1');
+
+    const retry = await service.mergeContacts('K1', ['K2', 'K3'], { displayName: 'alice' });
+
+    assert.equal(retry.success, true);
+    assert.deepEqual(retry.alreadyMerged, ['K2']);
+    assert.equal(retry.merged[0].mergeId, db.table('record_merges')[1].merge_id);
+    assert.equal(db.table('record_merges').length, 2);
+    assert.ok(db.table('contacts')[2].deleted_time);
+});
@@ -0,0 +1,240 @@
+// test/event-report.test.js
+// [user-020] 拜訪報告：PDF 內嵌字型、換行分頁與缺字替代、DOCX 信頭與表格內容、報告內容組成與檔名
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+
+const config = require('../config');
+const EventReportService = require('../services/event-report-service');
+const { toPdf, toDocx, PDF_PLACEHOLDER } = require('../utils/report-document');
+
+/**
+ * 解析 pdfkit 輸出：依頁序取出各次文字繪製 (TJ) 的字串 (以字型的 ToUnicode 對照表還原字元)
+ * @returns {{pages: Array<Array<string>>, fontNames: Array<string>}}
+ */
+function readPdf(buffer) {
+    const raw = buffer.toString('latin1');
+    const objects = {};
+    const objectPattern = /(\d+) 0 obj\n/g;
+    let match;
+    while ((match = objectPattern.exec(raw)) !== null) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('\nendobj', start);
+        const streamAt = raw.indexOf('\nstream\n', start);
+        if (streamAt !== -1 && streamAt < end) {
+            const dict = raw.slice(start, streamAt);
+            const length = Number(/\/Length (\d+)/.exec(dict)[1]);
+            const data = buffer.subarray(streamAt + 8, streamAt + 8 + length);
+            const stream = (dict.includes('/FlateDecode') ? zlib.inflateSync(data) : data).toString('latin1');
+            objects[match[1]] = { dict, stream };
+            objectPattern.lastIndex = raw.indexOf('\nendobj', streamAt + 8 + length);
+        } else {
+            objects[match[1]] = { dict: raw.slice(start, end), stream: null };
+        }
+    }
+
+    const ref = (dict, key) => objects[new RegExp(`/${key} (\\d+) 0 R`).exec(dict)[1]];
+    const unicodeMaps = {};
+    const toUnicode = (fontId) => {
+        if (!unicodeMaps[fontId]) {
+            const map = {};
+            const cmap = ref(objects[fontId].dict, 'ToUnicode').stream;
+            for (const [, from, to] of cmap.matchAll(/<([0-9a-f]{4})> <[0-9a-f]{4}> \[([^\]]*)\]/g)) {
+                [...to.matchAll(/<([0-9a-f ]+)>/g)].forEach(([, hex], i) => {
+                    map[parseInt(from, 16) + i] = Buffer.from(hex.replace(/ /g, ''), 'hex').swap16().toString('utf16le');
+                });
+            }
+            unicodeMaps[fontId] = map;
+        }
+        return unicodeMaps[fontId];
+    };
+
+    const kids = /\/Kids \[([^\]]*)\]/.exec(Object.values(objects).find(o => /\/Type \/Pages/.test(o.dict)).dict)[1];
+    const pages = [...kids.matchAll(/(\d+) 0 R/g)].map(([, pageId]) => {
+        const page = objects[pageId];
+        const fonts = Object.fromEntries([...ref(page.dict, 'Resources').dict.matchAll(/\/(F\d+) (\d+) 0 R/g)].map(m => [m[1], m[2]]));
+        const texts = [];
+        let font = null;
+        for (const [, fontName, tj] of ref(page.dict, 'Contents').stream.matchAll(/\/(F\d+) [\d.]+ Tf|\[([^\]]*)\] TJ/g)) {
+            if (fontName) {
+                font = fonts[fontName];
+                continue;
+            }
+            const codes = [...tj.matchAll(/<([0-9a-f]*)>/g)].map(m => m[1]).join('').match(/.{4}/g) || [];
+            texts.push(codes.map(code => toUnicode(font)[parseInt(code, 16)]).join(''));
+        }
+        return texts;
+    });
+
+    const fontNames = [...new Set([...raw.matchAll(/\/BaseFont \/([\w+-]+)/g)].map(m => m[1]))];
+    return { pages, fontNames };
+}
+
+async function readDocx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    return {
+        names: Object.keys(zip.files).sort(),
+        document: await zip.file('word/document.xml').async('string'),
+        header: await zip.file('word/header1.xml').async('string'),
+        footer: await zip.file('word/footer1.xml').async('string')
+    };
+}
+
+const xmlText = xml => [...xml.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(m => m[1]);
+
+const DOC = {
+    title: '年度拜訪 🚀 A&B',
+    subtitle: '客戶拜訪報告',
+    letterhead: { name: '範例科技', lines: ['台北市信義路 1 號', ''] },
+    meta: [{ label: '建立者', value: 'alice' }],
+    sections: [
+        { title: '會議紀錄', items: [{ label: '會議內容', value: '第一行\n第二行 𠮟 罕用字 👍🏻' }] },
+        { title: '空區塊', items: [] }
+    ],
+    footer: '範例科技 | 事件編號 E1'
+};
+
+test('PDF output embeds subsetted CJK fonts, numbers every page and keeps characters outside the BMP', async () => {
+    const buffer = await toPdf({
+        ...DOC,
+        sections: [...DOC.sections, { title: '長內容', items: [{ label: '備註', value: Array.from({ length: 120 }, (_, i) => `第 ${i + 1} 點`).join('\n') }] }]
+    });
+
+    assert.match(buffer.subarray(0, 8).toString('latin1'), /^%PDF-1\.\d/);
+    assert.match(buffer.toString('latin1'), /%%EOF\n?$/);
+    const { pages, fontNames } = readPdf(buffer);
+
+    // 內嵌子集 (名稱帶 6 碼前綴)、含字型檔，不再依賴閱讀器內建字型
+    assert.deepEqual(fontNames.map(name => name.replace(/^[A-Z]{6}\+/, '')).sort(), ['NotoSansTC-Bold', 'NotoSansTC-Regular']);
+    assert.ok(fontNames.every(name => /^[A-Z]{6}\+/.test(name)));
+    assert.match(buffer.toString('latin1'), /\/FontFile2 \d+ 0 R/);
+    assert.ok(buffer.length < 200 * 1024, `subsetted PDF should stay small (${buffer.length} bytes)`);
+
+    assert.equal(pages.length, 3);
+    assert.deepEqual(pages.map(texts => texts[texts.length - 1]), ['第 1 / 3 頁', '第 2 / 3 頁', '第 3 / 3 頁']);
+
+    const first = pages[0];
+    assert.deepEqual(first.slice(0, 2), ['範例科技', '台北市信義路 1 號']);
+    // emoji 不在字型內，以 □ 代替；CJK 擴充 B 的 𠮟 (U+20B9F) 原樣呈現
+    assert.equal(first[2], `年度拜訪 ${PDF_PLACEHOLDER} A&B`);
+    assert.ok(first.includes('第一行'));
+    assert.ok(first.includes(`第二行 𠮟 罕用字 ${PDF_PLACEHOLDER}${PDF_PLACEHOLDER}`));
+    assert.equal(first.includes('空區塊'), false);
+    assert.ok(pages[2].includes('第 120 點'));
+});
+
+test('DOCX output is a zip with the letterhead in the header, a page field footer and the sections as tables', async () => {
+    const buffer = await toDocx(DOC, { font: 'PMingLiU' });
+    const docx = await readDocx(buffer);
+
+    assert.deepEqual(docx.names, [
+        '[Content_Types].xml', '_rels/.rels', 'word/_rels/document.xml.rels',
+        'word/document.xml', 'word/footer1.xml', 'word/header1.xml', 'word/styles.xml'
+    ]);
+    assert.deepEqual(xmlText(docx.header), ['範例科技', '台北市信義路 1 號']);
+    assert.match(docx.footer, /<w:fldSimple w:instr=" PAGE ">.*<w:fldSimple w:instr=" NUMPAGES ">/);
+
+    // DOCX 的字元原樣保留 (由 Word 的字型處理)；換行轉為 <w:br/>
+    const texts = xmlText(docx.document);
+    assert.equal(texts[0], '年度拜訪 🚀 A&amp;B');
+    assert.ok(texts.includes('第二行 𠮟 罕用字 👍🏻'));
+    assert.match(docx.document, /第一行<\/w:t><w:br\/><w:t xml:space="preserve">第二行/);
+    assert.equal(texts.includes('空區塊'), false);
+    assert.equal((docx.document.match(/<w:tbl>/g) || []).length, 2);
+});
+
+function createReportService({ event, schema = null, opportunityFails = false } = {}) {
+    return new EventReportService({
+        eventLogService: { getEventById: async (id) => (event && event.eventId === id ? event : null) },
+        eventSchemaService: schema === null ? null : { getSchema: async (type) => (type === schema.eventType ? schema : null) },
+        opportunityService: {
+            getOpportunityDetails: async () => {
+                if (opportunityFails) throw new Error('timeout');
+                return {
+                    opportunityInfo: { opportunityName: '產線升級', customerCompany: '範例電子' },
+                    linkedContacts: [{ name: '王經理', position: '廠長' }, { name: '李工', jobTitle: '工程師' }]
+                };
+            }
+        },
+        companyService: {
+            getCompanyDetails: async (id, options) => ({
+                companyInfo: { companyName: `公司${id}${options.rollup === false ? '' : '(合併)'}` },
+                contacts: []
+            })
+        },
+        config
+    });
+}
+
+const EVENT = {
+    eventId: 'E1',
+    eventType: 'legacy',
+    eventName: '產線 / 訪談:第一次',
+    opportunityId: 'O1',
+    creator: 'alice',
+    createdTime: '2026-10-19T02:30:00Z',
+    ourParticipants: 'alice, bob',
+    clientParticipants: '王經理、李工、陳總 (董事長)、訪客',
+    eventContent: '討論產線規劃',
+    clientQuestions: '',
+    payload: { iot_deviceScale: '中', iot_lineFeatures: ['自動化', '追溯'] }
+};
+
+const IOT_SCHEMA = {
+    eventType: 'iot',
+    label: 'IoT 物聯網',
+    fields: [{ key: 'iot_deviceScale', label: '設備規模' }, { key: 'iot_lineFeatures', label: '生產線特徵' }, { key: 'iot_other', label: '其他' }]
+};
+
+test('the report document lists attendees with titles, non-empty meeting notes and type-specific fields', async () => {
+    const doc = await createReportService({ event: EVENT, schema: IOT_SCHEMA }).buildReportDocument(EVENT);
+
+    assert.equal(doc.title, '產線 / 訪談:第一次');
+    assert.equal(doc.letterhead.name, config.EVENT_REPORT.LETTERHEAD.COMPANY_NAME);
+    assert.deepEqual(doc.meta.slice(0, 3), [
+        { label: '事件類型', value: 'IoT 物聯網' }, // 舊版事件依 IoT 欄位設定
+        { label: '關聯機會', value: '產線升級' },
+        { label: '客戶公司', value: '範例電子' }
+    ]);
+    const sections = Object.fromEntries(doc.sections.map(s => [s.title, s.items]));
+    assert.deepEqual(sections['與會人員'], [
+        { label: '我方與會', value: 'alice、bob' },
+        { label: '客戶與會', value: '王經理 (廠長)、李工 (工程師)、陳總 (董事長)、訪客' }
+    ]);
+    assert.deepEqual(sections['會議紀錄'], [{ label: '會議內容', value: '討論產線規劃' }]);
+    assert.deepEqual(sections['IoT 物聯網 專屬資訊'], [
+        { label: '設備規模', value: '中' },
+        { label: '生產線特徵', value: '自動化, 追溯' }
+    ]);
+    assert.match(doc.footer, /事件編號 E1 \| 產生於 \d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+});
+
+test('related data failures do not block the report and company events read the company itself', async () => {
+    const failing = await createReportService({ event: EVENT, opportunityFails: true }).buildReportDocument({ ...EVENT, opportunityName: '舊名稱' });
+    assert.deepEqual(failing.meta[1], { label: '關聯機會', value: '舊名稱' });
+    assert.equal(failing.meta[0].value, 'LEGACY');
+    assert.equal(failing.sections[1].items.length, 1);
+
+    const companyEvent = { eventId: 'E2', eventType: 'general', companyId: 'C9', createdTime: null };
+    const doc = await createReportService({ event: companyEvent }).buildReportDocument(companyEvent);
+    assert.equal(doc.title, '未命名事件');
+    assert.deepEqual(doc.meta.map(m => m.value), ['GENERAL', '公司C9', '-', '-']);
+});
+
+test('reports are rendered by format with a safe file name; unknown formats and events are refused', async () => {
+    const service = createReportService({ event: EVENT, schema: IOT_SCHEMA });
+
+    const pdf = await service.renderReport('E1', 'pdf');
+    assert.equal(pdf.contentType, 'application/pdf');
+    assert.equal(pdf.fileName, '拜訪報告_產線_訪談_第一次_20261019.pdf');
+    assert.equal(pdf.content.subarray(0, 5).toString('latin1'), '%PDF-');
+
+    const docx = await service.renderReport('E1', 'docx');
+    assert.equal(docx.fileName, '拜訪報告_產線_訪談_第一次_20261019.docx');
+    assert.match((await readDocx(docx.content)).document, /討論產線規劃/);
+
+    await assert.rejects(service.renderReport('E1', 'html'), /^Error: 無法建檔：不支援的報告格式 html$/);
+    assert.equal(await service.renderReport('E404', 'pdf'), null);
+});
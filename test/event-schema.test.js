@@ -0,0 +1,143 @@
+// test/event-schema.test.js
+// [user-019] 事件類型設定：內建預設與覆寫、欄位定義驗證、刪除規則，以及建立事件時依設定檢查專屬欄位
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const EventLogSqlWriter = require('../data/event-log-sql-writer');
+const EventSchemaSqlReader = require('../data/event-schema-sql-reader');
+const EventSchemaSqlWriter = require('../data/event-schema-sql-writer');
+const EventLogService = require('../services/event-log-service');
+const EventSchemaService = require('../services/event-schema-service');
+
+const SEMICON_FIELDS = [
+    { key: 'waferSize', label: '晶圓尺寸', inputType: 'select', options: '8吋, 12吋, 12吋', required: true },
+    { key: 'tools', label: '機台', inputType: 'checkbox', options: ['蝕刻', '曝光'] },
+    { key: 'toolCount', label: '機台數', inputType: 'number' },
+    { key: 'auditDate', label: '稽核日', inputType: 'date' }
+];
+
+function createSchemaService(events = []) {
+    return new EventSchemaService({
+        eventSchemaSqlReader: new EventSchemaSqlReader(),
+        eventSchemaSqlWriter: new EventSchemaSqlWriter(),
+        eventLogSqlReader: { getEventLogs: async () => events }
+    });
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('built-in types are listed by default and a stored row overrides its defaults', async () => {
+    useFakeSupabase({
+        event_type_schemas: [
+            { event_type: 'dx', label: 'DX 專案', sort_order: 9, is_active: false, fields: '[{"key":"budget","label":"預算","inputType":"number"}]' },
+            { event_type: 'semicon', label: '半導體', sort_order: 5, fields: [] }
+        ]
+    });
+    const service = createSchemaService();
+
+    const active = await service.getSchemas();
+    assert.deepEqual(active.map(s => s.eventType), ['general', 'iot', 'dt', 'semicon']);
+    assert.deepEqual(active.map(s => s.builtIn), [true, true, true, false]);
+    assert.equal(active[1].fields.find(f => f.key === 'iot_lineFeatures').inputType, 'checkbox');
+
+    const dx = await service.getSchema('dx');
+    assert.equal(dx.label, 'DX 專案');
+    assert.equal(dx.isActive, false);
+    assert.deepEqual(dx.fields.map(f => [f.key, f.inputType, f.required]), [['budget', 'number', false]]);
+});
+
+test('saving a custom type validates keys, labels and options and stores the normalized fields', async () => {
+    const db = useFakeSupabase();
+    const service = createSchemaService();
+
+    for (const [type, input, pattern] of [
+        ['Semi-Con', { label: 'x' }, /類型 key 須為 2~30 字的小寫英文/],
+        ['semicon', { fields: [] }, /請輸入類型名稱/],
+        ['general', { isActive: false }, /一般紀錄類型不可停用/],
+        ['semicon', { label: 'x', fields: {} }, /fields 必須是陣列/],
+        ['semicon', { label: 'x', fields: [{ key: '1a', label: 'x' }] }, /第 1 個欄位的 key「1a」格式不正確/],
+        ['semicon', { label: 'x', fields: [{ key: 'eventName', label: 'x' }] }, /「eventName」為事件共通欄位/],
+        ['semicon', { label: 'x', fields: [{ key: 'a', label: 'A' }, { key: 'a', label: 'B' }] }, /欄位 key「a」重複/],
+        ['semicon', { label: 'x', fields: [{ key: 'a', label: 'A', inputType: 'color' }] }, /輸入類型「color」不支援/],
+        ['semicon', { label: 'x', fields: [{ key: 'a', label: 'A', inputType: 'select', options: ' , ' }] }, /至少需要一個選項/]
+    ]) {
+        const error = await rejection(service.saveSchema(type, input, null));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+
+    const result = await service.saveSchema('semicon', { label: '半導體', icon: '🔬', fields: SEMICON_FIELDS }, { displayName: 'admin' });
+
+    assert.equal(result.data.builtIn, false);
+    assert.equal(result.data.sortOrder, 5); // 接在內建類型之後
+    const [row] = db.table('event_type_schemas');
+    assert.equal(row.last_modifier, 'admin');
+    assert.deepEqual(row.fields[0], { key: 'waferSize', label: '晶圓尺寸', inputType: 'select', options: ['8吋', '12吋'], required: true, placeholder: '' });
+    assert.deepEqual(row.fields[2].options, []);
+});
+
+test('deleting a built-in type restores its default; a used custom type must be deactivated instead', async () => {
+    const db = useFakeSupabase({
+        event_type_schemas: [
+            { event_type: 'iot', label: 'IoT (改)', sort_order: 2, fields: [] },
+            { event_type: 'semicon', label: '半導體', sort_order: 5, fields: [] },
+            { event_type: 'unused', label: '未使用', sort_order: 6, fields: [] }
+        ]
+    });
+    const service = createSchemaService([{ eventId: 'E1', eventType: 'semicon' }]);
+
+    assert.deepEqual(await service.deleteSchema('iot'), { success: true, restoredDefault: true });
+    assert.equal((await service.getSchema('iot')).label, 'IoT 物聯網');
+
+    const used = await rejection(service.deleteSchema('semicon'));
+    assert.match(used.message, /^無法刪除：已有 1 筆事件使用「半導體」類型，請改為停用/);
+    assert.deepEqual(await service.deleteSchema('unused'), { success: true, restoredDefault: false });
+    assert.deepEqual(await service.deleteSchema('nope'), { success: false, error: '找不到事件類型: nope' });
+    assert.deepEqual(db.table('event_type_schemas').map(r => r.event_type), ['semicon']);
+});
+
+test('event data is checked against the type schema; updates only check what was sent', async () => {
+    useFakeSupabase({
+        event_type_schemas: [
+            { event_type: 'semicon', label: '半導體', sort_order: 5, fields: SEMICON_FIELDS.map(f => ({ ...f, options: f.inputType === 'select' ? ['8吋', '12吋'] : f.options })) },
+            { event_type: 'retired', label: '舊類型', sort_order: 6, is_active: false, fields: [] }
+        ]
+    });
+    const service = createSchemaService();
+
+    const create = await rejection(service.validateEventData({ eventType: 'semicon', toolCount: 'many', auditDate: 'soon', tools: ['蝕刻', '研磨'] }));
+    assert.equal(create.message, '無法建檔：「晶圓尺寸」為必填；「機台」不在選項中：研磨；「機台數」必須是數字；「稽核日」日期格式不正確');
+
+    const values = await service.validateEventData({ eventType: 'semicon', waferSize: '12吋', tools: ['蝕刻', '曝光'] });
+    assert.deepEqual(values, { waferSize: '12吋', tools: '蝕刻, 曝光' });
+
+    // 管理員移除選項後，既有的值仍可保留
+    const existing = { eventType: 'semicon', payload: { waferSize: '6吋', tools: '舊機台' } };
+    assert.deepEqual(await service.validateEventData({ toolCount: '3', tools: ['舊機台', '曝光'] }, { existing }), { toolCount: '3', tools: '舊機台, 曝光' });
+    assert.match((await rejection(service.validateEventData({ waferSize: '' }, { existing }))).message, /「晶圓尺寸」為必填/);
+
+    assert.match((await rejection(service.validateEventData({ eventType: 'retired' }))).message, /事件類型「舊類型」已停用/);
+    assert.deepEqual(await service.validateEventData({ note: 'x' }, { existing: { eventType: 'retired' } }), {});
+    assert.match((await rejection(service.validateEventData({ eventType: 'ghost' }))).message, /^無法建檔：未知的事件類型「ghost」/);
+});
+
+test('a custom-type event is validated and stored in the general table with its fields in payload', async () => {
+    const db = useFakeSupabase({
+        event_type_schemas: [{ event_type: 'semicon', label: '半導體', sort_order: 5, fields: [{ key: 'tools', label: '機台', inputType: 'checkbox', options: ['蝕刻', '曝光'], required: true }] }]
+    });
+    const eventLogService = new EventLogService(null, null, null, null, null, null, new EventLogSqlWriter(), createSchemaService());
+
+    const missing = await rejection(eventLogService.createEvent({ eventType: 'semicon', eventName: '拜訪' }, { displayName: 'alice' }));
+    assert.match(missing.message, /^無法建檔：「機台」為必填/);
+
+    const result = await eventLogService.createEvent({ eventType: 'semicon', eventName: '拜訪', tools: ['曝光'] }, { displayName: 'alice' });
+
+    assert.equal(result.success, true);
+    const [row] = db.table('event_logs_general');
+    assert.equal(row.event_type, 'semicon');
+    assert.equal(row.event_name, '拜訪');
+    assert.equal(row.creator, 'alice');
+    assert.deepEqual(row.payload, { tools: '曝光' });
+});
@@ -0,0 +1,119 @@
+// test/export.test.js
+// [user-013] 列表匯出：CSV (BOM、公式注入防護)、XLSX 數值欄位、JSON、篩選條件與商品機敏欄位
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExportController = require('../controllers/export.controller');
+const ExportService = require('../services/export-service');
+const { parseSpreadsheet, parseXlsx } = require('../utils/spreadsheet');
+
+function createExportService() {
+    const calls = {};
+    const service = new ExportService({
+        contactService: {
+            searchOfficialContacts: async (...args) => {
+                calls.contacts = args;
+                return { data: [{ contactId: 'K1', name: '=HYPERLINK("http://evil")', companyName: '@ACME', mobile: '+886912345678', email: 'a@b.com' }] };
+            }
+        },
+        companyService: { getCompanyListWithActivity: async () => [] },
+        opportunityService: {
+            searchOpportunities: async (...args) => {
+                calls.opportunities = args;
+                return [
+                    { opportunityId: 'O1', opportunityName: '產線, 二期', opportunityValue: '1,500,000', currency: 'TWD' },
+                    { opportunityId: 'O2', opportunityName: '-折讓案', opportunityValue: '' }
+                ];
+            }
+        },
+        interactionService: { searchInteractions: async () => ({ data: [] }) },
+        eventLogService: {
+            getAllEvents: async () => [
+                { eventId: 'E1', eventType: 'iot', eventName: '舊會議', createdTime: '2026-10-01T00:00:00Z' },
+                { eventId: 'E2', eventType: 'iot', eventName: '新會議', createdTime: '2026-10-10T00:00:00Z' },
+                { eventId: 'E3', eventType: 'general', eventName: '會議', createdTime: '2026-10-12T00:00:00Z' }
+            ]
+        },
+        weeklyBusinessService: {},
+        productService: { getAllProducts: async () => [{ id: 'P1', name: '控制器', cost: '800', priceMtu: 1500 }] }
+    });
+    return { service, calls };
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('csv output has a BOM and neutralizes text that a spreadsheet would run as a formula', async () => {
+    const { service } = createExportService();
+
+    const result = await service.exportList('contact', { q: ' 王 ' });
+    const [header, row] = result.content.replace(/^\uFEFF/, '').split('\r\n');
+
+    assert.match(result.fileName, /^聯絡人_\d{8}\.csv$/);
+    assert.equal(result.contentType, 'text/csv; charset=utf-8');
+    assert.ok(result.content.startsWith('\uFEFF'));
+    assert.equal(header.split(',')[1], '姓名');
+    assert.equal(row, `K1,"'=HYPERLINK(""http://evil"")",'@ACME,,,'+886912345678,,a@b.com,,,`);
+
+    // 匯出檔可直接重新匯入，讀回時移除前置符號
+    const parsed = await parseSpreadsheet(Buffer.from(result.content), result.fileName);
+    assert.deepEqual(parsed.rows[0].slice(0, 3), ['K1', '=HYPERLINK("http://evil")', '@ACME']);
+});
+
+test('xlsx output writes number columns as numbers and keeps formulas as plain text', async () => {
+    const { service, calls } = createExportService();
+
+    const result = await service.exportList('opportunity', { format: 'XLSX', q: '產線', assignee: 'alice', page: '2', sortField: 'opportunityValue' });
+
+    assert.deepEqual(calls.opportunities, ['產線', 0, null, 'opportunityValue', null, { assignee: 'alice' }]);
+    assert.ok(Buffer.isBuffer(result.content));
+    const rows = await parseXlsx(result.content);
+    assert.equal(rows[0][12], '機會價值');
+    assert.deepEqual([rows[1][1], rows[1][12], rows[1][13]], ['產線, 二期', '1500000', 'TWD']);
+    assert.deepEqual(rows[2], ['O2', '-折讓案']); // 空白數值不輸出儲存格，XLSX 文字不加防護前置符號
+    assert.equal(result.count, 2);
+});
+
+test('json uses DTO keys, events are filtered and sorted, and product prices are admin-only', async () => {
+    const { service } = createExportService();
+
+    const events = JSON.parse((await service.exportList('event', { format: 'json', eventType: 'iot', q: '會議' })).content);
+    assert.deepEqual(events.map(e => e.eventId), ['E2', 'E1']);
+
+    const asUser = JSON.parse((await service.exportList('product', { format: 'json' }, { role: 'sales' })).content);
+    assert.equal('cost' in asUser[0], false);
+    const asAdmin = JSON.parse((await service.exportList('product', { format: 'json' }, { role: 'admin' })).content);
+    assert.equal(asAdmin[0].cost, 800);
+    assert.equal(asAdmin[0].priceSi, null);
+});
+
+test('unknown entities and formats are rejected with 無法建檔', async () => {
+    const { service } = createExportService();
+
+    assert.match((await rejection(service.exportList('lead', {}))).message, /^無法建檔：不支援的匯出類型「lead」/);
+    assert.match((await rejection(service.exportList('contact', { format: 'pdf' }))).message, /^無法建檔：不支援的匯出格式「pdf」/);
+});
+
+test('the product export is admin-only like the product list', async () => {
+    const { service } = createExportService();
+    const controller = new ExportController(service);
+    const request = (role) => {
+        const res = {
+            headers: {},
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; },
+            setHeader(name, value) { this.headers[name] = value; },
+            send(content) { this.statusCode = this.statusCode || 200; this.body = content; }
+        };
+        return controller.exportList({ params: { entity: 'products' }, query: { format: 'json' }, user: { role } }, res).then(() => res);
+    };
+
+    const denied = await request('sales');
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.body.success, false);
+
+    const allowed = await request('admin');
+    assert.equal(allowed.statusCode, 200);
+    assert.equal(allowed.headers['X-Export-Count'], '1');
+    assert.equal(JSON.parse(allowed.body)[0].cost, 800);
+});
@@ -0,0 +1,106 @@
+// test/forecast.test.js
+// [user-006] 加權 Pipeline 預測：機率分類、月份 / 業務彙總、每日快照與前期比較
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const ForecastSnapshotSqlReader = require('../data/forecast-snapshot-sql-reader');
+const ForecastSnapshotSqlWriter = require('../data/forecast-snapshot-sql-writer');
+const ForecastService = require('../services/forecast-service');
+
+const OPPORTUNITIES = [
+    { opportunity_id: 'O1', owner: 'alice', sales_model: '直販', current_status: '進行中', expected_close_date: '2026-11-15', win_probability: '80', opportunity_value: '1,000,000' },
+    { opportunity_id: 'O2', owner: 'alice', sales_model: 'SI', current_status: '進行中', expected_close_date: '2026-11-30', win_probability: '50%', opportunity_value: 400000 },
+    { opportunity_id: 'O3', owner: 'bob', current_status: '進行中', expected_close_date: '2026-12-01', win_probability: '10', opportunity_value: 300000 },
+    { opportunity_id: 'O4', owner: 'bob', current_status: '進行中', win_probability: '', opportunity_value: 999 },
+    { opportunity_id: 'O5', owner: 'bob', current_status: '已完成', win_probability: '100', opportunity_value: 5000000 },
+    { opportunity_id: 'O6', owner: 'bob', current_status: '進行中', win_probability: '90', opportunity_value: 5000000, deleted_time: '2026-10-01T00:00:00Z' }
+];
+
+function createForecastService() {
+    return new ForecastService({
+        opportunitySqlReader: new OpportunitySqlReader(),
+        forecastSnapshotSqlReader: new ForecastSnapshotSqlReader(),
+        forecastSnapshotSqlWriter: new ForecastSnapshotSqlWriter(),
+        systemService: { getSystemConfig: async () => ({ '團隊成員': [{ value: 'alice', note: 'Alice' }] }) },
+        config
+    });
+}
+
+test('open opportunities are weighted by probability and split into commit / best case / pipeline', async () => {
+    useFakeSupabase({ opportunities: OPPORTUNITIES });
+
+    const forecast = await createForecastService().computeForecast();
+
+    assert.deepEqual(forecast.items.map(i => [i.opportunityId, i.category, i.weighted]), [
+        ['O1', 'commit', 800000],
+        ['O2', 'bestCase', 200000],
+        ['O3', 'pipeline', 30000],
+        ['O4', 'pipeline', 0]
+    ]);
+    assert.deepEqual(
+        { count: forecast.totals.count, total: forecast.totals.totalValue, weighted: forecast.totals.weightedValue, commit: forecast.totals.commit },
+        { count: 4, total: 1700999, weighted: 1030000, commit: 800000 }
+    );
+});
+
+test('integer probabilities are percentages; only decimal values up to 1 are fractions', () => {
+    const service = createForecastService();
+
+    assert.deepEqual(
+        ['1', 1, '1%', '0.7', 0.25, '1.0', '70', '70%', '150', '', 'abc', '-5'].map(p => service._parseProbability(p)),
+        [0.01, 0.01, 0.01, 0.7, 0.25, 1, 0.7, 0.7, 1, 0, 0, 0]
+    );
+});
+
+test('buckets group by close month (undated last) and by assignee with display names', async () => {
+    useFakeSupabase({ opportunities: OPPORTUNITIES });
+
+    const forecast = await createForecastService().computeForecast();
+
+    assert.deepEqual(forecast.byMonth.map(b => [b.key, b.count, b.weightedValue]), [
+        ['2026-11', 2, 1000000],
+        ['2026-12', 1, 30000],
+        ['未設定', 1, 0]
+    ]);
+    assert.deepEqual(forecast.byAssignee.map(b => [b.name, b.weightedValue]), [['Alice', 1000000], ['bob', 30000]]);
+    assert.equal(forecast.bySalesModel.find(b => b.key === '未分類').count, 2);
+});
+
+test('the daily snapshot is upserted and the forecast is compared with the latest earlier snapshot', async () => {
+    const db = useFakeSupabase({
+        opportunities: OPPORTUNITIES,
+        sales_forecast_snapshots: [
+            { snapshot_date: '2026-01-01', totals: { count: 1, weightedValue: 1 }, by_month: [] },
+            { snapshot_date: '2026-01-08', totals: { count: 3, totalValue: 1000000, weightedValue: 700000, commit: 500000, bestCase: 0, pipeline: 0 }, by_month: [{ key: '2026-11', weightedValue: 600000, commit: 500000 }] }
+        ]
+    });
+    const service = createForecastService();
+
+    await service.captureSnapshot();
+    await service.captureSnapshot();
+
+    const snapshots = db.table('sales_forecast_snapshots');
+    assert.equal(snapshots.length, 3);
+    assert.equal(snapshots[2].snapshot_date, service._today());
+    assert.equal(snapshots[2].totals.weightedValue, 1030000);
+
+    const result = await service.getForecast();
+    assert.equal(result.comparison.snapshotDate, '2026-01-08');
+    assert.equal(result.comparison.delta.count, 1);
+    assert.equal(result.comparison.delta.weightedValue, 330000);
+    assert.deepEqual(result.comparison.byMonth[0], { key: '2026-11', weightedValue: 400000, commit: 300000 });
+    assert.equal(result.thresholds.COMMIT_MIN_PROBABILITY, 75);
+});
+
+test('the forecast has no comparison before the first snapshot', async () => {
+    useFakeSupabase({ opportunities: [] });
+
+    const result = await createForecastService().getForecast();
+
+    assert.equal(result.comparison, null);
+    assert.equal(result.totals.count, 0);
+});
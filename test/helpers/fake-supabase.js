@@ -0,0 +1,306 @@
+/**
+ * test/helpers/fake-supabase.js
+ * In-memory stand-in for the supabase-js query builder used by the SQL readers / writers.
+ * Supports the filters this repo uses (eq / neq / in / is / not / gte / gt / lte / lt / ilike / match / or)
+ * plus order / limit / range / single / maybeSingle, insert / update / upsert / delete and select(..., { count, head }).
+ */
+
+const path = require('path');
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const parseLiteral = (raw) => {
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return raw;
+};
+
+const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : 1;
+};
+
+const OPERATORS = {
+    eq: (v, x) => v === x || (v !== null && v !== undefined && String(v) === String(x)),
+    neq: (v, x) => !OPERATORS.eq(v, x),
+    is: (v, x) => (x === null ? v === null || v === undefined : v === x),
+    in: (v, list) => list.some(x => OPERATORS.eq(v, x)),
+    gte: (v, x) => v !== null && v !== undefined && compare(v, x) >= 0,
+    gt: (v, x) => v !== null && v !== undefined && compare(v, x) > 0,
+    lte: (v, x) => v !== null && v !== undefined && compare(v, x) <= 0,
+    lt: (v, x) => v !== null && v !== undefined && compare(v, x) < 0,
+    ilike: (v, pattern) => {
+        const re = new RegExp('^' + String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*') + '$', 'i');
+        return re.test(String(v ?? ''));
+    }
+};
+
+/**
+ * Parse a PostgREST `or` expression ("a.eq.1,b.is.null,c.in.(x,y)") into predicates
+ */
+const parseOr = (expression) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of expression) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current) parts.push(current);
+
+    return parts.map(part => {
+        const [column, op, ...rest] = part.split('.');
+        const raw = rest.join('.');
+        const value = op === 'in'
+            ? raw.replace(/^\(|\)$/g, '').split(',').map(parseLiteral)
+            : parseLiteral(raw);
+        return row => OPERATORS[op](row[column], value);
+    });
+};
+
+class QueryBuilder {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.action = 'select';
+        this.filters = [];
+        this.payload = null;
+        this.options = {};
+        this.returning = false;
+        this.selectOptions = {};
+        this.orders = [];
+        this.limitCount = null;
+        this.rangeFrom = null;
+        this.rangeTo = null;
+        this.singleMode = null;
+    }
+
+    select(columns = '*', options = {}) {
+        if (this.action === 'select') this.selectOptions = options;
+        else this.returning = true;
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.action = 'upsert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.options = options;
+        return this;
+    }
+
+    update(patch) {
+        this.action = 'update';
+        this.payload = patch;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    _where(op, column, value) {
+        this.filters.push(row => OPERATORS[op](row[column], value));
+        return this;
+    }
+
+    eq(column, value) { return this._where('eq', column, value); }
+    neq(column, value) { return this._where('neq', column, value); }
+    in(column, values) { return this._where('in', column, values); }
+    is(column, value) { return this._where('is', column, value); }
+    gte(column, value) { return this._where('gte', column, value); }
+    gt(column, value) { return this._where('gt', column, value); }
+    lte(column, value) { return this._where('lte', column, value); }
+    lt(column, value) { return this._where('lt', column, value); }
+    ilike(column, value) { return this._where('ilike', column, value); }
+
+    not(column, op, value) {
+        const list = op === 'in' && typeof value === 'string'
+            ? value.replace(/^\(|\)$/g, '').split(',').map(parseLiteral)
+            : value;
+        this.filters.push(row => !OPERATORS[op](row[column], list));
+        return this;
+    }
+
+    match(criteria) {
+        Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    or(expression) {
+        const predicates = parseOr(expression);
+        this.filters.push(row => predicates.some(p => p(row)));
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this._execute()).then(resolve, reject);
+    }
+
+    _matches(row) {
+        return this.filters.every(f => f(row));
+    }
+
+    _execute() {
+        this.db.calls.push({ table: this.table, action: this.action, payload: clone(this.payload) });
+
+        const injected = this.db._takeError(this.table, this.action);
+        if (injected) return { data: null, error: injected, count: null };
+
+        const rows = this.db.table(this.table);
+        let result = [];
+
+        if (this.action === 'insert' || this.action === 'upsert') {
+            const conflictColumns = (this.options.onConflict || '').split(',').map(c => c.trim()).filter(Boolean);
+            for (const input of this.payload) {
+                const row = clone(input);
+                const existing = conflictColumns.length > 0
+                    ? rows.find(r => conflictColumns.every(c => r[c] === row[c]))
+                    : null;
+                if (existing && this.action === 'upsert') {
+                    Object.assign(existing, row);
+                    result.push(existing);
+                    continue;
+                }
+                const unique = this.db.uniqueKeys[this.table] || [];
+                const violates = unique.some(cols => rows.some(r => cols.every(c => r[c] === row[c])));
+                if (violates) {
+                    return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+                }
+                rows.push(row);
+                result.push(row);
+            }
+        } else if (this.action === 'update') {
+            result = rows.filter(r => this._matches(r));
+            result.forEach(r => Object.assign(r, clone(this.payload)));
+        } else if (this.action === 'delete') {
+            result = rows.filter(r => this._matches(r));
+            this.db.tables[this.table] = rows.filter(r => !result.includes(r));
+        } else {
+            result = rows.filter(r => this._matches(r));
+        }
+
+        if (this.action === 'select') {
+            this.orders.slice().reverse().forEach(({ column, ascending }) => {
+                result = result.slice().sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+            });
+            const count = result.length;
+            if (this.rangeFrom !== null) result = result.slice(this.rangeFrom, this.rangeTo + 1);
+            if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+            if (this.selectOptions.head) return { data: null, error: null, count };
+            return this._shape(clone(result), this.selectOptions.count ? count : null);
+        }
+
+        if (!this.returning && this.singleMode === null) return { data: null, error: null, count: null };
+        return this._shape(clone(result), null);
+    }
+
+    _shape(rows, count) {
+        if (this.singleMode === 'single') {
+            if (rows.length !== 1) return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+            return { data: rows[0], error: null };
+        }
+        if (this.singleMode === 'maybe') return { data: rows[0] || null, error: null };
+        return { data: rows, error: null, count };
+    }
+}
+
+class FakeSupabase {
+    /**
+     * @param {Object<string, Array<Object>>} [tables] - initial rows per table
+     * @param {Object<string, Array<Array<string>>>} [uniqueKeys] - unique column sets per table (insert → 23505)
+     */
+    constructor(tables = {}, uniqueKeys = {}) {
+        this.tables = clone(tables);
+        this.uniqueKeys = uniqueKeys;
+        this.calls = [];
+        this.errors = [];
+    }
+
+    table(name) {
+        if (!this.tables[name]) this.tables[name] = [];
+        return this.tables[name];
+    }
+
+    from(table) {
+        return new QueryBuilder(this, table);
+    }
+
+    /**
+     * Make the next matching operation fail with the given error
+     */
+    failNext(table, action, error = { message: 'injected failure' }) {
+        this.errors.push({ table, action, error });
+    }
+
+    _takeError(table, action) {
+        const idx = this.errors.findIndex(e => e.table === table && e.action === action);
+        if (idx < 0) return null;
+        return this.errors.splice(idx, 1)[0].error;
+    }
+}
+
+// --- config/supabase stub ---
+// Readers / writers destructure `supabase` at require time, so the cached module exports a proxy
+// that forwards to whichever FakeSupabase the current test installed.
+const SUPABASE_MODULE = path.resolve(__dirname, '../../config/supabase.js');
+let current = new FakeSupabase();
+
+require.cache[SUPABASE_MODULE] = {
+    id: SUPABASE_MODULE,
+    filename: SUPABASE_MODULE,
+    loaded: true,
+    exports: { supabase: { from: table => current.from(table) } }
+};
+
+/**
+ * Replace the in-memory database seen by every module that requires config/supabase
+ * @returns {FakeSupabase}
+ */
+function useFakeSupabase(tables = {}, uniqueKeys = {}) {
+    current = new FakeSupabase(tables, uniqueKeys);
+    return current;
+}
+
+module.exports = { FakeSupabase, useFakeSupabase };
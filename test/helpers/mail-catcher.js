@@ -0,0 +1,129 @@
+/**
+ * test/helpers/mail-catcher.js
+ * In-process SMTP server (smtp-server) that keeps every accepted message, plus a minimal MIME reader
+ * for the messages nodemailer produces (multipart, base64 / quoted-printable bodies, RFC 2047 / 2231 names).
+ */
+
+const { SMTPServer } = require('smtp-server');
+
+/**
+ * Start a catcher on a random local port
+ * @param {Object} [options]
+ * @param {boolean} [options.starttls=false] - advertise STARTTLS (smtp-server's built-in self-signed certificate)
+ * @param {Object} [options.users] - { user: pass }; when given, AUTH is required
+ * @param {Function} [options.onRcptTo] - (address) => error message to reject that recipient, or null
+ * @returns {Promise<{port: number, messages: Array, close: Function}>}
+ */
+function startMailCatcher({ starttls = false, users = null, onRcptTo = null } = {}) {
+    const messages = [];
+    const server = new SMTPServer({
+        logger: false,
+        disabledCommands: starttls ? [] : ['STARTTLS'],
+        authOptional: !users,
+        allowInsecureAuth: true,
+        onAuth(auth, session, callback) {
+            if (users && users[auth.username] === auth.password) return callback(null, { user: auth.username });
+            return callback(new Error('Invalid username or password'));
+        },
+        onRcptTo(address, session, callback) {
+            const rejection = onRcptTo ? onRcptTo(address.address) : null;
+            callback(rejection ? Object.assign(new Error(rejection), { responseCode: 550 }) : null);
+        },
+        onData(stream, session, callback) {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('end', () => {
+                messages.push({
+                    envelope: {
+                        from: session.envelope.mailFrom.address,
+                        to: session.envelope.rcptTo.map(r => r.address)
+                    },
+                    user: session.user || null,
+                    secure: session.secure,
+                    raw: Buffer.concat(chunks).toString('latin1')
+                });
+                callback(null);
+            });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.server.address().port,
+            messages,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '=' && /^[0-9A-F]{2}$/i.test(source.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(source.charCodeAt(i));
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 2047 encoded words (=?UTF-8?B?...?= / =?UTF-8?Q?...?=)
+function decodeWords(value) {
+    return value
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?utf-8\?([BQ])\?([^?]*)\?=/gi, (_, encoding, text) => (encoding.toUpperCase() === 'B'
+            ? Buffer.from(text, 'base64')
+            : decodeQuotedPrintable(text.replace(/_/g, ' '))).toString('utf8'));
+}
+
+function parseEntity(text) {
+    const split = text.indexOf('\r\n\r\n');
+    const head = text.slice(0, split).replace(/\r\n[ \t]+/g, ' ');
+    const body = text.slice(split + 4);
+    const headers = {};
+    head.split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+    const type = (headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+    if (type.startsWith('multipart/')) {
+        const boundary = /boundary="?([^";]+)"?/i.exec(headers['content-type'])[1];
+        const parts = body.split(`--${boundary}`).slice(1, -1)
+            .map(part => parseEntity(part.replace(/^\r\n/, '').replace(/\r\n$/, '')));
+        return { headers, type, parts: parts.flatMap(p => (p.parts ? p.parts : [p])) };
+    }
+
+    const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+    const content = encoding === 'base64'
+        ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+        : encoding === 'quoted-printable' ? decodeQuotedPrintable(body) : Buffer.from(body, 'latin1');
+    const disposition = headers['content-disposition'] || '';
+    const encodedName = /filename\*0?\*=utf-8''([^;]+)/i.exec(disposition);
+    const plainName = /filename="?([^";]+)"?/i.exec(disposition);
+    return {
+        headers,
+        type,
+        filename: encodedName ? decodeURIComponent(encodedName[1]) : (plainName ? decodeWords(plainName[1]) : null),
+        content
+    };
+}
+
+/**
+ * @param {string} raw - message as received (latin1)
+ * @returns {{headers: Object, subject: string, parts: Array<{type, filename, content: Buffer}>}}
+ */
+function parseMail(raw) {
+    const entity = parseEntity(raw);
+    return {
+        headers: entity.headers,
+        subject: decodeWords(entity.headers.subject || ''),
+        parts: entity.parts || [entity]
+    };
+}
+
+module.exports = { startMailCatcher, parseMail };
@@ -0,0 +1,201 @@
+// test/import.test.js
+// [user-012] 批次匯入：exceljs 讀寫 (日期 / 公式儲存格)、欄位建議對應、dry-run 驗證報告與批次寫入
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const config = require('../config');
+const ImportService = require('../services/import-service');
+const PipelineService = require('../services/pipeline-service');
+const { parseSpreadsheet, parseXlsx, toCsv } = require('../utils/spreadsheet');
+
+const SYSTEM_CONFIG = {
+    '機會階段': [
+        { value: '02_需求確認', order: 2 }, { value: '01_初步接觸', order: 1 }, { value: '03_提案報價', note: '提案報價', order: 3 },
+        { value: '受注', order: 8 }, { value: '已結案(失敗)', note: '失敗', order: 9 }
+    ],
+    '團隊成員': [{ value: 'alice', note: 'Alice' }]
+};
+
+function createImportService({ companies = [], contacts = [], opportunities = [], contactMatches = {}, failContacts = false } = {}) {
+    const writes = { companies: [], contacts: [], opportunities: [] };
+    const writer = (kind, fail) => async (items) => {
+        if (fail) throw new Error('connection reset');
+        writes[kind].push(...items);
+        return { ids: items.map((_, i) => i) };
+    };
+    const service = new ImportService({
+        contactSqlReader: { getContacts: async () => contacts },
+        contactSqlWriter: { createContactsBatch: writer('contacts', failContacts) },
+        companySqlReader: { getCompanies: async () => companies },
+        companySqlWriter: { createCompaniesBatch: writer('companies') },
+        opportunitySqlReader: { getOpportunities: async () => opportunities },
+        opportunitySqlWriter: { createOpportunitiesBatch: writer('opportunities') },
+        duplicateService: {
+            checkContactsBatch: async (drafts) => drafts.map(d => contactMatches[d.email] || []),
+            checkCompaniesBatch: async (drafts) => drafts.map(() => [])
+        },
+        pipelineService: new PipelineService({ systemService: { getSystemConfig: async () => SYSTEM_CONFIG } }),
+        systemService: { getSystemConfig: async () => SYSTEM_CONFIG },
+        config
+    });
+    return { service, writes };
+}
+
+const csvPayload = (rows, extra = {}) => ({
+    fileName: 'contacts.csv',
+    fileContent: Buffer.from(toCsv(rows)).toString('base64'),
+    ...extra
+});
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('an xlsx parses back with numbers, blanks and header row numbers', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Data');
+    sheet.addRow(['姓名', '金額', '備註']);
+    sheet.addRow(['王小明', 1500, null]);
+    sheet.addRow([]);
+    sheet.addRow(['李大華', 0, '=SUM(A1)']);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const parsed = await parseSpreadsheet(buffer, 'upload.xlsx');
+
+    assert.deepEqual(parsed.headers, ['姓名', '金額', '備註']);
+    assert.deepEqual(parsed.rows, [['王小明', '1500'], ['李大華', '0', '=SUM(A1)']]); // 列尾空白儲存格不輸出
+    assert.deepEqual(parsed.rowNumbers, [2, 4]);
+});
+
+test('date cells read as YYYY-MM-DD and formula cells read their cached result', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Data');
+    sheet.addRow(['結案日', '時間', '合計']);
+    sheet.addRow([new Date(Date.UTC(2026, 9, 19)), new Date(Date.UTC(2026, 9, 19, 9, 30)), { formula: 'SUM(1,2)', result: 3 }]);
+    sheet.getColumn(1).numFmt = 'yyyy-mm-dd';
+
+    const rows = await parseXlsx(Buffer.from(await workbook.xlsx.writeBuffer()));
+
+    assert.deepEqual(rows[1], ['2026-10-19', '2026-10-19 09:30:00', '3']);
+    assert.match((await rejection(parseXlsx(Buffer.from('PK not a zip')))).message, /^無法建檔：檔案不是有效的 XLSX/);
+});
+
+test('quoted csv cells parse back and legacy .xls files are refused', async () => {
+    const parsed = await parseSpreadsheet(Buffer.from(toCsv([['名稱', '值'], ['王小明', -5], ['"a,b"', '1\n2']])), 'x.csv');
+
+    assert.deepEqual(parsed.rows, [['王小明', '-5'], ['"a,b"', '1\n2']]);
+    assert.match((await rejection(parseSpreadsheet(Buffer.from('a'), 'old.xls'))).message, /不支援舊版 \.xls/);
+});
+
+test('preview suggests a mapping from labels and aliases and enforces the row limit', async () => {
+    const { service } = createImportService();
+
+    const preview = await service.previewImport('contact', csvPayload([['Name', '公司名稱', 'E-Mail', '其他'], ['王小明', 'ACME', 'ming@acme.com', 'x']]));
+
+    assert.equal(preview.totalRows, 1);
+    assert.deepEqual(preview.suggestedMapping, { name: 0, company: 1, email: 2 });
+    assert.equal(preview.fields.find(f => f.key === 'name').required, true);
+
+    const tooMany = [['姓名'], ...Array.from({ length: config.IMPORT.MAX_ROWS + 1 }, (_, i) => [`n${i}`])];
+    assert.match((await rejection(service.previewImport('contact', csvPayload(tooMany)))).message, /單次最多匯入 2000 筆/);
+    assert.match((await rejection(service.previewImport('lead', csvPayload(tooMany)))).message, /^無法建檔：不支援的匯入類型/);
+});
+
+test('the dry-run reports errors, in-file and existing duplicates and new companies without writing', async () => {
+    const { service, writes } = createImportService({
+        companies: [{ companyId: 'C1', companyName: 'ACME股份有限公司' }],
+        contactMatches: { 'hua@acme.com': [{ score: 95, reasons: ['Email 相同'], record: { contactId: 'K9', name: '李大華', companyName: 'ACME' } }] }
+    });
+    const mapping = { name: '姓名', company: '公司', email: 'Email' };
+
+    const report = await service.validateImport('contact', csvPayload([
+        ['姓名', '公司', 'Email'],
+        ['王小明', 'ACME', 'ming@acme.com'],
+        ['王小明', 'acme', 'other@acme.com'],
+        ['', 'ACME', 'bad'],
+        ['李大華', 'ACME', 'hua@acme.com'],
+        ['陳新', '新創有限公司', '']
+    ], { mapping }));
+
+    assert.deepEqual([report.okRows, report.errorRows, report.duplicateRows], [2, 1, 2]);
+    assert.deepEqual(report.newCompanies, ['新創有限公司']);
+    const byRow = Object.fromEntries(report.issues.map(i => [i.rowNumber, i]));
+    assert.deepEqual(byRow[3].duplicates[0].label, '檔案第 2 列');
+    assert.deepEqual(byRow[4].errors, ['「姓名」為必填', '「Email」格式錯誤：bad']);
+    assert.equal(byRow[5].duplicates[0].recordId, 'K9');
+    assert.deepEqual(byRow[6].warnings, ['將新增公司「新創有限公司」']);
+
+    assert.equal(report.errorFile.fileName, 'contacts_errors.csv');
+    assert.match(report.errorFile.content, /^\uFEFF列號,姓名,公司,Email,問題說明\r\n3,/);
+    assert.deepEqual(writes, { companies: [], contacts: [], opportunities: [] });
+
+    const unmapped = await rejection(service.validateImport('contact', csvPayload([['公司'], ['ACME']], { mapping: { company: 0 } })));
+    assert.match(unmapped.message, /必填欄位尚未對應 \(姓名\)/);
+});
+
+test('commit creates needed companies first, skips duplicates and marks failed batches', async () => {
+    const rows = [['姓名', '公司'], ['王小明', 'ACME'], ['王小明', 'ACME'], ['陳新', '新創']];
+    const { service, writes } = createImportService({ companies: [{ companyId: 'C1', companyName: 'ACME' }] });
+
+    const result = await service.commitImport('contact', csvPayload(rows, { mapping: { name: 0, company: 1 } }), { name: 'alice' });
+
+    assert.equal(result.data.created, 2);
+    assert.equal(result.data.createdCompanies, 1);
+    assert.equal(result.data.skippedDuplicates, 1);
+    assert.deepEqual(writes.contacts.map(c => [c.name, c.companyId]), [['王小明', 'C1'], ['陳新', writes.companies[0].companyId]]);
+    assert.equal(writes.contacts[0].sourceId, 'IMPORT');
+
+    const failing = createImportService({ companies: [{ companyId: 'C1', companyName: 'ACME' }], failContacts: true });
+    const failed = await failing.service.commitImport('contact', csvPayload(rows, { mapping: { name: 0, company: 1 }, skipDuplicates: false }), null);
+    assert.equal(failed.data.created, 0);
+    assert.equal(failed.data.failedRows, 3);
+    assert.match(failed.data.errorFile.content, /寫入失敗：connection reset/);
+});
+
+test('opportunity rows default to the first stage and create missing main contacts once', async () => {
+    const { service, writes } = createImportService({
+        companies: [{ companyId: 'C1', companyName: 'ACME' }],
+        contacts: [{ contactId: 'K1', companyId: 'C1', name: '王小明' }],
+        opportunities: [{ opportunityId: 'O1', opportunityName: '產線擴充', customerCompany: 'ACME' }]
+    });
+
+    const result = await service.commitImport('opportunity', csvPayload([
+        ['機會名稱', '終端客戶', '主要聯絡人', '負責人', '金額', '結案日'],
+        ['產線擴充', 'ACME', '王小明', 'Alice', '', ''],
+        ['新廠', 'ACME', '林小美', 'alice', 'NT$1,200,000', '46314'],
+        ['二期', 'ACME', '林小美', 'bob', '', '2026/13/01']
+    ], { mapping: { opportunityName: 0, customerCompany: 1, mainContact: 2, assignee: 3, opportunityValue: 4, expectedCloseDate: 5 } }), null);
+
+    assert.equal(result.data.created, 1);
+    assert.equal(result.data.createdContacts, 1);
+    assert.deepEqual(writes.contacts.map(c => [c.name, c.companyId]), [['林小美', 'C1']]);
+    const [opportunity] = writes.opportunities;
+    assert.equal(opportunity.currentStage, '01_初步接觸');
+    assert.equal(opportunity.assignee, 'alice');
+    assert.equal(opportunity.opportunityValue, 1200000);
+    assert.equal(opportunity.expectedCloseDate, '2026-10-19');
+
+    const issues = Object.fromEntries(result.data.issues.map(i => [i.rowNumber, i]));
+    assert.deepEqual(issues[2].duplicates[0].reasons, ['同客戶同機會名稱']);
+    assert.deepEqual(issues[4].errors, ['「負責業務」的值「bob」不在系統設定「團隊成員」中', '「預計結案日」日期格式錯誤：2026/13/01 (請使用 YYYY-MM-DD)']);
+});
+
+test('opportunity rows cannot be imported into a close stage or a stage whose required fields are missing', async () => {
+    const { service, writes } = createImportService({ companies: [{ companyId: 'C1', companyName: 'ACME' }] });
+
+    const result = await service.commitImport('opportunity', csvPayload([
+        ['機會名稱', '終端客戶', '階段', '金額', '結案日'],
+        ['已成交案', 'ACME', '受注', '100', '2026-11-01'],
+        ['失敗案', 'ACME', '失敗', '', ''],
+        ['缺欄位', 'ACME', '03_提案報價', '500', ''],
+        ['報價中', 'ACME', '提案報價', '500', '2026-12-01']
+    ], { mapping: { opportunityName: 0, customerCompany: 1, currentStage: 2, opportunityValue: 3, expectedCloseDate: 4 } }), null);
+
+    assert.equal(result.data.created, 1);
+    assert.deepEqual(writes.opportunities.map(o => [o.opportunityName, o.currentStage]), [['報價中', '03_提案報價']]);
+
+    const errors = Object.fromEntries(result.data.issues.map(i => [i.rowNumber, i.errors]));
+    assert.match(errors[2][0], /^「目前階段」【受注】為結案階段，請以進行中的階段匯入後再透過結案流程/);
+    assert.match(errors[3][0], /^「目前階段」【失敗】為結案階段/);
+    assert.deepEqual(errors[4], ['階段【提案報價】需先完成：預計結案日']);
+});
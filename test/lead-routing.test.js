@@ -0,0 +1,163 @@
+// test/lead-routing.test.js
+// [user-016] LINE 名片分派：展會 / 區域 / 輪派規則、依序執行不重複輪派、列號位移略過、SLA 與改派
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const LeadRoutingService = require('../services/lead-routing-service');
+
+const HOUR = 60 * 60 * 1000;
+const ago = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+const SYS_CONFIG = {
+    '名片分派業務': [{ value: 'U_A', note: 'Alice', order: 1 }, { value: 'U_B', note: 'Bob', order: 2 }, { value: 'U_C', note: 'Carol', order: 3 }],
+    '名片分派區域': [{ value: '台中市', note: 'U_T1, U_T2' }],
+    '名片分派展會': [{ value: 'SEMICON', note: 'U_E' }],
+    '名片分派管理員': [{ value: 'U_ADMIN' }],
+    'LINE白名單': [{ value: 'U_T1', note: 'Tom' }, { value: 'U_T2' }, { value: 'U_E', note: 'Eve' }]
+};
+
+/**
+ * 以記憶體陣列模擬 RAW Sheet；rowIndex 隨陣列位置變動 (刪除名片時下方列號上移)
+ */
+function createRawSheet(leads) {
+    const sheet = leads.map(lead => ({ lineUserId: 'U_LINE', ...lead }));
+    const writes = [];
+    const hooks = { beforeRowRead: null };
+    const reads = { sheet: 0, row: 0 };
+    const snapshot = () => sheet.map((lead, i) => ({ ...lead, rowIndex: i + 2 }));
+    return {
+        sheet,
+        writes,
+        hooks,
+        reads,
+        reader: {
+            getContacts: async () => {
+                reads.sheet++;
+                return snapshot();
+            },
+            getContactRow: async (rowIndex) => {
+                reads.row++;
+                if (hooks.beforeRowRead) hooks.beforeRowRead();
+                return snapshot().find(lead => lead.rowIndex === rowIndex) || null;
+            }
+        },
+        writer: {
+            writeLeadAssignment: async (rowIndex, assignment) => {
+                writes.push({ rowIndex, ...assignment });
+                Object.assign(sheet[rowIndex - 2], assignment);
+                return true;
+            }
+        }
+    };
+}
+
+function createRoutingService(raw, sysConfig = SYS_CONFIG) {
+    return new LeadRoutingService({
+        contactRawReader: raw.reader,
+        contactWriter: raw.writer,
+        systemService: { getSystemConfig: async () => sysConfig },
+        config
+    });
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('exhibition and territory rules win over round-robin, which continues after the last assignee', async () => {
+    const raw = createRawSheet([
+        { name: '舊輪派', assignedTo: 'U_A', assignmentRule: 'round_robin', assignedTime: ago(30), createdTime: ago(31) },
+        { name: '展會', is_exhibition: 'TRUE', exhibition_name: '2026 SEMICON Taiwan', address: '台中市西屯區', createdTime: ago(5) },
+        { name: '區域一', address: '台中市北區', createdTime: ago(4) },
+        { name: '區域二', address: '臺中市南區', createdTime: ago(3) },
+        { name: '輪派一', address: '高雄市', createdTime: ago(2) },
+        { name: '輪派二', createdTime: ago(1) },
+        { name: '過期', createdTime: ago(24 * (config.LEAD_ROUTING.LOOKBACK_DAYS + 1)) },
+        { name: '網頁名片', lineUserId: '', createdTime: ago(1) }
+    ]);
+
+    const routed = await createRoutingService(raw).routeNewLeads();
+
+    assert.equal(routed, 5);
+    const byName = Object.fromEntries(raw.sheet.map(l => [l.name, [l.assignedTo, l.assignmentRule]]));
+    assert.deepEqual(byName['展會'], ['U_E', 'exhibition:SEMICON']);
+    assert.deepEqual(byName['區域一'], ['U_T1', 'territory:臺中市']);
+    assert.deepEqual(byName['區域二'], ['U_T2', 'territory:臺中市']);
+    assert.deepEqual(byName['輪派一'], ['U_B', 'round_robin']);
+    assert.deepEqual(byName['輪派二'], ['U_C', 'round_robin']);
+    assert.deepEqual(byName['過期'], [undefined, undefined]);
+    assert.deepEqual(byName['網頁名片'], [undefined, undefined]);
+    // 整張 RAW Sheet 只讀一次，寫入前逐筆確認只讀目標列
+    assert.deepEqual(raw.reads, { sheet: 1, row: 5 });
+});
+
+test('concurrent runs are serialized so each lead is assigned once and the rotation does not repeat', async () => {
+    const raw = createRawSheet([
+        { name: '甲', createdTime: ago(3) },
+        { name: '乙', createdTime: ago(2) }
+    ]);
+    const service = createRoutingService(raw);
+
+    const results = await Promise.all([service.routeNewLeads(), service.routeNewLeads()]);
+
+    assert.deepEqual(results, [2, 0]);
+    assert.deepEqual(raw.writes.map(w => [w.rowIndex, w.assignedTo]), [[2, 'U_A'], [3, 'U_B']]);
+});
+
+test('a lead whose row shifted before the write is skipped until the next run', async () => {
+    const raw = createRawSheet([
+        { name: '將刪除', assignedTo: 'U_X', createdTime: ago(9) },
+        { name: '甲', createdTime: ago(2) }
+    ]);
+    const service = createRoutingService(raw);
+    raw.hooks.beforeRowRead = () => {
+        // 讀取名片列表後、寫入前確認該列之前，上方名片被刪除
+        if (raw.reads.row === 1) raw.sheet.shift();
+    };
+
+    assert.equal(await service.routeNewLeads(), 0);
+    assert.deepEqual(raw.writes, []);
+
+    assert.equal(await service.routeNewLeads(), 1);
+    assert.deepEqual(raw.writes.map(w => [w.rowIndex, w.assignedTo]), [[2, 'U_A']]);
+});
+
+test('assignments are described with names, rule labels and SLA status', async () => {
+    const service = createRoutingService(createRawSheet([]));
+    const sla = config.LEAD_ROUTING.SLA_HOURS;
+
+    const { leads, salespeople, admins } = await service.describeAssignments([
+        { rowIndex: 2, assignedTo: 'U_T1', assignmentRule: 'territory:臺中市', assignedTime: ago(sla + 5), firstResponseTime: ago(sla + 4) },
+        { rowIndex: 3, assignedTo: 'U_A', assignmentRule: 'round_robin', assignedTime: ago(sla + 5), firstResponseTime: ago(1) },
+        { rowIndex: 4, assignedTo: 'U_Z', assignmentRule: 'manual', assignedTime: ago(sla + 1) },
+        { rowIndex: 5, assignedTo: 'U_B', assignmentRule: 'round_robin', assignedTime: ago(1) },
+        { rowIndex: 6 }
+    ]);
+
+    assert.deepEqual(leads.map(l => l.assignment?.sla?.status ?? null), ['met', 'late', 'overdue', 'due', null]);
+    assert.deepEqual(leads.slice(0, 4).map(l => [l.assignment.assigneeName, l.assignment.ruleLabel]), [
+        ['Tom', '區域'], ['Alice', '輪派'], ['U_Z', '手動改派'], ['Bob', '輪派']
+    ]);
+    assert.deepEqual(salespeople.map(p => p.id), ['U_A', 'U_B', 'U_C']);
+    assert.equal(admins.has('U_ADMIN'), true);
+    assert.equal(await service.isRoutingAdmin('U_A'), false);
+});
+
+test('reassignment only targets known salespeople and first responses are recorded once by the assignee', async () => {
+    const raw = createRawSheet([{ name: '甲', createdTime: ago(1) }]);
+    const service = createRoutingService(raw);
+    const lead = { rowIndex: 2, assignedTo: 'U_A' };
+
+    const error = await rejection(service.reassignLead(lead, 'U_NOBODY'));
+    assert.match(error.message, /^無法建檔：指定的業務不在分派名單或 LINE白名單中/);
+
+    const manual = await service.reassignLead(lead, 'U_E');
+    assert.equal(manual.assignmentRule, 'manual');
+    assert.equal(manual.firstResponseTime, '');
+    assert.deepEqual(await service.reassignLead(lead, ''), { assignedTo: '', assignedTime: '', assignmentRule: '', firstResponseTime: '' });
+
+    assert.equal(await service.recordFirstResponse({ rowIndex: 2, assignedTo: 'U_A' }, 'U_B'), false);
+    assert.equal(await service.recordFirstResponse({ rowIndex: 2, assignedTo: 'U_A', firstResponseTime: ago(1) }, 'U_A'), false);
+    assert.equal(await service.recordFirstResponse({ rowIndex: 2, assignedTo: 'U_A' }, 'U_A'), true);
+    assert.ok(raw.sheet[0].firstResponseTime);
+});
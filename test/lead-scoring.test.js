@@ -0,0 +1,114 @@
+// test/lead-scoring.test.js
+// [user-015] 潛在客戶評分：職稱層級、公司類型 / 規模 (含公司別名)、展會、進行中機會、完整度與權重覆寫
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const LeadScoringService = require('../services/lead-scoring-service');
+
+const COMPANIES = [
+    { companyId: 'C1', companyName: '台灣積體電路製造股份有限公司', companyType: 'MTU' },
+    { companyId: 'C2', companyName: '新創有限公司', companyType: '' }
+];
+
+const OPEN_OPPORTUNITIES = [
+    { opportunityId: 'O1', customerCompany: '台灣積體電路製造', deviceScale: '小' },
+    { opportunityId: 'O2', customerCompany: '台灣積體電路製造股份有限公司', deviceScale: '中' }
+];
+
+function createScoringService({ sysConfig = {}, companiesFail = false } = {}) {
+    return new LeadScoringService({
+        companySqlReader: {
+            getCompanies: async () => {
+                if (companiesFail) throw new Error('timeout');
+                return COMPANIES;
+            }
+        },
+        opportunitySqlReader: { getOpenOpportunitiesForForecast: async () => OPEN_OPPORTUNITIES },
+        systemService: {
+            getSystemConfig: async () => ({
+                '公司別名': [{ value: 'TSMC', note: '台灣積體電路製造' }],
+                '設備規模': [{ value: '小' }, { value: '中' }, { value: '大' }],
+                ...sysConfig
+            })
+        },
+        config
+    });
+}
+
+const pointsOf = lead => Object.fromEntries(lead.leadScore.breakdown.map(f => [f.key, f.points]));
+
+test('a senior contact at an aliased end-user company with open deals scores high', async () => {
+    const [lead] = await createScoringService().scoreLeads([{
+        name: '魏先生', company: 'TSMC', position: '總經理', mobile: '0912345678', email: 'ceo@tsmc.com',
+        is_exhibition: 'TRUE', exhibition_name: 'SEMICON'
+    }]);
+
+    assert.deepEqual(pointsOf(lead), {
+        seniority: 30, companyType: 15, companySize: 6.7, exhibition: 10, openOpportunity: 20, completeness: 15
+    });
+    assert.equal(lead.leadScore.total, 97);
+    assert.equal(lead.leadScore.band, 'high');
+    const details = Object.fromEntries(lead.leadScore.breakdown.map(f => [f.key, f.detail]));
+    assert.equal(details.companySize, '設備規模：中');
+    assert.equal(details.openOpportunity, '2 個進行中機會');
+    assert.equal(details.exhibition, 'SEMICON');
+});
+
+test('titles match the first tier that applies, excluding assistants to executives', async () => {
+    const leads = await createScoringService().scoreLeads([
+        { position: '副總經理' },
+        { position: '總經理特助' },
+        { position: 'Vice President of Sales' },
+        { position: '採購工程師' },
+        { position: '顧問' },
+        {}
+    ]);
+
+    assert.deepEqual(leads.map(l => l.leadScore.breakdown[0].detail), ['中高階主管', '中高階主管', '中高階主管', '專業人員', '未分級職稱', '無職稱']);
+});
+
+test('unknown and untyped companies fall back to estimated size and the other-type ratio', async () => {
+    const [unknown, untyped] = await createScoringService().scoreLeads([
+        { name: '林小美', company: 'Foo股份有限公司', position: '副總' },
+        { name: '陳新', company: '新創', email: 'chen@startup.tw' }
+    ]);
+
+    assert.deepEqual(pointsOf(unknown), { seniority: 22.5, companyType: 0, companySize: 5, exhibition: 0, openOpportunity: 0, completeness: 9 });
+    assert.equal(unknown.leadScore.total, 37);
+    assert.equal(unknown.leadScore.band, 'low');
+    assert.equal(unknown.leadScore.breakdown[5].detail, '缺少 電話、Email');
+
+    assert.equal(pointsOf(untyped).companyType, 4.5);
+    assert.equal(untyped.leadScore.breakdown[1].detail, '未設定類型');
+    assert.equal(untyped.leadScore.breakdown[2].detail, '推估');
+});
+
+test('system settings override valid factor weights and ignore invalid entries', async () => {
+    const service = createScoringService({
+        sysConfig: {
+            '名片評分': [
+                { value: 'exhibition', note: '0' },
+                { value: 'seniority', note: 'abc' },
+                { value: 'bogus', note: '50' }
+            ]
+        }
+    });
+
+    const [lead] = await service.scoreLeads([{ position: 'CEO', is_exhibition: true }]);
+    const maxOf = Object.fromEntries(lead.leadScore.breakdown.map(f => [f.key, f.max]));
+
+    assert.equal(maxOf.exhibition, 0);
+    assert.equal(maxOf.seniority, 30);
+    assert.equal('bogus' in maxOf, false);
+    assert.equal(lead.leadScore.total, Math.round((30 + 3) / 90 * 100));
+});
+
+test('reference data failures degrade to unmatched companies and an empty list scores nothing', async () => {
+    const [lead] = await createScoringService({ companiesFail: true }).scoreLeads([{ company: 'TSMC' }]);
+
+    assert.equal(lead.leadScore.breakdown[1].detail, '未建檔公司');
+    assert.equal(lead.leadScore.breakdown[4].points, 20); // 機會仍可依別名比對
+    assert.deepEqual(await createScoringService().scoreLeads([]), []);
+});
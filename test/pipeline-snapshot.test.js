@@ -0,0 +1,122 @@
+// test/pipeline-snapshot.test.js
+// [user-007] Pipeline 明細快照：每日擷取 (同日覆寫)、兩期差異與分頁讀取
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const PipelineSnapshotSqlReader = require('../data/pipeline-snapshot-sql-reader');
+const PipelineSnapshotSqlWriter = require('../data/pipeline-snapshot-sql-writer');
+const PipelineSnapshotService = require('../services/pipeline-snapshot-service');
+
+const STAGES = [
+    { value: '01_初步接觸', note: '初步接觸' },
+    { value: '02_需求確認', note: '需求確認' },
+    { value: '03_提案報價', note: '提案報價' }
+];
+
+function createSnapshotService() {
+    return new PipelineSnapshotService({
+        opportunitySqlReader: new OpportunitySqlReader(),
+        pipelineSnapshotSqlReader: new PipelineSnapshotSqlReader(),
+        pipelineSnapshotSqlWriter: new PipelineSnapshotSqlWriter(),
+        systemService: { getSystemConfig: async () => ({ '機會階段': STAGES }) },
+        config
+    });
+}
+
+const row = (date, id, overrides = {}) => ({
+    snapshot_date: date,
+    opportunity_id: id,
+    opportunity_name: `Deal ${id}`,
+    current_stage: '02_需求確認',
+    opportunity_value: 100000,
+    order_probability: 50,
+    expected_close_date: '2026-11-30',
+    ...overrides
+});
+
+test('capturing twice on the same day replaces that day\'s open opportunities', async () => {
+    const db = useFakeSupabase({
+        opportunities: [
+            { opportunity_id: 'O1', current_status: '進行中', current_stage: '02_需求確認', opportunity_value: '1,500', win_probability: '60%', expected_close_date: '2026-11-30T00:00:00Z' },
+            { opportunity_id: 'O2', current_status: '已完成', current_stage: '受注', opportunity_value: 9 }
+        ]
+    });
+    const service = createSnapshotService();
+
+    await service.captureSnapshot();
+    const result = await service.captureSnapshot();
+
+    assert.equal(result.count, 1);
+    const rows = db.table('opportunity_pipeline_snapshots');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].snapshot_date, service._today());
+    assert.equal(rows[0].opportunity_value, 1500);
+    assert.equal(rows[0].order_probability, 60);
+    assert.equal(rows[0].expected_close_date, '2026-11-30');
+});
+
+test('diffSnapshots lists new, removed, slipped, re-valued and regressed deals', async () => {
+    useFakeSupabase({
+        opportunity_pipeline_snapshots: [
+            row('2026-10-05', 'A'),
+            row('2026-10-05', 'B', { current_stage: '03_提案報價' }),
+            row('2026-10-05', 'C'),
+            row('2026-10-05', 'D', { current_stage: '01_初步接觸' }),
+            row('2026-10-12', 'A', { expected_close_date: '2026-12-15', opportunity_value: 150000 }),
+            row('2026-10-12', 'B', { current_stage: '01_初步接觸' }),
+            row('2026-10-12', 'D', { current_stage: '02_需求確認' }),
+            row('2026-10-12', 'E', { opportunity_value: 20000 })
+        ]
+    });
+
+    // 10/10 與 10/18 沒有快照，各自取該日之前最近的一次
+    const diff = await createSnapshotService().diffSnapshots('2026-10-10', '2026-10-18');
+
+    assert.equal(diff.from.snapshotDate, '2026-10-05');
+    assert.equal(diff.to.snapshotDate, '2026-10-12');
+    assert.deepEqual(diff.newDeals.map(d => d.opportunityId), ['E']);
+    assert.deepEqual(diff.removedDeals.map(d => d.opportunityId), ['C']);
+    assert.deepEqual(diff.slippedCloseDates.map(d => [d.opportunityId, d.slipDays]), [['A', 15]]);
+    assert.deepEqual(diff.valueChanges.map(d => [d.opportunityId, d.delta]), [['A', 50000]]);
+    assert.deepEqual(diff.stageRegressions.map(d => [d.opportunityId, d.fromStageName, d.toStageName]), [['B', '提案報價', '初步接觸']]);
+    assert.deepEqual(diff.stageAdvances.map(d => d.opportunityId), ['D']);
+    assert.equal(diff.summary.totalValueDelta, 370000 - 400000);
+});
+
+test('a missing snapshot on either side yields null', async () => {
+    useFakeSupabase({ opportunity_pipeline_snapshots: [row('2026-10-12', 'A')] });
+
+    assert.equal(await createSnapshotService().diffSnapshots('2026-10-01', '2026-10-18'), null);
+});
+
+test('snapshots larger than one page are read completely', async () => {
+    const rows = [];
+    for (let i = 0; i < 1001; i++) rows.push(row('2026-10-05', `O${String(i).padStart(4, '0')}`));
+    useFakeSupabase({ opportunity_pipeline_snapshots: rows });
+
+    const items = await new PipelineSnapshotSqlReader().getSnapshot('2026-10-05');
+    const dates = await new PipelineSnapshotSqlReader().getSnapshotDates('2026-10-01');
+
+    assert.equal(items.length, 1001);
+    assert.deepEqual(dates, [{ snapshotDate: '2026-10-05', count: 1001 }]);
+});
+
+test('weekly changes compare the day before the week with the week end (or today)', async () => {
+    useFakeSupabase({
+        opportunity_pipeline_snapshots: [row('2026-10-04', 'A'), row('2026-10-11', 'A'), row('2026-10-11', 'B')]
+    });
+    const service = createSnapshotService();
+    const days = ['05', '06', '07', '08', '09', '10', '11'].map(d => ({ date: `2026-10-${d}` }));
+
+    const changes = await service.getWeeklyChanges({ days });
+
+    assert.equal(changes.from.snapshotDate, '2026-10-04');
+    assert.equal(changes.to.snapshotDate, '2026-10-11');
+    assert.deepEqual(changes.newDeals.map(d => d.opportunityId), ['B']);
+    assert.equal(await service.getWeeklyChanges({ days: [] }), null);
+    assert.equal(await service.getWeeklyChanges({ days: [{ date: '2999-01-05' }] }), null);
+});
@@ -0,0 +1,126 @@
+// test/pipeline.test.js
+// [user-004] 機會階段閘門：允許的下一階段、進入前必填欄位、預設下單機率與 422 回應
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PipelineService = require('../services/pipeline-service');
+const OpportunityService = require('../services/opportunity-service');
+const { handleApiError } = require('../middleware/error.middleware');
+
+const STAGES = [
+    { value: '01_初步接觸', note: '初步接觸', order: 1 },
+    { value: '02_需求確認', note: '需求確認', order: 2 },
+    { value: '03_提案報價', note: '提案報價', order: 3 },
+    { value: '04_談判修正', note: '談判修正', order: 4 }
+];
+
+const RULES = [
+    { value: '01_初步接觸', value2: '02_需求確認', value3: '', note: '01_初步接觸' },
+    { value: '02_需求確認', value2: '03_提案報價,01_初步接觸', value3: '', note: 'B' },
+    { value: '03_提案報價', value2: '*', value3: 'opportunityValue,expectedCloseDate', note: 'A' },
+    { value: '04_談判修正', value2: '', value3: 'linkedContacts', note: '04_談判修正' }
+];
+
+function createPipeline({ rules = RULES, linkedContacts = [] } = {}) {
+    const systemConfig = { '機會階段': STAGES, '機會階段規則': rules };
+    return new PipelineService({
+        systemService: { getSystemConfig: async () => systemConfig },
+        contactSqlReader: { getContactsByOpportunityId: async () => linkedContacts }
+    });
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('rules come from the 機會階段規則 settings and blank / * means unrestricted', async () => {
+    const { stages, configured } = await createPipeline().getPipelineDefinition();
+
+    assert.equal(configured, true);
+    assert.deepEqual(stages[0].allowedNext, ['02_需求確認']);
+    assert.equal(stages[2].allowedNext, null);
+    assert.equal(stages[3].allowedNext, null);
+    assert.deepEqual(stages[2].requiredFields, ['opportunityValue', 'expectedCloseDate']);
+    // note 與階段值相同代表未設定預設機率
+    assert.equal(stages[0].defaultProbability, null);
+    assert.equal(stages[1].defaultProbability, 'B');
+});
+
+test('an illegal transition is rejected with a transition violation', async () => {
+    const error = await rejection(createPipeline().validateTransition(
+        { opportunityId: 'O1', currentStage: '01_初步接觸' },
+        { currentStage: '03_提案報價' }
+    ));
+
+    assert.match(error.message, /^階段規則：不允許從【初步接觸】直接移至【提案報價】/);
+    assert.deepEqual(error.violations, [{ type: 'transition', from: '01_初步接觸', to: '03_提案報價', allowed: ['02_需求確認'] }]);
+});
+
+test('required fields are checked against the merged opportunity', async () => {
+    const pipeline = createPipeline();
+    const original = { opportunityId: 'O1', currentStage: '02_需求確認', opportunityValue: '', expectedCloseDate: '2026-12-31' };
+
+    const error = await rejection(pipeline.validateTransition(original, { currentStage: '03_提案報價' }));
+    assert.deepEqual(error.violations.map(v => v.field), ['opportunityValue']);
+
+    const result = await pipeline.validateTransition(original, { currentStage: '03_提案報價', opportunityValue: '1,200,000' });
+    assert.deepEqual(result, { defaultProbability: 'A' });
+});
+
+test('linkedContacts requires at least one linked contact', async () => {
+    const original = { opportunityId: 'O1', currentStage: '03_提案報價' };
+
+    const error = await rejection(createPipeline().validateTransition(original, { currentStage: '04_談判修正' }));
+    assert.equal(error.violations[0].field, 'linkedContacts');
+
+    await createPipeline({ linkedContacts: [{ contactId: 'K1' }] }).validateTransition(original, { currentStage: '04_談判修正' });
+});
+
+test('without configured rules only the default gates apply and transitions are free', async () => {
+    const pipeline = createPipeline({ rules: [] });
+
+    await pipeline.validateTransition({ currentStage: '01_初步接觸' }, { currentStage: '02_需求確認' });
+    const error = await rejection(pipeline.validateTransition({ currentStage: '01_初步接觸' }, { currentStage: '03_提案報價' }));
+    assert.deepEqual(error.violations.map(v => v.field), ['opportunityValue', 'expectedCloseDate']);
+
+    const unknown = await rejection(pipeline.validateTransition({ currentStage: '01_初步接觸' }, { currentStage: '99_不存在' }));
+    assert.equal(unknown.violations[0].type, 'unknown_stage');
+});
+
+test('stage reachability greys out stages the stepper cannot move to', async () => {
+    const result = await createPipeline().getStageReachability({ opportunityId: 'O1', currentStage: '02_需求確認', opportunityValue: 0 });
+
+    const byStage = Object.fromEntries(result.stages.map(s => [s.value, s]));
+    assert.equal(byStage['02_需求確認'].reachable, true);
+    assert.equal(byStage['01_初步接觸'].reachable, true);
+    assert.equal(byStage['03_提案報價'].reason, 'required_field');
+    assert.deepEqual(byStage['03_提案報價'].missingFields, ['機會價值', '預計結案日']);
+    assert.equal(byStage['04_談判修正'].reason, 'transition');
+});
+
+test('a stage change through the opportunity service applies the default probability, and violations map to 422', async () => {
+    const writes = [];
+    const original = { opportunityId: 'O1', currentStage: '02_需求確認', opportunityValue: '500', expectedCloseDate: '2026-12-31', orderProbability: 'C' };
+    const pipelineService = createPipeline();
+    const service = new OpportunityService({
+        systemService: pipelineService.systemService,
+        opportunitySqlReader: { getOpportunityById: async () => original },
+        opportunitySqlWriter: {
+            updateOpportunity: async (id, data) => { writes.push(data); return { success: true }; }
+        },
+        pipelineService
+    });
+    service._logOpportunityInteraction = async () => {};
+
+    await service.updateOpportunity('O1', { currentStage: '03_提案報價' }, { displayName: 'alice' });
+    assert.equal(writes[0].orderProbability, 'A');
+
+    const error = await rejection(service.updateOpportunity('O1', { currentStage: '04_談判修正' }, { displayName: 'alice' }));
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    handleApiError(res, error, 'test');
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.violations[0].type, 'transition');
+    assert.equal(writes.length, 1);
+});
@@ -0,0 +1,140 @@
+// test/quota.test.js
+// [user-008] 業績目標：設定驗證、同期覆寫、達成率 / 差額與 run-rate 預估
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const SalesQuotaSqlReader = require('../data/sales-quota-sql-reader');
+const SalesQuotaSqlWriter = require('../data/sales-quota-sql-writer');
+const QuotaService = require('../services/quota-service');
+
+const SYSTEM_CONFIG = {
+    '團隊成員': [{ value: 'alice', note: 'Alice' }, { value: 'bob', note: 'Bob' }],
+    '銷售模式': [{ value: '直販' }, { value: 'SI' }]
+};
+
+function createQuotaService() {
+    return new QuotaService({
+        salesQuotaSqlReader: new SalesQuotaSqlReader(),
+        salesQuotaSqlWriter: new SalesQuotaSqlWriter(),
+        opportunitySqlReader: new OpportunitySqlReader(),
+        systemService: { getSystemConfig: async () => SYSTEM_CONFIG }
+    });
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+const deal = (id, overrides) => ({
+    opportunity_id: id, owner: 'alice', sales_model: '直販', current_stage: '受注',
+    expected_close_date: '2026-08-10', opportunity_value: 100000, deleted_time: null, ...overrides
+});
+
+test('quotas are validated against team members, sales models and the period format', async () => {
+    useFakeSupabase();
+    const service = createQuotaService();
+    const base = { assignee: 'alice', periodType: 'month', periodKey: '2026-10', targetAmount: '1,000' };
+
+    const cases = [
+        [{ ...base, assignee: 'mallory' }, /不是有效的團隊成員/],
+        [{ ...base, salesModel: 'MTB' }, /不是有效的銷售模式/],
+        [{ ...base, periodKey: '2026-13' }, /期間格式錯誤/],
+        [{ ...base, periodType: 'quarter', periodKey: '2026-Q5' }, /期間格式錯誤/],
+        [{ ...base, targetAmount: 0 }, /目標金額需大於 0/]
+    ];
+    for (const [data, pattern] of cases) {
+        const error = await rejection(service.saveQuota(data, { name: 'admin' }));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+});
+
+test('saving the same member / model / period again overwrites the target', async () => {
+    const db = useFakeSupabase();
+    const service = createQuotaService();
+    const data = { assignee: 'alice', periodType: 'quarter', periodKey: '2026-Q4', targetAmount: 500000 };
+
+    const first = await service.saveQuota(data, { name: 'admin' });
+    const second = await service.saveQuota({ ...data, targetAmount: '800,000' }, { name: 'admin' });
+
+    assert.equal(second.quotaId, first.quotaId);
+    assert.equal(db.table('sales_quotas').length, 1);
+    assert.equal(db.table('sales_quotas')[0].target_amount, 800000);
+    assert.equal(db.table('sales_quotas')[0].sales_model, '');
+});
+
+test('an update that collides with another quota of the same period is rejected', async () => {
+    useFakeSupabase({
+        sales_quotas: [
+            { quota_id: 'Q1', assignee: 'alice', sales_model: '', period_type: 'month', period_key: '2026-10', target_amount: 1 },
+            { quota_id: 'Q2', assignee: 'alice', sales_model: '', period_type: 'month', period_key: '2026-11', target_amount: 1 }
+        ]
+    });
+    const service = createQuotaService();
+
+    const error = await rejection(service.updateQuota('Q2', { periodKey: '2026-10' }, { name: 'admin' }));
+    assert.match(error.message, /^無法建檔：alice 在 2026-10 已有相同銷售模式的目標/);
+
+    assert.deepEqual(await service.updateQuota('missing', {}, null), { success: false, error: '找不到指定的業績目標' });
+});
+
+test('attainment sums won deals in the period, including legacy won stages', async () => {
+    useFakeSupabase({
+        sales_quotas: [
+            { quota_id: 'Q1', assignee: 'alice', sales_model: '', period_type: 'quarter', period_key: '2026-Q3', target_amount: 400000 },
+            { quota_id: 'Q2', assignee: 'alice', sales_model: 'SI', period_type: 'quarter', period_key: '2026-Q3', target_amount: 100000 }
+        ],
+        v_opportunities_summary: [
+            deal('O1'),
+            deal('O2', { current_stage: '已成交', expected_close_date: '2026-09-30', opportunity_value: '50,000' }),
+            deal('O3', { sales_model: 'SI', expected_close_date: '2026-07-01', opportunity_value: 150000 }),
+            deal('O4', { expected_close_date: '2026-10-01' }),
+            deal('O5', { owner: 'bob' }),
+            deal('O6', { current_stage: '03_提案報價' })
+        ]
+    });
+
+    const service = createQuotaService();
+    service._today = () => '2026-10-19';
+
+    const result = await service.getAttainment({ startDate: '2026-07-01', endDate: '2026-09-30' });
+    const all = result.find(q => q.quotaId === 'Q1');
+    const si = result.find(q => q.quotaId === 'Q2');
+
+    assert.equal(all.assigneeName, 'Alice');
+    assert.equal(all.periodStart, '2026-07-01');
+    assert.equal(all.periodEnd, '2026-09-30');
+    assert.equal(all.achievedAmount, 300000);
+    assert.equal(all.attainmentRate, 75);
+    assert.equal(all.gap, 100000);
+    // 期間已結束：預估即為實際
+    assert.equal(all.elapsedRatio, 100);
+    assert.equal(all.projectedAmount, 300000);
+
+    assert.equal(si.achievedAmount, 150000);
+    assert.equal(si.attainmentRate, 150);
+    assert.equal(si.gap, 0);
+});
+
+test('mid-period projection extrapolates the run rate and a future period projects nothing', async () => {
+    useFakeSupabase({
+        sales_quotas: [
+            { quota_id: 'Q1', assignee: 'alice', sales_model: '', period_type: 'month', period_key: '2026-09', target_amount: 300000 },
+            { quota_id: 'Q2', assignee: 'alice', sales_model: '', period_type: 'month', period_key: '2026-10', target_amount: 300000 }
+        ],
+        v_opportunities_summary: [deal('O1', { expected_close_date: '2026-09-05' })]
+    });
+    const service = createQuotaService();
+    service._today = () => '2026-09-10';
+
+    const result = await service.getAttainment({ startDate: '2026-09-01', endDate: '2026-10-31' });
+    const september = result.find(q => q.periodKey === '2026-09');
+    const october = result.find(q => q.periodKey === '2026-10');
+
+    assert.equal(september.projectedAmount, 300000); // 10 天 100,000 → 30 天 300,000
+    assert.equal(september.projectedRate, 100);
+    assert.equal(september.elapsedRatio, 33.3);
+    assert.equal(october.periodEnd, '2026-10-31');
+    assert.equal(october.projectedAmount, 0);
+});
@@ -0,0 +1,132 @@
+// test/quote.test.js
+// [user-010] 機會報價單：依銷售模式帶入目錄價格、伺服器重算金額、版本 / 狀態規則與接受回寫機會價值
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const QuoteSqlReader = require('../data/quote-sql-reader');
+const QuoteSqlWriter = require('../data/quote-sql-writer');
+const QuoteService = require('../services/quote-service');
+
+const PRODUCTS = [
+    { id: 'P1', name: '控制器', unit: '台', priceMtb: '1,000', priceSi: 1200, priceMtu: 1500, status: '上架' },
+    { id: 'P2', name: '感測器', unit: '個', priceMtb: 100, priceSi: 150, priceMtu: 200 },
+    { id: 'P3', name: '舊款', priceMtu: 10, status: '下架' }
+];
+
+function createQuoteService({ salesModel = '經由SI販售' } = {}) {
+    const opportunityUpdates = [];
+    const service = new QuoteService({
+        quoteSqlReader: new QuoteSqlReader(),
+        quoteSqlWriter: new QuoteSqlWriter(),
+        opportunitySqlReader: {
+            getOpportunityById: async (id) => (id === 'O1' ? { opportunityId: 'O1', salesModel } : null)
+        },
+        opportunityService: {
+            updateOpportunity: async (id, data) => { opportunityUpdates.push({ id, data }); return { success: true }; }
+        },
+        productService: { getAllProducts: async () => PRODUCTS },
+        config
+    });
+    return { service, opportunityUpdates };
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('the catalog exposes only the price column of the opportunity\'s sales model and hides delisted products', async () => {
+    useFakeSupabase();
+    const { service } = createQuoteService({ salesModel: '經由MTB販售' });
+
+    const catalog = await service.getCatalog('O1');
+
+    assert.equal(catalog.priceTier, 'priceMtb');
+    assert.deepEqual(catalog.products.map(p => [p.productId, p.unitPrice]), [['P1', 1000], ['P2', 100]]);
+    assert.equal('priceSi' in catalog.products[0], false);
+    assert.equal(createQuoteService({ salesModel: '' }).service.resolvePriceTier(''), 'priceMtu');
+    assert.equal(await service.getCatalog('missing'), null);
+});
+
+test('prices are recomputed on the server from the catalog with line and order discounts', async () => {
+    const db = useFakeSupabase();
+    const { service } = createQuoteService();
+
+    const result = await service.createQuote('O1', {
+        lineItems: [
+            { productId: 'P1', quantity: 2, discountRate: 10, unitPrice: 1 },
+            { productId: 'P2', quantity: '3' }
+        ],
+        discountRate: 5
+    }, { name: 'alice' });
+
+    assert.equal(result.version, 1);
+    const [row] = db.table('opportunity_quotes');
+    assert.deepEqual(row.line_items.map(l => [l.unitPrice, l.amount]), [[1200, 2160], [150, 450]]);
+    assert.equal(row.subtotal, 2610);
+    assert.equal(row.discount_amount, 130.5);
+    assert.equal(row.total, 2479.5);
+    assert.equal(row.status, 'draft');
+    assert.equal(row.price_tier, 'priceSi');
+});
+
+test('invalid lines are rejected with 無法建檔', async () => {
+    useFakeSupabase();
+    const { service } = createQuoteService();
+
+    for (const [data, pattern] of [
+        [{ lineItems: [] }, /至少需要一項商品/],
+        [{ lineItems: [{ productId: 'X', quantity: 1 }] }, /不存在於商品目錄/],
+        [{ lineItems: [{ productId: 'P3', quantity: 1 }] }, /已下架/],
+        [{ lineItems: [{ productId: 'P1', quantity: 0 }] }, /第 1 項的數量需大於 0/],
+        [{ lineItems: [{ productId: 'P1', quantity: 1, discountRate: 120 }] }, /第 1 項折扣需介於 0 ~ 100/]
+    ]) {
+        const error = await rejection(service.createQuote('O1', data, null));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+});
+
+test('a copy becomes the next version and only drafts can be edited or deleted', async () => {
+    const db = useFakeSupabase();
+    const { service } = createQuoteService();
+
+    const v1 = await service.createQuote('O1', { lineItems: [{ productId: 'P1', quantity: 1 }], note: '初版' }, null);
+    const v2 = await service.createQuote('O1', { basedOnQuoteId: v1.quoteId }, null);
+
+    assert.equal(v2.version, 2);
+    const copy = db.table('opportunity_quotes')[1];
+    assert.equal(copy.based_on_quote_id, v1.quoteId);
+    assert.equal(copy.note, '初版');
+    assert.equal(copy.total, 1200);
+
+    await service.updateQuote('O1', v1.quoteId, { status: 'sent' }, null);
+    const edit = await rejection(service.updateQuote('O1', v1.quoteId, { note: 'x' }, null));
+    assert.match(edit.message, /報價 v1 已非草稿/);
+    const remove = await rejection(service.deleteQuote('O1', v1.quoteId));
+    assert.match(remove.message, /^無法刪除：/);
+    const accept = await rejection(service.updateQuote('O1', v1.quoteId, { status: 'accepted' }, null));
+    assert.match(accept.message, /接受報價請使用接受功能/);
+
+    assert.deepEqual(await service.deleteQuote('O1', v2.quoteId), { success: true });
+    assert.equal((await service.getQuote('O2', v1.quoteId)), null);
+});
+
+test('accepting a version supersedes the previously accepted one and can update the opportunity value', async () => {
+    const db = useFakeSupabase();
+    const { service, opportunityUpdates } = createQuoteService();
+
+    const v1 = await service.createQuote('O1', { lineItems: [{ productId: 'P1', quantity: 1 }] }, null);
+    const v2 = await service.createQuote('O1', { lineItems: [{ productId: 'P1', quantity: 2 }] }, null);
+
+    await service.acceptQuote('O1', v1.quoteId, {}, null);
+    const result = await service.acceptQuote('O1', v2.quoteId, { applyToOpportunity: true }, { name: 'alice' });
+
+    assert.equal(result.appliedToOpportunity, true);
+    const statuses = Object.fromEntries(db.table('opportunity_quotes').map(q => [q.version, q.status]));
+    assert.deepEqual(statuses, { 1: 'superseded', 2: 'accepted' });
+    assert.deepEqual(opportunityUpdates, [{ id: 'O1', data: { opportunityValue: '2400', currency: 'TWD' } }]);
+
+    const again = await rejection(service.acceptQuote('O1', v1.quoteId, {}, null));
+    assert.match(again.message, /報價 v1 已被取代/);
+});
@@ -0,0 +1,107 @@
+// test/smtp-client.test.js
+// [user-025] SMTP 寄信：以本機 smtp-server 收信，驗證 HTML / 純文字 / 附件、收件者解析、帳密驗證、STARTTLS 與錯誤訊息
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const { sendMail } = require('../utils/smtp-client');
+const { startMailCatcher, parseMail } = require('./helpers/mail-catcher');
+
+const MESSAGE = {
+    from: 'TFC CRM <crm@localhost>',
+    to: ['王經理 <wang@example.com>', ' lee@example.com '],
+    subject: '[週報] 第 41 週',
+    html: '<p>本週重點：成交 1 件</p>',
+    text: '本週重點：成交 1 件',
+    attachments: [{ filename: '週報_2026-W41_v1.pdf', content: Buffer.from('%PDF-1.4\n...'), contentType: 'application/pdf' }]
+};
+
+const rejection = promise => promise.then(() => null, err => err);
+
+// 取得目前沒有服務監聽的本機埠
+function unusedPort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+test('a message is delivered with HTML, plain text and attachments to the bare recipient addresses', async (t) => {
+    const catcher = await startMailCatcher();
+    t.after(catcher.close);
+
+    const result = await sendMail({ host: '127.0.0.1', port: catcher.port, timeout: 5000 }, MESSAGE);
+
+    assert.deepEqual(result.accepted, ['wang@example.com', 'lee@example.com']);
+    assert.match(result.messageId, /^<.+@localhost>$/);
+    assert.match(result.response, /^250 /);
+
+    const [received] = catcher.messages;
+    assert.deepEqual(received.envelope, { from: 'crm@localhost', to: ['wang@example.com', 'lee@example.com'] });
+    assert.equal(received.secure, false);
+
+    const mail = parseMail(received.raw);
+    assert.equal(mail.subject, '[週報] 第 41 週');
+    assert.equal(mail.headers['message-id'], result.messageId);
+    assert.deepEqual(mail.parts.map(p => p.type), ['text/plain', 'text/html', 'application/pdf']);
+    assert.equal(mail.parts[0].content.toString('utf8'), '本週重點：成交 1 件');
+    assert.equal(mail.parts[1].content.toString('utf8'), '<p>本週重點：成交 1 件</p>');
+    assert.equal(mail.parts[2].filename, '週報_2026-W41_v1.pdf');
+    assert.deepEqual(mail.parts[2].content, MESSAGE.attachments[0].content);
+});
+
+test('credentials are sent when configured and a rejected login is reported as an SMTP failure', async (t) => {
+    const catcher = await startMailCatcher({ users: { crm: 's3cret' } });
+    t.after(catcher.close);
+    const transport = { host: '127.0.0.1', port: catcher.port, user: 'crm', timeout: 5000 };
+
+    await sendMail({ ...transport, pass: 's3cret' }, MESSAGE);
+    assert.equal(catcher.messages[0].user, 'crm');
+
+    const wrong = await rejection(sendMail({ ...transport, pass: 'nope' }, MESSAGE));
+    assert.match(wrong.message, /^SMTP 寄送失敗：.*Invalid username or password/);
+
+    const anonymous = await rejection(sendMail({ host: '127.0.0.1', port: catcher.port, timeout: 5000 }, MESSAGE));
+    assert.match(anonymous.message, /^SMTP 寄送失敗：/);
+    assert.equal(catcher.messages.length, 1);
+});
+
+test('STARTTLS is used when the server offers it and can be required', async (t) => {
+    const tls = await startMailCatcher({ starttls: true });
+    const plain = await startMailCatcher();
+    t.after(tls.close);
+    t.after(plain.close);
+
+    // smtp-server 內建自簽憑證：預設驗證憑證會失敗，關閉驗證後改走加密連線
+    const untrusted = await rejection(sendMail({ host: '127.0.0.1', port: tls.port, timeout: 5000 }, MESSAGE));
+    assert.match(untrusted.message, /^SMTP 寄送失敗：.*certificate/i);
+
+    await sendMail({ host: '127.0.0.1', port: tls.port, rejectUnauthorized: false, requireTls: true, timeout: 5000 }, MESSAGE);
+    assert.equal(tls.messages[0].secure, true);
+
+    const required = await rejection(sendMail({ host: '127.0.0.1', port: plain.port, requireTls: true, timeout: 5000 }, MESSAGE));
+    assert.match(required.message, /^SMTP 寄送失敗：/);
+    assert.equal(plain.messages.length, 0);
+});
+
+test('missing recipients, refused recipients and unreachable servers fail with a clear message', async (t) => {
+    const catcher = await startMailCatcher({ onRcptTo: address => (address.endsWith('@blocked.test') ? 'Mailbox unavailable' : null) });
+    t.after(catcher.close);
+    const transport = { host: '127.0.0.1', port: catcher.port, timeout: 5000 };
+
+    const empty = await rejection(sendMail(transport, { ...MESSAGE, to: ['', '  '] }));
+    assert.equal(empty.message, 'SMTP 寄送失敗：沒有收件者');
+
+    const partial = await sendMail(transport, { ...MESSAGE, to: ['ok@example.com', 'x@blocked.test'] });
+    assert.deepEqual(partial.accepted, ['ok@example.com']);
+    assert.deepEqual(catcher.messages[0].envelope.to, ['ok@example.com']);
+
+    const refused = await rejection(sendMail(transport, { ...MESSAGE, to: ['x@blocked.test'] }));
+    assert.match(refused.message, /^SMTP 寄送失敗：.*Mailbox unavailable/);
+
+    const offline = await rejection(sendMail({ host: '127.0.0.1', port: await unusedPort(), timeout: 2000 }, MESSAGE));
+    assert.match(offline.message, /^SMTP 寄送失敗：.*ECONNREFUSED/);
+});
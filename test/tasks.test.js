@@ -0,0 +1,208 @@
+// test/tasks.test.js
+// [user-023] 待辦任務：欄位驗證、週期任務下一次 (月底、順延、結束日、重新開啟不重複)、我的待辦、關聯名稱批次查詢與互動紀錄跟進任務
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const config = require('../config');
+const TaskSqlReader = require('../data/task-sql-reader');
+const TaskSqlWriter = require('../data/task-sql-writer');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const CompanySqlReader = require('../data/company-sql-reader');
+const ContactSqlReader = require('../data/contact-sql-reader');
+const InteractionService = require('../services/interaction-service');
+const TaskService = require('../services/task-service');
+
+const TEAM = [{ value: 'alice', note: 'Alice' }, { value: 'bob', note: 'Bob' }];
+const ALICE = { name: 'alice' };
+
+const OPPORTUNITY = { opportunityId: 'O1', opportunityName: '產線升級' };
+const COMPANY = { companyId: 'C1', companyName: '範例電子' };
+
+function createTaskService(readers = {}) {
+    return new TaskService({
+        taskSqlReader: new TaskSqlReader(),
+        taskSqlWriter: new TaskSqlWriter(),
+        opportunitySqlReader: {
+            getOpportunityById: async (id) => (id === 'O1' ? OPPORTUNITY : null),
+            getOpportunitiesByIds: async (ids) => (ids.includes('O1') ? [OPPORTUNITY] : [])
+        },
+        companySqlReader: {
+            getCompanyById: async (id) => (id === 'C1' ? COMPANY : null),
+            getCompaniesByIds: async (ids) => (ids.includes('C1') ? [COMPANY] : [])
+        },
+        contactSqlReader: {
+            getContactById: async () => { throw new Error('timeout'); },
+            getContactsByIds: async () => { throw new Error('timeout'); }
+        },
+        systemService: { getSystemConfig: async () => ({ '團隊成員': TEAM }) },
+        config,
+        ...readers
+    });
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+const dueDates = db => db.table('tasks').map(r => [r.due_date, r.status]);
+
+test('tasks are validated for title, status, recurrence, dates, assignee and links', async () => {
+    useFakeSupabase();
+    const service = createTaskService();
+
+    for (const [input, pattern] of [
+        [{ title: ' ' }, /任務標題為必填/],
+        [{ title: 'x'.repeat(201) }, /任務標題不可超過 200 字/],
+        [{ title: 'x', status: 'waiting' }, /不支援的任務狀態 waiting/],
+        [{ title: 'x', recurrence: 'yearly' }, /不支援的重複設定 yearly/],
+        [{ title: 'x', dueDate: '2027-02-30' }, /到期日格式需為 YYYY-MM-DD/],
+        [{ title: 'x', recurrence: 'weekly' }, /重複任務需設定到期日/],
+        [{ title: 'x', recurrence: 'weekly', dueDate: '2027-01-01', recurrenceInterval: 13 }, /重複間隔需為 1 到 12/],
+        [{ title: 'x', recurrence: 'weekly', dueDate: '2027-01-01', recurrenceEndDate: '2026-12-31' }, /重複結束日不可早於到期日/],
+        [{ title: 'x', assignee: 'mallory' }, /「mallory」不是有效的團隊成員/],
+        [{ title: 'x', opportunityId: 'O404' }, /找不到關聯的機會 \(O404\)/],
+        [{ title: 'x', contactId: 'K1' }, /找不到關聯的聯絡人 \(K1\)/]
+    ]) {
+        const error = await rejection(service.createTask(input, ALICE));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+
+    const { taskId } = await service.createTask({ title: ' 報價追蹤 ', assignee: 'Bob', dueDate: '2027-01-05T10:00', opportunityId: 'O1', recurrenceEndDate: '2027-09-01' }, ALICE);
+    const task = await service.getTask(taskId);
+    assert.deepEqual(
+        [task.title, task.assignee, task.dueDate, task.status, task.recurrence, task.recurrenceEndDate, task.opportunityName, task.createdBy],
+        ['報價追蹤', 'Bob', '2027-01-05', 'open', 'none', '', '產線升級', 'alice']
+    );
+});
+
+test('completing a monthly task creates the next one from the series anchor so month ends do not drift', async () => {
+    const db = useFakeSupabase();
+    const service = createTaskService();
+    const { taskId } = await service.createTask({ title: '月結對帳', dueDate: '2027-01-31', recurrence: 'monthly' }, ALICE);
+
+    const first = await service.updateTask(taskId, { status: 'done' }, ALICE);
+    const second = await service.updateTask(first.nextTaskId, { status: 'done' }, ALICE);
+
+    assert.deepEqual(dueDates(db), [['2027-01-31', 'done'], ['2027-02-28', 'done'], ['2027-03-31', 'open']]);
+    const third = await service.getTask(second.nextTaskId);
+    assert.equal(third.seriesId, taskId);
+    assert.equal(third.recurrence, 'monthly');
+    assert.ok(db.table('tasks')[0].completed_time);
+});
+
+test('reopening and completing a task again does not create a duplicate next occurrence', async () => {
+    const db = useFakeSupabase();
+    const service = createTaskService();
+    const { taskId } = await service.createTask({ title: '週會', dueDate: '2027-01-04', recurrence: 'weekly', recurrenceInterval: 2 }, ALICE);
+
+    const done = await service.updateTask(taskId, { status: 'done' }, ALICE);
+    const reopened = await service.updateTask(taskId, { status: 'open' }, ALICE);
+    const doneAgain = await service.updateTask(taskId, { status: 'done' }, ALICE);
+
+    assert.ok(done.nextTaskId);
+    assert.deepEqual(reopened, { success: true });
+    assert.deepEqual(doneAgain, { success: true });
+    assert.deepEqual(dueDates(db), [['2027-01-04', 'done'], ['2027-01-18', 'open']]);
+    assert.ok(db.table('tasks')[0].completed_time);
+
+    // 下一次完成後才繼續產生
+    const next = await service.updateTask(done.nextTaskId, { status: 'done' }, ALICE);
+    assert.equal((await service.getTask(next.nextTaskId)).dueDate, '2027-02-01');
+});
+
+test('overdue recurring tasks skip ahead to today or later and stop after the end date', async () => {
+    const db = useFakeSupabase();
+    const service = createTaskService();
+    const today = service._today();
+
+    const daily = await service.createTask({ title: '日報', dueDate: '2026-01-01', recurrence: 'daily', recurrenceInterval: 3 }, ALICE);
+    const { nextTaskId } = await service.updateTask(daily.taskId, { status: 'done' }, ALICE);
+    const next = await service.getTask(nextTaskId);
+    assert.ok(next.dueDate >= today);
+    assert.ok(service._addDays(next.dueDate, -3) < today);
+    assert.equal((Date.parse(next.dueDate) - Date.parse('2026-01-01')) / (24 * 60 * 60 * 1000) % 3, 0);
+
+    const ending = await service.createTask({ title: '最後一次', dueDate: '2027-03-01', recurrence: 'weekly', recurrenceEndDate: '2027-03-07' }, ALICE);
+    assert.deepEqual(await service.updateTask(ending.taskId, { status: 'done' }, ALICE), { success: true });
+    assert.equal(db.table('tasks').length, 3);
+
+    assert.deepEqual(await service.updateTask('missing', { status: 'done' }, ALICE), { success: false, error: '找不到指定的任務' });
+});
+
+test('my tasks split overdue, due today and upcoming open tasks for the signed-in member', async () => {
+    useFakeSupabase();
+    const service = createTaskService();
+    const today = service._today();
+    const add = (title, dueDate, extra = {}) => service.createTask({ title, dueDate, ...extra }, ALICE);
+
+    await add('逾期', service._addDays(today, -2), { companyId: 'C1' });
+    await add('今天', today);
+    await add('下週', service._addDays(today, 5));
+    await add('太遠', service._addDays(today, config.TASKS.UPCOMING_DAYS + 1));
+    await add('已完成', today, { status: 'done' });
+    await add('別人的', today, { assignee: 'bob' });
+
+    const mine = await service.getMyTasks(ALICE);
+
+    assert.deepEqual(mine.overdue.map(t => [t.title, t.isOverdue, t.companyName]), [['逾期', true, '範例電子']]);
+    assert.deepEqual(mine.dueToday.map(t => t.title), ['今天']);
+    assert.equal(mine.upcomingCount, 1);
+    assert.deepEqual((await service.getMyTasks({})).overdue, []);
+    assert.deepEqual((await service.getTasks({ status: 'done' })).map(t => t.title), ['已完成']);
+});
+
+test('task lists look up linked names with one batched query per table', async () => {
+    const db = useFakeSupabase({
+        opportunities: [{ opportunity_id: 'O1', opportunity_name: '產線升級' }, { opportunity_id: 'O2', opportunity_name: '新廠擴建' }],
+        companies: [{ company_id: 'C1', company_name: '範例電子' }],
+        contacts: [{ contact_id: 'K1', name: '王經理' }, { contact_id: 'K2', name: '李工' }]
+    });
+    const service = createTaskService({
+        opportunitySqlReader: new OpportunitySqlReader(),
+        companySqlReader: new CompanySqlReader(),
+        contactSqlReader: new ContactSqlReader()
+    });
+    for (let i = 0; i < 6; i++) {
+        await service.createTask({ title: `任務 ${i}`, opportunityId: `O${i % 2 + 1}`, companyId: 'C1', contactId: `K${i % 2 + 1}` }, ALICE);
+    }
+    await service.createTask({ title: '無關聯' }, ALICE);
+
+    db.calls.length = 0;
+    const tasks = await service.getTasks();
+
+    assert.equal(tasks.length, 7);
+    assert.deepEqual(
+        tasks.filter(t => t.opportunityId).map(t => [t.opportunityName, t.companyName, t.contactName]).sort(),
+        [...Array(3).fill(['新廠擴建', '範例電子', '李工']), ...Array(3).fill(['產線升級', '範例電子', '王經理'])]
+    );
+    const reads = db.calls.filter(c => c.action === 'select').map(c => c.table).sort();
+    assert.deepEqual(reads, ['companies', 'contacts', 'opportunities', 'tasks']);
+});
+
+test('an interaction next action keeps a single open follow-up task in sync', async () => {
+    const db = useFakeSupabase();
+    const taskService = createTaskService();
+    const writer = { createInteraction: async () => 'INT1', updateInteraction: async () => true };
+    const interactions = new InteractionService(null, writer, null, null, taskService);
+
+    const created = await interactions.createInteraction({ opportunityId: 'O1', nextAction: '寄送報價', nextActionDate: '2027-01-10' }, ALICE);
+    const updated = await interactions.updateInteraction('INT1', { opportunityId: 'O1', nextAction: '寄送修正報價', nextActionDate: '2027-01-12' }, ALICE);
+
+    assert.equal(updated.followUpTaskId, created.followUpTaskId);
+    const rows = db.table('tasks');
+    assert.equal(rows.length, 1);
+    assert.deepEqual(
+        [rows[0].title, rows[0].due_date, rows[0].source_type, rows[0].source_id, rows[0].opportunity_id, rows[0].assignee],
+        ['寄送修正報價', '2027-01-12', 'interaction', 'INT1', 'O1', 'alice']
+    );
+
+    // 完成後再次填寫下次行動會建立新的跟進任務
+    await taskService.updateTask(created.followUpTaskId, { status: 'done' }, ALICE);
+    const again = await interactions.updateInteraction('INT1', { nextAction: '安排拜訪', nextActionDate: '2027-02-01' }, ALICE);
+    assert.notEqual(again.followUpTaskId, created.followUpTaskId);
+    assert.equal(db.table('tasks').length, 2);
+
+    const invalid = await rejection(interactions.createInteraction({ nextAction: 'x', nextActionDate: '明天' }, ALICE));
+    assert.match(invalid.message, /^無法建檔：下次行動日期格式需為 YYYY-MM-DD/);
+    assert.equal((await interactions.createInteraction({ nextAction: '無日期' }, ALICE)).followUpTaskId, null);
+});
@@ -0,0 +1,144 @@
+// test/timed-meetings.test.js
+// [user-022] 定時會議：會議長度與提醒驗證、我方 / 客戶與會者邀請、Google Meet 連結、全天行程與日曆失敗處理
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const dateHelpers = require('../utils/date-helpers');
+const CalendarService = require('../services/calendar-service');
+const EventService = require('../services/event-service');
+const FakeCalendarClient = require('../services/fake-calendar-client');
+
+const CALENDAR_ID = config.CALENDAR_ID || 'primary';
+const START = '2026-11-02T02:00:00.000Z'; // 台北 10:00
+
+const CONTACTS = [
+    { contactId: 'K1', name: '王經理', email: 'wang@client.com' },
+    { contactId: 'K2', name: '李工', email: '' },
+    { contactId: 'K3', name: '陳總', email: 'CHEN@client.com' }
+];
+
+const TEAM = [
+    { value: 'alice', note: 'Alice', value2: 'alice@tfc.com' },
+    { value: 'bob', note: 'Bob', value2: 'not-an-email' },
+    { value: 'carol', note: 'Carol', value2: 'chen@client.com' }
+];
+
+function createMeetings({ calendarFails = false } = {}) {
+    const client = new FakeCalendarClient();
+    const inserts = [];
+    const insert = client.events.insert;
+    client.events.insert = async (params) => {
+        inserts.push(params);
+        if (calendarFails) throw new Error('calendar unavailable');
+        return insert(params);
+    };
+    const interactions = [];
+    const weekly = [];
+    const service = new EventService(
+        new CalendarService(client),
+        { createInteraction: async (data) => { interactions.push(data); return { success: true, id: `I${interactions.length}` }; } },
+        { createWeeklyBusinessEntry: async (data) => { weekly.push(data); return { success: true, id: `W${weekly.length}` }; } },
+        { getOpportunityDetails: async () => ({ opportunityInfo: { customerCompany: '範例電子', opportunityType: '智慧工廠' }, linkedContacts: CONTACTS }) },
+        config,
+        dateHelpers,
+        null,
+        { getSystemConfig: async () => ({ '團隊成員': TEAM }) }
+    );
+    return { client, inserts, interactions, weekly, service };
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('a timed meeting invites team members and chosen contacts, with custom reminders and a Meet link', async () => {
+    const ctx = createMeetings();
+
+    const result = await ctx.service.createCalendarEventAndSync({
+        title: '產線規劃', startTime: START, duration: '45', opportunityId: 'O1', createInteraction: true,
+        participants: 'Alice、Bob, Carol', contactIds: ['K1', 'K2', 'K3'],
+        reminderMinutes: [30, '30', 1440], addVideoConference: true, location: '新竹廠'
+    }, { displayName: 'alice' });
+
+    assert.deepEqual(result.attendees, ['alice@tfc.com', 'chen@client.com', 'wang@client.com']); // Email 不分大小寫去重
+    assert.deepEqual(result.skippedAttendees, ['Bob', '李工']);
+    assert.equal(result.attendeeCount, 3);
+    assert.equal(result.hangoutLink, `https://meet.google.com/fake-${result.eventId}`);
+    assert.deepEqual([result.startTime, result.endTime, result.isAllDay], [START, '2026-11-02T02:45:00.000Z', false]);
+
+    const [{ sendUpdates, conferenceDataVersion }] = ctx.inserts;
+    assert.deepEqual([sendUpdates, conferenceDataVersion], [config.CALENDAR_EVENT.SEND_UPDATES, 1]);
+    const { data: event } = await ctx.client.events.get({ calendarId: CALENDAR_ID, eventId: result.eventId });
+    assert.deepEqual(event.start, { dateTime: START, timeZone: config.TIMEZONE });
+    assert.deepEqual(event.reminders.overrides.map(r => r.minutes), [30, 1440]);
+    assert.match(event.description, /時間: 2026-11-02 10:00-10:45 \(45 分鐘\)\n地點: 新竹廠/);
+    assert.match(event.description, /客戶: 王經理, 李工, 陳總/);
+
+    const [interaction] = ctx.interactions;
+    assert.equal(interaction.interactionTime, START);
+    assert.match(interaction.contentSummary, /\[視訊會議\]: https:\/\/meet\.google\.com\/fake-/);
+    assert.equal(interaction.participants, 'Alice、Bob, Carol, 王經理, 李工, 陳總');
+    assert.deepEqual([ctx.weekly[0].date, ctx.weekly[0].category, ctx.weekly[0].weekId], ['2026-11-02', 'IoT', '2026-W45']);
+});
+
+test('defaults apply when duration and reminders are omitted, and an empty reminder list disables reminders', async () => {
+    const ctx = createMeetings();
+
+    const defaults = await ctx.service.createCalendarEventAndSync({ title: '電話會議', startTime: START }, { displayName: 'alice' });
+    const silent = await ctx.service.createCalendarEventAndSync({ title: '內部會議', startTime: START, reminderMinutes: [] }, { displayName: 'alice' });
+
+    const get = async id => (await ctx.client.events.get({ calendarId: CALENDAR_ID, eventId: id })).data;
+    const first = await get(defaults.eventId);
+    assert.equal(Date.parse(defaults.endTime) - Date.parse(START), config.CALENDAR_EVENT.DEFAULT_DURATION * 60 * 1000);
+    assert.deepEqual(first.reminders, { useDefault: false, overrides: [{ method: config.CALENDAR_EVENT.REMINDER_METHOD, minutes: config.CALENDAR_EVENT.REMINDER_MINUTES }] });
+    assert.equal(first.attendees, undefined);
+    assert.equal(defaults.hangoutLink, null);
+    assert.equal(ctx.inserts[0].sendUpdates, undefined);
+    assert.deepEqual((await get(silent.eventId)).reminders.overrides, []);
+    assert.deepEqual(ctx.interactions, []); // 未勾選建立互動紀錄
+});
+
+test('an all-day meeting uses the local date and invites every contact with an email by default', async () => {
+    const ctx = createMeetings();
+
+    const result = await ctx.service.createCalendarEventAndSync({
+        title: '展會參訪', startTime: '2026-11-02T18:00:00.000Z', isAllDay: true, duration: 9999, opportunityId: 'O1', createInteraction: true
+    }, { displayName: 'alice' });
+
+    assert.deepEqual([result.startTime, result.endTime, result.isAllDay], ['2026-11-03', '2026-11-04', true]);
+    assert.deepEqual(result.attendees, ['wang@client.com', 'CHEN@client.com']);
+    assert.match(ctx.interactions[0].contentSummary, /^\[時間\]: 2026-11-03 \(全天\)/);
+    assert.equal(ctx.weekly[0].date, '2026-11-03');
+});
+
+test('invalid start times, durations and reminders are refused before anything is created', async () => {
+    const ctx = createMeetings();
+    const max = config.CALENDAR_EVENT.MAX_REMINDER_MINUTES;
+
+    for (const [input, pattern] of [
+        [{ startTime: 'next monday' }, /會議開始時間格式錯誤/],
+        [{ startTime: START, duration: 0 }, /會議長度需為 1 到 1440 分鐘/],
+        [{ startTime: START, duration: 1.5 }, /會議長度需為 1 到 1440 分鐘/],
+        [{ startTime: START, duration: 1441 }, /會議長度需為 1 到 1440 分鐘/],
+        [{ startTime: START, reminderMinutes: [-5] }, new RegExp(`提醒時間需為 0 到 ${max} 分鐘`)],
+        [{ startTime: START, reminderMinutes: max + 1 }, /提醒時間需為/]
+    ]) {
+        const error = await rejection(ctx.service.createCalendarEventAndSync({ title: 'x', opportunityId: 'O1', createInteraction: true, ...input }, { displayName: 'alice' }));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+    assert.deepEqual([ctx.inserts.length, ctx.interactions.length, ctx.weekly.length], [0, 0, 0]);
+});
+
+test('a calendar failure is reported while the interaction and weekly entry are still written', async () => {
+    const ctx = createMeetings({ calendarFails: true });
+
+    const error = await rejection(ctx.service.createCalendarEventAndSync({
+        title: '產線規劃', startTime: START, opportunityId: 'O1', createInteraction: true, addVideoConference: true
+    }, { displayName: 'alice' }));
+
+    assert.equal(error.message, 'calendar unavailable');
+    assert.equal(ctx.interactions.length, 1);
+    assert.doesNotMatch(ctx.interactions[0].contentSummary, /視訊會議/);
+    assert.equal(ctx.weekly.length, 1);
+});
@@ -0,0 +1,120 @@
+// test/trash.test.js
+// [user-002] 軟刪除回收桶：刪除只標記 deleted_time、讀取隱藏、還原 (含聯絡人關聯) 與保留期清除
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+
+const CompanySqlWriter = require('../data/company-sql-writer');
+const CompanySqlReader = require('../data/company-sql-reader');
+const ContactSqlWriter = require('../data/contact-sql-writer');
+const OpportunitySqlWriter = require('../data/opportunity-sql-writer');
+const EventLogSqlWriter = require('../data/event-log-sql-writer');
+const TrashSqlReader = require('../data/trash-sql-reader');
+const TrashService = require('../services/trash-service');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function createTrashService() {
+    return new TrashService({
+        trashSqlReader: new TrashSqlReader(),
+        companySqlWriter: new CompanySqlWriter(),
+        contactSqlWriter: new ContactSqlWriter(),
+        opportunitySqlWriter: new OpportunitySqlWriter(),
+        eventLogSqlWriter: new EventLogSqlWriter(),
+        config: { TRASH: { RETENTION_DAYS: 30 } }
+    });
+}
+
+test('deleting a company only tombstones the row and hides it from readers', async () => {
+    const db = useFakeSupabase({
+        companies: [{ company_id: 'C1', company_name: 'ACME', deleted_time: null }]
+    });
+
+    await new CompanySqlWriter().deleteCompany('C1', 'alice');
+
+    const [row] = db.table('companies');
+    assert.ok(row.deleted_time);
+    assert.equal(row.deleted_by, 'alice');
+    assert.equal(await new CompanySqlReader().getCompanyById('C1'), null);
+});
+
+test('the trash lists deleted items newest first with their purge date', async () => {
+    useFakeSupabase({
+        companies: [
+            { company_id: 'C1', company_name: 'Old', deleted_time: '2026-06-01T00:00:00.000Z', deleted_by: 'alice' },
+            { company_id: 'C2', company_name: 'Live', deleted_time: null }
+        ],
+        opportunities: [
+            { opportunity_id: 'O1', opportunity_name: 'New', deleted_time: '2026-06-10T00:00:00.000Z', deleted_by: 'bob' }
+        ]
+    });
+
+    const items = await createTrashService().getTrashItems();
+
+    assert.deepEqual(items.map(i => `${i.entityType}:${i.entityId}`), ['opportunity:O1', 'company:C1']);
+    assert.equal(items[1].purgeAfter, '2026-07-01T00:00:00.000Z');
+    assert.equal(items[0].deletedBy, 'bob');
+});
+
+test('restoring an opportunity clears the tombstone and reactivates its trashed contact links', async () => {
+    const db = useFakeSupabase({
+        opportunities: [{ opportunity_id: 'O1', opportunity_name: 'Deal', deleted_time: null }],
+        opportunity_contact_links: [
+            { link_id: 'L1', opportunity_id: 'O1', contact_id: 'K1', status: 'active' },
+            { link_id: 'L2', opportunity_id: 'O1', contact_id: 'K2', status: 'inactive' }
+        ]
+    });
+    const writer = new OpportunitySqlWriter();
+
+    await writer.deleteOpportunity('O1', 'alice');
+    assert.deepEqual(db.table('opportunity_contact_links').map(l => l.status), ['trashed', 'inactive']);
+
+    const result = await createTrashService().restoreItem('opportunity', 'O1', { displayName: 'bob' });
+
+    assert.deepEqual(result, { success: true, restoredLinks: 1 });
+    const [opp] = db.table('opportunities');
+    assert.equal(opp.deleted_time, null);
+    assert.equal(opp.updated_by, 'bob');
+    assert.deepEqual(db.table('opportunity_contact_links').map(l => l.status), ['active', 'inactive']);
+});
+
+test('restoring an item that is not in the trash reports failure', async () => {
+    useFakeSupabase({ companies: [{ company_id: 'C1', company_name: 'Live', deleted_time: null }] });
+
+    const result = await createTrashService().restoreItem('company', 'C1', null);
+
+    assert.equal(result.success, false);
+    assert.equal(createTrashService().isSupportedEntity('quote'), false);
+});
+
+test('purgeExpired permanently removes only items past the retention period', async () => {
+    const db = useFakeSupabase({
+        companies: [
+            { company_id: 'C-old', company_name: 'Old', deleted_time: daysAgo(45) },
+            { company_id: 'C-recent', company_name: 'Recent', deleted_time: daysAgo(5) },
+            { company_id: 'C-live', company_name: 'Live', deleted_time: null }
+        ],
+        event_logs_iot: [{ event_id: 'E-old', event_name: 'Visit', deleted_time: daysAgo(31) }]
+    });
+
+    const result = await createTrashService().purgeExpired();
+
+    assert.deepEqual(result, { purged: 2, failed: 0 });
+    assert.deepEqual(db.table('companies').map(c => c.company_id), ['C-recent', 'C-live']);
+    assert.equal(db.table('event_logs_iot').length, 0);
+});
+
+test('one failing purge does not stop the rest', async () => {
+    const db = useFakeSupabase({
+        companies: [{ company_id: 'C-old', company_name: 'Old', deleted_time: daysAgo(40) }],
+        contacts: [{ contact_id: 'K-old', name: 'Old', deleted_time: daysAgo(40) }]
+    });
+    db.failNext('companies', 'delete', { message: 'fk violation' });
+
+    const result = await createTrashService().purgeExpired();
+
+    assert.deepEqual(result, { purged: 1, failed: 1 });
+    assert.equal(db.table('companies').length, 1);
+    assert.equal(db.table('contacts').length, 0);
+});
@@ -0,0 +1,226 @@
+// test/weekly-digest.test.js
+// [user-025] 週報發布：內容彙整 (主題 / 待辦 / 機會異動 / 下週行程)、版本凍結與衝突重試、HTML / PDF 輸出與 Email 寄送紀錄
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fake-supabase');
+const { startMailCatcher, parseMail } = require('./helpers/mail-catcher');
+
+const config = require('../config');
+const dateHelpers = require('../utils/date-helpers');
+const WeeklyDigestSqlReader = require('../data/weekly-digest-sql-reader');
+const WeeklyDigestSqlWriter = require('../data/weekly-digest-sql-writer');
+const WeeklyDigestService = require('../services/weekly-digest-service');
+
+const WEEK = '2026-W41'; // 2026-10-05 ~ 2026-10-11，下週 2026-W42
+const UNIQUE_KEYS = { weekly_digests: [['week_id', 'version']] };
+
+function createWeek() {
+    return {
+        [WEEK]: {
+            entries: [
+                { date: '2026-10-07', category: 'DT', '主題': '大同 <數位孿生> 簡報', '參與人員': 'Alice', '重點摘要': '展示模型\n客戶滿意', '待辦事項': '- 寄送報價\n• 安排 POC\n' },
+                { date: '2026-10-05', category: 'IoT', topic: '產線巡檢', participants: 'Bob', summaryContent: '確認感測點位', todoItems: '' },
+                { date: '2026-10-08', category: 'HR', topic: '教育訓練', todoItems: '報名' }
+            ],
+            pipelineChanges: {
+                newDeals: [{ opportunityName: '智慧倉儲', customerCompany: '範例物流', assignee: 'Alice', opportunityValue: '1200000' }],
+                stageAdvances: [{ opportunityName: '數位孿生', fromStage: 'S1', fromStageName: '需求確認', toStage: 'S3', toStageName: '報價' }],
+                stageRegressions: [],
+                slippedCloseDates: [{ opportunityName: '產線連網', fromCloseDate: '2026-10-31', toCloseDate: '2026-12-15' }]
+            }
+        },
+        '2026-W42': {
+            title: '2026年 10月, 第 2 週',
+            dateRange: '(10/12 - 10/18)',
+            days: [
+                { dayIndex: 1, date: '2026-10-12', dxCalendarEvents: [{ time: '14:00', summary: '客戶拜訪', location: '新竹' }], atCalendarEvents: [{ time: '全天', summary: '展會' }] },
+                { dayIndex: 2, date: '2026-10-13', holidayName: '補假' },
+                { dayIndex: 6, date: '2026-10-17', dxCalendarEvents: [{ time: '10:00', summary: '週六活動' }] }
+            ]
+        }
+    };
+}
+
+const CLOSED = [
+    { opportunityName: '數位孿生', customerCompany: '大同', assignee: 'Alice', closeResult: 'won', opportunityValue: '3,500,000' },
+    { opportunityName: '舊標案', customerCompany: '範例電子', currentStage: '已結案(失敗)', closeReason: '預算刪減' },
+    { opportunityName: '進行中', currentStage: '報價' }
+];
+
+function createDigestService({ week = createWeek(), nextWeekFails = false, mailer, smtp = {} } = {}) {
+    const sent = [];
+    const service = new WeeklyDigestService({
+        weeklyBusinessService: {
+            getWeeklyDetails: async (weekId) => {
+                if (weekId !== WEEK && nextWeekFails) throw new Error('calendar unavailable');
+                return week[weekId] || { entries: [], days: [] };
+            }
+        },
+        opportunitySqlReader: {
+            getClosedDealsForAnalysis: async (start, end) => (start === '2026-10-05T00:00:00' && end === '2026-10-11T23:59:59' ? CLOSED : [])
+        },
+        weeklyDigestSqlReader: new WeeklyDigestSqlReader(),
+        weeklyDigestSqlWriter: new WeeklyDigestSqlWriter(),
+        systemService: { getSystemConfig: async () => ({ '週間業務主題': [{ value: 'IoT', note: 'IoT 物聯網' }, { value: 'DT', note: 'DT' }] }) },
+        dateHelpers,
+        mailer: mailer || { sendMail: async (transport, message) => { sent.push({ transport, message }); return { messageId: `<m${sent.length}@test>` }; } },
+        config: { ...config, SMTP: { ...config.SMTP, ...smtp }, WEEKLY_DIGEST: { ...config.WEEKLY_DIGEST, DEFAULT_RECIPIENTS: [] } }
+    });
+    return { service, sent, week };
+}
+
+const rejection = promise => promise.then(() => null, err => err);
+
+test('the snapshot groups entries by theme, collects todos, deal changes and next week on weekdays', async () => {
+    const { service } = createDigestService();
+
+    const snapshot = await service.buildSnapshot(WEEK);
+
+    assert.deepEqual([snapshot.title, snapshot.dateRange], ['2026年 10月, 第 1 週', '(10/05 - 10/11)']);
+    assert.deepEqual(snapshot.categories.map(c => [c.label, c.entries.map(e => `${e.date} ${e.weekday} ${e.theme}`)]), [
+        ['IoT 物聯網', ['2026-10-05 週一 產線巡檢']],
+        ['DT', ['2026-10-07 週三 大同 <數位孿生> 簡報']],
+        ['其他', ['2026-10-08 週四 教育訓練']]
+    ]);
+    assert.deepEqual(snapshot.todos.map(t => [t.category, t.items]), [['DT', ['寄送報價', '安排 POC']], ['其他', ['報名']]]);
+
+    const { deals } = snapshot;
+    assert.deepEqual(deals.won, [{ opportunityName: '數位孿生', customerCompany: '大同', assignee: 'Alice', amount: '3,500,000' }]);
+    assert.deepEqual(deals.lost.map(d => d.reason), ['預算刪減']);
+    assert.deepEqual(deals.stageAdvances.map(d => [d.fromStage, d.toStage]), [['需求確認', '報價']]);
+    assert.equal(deals.newDeals[0].amount, '1,200,000');
+    assert.equal(deals.pipelineAvailable, true);
+
+    assert.equal(snapshot.nextWeek.weekId, '2026-W42');
+    assert.deepEqual(snapshot.nextWeek.days.map(d => [d.weekday, d.holidayName, d.events.map(e => e.summary)]), [
+        ['週一', '', ['展會', '客戶拜訪']], // 全天活動排在最前
+        ['週二', '補假', []]
+    ]);
+});
+
+test('a missing next week and pipeline snapshot still produce a digest; invalid weeks are refused', async () => {
+    const week = createWeek();
+    delete week[WEEK].pipelineChanges;
+    const { service } = createDigestService({ week, nextWeekFails: true });
+
+    const snapshot = await service.buildSnapshot(WEEK);
+    assert.deepEqual(snapshot.nextWeek.days, []);
+    assert.equal(snapshot.deals.pipelineAvailable, false);
+    const html = service.renderHtml(snapshot, { version: 1, publishedBy: 'alice', publishedTime: '2026-10-12T01:00:00Z' });
+    assert.match(html, /無法取得下週行程/);
+
+    await assert.rejects(service.buildSnapshot('W41'), /^Error: 無法建檔：週次格式需為 YYYY-Www$/);
+});
+
+test('each publish freezes a new version and later edits do not change published output', async () => {
+    const db = useFakeSupabase({}, UNIQUE_KEYS);
+    const { service, week } = createDigestService();
+
+    const first = await service.publish(WEEK, {}, { name: 'alice' });
+    week[WEEK].entries[0]['主題'] = '修改後的主題';
+    const second = await service.publish(WEEK, {}, { name: 'bob' });
+
+    assert.deepEqual([first.version, second.version, first.delivery], [1, 2, null]);
+    assert.deepEqual(db.table('weekly_digests').map(r => [r.version, r.published_by]), [[1, 'alice'], [2, 'bob']]);
+
+    const html = await service.renderDigest(first.digestId, 'html');
+    assert.equal(html.contentType, 'text/html; charset=utf-8');
+    assert.equal(html.fileName, '週報_2026-W41_v1.html');
+    assert.match(html.content, /大同 &lt;數位孿生&gt; 簡報/);
+    assert.doesNotMatch(html.content, /修改後的主題/);
+    assert.match(html.content, /第 1 版｜alice 發布於/);
+    assert.match(html.content, /數位孿生 \(大同，負責：Alice，金額 3,500,000\)/);
+    assert.match(html.content, /產線連網：2026-10-31 → 2026-12-15/);
+
+    const pdf = await service.renderDigest(second.digestId, 'pdf');
+    assert.equal(pdf.content.subarray(0, 5).toString('latin1'), '%PDF-');
+    assert.equal(pdf.fileName, '週報_2026-W41_v2.pdf');
+
+    await assert.rejects(service.renderDigest(first.digestId, 'docx'), /無法建檔：不支援的週報格式 docx/);
+    assert.equal(await service.renderDigest('missing', 'html'), null);
+
+    const preview = await service.previewHtml(WEEK, { name: 'carol' });
+    assert.match(preview, /第 3 版｜carol \(預覽\) 發布於/);
+    assert.equal(db.table('weekly_digests').length, 2);
+});
+
+test('a version conflict from a concurrent publish is retried with the next number', async () => {
+    const db = useFakeSupabase({}, UNIQUE_KEYS);
+    const { service } = createDigestService();
+    await service.publish(WEEK, {}, { name: 'alice' });
+
+    // 第一次讀取版本時還沒看到 alice 的版本 (同時發布)
+    const reader = service.weeklyDigestSqlReader;
+    const getDigestsByWeek = reader.getDigestsByWeek.bind(reader);
+    let reads = 0;
+    reader.getDigestsByWeek = async (weekId) => (++reads === 1 ? [] : getDigestsByWeek(weekId));
+
+    const result = await service.publish(WEEK, {}, { name: 'bob' });
+
+    assert.equal(result.version, 2);
+    assert.deepEqual(db.table('weekly_digests').map(r => r.version), [1, 2]);
+
+    reader.getDigestsByWeek = async () => [];
+    const error = await rejection(service.publish(WEEK, {}, { name: 'carol' }));
+    assert.match(error.message, /^資料衝突：2026-W41 正在由其他人發布/);
+});
+
+test('recipients are validated before publishing and every send attempt is recorded', async () => {
+    const db = useFakeSupabase({}, UNIQUE_KEYS);
+    const { service, sent } = createDigestService();
+
+    for (const [recipients, pattern] of [
+        [undefined, /請指定收件者/],
+        ['boss@example.com, not-an-email', /收件者格式錯誤 not-an-email/],
+        [Array.from({ length: config.WEEKLY_DIGEST.MAX_RECIPIENTS + 1 }, (_, i) => `u${i}@example.com`), /收件者最多/]
+    ]) {
+        const error = await rejection(service.publish(WEEK, { send: true, recipients }, { name: 'alice' }));
+        assert.match(error.message, /^無法建檔：/);
+        assert.match(error.message, pattern);
+    }
+    assert.equal(db.table('weekly_digests').length, 0);
+
+    const published = await service.publish(WEEK, { send: true, recipients: 'boss@example.com; team@example.com boss@example.com' }, { name: 'alice' });
+
+    assert.deepEqual(published.delivery.recipients, ['boss@example.com', 'team@example.com']);
+    assert.deepEqual([published.delivery.status, published.delivery.messageId, published.delivery.sentBy], ['sent', '<m1@test>', 'alice']);
+    const [{ message }] = sent;
+    assert.equal(message.subject, '[週報] 2026年 10月, 第 1 週 (10/05 - 10/11) v1');
+    assert.match(message.text, /【DT】\n- 2026-10-07 大同 <數位孿生> 簡報 \(Alice\)\n {4}展示模型/);
+    assert.match(message.text, /- \[DT\] 安排 POC/);
+
+    service.mailer = { sendMail: async () => { throw new Error('SMTP 寄送失敗：connect ECONNREFUSED'); } };
+    const failed = await service.sendDigest(published.digestId, ['boss@example.com'], { name: 'bob' });
+    assert.deepEqual([failed.status, failed.error], ['failed', 'SMTP 寄送失敗：connect ECONNREFUSED']);
+    assert.equal(await service.sendDigest('missing', ['boss@example.com'], null), null);
+
+    const { versions } = await service.getVersions(WEEK);
+    assert.deepEqual(versions[0].deliveries.map(d => [d.status, d.sentBy]).sort(), [['failed', 'bob'], ['sent', 'alice']]);
+});
+
+test('the digest is mailed through the SMTP client with the frozen HTML and a PDF attachment', async (t) => {
+    useFakeSupabase({}, UNIQUE_KEYS);
+    const catcher = await startMailCatcher();
+    t.after(catcher.close);
+    const { service } = createDigestService({
+        mailer: require('../utils/smtp-client'),
+        smtp: { HOST: '127.0.0.1', PORT: catcher.port, SECURE: false, REQUIRE_TLS: false, USER: '', FROM: '週報 <digest@localhost>', TIMEOUT_MS: 5000 }
+    });
+
+    const published = await service.publish(WEEK, { send: true, recipients: ['boss@example.com'] }, { name: 'alice' });
+
+    assert.equal(published.delivery.status, 'sent');
+    const [received] = catcher.messages;
+    assert.deepEqual(received.envelope, { from: 'digest@localhost', to: ['boss@example.com'] });
+    assert.equal(received.raw.includes(published.delivery.messageId), true);
+
+    const mail = parseMail(received.raw);
+    assert.equal(mail.subject, '[週報] 2026年 10月, 第 1 週 (10/05 - 10/11) v1');
+    const [text, html, pdf] = mail.parts;
+    assert.match(text.content.toString('utf8'), /^2026年 10月, 第 1 週 週間業務摘要/);
+    // SMTP 傳輸時換行一律為 CRLF
+    assert.equal(html.content.toString('utf8').replace(/\r\n/g, '\n'), (await service.renderDigest(published.digestId, 'html')).content);
+    assert.deepEqual([pdf.type, pdf.filename], ['application/pdf', '週報_2026-W41_v1.pdf']);
+    assert.match(pdf.content.subarray(0, 8).toString('latin1'), /^%PDF-1\.\d/);
+});
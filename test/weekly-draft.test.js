@@ -0,0 +1,131 @@
+// test/weekly-draft.test.js
+// [user-024] 週報草稿：依台北時間篩選週次、各主題分類 (互動 / 事件 / 階段 / 新機會 / 結案)、範本與 AI 摘要備援
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const dateHelpers = require('../utils/date-helpers');
+const WeeklyDraftService = require('../services/weekly-draft-service');
+
+const WEEK = '2026-W41'; // 2026-10-05 ~ 2026-10-11
+
+const OPPORTUNITIES = [
+    { opportunityId: 'O1', opportunityName: '產線連網', customerCompany: '範例電子', opportunityType: '智慧製造', assignee: 'Alice', createdTime: '2026-10-04T17:30:00Z' },
+    { opportunityId: 'O2', opportunityName: '數位孿生', customerCompany: '大同', opportunityType: 'DT 專案', createdTime: '2026-09-01T00:00:00Z' },
+    { opportunityId: 'O3', opportunityName: 'DX 顧問', customerCompany: '', opportunityType: 'DX', createdTime: '2026-10-11T17:00:00Z' }
+];
+
+const INTERACTIONS = [
+    { opportunityId: 'O1', interactionTime: '2026-10-06T02:00:00Z', eventType: '會議討論', eventTitle: '需求訪談', contentSummary: '確認  產線\n規格', nextAction: '寄送報價', recorder: 'Alice' },
+    { opportunityId: 'O1', interactionTime: '2026-10-07T02:00:00Z', eventType: '電話', contentSummary: '', nextAction: '寄送報價', recorder: '訪客' },
+    { opportunityId: 'O2', interactionTime: '2026-10-08T02:00:00Z', eventType: '系統事件', contentSummary: '階段從【需求確認】更新為【報價】' },
+    { opportunityId: 'O2', interactionTime: '2026-10-08T03:00:00Z', eventType: '系統事件', contentSummary: '指派負責人' },
+    { opportunityId: 'O2', interactionTime: '2026-10-11T16:30:00Z', eventType: '電話', contentSummary: '週一凌晨' }, // 台北 10/12，下一週
+    { opportunityId: 'O2', interactionTime: '2026-10-04T15:00:00Z', eventType: '電話', contentSummary: '上週日' }
+];
+
+const EVENT_LOGS = [
+    { eventType: 'dx', opportunityId: 'O1', eventName: 'DX 工作坊', createdTime: '2026-10-09T05:00:00Z', creator: 'Bob' },
+    { eventType: 'general', opportunityId: 'O2', eventName: '季度回顧', createdTime: '2026-10-09T06:00:00Z', creator: 'Bob' }
+];
+
+const CLOSED = [
+    { opportunityId: 'O2', closeResult: 'won', closedTime: '2026-10-09T08:00:00Z' },
+    { opportunityId: 'O9', opportunityName: '舊標案', currentStage: '已結案(失敗)', closeReason: '預算刪減', expectedCloseDate: '2026-10-07' },
+    { opportunityId: 'O1', currentStage: '報價' }
+];
+
+function createDraftService({ themes, externalService = null } = {}) {
+    return new WeeklyDraftService({
+        interactionSqlReader: { getInteractions: async () => INTERACTIONS },
+        eventLogSqlReader: { getEventLogs: async () => EVENT_LOGS },
+        opportunitySqlReader: {
+            getOpportunities: async () => OPPORTUNITIES,
+            // 結案查詢以該週台北日期的起訖為範圍
+            getClosedDealsForAnalysis: async (start, end) => (start === '2026-10-05T00:00:00' && end === '2026-10-11T23:59:59' ? CLOSED : [])
+        },
+        systemService: {
+            getSystemConfig: async () => ({
+                '週間業務主題': themes || [{ value: 'IoT', note: 'IoT 物聯網' }, { value: 'DT', note: 'DT' }, { value: 'DX', note: 'DX' }],
+                '團隊成員': [{ value: 'alice', note: 'Alice' }, { value: 'bob', note: 'Bob' }]
+            })
+        },
+        externalService,
+        dateHelpers,
+        config
+    });
+}
+
+test('the week is filtered in local time and each theme with activity gets a template draft', async () => {
+    const result = await createDraftService().generateDraft(WEEK, { useAi: false });
+
+    assert.deepEqual([result.title, result.dateRange, result.generator], ['2026年 10月, 第 1 週', '(10/05 - 10/11)', 'template']);
+    assert.deepEqual(result.drafts.map(d => [d.category, d.date, d.theme, d.participants]), [
+        ['IoT', '2026-10-09', 'IoT 物聯網 本週業務摘要', 'Alice'],
+        ['DT', '2026-10-09', 'DT 本週業務摘要', 'Bob'],
+        ['DX', '2026-10-09', 'DX 本週業務摘要', 'Bob']
+    ]);
+    assert.deepEqual(result.totals, { interactions: 2, eventLogs: 2, stageChanges: 1, newOpportunities: 1, won: 1, lost: 1 });
+
+    const [iot, dt, dx] = result.drafts;
+    assert.equal(iot.summary, [
+        '【新機會】(1)\n- 產線連網 (範例電子)，負責：Alice',
+        '【客戶互動】(2)\n- 10/06 產線連網 (範例電子)：確認 產線 規格\n- 10/07 產線連網 (範例電子)：電話'
+    ].join('\n\n'));
+    assert.equal(iot.todo, '- 產線連網 (範例電子)：寄送報價'); // 重複的下次行動只列一次
+    assert.equal(dt.summary, [
+        '【成交】(1)\n- 數位孿生 (大同) (10/09)',
+        '【失敗結案】(1)\n- 舊標案，原因：預算刪減',
+        '【階段推進】(1)\n- 數位孿生 (大同)：需求確認 → 報價',
+        '【事件紀錄】(1)\n- 10/09 數位孿生 (大同)：季度回顧'
+    ].join('\n\n'));
+    assert.equal(dx.summary, '【事件紀錄】(1)\n- 10/09 產線連網 (範例電子)：DX 工作坊'); // 事件分表優先於機會類型
+    assert.equal(dx.todo, '');
+});
+
+test('items over the section limit are summarized and event types without a theme follow their opportunity', async () => {
+    const service = createDraftService({ themes: [{ value: 'IoT' }, { value: 'DT' }] });
+    service.config = { ...config, WEEKLY_DRAFT: { ...config.WEEKLY_DRAFT, MAX_ITEMS_PER_SECTION: 1 } };
+
+    const result = await service.generateDraft(WEEK, { useAi: false });
+
+    assert.deepEqual(result.drafts.map(d => d.category), ['IoT', 'DT']);
+    assert.match(result.drafts[0].summary, /【客戶互動】\(2\)\n- 10\/06 .+\n- …另有 1 筆/);
+    assert.match(result.drafts[0].summary, /【事件紀錄】\(1\)\n- 10\/09 產線連網 \(範例電子\)：DX 工作坊/); // 未設定 DX 主題時依機會類型分類
+    assert.doesNotMatch(result.drafts[1].summary, /另有/);
+});
+
+test('the AI summary is used when available and later themes fall back to the template after a failure', async () => {
+    const prompts = [];
+    const answers = ['```\n- 本週新增產線連網機會\n```', '', 'unused'];
+    const externalService = {
+        _generateWithFallback: async (prompt) => {
+            prompts.push(prompt);
+            return answers[prompts.length - 1];
+        }
+    };
+
+    const result = await createDraftService({ externalService }).generateDraft(WEEK, { useAi: true });
+
+    assert.equal(prompts.length, 2); // 第二個主題失敗後不再呼叫
+    assert.match(prompts[0], /「IoT 物聯網」事業線在 2026年 10月, 第 1 週 \(10\/05 - 10\/11\)/);
+    assert.match(prompts[0], /"opportunity":"產線連網 \(範例電子\)"/);
+    assert.deepEqual(result.drafts.map(d => d.generator), ['ai', 'template', 'template']);
+    assert.equal(result.drafts[0].summary, '- 本週新增產線連網機會');
+    assert.equal(result.generator, 'ai');
+
+    const failing = { _generateWithFallback: async () => { throw new Error('quota exceeded'); } };
+    const fallback = await createDraftService({ externalService: failing }).generateDraft(WEEK, { useAi: true });
+    assert.equal(fallback.generator, 'template');
+    assert.match(fallback.drafts[0].summary, /^【新機會】/);
+});
+
+test('an invalid week is refused and a week without activity has no drafts', async () => {
+    const service = createDraftService();
+
+    await assert.rejects(service.generateDraft('2026-41'), /^Error: 無法建檔：週次格式需為 YYYY-Www$/);
+
+    const empty = await service.generateDraft('2026-W30', { useAi: true });
+    assert.deepEqual([empty.drafts, empty.totals, empty.generator], [[], {}, 'template']);
+});
@@ -0,0 +1,141 @@
+// test/win-loss.test.js
+// [user-005] 結案原因必填、結案只經由結案流程、成交寫入 CLOSE_STAGES.WON，以及銷售分析的 Win/Loss 統計
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const WorkflowService = require('../services/workflow-service');
+const OpportunityService = require('../services/opportunity-service');
+const PipelineService = require('../services/pipeline-service');
+const SalesAnalysisService = require('../services/sales-analysis-service');
+const { handleApiError } = require('../middleware/error.middleware');
+
+const { CLOSE_STAGES, OPPORTUNITY_STATUS } = config.CONSTANTS;
+
+const SYSTEM_CONFIG = {
+    '機會階段': [
+        { value: '03_提案報價', note: '提案報價' },
+        { value: '受注', note: '受注' },
+        { value: '已結案(失敗)', note: '失敗' }
+    ],
+    '結案原因': [
+        { value: 'PRICE', note: '價格', category: '失敗' },
+        { value: 'TECH', note: '技術優勢', category: '成交' },
+        { value: 'TIMING', note: '時程', category: '通用' }
+    ],
+    '團隊成員': [{ value: 'alice', note: 'Alice' }]
+};
+
+const systemService = { getSystemConfig: async () => SYSTEM_CONFIG };
+const rejection = promise => promise.then(() => null, err => err);
+
+function createWorkflow() {
+    const calls = { updates: [], interactions: [] };
+    const opportunityService = {
+        updateOpportunity: async (id, data, user, options) => { calls.updates.push({ id, data, options }); return { success: true }; }
+    };
+    const interactionService = {
+        createInteraction: async (data) => { calls.interactions.push(data); return { success: true }; }
+    };
+    return { calls, workflow: new WorkflowService(opportunityService, interactionService, null, systemService) };
+}
+
+const validClose = { result: 'Won', reasonCode: 'TECH', competitor: '無', note: '規格符合' };
+
+test('closing requires a valid result, a reason of the matching category, a competitor and a note', async () => {
+    const { workflow, calls } = createWorkflow();
+    const cases = [
+        [{ ...validClose, result: 'Maybe' }, /結案結果必須為 Won 或 Lost/],
+        [{ ...validClose, reasonCode: 'PRICE' }, /請選擇有效的成交原因/],
+        [{ ...validClose, competitor: '  ' }, /請填寫競爭對手/],
+        [{ ...validClose, result: 'Lost', reasonCode: 'PRICE', competitor: '' }, /請填寫競爭對手/],
+        [{ ...validClose, note: '' }, /請填寫結案說明/]
+    ];
+
+    for (const [closeData, pattern] of cases) {
+        const error = await rejection(workflow.closeOpportunity('O1', closeData, { displayName: 'alice' }));
+        assert.match(error.message, /^無法結案：/);
+        assert.match(error.message, pattern);
+    }
+    assert.equal(calls.updates.length, 0);
+
+    const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    handleApiError(res, new Error('無法結案：請填寫結案說明'), 'test');
+    assert.equal(res.statusCode, 400);
+});
+
+test('a won close writes the canonical won stage with the captured reason and logs an interaction', async () => {
+    const { workflow, calls } = createWorkflow();
+
+    await workflow.closeOpportunity('O1', { ...validClose, reasonCode: 'TIMING', competitor: ' 競品A ' }, { displayName: 'alice' });
+
+    const [{ data, options }] = calls.updates;
+    assert.equal(data.currentStage, CLOSE_STAGES.WON);
+    assert.equal(data.currentStatus, OPPORTUNITY_STATUS.COMPLETED);
+    assert.equal(data.closeResult, 'won');
+    assert.equal(data.closeReason, 'TIMING');
+    assert.equal(data.closeCompetitor, '競品A');
+    assert.ok(data.closedTime);
+    assert.deepEqual(options, { skipStageRules: true });
+    assert.match(calls.interactions[0].contentSummary, /原因：時程；競爭對手：競品A/);
+});
+
+test('a lost close writes the lost stage', async () => {
+    const { workflow, calls } = createWorkflow();
+
+    await workflow.closeOpportunity('O1', { ...validClose, result: 'Lost', reasonCode: 'PRICE', competitor: '競品B' }, null);
+
+    assert.equal(calls.updates[0].data.currentStage, CLOSE_STAGES.LOST);
+    assert.equal(calls.updates[0].data.closeResult, 'lost');
+});
+
+test('a normal update cannot move into a close stage or write close fields', async () => {
+    const writes = [];
+    const service = new OpportunityService({
+        systemService,
+        opportunitySqlReader: { getOpportunityById: async () => ({ opportunityId: 'O1', currentStage: '03_提案報價' }) },
+        opportunitySqlWriter: { updateOpportunity: async (id, data) => { writes.push(data); return { success: true }; } },
+        pipelineService: new PipelineService({ systemService, contactSqlReader: null })
+    });
+    service._logOpportunityInteraction = async () => {};
+
+    for (const stage of [...CLOSE_STAGES.LEGACY_WON, ...CLOSE_STAGES.LEGACY_LOST]) {
+        const error = await rejection(service.updateOpportunity('O1', { currentStage: stage }, { displayName: 'alice' }));
+        assert.match(error.message, /^階段規則：/);
+        assert.equal(error.violations[0].type, 'close_required');
+    }
+
+    await service.updateOpportunity('O1', { notes: 'x', closeResult: 'won', closeReason: 'TECH', closedTime: 'now' }, { displayName: 'alice' });
+    assert.deepEqual(writes, [{ notes: 'x' }]);
+
+    const reachability = await service.pipelineService.getStageReachability({ opportunityId: 'O1', currentStage: '03_提案報價' });
+    assert.deepEqual(reachability.stages.filter(s => !s.reachable).map(s => s.reason), ['close_required', 'close_required']);
+});
+
+test('win/loss analysis counts legacy stages and ranks loss reasons', async () => {
+    const closedDeals = [
+        { opportunityId: 'O1', closeResult: 'won', opportunityType: 'A', assignee: 'alice' },
+        { opportunityId: 'O2', currentStage: '已成交', opportunityType: 'A', assignee: 'alice' },
+        { opportunityId: 'O3', closeResult: 'lost', closeReason: 'PRICE', opportunityValue: '1,000', opportunityType: 'A', assignee: 'alice' },
+        { opportunityId: 'O4', currentStage: '已結案(失敗)', opportunityValue: 500, opportunityType: 'B' },
+        { opportunityId: 'O5', closeResult: 'lost', closeReason: 'PRICE', opportunityValue: 200, opportunityType: 'B' },
+        { opportunityId: 'O6', currentStage: '03_提案報價' }
+    ];
+    const service = new SalesAnalysisService({
+        getSalesAnalysisBaseDeals: async () => [],
+        getClosedDealsForAnalysis: async () => closedDeals
+    }, systemService, config);
+
+    const { lossAnalysis } = await service.getSalesAnalysisData('2026-01-01', '2026-12-31');
+
+    assert.equal(lossAnalysis.closedDeals, 5);
+    assert.equal(lossAnalysis.wonDeals, 2);
+    assert.equal(lossAnalysis.winRate, 40);
+    assert.deepEqual(lossAnalysis.byType.map(t => [t.name, t.won, t.lost, t.winRate]), [['A', 2, 1, 66.7], ['B', 0, 2, 0]]);
+    assert.equal(lossAnalysis.byAssignee[0].name, 'Alice');
+    assert.deepEqual(lossAnalysis.topLossReasons, [
+        { code: 'PRICE', name: '價格', count: 2, lostValue: 1200 },
+        { code: 'unspecified', name: '未填寫', count: 1, lostValue: 500 }
+    ]);
+});
@@ -0,0 +1,57 @@
+/**
+ * utils/concurrency.js
+ * 樂觀鎖 (Optimistic Concurrency) 共用工具
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 版本即資料列的 updated_time。前端以 `If-Match` Header (或 body.expectedUpdatedTime) 帶回讀取當下的版本。
+ * - Writer 比對版本後以 `.eq('updated_time', ...)` 條件更新，確保比對與寫入之間不被插隊。
+ * - 版本不符時 Service 拋出「資料衝突：」錯誤並附上伺服器目前的資料，由 handleApiError 回傳 409。
+ */
+
+/**
+ * 從請求取出前端預期的版本，並自 body 移除避免寫入
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function readExpectedVersion(req) {
+    let version = req.headers['if-match'];
+
+    if (version) {
+        // 支援 ETag 形式: W/"2026-10-19T..." 或 "2026-10-19T..."
+        version = String(version).replace(/^W\//, '').replace(/^"|"$/g, '').trim();
+    }
+
+    if (req.body && req.body.expectedUpdatedTime !== undefined) {
+        if (!version) version = req.body.expectedUpdatedTime;
+        delete req.body.expectedUpdatedTime;
+    }
+
+    return version || null;
+}
+
+/**
+ * 比對兩個 updated_time 是否為同一版本 (以毫秒比較，忽略 Z / +00:00 等格式差異)
+ * @param {string} expected
+ * @param {string} actual
+ */
+function isSameVersion(expected, actual) {
+    if (!expected || !actual) return false;
+    const a = new Date(expected).getTime();
+    const b = new Date(actual).getTime();
+    if (isNaN(a) || isNaN(b)) return String(expected) === String(actual);
+    return a === b;
+}
+
+/**
+ * 建立版本衝突錯誤 (handleApiError 會轉為 409)
+ * @param {string} entityLabel - 例如「機會案件」
+ * @param {Object|null} current - 伺服器目前的資料 (DTO)
+ */
+function createConflictError(entityLabel, current) {
+    const error = new Error(`資料衝突：此${entityLabel}已被其他人更新，請重新載入或合併後再儲存。`);
+    error.current = current || null;
+    return error;
+}
+
+module.exports = { readExpectedVersion, isSameVersion, createConflictError };
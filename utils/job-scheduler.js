@@ -0,0 +1,88 @@
+/**
+ * utils/job-scheduler.js
+ * 輕量排程工具 (In-Process)
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - 以 setTimeout 對齊到指定時刻後每日執行，不引入額外 cron 套件。
+ * - [v1.1.0] 新增 scheduleInterval：每 N 分鐘執行 (LINE 名片補分派、日曆同步)；前一次尚未完成時跳過本輪。
+ * - 計時器皆 unref()，不會阻擋程序結束；任務錯誤只記錄，不影響下一次排程。
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const jobs = new Map();
+
+async function runJob(name, task) {
+    const startedAt = Date.now();
+    try {
+        console.log(`⏰ [Scheduler] 開始執行排程: ${name}`);
+        await task();
+        console.log(`✅ [Scheduler] 排程完成: ${name} (${Date.now() - startedAt}ms)`);
+    } catch (error) {
+        console.error(`⚠ [Scheduler] 排程失敗: ${name}`, error.message);
+    }
+}
+
+/**
+ * 每日定時執行
+ * @param {string} name - 排程名稱 (重複註冊會取代舊的)
+ * @param {{ hour: number, minute?: number }} at - 伺服器當地時間
+ * @param {Function} task - async 任務
+ */
+function scheduleDaily(name, { hour, minute = 0 }, task) {
+    cancel(name);
+
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(hour, minute, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+
+    const timeout = setTimeout(() => {
+        runJob(name, task);
+        const interval = setInterval(() => runJob(name, task), DAY_MS);
+        interval.unref();
+        jobs.set(name, interval);
+    }, next - now);
+    timeout.unref();
+
+    jobs.set(name, timeout);
+    console.log(`⏰ [Scheduler] 已註冊每日排程: ${name} (下次執行 ${next.toLocaleString()})`);
+}
+
+/**
+ * 固定間隔執行
+ * @param {string} name - 排程名稱 (重複註冊會取代舊的)
+ * @param {number} minutes - 間隔分鐘數
+ * @param {Function} task - async 任務
+ */
+function scheduleInterval(name, minutes, task) {
+    cancel(name);
+
+    let running = false;
+    const interval = setInterval(async () => {
+        if (running) {
+            console.warn(`⏰ [Scheduler] 上一輪尚未完成，略過: ${name}`);
+            return;
+        }
+        running = true;
+        try {
+            await runJob(name, task);
+        } finally {
+            running = false;
+        }
+    }, minutes * 60 * 1000);
+    interval.unref();
+
+    jobs.set(name, interval);
+    console.log(`⏰ [Scheduler] 已註冊週期排程: ${name} (每 ${minutes} 分鐘)`);
+}
+
+function cancel(name) {
+    if (!jobs.has(name)) return;
+    const handle = jobs.get(name);
+    clearTimeout(handle);
+    clearInterval(handle);
+    jobs.delete(name);
+}
+
+module.exports = { scheduleDaily, scheduleInterval, cancel, runJob };
@@ -0,0 +1,418 @@
+/**
+ * utils/report-document.js
+ * 報告文件輸出 (PDF / DOCX)
+ * @version 1.0.1
+ * @date 2026-10-19
+ * @description
+ * - 文件模型：{ title, subtitle, letterhead: { name, lines }, accentColor, meta: [{ label, value }],
+ *   sections: [{ title, items: [{ label, value }] }], footer }；value 可含換行。
+ * - toPdf：A4 版面，依字元寬度自動換行與分頁，每頁頁尾含頁碼；以 pdfkit 輸出 (async)。
+ * - toPdf 字型：內嵌 Noto Sans TC (@expo-google-fonts/noto-sans-tc，Regular / Bold) 的子集，
+ *   不依賴閱讀器或系統字型；CJK 擴充區等非 BMP 字元只要字型有字形即正常呈現。
+ *   字型沒有的字元 (emoji 等) 以 PDF_PLACEHOLDER (□) 代替，不會靜默刪除；需要完整呈現時請改下載 DOCX。
+ * - toDocx：信頭置於頁首、頁碼置於頁尾，各區塊以「欄位 / 內容」兩欄表格呈現；以 jszip 封裝 (async)。
+ * - [1.0.1] toPdf 改用 pdfkit 內嵌字型子集，取代閱讀器內建的 MSung-Light (不內嵌、非 BMP 字元一律顯示為 □)。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+const JSZip = require('jszip');
+
+const DEFAULT_ACCENT = '#1f4e79';
+const MUTED_COLOR = '#64748b';
+const TEXT_COLOR = '#1e293b';
+const LINE_COLOR = '#e2e8f0';
+const BAND_COLOR = '#f1f5f9';
+
+// ============================================================
+// 共用
+// ============================================================
+
+function normalizeText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ')
+        .replace(/[\u0000-\u0008\u000B-\u001F]/g, '');
+}
+
+function encodeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+    const value = parseInt(m ? m[1] : DEFAULT_ACCENT.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// ============================================================
+// PDF
+// ============================================================
+
+const PDF_PAGE = { WIDTH: 595.28, HEIGHT: 841.89, MARGIN: 50, FOOTER: 30 };
+const PDF_LABEL_WIDTH = 100;
+
+// 內嵌字型 (TTF / OTF 檔案路徑或套件內路徑)；各字重的字集相同
+const DEFAULT_PDF_FONTS = {
+    regular: '@expo-google-fonts/noto-sans-tc/400Regular/NotoSansTC_400Regular.ttf',
+    bold: '@expo-google-fonts/noto-sans-tc/700Bold/NotoSansTC_700Bold.ttf'
+};
+
+// 字型缺字 (emoji 等) 以此代替 (保留「此處有內容」的提示)
+const PDF_PLACEHOLDER = '\u25A1';
+
+// 字型檔只讀取一次 (每份 PDF 由 pdfkit 各自取子集內嵌)
+const pdfFontCache = new Map();
+
+function loadPdfFont(file) {
+    if (!pdfFontCache.has(file)) {
+        const buffer = fs.readFileSync(path.isAbsolute(file) ? file : require.resolve(file));
+        pdfFontCache.set(file, { buffer, face: fontkit.create(buffer), widths: new Map() });
+    }
+    return pdfFontCache.get(file);
+}
+
+// 字型沒有的字元改為 PDF_PLACEHOLDER；只用於 emoji 組字的變體選擇符 / ZWJ 沒有字形，直接移除
+function pdfChars(text, font) {
+    return Array.from(normalizeText(text).replace(/[\uFE0E\uFE0F\u200D]/g, ''))
+        .map(ch => (ch === '\n' || font.face.hasGlyphForCodePoint(ch.codePointAt(0)) ? ch : PDF_PLACEHOLDER));
+}
+
+function pdfCharWidth(ch, font, size) {
+    if (!font.widths.has(ch)) {
+        const glyph = font.face.glyphForCodePoint(ch.codePointAt(0));
+        font.widths.set(ch, glyph.advanceWidth / font.face.unitsPerEm);
+    }
+    return font.widths.get(ch) * size;
+}
+
+function pdfTextWidth(text, font, size) {
+    return pdfChars(text, font).reduce((sum, ch) => sum + pdfCharWidth(ch, font, size), 0);
+}
+
+/**
+ * 依寬度換行 (英文單字盡量不拆開)
+ * @returns {Array<string>}
+ */
+function wrapPdfText(text, font, size, maxWidth) {
+    const lines = [];
+    normalizeText(text).split('\n').forEach(paragraph => {
+        let line = [];
+        let width = 0;
+        let lastSpace = -1;
+        pdfChars(paragraph, font).forEach(ch => {
+            const w = pdfCharWidth(ch, font, size);
+            if (width + w > maxWidth && line.length > 0) {
+                if (ch !== ' ' && /[\x21-\x7E]/.test(ch) && lastSpace > 0) {
+                    lines.push(line.slice(0, lastSpace).join(''));
+                    line = line.slice(lastSpace + 1);
+                } else {
+                    lines.push(line.join(''));
+                    line = [];
+                }
+                width = line.reduce((sum, c) => sum + pdfCharWidth(c, font, size), 0);
+                lastSpace = line.lastIndexOf(' ');
+                if (ch === ' ' && line.length === 0) return;
+            }
+            if (ch === ' ') lastSpace = line.length;
+            line.push(ch);
+            width += w;
+        });
+        lines.push(line.join(''));
+    });
+    return lines;
+}
+
+/**
+ * 產生 PDF (pdfkit，內嵌字型子集)
+ * @param {Object} doc - 文件模型 (見檔頭說明)
+ * @param {Object} [options]
+ * @param {{regular?: string, bold?: string}} [options.fonts] - 內嵌字型檔，未指定時使用 Noto Sans TC
+ * @returns {Promise<Buffer>}
+ */
+function toPdf(doc, options = {}) {
+    const { WIDTH, HEIGHT, MARGIN, FOOTER } = PDF_PAGE;
+    const accent = doc.accentColor || DEFAULT_ACCENT;
+    const contentWidth = WIDTH - MARGIN * 2;
+    const bottom = HEIGHT - MARGIN - FOOTER;
+    const fonts = {
+        regular: loadPdfFont((options.fonts && options.fonts.regular) || DEFAULT_PDF_FONTS.regular),
+        bold: loadPdfFont((options.fonts && options.fonts.bold) || DEFAULT_PDF_FONTS.bold)
+    };
+
+    // 自行換行與分頁 (margin 0：pdfkit 不自動換頁)；bufferPages 供最後補上頁碼
+    const pdf = new PDFDocument({
+        size: [WIDTH, HEIGHT],
+        margin: 0,
+        bufferPages: true,
+        info: { Title: normalizeText(doc.title), Producer: 'TFC CRM' }
+    });
+    pdf.registerFont('Regular', fonts.regular.buffer);
+    pdf.registerFont('Bold', fonts.bold.buffer);
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+    });
+
+    // y：由上往下的目前位置
+    let y = MARGIN;
+    const ensureSpace = (height) => {
+        if (y + height > bottom) {
+            pdf.addPage();
+            y = MARGIN;
+        }
+    };
+    const drawText = (text, x, top, size, { bold = false, color = TEXT_COLOR } = {}) => {
+        const font = bold ? fonts.bold : fonts.regular;
+        pdf.font(bold ? 'Bold' : 'Regular').fontSize(size).fillColor(color)
+            .text(pdfChars(text, font).join(''), x, top, { lineBreak: false });
+    };
+    const drawRect = (x, top, w, h, color) => {
+        pdf.rect(x, top, w, h).fill(color);
+    };
+    const drawLine = (x1, lineY, x2, color, width) => {
+        pdf.moveTo(x1, lineY).lineTo(x2, lineY).lineWidth(width).stroke(color);
+    };
+    // 多行文字：逐行檢查分頁
+    const drawParagraph = (text, x, width, size, style = {}) => {
+        const lineHeight = size * 1.5;
+        wrapPdfText(text, style.bold ? fonts.bold : fonts.regular, size, width).forEach(line => {
+            ensureSpace(lineHeight);
+            drawText(line, x, y, size, style);
+            y += lineHeight;
+        });
+    };
+
+    // 信頭
+    const letterhead = doc.letterhead || {};
+    if (letterhead.name) {
+        drawText(letterhead.name, MARGIN, y, 16, { bold: true, color: accent });
+        y += 24;
+    }
+    (letterhead.lines || []).filter(Boolean).forEach(line => {
+        drawText(line, MARGIN, y, 9, { color: MUTED_COLOR });
+        y += 13;
+    });
+    y += 6;
+    drawLine(MARGIN, y, WIDTH - MARGIN, accent, 1.5);
+    y += 24;
+
+    // 標題與摘要
+    drawParagraph(doc.title || '', MARGIN, contentWidth, 18, { bold: true });
+    if (doc.subtitle) drawParagraph(doc.subtitle, MARGIN, contentWidth, 10, { color: MUTED_COLOR });
+    y += 6;
+    (doc.meta || []).forEach(({ label, value }) => {
+        const size = 10;
+        const lines = wrapPdfText(value || '-', fonts.regular, size, contentWidth - 80);
+        lines.forEach((line, i) => {
+            ensureSpace(size * 1.5);
+            if (i === 0) drawText(label, MARGIN, y, size, { bold: true, color: MUTED_COLOR });
+            drawText(line, MARGIN + 80, y, size);
+            y += size * 1.5;
+        });
+    });
+    y += 10;
+
+    // 區塊
+    (doc.sections || []).forEach(section => {
+        if (!section.items || section.items.length === 0) return;
+        ensureSpace(22 + 30);
+        drawRect(MARGIN, y, contentWidth, 22, BAND_COLOR);
+        drawRect(MARGIN, y, 3, 22, accent);
+        drawText(section.title, MARGIN + 10, y + 4, 11, { bold: true, color: accent });
+        y += 30;
+
+        section.items.forEach(({ label, value }) => {
+            const size = 10;
+            const lineHeight = size * 1.5;
+            const labelLines = wrapPdfText(label, fonts.bold, size, PDF_LABEL_WIDTH - 10);
+            const valueLines = wrapPdfText(value || '-', fonts.regular, size, contentWidth - PDF_LABEL_WIDTH);
+            const rows = Math.max(labelLines.length, valueLines.length);
+            ensureSpace(lineHeight * Math.min(rows, 2));
+            for (let i = 0; i < rows; i++) {
+                ensureSpace(lineHeight);
+                if (labelLines[i]) drawText(labelLines[i], MARGIN, y, size, { bold: true, color: MUTED_COLOR });
+                if (valueLines[i]) drawText(valueLines[i], MARGIN + PDF_LABEL_WIDTH, y, size);
+                y += lineHeight;
+            }
+            y += 4;
+            drawLine(MARGIN, y, WIDTH - MARGIN, LINE_COLOR, 0.5);
+            y += 8;
+        });
+        y += 10;
+    });
+
+    // 頁尾 (頁碼需在分頁完成後才知道總頁數)
+    const { start, count } = pdf.bufferedPageRange();
+    for (let i = 0; i < count; i++) {
+        pdf.switchToPage(start + i);
+        const footerTop = HEIGHT - MARGIN + 2;
+        drawLine(MARGIN, HEIGHT - MARGIN - 4, WIDTH - MARGIN, LINE_COLOR, 0.5);
+        if (doc.footer) drawText(doc.footer, MARGIN, footerTop, 8, { color: MUTED_COLOR });
+        const pageLabel = `第 ${i + 1} / ${count} 頁`;
+        drawText(pageLabel, WIDTH - MARGIN - pdfTextWidth(pageLabel, fonts.regular, 8), footerTop, 8, { color: MUTED_COLOR });
+    }
+
+    pdf.end();
+    return done;
+}
+
+// ============================================================
+// DOCX
+// ============================================================
+
+const DOCX_NS = 'http://schemas.openxmlformats.org';
+const DOCX_XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const DOCX_CONTENT_WIDTH = 9638; // A4 寬 11906 - 左右邊界各 1134 (twip)
+const DOCX_LABEL_WIDTH = 2200;
+
+function docxColor(hex) {
+    return hexToRgb(hex).map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function docxRun(text, { bold = false, size = null, color = null } = {}) {
+    const props = [
+        bold ? '<w:b/>' : '',
+        color ? `<w:color w:val="${docxColor(color)}"/>` : '',
+        size ? `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>` : ''
+    ].join('');
+    const body = normalizeText(text).split('\n')
+        .map(line => `<w:t xml:space="preserve">${encodeXml(line)}</w:t>`)
+        .join('<w:br/>');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${body}</w:r>`;
+}
+
+function docxParagraph(runs, { spacingAfter = 120, borderColor = null, shading = null } = {}) {
+    const props = [
+        borderColor ? `<w:pBdr><w:bottom w:val="single" w:sz="12" w:space="4" w:color="${docxColor(borderColor)}"/></w:pBdr>` : '',
+        shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${docxColor(shading)}"/>` : '',
+        `<w:spacing w:after="${spacingAfter}"/>`
+    ].join('');
+    return `<w:p><w:pPr>${props}</w:pPr>${runs}</w:p>`;
+}
+
+function docxCell(content, width, shading = null) {
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>`
+        + (shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${docxColor(shading)}"/>` : '')
+        + `</w:tcPr>${docxParagraph(content, { spacingAfter: 0 })}</w:tc>`;
+}
+
+function docxTable(items, { borders = true } = {}) {
+    const border = borders ? 'single' : 'nil';
+    const borderXml = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+        .map(side => `<w:${side} w:val="${border}" w:sz="4" w:space="0" w:color="${docxColor(LINE_COLOR)}"/>`).join('');
+    const rows = items.map(({ label, value }) => '<w:tr><w:trPr><w:cantSplit/></w:trPr>'
+        + docxCell(docxRun(label, { bold: true, color: MUTED_COLOR }), DOCX_LABEL_WIDTH, borders ? BAND_COLOR : null)
+        + docxCell(docxRun(value || '-'), DOCX_CONTENT_WIDTH - DOCX_LABEL_WIDTH)
+        + '</w:tr>').join('');
+    return `<w:tbl><w:tblPr><w:tblW w:w="${DOCX_CONTENT_WIDTH}" w:type="dxa"/><w:tblBorders>${borderXml}</w:tblBorders>`
+        + `<w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>`
+        + `<w:tblGrid><w:gridCol w:w="${DOCX_LABEL_WIDTH}"/><w:gridCol w:w="${DOCX_CONTENT_WIDTH - DOCX_LABEL_WIDTH}"/></w:tblGrid>${rows}</w:tbl>`;
+}
+
+/**
+ * 產生 DOCX
+ * @param {Object} doc - 文件模型 (見檔頭說明)
+ * @param {Object} [options]
+ * @param {string} [options.font='Microsoft JhengHei'] - 中文字型 (eastAsia)
+ * @returns {Promise<Buffer>}
+ */
+async function toDocx(doc, options = {}) {
+    const accent = doc.accentColor || DEFAULT_ACCENT;
+    const font = encodeXml(options.font || 'Microsoft JhengHei');
+    const wordNs = `xmlns:w="${DOCX_NS}/wordprocessingml/2006/main" xmlns:r="${DOCX_NS}/officeDocument/2006/relationships"`;
+
+    const body = [
+        docxParagraph(docxRun(doc.title || '', { bold: true, size: 18 }), { spacingAfter: 60 }),
+        doc.subtitle ? docxParagraph(docxRun(doc.subtitle, { color: MUTED_COLOR })) : '',
+        (doc.meta || []).length > 0 ? docxTable(doc.meta, { borders: false }) : '',
+        ...(doc.sections || []).filter(s => s.items && s.items.length > 0).map(section =>
+            docxParagraph('', { spacingAfter: 0 })
+            + docxParagraph(docxRun(section.title, { bold: true, size: 12, color: accent }), { borderColor: accent })
+            + docxTable(section.items)
+        )
+    ].join('');
+
+    const letterhead = doc.letterhead || {};
+    const header = [
+        letterhead.name ? docxParagraph(docxRun(letterhead.name, { bold: true, size: 14, color: accent }), { spacingAfter: 0 }) : '',
+        ...(letterhead.lines || []).filter(Boolean).map(line => docxParagraph(docxRun(line, { size: 9, color: MUTED_COLOR }), { spacingAfter: 0 })),
+        docxParagraph('', { spacingAfter: 120, borderColor: accent })
+    ].join('');
+
+    const pageField = (instr) => `<w:fldSimple w:instr=" ${instr} "><w:r><w:t>1</w:t></w:r></w:fldSimple>`;
+    const footerRun = (text) => docxRun(text, { size: 8, color: MUTED_COLOR });
+    const footer = `<w:p><w:pPr><w:tabs><w:tab w:val="right" w:pos="${DOCX_CONTENT_WIDTH}"/></w:tabs></w:pPr>`
+        + (doc.footer ? footerRun(doc.footer) : '')
+        + `<w:r><w:tab/></w:r>${footerRun('第 ')}${pageField('PAGE')}${footerRun(' / ')}${pageField('NUMPAGES')}${footerRun(' 頁')}</w:p>`;
+
+    const parts = [
+        {
+            name: '[Content_Types].xml',
+            data: `${DOCX_XML_HEADER}<Types xmlns="${DOCX_NS}/package/2006/content-types">`
+                + `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`
+                + `<Default Extension="xml" ContentType="application/xml"/>`
+                + `<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>`
+                + `<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>`
+                + `<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>`
+                + `<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>`
+                + `</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `${DOCX_XML_HEADER}<Relationships xmlns="${DOCX_NS}/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${DOCX_NS}/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>`
+                + `</Relationships>`
+        },
+        {
+            name: 'word/_rels/document.xml.rels',
+            data: `${DOCX_XML_HEADER}<Relationships xmlns="${DOCX_NS}/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${DOCX_NS}/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + `<Relationship Id="rId2" Type="${DOCX_NS}/officeDocument/2006/relationships/header" Target="header1.xml"/>`
+                + `<Relationship Id="rId3" Type="${DOCX_NS}/officeDocument/2006/relationships/footer" Target="footer1.xml"/>`
+                + `</Relationships>`
+        },
+        {
+            name: 'word/styles.xml',
+            data: `${DOCX_XML_HEADER}<w:styles ${wordNs}>`
+                + `<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="${font}" w:cs="Calibri"/>`
+                + `<w:color w:val="${docxColor(TEXT_COLOR)}"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:lang w:val="en-US" w:eastAsia="zh-TW"/></w:rPr></w:rPrDefault>`
+                + `<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>`
+                + `<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>`
+                + `</w:styles>`
+        },
+        {
+            name: 'word/header1.xml',
+            data: `${DOCX_XML_HEADER}<w:hdr ${wordNs}>${header}</w:hdr>`
+        },
+        {
+            name: 'word/footer1.xml',
+            data: `${DOCX_XML_HEADER}<w:ftr ${wordNs}>${footer}</w:ftr>`
+        },
+        {
+            name: 'word/document.xml',
+            data: `${DOCX_XML_HEADER}<w:document ${wordNs}><w:body>${body}`
+                + `<w:sectPr><w:headerReference w:type="default" r:id="rId2"/><w:footerReference w:type="default" r:id="rId3"/>`
+                + `<w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1700" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/>`
+                + `</w:sectPr></w:body></w:document>`
+        }
+    ];
+
+    const zip = new JSZip();
+    parts.forEach(part => zip.file(part.name, part.data, { createFolders: false }));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    toPdf,
+    PDF_PLACEHOLDER,
+    toDocx
+};
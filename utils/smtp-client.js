@@ -0,0 +1,69 @@
+/**
+ * utils/smtp-client.js
+ * SMTP 寄信 (nodemailer)
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description
+ * - 支援 SMTPS (secure，預設 465)、明文連線後 STARTTLS (伺服器有宣告時自動升級) 與帳密驗證。
+ * - 開發環境可指向本機 mail catcher (如 Mailpit / MailHog，localhost:1025，不需帳密)。
+ * - 郵件：HTML + 純文字，可附加檔案；每次寄送建立一條連線，寄完即關閉。
+ */
+
+const nodemailer = require('nodemailer');
+
+function extractAddress(value) {
+    const m = /<([^>]+)>/.exec(String(value || ''));
+    return (m ? m[1] : String(value || '')).trim();
+}
+
+/**
+ * 寄送郵件
+ * @param {Object} transport
+ * @param {string} transport.host
+ * @param {number} transport.port
+ * @param {boolean} [transport.secure=false] - true: 直接 TLS (SMTPS)
+ * @param {boolean} [transport.requireTls=false] - 伺服器不支援 STARTTLS 時中止
+ * @param {string} [transport.user]
+ * @param {string} [transport.pass]
+ * @param {number} [transport.timeout=15000]
+ * @param {boolean} [transport.rejectUnauthorized=true]
+ * @param {Object} message - { from, to: [], subject, html, text, attachments: [{ filename, content, contentType }] }
+ * @returns {Promise<{ messageId: string, accepted: Array<string>, response: string }>}
+ */
+async function sendMail(transport, message) {
+    const recipients = (message.to || []).map(extractAddress).filter(Boolean);
+    if (recipients.length === 0) throw new Error('SMTP 寄送失敗：沒有收件者');
+
+    const timeout = transport.timeout || 15000;
+    const transporter = nodemailer.createTransport({
+        host: transport.host,
+        port: transport.port,
+        secure: !!transport.secure,
+        requireTLS: !!transport.requireTls,
+        auth: transport.user ? { user: transport.user, pass: transport.pass || '' } : undefined,
+        connectionTimeout: timeout,
+        greetingTimeout: timeout,
+        socketTimeout: timeout,
+        tls: { rejectUnauthorized: transport.rejectUnauthorized !== false }
+    });
+
+    try {
+        const info = await transporter.sendMail({
+            from: message.from,
+            to: recipients,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            attachments: message.attachments || []
+        });
+        return { messageId: info.messageId, accepted: info.accepted, response: info.response };
+    } catch (error) {
+        throw new Error(`SMTP 寄送失敗：${error.message}`);
+    } finally {
+        transporter.close();
+    }
+}
+
+module.exports = {
+    sendMail
+};
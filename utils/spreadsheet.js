@@ -0,0 +1,247 @@
+/**
+ * utils/spreadsheet.js
+ * CSV / XLSX 讀寫共用工具 (XLSX 使用 exceljs)
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @description
+ * - [v1.1.0] 新增 toXlsx：單一工作表的 XLSX (exceljs)，數值寫成數值儲存格、其餘為文字。
+ *   CSV 公式注入防護：toCsv 對以 = + - @ Tab CR 開頭的文字儲存格加上前置「'」，Excel 開啟時視為文字而非公式；
+ *   parseSpreadsheet 讀回時移除此前置符號 (匯出檔可直接重新匯入)。
+ * - parseSpreadsheet：依副檔名 / ZIP 檔頭判斷格式，回傳 { headers, rows, rowNumbers } (皆為字串，已略過整列空白，rowNumbers 保留原始列號)。
+ * - CSV 支援 RFC 4180 引號、逗號 / Tab / 分號分隔，UTF-8 (含 BOM) 解碼失敗時改以 Big5 解碼 (舊版 Excel 匯出)。
+ * - XLSX 只讀取活頁簿的第一個工作表；日期格式的儲存格讀為 YYYY-MM-DD (含時間時為 YYYY-MM-DD HH:mm:ss)，公式儲存格讀取計算結果；
+ *   未套用日期格式的日期欄位仍為 Excel 序號，由呼叫端依欄位型別轉換 (見 excelSerialToDate)。
+ * - toCsv：輸出含 UTF-8 BOM 的 CSV，Excel 開啟中文不亂碼。
+ */
+
+const ExcelJS = require('exceljs');
+
+// ZIP (XLSX) 檔頭
+const ZIP_SIGNATURE = 0x04034b50;
+
+// ============================================================
+// CSV
+// ============================================================
+
+function decodeText(buffer) {
+    let text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+        try {
+            text = new TextDecoder('big5').decode(buffer);
+        } catch (e) {
+            // 未含完整 ICU 的 Node 無 Big5 解碼器，維持 UTF-8 結果
+        }
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = [',', '\t', ';'].map(d => ({ d, n: firstLine.split(d).length - 1 }));
+    counts.sort((a, b) => b.n - a.n);
+    return counts[0].n > 0 ? counts[0].d : ',';
+}
+
+/**
+ * 解析 CSV 文字
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') { field += '"'; i++; }
+                else inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// 試算表會當作公式執行的開頭字元 (CSV / formula injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvCell(value) {
+    let str = value === null || value === undefined ? '' : String(value);
+    // 數值本身不會被當成公式 (例如負數)，只處理文字
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * 移除 escapeCsvCell 加上的公式防護前置符號
+ */
+function unescapeFormulaGuard(str) {
+    return str.length > 1 && str[0] === "'" && FORMULA_PREFIX.test(str.slice(1)) ? str.slice(1) : str;
+}
+
+/**
+ * 產生 CSV 文字 (含 BOM)
+ * @param {Array<Array<any>>} rows - 第一列為標題
+ * @returns {string}
+ */
+function toCsv(rows) {
+    return '\uFEFF' + rows.map(r => r.map(escapeCsvCell).join(',')).join('\r\n');
+}
+
+// ============================================================
+// XLSX (exceljs)
+// ============================================================
+
+// XML 1.0 不允許的控制字元 (寫入前移除)
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+function dateCellText(date) {
+    const iso = date.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * exceljs 儲存格值 → 字串 (公式取計算結果、RichText / 超連結取文字)
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return dateCellText(value);
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text || '').join('');
+        if ('result' in value) return cellText(value.result);
+        if ('text' in value) return cellText(value.text);
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * 解析 XLSX 第一個工作表
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<Array<string>>>}
+ */
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error('無法建檔：檔案不是有效的 XLSX');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw new Error('無法建檔：XLSX 中找不到工作表');
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        const cells = [];
+        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+            cells[colNumber - 1] = cellText(cell.value);
+        });
+        rows[rowNumber - 1] = Array.from(cells, c => c || '');
+    });
+
+    return Array.from(rows, r => r || []);
+}
+
+/**
+ * 產生 XLSX (單一工作表，第一列為粗體標題)
+ * @param {Array<Array<any>>} rows - 第一列為標題；number 寫成數值儲存格，其餘為文字 (不會被當成公式)
+ * @param {string} [sheetName='Sheet1']
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(rows, sheetName = 'Sheet1') {
+    const safeName = String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Sheet1';
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(safeName);
+
+    rows.forEach(row => {
+        sheet.addRow(row.map(value => {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+            if (value === null || value === undefined || value === '') return null;
+            return String(value).replace(INVALID_XML_CHARS, '');
+        }));
+    });
+    if (rows.length > 0) sheet.getRow(1).font = { bold: true };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Excel 日期序號 → YYYY-MM-DD (1900 日期系統)
+ * @param {number|string} serial
+ * @returns {string|null}
+ */
+function excelSerialToDate(serial) {
+    const num = Number(serial);
+    if (!Number.isFinite(num) || num < 1 || num > 2958465) return null;
+    const ms = Math.round((num - 25569) * 86400000);
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// ============================================================
+// 入口
+// ============================================================
+
+/**
+ * 解析上傳的試算表 (CSV / XLSX)
+ * @param {Buffer} buffer
+ * @param {string} [fileName]
+ * @returns {Promise<{ headers: Array<string>, rows: Array<Array<string>>, rowNumbers: Array<number> }>} rowNumbers 為檔案中的列號 (標題列 = 1)
+ */
+async function parseSpreadsheet(buffer, fileName = '') {
+    if (!buffer || buffer.length === 0) throw new Error('無法建檔：檔案內容為空');
+
+    const ext = (fileName.split('.').pop() || '').toLowerCase();
+    if (ext === 'xls') throw new Error('無法建檔：不支援舊版 .xls，請另存為 .xlsx 或 .csv');
+
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === ZIP_SIGNATURE;
+    const table = (ext === 'xlsx' || isZip)
+        ? await parseXlsx(buffer)
+        : parseCsv(decodeText(buffer)).map(r => r.map(unescapeFormulaGuard));
+
+    const cleaned = table
+        .map((r, i) => ({ line: i + 1, cells: r.map(c => (c === null || c === undefined ? '' : String(c).trim())) }))
+        .filter(r => r.cells.some(c => c !== ''));
+
+    if (cleaned.length === 0) throw new Error('無法建檔：檔案中沒有資料');
+
+    const [header, ...body] = cleaned;
+    return {
+        headers: header.cells,
+        rows: body.map(r => r.cells),
+        rowNumbers: body.map(r => r.line)
+    };
+}
+
+module.exports = {
+    parseSpreadsheet,
+    parseCsv,
+    parseXlsx,
+    toCsv,
+    toXlsx,
+    excelSerialToDate
+};